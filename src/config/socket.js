@@ -1,28 +1,77 @@
 // src/config/socket.js
+/**
+ * The one Socket.IO server.
+ * - Every connection authenticates with the same JWT as the REST API, sent as
+ *   `auth: { token }` (or an Authorization: Bearer header); anything else is refused
+ * - A socket joins only its user's own room (the user id, used for notifications) and the rooms of
+ *   the user's conversations; event handlers live in services/socketGateway.js
+ * - Rooms work across instances through a pluggable Socket.IO adapter; without one the built-in
+ *   in-memory adapter is used (single instance)
+ *
+ * ENV:
+ *   JWT_SECRET              verifies handshake tokens
+ *   SOCKET_ADAPTER_MODULE   path to a module whose default export returns (or resolves to) a
+ *                           Socket.IO adapter, e.g. one wrapping @socket.io/redis-adapter; unset = in-memory
+ */
+import path from "path";
+import { pathToFileURL } from "url";
+import jwt from "jsonwebtoken";
 import { Server } from "socket.io";
+import User from "../models/User.js";
+import { registerSocketHandlers } from "../services/socketGateway.js";
 import logger from "../utils/logger.js";
 
 let io = null;
 
-export function initSocket(server) {
+/** The configured adapter, or null for the in-memory default */
+export async function loadSocketAdapter() {
+  const modulePath = process.env.SOCKET_ADAPTER_MODULE;
+  if (!modulePath) return null;
+  const mod = await import(pathToFileURL(path.resolve(modulePath)).href);
+  const factory = mod.default || mod.createAdapter;
+  if (typeof factory !== "function") throw new Error(`SOCKET_ADAPTER_MODULE ${modulePath} must export a function returning an adapter`);
+  const adapter = await factory();
+  logger.info(`🔀 Socket.IO adapter loaded from ${modulePath}`);
+  return adapter;
+}
+
+function handshakeToken(handshake) {
+  if (handshake.auth?.token) return String(handshake.auth.token);
+  const header = handshake.headers?.authorization || "";
+  return header.startsWith("Bearer ") ? header.split(" ")[1] : null;
+}
+
+/** Handshake middleware: puts { id, name, role } on socket.data.user or refuses the connection */
+export async function authenticateSocket(socket, next) {
+  const token = handshakeToken(socket.handshake);
+  if (!token) return next(new Error("Not authorized, token missing"));
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id).select("name role");
+    if (!user) return next(new Error("User not found"));
+    socket.data.user = { id: String(user._id), name: user.name, role: user.role };
+    next();
+  } catch (err) {
+    next(new Error("Token invalid or expired"));
+  }
+}
+
+/**
+ * Create the server on the HTTP server.
+ * - adapter: a Socket.IO adapter (see loadSocketAdapter); omit for in-memory
+ */
+export function initSocket(server, { adapter = null } = {}) {
   io = new Server(server, {
     cors: {
       origin: "*",
       methods: ["GET", "POST"],
     },
+    ...(adapter ? { adapter } : {}),
   });
 
-  io.on("connection", (socket) => {
-    const { userId } = socket.handshake.query;
-    if (userId) {
-      socket.join(userId.toString());
-      logger.info(`🔌 User ${userId} connected to socket`);
-    }
-
-    socket.on("disconnect", () => {
-      logger.info(`❌ User ${userId || "unknown"} disconnected`);
-    });
-  });
+  io.use(authenticateSocket);
+  registerSocketHandlers(io);
 
   logger.info("✅ Socket.IO initialized");
   return io;
@@ -1,5 +1,6 @@
 // src/controllers/adminDisputeController.js
 import disputeService from "../services/disputeService.js";
+import { attendanceSummary } from "../services/attendanceService.js";
 import logger from "../utils/logger.js";
 
 /**
@@ -25,7 +26,7 @@ export const adminListDisputes = async (req, res) => {
 };
 
 /**
- * Admin: get dispute by id
+ * Admin: get dispute by id, with the booking's attendance (check-in / check-out, proof photos, no-show)
  * GET /api/admin/disputes/:id
  */
 export const adminGetDispute = async (req, res) => {
@@ -33,7 +34,8 @@ export const adminGetDispute = async (req, res) => {
     const { id } = req.params;
     const dispute = await disputeService.getDisputeById(id);
     if (!dispute) return res.status(404).json({ message: "Dispute not found" });
-    res.json(dispute);
+    const attendance = dispute.bookingId ? attendanceSummary(dispute.bookingId) : null;
+    res.json({ ...dispute.toObject(), attendance });
   } catch (err) {
     logger.error("adminGetDispute error", err);
     res.status(500).json({ message: "Failed to fetch dispute" });
@@ -1,4 +1,5 @@
 import reconciliationService from "../services/reconciliationService.js";
+import reconciliationRemediationService from "../services/reconciliationRemediationService.js";
 import logger from "../utils/logger.js";
 import { Parser as Json2CsvParser } from "json2csv";
 import Booking from "../models/Booking.js";
@@ -49,6 +50,8 @@ export const runReconciliation = async (req, res) => {
       limit: 5000,
       runBy,
       manual: true,
+      sinceIso: req.body?.since || null, // gateway window, defaults to the last RECONCILE_LOOKBACK_HOURS
+      untilIso: req.body?.until || null,
     });
 
     res.status(201).json({
@@ -79,6 +82,7 @@ export const exportReportsCSV = async (req, res) => {
         runBy: r.runBy ? String(r.runBy) : "",
         totalTransactionsChecked: r.summary?.totalTransactionsChecked || 0,
         totalEscrowsChecked: r.summary?.totalEscrowsChecked || 0,
+        totalGatewayTransactionsChecked: r.summary?.totalGatewayTransactionsChecked || 0,
         totalIssues: r.summary?.totalIssues || 0,
       };
 
@@ -90,10 +94,11 @@ export const exportReportsCSV = async (req, res) => {
             issueSeverity: iss.severity || "",
             issueMessage: iss.message || "",
             related: JSON.stringify(iss.related || {}),
+            suggestedFix: iss.suggestedFix || "",
           });
         }
       } else {
-        rows.push({ ...base, issueType: "", issueSeverity: "", issueMessage: "", related: "{}" });
+        rows.push({ ...base, issueType: "", issueSeverity: "", issueMessage: "", related: "{}", suggestedFix: "" });
       }
     }
 
@@ -103,11 +108,13 @@ export const exportReportsCSV = async (req, res) => {
       "runBy",
       "totalTransactionsChecked",
       "totalEscrowsChecked",
+      "totalGatewayTransactionsChecked",
       "totalIssues",
       "issueType",
       "issueSeverity",
       "issueMessage",
       "related",
+      "suggestedFix",
     ];
 
     const json2csv = new Json2CsvParser({ fields });
@@ -129,13 +136,12 @@ export const getReconciliationDetails = async (req, res) => {
 
     const booking = await Booking.findById(bookingId)
       .populate("customerId", "firstName lastName email")
-      .populate("proId", "firstName lastName email")
-      .lean();
+      .populate("proId", "firstName lastName email");
 
     if (!booking) return res.status(404).json({ message: "Booking not found" });
 
-    const transactions = await Transaction.find({ bookingId }).sort({ createdAt: -1 }).lean();
-    const escrows = await Escrow.find({ bookingId }).sort({ createdAt: -1 }).lean();
+    const transactions = await Transaction.find({ bookingId }).sort({ createdAt: -1 });
+    const escrows = await Escrow.find({ bookingId }).sort({ createdAt: -1 });
 
     const summary = {
       bookingStatus: booking.status,
@@ -143,7 +149,7 @@ export const getReconciliationDetails = async (req, res) => {
       totalEscrows: escrows.length,
       hasPaymentRelease: booking.paymentReleased,
       hasActiveDispute: Boolean(booking.disputeId),
-      escrowState: escrows.length > 0 ? [...new Set(escrows.map((e) => e.status))].join(", ") : "none",
+      escrowState: escrows.length > 0 ? [...new Set(escrows.map((e) => e.state))].join(", ") : "none",
     };
 
     res.json({ booking, transactions, escrows, summary });
@@ -153,9 +159,73 @@ export const getReconciliationDetails = async (req, res) => {
   }
 };
 
+export const listIssues = async (req, res) => {
+  try {
+    const { status, type, assignee, reportId, page = 1, limit = 50 } = req.query;
+    const data = await reconciliationRemediationService.listIssues({
+      status,
+      type,
+      assignee,
+      reportId,
+      page: Number(page),
+      limit: Number(limit),
+    });
+    res.json({ success: true, ...data });
+  } catch (err) {
+    logger.error("listIssues error", err);
+    res.status(500).json({ success: false, message: "Failed to fetch reconciliation issues" });
+  }
+};
+
+export const updateIssue = async (req, res) => {
+  try {
+    const { reportId, issueId } = req.params;
+    const { status, assignee, note } = req.body;
+    const issue = await reconciliationRemediationService.updateIssue(
+      reportId,
+      issueId,
+      { status, assignee, note },
+      { actorId: req.user?.id || null }
+    );
+    res.json({ success: true, data: issue });
+  } catch (err) {
+    logger.error("updateIssue error", err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+export const applyIssueFix = async (req, res) => {
+  try {
+    const { reportId, issueId } = req.params;
+    const { issue, result } = await reconciliationRemediationService.applyFix(reportId, issueId, {
+      actorId: req.user?.id || null,
+    });
+    res.status(result.fixed ? 200 : 422).json({ success: result.fixed, data: issue, result });
+  } catch (err) {
+    logger.error("applyIssueFix error", err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+export const autoFixReport = async (req, res) => {
+  try {
+    const summary = await reconciliationRemediationService.autoFixReport(req.params.reportId, {
+      actorId: req.user?.id || null,
+    });
+    res.json({ success: true, data: summary });
+  } catch (err) {
+    logger.error("autoFixReport error", err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+};
+
 export default {
   getReports,
   runReconciliation,
   exportReportsCSV,
   getReconciliationDetails,
+  listIssues,
+  updateIssue,
+  applyIssueFix,
+  autoFixReport,
 };
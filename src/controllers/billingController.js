@@ -9,11 +9,11 @@ import logger from "../utils/logger.js";
 
 /**
  * POST /api/billing/subscribe
- * Body: { organizationId, plan, gateway?, billingCycleDays? }
+ * Body: { organizationId, plan, gateway?, billingCycleDays?, currency? }
  */
 export const subscribe = async (req, res) => {
   try {
-    const { organizationId, plan, gateway, billingCycleDays } = req.body;
+    const { organizationId, plan, gateway, billingCycleDays, currency } = req.body;
     if (!organizationId || !plan)
       return res.status(400).json({ success: false, message: "organizationId and plan required" });
 
@@ -22,6 +22,7 @@ export const subscribe = async (req, res) => {
       plan,
       gateway,
       billingCycleDays,
+      currency,
     });
 
     res.status(201).json({ success: true, ...result });
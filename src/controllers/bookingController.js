@@ -3,6 +3,8 @@ import Booking from "../models/Booking.js";
 import User from "../models/User.js";
 import logger from "../utils/logger.js";
 import { sendEmail } from "../utils/email.js";
+import { transitionBooking } from "../services/bookingLifecycleService.js";
+import cancellationService from "../services/cancellationService.js";
 
 /**
  * Create a new booking
@@ -67,13 +69,7 @@ export const confirmBooking = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const booking = await Booking.findByIdAndUpdate(
-      id,
-      { status: "confirmed" },
-      { new: true }
-    );
-
-    if (!booking) return res.status(404).json({ message: "Booking not found" });
+    const { booking } = await transitionBooking(id, "confirmed", { user: req.user });
 
     logger.info(`✅ Booking ${id} confirmed`);
     res.json(booking);
@@ -84,19 +80,17 @@ export const confirmBooking = async (req, res, next) => {
 };
 
 /**
- * Cancel booking
+ * Cancel booking (settles the escrow under the booking's cancellation policy)
  */
 export const cancelBooking = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const booking = await Booking.findByIdAndUpdate(
-      id,
-      { status: "cancelled" },
-      { new: true }
-    );
-
-    if (!booking) return res.status(404).json({ message: "Booking not found" });
+    const { booking } = await cancellationService.cancelBooking(id, {
+      user: req.user,
+      reason: req.body?.reason || "",
+      expectedRefund: req.body?.expectedRefund ?? null,
+    });
 
     logger.info(`❌ Booking ${id} cancelled`);
     res.json(booking);
@@ -23,7 +23,7 @@ export const createDispute = async (req, res) => {
     res.status(201).json({ success: true, dispute });
   } catch (err) {
     logger.error("createDispute error", err);
-    res.status(400).json({ success: false, message: err.message });
+    res.status(err.status || 400).json({ success: false, message: err.message });
   }
 };
 
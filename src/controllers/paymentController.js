@@ -1,13 +1,17 @@
 import User from "../models/User.js";
 import axios from "axios";
+import { PLATFORM_CURRENCY, isSupportedCurrency, toMinor } from "../utils/money.js";
 
 // --- Initiate Payment ---
 export const initiatePayment = async (req, res) => {
-  const { userId, type, amount, paymentMethod } = req.body;
+  const { userId, type, amount, paymentMethod, currency = PLATFORM_CURRENCY } = req.body;
 
   if (!userId || !type || !amount || !paymentMethod) {
     return res.status(400).json({ error: "Missing required fields" });
   }
+  if (!isSupportedCurrency(currency)) {
+    return res.status(400).json({ error: `Unsupported currency: ${currency}` });
+  }
 
   try {
     // Save pending subscription in DB
@@ -17,6 +21,7 @@ export const initiatePayment = async (req, res) => {
     const subscription = {
       type,
       amount,
+      currency: currency.toUpperCase(),
       paymentMethod,
       status: "pending",
       startDate: new Date(),
@@ -125,9 +130,9 @@ const initiatePaystackPayment = async (user, subscription) => {
   const PAYSTACK_SECRET = process.env.PAYSTACK_SECRET_KEY;
   const payload = {
     email: user.email,
-    amount: subscription.amount * 100, // in kobo
+    amount: toMinor(subscription.amount, subscription.currency), // minor units (kobo, pesewas, cents)
     reference: `vybz-${Date.now()}`,
-    currency: "NGN",
+    currency: subscription.currency,
   };
 
   const resp = await axios.post("https://api.paystack.co/transaction/initialize", payload, {
@@ -154,7 +159,7 @@ const initiateFlutterwavePayment = async (user, subscription) => {
   const payload = {
     tx_ref: `vybz-${Date.now()}`,
     amount: subscription.amount,
-    currency: "NGN",
+    currency: subscription.currency,
     payment_options: "card,bank,ussd",
     redirect_url: "https://yourdomain.com/payment-callback",
     customer: { email: user.email, name: user.name },
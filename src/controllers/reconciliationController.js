@@ -157,13 +157,12 @@ export const getReconciliationDetails = async (req, res) => {
 
     const booking = await Booking.findById(bookingId)
       .populate("customerId", "firstName lastName email")
-      .populate("proId", "firstName lastName email")
-      .lean();
+      .populate("proId", "firstName lastName email");
 
     if (!booking) return res.status(404).json({ message: "Booking not found" });
 
-    const transactions = await Transaction.find({ bookingId }).sort({ createdAt: -1 }).lean();
-    const escrows = await Escrow.find({ bookingId }).sort({ createdAt: -1 }).lean();
+    const transactions = await Transaction.find({ bookingId }).sort({ createdAt: -1 });
+    const escrows = await Escrow.find({ bookingId }).sort({ createdAt: -1 });
 
     const summary = {
       bookingStatus: booking.status,
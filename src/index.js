@@ -1,7 +1,6 @@
 // backend/src/index.js
 import express from "express";
 import http from "http";
-import { Server } from "socket.io";
 import cors from "cors";
 import mongoose from "mongoose";
 import dotenv from "dotenv";
@@ -15,17 +14,29 @@ import logger from "./utils/logger.js";
 import { scheduleMonetizationCleanup } from "./cron/monetization.js";
 import { scheduleCloudinaryCleanup } from "./cron/cloudinaryCleanup.js";
 import { chargeDueSubscriptions } from "./services/billingService.js";
-import { initSocket } from "./config/socket.js";
+import { initSocket, loadSocketAdapter } from "./config/socket.js";
+import Escrow from "./models/Escrow.js";
 
 // --- Route Imports ---
 import authRoutes from "./routes/auth.js";
 import userRoutes from "./routes/userRoutes.js";
 import bookingsRoutes from "./routes/bookings.js";
+import availabilityRoutes from "./routes/availabilityRoutes.js";
+import calendarRoutes from "./routes/calendarRoutes.js";
+import cancellationPolicyRoutes from "./routes/cancellationPolicyRoutes.js";
+import quoteRoutes from "./routes/quoteRoutes.js";
+import gigRoutes from "./routes/gigRoutes.js";
+import bookingSeriesRoutes from "./routes/bookingSeriesRoutes.js";
+import eventPackageRoutes from "./routes/eventPackageRoutes.js";
 import messageRoutes from "./routes/messages.js";
 import profileRoutes from "./routes/profileRoutes.js";
 import proStatusRoutes from "./routes/proStatus.js";
-import webhookRoutes from "./routes/webhooks.js"; // ⚠️ handles raw body internally
+import webhookRoutes from "./routes/webhooks.js"; // ⚠️ raw body — mount before express.json
 import escrowRoutes from "./routes/escrowRoutes.js";
+import payoutRoutes from "./routes/payoutRoutes.js";
+import commissionRoutes from "./routes/commissionRoutes.js";
+import ledgerRoutes from "./routes/ledgerRoutes.js";
+import adminWebhookRoutes from "./routes/adminWebhookRoutes.js";
 import organizationRoutes from "./routes/organizationRoutes.js";
 import billingRoutes from "./routes/billingRoutes.js";
 import reviewRoutes from "./routes/reviewRoutes.js";
@@ -34,6 +45,8 @@ import matchingRoutes from "./routes/matchingRoutes.js";
 import disputeRoutes from "./routes/disputeRoutes.js";
 import adminDisputeRoutes from "./routes/adminDisputeRoutes.js";
 import adminNotificationRoutes from "./routes/adminNotificationRoutes.js";
+import adminReconciliationRoutes from "./routes/adminReconciliationRoutes.js";
+import adminModerationRoutes from "./routes/adminModerationRoutes.js";
 import { startBackgroundJobs } from "./jobs/backgroundJobs.js";
 
 
@@ -42,6 +55,16 @@ import "./jobs/autoSettleJob.js";
 import "./jobs/trustScoreJob.js";
 import "./jobs/escrowAutoSettleJob.js";
 import "./jobs/reconcileTransactionsJob.js";
+import "./jobs/webhookInboxJob.js";
+import "./jobs/pendingPayoutJob.js";
+import "./jobs/slotHoldJob.js";
+import "./jobs/calendarImportJob.js";
+import "./jobs/quoteExpiryJob.js";
+import "./jobs/gigDeadlineJob.js";
+import "./jobs/bookingSeriesJob.js";
+import "./jobs/eventPackageJob.js";
+import "./jobs/attendanceJob.js";
+import "./jobs/contactRevealJob.js";
 
 
 // --- Config ---
@@ -50,15 +73,14 @@ dotenv.config();
 // ------------------- INITIALIZE APP -------------------
 const app = express();
 const server = http.createServer(app);
-const io = new Server(server, { cors: { origin: "*" } });
 
 // ------------------- MIDDLEWARE -------------------
 app.use(cors());
 startBackgroundJobs();
 
 
-// initialize socket.io
-initSocket(server);
+// initialize socket.io (the only Socket.IO server; JWT-authenticated, see config/socket.js)
+const io = initSocket(server, { adapter: await loadSocketAdapter() });
 
 // Attach socket.io to every request
 app.use((req, res, next) => {
@@ -120,7 +142,8 @@ comma-separated, no explanation. Example: "DJs, Event Planners, Photographers".
 
 // ------------------- ROUTES -------------------
 app.use("/api/webhooks", webhookRoutes);
-logger.info("✅ Webhooks mounted at /api/webhooks");
+app.use("/api/escrow/webhook", webhookRoutes); // legacy gateway dashboard URL, same inbox
+logger.info("✅ Webhooks mounted at /api/webhooks and /api/escrow/webhook");
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -128,10 +151,20 @@ app.use(express.urlencoded({ extended: true }));
 app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/bookings", bookingsRoutes);
+app.use("/api/booking-series", bookingSeriesRoutes);
+app.use("/api/event-packages", eventPackageRoutes);
+app.use("/api/availability", availabilityRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/cancellation-policies", cancellationPolicyRoutes);
+app.use("/api/quotes", quoteRoutes);
+app.use("/api/gigs", gigRoutes);
 app.use("/api/messages", messageRoutes);
 app.use("/api/profiles", profileRoutes);
 app.use("/api/pros", proStatusRoutes);
 app.use("/api/escrow", escrowRoutes);
+app.use("/api/payouts", payoutRoutes);
+app.use("/api/commission", commissionRoutes);
+app.use("/api/ledger", ledgerRoutes);
 app.use("/api/orgs", organizationRoutes);
 app.use("/api/billing", billingRoutes);
 app.use("/api/reviews", reviewRoutes);
@@ -140,25 +173,14 @@ app.use("/api/match", matchingRoutes);
 app.use("/api/disputes", disputeRoutes);
 app.use("/api/admin/disputes", adminDisputeRoutes);
 app.use("/api/admin/notifications", adminNotificationRoutes);
+app.use("/api/admin/reconciliation", adminReconciliationRoutes);
+app.use("/api/admin/webhooks", adminWebhookRoutes);
+app.use("/api/admin/moderation", adminModerationRoutes);
 
 
 // ------------------- ERROR HANDLER -------------------
 app.use(errorHandler);
 
-// ------------------- SOCKET.IO EVENTS -------------------
-io.on("connection", (socket) => {
-  logger.info(`⚡ User connected: ${socket.id}`);
-
-  socket.on("register", (userId) => {
-    socket.join(userId);
-    logger.info(`✅ User ${userId} joined socket room`);
-  });
-
-  socket.on("disconnect", () => {
-    logger.info(`❌ User disconnected: ${socket.id}`);
-  });
-});
-
 // ------------------- MONGODB CONNECTION -------------------
 const MONGO_URI = process.env.MONGO_URI;
 if (!MONGO_URI) {
@@ -169,6 +191,9 @@ if (!MONGO_URI) {
     .then(() => {
       logger.info("✅ Connected to MongoDB");
       logger.info("📌 Registered endpoints:", listEndpoints(app));
+      return Escrow.dropLegacyIndexes().then((dropped) => {
+        if (dropped) logger.info("🗂️ Dropped legacy unique bookingId index on escrows");
+      });
     })
     .catch((err) => logger.error("❌ MongoDB connection failed:", err));
 }
@@ -0,0 +1,16 @@
+import cron from "node-cron";
+import logger from "../utils/logger.js";
+import { detectNoShows } from "../services/attendanceService.js";
+
+/**
+ * No-show sweep — every 10 minutes.
+ * Confirmed bookings whose pro never checked in get a dispute opened for the customer.
+ */
+cron.schedule("*/10 * * * *", async () => {
+  try {
+    const opened = await detectNoShows();
+    if (opened) logger.info(`🚫 Attendance: ${opened} no-show dispute(s) opened`);
+  } catch (err) {
+    logger.error("❌ No-show sweep failed", err);
+  }
+});
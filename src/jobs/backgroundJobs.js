@@ -2,6 +2,7 @@ import cron from "node-cron";
 import { chargeDueSubscriptions } from "../services/billingService.js";
 import { recalcTrustScoreJob } from "./trustScoreJob.js";
 import Booking from "../models/Booking.js";
+import { applyTransition } from "../services/bookingLifecycleService.js";
 import logger from "../utils/logger.js";
 
 /**
@@ -50,12 +51,20 @@ export const startBackgroundJobs = () => {
       const now = new Date();
       const cutoff = new Date(now.getTime() - 24 * 60 * 60 * 1000); // 24h old pending bookings
 
-      const staleBookings = await Booking.updateMany(
-        { status: "pending", createdAt: { $lt: cutoff } },
-        { status: "cancelled" }
-      );
+      const staleBookings = await Booking.find({ status: "pending", createdAt: { $lt: cutoff } });
+      let cancelled = 0;
+      for (const booking of staleBookings) {
+        try {
+          if (applyTransition(booking, "cancelled", { reason: "stale_pending", ifAllowed: true })) {
+            await booking.save();
+            cancelled++;
+          }
+        } catch (err) {
+          logger.error(`🧹 Failed to cancel stale booking ${booking._id}`, err);
+        }
+      }
 
-      logger.info(`🧹 Stale booking cleanup completed: ${staleBookings.nModified} bookings cancelled`);
+      logger.info(`🧹 Stale booking cleanup completed: ${cancelled} bookings cancelled`);
     } catch (err) {
       logger.error("🧹 Stale booking cleanup failed", err);
     }
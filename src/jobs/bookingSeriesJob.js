@@ -0,0 +1,16 @@
+import cron from "node-cron";
+import logger from "../utils/logger.js";
+import { runSeriesSchedule } from "../services/bookingSeriesService.js";
+
+/**
+ * Recurring bookings — hourly.
+ * Books occurrences entering the horizon, starts escrow funding for upcoming ones, completes finished series.
+ */
+cron.schedule("15 * * * *", async () => {
+  try {
+    const { booked, funded, completed } = await runSeriesSchedule();
+    if (booked || funded || completed) logger.info(`🔁 Series: ${booked} occurrence(s) booked, ${funded} funding started, ${completed} series completed`);
+  } catch (err) {
+    logger.error("❌ Booking series run failed", err);
+  }
+});
@@ -0,0 +1,16 @@
+import cron from "node-cron";
+import logger from "../utils/logger.js";
+import { refreshAllImports } from "../services/calendarSyncService.js";
+
+/**
+ * External calendar refresh — every 30 minutes by default (ICS_REFRESH_CRON).
+ * Re-reads every URL import so busy time added in Google / Apple calendars blocks the pro's slots.
+ */
+cron.schedule(process.env.ICS_REFRESH_CRON || "*/30 * * * *", async () => {
+  try {
+    const summary = await refreshAllImports();
+    if (summary.synced || summary.failed) logger.info("📆 Calendar imports refreshed", summary);
+  } catch (err) {
+    logger.error("❌ Calendar import refresh failed", err);
+  }
+});
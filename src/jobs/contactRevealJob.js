@@ -0,0 +1,16 @@
+import cron from "node-cron";
+import logger from "../utils/logger.js";
+import { expireReveals } from "../services/contactRevealService.js";
+
+/**
+ * Contact reveal sweep — every 15 minutes.
+ * Reveals end once their event is over, or when the booking was cancelled or refunded.
+ */
+cron.schedule("*/15 * * * *", async () => {
+  try {
+    const { expired, withdrawn } = await expireReveals();
+    if (expired || withdrawn) logger.info(`📇 Contact reveals: ${expired} expired, ${withdrawn} withdrawn`);
+  } catch (err) {
+    logger.error("❌ Contact reveal sweep failed", err);
+  }
+});
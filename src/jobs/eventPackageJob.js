@@ -0,0 +1,16 @@
+import cron from "node-cron";
+import logger from "../utils/logger.js";
+import { expireInvitations } from "../services/eventPackageService.js";
+
+/**
+ * Event package invitations — every 10 minutes.
+ * Pros who didn't answer in time lose their slot; the customer is asked to pick someone else.
+ */
+cron.schedule("*/10 * * * *", async () => {
+  try {
+    const expired = await expireInvitations();
+    if (expired) logger.info(`🎪 Event packages: ${expired} invitation(s) expired`);
+  } catch (err) {
+    logger.error("❌ Event package invitation sweep failed", err);
+  }
+});
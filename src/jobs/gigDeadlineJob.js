@@ -0,0 +1,16 @@
+import cron from "node-cron";
+import logger from "../utils/logger.js";
+import { closeExpiredGigs } from "../services/gigService.js";
+
+/**
+ * Gig deadline sweep — every 5 minutes.
+ * Closes bidding on gigs past their deadline and expires unawarded gigs whose event has started.
+ */
+cron.schedule("*/5 * * * *", async () => {
+  try {
+    const { closed, expired } = await closeExpiredGigs();
+    if (closed || expired) logger.info(`⏳ Closed bidding on ${closed} gig(s), expired ${expired}`);
+  } catch (err) {
+    logger.error("❌ Gig deadline sweep failed", err);
+  }
+});
@@ -0,0 +1,17 @@
+import cron from "node-cron";
+import logger from "../utils/logger.js";
+import escrowService from "../services/escrowService.js";
+
+/**
+ * Pending payout sweep — every 15 minutes.
+ * Asks the gateway about transfers pending for over 30 minutes (no answer to the transfer request, or a lost
+ * webhook) and applies their outcome; transfers the gateway never received are resubmitted under the same reference.
+ */
+cron.schedule("*/15 * * * *", async () => {
+  try {
+    const summary = await escrowService.checkStalePayouts({ olderThanMs: 30 * 60 * 1000 });
+    if (summary.checked > 0 || summary.errors > 0) logger.info("💸 Pending payout sweep", summary);
+  } catch (err) {
+    logger.error("❌ Pending payout sweep failed", err);
+  }
+});
@@ -0,0 +1,16 @@
+import cron from "node-cron";
+import logger from "../utils/logger.js";
+import { expireQuotes } from "../services/quoteService.js";
+
+/**
+ * Quote expiry sweep — every 5 minutes.
+ * Expires open quotes past their expiry and briefs past their deadline (with their open quotes).
+ */
+cron.schedule("*/5 * * * *", async () => {
+  try {
+    const { quotes, requests } = await expireQuotes();
+    if (quotes || requests) logger.info(`⏳ Expired ${quotes} quote(s) and ${requests} quote request(s)`);
+  } catch (err) {
+    logger.error("❌ Quote expiry sweep failed", err);
+  }
+});
@@ -0,0 +1,16 @@
+import cron from "node-cron";
+import logger from "../utils/logger.js";
+import { expireHolds } from "../services/availabilityService.js";
+
+/**
+ * Slot hold sweep — every minute.
+ * Marks holds whose payment window has passed as expired.
+ */
+cron.schedule("* * * * *", async () => {
+  try {
+    const expired = await expireHolds();
+    if (expired > 0) logger.info(`⏳ Expired ${expired} slot hold(s)`);
+  } catch (err) {
+    logger.error("❌ Slot hold sweep failed", err);
+  }
+});
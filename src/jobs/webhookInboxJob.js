@@ -0,0 +1,16 @@
+import cron from "node-cron";
+import logger from "../utils/logger.js";
+import { processDueEvents } from "../services/webhookInboxService.js";
+
+/**
+ * Webhook inbox sweep — every minute.
+ * Retries failed events whose backoff has elapsed and recovers events left mid-processing by a crash.
+ */
+cron.schedule("* * * * *", async () => {
+  try {
+    const summary = await processDueEvents({ limit: 100 });
+    if (summary.picked > 0) logger.info("📬 Webhook inbox sweep", summary);
+  } catch (err) {
+    logger.error("❌ Webhook inbox sweep failed", err);
+  }
+});
@@ -0,0 +1,6 @@
+/**
+ * Wrap an async route handler so rejected promises reach the error handler
+ */
+const asyncHandler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+export default asyncHandler;
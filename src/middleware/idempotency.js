@@ -1,30 +1,153 @@
+import crypto from "crypto";
 import logger from "../utils/logger.js";
+import IdempotencyKey from "../models/IdempotencyKey.js";
 
-// Simple in-memory idempotency store (can be replaced with Redis for production)
-const processedKeys = new Map();
+const TTL_MS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24) * 60 * 60 * 1000;
+// How long an in-flight request holds its key before a retry may take it over
+const LOCK_MS = Number(process.env.IDEMPOTENCY_LOCK_SECONDS || 60) * 1000;
+const MAX_KEY_LENGTH = 255;
+
+/** JSON with sorted object keys, so the fingerprint doesn't depend on property order */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object" && value.constructor === Object) {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function fingerprintOf(req) {
+  return crypto
+    .createHash("sha256")
+    .update(stableStringify({ params: req.params || {}, body: req.body || {} }))
+    .digest("hex");
+}
 
 /**
- * Middleware to prevent duplicate webhook / API processing
+ * Idempotency-Key support for API mutations, backed by MongoDB (IdempotencyKey).
+ * Mount after `protect` — keys are scoped to the user and the route pattern.
+ *
+ * - first request: the key is locked, the handler runs, its status/body are stored
+ *   (whether it answers with res.json, res.send or a bare res.end)
+ * - retry with the same key and body: the stored response is replayed (Idempotent-Replayed: true)
+ * - same key, different body/params: 422
+ * - same key while the first request is still running: 409 (Retry-After)
+ * - 5xx responses are not stored, so the client can retry with the same key
+ * - a request that never answers keeps the key until its lock lapses (IDEMPOTENCY_LOCK_SECONDS)
+ *
+ * Options: { required } — reject requests without an Idempotency-Key header (default: optional)
  */
-export const idempotency = (req, res, next) => {
+export const idempotency = ({ required = false } = {}) => async (req, res, next) => {
+  const key = req.headers["idempotency-key"];
+  if (!key) {
+    if (required) return res.status(400).json({ success: false, message: "Missing Idempotency-Key header" });
+    return next();
+  }
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ success: false, message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const userId = req.user?.id || null;
+  const route = `${req.method} ${req.baseUrl}${req.route?.path || req.path}`;
+  const fingerprint = fingerprintOf(req);
+
+  let record;
   try {
-    const key = req.headers["idempotency-key"];
-    if (!key) {
-      return res.status(400).json({ message: "Missing Idempotency-Key header" });
-    }
+    const now = Date.now();
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        userId,
+        route,
+        fingerprint,
+        lockExpiresAt: new Date(now + LOCK_MS),
+        expiresAt: new Date(now + TTL_MS),
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
 
-    if (processedKeys.has(key)) {
-      logger.warn("Duplicate webhook detected", { key });
-      return res.status(200).json({ message: "Duplicate request ignored" });
-    }
+      const existing = await IdempotencyKey.findOne({ userId, route, key });
+      if (!existing) return res.status(409).json({ success: false, message: "Idempotency-Key conflict, please retry" });
+
+      if (existing.fingerprint !== fingerprint) {
+        logger.warn("Idempotency-Key reused with a different request", { key, route, userId });
+        return res.status(422).json({ success: false, message: "Idempotency-Key was already used for a different request" });
+      }
 
-    // Mark key as processed (expires after 1 hour)
-    processedKeys.set(key, Date.now());
-    setTimeout(() => processedKeys.delete(key), 3600 * 1000);
+      if (existing.state === "completed") {
+        logger.info("Idempotent replay", { key, route, userId });
+        res.set("Idempotent-Replayed", "true").status(existing.responseStatus);
+        if (existing.responseType === "empty") return res.end();
+        if (existing.responseType === "text") return res.type(existing.responseContentType || "text/html").send(existing.responseBody);
+        return res.json(existing.responseBody);
+      }
 
-    next();
+      // Still in flight — unless its lock lapsed (the original request died), in which case take it over
+      record = await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, state: "in_progress", lockExpiresAt: { $lt: new Date(now) } },
+        { $set: { lockExpiresAt: new Date(now + LOCK_MS) } },
+        { new: true }
+      );
+      if (!record) {
+        res.set("Retry-After", String(Math.ceil(LOCK_MS / 1000)));
+        return res.status(409).json({ success: false, message: "A request with this Idempotency-Key is still being processed" });
+      }
+    }
   } catch (err) {
     logger.error("Idempotency middleware failed", err);
-    res.status(500).json({ message: "Idempotency check failed" });
+    return res.status(500).json({ success: false, message: "Idempotency check failed" });
   }
+
+  // Capture the handler's response and store it against the key (the first of json / send / end wins:
+  // res.json goes through res.send, which goes through res.end). The response goes out once it is
+  // stored, so a retry sent as soon as it arrives is replayed rather than told the key is in flight.
+  let settled = false;
+  const settle = async (status, type, body = null, contentType = null) => {
+    if (settled) return;
+    settled = true;
+    try {
+      if (status >= 500) {
+        await IdempotencyKey.deleteOne({ _id: record._id });
+      } else {
+        await IdempotencyKey.updateOne(
+          { _id: record._id },
+          {
+            $set: {
+              state: "completed",
+              responseStatus: status,
+              responseType: type,
+              responseContentType: contentType,
+              responseBody: body ?? null,
+              completedAt: new Date(),
+              lockExpiresAt: null,
+            },
+          }
+        );
+      }
+    } catch (err) {
+      logger.error("Failed to store idempotent response", { key, route, error: err.message });
+    }
+  };
+
+  const after = (stored, send) => {
+    stored.then(send).catch(next);
+    return res;
+  };
+  const originalJson = res.json.bind(res);
+  res.json = (body) => after(settle(res.statusCode, "json", body), () => originalJson(body));
+  const originalSend = res.send.bind(res);
+  res.send = (body) => {
+    // res.send(object) hands over to res.json
+    if (typeof body !== "string" && !Buffer.isBuffer(body)) return originalSend(body);
+    const contentType = res.get("Content-Type") || (Buffer.isBuffer(body) ? "application/octet-stream" : "text/html");
+    return after(settle(res.statusCode, "text", String(body), contentType), () => originalSend(body));
+  };
+  const originalEnd = res.end.bind(res);
+  res.end = (...args) => after(settle(res.statusCode, "empty"), () => originalEnd(...args));
+  next();
 };
+
+export default idempotency;
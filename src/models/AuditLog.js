@@ -10,6 +10,7 @@ const AuditLogSchema = new mongoose.Schema(
     actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null => system
     action: { type: String, required: true },
     disputeId: { type: mongoose.Schema.Types.ObjectId, ref: "Dispute", default: null },
+    reportId: { type: mongoose.Schema.Types.ObjectId, ref: "ReconciliationReport", default: null },
     meta: { type: Object, default: {} },
     timestamp: { type: Date, default: Date.now },
   },
@@ -18,6 +19,7 @@ const AuditLogSchema = new mongoose.Schema(
 
 // index for quick lookup
 AuditLogSchema.index({ disputeId: 1 });
+AuditLogSchema.index({ reportId: 1 });
 AuditLogSchema.index({ actor: 1 });
 AuditLogSchema.index({ action: 1 });
 
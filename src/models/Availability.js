@@ -0,0 +1,77 @@
+// src/models/Availability.js
+import mongoose from "mongoose";
+import { isValidTimeZone, isDateString, isTimeString, minutesOf } from "../utils/timezone.js";
+
+const { Schema, model } = mongoose;
+
+// Opening window in local time; end "24:00" = until midnight
+const WindowSchema = new Schema(
+  {
+    start: { type: String, required: true, validate: isTimeString },
+    end: { type: String, required: true, validate: isTimeString },
+  },
+  { _id: false }
+);
+
+const WeeklyHoursSchema = new Schema(
+  {
+    weekday: { type: Number, required: true, min: 0, max: 6 }, // 0 = Sunday
+    start: { type: String, required: true, validate: isTimeString },
+    end: { type: String, required: true, validate: isTimeString },
+  },
+  { _id: false }
+);
+
+// Replaces the weekly hours for one date; no windows = closed that day
+const OverrideSchema = new Schema(
+  {
+    date: { type: String, required: true, validate: isDateString },
+    windows: { type: [WindowSchema], default: [] },
+  },
+  { _id: false }
+);
+
+// Whole days off, inclusive
+const BlackoutSchema = new Schema(
+  {
+    from: { type: String, required: true, validate: isDateString },
+    to: { type: String, required: true, validate: isDateString },
+    reason: { type: String, default: "" },
+  },
+  { _id: true }
+);
+
+/**
+ * A pro's bookable hours (one document per pro), read by availabilityService.
+ * All dates / times are wall-clock in `timezone`. Also the per-pro lock for slot holds: every hold
+ * bumps `version` inside its transaction, so concurrent holds on one pro conflict and retry.
+ */
+const AvailabilitySchema = new Schema(
+  {
+    proId: { type: Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    timezone: { type: String, default: process.env.DEFAULT_TIMEZONE || "Africa/Lagos", validate: isValidTimeZone },
+    weeklyHours: { type: [WeeklyHoursSchema], default: [] },
+    overrides: { type: [OverrideSchema], default: [] },
+    blackouts: { type: [BlackoutSchema], default: [] },
+    bufferMinutes: { type: Number, default: 0, min: 0, max: 24 * 60 }, // kept free before and after every gig
+    slotMinutes: { type: Number, default: 60, min: 15, max: 24 * 60 }, // default gig length offered in open slots
+    minNoticeHours: { type: Number, default: 0, min: 0 },
+    version: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+// Windows must run forwards; one override per date
+AvailabilitySchema.pre("validate", function (next) {
+  const windows = [...this.weeklyHours, ...this.overrides.flatMap((o) => o.windows)];
+  if (windows.some((w) => isTimeString(w.start) && isTimeString(w.end) && minutesOf(w.start) >= minutesOf(w.end))) {
+    this.invalidate("weeklyHours", "Every window must end after it starts");
+  }
+  const dates = this.overrides.map((o) => o.date);
+  if (new Set(dates).size !== dates.length) this.invalidate("overrides", "Only one override per date");
+  if (this.blackouts.some((b) => b.from > b.to)) this.invalidate("blackouts", "Blackout must end on or after its start");
+  next();
+});
+
+const Availability = mongoose.models.Availability || model("Availability", AvailabilitySchema);
+export default Availability;
@@ -0,0 +1,37 @@
+// src/models/Bid.js
+import mongoose from "mongoose";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES } from "../utils/money.js";
+
+const { Schema, model } = mongoose;
+
+/**
+ * A pro's bid on a gig (gigService). One bid per pro per gig; the pro may revise it while bidding is open.
+ * submitted <-> shortlisted (by the customer) -> accepted (became a booking) | rejected | withdrawn (by the pro)
+ */
+const BidSchema = new Schema(
+  {
+    gigId: { type: Schema.Types.ObjectId, ref: "Gig", required: true },
+    proId: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    customerId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+
+    amount: { type: Number, required: true, min: 0 },
+    currency: { type: String, enum: SUPPORTED_CURRENCIES, default: PLATFORM_CURRENCY },
+    message: { type: String, default: "", maxlength: 3000 },
+
+    status: {
+      type: String,
+      enum: ["submitted", "shortlisted", "accepted", "rejected", "withdrawn"],
+      default: "submitted",
+    },
+    shortlistedAt: { type: Date, default: null },
+    decidedAt: { type: Date, default: null },
+    bookingId: { type: Schema.Types.ObjectId, ref: "Booking", default: null },
+  },
+  { timestamps: true }
+);
+
+BidSchema.index({ gigId: 1, proId: 1 }, { unique: true });
+BidSchema.index({ gigId: 1, status: 1, amount: 1 });
+
+const Bid = mongoose.models.Bid || model("Bid", BidSchema);
+export default Bid;
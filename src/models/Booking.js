@@ -1,29 +1,183 @@
 import mongoose from "mongoose";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES, fromMinor, majorUnitVirtual } from "../utils/money.js";
+import fxService from "../services/fxService.js";
+import { BOOKING_STATUSES, ACTOR_ROLES, applyTransition, flushEvents } from "../services/bookingLifecycleService.js";
+import cancellationPolicyService from "../services/cancellationPolicyService.js";
 
 const { Schema, model } = mongoose;
 
+// Conditions a milestone must meet before the auto-settle job releases it
+export const MILESTONE_RELEASE_CONDITIONS = ["due_date", "event_completed", "customer_approval"];
+
+/**
+ * Payment milestone (deposit, balance, per-day instalment...).
+ * Each milestone is funded and released through its own Escrow (Escrow.milestoneId);
+ * status mirrors that escrow's state ("unfunded" until initialized).
+ */
+const MilestoneSchema = new Schema(
+  {
+    title: { type: String, required: true },
+    order: { type: Number, required: true },
+    amountMinor: { type: Number, required: true, min: 0, validate: Number.isInteger }, // `amount` in major units
+    dueDate: { type: Date, required: true },
+    releaseConditions: {
+      type: [{ type: String, enum: MILESTONE_RELEASE_CONDITIONS }],
+      default: ["due_date"],
+    },
+    customerApprovedAt: { type: Date, default: null },
+
+    escrowId: { type: Schema.Types.ObjectId, ref: "Escrow", default: null },
+    status: {
+      type: String,
+      enum: ["unfunded", "pending", "held", "releasing", "released", "refunded", "split", "disputed", "cancelled"],
+      default: "unfunded",
+    },
+    settledAt: { type: Date, default: null },
+  },
+  { _id: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+majorUnitVirtual(MilestoneSchema, "amount", "amountMinor", (milestone) => milestone.ownerDocument().currency);
+
+/** One status change, written by bookingLifecycleService.applyTransition */
+const StatusChangeSchema = new Schema(
+  {
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+    actorId: { type: Schema.Types.ObjectId, ref: "User", default: null }, // null = system
+    actorRole: { type: String, enum: ACTOR_ROLES, required: true },
+    reason: { type: String, default: "" },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/** The pro's cancellation policy as it was when the booking was made (cancellationPolicyService) */
+const CancellationPolicySnapshotSchema = new Schema(
+  {
+    name: { type: String, required: true },
+    tiers: [{ _id: false, minHoursBefore: { type: Number, required: true }, refundPercent: { type: Number, required: true } }],
+    snapshotAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * How a cancellation was settled, written by cancellationService.
+ * status: processing (money moving) -> settled | failed (retry allowed)
+ */
+const CancellationSchema = new Schema(
+  {
+    status: { type: String, enum: ["processing", "settled", "failed"], required: true },
+    cancelledBy: { type: String, enum: ACTOR_ROLES, required: true },
+    actorId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    reason: { type: String, default: "" },
+    hoursBeforeEvent: { type: Number },
+    refundPercent: { type: Number, min: 0, max: 100 },
+    currency: { type: String },
+    refundAmount: { type: Number, default: 0 },
+    proAmount: { type: Number, default: 0 }, // gross compensation released to the pro (commission comes off it)
+    refundReferences: { type: [String], default: [] },
+    releaseReferences: { type: [String], default: [] },
+    error: { type: String, default: "" },
+    requestedAt: { type: Date, default: Date.now },
+    settledAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+const GeoPointSchema = new Schema(
+  {
+    lat: { type: Number, min: -90, max: 90, required: true },
+    lng: { type: Number, min: -180, max: 180, required: true },
+    accuracy: { type: Number, min: 0, default: null }, // metres, as reported by the device
+  },
+  { _id: false }
+);
+
+/**
+ * Event-day record (attendanceService): the pro's check-in (confirmed with the one-time code the
+ * customer's app shows), check-out with photo proof, or the no-show that opened a dispute.
+ * codeHash / codeExpiresAt / codeAttempts belong to the customer's current check-in code.
+ */
+const AttendanceSchema = new Schema(
+  {
+    codeHash: { type: String, default: null, select: false },
+    codeExpiresAt: { type: Date, default: null },
+    codeAttempts: { type: Number, default: 0 },
+
+    checkInAt: { type: Date, default: null },
+    checkInLocation: { type: GeoPointSchema, default: null },
+    checkInConfirmedAt: { type: Date, default: null }, // code from the customer entered
+
+    checkOutAt: { type: Date, default: null },
+    checkOutLocation: { type: GeoPointSchema, default: null },
+    checkOutNote: { type: String, default: "", maxlength: 2000 },
+    proofPhotos: [{ _id: false, url: String, publicId: String, uploadedAt: Date }],
+
+    noShowAt: { type: Date, default: null },
+    noShowReportedBy: { type: String, enum: ["customer", "system", null], default: null },
+    noShowDisputeId: { type: Schema.Types.ObjectId, ref: "Dispute", default: null },
+  },
+  { _id: false }
+);
+
 const BookingSchema = new Schema(
   {
     customerId: { type: Schema.Types.ObjectId, ref: "User", required: true },
     proId: { type: Schema.Types.ObjectId, ref: "User", required: true },
 
     eventDate: { type: Date, required: true },
+    endDate: { type: Date, default: null },
+    // The pro's calendar slot (SlotReservation) backing this booking; null for bookings made before slots existed
+    reservationId: { type: Schema.Types.ObjectId, ref: "SlotReservation", default: null },
+    // Accepted quote the booking came from (quoteService); its total is locked in totalAmount
+    quoteId: { type: Schema.Types.ObjectId, ref: "Quote", default: null },
+    // Recurring series this booking is one occurrence of (bookingSeriesService); occurrenceStart is the
+    // rule's start for it, kept when the occurrence is moved
+    seriesId: { type: Schema.Types.ObjectId, ref: "BookingSeries", default: null },
+    occurrenceStart: { type: Date, default: null },
+    // Event package this booking is one pro of (eventPackageService)
+    packageId: { type: Schema.Types.ObjectId, ref: "EventPackage", default: null, index: true },
 
+    // Changed only through bookingLifecycleService (enforced in pre-validate)
     status: {
       type: String,
-      enum: ["pending", "confirmed", "in_progress", "completed", "cancelled"],
+      enum: BOOKING_STATUSES,
       default: "pending",
     },
+    statusHistory: { type: [StatusChangeSchema], default: [] },
+
+    cancellationPolicy: { type: CancellationPolicySnapshotSchema, default: null },
+    cancellation: { type: CancellationSchema, default: null },
+    attendance: { type: AttendanceSchema }, // absent until the first check-in code / check-in
+    // When the booking reached "completed"; the escrow grace period (settleEscrow) runs from here
+    completedAt: { type: Date, default: null },
+
+    // Charged, held and paid out in this currency; amounts are stored in its minor units (kobo, cents)
+    // and read / written in major units through totalAmount / escrowAmount
+    currency: { type: String, enum: SUPPORTED_CURRENCIES, default: PLATFORM_CURRENCY },
+    totalAmountMinor: { type: Number, required: true, validate: Number.isInteger },
+    escrowAmountMinor: { type: Number, default: 0, validate: Number.isInteger },
 
-    totalAmount: { type: Number, required: true },
-    escrowAmount: { type: Number, default: 0 },
+    // Exchange rate to the reporting currency, frozen when the booking is created (fxService.snapshotFor)
+    fx: {
+      currency: { type: String },
+      reportingCurrency: { type: String },
+      rate: { type: Number },
+      source: { type: String },
+      rateAt: { type: Date },
+      capturedAt: { type: Date },
+    },
 
     paymentStatus: {
       type: String,
-      enum: ["unpaid", "pending", "escrowed", "released", "refunded", "failed"],
+      enum: ["unpaid", "pending", "escrowed", "partially_settled", "released", "refunded", "split", "failed"],
       default: "unpaid",
     },
 
+    // Optional: ordered payment milestones; when present they must add up to totalAmount
+    milestones: { type: [MilestoneSchema], default: [] },
+
     paymentGateway: { type: String, default: null },
     escrowId: { type: Schema.Types.ObjectId, ref: "Escrow", default: null },
     contractURL: { type: String, default: null },
@@ -43,11 +197,154 @@ const BookingSchema = new Schema(
     paymentReleased: { type: Boolean, default: false },
     settledAt: { type: Date },
   },
-  { timestamps: true }
+  { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
 );
 
+majorUnitVirtual(BookingSchema, "totalAmount", "totalAmountMinor");
+majorUnitVirtual(BookingSchema, "escrowAmount", "escrowAmountMinor");
+
 BookingSchema.index({ customerId: 1 });
 BookingSchema.index({ proId: 1 });
 BookingSchema.index({ status: 1, paymentStatus: 1 });
+// One booking per series occurrence
+BookingSchema.index({ seriesId: 1, occurrenceStart: 1 }, { unique: true, partialFilterExpression: { seriesId: { $type: "objectId" } } });
+
+// Milestones must be uniquely ordered and cover the booking total exactly (to the minor unit)
+BookingSchema.pre("validate", function (next) {
+  if (!this.isNew && this.isModified("status") && this.$locals.statusTransition !== this.status) {
+    this.invalidate("status", "Booking status must be changed through bookingLifecycleService");
+  }
+  if (!this.isNew && this.quoteId && (this.isModified("totalAmountMinor") || this.isModified("currency"))) {
+    this.invalidate("totalAmountMinor", "The price was agreed in the accepted quote and cannot change");
+  }
+  if (this.milestones?.length) {
+    const orders = this.milestones.map((m) => m.order);
+    if (new Set(orders).size !== orders.length) {
+      this.invalidate("milestones", "Milestone order values must be unique");
+    }
+    const total = this.milestones.reduce((sum, m) => sum + m.amountMinor, 0);
+    if (total !== this.totalAmountMinor) {
+      this.invalidate("milestones", `Milestones (${fromMinor(total, this.currency)}) must add up to the booking total (${this.totalAmount})`);
+    }
+    this.milestones.sort((a, b) => a.order - b.order);
+  }
+  next();
+});
+
+// Snapshot the exchange rate at booking time (cached / stored rate, in the booking's session); reports convert with it later
+BookingSchema.pre("save", async function () {
+  if (!this.isNew || this.fx?.rate) return;
+  const snapshot = await fxService.snapshotFor(this.currency, { session: this.$session() });
+  if (snapshot) this.fx = snapshot;
+});
+
+// Freeze the pro's cancellation policy; later policy changes don't apply to this booking
+BookingSchema.pre("save", async function () {
+  if (!this.isNew || this.cancellationPolicy?.name) return;
+  this.cancellationPolicy = await cancellationPolicyService.snapshotFor(this.proId);
+});
+
+// Status changes are announced once they are stored (committed, when saved in a transaction)
+BookingSchema.post("save", function (doc) {
+  flushEvents(doc);
+});
+
+/**
+ * Which of a milestone's release conditions are still unmet.
+ * Empty array means the milestone may be auto-released.
+ */
+BookingSchema.methods.unmetMilestoneConditions = function (milestone, now = new Date()) {
+  return (milestone.releaseConditions || []).filter((condition) => {
+    if (condition === "due_date") return new Date(milestone.dueDate) > now;
+    if (condition === "event_completed") return this.status !== "completed";
+    if (condition === "customer_approval") return !milestone.customerApprovedAt;
+    return true;
+  });
+};
+
+/**
+ * Mirror an escrow's balances onto the booking's quick-view payment fields.
+ * Escrow stays authoritative; caller saves.
+ */
+BookingSchema.methods.syncPaymentFromEscrow = function (escrow) {
+  if (escrow.milestoneId) return this.syncMilestoneFromEscrow(escrow);
+
+  const now = new Date();
+  this.escrowId = escrow._id;
+  this.escrowAmountMinor = escrow.amountMinor;
+
+  switch (escrow.state) {
+    case "released":
+      this.paymentStatus = "released";
+      this.paymentReleased = true;
+      this.settledAt = this.settledAt || now;
+      applyTransition(this, "completed", { reason: "escrow_released", ifAllowed: true });
+      break;
+    case "refunded":
+      this.paymentStatus = "refunded";
+      applyTransition(this, "cancelled", { reason: "escrow_refunded", ifAllowed: true });
+      break;
+    case "split":
+      this.paymentStatus = "split";
+      this.paymentReleased = true;
+      this.settledAt = this.settledAt || now;
+      break;
+    case "held":
+    case "releasing":
+    case "disputed": {
+      const moved = escrow.movements?.some((m) => m.status === "success");
+      this.paymentStatus = moved ? "partially_settled" : "escrowed";
+      this.paymentReleased = false;
+      this.settledAt = null;
+      break;
+    }
+    default:
+      break;
+  }
+  return this;
+};
+
+/**
+ * Milestone bookings: mirror one milestone escrow onto its milestone, then derive the
+ * booking's payment fields from all milestones. Caller saves.
+ */
+BookingSchema.methods.syncMilestoneFromEscrow = function (escrow) {
+  const milestone = this.milestones.id(escrow.milestoneId);
+  if (!milestone) return this;
+
+  const now = new Date();
+  milestone.escrowId = escrow._id;
+  milestone.status = escrow.state;
+  if (["released", "refunded", "split"].includes(escrow.state)) {
+    milestone.settledAt = milestone.settledAt || now;
+  }
+
+  const statuses = this.milestones.map((m) => m.status);
+  const settled = ["released", "refunded", "split"];
+  const funded = ["held", "releasing", "disputed", ...settled];
+
+  this.escrowAmountMinor = this.milestones.filter((m) => funded.includes(m.status)).reduce((sum, m) => sum + m.amountMinor, 0);
+
+  if (statuses.every((s) => s === "released")) {
+    this.paymentStatus = "released";
+    this.paymentReleased = true;
+    this.settledAt = this.settledAt || now;
+    applyTransition(this, "completed", { reason: "milestones_released", ifAllowed: true });
+  } else if (statuses.every((s) => s === "refunded")) {
+    this.paymentStatus = "refunded";
+    applyTransition(this, "cancelled", { reason: "milestones_refunded", ifAllowed: true });
+  } else if (statuses.every((s) => settled.includes(s))) {
+    this.paymentStatus = "split";
+    this.paymentReleased = true;
+    this.settledAt = this.settledAt || now;
+  } else if (statuses.some((s) => settled.includes(s))) {
+    this.paymentStatus = "partially_settled";
+  } else if (statuses.some((s) => funded.includes(s))) {
+    this.paymentStatus = "escrowed";
+  } else if (statuses.some((s) => s === "pending")) {
+    this.paymentStatus = "pending";
+  }
+  return this;
+};
 
 export default model("Booking", BookingSchema);
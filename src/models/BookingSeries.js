@@ -0,0 +1,66 @@
+// src/models/BookingSeries.js
+import mongoose from "mongoose";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES } from "../utils/money.js";
+
+const { Schema, model } = mongoose;
+
+/** A change to one occurrence, keyed by the rule's start for it */
+const SeriesExceptionSchema = new Schema(
+  {
+    occurrenceStart: { type: Date, required: true },
+    action: { type: String, enum: ["skip", "change"], required: true },
+    start: { type: Date, default: null }, // "change": the new time
+    end: { type: Date, default: null },
+    reason: { type: String, default: "" },
+    by: { type: String, enum: ["customer", "pro", "admin", "system"], required: true },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * A recurring booking between a customer and a pro (bookingSeriesService).
+ * Occurrences follow `rrule` from firstStart in the series timezone; each one becomes its own Booking
+ * (Booking.seriesId) ahead of time and is funded through its own escrow.
+ * active -> cancelled (rest of the series cancelled) | completed (last occurrence passed)
+ */
+const BookingSeriesSchema = new Schema(
+  {
+    customerId: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    proId: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    title: { type: String, required: true, trim: true, maxlength: 200 },
+    location: { type: String, default: "" },
+    notes: { type: String, default: "", maxlength: 3000 },
+
+    frequency: { type: String, enum: ["weekly", "biweekly", "monthly", "custom"], required: true },
+    rrule: { type: String, required: true }, // normalized, always bounded by COUNT or UNTIL
+    timezone: { type: String, required: true },
+    firstStart: { type: Date, required: true },
+    durationMinutes: { type: Number, required: true, min: 15 },
+    occurrenceCount: { type: Number, required: true, min: 1 },
+    lastStart: { type: Date, required: true },
+
+    amountPerOccurrence: { type: Number, required: true, min: 0 },
+    currency: { type: String, enum: SUPPORTED_CURRENCIES, default: PLATFORM_CURRENCY },
+    gateway: { type: String, default: "paystack" },
+
+    exceptions: { type: [SeriesExceptionSchema], default: [] },
+    // Occurrences up to here have been turned into bookings
+    materializedUntil: { type: Date, default: null },
+
+    status: { type: String, enum: ["active", "cancelled", "completed"], default: "active", index: true },
+    cancelledAt: { type: Date, default: null },
+    cancelledBy: { type: String, default: null },
+    cancelReason: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+/** The exception recorded for an occurrence, if any */
+BookingSeriesSchema.methods.exceptionFor = function (occurrenceStart) {
+  const at = new Date(occurrenceStart).getTime();
+  return this.exceptions.find((e) => e.occurrenceStart.getTime() === at) || null;
+};
+
+const BookingSeries = mongoose.models.BookingSeries || model("BookingSeries", BookingSeriesSchema);
+export default BookingSeries;
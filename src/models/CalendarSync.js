@@ -0,0 +1,52 @@
+// src/models/CalendarSync.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+// A busy period from an external calendar; treated as a blackout by availabilityService
+const BusyBlockSchema = new Schema(
+  {
+    uid: { type: String, default: "" },
+    summary: { type: String, default: "" },
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    allDay: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+/**
+ * An external calendar a pro imported — by URL (refreshed on a schedule) or as a one-off file.
+ * Each sync replaces `blocks` with the calendar's current busy events.
+ */
+const CalendarImportSchema = new Schema(
+  {
+    name: { type: String, default: "" },
+    url: { type: String, default: null }, // null = uploaded file, not refreshed
+    blocks: { type: [BusyBlockSchema], default: [] },
+    lastSyncedAt: { type: Date, default: null },
+    lastStatus: { type: String, enum: ["pending", "ok", "failed"], default: "pending" },
+    lastError: { type: String, default: "" },
+  },
+  { _id: true, timestamps: true }
+);
+
+/**
+ * Calendar sync settings per pro (calendarSyncService)
+ * - feedToken: secret in the private ICS feed URL of the pro's bookings
+ * - imports: external calendars whose busy time blocks the pro's availability
+ */
+const CalendarSyncSchema = new Schema(
+  {
+    proId: { type: Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    feedToken: { type: String, default: null },
+    imports: { type: [CalendarImportSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+CalendarSyncSchema.index({ feedToken: 1 }, { unique: true, partialFilterExpression: { feedToken: { $type: "string" } } });
+CalendarSyncSchema.index({ "imports.url": 1 });
+
+const CalendarSync = mongoose.models.CalendarSync || model("CalendarSync", CalendarSyncSchema);
+export default CalendarSync;
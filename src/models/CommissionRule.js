@@ -0,0 +1,51 @@
+// src/models/CommissionRule.js
+import mongoose from "mongoose";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES } from "../utils/money.js";
+
+const { Schema, model } = mongoose;
+
+/**
+ * Platform commission rule: percent of the gross payout plus a flat fee (charged once per booking).
+ * Rules are matched against the pro (tier, organization plan, verified / boosted);
+ * the active matching rule with the highest priority wins, otherwise the env default applies.
+ * Empty match arrays / null flags mean "any". The flat fee is in `currency`, so a rule with a flat fee
+ * only matches bookings in that currency; percent-only rules match any currency.
+ */
+const CommissionRuleSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: "" },
+
+    percent: { type: Number, required: true, min: 0, max: 100 },
+    flatFee: { type: Number, default: 0, min: 0 },
+    currency: { type: String, enum: SUPPORTED_CURRENCIES, default: PLATFORM_CURRENCY },
+
+    match: {
+      tiers: { type: [{ type: String, enum: ["Bronze", "Silver", "Gold", "Platinum"] }], default: [] },
+      subscriptionPlans: { type: [{ type: String, enum: ["none", "free", "pro", "enterprise"] }], default: [] },
+      verified: { type: Boolean, default: null },
+      boosted: { type: Boolean, default: null },
+    },
+
+    priority: { type: Number, default: 0 },
+    active: { type: Boolean, default: true, index: true },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+CommissionRuleSchema.index({ active: 1, priority: -1 });
+
+/** Does this rule apply to a pro context ({ tier, subscriptionPlan, verified, boosted, currency })? */
+CommissionRuleSchema.methods.matches = function (ctx) {
+  const { tiers, subscriptionPlans, verified, boosted } = this.match || {};
+  if (this.flatFee > 0 && ctx.currency && this.currency !== ctx.currency) return false;
+  if (tiers?.length && !tiers.includes(ctx.tier)) return false;
+  if (subscriptionPlans?.length && !subscriptionPlans.includes(ctx.subscriptionPlan)) return false;
+  if (verified !== null && verified !== undefined && verified !== ctx.verified) return false;
+  if (boosted !== null && boosted !== undefined && boosted !== ctx.boosted) return false;
+  return true;
+};
+
+const CommissionRule = mongoose.models.CommissionRule || model("CommissionRule", CommissionRuleSchema);
+export default CommissionRule;
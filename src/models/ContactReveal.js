@@ -0,0 +1,37 @@
+// src/models/ContactReveal.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+/**
+ * Phone / WhatsApp one party of a paid booking chose to show the other (contactRevealService).
+ * Scoped to the booking and its conversation; ends when the sharer withdraws it, the booking is
+ * cancelled or refunded, or expiresAt (after the event) passes. Ended reveals are kept as the log.
+ */
+const ContactRevealSchema = new Schema(
+  {
+    bookingId: { type: Schema.Types.ObjectId, ref: "Booking", required: true, index: true },
+    // The booking's conversation, where contact screening is relaxed while this is active
+    conversationId: { type: Schema.Types.ObjectId, ref: "Conversation", required: true },
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true }, // who shared
+    recipientId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+
+    phone: { type: String, default: null },
+    whatsapp: { type: String, default: null },
+
+    status: { type: String, enum: ["active", "withdrawn", "expired"], default: "active" },
+    expiresAt: { type: Date, required: true },
+    endedAt: { type: Date, default: null },
+    // withdrawn | booking_cancelled | payment_refunded | event_over
+    endReason: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+// One live reveal per sharer and booking
+ContactRevealSchema.index({ bookingId: 1, userId: 1 }, { unique: true, partialFilterExpression: { status: "active" } });
+ContactRevealSchema.index({ conversationId: 1, status: 1, expiresAt: 1 });
+ContactRevealSchema.index({ status: 1, expiresAt: 1 });
+
+const ContactReveal = mongoose.models.ContactReveal || model("ContactReveal", ContactRevealSchema);
+export default ContactReveal;
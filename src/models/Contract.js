@@ -0,0 +1,62 @@
+// src/models/Contract.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+/** One party's signature, with the evidence of how and where it was given */
+const SignatureSchema = new Schema(
+  {
+    role: { type: String, enum: ["customer", "pro"], required: true },
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    name: { type: String, required: true, trim: true, maxlength: 120 }, // typed legal name
+    method: { type: String, enum: ["typed", "drawn"], required: true },
+    // "drawn": the strokes captured on the signing canvas, in its pixels
+    drawing: {
+      width: { type: Number },
+      height: { type: Number },
+      strokes: { type: [[[Number]]], default: undefined },
+    },
+    termsHash: { type: String, required: true }, // the terms this signature agreed to
+    signedAt: { type: Date, required: true },
+    ip: { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+/**
+ * Contract for a booking (contractService), generated when the booking is confirmed.
+ * `terms` is the frozen snapshot the PDF is rendered from; termsHash fingerprints it. When the
+ * booking's terms change before both parties have signed, the contract is superseded by a new version.
+ * awaiting_signatures -> partially_signed -> signed; any unsigned state -> superseded
+ */
+const ContractSchema = new Schema(
+  {
+    bookingId: { type: Schema.Types.ObjectId, ref: "Booking", required: true },
+    version: { type: Number, required: true, min: 1 },
+    number: { type: String, required: true }, // shown on the document, e.g. GVZ-C-6F1A2B3C-1
+
+    terms: { type: Schema.Types.Mixed, required: true },
+    termsHash: { type: String, required: true },
+
+    status: { type: String, enum: ["awaiting_signatures", "partially_signed", "signed", "superseded"], default: "awaiting_signatures", index: true },
+    signatures: { type: [SignatureSchema], default: [] },
+
+    unsignedUrl: { type: String, default: null },
+    signedUrl: { type: String, default: null },
+    storageIds: { type: [String], default: [] }, // uploadService public ids
+    generatedAt: { type: Date, default: Date.now },
+    signedAt: { type: Date, default: null },
+    supersededAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+ContractSchema.index({ bookingId: 1, version: 1 }, { unique: true });
+
+ContractSchema.methods.signatureOf = function (role) {
+  return this.signatures.find((s) => s.role === role) || null;
+};
+
+const Contract = mongoose.models.Contract || model("Contract", ContractSchema);
+export default Contract;
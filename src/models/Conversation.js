@@ -0,0 +1,52 @@
+// src/models/Conversation.js
+import mongoose from "mongoose";
+
+/** One participant's view of the conversation: unread count, read marker, archive and mute */
+const memberSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    unread: { type: Number, default: 0, min: 0 },
+    lastReadAt: { type: Date, default: null },
+    archivedAt: { type: Date, default: null }, // cleared when a new message arrives
+    mutedUntil: { type: Date, default: null }, // no badge count while muted
+  },
+  { _id: false }
+);
+
+/**
+ * Conversation between users (messageService). General ones are keyed by their participants;
+ * a booking's conversation is unique per booking. Quotes reuse the customer and pro's general one.
+ */
+const conversationSchema = new mongoose.Schema(
+  {
+    participants: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    members: { type: [memberSchema], default: [] },
+
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", default: null },
+    quoteId: { type: mongoose.Schema.Types.ObjectId, ref: "Quote", default: null },
+
+    lastMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    lastMessageAt: { type: Date, default: Date.now }, // conversation lists sort on this
+  },
+  { timestamps: true }
+);
+
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+conversationSchema.index({ bookingId: 1 }, { unique: true, partialFilterExpression: { bookingId: { $type: "objectId" } } });
+
+conversationSchema.methods.memberOf = function (userId) {
+  return this.members.find((m) => String(m.userId) === String(userId)) || null;
+};
+
+const Conversation = mongoose.models.Conversation || mongoose.model("Conversation", conversationSchema);
+
+export default Conversation;
@@ -1,21 +1,60 @@
 // src/models/Escrow.js
 import mongoose from "mongoose";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES, toMinor, fromMinor, majorUnitVirtual } from "../utils/money.js";
 
 const { Schema, model } = mongoose;
 
+// Which running balance each movement type draws the held amount into (stored in minor units)
+const BALANCE_FIELDS = { release: "amountReleasedMinor", refund: "amountRefundedMinor", fee: "amountFeeMinor" };
+const BALANCES = ["amountHeld", "amountReleased", "amountRefunded", "amountFee"];
+
+const major = (escrow, n) => fromMinor(n, escrow.currency);
+
+/**
+ * One movement of money out of the held balance.
+ * Releases and refunds start pending (gateway transfer / refund) and are completed once the gateway answers
+ * (payoutService.applyTransferOutcome, escrowService refunds); fees are recorded as success immediately.
+ */
+const MovementSchema = new Schema(
+  {
+    type: { type: String, enum: ["release", "refund", "fee"], required: true },
+    // "commission" fees are taken automatically on releases (see commissionService); "manual" = admin / dispute
+    source: { type: String, enum: ["manual", "commission"], default: "manual" },
+    amountMinor: { type: Number, required: true, validate: Number.isInteger }, // `amount` in major units
+    status: { type: String, enum: ["pending", "success", "failed", "reversed"], default: "success" },
+    reference: { type: String },
+    note: { type: String, default: "" },
+    initiatedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    createdAt: { type: Date, default: Date.now },
+    completedAt: { type: Date, default: null },
+  },
+  { _id: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+majorUnitVirtual(MovementSchema, "amount", "amountMinor", (movement) => movement.ownerDocument().currency);
+
 const EscrowSchema = new Schema(
   {
     bookingId: {
       type: Schema.Types.ObjectId,
       ref: "Booking",
       required: true,
-      unique: true,
     },
-    amount: { type: Number, required: true },
+    // Booking.milestones[]._id for milestone bookings; null for a single lump-sum escrow
+    milestoneId: { type: Schema.Types.ObjectId, default: null },
+    currency: { type: String, enum: SUPPORTED_CURRENCIES, default: PLATFORM_CURRENCY }, // the booking's currency
+    // Total funded amount in minor units of `currency` (kobo, cents); `amount` reads / writes it in major units
+    amountMinor: { type: Number, required: true, validate: Number.isInteger },
+
+    // Running balances, minor units (amountHeld etc. in major) — invariant: held + released + refunded + fee === amount
+    amountHeldMinor: { type: Number, default: 0, validate: Number.isInteger },
+    amountReleasedMinor: { type: Number, default: 0, validate: Number.isInteger },
+    amountRefundedMinor: { type: Number, default: 0, validate: Number.isInteger },
+    amountFeeMinor: { type: Number, default: 0, validate: Number.isInteger },
+    movements: { type: [MovementSchema], default: [] },
 
     state: {
       type: String,
-      enum: ["pending", "held", "released", "refunded", "disputed", "cancelled"],
+      enum: ["pending", "held", "releasing", "released", "refunded", "split", "disputed", "cancelled"],
       default: "pending",
       index: true,
     },
@@ -29,14 +68,125 @@ const EscrowSchema = new Schema(
     scheduledReleaseAt: { type: Date, default: null },
     initiatedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
   },
-  { timestamps: true }
+  { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
 );
 
+majorUnitVirtual(EscrowSchema, "amount", "amountMinor");
+BALANCES.forEach((field) => majorUnitVirtual(EscrowSchema, field, `${field}Minor`));
+
+// One escrow per booking milestone (milestoneId null = one lump-sum escrow per booking)
+EscrowSchema.index({ bookingId: 1, milestoneId: 1 }, { unique: true });
+
 // Lookups
 EscrowSchema.index({ bookingId: 1, state: 1 });
 EscrowSchema.index({ gatewayReference: 1 }); // single definition only
 
+// Balances must always add up (to the minor unit) once money has started moving
+EscrowSchema.pre("validate", function (next) {
+  if (this.movements?.length) {
+    const fields = BALANCES.map((f) => `${f}Minor`);
+    if (fields.some((f) => this[f] < 0)) {
+      this.invalidate("amountHeldMinor", "Escrow balances cannot be negative");
+    }
+    const total = fields.reduce((sum, f) => sum + this[f], 0);
+    if (total !== this.amountMinor) {
+      this.invalidate("amountHeldMinor", `Escrow balances (${major(this, total)}) do not add up to the funded amount (${this.amount})`);
+    }
+  }
+  next();
+});
+
 // --- Instance methods ---
+
+/** Mark the escrow funded: the whole amount becomes the held balance */
+EscrowSchema.methods.fund = function (amount = this.amount) {
+  this.amount = amount;
+  this.state = "held";
+  if (!this.movements?.length) this.amountHeldMinor = this.amountMinor;
+  return this;
+};
+
+/** Backfill amountHeld for escrows funded before running balances existed */
+EscrowSchema.methods.ensureHeldBalance = function () {
+  const funded = ["held", "disputed"].includes(this.state);
+  if (funded && !this.movements?.length && !this.amountHeldMinor) {
+    this.amountHeldMinor = this.amountMinor;
+  }
+  return this;
+};
+
+/** Derive state from balances: held while money remains, then released | refunded | split */
+EscrowSchema.methods.refreshState = function () {
+  if (["pending", "cancelled"].includes(this.state)) return this.state;
+
+  if (this.amountHeldMinor > 0) {
+    if (this.state !== "disputed") this.state = "held";
+  } else if (this.movements.some((m) => m.status === "pending")) {
+    this.state = "releasing";
+  } else if (this.amountRefundedMinor === 0) {
+    this.state = "released";
+  } else if (this.amountReleasedMinor === 0) {
+    this.state = "refunded";
+  } else {
+    this.state = "split";
+  }
+  return this.state;
+};
+
+/**
+ * Move part of the held balance into released / refunded / fee.
+ * Throws if the amount exceeds what is still held. Caller saves.
+ */
+EscrowSchema.methods.applyMovement = function ({ type, amount, status = "success", reference, note = "", initiatedBy = null, source = "manual" }) {
+  if (!BALANCE_FIELDS[type]) throw new Error(`Unknown escrow movement type: ${type}`);
+  this.ensureHeldBalance();
+
+  const value = toMinor(amount, this.currency);
+  if (!(value > 0)) throw new Error("Movement amount must be greater than zero");
+  if (value > this.amountHeldMinor) {
+    throw new Error(`Movement of ${major(this, value)} exceeds held amount (${this.amountHeld})`);
+  }
+
+  this.amountHeldMinor -= value;
+  this[BALANCE_FIELDS[type]] += value;
+  this.movements.push({ type, amountMinor: value, status, reference, note, initiatedBy, source });
+  this.refreshState();
+  return this.movements[this.movements.length - 1];
+};
+
+/** Commission already taken from this escrow (fee movements with source "commission") */
+EscrowSchema.methods.commissionTaken = function () {
+  return major(
+    this,
+    (this.movements || [])
+      .filter((m) => m.type === "fee" && m.source === "commission" && m.status === "success")
+      .reduce((sum, m) => sum + m.amountMinor, 0)
+  );
+};
+
+/**
+ * Finish a pending movement (or reverse a successful one).
+ * failed / reversed put the amount back into the held balance. Caller saves.
+ */
+EscrowSchema.methods.completeMovement = function (reference, outcome) {
+  const movement = this.movements.find((m) => m.reference === reference);
+  if (!movement) return null;
+
+  const fromPending = movement.status === "pending" && ["success", "failed"].includes(outcome);
+  const reversal = movement.status === "success" && outcome === "reversed";
+  if (!fromPending && !reversal) return null;
+
+  movement.status = outcome;
+  movement.completedAt = new Date();
+  if (outcome !== "success") {
+    const field = BALANCE_FIELDS[movement.type];
+    this[field] -= movement.amountMinor;
+    this.amountHeldMinor += movement.amountMinor;
+  }
+  this.refreshState();
+  return movement;
+};
+
 EscrowSchema.methods.markReleased = async function (note = "") {
   this.state = "released";
   if (note) {
@@ -55,4 +205,19 @@ EscrowSchema.methods.markRefunded = async function (note = "") {
   return this;
 };
 
+// --- Statics ---
+
+/**
+ * Escrows used to be unique per booking; milestone bookings need one per milestone.
+ * Drops the old unique bookingId index on existing deployments (no-op when already gone).
+ */
+EscrowSchema.statics.dropLegacyIndexes = async function () {
+  const indexes = await this.collection.indexes().catch(() => []);
+  if (indexes.some((i) => i.name === "bookingId_1" && i.unique)) {
+    await this.collection.dropIndex("bookingId_1");
+    return true;
+  }
+  return false;
+};
+
 export default model("Escrow", EscrowSchema);
@@ -0,0 +1,84 @@
+// src/models/EventPackage.js
+import mongoose from "mongoose";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES } from "../utils/money.js";
+
+const { Schema, model } = mongoose;
+
+/**
+ * One pro slot of an event (DJ, MC, photographer...). Each pro the customer books for it gets a Booking
+ * (Booking.packageId); when that pro declines or lets the invitation lapse, the item can be given to
+ * another pro — the old booking stays in `history`.
+ * open (no pro yet) -> invited -> accepted; invited / accepted -> declined | expired | cancelled;
+ * any -> removed (dropped by the customer)
+ */
+const PackageItemSchema = new Schema({
+  category: { type: String, required: true, trim: true, lowercase: true, maxlength: 60 },
+  proId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  bookingId: { type: Schema.Types.ObjectId, ref: "Booking", default: null },
+  amount: { type: Number, default: 0, min: 0 },
+  status: {
+    type: String,
+    enum: ["open", "invited", "accepted", "declined", "expired", "cancelled", "removed"],
+    default: "open",
+  },
+  respondBy: { type: Date, default: null },
+  respondedAt: { type: Date, default: null },
+  reason: { type: String, default: "" },
+  history: [{ _id: false, proId: Schema.Types.ObjectId, bookingId: Schema.Types.ObjectId, status: String, at: Date }],
+});
+
+/** Shared event timeline: status changes, notes and run-of-show entries (startsAt) */
+const TimelineEntrySchema = new Schema(
+  {
+    kind: { type: String, enum: ["status", "note", "schedule"], default: "status" },
+    message: { type: String, required: true, maxlength: 2000 },
+    startsAt: { type: Date, default: null },
+    itemId: { type: Schema.Types.ObjectId, default: null },
+    by: { type: String, enum: ["customer", "pro", "admin", "system"], default: "system" },
+    userId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
+/**
+ * A customer's event with several pros booked together (eventPackageService): one date, venue and
+ * budget, one payment split into an escrow per booking, one timeline shared with every pro on it.
+ * planning -> ready (every pro accepted) -> booked (all paid) | cancelled; back to planning when a pro drops out
+ */
+const EventPackageSchema = new Schema(
+  {
+    customerId: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    title: { type: String, required: true, trim: true, maxlength: 200 },
+    description: { type: String, default: "", maxlength: 3000 },
+    eventDate: { type: Date, required: true },
+    durationMinutes: { type: Number, required: true, min: 15 },
+    venue: { type: String, default: "", maxlength: 300 },
+    budget: { type: Number, default: null, min: 0 },
+    currency: { type: String, enum: SUPPORTED_CURRENCIES, default: PLATFORM_CURRENCY },
+
+    items: { type: [PackageItemSchema], default: [] },
+    timeline: { type: [TimelineEntrySchema], default: [] },
+
+    status: { type: String, enum: ["planning", "ready", "booked", "cancelled"], default: "planning", index: true },
+    // Group charges made for the package (escrowService.initializeGroupEscrow)
+    payments: [{ _id: false, reference: String, amount: Number, bookingIds: [Schema.Types.ObjectId], at: Date }],
+    cancelledAt: { type: Date, default: null },
+    cancelReason: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+EventPackageSchema.index({ "items.proId": 1 });
+EventPackageSchema.index({ "items.bookingId": 1 });
+
+/** Items still part of the event */
+EventPackageSchema.methods.activeItems = function () {
+  return this.items.filter((item) => ["open", "invited", "accepted"].includes(item.status));
+};
+
+EventPackageSchema.methods.itemForBooking = function (bookingId) {
+  return this.items.find((item) => item.bookingId && String(item.bookingId) === String(bookingId)) || null;
+};
+
+export default model("EventPackage", EventPackageSchema);
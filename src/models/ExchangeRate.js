@@ -0,0 +1,25 @@
+// src/models/ExchangeRate.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+/**
+ * Exchange rate observation: 1 `base` = `rate` `quote`.
+ * Written by fxService each time it fetches a rate; the newest row per pair is the cached rate and
+ * older rows are kept so snapshots taken at booking time can be traced back to their source.
+ */
+const ExchangeRateSchema = new Schema(
+  {
+    base: { type: String, required: true, uppercase: true },
+    quote: { type: String, required: true, uppercase: true },
+    rate: { type: Number, required: true, min: 0 },
+    source: { type: String, default: "provider" }, // provider | env | manual
+    fetchedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: false }
+);
+
+ExchangeRateSchema.index({ base: 1, quote: 1, fetchedAt: -1 });
+
+const ExchangeRate = mongoose.models.ExchangeRate || model("ExchangeRate", ExchangeRateSchema);
+export default ExchangeRate;
@@ -0,0 +1,57 @@
+// src/models/Gig.js
+import mongoose from "mongoose";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES } from "../utils/money.js";
+
+const { Schema, model } = mongoose;
+
+/**
+ * An event brief on the public gig board; pros bid on it (gigService).
+ * open (taking bids) -> bidding_closed (deadline passed, customer can still accept) -> awarded (a bid became a booking)
+ * open | bidding_closed -> cancelled (customer closed it) | expired (event date passed without an award)
+ * "awarding" is the short claim while an accepted bid is being booked.
+ */
+const GigSchema = new Schema(
+  {
+    customerId: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    title: { type: String, required: true, trim: true, maxlength: 200 },
+    description: { type: String, default: "", maxlength: 5000 },
+    category: { type: String, required: true, trim: true, lowercase: true },
+    requiredSkills: { type: [{ type: String, trim: true, lowercase: true }], default: [] },
+
+    eventDate: { type: Date, required: true },
+    durationMinutes: { type: Number, required: true, min: 15 },
+    location: { type: String, required: true, trim: true },
+
+    budgetMin: { type: Number, required: true, min: 0 },
+    budgetMax: { type: Number, required: true, min: 0 },
+    currency: { type: String, enum: SUPPORTED_CURRENCIES, default: PLATFORM_CURRENCY },
+
+    biddingDeadline: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: ["open", "bidding_closed", "awarding", "awarded", "cancelled", "expired"],
+      default: "open",
+      index: true,
+    },
+    bidCount: { type: Number, default: 0 },
+    acceptedBidId: { type: Schema.Types.ObjectId, ref: "Bid", default: null },
+    bookingId: { type: Schema.Types.ObjectId, ref: "Booking", default: null },
+    notifiedProIds: { type: [{ type: Schema.Types.ObjectId, ref: "User" }], default: [] },
+  },
+  { timestamps: true }
+);
+
+GigSchema.index({ status: 1, biddingDeadline: 1 });
+GigSchema.index({ status: 1, category: 1, eventDate: 1 });
+GigSchema.index({ requiredSkills: 1 });
+
+GigSchema.pre("validate", function (next) {
+  if (this.budgetMax < this.budgetMin) this.invalidate("budgetMax", "budgetMax must be at least budgetMin");
+  if (this.biddingDeadline && this.eventDate && this.biddingDeadline > this.eventDate) {
+    this.invalidate("biddingDeadline", "Bidding must close before the event");
+  }
+  next();
+});
+
+const Gig = mongoose.models.Gig || model("Gig", GigSchema);
+export default Gig;
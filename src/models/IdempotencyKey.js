@@ -0,0 +1,37 @@
+// src/models/IdempotencyKey.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+/**
+ * Stored Idempotency-Key (see middleware/idempotency.js).
+ * One record per (user, route, key): the request fingerprint, and once the handler has answered,
+ * the response status/body that retries get back. Records expire via the TTL index.
+ */
+const IdempotencyKeySchema = new Schema(
+  {
+    key: { type: String, required: true },
+    userId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    route: { type: String, required: true }, // "POST /api/escrow/release/:bookingId"
+    fingerprint: { type: String, required: true }, // sha256 of params + body
+
+    state: { type: String, enum: ["in_progress", "completed"], default: "in_progress" },
+    lockExpiresAt: { type: Date, default: null }, // in_progress lock; a crashed request frees the key after this
+
+    responseStatus: { type: Number, default: null },
+    // json: res.json(body) | text: res.send(string) with responseContentType | empty: bare res.end()
+    responseType: { type: String, enum: ["json", "text", "empty"], default: "json" },
+    responseContentType: { type: String, default: null },
+    responseBody: { type: Schema.Types.Mixed, default: null },
+    completedAt: { type: Date, default: null },
+
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+IdempotencyKeySchema.index({ userId: 1, route: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.models.IdempotencyKey || model("IdempotencyKey", IdempotencyKeySchema);
+export default IdempotencyKey;
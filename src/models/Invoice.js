@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES, majorUnitVirtual } from "../utils/money.js";
 
 const invoiceSchema = new mongoose.Schema(
   {
@@ -13,13 +14,16 @@ const invoiceSchema = new mongoose.Schema(
       ref: "Subscription",
       required: true,
     },
-    amount: {
-      type: Number,
-      required: true,
-    },
     currency: {
       type: String,
-      default: "NGN",
+      enum: SUPPORTED_CURRENCIES,
+      default: PLATFORM_CURRENCY,
+    },
+    // minor units of `currency` (kobo, cents); `amount` reads / writes it in major units
+    amountMinor: {
+      type: Number,
+      required: true,
+      validate: Number.isInteger,
     },
     status: {
       type: String,
@@ -31,8 +35,10 @@ const invoiceSchema = new mongoose.Schema(
     dueDate: Date,
     paidAt: Date,
   },
-  { timestamps: true }
+  { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
 );
 
+majorUnitVirtual(invoiceSchema, "amount", "amountMinor");
+
 const Invoice = mongoose.model("Invoice", invoiceSchema);
 export default Invoice;
@@ -0,0 +1,80 @@
+// src/models/JournalEntry.js
+import mongoose from "mongoose";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES, toMinor, fromMinor } from "../utils/money.js";
+
+const { Schema, model } = mongoose;
+
+const JournalLineSchema = new Schema(
+  {
+    account: { type: String, required: true }, // LedgerAccount.code
+    kind: { type: String, required: true }, // LedgerAccount.kind, denormalised for aggregation
+    debit: { type: Number, default: 0, min: 0 },
+    credit: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * Immutable, balanced journal entry. Written only through ledgerService.post;
+ * mistakes are corrected with a reversing entry (reversalOf), never by editing.
+ */
+const JournalEntrySchema = new Schema(
+  {
+    kind: { type: String, required: true, index: true }, // escrow_funded, commission, release_submitted, ...
+    reference: { type: String, required: true, unique: true }, // "<kind>:<money reference>" — idempotency key
+    description: { type: String, default: "" },
+    currency: { type: String, enum: SUPPORTED_CURRENCIES, default: PLATFORM_CURRENCY },
+    lines: { type: [JournalLineSchema], required: true },
+
+    bookingId: { type: Schema.Types.ObjectId, ref: "Booking", default: null, index: true },
+    escrowId: { type: Schema.Types.ObjectId, ref: "Escrow", default: null },
+    invoiceId: { type: Schema.Types.ObjectId, ref: "Invoice", default: null },
+    transactionId: { type: Schema.Types.ObjectId, ref: "Transaction", default: null },
+
+    reversalOf: { type: Schema.Types.ObjectId, ref: "JournalEntry", default: null },
+    postedBy: { type: Schema.Types.ObjectId, ref: "User", default: null }, // null => system
+    postedAt: { type: Date, default: Date.now },
+    metadata: { type: Schema.Types.Mixed },
+  },
+  { timestamps: false }
+);
+
+JournalEntrySchema.index({ "lines.account": 1, postedAt: -1 });
+
+// Balanced (to the minor unit of the entry's currency), one-sided lines, tied to something real
+JournalEntrySchema.pre("validate", function (next) {
+  if (!this.lines?.length || this.lines.length < 2) {
+    this.invalidate("lines", "A journal entry needs at least two lines");
+  }
+  if (this.lines.some((l) => (l.debit > 0) === (l.credit > 0))) {
+    this.invalidate("lines", "Each line must have either a debit or a credit");
+  }
+  const debits = this.lines.reduce((sum, l) => sum + toMinor(l.debit, this.currency), 0);
+  const credits = this.lines.reduce((sum, l) => sum + toMinor(l.credit, this.currency), 0);
+  if (debits !== credits) {
+    this.invalidate(
+      "lines",
+      `Journal entry is unbalanced (debits ${fromMinor(debits, this.currency)} / credits ${fromMinor(credits, this.currency)})`
+    );
+  }
+  if (!this.bookingId && !this.escrowId && !this.invoiceId) {
+    this.invalidate("bookingId", "A journal entry must reference a booking, escrow or invoice");
+  }
+  next();
+});
+
+// Immutable once posted
+JournalEntrySchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("Journal entries are immutable; post a reversing entry instead"));
+  next();
+});
+
+const blockMutation = function (next) {
+  next(new Error("Journal entries are immutable; post a reversing entry instead"));
+};
+["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"].forEach((op) =>
+  JournalEntrySchema.pre(op, blockMutation)
+);
+
+const JournalEntry = mongoose.models.JournalEntry || model("JournalEntry", JournalEntrySchema);
+export default JournalEntry;
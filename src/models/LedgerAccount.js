@@ -0,0 +1,38 @@
+// src/models/LedgerAccount.js
+import mongoose from "mongoose";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES } from "../utils/money.js";
+
+const { Schema, model } = mongoose;
+
+/**
+ * Chart of accounts for the double-entry ledger (see ledgerService).
+ * Accounts are created on first posting; code is the stable key used on journal lines:
+ *   customer:<userId>            liability — money owed back to a customer (refunds)
+ *   escrow_holding               liability — customer funds held in escrow
+ *   pro_payable:<userId>         liability — released to a pro, transfer not yet settled
+ *   platform_revenue             revenue   — commission, retained fees, subscriptions
+ *   gateway_clearing:<gateway>   asset     — funds sitting at Paystack / Flutterwave
+ */
+export const ACCOUNT_KINDS = {
+  customer: "liability",
+  escrow_holding: "liability",
+  pro_payable: "liability",
+  platform_revenue: "revenue",
+  gateway_clearing: "asset",
+};
+
+const LedgerAccountSchema = new Schema(
+  {
+    code: { type: String, required: true, unique: true },
+    kind: { type: String, enum: Object.keys(ACCOUNT_KINDS), required: true, index: true },
+    type: { type: String, enum: ["asset", "liability", "revenue"], required: true },
+    ownerId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    gateway: { type: String, default: null },
+    currency: { type: String, enum: SUPPORTED_CURRENCIES, default: PLATFORM_CURRENCY },
+    name: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+const LedgerAccount = mongoose.models.LedgerAccount || model("LedgerAccount", LedgerAccountSchema);
+export default LedgerAccount;
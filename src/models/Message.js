@@ -0,0 +1,96 @@
+// src/models/Message.js
+import mongoose from "mongoose";
+
+// One participant's delivery or read receipt
+const ReceiptSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// A file sent with a message (uploadService, folder "message")
+const AttachmentSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ["image", "audio", "file"], required: true },
+    url: { type: String, required: true },
+    publicId: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    name: { type: String, default: "" },
+    durationSec: { type: Number, default: null }, // voice notes, as measured by the recording app
+  },
+  { _id: true }
+);
+
+/**
+ * Structured message showing a quote, booking, payment request or review prompt inline.
+ * `actions` are what each person can do from the chat; a person takes at most one of theirs.
+ * `snapshot` is the referenced document's state when the card was sent / last acted on.
+ */
+const CardActionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    label: { type: String, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    takenAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+const CardSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ["quote", "booking", "payment_request", "review_prompt"], required: true },
+    refId: { type: mongoose.Schema.Types.ObjectId, required: true }, // Quote or Booking
+    milestoneId: { type: mongoose.Schema.Types.ObjectId, default: null }, // payment requests for one milestone
+    snapshot: { type: mongoose.Schema.Types.Mixed, default: {} },
+    actions: { type: [CardActionSchema], default: [] },
+    status: { type: String, enum: ["open", "done"], default: "open" },
+  },
+  { _id: false }
+);
+
+const messageSchema = new mongoose.Schema(
+  {
+    conversationId: { type: mongoose.Schema.Types.ObjectId, ref: "Conversation", required: true },
+    sender: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    // the other participant in a 1:1 conversation; null in group conversations
+    receiver: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    // text, or the caption of attachments / note on a card (may be empty for those)
+    content: { type: String, default: "", maxlength: 5000 },
+
+    // type of message: text, image / audio / file attachments, or a card
+    type: { type: String, enum: ["text", "image", "audio", "file", "card"], default: "text" },
+    attachments: { type: [AttachmentSchema], default: [] },
+    card: { type: CardSchema, default: null },
+
+    // message delivery status: delivered / read once every other participant has it (see deliveredTo / readBy)
+    status: {
+      type: String,
+      enum: ["sent", "delivered", "read"],
+      default: "sent",
+    },
+
+    // quick flag for read/unread (read by everyone)
+    isRead: { type: Boolean, default: false },
+
+    // receipts per participant, so group messages know who has seen them
+    deliveredTo: { type: [ReceiptSchema], default: [] },
+    readBy: { type: [ReceiptSchema], default: [] },
+
+    // set when the contact-leak screen masked or flagged the message (see moderationService)
+    moderation: {
+      action: { type: String, enum: ["masked", "flagged"] },
+      score: { type: Number },
+      caseId: { type: mongoose.Schema.Types.ObjectId, ref: "ModerationCase" },
+    },
+  },
+  { timestamps: true } // adds createdAt & updatedAt
+);
+
+// History is paged newest first by _id
+messageSchema.index({ conversationId: 1, _id: -1 });
+
+const Message = mongoose.models.Message || mongoose.model("Message", messageSchema);
+export default Message;
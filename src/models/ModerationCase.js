@@ -0,0 +1,46 @@
+// src/models/ModerationCase.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+/**
+ * A chat message the contact-leak screen acted on or flagged, waiting for (or done with) admin review.
+ * `content` is what the sender typed, even when the message was blocked or delivered masked.
+ * Dismissed cases don't count against the sender.
+ */
+const MatchSchema = new Schema(
+  {
+    type: { type: String, required: true },
+    text: { type: String },
+    start: { type: Number },
+    end: { type: Number },
+    weight: { type: Number },
+  },
+  { _id: false }
+);
+
+const ModerationCaseSchema = new Schema(
+  {
+    senderId: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    conversationId: { type: Schema.Types.ObjectId, ref: "Conversation", required: true },
+    // null when the message was blocked
+    messageId: { type: Schema.Types.ObjectId, ref: "Message", default: null },
+
+    content: { type: String, required: true },
+    score: { type: Number, required: true },
+    matches: { type: [MatchSchema], default: [] },
+    action: { type: String, enum: ["blocked", "masked", "flagged"], required: true },
+
+    status: { type: String, enum: ["open", "confirmed", "dismissed"], default: "open", index: true },
+    reviewedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    reviewedAt: { type: Date, default: null },
+    note: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+ModerationCaseSchema.index({ status: 1, createdAt: -1 });
+ModerationCaseSchema.index({ senderId: 1, createdAt: -1 });
+
+const ModerationCase = mongoose.models.ModerationCase || model("ModerationCase", ModerationCaseSchema);
+export default ModerationCase;
@@ -0,0 +1,33 @@
+// src/models/ModerationPolicy.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+/**
+ * How chat messages are screened for contact details (one document, key "default", tuned by admins).
+ * Scores come from utils/contactBlocker (0-100):
+ * - score >= actionThreshold: `action` is applied — block (refused), mask (sent with the contact
+ *   details hidden) or flag (sent as is); every one of these opens a moderation case
+ * - reviewThreshold <= score < actionThreshold: sent as is and flagged for review
+ * - allowAfterPayment: people who share a paid booking may swap details freely (off by default)
+ */
+const ModerationPolicySchema = new Schema(
+  {
+    key: { type: String, default: "default", unique: true },
+
+    reviewThreshold: { type: Number, default: 40, min: 0, max: 100 },
+    actionThreshold: { type: Number, default: 70, min: 0, max: 100 },
+    action: { type: String, enum: ["block", "mask", "flag"], default: "block" },
+    allowAfterPayment: { type: Boolean, default: false },
+
+    // Confirmed offences in the window before a user counts as a repeat offender
+    repeatOffenderThreshold: { type: Number, default: 3, min: 1 },
+    repeatOffenderWindowDays: { type: Number, default: 90, min: 1 },
+
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+const ModerationPolicy = mongoose.models.ModerationPolicy || model("ModerationPolicy", ModerationPolicySchema);
+export default ModerationPolicy;
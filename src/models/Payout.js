@@ -0,0 +1,45 @@
+// src/models/Payout.js
+import mongoose from "mongoose";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES } from "../utils/money.js";
+
+const { Schema, model } = mongoose;
+
+/**
+ * Outgoing transfer from the platform balance to a pro's PayoutRecipient.
+ * Lifecycle: pending -> success | failed (| reversed, Paystack only)
+ * The final state is set by the gateway's transfer.success / transfer.failed webhook. A transfer request the
+ * gateway never answered (timeout, network error) stays pending until escrowService.checkPayout asks the gateway.
+ */
+const PayoutSchema = new Schema(
+  {
+    bookingId: { type: Schema.Types.ObjectId, ref: "Booking", required: true, index: true },
+    escrowId: { type: Schema.Types.ObjectId, ref: "Escrow", required: true },
+    proId: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    recipientId: { type: Schema.Types.ObjectId, ref: "PayoutRecipient", required: true },
+
+    gateway: { type: String, enum: ["paystack", "flutterwave"], required: true },
+    amount: { type: Number, required: true },
+    currency: { type: String, enum: SUPPORTED_CURRENCIES, default: PLATFORM_CURRENCY },
+
+    reference: { type: String, required: true, unique: true },
+    transferCode: { type: String, default: null },
+
+    status: {
+      type: String,
+      enum: ["pending", "success", "failed", "reversed"],
+      default: "pending",
+      index: true,
+    },
+    failureReason: { type: String, default: null },
+    completedAt: { type: Date, default: null },
+
+    initiatedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    gatewayResponse: { type: Schema.Types.Mixed },
+  },
+  { timestamps: true }
+);
+
+PayoutSchema.index({ escrowId: 1, status: 1 });
+
+const Payout = mongoose.models.Payout || model("Payout", PayoutSchema);
+export default Payout;
@@ -0,0 +1,49 @@
+// src/models/PayoutRecipient.js
+import mongoose from "mongoose";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES } from "../utils/money.js";
+
+const { Schema, model } = mongoose;
+
+/**
+ * A pro's verified bank account, registered with a payment gateway as a transfer recipient.
+ * - accountName is the name the gateway resolved for bankCode + accountNumber (never user-typed)
+ * - recipientCode is the gateway handle used when creating transfers
+ *   (Paystack recipient_code / Flutterwave beneficiary id)
+ */
+const PayoutRecipientSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    gateway: { type: String, enum: ["paystack", "flutterwave"], required: true },
+
+    bankCode: { type: String, required: true },
+    bankName: { type: String, default: "" },
+    accountNumber: { type: String, required: true },
+    accountName: { type: String, required: true },
+    currency: { type: String, enum: SUPPORTED_CURRENCIES, default: PLATFORM_CURRENCY },
+
+    recipientCode: { type: String, required: true },
+    verified: { type: Boolean, default: false },
+    verifiedAt: { type: Date, default: null },
+
+    isDefault: { type: Boolean, default: false },
+    active: { type: Boolean, default: true },
+
+    gatewayResponse: { type: Schema.Types.Mixed },
+  },
+  { timestamps: true }
+);
+
+// One registration per account per gateway
+PayoutRecipientSchema.index({ userId: 1, gateway: 1, bankCode: 1, accountNumber: 1 }, { unique: true });
+PayoutRecipientSchema.index({ userId: 1, gateway: 1, isDefault: 1 });
+
+// Never send full account numbers or raw gateway payloads to clients
+PayoutRecipientSchema.methods.toJSON = function () {
+  const obj = this.toObject();
+  obj.accountNumber = obj.accountNumber ? `******${obj.accountNumber.slice(-4)}` : "";
+  delete obj.gatewayResponse;
+  return obj;
+};
+
+const PayoutRecipient = mongoose.models.PayoutRecipient || model("PayoutRecipient", PayoutRecipientSchema);
+export default PayoutRecipient;
@@ -0,0 +1,87 @@
+// src/models/Quote.js
+import mongoose from "mongoose";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES, toMinor, fromMinor } from "../utils/money.js";
+
+const { Schema, model } = mongoose;
+
+/**
+ * Quote line: a rateCard entry, an add-on, or the adjustment a counter-offer makes to reach its total.
+ * amount = quantity × unitPrice (adjustments carry their amount directly, may be negative)
+ */
+const QuoteItemSchema = new Schema(
+  {
+    kind: { type: String, enum: ["rate", "addon", "adjustment"], required: true },
+    rateId: { type: Schema.Types.ObjectId, default: null }, // User.rateCard[]._id for "rate" lines
+    label: { type: String, required: true },
+    quantity: { type: Number, default: 1, min: 0 },
+    unitPrice: { type: Number, default: 0 },
+    amount: { type: Number, required: true },
+    optional: { type: Boolean, default: false }, // add-ons the customer may drop when countering
+  },
+  { _id: true }
+);
+
+/** One offer in the negotiation; the latest revision is the live offer */
+const QuoteRevisionSchema = new Schema(
+  {
+    by: { type: String, enum: ["customer", "pro"], required: true },
+    items: { type: [QuoteItemSchema], default: [] },
+    total: { type: Number, required: true, min: 0 },
+    terms: { type: String, default: "" },
+    note: { type: String, default: "" },
+    expiresAt: { type: Date, required: true },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
+/**
+ * A pro's quote on a QuoteRequest, negotiated through revisions (quoteService).
+ * - open: waiting for `awaiting` to accept, counter or decline
+ * - accepted (booking created) | declined | withdrawn (by the pro) | expired | closed (another quote won)
+ */
+const QuoteSchema = new Schema(
+  {
+    requestId: { type: Schema.Types.ObjectId, ref: "QuoteRequest", required: true, index: true },
+    customerId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    proId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    conversationId: { type: Schema.Types.ObjectId, ref: "Conversation", required: true, index: true },
+
+    currency: { type: String, enum: SUPPORTED_CURRENCIES, default: PLATFORM_CURRENCY },
+    revisions: { type: [QuoteRevisionSchema], default: [] },
+    // Live offer, mirrored from the latest revision for queries
+    total: { type: Number, required: true, min: 0 },
+    expiresAt: { type: Date, required: true },
+    awaiting: { type: String, enum: ["customer", "pro", null], default: "customer" },
+
+    status: { type: String, enum: ["open", "accepted", "declined", "withdrawn", "expired", "closed"], default: "open" },
+    respondedAt: { type: Date, default: null },
+    closeReason: { type: String, default: "" }, // why it was declined / withdrawn
+    bookingId: { type: Schema.Types.ObjectId, ref: "Booking", default: null },
+  },
+  { timestamps: true }
+);
+
+// One quote per pro per request; negotiation happens in its revisions
+QuoteSchema.index({ requestId: 1, proId: 1 }, { unique: true });
+QuoteSchema.index({ status: 1, expiresAt: 1 });
+QuoteSchema.index({ proId: 1, status: 1 });
+
+// Revision lines must add up to the revision total (to the minor unit)
+QuoteSchema.pre("validate", function (next) {
+  for (const revision of this.revisions) {
+    const sum = revision.items.reduce((total, item) => total + toMinor(item.amount, this.currency), 0);
+    if (sum !== toMinor(revision.total, this.currency)) {
+      this.invalidate("revisions", `Quote lines (${fromMinor(sum, this.currency)}) must add up to the total (${revision.total})`);
+    }
+  }
+  next();
+});
+
+/** The live offer */
+QuoteSchema.methods.current = function () {
+  return this.revisions[this.revisions.length - 1] || null;
+};
+
+const Quote = mongoose.models.Quote || model("Quote", QuoteSchema);
+export default Quote;
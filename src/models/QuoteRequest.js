@@ -0,0 +1,39 @@
+// src/models/QuoteRequest.js
+import mongoose from "mongoose";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES } from "../utils/money.js";
+
+const { Schema, model } = mongoose;
+
+/**
+ * A customer's brief sent to one or more pros for quotes (quoteService).
+ * open -> booking (an acceptance is creating the booking) -> booked; open -> closed (customer withdrew) | expired
+ */
+const QuoteRequestSchema = new Schema(
+  {
+    customerId: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    proIds: {
+      type: [{ type: Schema.Types.ObjectId, ref: "User" }],
+      validate: [(ids) => ids.length > 0, "At least one pro is required"],
+    },
+
+    title: { type: String, required: true, trim: true, maxlength: 200 },
+    description: { type: String, default: "", maxlength: 5000 },
+    eventDate: { type: Date, required: true },
+    durationMinutes: { type: Number, required: true, min: 15 },
+    location: { type: String, default: "" },
+    budget: { type: Number, default: null, min: 0 },
+    currency: { type: String, enum: SUPPORTED_CURRENCIES, default: PLATFORM_CURRENCY },
+
+    status: { type: String, enum: ["open", "booking", "booked", "closed", "expired"], default: "open", index: true },
+    expiresAt: { type: Date, required: true }, // no new quotes or acceptances after this
+    acceptedQuoteId: { type: Schema.Types.ObjectId, ref: "Quote", default: null },
+    bookingId: { type: Schema.Types.ObjectId, ref: "Booking", default: null },
+  },
+  { timestamps: true }
+);
+
+QuoteRequestSchema.index({ proIds: 1, status: 1 });
+QuoteRequestSchema.index({ status: 1, expiresAt: 1 });
+
+const QuoteRequest = mongoose.models.QuoteRequest || model("QuoteRequest", QuoteRequestSchema);
+export default QuoteRequest;
@@ -1,6 +1,9 @@
 // src/models/ReconciliationReport.js
 import mongoose from "mongoose";
 
+// open -> acknowledged -> auto_fixed | resolved | ignored (closed issues can be reopened)
+export const ISSUE_STATUSES = ["open", "acknowledged", "auto_fixed", "resolved", "ignored"];
+
 /**
  * Stores results of a reconciliation run.
  * - summary: counts & high-level stats
@@ -14,6 +17,7 @@ const ReconciliationReportSchema = new mongoose.Schema(
     summary: {
       totalTransactionsChecked: { type: Number, default: 0 },
       totalEscrowsChecked: { type: Number, default: 0 },
+      totalGatewayTransactionsChecked: { type: Number, default: 0 },
       totalIssues: { type: Number, default: 0 },
     },
     issues: [
@@ -22,6 +26,26 @@ const ReconciliationReportSchema = new mongoose.Schema(
         severity: { type: String, enum: ["low", "medium", "high"], default: "medium" },
         message: { type: String },
         related: { type: Object, default: {} }, // e.g. { transactionId, escrowId, bookingId, amount, status }
+        suggestedFix: { type: String, default: "" }, // what an admin (or an automatic fix) should do about it
+
+        // Lifecycle (see reconciliationRemediationService)
+        status: { type: String, enum: ISSUE_STATUSES, default: "open" },
+        assignee: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+        notes: [
+          {
+            author: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null => system
+            text: { type: String, required: true },
+            at: { type: Date, default: Date.now },
+          },
+        ],
+        fix: {
+          action: { type: String, default: null }, // registry key of the automatic fix that ran
+          appliedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+          appliedAt: { type: Date, default: null },
+          result: { type: Object, default: null },
+        },
+        resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+        resolvedAt: { type: Date, default: null },
       },
     ],
     meta: { type: Object, default: {} },
@@ -30,6 +54,7 @@ const ReconciliationReportSchema = new mongoose.Schema(
 );
 
 ReconciliationReportSchema.index({ runAt: -1 });
+ReconciliationReportSchema.index({ "issues.status": 1, "issues.type": 1 });
 
 const ReconciliationReport =
   mongoose.models.ReconciliationReport || mongoose.model("ReconciliationReport", ReconciliationReportSchema);
@@ -0,0 +1,34 @@
+// src/models/SlotReservation.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+/**
+ * A block of a pro's calendar.
+ * held     — reserved while the customer pays; free again after expiresAt
+ * booked   — the booking's payment is escrowed (or the pro confirmed it)
+ * released — given back (booking cancelled, customer abandoned, admin)
+ * expired  — hold ran out before payment (set by the sweep job)
+ * Only held (unexpired) and booked reservations block the calendar; see availabilityService.
+ */
+const SlotReservationSchema = new Schema(
+  {
+    proId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    customerId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    bookingId: { type: Schema.Types.ObjectId, ref: "Booking", default: null },
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    status: { type: String, enum: ["held", "booked", "released", "expired"], default: "held" },
+    expiresAt: { type: Date, default: null }, // held only
+    releasedAt: { type: Date, default: null },
+    releaseReason: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+SlotReservationSchema.index({ proId: 1, status: 1, start: 1, end: 1 });
+SlotReservationSchema.index({ status: 1, expiresAt: 1 });
+SlotReservationSchema.index({ bookingId: 1 });
+
+const SlotReservation = mongoose.models.SlotReservation || model("SlotReservation", SlotReservationSchema);
+export default SlotReservation;
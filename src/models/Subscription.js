@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES } from "../utils/money.js";
 
 const subscriptionSchema = new mongoose.Schema(
   {
@@ -19,7 +20,8 @@ const subscriptionSchema = new mongoose.Schema(
     },
     currency: {
       type: String,
-      default: "NGN",
+      enum: SUPPORTED_CURRENCIES,
+      default: PLATFORM_CURRENCY,
     },
     gateway: {
       type: String,
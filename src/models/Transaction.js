@@ -1,5 +1,6 @@
 // src/models/Transaction.js
 import mongoose from "mongoose";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES, majorUnitVirtual } from "../utils/money.js";
 
 const { Schema, model } = mongoose;
 
@@ -9,7 +10,8 @@ const TransactionSchema = new Schema(
     customerId: { type: Schema.Types.ObjectId, ref: "User" },
     creativeId: { type: Schema.Types.ObjectId, ref: "User" },
 
-    amount: { type: Number, required: true },
+    currency: { type: String, enum: SUPPORTED_CURRENCIES, default: PLATFORM_CURRENCY },
+    amountMinor: { type: Number, required: true, validate: Number.isInteger }, // minor units of `currency`; `amount` in major
 
     // 'escrow' | 'release' | 'refund' | 'payout' | 'fee'
     type: {
@@ -40,12 +42,16 @@ const TransactionSchema = new Schema(
     },
 
     gatewayResponse: { type: Schema.Types.Mixed }, // raw gateway payload for auditing
+    metadata: { type: Schema.Types.Mixed }, // e.g. commission breakdown { gross, fee, net, rule } on fee rows
     note: { type: String },
   },
-  { timestamps: true }
+  { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
 );
 
+majorUnitVirtual(TransactionSchema, "amount", "amountMinor");
+
 // Efficient lookups
 TransactionSchema.index({ bookingId: 1, type: 1 });
+TransactionSchema.index({ type: 1, status: 1, createdAt: -1 });
 
 export default model("Transaction", TransactionSchema);
@@ -9,6 +9,8 @@ const TrustScoreSchema = new mongoose.Schema(
       feedback: { type: Number, default: 0 },  // ratings
       booking: { type: Number, default: 0 },   // completion
       system: { type: Number, default: 0 },    // disputes, flags, etc.
+      cancellations: { type: Number, default: 0 }, // points lost to the pro's own cancellations (<= 0)
+      contactLeaks: { type: Number, default: 0 }, // points lost to repeated contact sharing in chat (<= 0)
     },
     lastCalculatedAt: { type: Date, default: Date.now },
     previousScore: { type: Number, default: 0 },
@@ -1,5 +1,6 @@
 // src/models/User.js
 import mongoose from "mongoose";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES } from "../utils/money.js";
 
 // -------------------- Rate Schema --------------------
 const RateSchema = new mongoose.Schema({
@@ -23,6 +24,7 @@ const ReviewSchema = new mongoose.Schema({
 const SubscriptionSchema = new mongoose.Schema({
   type: { type: String, enum: ["verification", "boost", "premium"], required: true },
   amount: { type: Number, required: true },
+  currency: { type: String, enum: SUPPORTED_CURRENCIES, default: PLATFORM_CURRENCY },
   paymentMethod: { type: String, enum: ["paystack", "bank_transfer", "card", "flutterwave"], required: true },
   status: { type: String, enum: ["pending", "completed", "failed"], default: "pending" },
   startDate: { type: Date, default: Date.now },
@@ -41,11 +43,15 @@ const BookingSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now },
 });
 
-// -------------------- Pro Availability Schema --------------------
-const AvailabilitySchema = new mongoose.Schema({
-  day: { type: String, required: true },
-  slots: [{ type: String }],
-});
+// -------------------- Cancellation Policy Schema --------------------
+// Refund tiers a pro offers (cancellationPolicyService); presets keep tiers empty
+const CancellationTierSchema = new mongoose.Schema(
+  {
+    minHoursBefore: { type: Number, required: true, min: 0 },
+    refundPercent: { type: Number, required: true, min: 0, max: 100 },
+  },
+  { _id: false }
+);
 
 // -------------------- Main User Schema --------------------
 const UserSchema = new mongoose.Schema(
@@ -64,10 +70,11 @@ const UserSchema = new mongoose.Schema(
     rateCard: [RateSchema],
     gallery: [String],
 
-    // Booking & availability
-    availability: [AvailabilitySchema],
+    // Booking (availability lives in the Availability model, see availabilityService)
     bookings: [BookingSchema],
     location: { type: String, default: "" },
+    // When the user's last socket disconnected (presence, socketGateway)
+    lastSeenAt: { type: Date, default: null },
 
     // Reviews
     reviews: [ReviewSchema],
@@ -83,6 +90,10 @@ const UserSchema = new mongoose.Schema(
     rating: { type: Number, default: 0 },
     reviewCount: { type: Number, default: 0 },
     verifiedDate: { type: Date, default: null },
+    cancellationPolicy: {
+      name: { type: String, enum: ["flexible", "moderate", "strict", "custom"] },
+      tiers: { type: [CancellationTierSchema], default: undefined },
+    },
 
     // Trust, Verification & Matching Fields
     trustScore: { type: Number, default: 50 },
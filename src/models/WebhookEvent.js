@@ -0,0 +1,55 @@
+// src/models/WebhookEvent.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+export const WEBHOOK_EVENT_STATUSES = ["received", "processing", "processed", "failed", "dead_letter"];
+
+const AttemptErrorSchema = new Schema(
+  {
+    attempt: { type: Number, required: true },
+    message: { type: String, default: "" },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * Gateway webhook inbox (see webhookInboxService).
+ * Every verified delivery is stored here before anything acts on it, keyed by (gateway, eventId)
+ * so redeliveries are dropped. Processing runs out of band with retries; events that keep failing
+ * end up in dead_letter until an admin replays them.
+ */
+const WebhookEventSchema = new Schema(
+  {
+    gateway: { type: String, enum: ["paystack", "flutterwave"], required: true },
+    eventId: { type: String, required: true }, // gateway event id, or a hash of the raw body when the gateway sends none
+    eventType: { type: String, default: "" },
+    reference: { type: String, default: null, index: true }, // charge / transfer reference, for lookups
+    payload: { type: Schema.Types.Mixed, required: true },
+    rawBody: { type: String, required: true },
+    signature: { type: String, default: "" },
+
+    status: { type: String, enum: WEBHOOK_EVENT_STATUSES, default: "received" },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 8 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    attemptErrors: { type: [AttemptErrorSchema], default: [] },
+    result: { type: Schema.Types.Mixed, default: null },
+    processedAt: { type: Date, default: null },
+    deadLetteredAt: { type: Date, default: null },
+
+    replayCount: { type: Number, default: 0 },
+    lastReplayedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    lastReplayedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+WebhookEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+WebhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const WebhookEvent = mongoose.models.WebhookEvent || model("WebhookEvent", WebhookEventSchema);
+export default WebhookEvent;
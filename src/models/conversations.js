@@ -1,23 +0,0 @@
-// src/models/Conversation.js
-import mongoose from "mongoose";
-
-const conversationSchema = new mongoose.Schema(
-  {
-    participants: [
-      {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: "User",
-      },
-    ],
-    lastMessage: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "Message",
-      default: null,
-    },
-  },
-  { timestamps: true }
-);
-
-const Conversation = mongoose.model("Conversation", conversationSchema);
-
-export default Conversation;
\ No newline at end of file
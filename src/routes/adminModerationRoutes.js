@@ -0,0 +1,101 @@
+// src/routes/adminModerationRoutes.js
+import express from "express";
+import moderationService from "../services/moderationService.js";
+import { detectContacts, maskContacts } from "../utils/contactBlocker.js";
+import logger from "../utils/logger.js";
+import { protect, requireRole } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Chat moderation — admin only
+router.use(protect, requireRole("admin"));
+
+function fail(res, err, label) {
+  if (!err.status) logger.error(`${label} error`, err);
+  return res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
+}
+
+/**
+ * GET /api/admin/moderation/policy
+ * Thresholds and action applied to chat messages that share contact details
+ */
+router.get("/policy", async (req, res) => {
+  try {
+    const data = await moderationService.getPolicy({ fresh: true });
+    return res.json({ success: true, data });
+  } catch (err) {
+    return fail(res, err, "Moderation policy fetch");
+  }
+});
+
+/**
+ * PUT /api/admin/moderation/policy
+ * Body: any of { reviewThreshold, actionThreshold, action: block|mask|flag, allowAfterPayment,
+ *   repeatOffenderThreshold, repeatOffenderWindowDays }
+ */
+router.put("/policy", async (req, res) => {
+  try {
+    const data = await moderationService.updatePolicy(req.body || {}, req.user.id);
+    return res.json({ success: true, data });
+  } catch (err) {
+    return fail(res, err, "Moderation policy update");
+  }
+});
+
+/**
+ * POST /api/admin/moderation/check
+ * Body: { text } — score a message without sending it (for tuning thresholds)
+ */
+router.post("/check", async (req, res) => {
+  try {
+    const text = String(req.body?.text ?? "");
+    const { score, matches } = detectContacts(text);
+    const verdict = await moderationService.screenMessage(text);
+    return res.json({ success: true, data: { score, matches, action: verdict.action, masked: maskContacts(text, matches) } });
+  } catch (err) {
+    return fail(res, err, "Moderation check");
+  }
+});
+
+/**
+ * GET /api/admin/moderation/queue?status=open|confirmed|dismissed&senderId=&page=&limit=
+ * Blocked, masked and flagged messages, newest first (status defaults to open)
+ */
+router.get("/queue", async (req, res) => {
+  try {
+    const { status = "open", senderId, page = 1, limit = 20 } = req.query;
+    const data = await moderationService.listCases({ status, senderId, page: Number(page), limit: Number(limit) });
+    return res.json({ success: true, ...data });
+  } catch (err) {
+    return fail(res, err, "Moderation queue list");
+  }
+});
+
+/**
+ * GET /api/admin/moderation/queue/:id
+ * A case with its sender and their offence count
+ */
+router.get("/queue/:id", async (req, res) => {
+  try {
+    const data = await moderationService.getCase(req.params.id);
+    return res.json({ success: true, data });
+  } catch (err) {
+    return fail(res, err, "Moderation case fetch");
+  }
+});
+
+/**
+ * POST /api/admin/moderation/queue/:id/resolve
+ * Body: { decision: "confirmed" | "dismissed", note? }
+ */
+router.post("/queue/:id/resolve", async (req, res) => {
+  try {
+    const { decision, note } = req.body || {};
+    const data = await moderationService.resolveCase(req.params.id, { decision, note }, req.user.id);
+    return res.json({ success: true, data });
+  } catch (err) {
+    return fail(res, err, "Moderation case resolve");
+  }
+});
+
+export default router;
@@ -54,4 +54,53 @@ router.get(
   asyncHandler(adminReconciliationController.exportReportsCSV)
 );
 
+/**
+ * @route   GET /api/admin/reconciliation/issues?status=&type=&assignee=&reportId=&page=&limit=
+ * @desc    Issues across reports with their lifecycle status (fixAvailable marks automatic fixes)
+ * @access  Admin only
+ */
+router.get(
+  "/issues",
+  protect,
+  requireRole("admin"),
+  asyncHandler(adminReconciliationController.listIssues)
+);
+
+/**
+ * @route   PATCH /api/admin/reconciliation/reports/:reportId/issues/:issueId
+ * @desc    Acknowledge / resolve / ignore / reopen an issue, (un)assign it, add a note
+ *          Body: { status, assignee, note }
+ * @access  Admin only
+ */
+router.patch(
+  "/reports/:reportId/issues/:issueId",
+  protect,
+  requireRole("admin"),
+  asyncHandler(adminReconciliationController.updateIssue)
+);
+
+/**
+ * @route   POST /api/admin/reconciliation/reports/:reportId/issues/:issueId/fix
+ * @desc    Apply the automatic fix for an issue (recorded in AuditLog)
+ * @access  Admin only
+ */
+router.post(
+  "/reports/:reportId/issues/:issueId/fix",
+  protect,
+  requireRole("admin"),
+  asyncHandler(adminReconciliationController.applyIssueFix)
+);
+
+/**
+ * @route   POST /api/admin/reconciliation/reports/:reportId/auto-fix
+ * @desc    Apply every available automatic fix to the report's open issues
+ * @access  Admin only
+ */
+router.post(
+  "/reports/:reportId/auto-fix",
+  protect,
+  requireRole("admin"),
+  asyncHandler(adminReconciliationController.autoFixReport)
+);
+
 export default router;
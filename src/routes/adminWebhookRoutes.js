@@ -0,0 +1,70 @@
+// src/routes/adminWebhookRoutes.js
+import express from "express";
+import webhookInboxService from "../services/webhookInboxService.js";
+import logger from "../utils/logger.js";
+import { protect, requireRole } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Webhook inbox — admin only
+router.use(protect, requireRole("admin"));
+
+/**
+ * GET /api/admin/webhooks?status=&gateway=&reference=&page=&limit=
+ * Stored webhook events (raw body omitted)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { status, gateway, reference, page = 1, limit = 20 } = req.query;
+    const data = await webhookInboxService.listEvents({ status, gateway, reference, page: Number(page), limit: Number(limit) });
+    return res.json({ success: true, ...data });
+  } catch (err) {
+    logger.error("Webhook inbox list error", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/dead-letter?gateway=&page=&limit=
+ * Events that exhausted their retries
+ */
+router.get("/dead-letter", async (req, res) => {
+  try {
+    const { gateway, page = 1, limit = 20 } = req.query;
+    const data = await webhookInboxService.listDeadLetters({ gateway, page: Number(page), limit: Number(limit) });
+    return res.json({ success: true, ...data });
+  } catch (err) {
+    logger.error("Webhook dead-letter list error", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/:id
+ * Full event incl. raw body and attempt history
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const event = await webhookInboxService.getEvent(req.params.id);
+    return res.json({ success: true, data: event });
+  } catch (err) {
+    logger.error("Webhook event fetch error", err);
+    return res.status(404).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/:id/replay
+ * Re-run a dead-lettered or failed event now
+ */
+router.post("/:id/replay", async (req, res) => {
+  try {
+    const event = await webhookInboxService.replayEvent(req.params.id, { replayedBy: req.user.id });
+    return res.json({ success: true, data: event });
+  } catch (err) {
+    logger.error("Webhook replay error", err);
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,120 @@
+// src/routes/availabilityRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import availabilityService from "../services/availabilityService.js";
+import SlotReservation from "../models/SlotReservation.js";
+import logger from "../utils/logger.js";
+import { protect, proOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+const fail = (res, err, label) => {
+  if (err.status) return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  if (err.name === "ValidationError") return res.status(400).json({ success: false, error: err.message });
+  logger.error(label, err);
+  return res.status(500).json({ success: false, error: err.message });
+};
+
+/**
+ * GET /api/availability/me
+ * Auth: protect (pro)
+ */
+router.get("/me", protect, proOnly, async (req, res) => {
+  try {
+    const availability = await availabilityService.getAvailability(req.user.id);
+    return res.json({ success: true, data: availability });
+  } catch (err) {
+    return fail(res, err, "Availability fetch error");
+  }
+});
+
+/**
+ * PUT /api/availability/me
+ * Body: { timezone, weeklyHours: [{ weekday, start, end }], overrides: [{ date, windows: [{ start, end }] }],
+ *         blackouts: [{ from, to, reason }], bufferMinutes, slotMinutes, minNoticeHours }
+ * Auth: protect (pro) — times are "HH:mm" local to timezone, dates "YYYY-MM-DD"
+ */
+router.put("/me", protect, proOnly, async (req, res) => {
+  try {
+    const availability = await availabilityService.setAvailability(req.user.id, req.body);
+    return res.json({ success: true, data: availability });
+  } catch (err) {
+    return fail(res, err, "Availability update error");
+  }
+});
+
+/**
+ * GET /api/availability/:proId
+ * Public: the pro's published hours
+ */
+router.get("/:proId", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.proId)) return res.status(400).json({ success: false, error: "Invalid ID" });
+    const availability = await availabilityService.getAvailability(req.params.proId);
+    if (!availability) return res.status(404).json({ success: false, error: "No availability published" });
+    const { version, ...published } = availability;
+    return res.json({ success: true, data: published });
+  } catch (err) {
+    return fail(res, err, "Availability fetch error");
+  }
+});
+
+/**
+ * GET /api/availability/:proId/slots?from=2025-06-01&to=2025-06-07&duration=120&step=30
+ * Public: open slots (UTC instants plus the local date) for a date range of at most 62 days
+ */
+router.get("/:proId/slots", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.proId)) return res.status(400).json({ success: false, error: "Invalid ID" });
+    const { from, to, duration, step } = req.query;
+    const data = await availabilityService.getOpenSlots(req.params.proId, {
+      from,
+      to: to || from,
+      durationMinutes: duration ? Number(duration) : undefined,
+      stepMinutes: step ? Number(step) : undefined,
+    });
+    return res.json({ success: true, data });
+  } catch (err) {
+    return fail(res, err, "Open slots error");
+  }
+});
+
+/**
+ * POST /api/availability/:proId/holds
+ * Body: { start, end } (ISO date-times) or { start, durationMinutes }
+ * Auth: protect — holds the slot for SLOT_HOLD_MINUTES; pass the hold id as holdId when creating the booking
+ */
+router.post("/:proId/holds", protect, async (req, res) => {
+  try {
+    const { start, durationMinutes } = req.body;
+    const end = req.body.end || (start && durationMinutes ? new Date(new Date(start).getTime() + Number(durationMinutes) * 60000) : null);
+    const hold = await availabilityService.holdSlot({ proId: req.params.proId, customerId: req.user.id, start, end });
+    return res.status(201).json({ success: true, data: hold });
+  } catch (err) {
+    return fail(res, err, "Slot hold error");
+  }
+});
+
+/**
+ * DELETE /api/availability/holds/:id
+ * Auth: protect — the customer who holds it, the pro, or an admin
+ */
+router.delete("/holds/:id", protect, async (req, res) => {
+  try {
+    const hold = await SlotReservation.findById(req.params.id).select("customerId proId status");
+    if (!hold) return res.status(404).json({ success: false, error: "Hold not found" });
+
+    const userId = String(req.user.id);
+    if (req.user.role !== "admin" && String(hold.customerId) !== userId && String(hold.proId) !== userId) {
+      return res.status(403).json({ success: false, error: "Not authorized to release this hold" });
+    }
+    if (hold.status !== "held") return res.status(409).json({ success: false, error: `Slot is ${hold.status}` });
+
+    const released = await availabilityService.releaseSlot(hold._id, { reason: "released_by_user" });
+    return res.json({ success: true, data: released });
+  } catch (err) {
+    return fail(res, err, "Slot release error");
+  }
+});
+
+export default router;
@@ -6,6 +6,7 @@ import {
   getOrganizationBillingDetails,
 } from "../services/billingService.js";
 import { protect, requireRole } from "../middleware/authMiddleware.js";
+import { idempotency } from "../middleware/idempotency.js";
 import logger from "../utils/logger.js";
 
 const router = express.Router();
@@ -15,9 +16,9 @@ const router = express.Router();
  * @desc Create or update an organization’s subscription
  * @access Protected (Org Admin)
  */
-router.post("/subscribe/:orgId", protect, requireRole("orgAdmin"), async (req, res) => {
+router.post("/subscribe/:orgId", protect, requireRole("orgAdmin"), idempotency(), async (req, res) => {
   try {
-    const { plan, gateway, billingCycleDays } = req.body;
+    const { plan, gateway, billingCycleDays, currency } = req.body;
     const { orgId } = req.params;
 
     const { subscription, invoice } = await createOrUpdateSubscription({
@@ -25,6 +26,7 @@ router.post("/subscribe/:orgId", protect, requireRole("orgAdmin"), async (req, r
       plan,
       gateway,
       billingCycleDays,
+      currency,
     });
 
     res.json({
@@ -0,0 +1,115 @@
+// src/routes/bookingSeriesRoutes.js
+import express from "express";
+import bookingSeriesService from "../services/bookingSeriesService.js";
+import logger from "../utils/logger.js";
+import { protect, customerOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+const fail = (res, err, label) => {
+  if (err.status) {
+    return res.status(err.status).json({ success: false, error: err.message, code: err.code, ...(err.conflicts && { conflicts: err.conflicts }) });
+  }
+  if (err.name === "ValidationError" || err.name === "CastError") return res.status(400).json({ success: false, error: err.message });
+  logger.error(label, err);
+  return res.status(500).json({ success: false, error: err.message });
+};
+
+/**
+ * POST /api/booking-series/preview
+ * Body: as POST /api/booking-series
+ * Auth: protect (customer) — every occurrence and which ones clash with the pro's calendar; books nothing
+ */
+router.post("/preview", protect, customerOnly, async (req, res) => {
+  try {
+    const preview = await bookingSeriesService.previewSeries(req.user.id, req.body || {});
+    return res.json({ success: true, data: preview });
+  } catch (err) {
+    return fail(res, err, "Booking series preview error");
+  }
+});
+
+/**
+ * POST /api/booking-series
+ * Body: { proId, title, location, notes, start, durationMinutes, frequency: "weekly" | "biweekly" | "monthly" | "custom",
+ *         rrule (custom, e.g. "FREQ=WEEKLY;BYDAY=SU,WE"), count | until, timezone, amountPerOccurrence, currency, gateway }
+ * Auth: protect (customer) — 409 SERIES_CONFLICTS with `conflicts` when any occurrence clashes
+ */
+router.post("/", protect, customerOnly, async (req, res) => {
+  try {
+    const { series, bookings } = await bookingSeriesService.createSeries(req.user.id, req.body || {});
+    return res.status(201).json({ success: true, data: { series, bookings } });
+  } catch (err) {
+    return fail(res, err, "Booking series create error");
+  }
+});
+
+/**
+ * GET /api/booking-series?status=active
+ * Auth: protect — series you booked, or (pros) are booked on
+ */
+router.get("/", protect, async (req, res) => {
+  try {
+    const series = await bookingSeriesService.listSeries(req.user, { status: req.query.status });
+    return res.json({ success: true, data: series });
+  } catch (err) {
+    return fail(res, err, "Booking series list error");
+  }
+});
+
+/**
+ * GET /api/booking-series/:id
+ * Auth: protect (customer, pro or admin) — the series with every occurrence and its booking
+ */
+router.get("/:id", protect, async (req, res) => {
+  try {
+    const series = await bookingSeriesService.getSeries(req.params.id, req.user);
+    return res.json({ success: true, data: series });
+  } catch (err) {
+    return fail(res, err, "Booking series fetch error");
+  }
+});
+
+/**
+ * POST /api/booking-series/:id/occurrences/skip
+ * Body: { occurrenceStart, reason }
+ * Auth: protect (either party) — a booked occurrence is cancelled under its cancellation policy
+ */
+router.post("/:id/occurrences/skip", protect, async (req, res) => {
+  try {
+    const result = await bookingSeriesService.skipOccurrence(req.params.id, req.user, req.body || {});
+    return res.json({ success: true, data: result });
+  } catch (err) {
+    return fail(res, err, "Series occurrence skip error");
+  }
+});
+
+/**
+ * POST /api/booking-series/:id/occurrences/change
+ * Body: { occurrenceStart, start, durationMinutes }
+ * Auth: protect (either party) — moves one occurrence; the new time must be free on the pro's calendar
+ */
+router.post("/:id/occurrences/change", protect, async (req, res) => {
+  try {
+    const result = await bookingSeriesService.changeOccurrence(req.params.id, req.user, req.body || {});
+    return res.json({ success: true, data: result });
+  } catch (err) {
+    return fail(res, err, "Series occurrence change error");
+  }
+});
+
+/**
+ * POST /api/booking-series/:id/cancel
+ * Body: { reason }
+ * Auth: protect (either party) — cancels every occurrence still to come
+ */
+router.post("/:id/cancel", protect, async (req, res) => {
+  try {
+    const result = await bookingSeriesService.cancelSeries(req.params.id, req.user, req.body || {});
+    return res.json({ success: true, data: result });
+  } catch (err) {
+    return fail(res, err, "Booking series cancel error");
+  }
+});
+
+export default router;
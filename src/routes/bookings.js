@@ -1,18 +1,31 @@
 // src/routes/bookings.js
 import express from "express";
+import multer from "multer";
+import mongoose from "mongoose";
 import Booking from "../models/Booking.js";
 import { protect } from "../middleware/authMiddleware.js";
+import { idempotency } from "../middleware/idempotency.js";
+import { transitionBooking, actorFor, allowedTransitions } from "../services/bookingLifecycleService.js";
+import availabilityService from "../services/availabilityService.js";
+import cancellationService from "../services/cancellationService.js";
+import { groupSeriesBookings } from "../services/bookingSeriesService.js";
+import contractService from "../services/contractService.js";
+import attendanceService from "../services/attendanceService.js";
+import contactRevealService from "../services/contactRevealService.js";
 
 const router = express.Router();
+// Proof-of-service photos arrive as multipart files (too big for the JSON body limit)
+const proofUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024, files: 10 } });
 
-// 🔹 Get bookings for current user
+// 🔹 Get bookings for current user (a recurring series shows as one item)
 router.get("/", protect, async (req, res) => {
   try {
-    const roleField = req.user.role === "pro" ? "pro" : "customer";
-    const bookings = await Booking.find({ [roleField]: req.user._id })
-      .populate("customer", "name email avatarUri")
-      .populate("pro", "name email services");
-    res.json(bookings);
+    const roleField = req.user.role === "pro" ? "proId" : "customerId";
+    const bookings = await Booking.find({ [roleField]: req.user.id })
+      .populate("customerId", "name email avatarUri")
+      .populate("proId", "name email services")
+      .sort({ eventDate: 1 });
+    res.json(await groupSeriesBookings(bookings));
   } catch (err) {
     console.error("❌ Fetch bookings error:", err);
     res.status(500).json({ error: "Failed to fetch bookings" });
@@ -22,15 +35,16 @@ router.get("/", protect, async (req, res) => {
 // 🔹 Get single booking by ID
 router.get("/:id", protect, async (req, res) => {
   try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Booking not found" });
     const booking = await Booking.findById(req.params.id)
-      .populate("customer", "name email avatarUri")
-      .populate("pro", "name email services");
+      .populate("customerId", "name email avatarUri")
+      .populate("proId", "name email services");
 
     if (!booking) return res.status(404).json({ error: "Booking not found" });
 
     if (
-      booking.customer._id.toString() !== req.user._id.toString() &&
-      booking.pro._id.toString() !== req.user._id.toString()
+      booking.customerId?._id.toString() !== req.user.id.toString() &&
+      booking.proId?._id.toString() !== req.user.id.toString()
     ) {
       return res.status(403).json({ error: "Not authorized to view this booking" });
     }
@@ -42,76 +56,332 @@ router.get("/:id", protect, async (req, res) => {
   }
 });
 
-// 🔹 Create a new booking
-router.post("/", protect, async (req, res) => {
+// 🔹 Create a new booking on a slot of the pro's calendar
+// Body: { proId, holdId } (slot held via POST /api/availability/:proId/holds)
+//    or { proId, start, end | durationMinutes } (held now); plus { totalAmount, currency, title }
+// The slot is held until payment is escrowed (or the pro confirms); concurrent requests for it get 409
+router.post("/", protect, idempotency(), async (req, res) => {
   try {
-    const { proId, date, time, title } = req.body;
-    if (!proId || !date || !time) return res.status(400).json({ error: "Missing required fields" });
+    const { proId, holdId, start, durationMinutes, totalAmount, currency, title } = req.body;
+    const end = req.body.end || (start && durationMinutes ? new Date(new Date(start).getTime() + Number(durationMinutes) * 60000) : null);
+    if (!proId || !(holdId || (start && end)) || !(Number(totalAmount) > 0)) {
+      return res.status(400).json({ error: "proId, a holdId or start/end, and totalAmount are required" });
+    }
 
-    const exists = await Booking.findOne({
-      pro: proId,
-      date,
-      time,
-      status: { $ne: "Cancelled" },
-    });
-    if (exists) return res.status(409).json({ error: "This slot is already booked" });
-
-    const booking = await Booking.create({
-      customer: req.user._id,
-      pro: proId,
-      date,
-      time,
-      title: title || "Untitled Event",
-      status: "Pending",
+    const { booking, hold } = await availabilityService.bookSlot({
+      customerId: req.user.id,
+      proId,
+      holdId,
+      start,
+      end,
+      booking: { totalAmount: Number(totalAmount), currency, metadata: { title: title || "Untitled Event" } },
     });
 
-    res.json(booking);
+    res.status(201).json({ booking, hold });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    if (err.name === "ValidationError") return res.status(400).json({ error: err.message });
     console.error("❌ Booking creation error:", err);
     res.status(500).json({ error: "Booking creation failed" });
   }
 });
 
-// 🔹 Confirm booking (Pro only)
-router.patch("/:id/confirm", protect, async (req, res) => {
+// 🔹 Status changes — all go through bookingLifecycleService, which decides who may make each move
+// Body (optional): { reason }
+const transitionRoute = (to, message) => async (req, res) => {
+  try {
+    const { booking, transition } = await transitionBooking(req.params.id, to, {
+      user: req.user,
+      reason: req.body?.reason || "",
+    });
+    res.json({ message, booking, transition });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error(`❌ Booking ${to} error:`, err);
+    res.status(500).json({ error: `Failed to move booking to ${to}` });
+  }
+};
+
+router.patch("/:id/confirm", protect, transitionRoute("confirmed", "Booking confirmed"));
+router.patch("/:id/start", protect, transitionRoute("in_progress", "Booking started"));
+router.patch("/:id/complete", protect, transitionRoute("completed", "Booking completed"));
+
+// 🔹 What cancelling now would cost: refund, pro compensation and commission under the booking's policy
+router.get("/:id/cancellation", protect, async (req, res) => {
+  try {
+    const breakdown = await cancellationService.quoteCancellation(req.params.id, { user: req.user });
+    res.json({ breakdown });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error("❌ Cancellation quote error:", err);
+    res.status(500).json({ error: "Failed to work out the cancellation" });
+  }
+});
+
+// 🔹 Cancel — settles the escrow under the cancellation policy
+// Body: { reason, confirm, expectedRefund }
+// Without confirm: true nothing changes and the breakdown is returned for the user to review;
+// pass back its refund as expectedRefund so a quote that changed in the meantime is caught (409)
+router.patch("/:id/cancel", protect, async (req, res) => {
+  try {
+    const { reason = "", confirm = false, expectedRefund = null } = req.body || {};
+    if (confirm !== true) {
+      const breakdown = await cancellationService.quoteCancellation(req.params.id, { user: req.user });
+      return res.json({ message: "Review the breakdown and confirm to cancel", confirmRequired: true, breakdown });
+    }
+
+    const { booking, quote } = await cancellationService.cancelBooking(req.params.id, { user: req.user, reason, expectedRefund });
+    res.json({ message: "Booking cancelled", booking, breakdown: quote, cancellation: booking.cancellation });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code, breakdown: err.quote });
+    console.error("❌ Booking cancel error:", err);
+    res.status(500).json({ error: "Failed to cancel booking" });
+  }
+});
+
+// 🔹 Status history, plus the moves the current user can make next
+router.get("/:id/history", protect, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).select("customerId proId status paymentStatus statusHistory");
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+    const actor = actorFor(booking, req.user);
+    res.json({
+      status: booking.status,
+      paymentStatus: booking.paymentStatus,
+      history: booking.statusHistory,
+      allowedTransitions: allowedTransitions(booking, actor),
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("❌ Booking history error:", err);
+    res.status(500).json({ error: "Failed to fetch booking history" });
+  }
+});
+
+// 🔹 Define payment milestones (customer or pro, before any milestone is funded)
+// Body: { milestones: [{ title, amount, dueDate, releaseConditions, order }] } — amounts must add up to totalAmount
+router.put("/:id/milestones", protect, async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ error: "Booking not found" });
 
-    if (booking.pro.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: "Only the Pro can confirm this booking" });
+    const userId = req.user.id.toString();
+    if (booking.customerId.toString() !== userId && booking.proId.toString() !== userId) {
+      return res.status(403).json({ error: "Not authorized to edit this booking" });
     }
 
-    booking.status = "Confirmed";
+    const locked = booking.escrowId || booking.milestones.some((m) => m.status !== "unfunded");
+    if (locked) return res.status(409).json({ error: "Milestones cannot change once payment has started" });
+
+    const { milestones } = req.body;
+    if (!Array.isArray(milestones)) return res.status(400).json({ error: "milestones must be an array" });
+
+    booking.milestones = milestones.map((m, i) => ({
+      title: m.title,
+      order: m.order ?? i + 1,
+      amount: Number(m.amount),
+      dueDate: m.dueDate,
+      releaseConditions: m.releaseConditions,
+    }));
     await booking.save();
 
-    res.json({ message: "Booking confirmed", booking });
+    res.json({ message: "Milestones updated", milestones: booking.milestones });
   } catch (err) {
-    console.error("❌ Booking confirm error:", err);
-    res.status(500).json({ error: "Failed to confirm booking" });
+    if (err.name === "ValidationError") return res.status(400).json({ error: err.message });
+    console.error("❌ Booking milestones error:", err);
+    res.status(500).json({ error: "Failed to update milestones" });
   }
 });
 
-// 🔹 Cancel booking (Pro or Customer)
-router.patch("/:id/cancel", protect, async (req, res) => {
+// 🔹 Customer approves a milestone (satisfies its "customer_approval" release condition)
+router.patch("/:id/milestones/:milestoneId/approve", protect, async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ error: "Booking not found" });
 
-    if (
-      booking.customer.toString() !== req.user._id.toString() &&
-      booking.pro.toString() !== req.user._id.toString()
-    ) {
-      return res.status(403).json({ error: "Not authorized to cancel this booking" });
+    if (booking.customerId.toString() !== req.user.id.toString()) {
+      return res.status(403).json({ error: "Only the customer can approve a milestone" });
     }
 
-    booking.status = "Cancelled";
+    const milestone = booking.milestones.id(req.params.milestoneId);
+    if (!milestone) return res.status(404).json({ error: "Milestone not found" });
+
+    milestone.customerApprovedAt = milestone.customerApprovedAt || new Date();
     await booking.save();
 
-    res.json({ message: "Booking cancelled", booking });
+    res.json({ message: "Milestone approved", milestone });
   } catch (err) {
-    console.error("❌ Booking cancel error:", err);
-    res.status(500).json({ error: "Failed to cancel booking" });
+    console.error("❌ Milestone approve error:", err);
+    res.status(500).json({ error: "Failed to approve milestone" });
+  }
+});
+
+// 🔹 The booking's contract: terms, fingerprint (termsHash), signatures so far and the stored PDF links
+router.get("/:id/contract", protect, async (req, res) => {
+  try {
+    const contract = await contractService.getContract(req.params.id, req.user);
+    res.json({ contract });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error("❌ Contract fetch error:", err);
+    res.status(500).json({ error: "Failed to fetch the contract" });
+  }
+});
+
+// 🔹 The contract PDF as it stands, rendered now (works even if storing it failed)
+router.get("/:id/contract/pdf", protect, async (req, res) => {
+  try {
+    const { contract, buffer } = await contractService.contractPdf(req.params.id, req.user);
+    res.set({ "Content-Type": "application/pdf", "Content-Disposition": `inline; filename="${contract.number}.pdf"` });
+    res.send(buffer);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error("❌ Contract PDF error:", err);
+    res.status(500).json({ error: "Failed to render the contract" });
+  }
+});
+
+// 🔹 Sign the contract (customer or pro)
+// Body: { name, signature: { type: "typed" } | { type: "drawn", width, height, strokes: [[[x, y], ...]] }, termsHash }
+// termsHash is the fingerprint of the version the user reviewed; 409 CONTRACT_CHANGED returns the new version
+router.post("/:id/contract/sign", protect, async (req, res) => {
+  try {
+    const contract = await contractService.signContract(req.params.id, req.user, req.body || {}, {
+      ip: req.ip || req.socket?.remoteAddress || "",
+      userAgent: req.get("user-agent") || "",
+    });
+    res.json({ message: contract.status === "signed" ? "Contract signed by both parties" : "Contract signed", contract });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code, contract: err.contract });
+    if (err.name === "ValidationError") return res.status(400).json({ error: err.message });
+    console.error("❌ Contract sign error:", err);
+    res.status(500).json({ error: "Failed to sign the contract" });
+  }
+});
+
+// 🔹 Attendance on the day: check-in / check-out times, locations, proof photos, no-show
+router.get("/:id/attendance", protect, async (req, res) => {
+  try {
+    const attendance = await attendanceService.getAttendance(req.params.id, req.user);
+    res.json({ attendance });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error("❌ Attendance fetch error:", err);
+    res.status(500).json({ error: "Failed to fetch attendance" });
+  }
+});
+
+// 🔹 Customer: one-time code for the pro to enter at check-in (replaces any earlier code)
+router.post("/:id/check-in/code", protect, async (req, res) => {
+  try {
+    const { code, expiresAt } = await attendanceService.issueCheckInCode(req.params.id, req.user);
+    res.json({ code, expiresAt });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error("❌ Check-in code error:", err);
+    res.status(500).json({ error: "Failed to create a check-in code" });
+  }
+});
+
+// 🔹 Pro: check in on arrival — booking moves to in_progress
+// Body: { location?: { lat, lng, accuracy }, code?: customer's check-in code }
+router.post("/:id/check-in", protect, async (req, res) => {
+  try {
+    const { location = null, code = null } = req.body || {};
+    const booking = await attendanceService.checkIn(req.params.id, req.user, { location, code });
+    res.json({ message: booking.attendance.checkInConfirmedAt ? "Checked in and confirmed" : "Checked in", booking });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error("❌ Check-in error:", err);
+    res.status(500).json({ error: "Failed to check in" });
+  }
+});
+
+// 🔹 Pro: confirm the check-in with the customer's code
+// Body: { code }
+router.post("/:id/check-in/confirm", protect, async (req, res) => {
+  try {
+    const booking = await attendanceService.confirmCheckIn(req.params.id, req.user, { code: req.body?.code });
+    res.json({ message: "Check-in confirmed", booking });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error("❌ Check-in confirm error:", err);
+    res.status(500).json({ error: "Failed to confirm the check-in" });
+  }
+});
+
+// 🔹 Pro: check out — booking moves to completed and the escrow grace period starts
+// multipart/form-data: photos (image files), note, location (JSON { lat, lng, accuracy }); or a JSON body without photos
+router.post("/:id/check-out", protect, proofUpload.array("photos"), async (req, res) => {
+  try {
+    const { note = "" } = req.body || {};
+    let location = req.body?.location ?? null;
+    if (typeof location === "string") {
+      try {
+        location = JSON.parse(location);
+      } catch {
+        return res.status(400).json({ error: "location must be JSON { lat, lng, accuracy }", code: "ATTENDANCE_LOCATION_INVALID" });
+      }
+    }
+    const booking = await attendanceService.checkOut(req.params.id, req.user, { location, note, photos: req.files || [] });
+    res.json({ message: "Checked out", booking });
+  } catch (err) {
+    if (err instanceof multer.MulterError) return res.status(400).json({ error: err.message, code: "PROOF_INVALID" });
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error("❌ Check-out error:", err);
+    res.status(500).json({ error: "Failed to check out" });
+  }
+});
+
+// 🔹 Customer: the pro didn't turn up — opens a dispute
+// Body: { description? }
+router.post("/:id/no-show", protect, async (req, res) => {
+  try {
+    const dispute = await attendanceService.reportNoShow(req.params.id, req.user, { description: req.body?.description });
+    res.status(201).json({ message: "No-show reported; a dispute has been opened", dispute });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error("❌ No-show report error:", err);
+    res.status(500).json({ error: "Failed to report the no-show" });
+  }
+});
+
+// 🔹 Contact reveal: what each party has shared on a paid booking
+router.get("/:id/contact", protect, async (req, res) => {
+  try {
+    const contact = await contactRevealService.getContacts(req.params.id, req.user);
+    res.json({ contact });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error("❌ Contact fetch error:", err);
+    res.status(500).json({ error: "Failed to fetch contact details" });
+  }
+});
+
+// 🔹 Share phone / WhatsApp with the other party once the booking is paid into escrow
+// Body: { phone?, whatsapp?: number or true (same as phone) }
+router.post("/:id/contact", protect, async (req, res) => {
+  try {
+    const { phone = null, whatsapp = null } = req.body || {};
+    const reveal = await contactRevealService.shareContact(req.params.id, req.user, { phone, whatsapp });
+    res.status(201).json({ message: "Contact details shared", reveal });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error("❌ Contact share error:", err);
+    res.status(500).json({ error: "Failed to share contact details" });
+  }
+});
+
+// 🔹 Take shared contact details back
+router.delete("/:id/contact", protect, async (req, res) => {
+  try {
+    const result = await contactRevealService.withdrawContact(req.params.id, req.user);
+    res.json({ message: "Contact details withdrawn", ...result });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error("❌ Contact withdraw error:", err);
+    res.status(500).json({ error: "Failed to withdraw contact details" });
   }
 });
 
@@ -0,0 +1,122 @@
+// src/routes/calendarRoutes.js
+import express from "express";
+import calendarSyncService from "../services/calendarSyncService.js";
+import logger from "../utils/logger.js";
+import { protect, proOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Raw .ics uploads (Content-Type: text/calendar); JSON bodies are parsed by the app already
+const icsBody = express.text({ type: ["text/calendar", "text/plain"], limit: "5mb" });
+
+/**
+ * GET /api/calendar/feed/:token.ics
+ * Public (the token is the secret): the pro's bookings as an iCalendar feed
+ */
+router.get("/feed/:token.ics", async (req, res) => {
+  try {
+    const ics = await calendarSyncService.buildFeed(req.params.token);
+    if (!ics) return res.status(404).send("Not found");
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Cache-Control", "private, max-age=300");
+    return res.send(ics);
+  } catch (err) {
+    logger.error("Calendar feed error", err);
+    return res.status(500).send("Calendar unavailable");
+  }
+});
+
+/**
+ * GET /api/calendar/feed
+ * Auth: protect (pro) — private feed URL (created on first request)
+ */
+router.get("/feed", protect, proOnly, async (req, res) => {
+  try {
+    const data = await calendarSyncService.getFeed(req.user.id);
+    return res.json({ success: true, data });
+  } catch (err) {
+    logger.error("Calendar feed URL error", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/calendar/feed/rotate
+ * Auth: protect (pro) — new feed URL; subscriptions to the old one stop updating
+ */
+router.post("/feed/rotate", protect, proOnly, async (req, res) => {
+  try {
+    const data = await calendarSyncService.rotateFeedToken(req.user.id);
+    return res.json({ success: true, data });
+  } catch (err) {
+    logger.error("Calendar feed rotate error", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/calendar/imports
+ * Auth: protect (pro)
+ */
+router.get("/imports", protect, proOnly, async (req, res) => {
+  try {
+    const data = await calendarSyncService.listImports(req.user.id);
+    return res.json({ success: true, data });
+  } catch (err) {
+    logger.error("Calendar imports list error", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/calendar/imports
+ * Body: { name, url } (https / webcal, refreshed on a schedule) or { name, ics } (file contents),
+ *       or a raw text/calendar body with ?name=
+ * Auth: protect (pro)
+ */
+router.post("/imports", protect, proOnly, icsBody, async (req, res) => {
+  try {
+    const raw = typeof req.body === "string";
+    const { name = req.query.name || "", url = null, ics = null } = raw ? { ics: req.body } : req.body;
+    const entry = await calendarSyncService.addImport(req.user.id, { name, url, ics });
+    const { blocks, ...data } = entry.toObject();
+    return res.status(201).json({ success: true, data: { ...data, blockCount: blocks.length } });
+  } catch (err) {
+    logger.warn("Calendar import error", err.message);
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/calendar/imports/:id/sync
+ * Body: { ics } or a raw text/calendar body for file imports; URL imports are fetched again
+ * Auth: protect (pro)
+ */
+router.post("/imports/:id/sync", protect, proOnly, icsBody, async (req, res) => {
+  try {
+    const ics = typeof req.body === "string" ? req.body : req.body?.ics || null;
+    const entry = await calendarSyncService.syncImport(req.user.id, req.params.id, { ics });
+    const { blocks, ...data } = entry.toObject();
+    return res.json({ success: true, data: { ...data, blockCount: blocks.length } });
+  } catch (err) {
+    logger.warn("Calendar import sync error", err.message);
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/calendar/imports/:id
+ * Auth: protect (pro) — its blocks stop counting as busy time
+ */
+router.delete("/imports/:id", protect, proOnly, async (req, res) => {
+  try {
+    const removed = await calendarSyncService.removeImport(req.user.id, req.params.id);
+    if (!removed) return res.status(404).json({ success: false, error: "Calendar import not found" });
+    return res.json({ success: true, message: "Calendar import removed" });
+  } catch (err) {
+    logger.error("Calendar import delete error", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+export default router;
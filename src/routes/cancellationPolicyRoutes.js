@@ -0,0 +1,67 @@
+// src/routes/cancellationPolicyRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import cancellationPolicyService from "../services/cancellationPolicyService.js";
+import logger from "../utils/logger.js";
+import { protect, proOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+const fail = (res, err, label) => {
+  if (err.status) return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  logger.error(label, err);
+  return res.status(500).json({ success: false, error: err.message });
+};
+
+/**
+ * GET /api/cancellation-policies/presets
+ * Public: the preset policies and their refund tiers
+ */
+router.get("/presets", (req, res) => {
+  return res.json({ success: true, data: cancellationPolicyService.POLICY_PRESETS });
+});
+
+/**
+ * GET /api/cancellation-policies/me
+ * Auth: protect (pro)
+ */
+router.get("/me", protect, proOnly, async (req, res) => {
+  try {
+    const policy = await cancellationPolicyService.getPolicy(req.user.id);
+    return res.json({ success: true, data: policy });
+  } catch (err) {
+    return fail(res, err, "Cancellation policy fetch error");
+  }
+});
+
+/**
+ * PUT /api/cancellation-policies/me
+ * Body: { name: "flexible" | "moderate" | "strict" }
+ *    or { name: "custom", tiers: [{ minDaysBefore | minHoursBefore, refundPercent }] }
+ *       e.g. [{ minDaysBefore: 14, refundPercent: 100 }, { minDaysBefore: 7, refundPercent: 50 }, { minDaysBefore: 0, refundPercent: 0 }]
+ * Auth: protect (pro) — applies to bookings made from now on; existing bookings keep their snapshot
+ */
+router.put("/me", protect, proOnly, async (req, res) => {
+  try {
+    const policy = await cancellationPolicyService.setPolicy(req.user.id, req.body || {});
+    return res.json({ success: true, data: policy });
+  } catch (err) {
+    return fail(res, err, "Cancellation policy update error");
+  }
+});
+
+/**
+ * GET /api/cancellation-policies/:proId
+ * Public: the policy a new booking with this pro would get
+ */
+router.get("/:proId", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.proId)) return res.status(400).json({ success: false, error: "Invalid pro id" });
+    const policy = await cancellationPolicyService.getPolicy(req.params.proId);
+    return res.json({ success: true, data: policy });
+  } catch (err) {
+    return fail(res, err, "Cancellation policy fetch error");
+  }
+});
+
+export default router;
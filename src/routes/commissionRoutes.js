@@ -0,0 +1,152 @@
+// src/routes/commissionRoutes.js
+import express from "express";
+import { Parser as Json2CsvParser } from "json2csv";
+import Booking from "../models/Booking.js";
+import commissionService from "../services/commissionService.js";
+import logger from "../utils/logger.js";
+import { protect, requireRole } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/commission/bookings/:bookingId
+ * Auth: protect (booking customer / pro, or admin)
+ * Gross, fee and net breakdown for a booking (+ commission still to come on held funds)
+ */
+router.get("/bookings/:bookingId", protect, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId).select("customerId proId");
+    if (!booking) return res.status(404).json({ success: false, message: "Booking not found" });
+
+    const isParty = [booking.customerId, booking.proId].some((id) => String(id) === String(req.user.id));
+    if (!isParty && req.user.role !== "admin") {
+      return res.status(403).json({ success: false, message: "Not authorized to view this booking" });
+    }
+
+    const data = await commissionService.getBookingBreakdown(booking._id);
+    return res.json({ success: true, data });
+  } catch (err) {
+    logger.error("Commission breakdown error", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/commission/quote?amount=&currency=&proId=
+ * Auth: protect — pros quote for themselves, admins for any pro (currency defaults to the platform currency)
+ */
+router.get("/quote", protect, async (req, res) => {
+  try {
+    const amount = Number(req.query.amount);
+    if (!(amount > 0)) return res.status(400).json({ success: false, message: "amount must be greater than zero" });
+
+    const proId = req.user.role === "admin" && req.query.proId ? req.query.proId : req.user.id;
+    const currency = req.query.currency ? String(req.query.currency).toUpperCase() : undefined;
+    const data = await commissionService.quoteCommission({ proId, amount, currency });
+    return res.json({ success: true, data });
+  } catch (err) {
+    logger.error("Commission quote error", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/commission/ledger?from=&to=&page=&limit=&format=csv
+ * Auth: admin — fee transactions for finance (CSV with format=csv)
+ */
+router.get("/ledger", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const { from, to, page = 1, limit = 50, format } = req.query;
+
+    if (format === "csv") {
+      const { items } = await commissionService.listFeeLedger({ from, to, page: 1, limit: 10000 });
+      const rows = items.map((tx) => ({
+        createdAt: tx.createdAt,
+        reference: tx.reference,
+        bookingId: String(tx.bookingId),
+        proId: tx.creativeId ? String(tx.creativeId) : "",
+        gross: tx.metadata?.gross ?? "",
+        fee: tx.amount,
+        currency: tx.currency || "",
+        net: tx.metadata?.net ?? "",
+        rule: tx.metadata?.rule?.name || "",
+        percent: tx.metadata?.rule?.percent ?? "",
+        flatFee: tx.metadata?.rule?.flatFee ?? "",
+        note: tx.note || "",
+      }));
+
+      const fields = ["createdAt", "reference", "bookingId", "proId", "gross", "fee", "currency", "net", "rule", "percent", "flatFee", "note"];
+      const csv = new Json2CsvParser({ fields }).parse(rows);
+
+      res.header("Content-Type", "text/csv");
+      res.attachment(`commission_ledger_${Date.now()}.csv`);
+      return res.send(csv);
+    }
+
+    const data = await commissionService.listFeeLedger({ from, to, page: Number(page), limit: Number(limit) });
+    return res.json({ success: true, ...data });
+  } catch (err) {
+    logger.error("Commission ledger error", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/commission/rules?active=true
+ * Auth: admin
+ */
+router.get("/rules", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const active = req.query.active === undefined ? undefined : req.query.active === "true";
+    const rules = await commissionService.listRules({ active });
+    return res.json({ success: true, data: rules, defaultRule: commissionService.DEFAULT_RULE });
+  } catch (err) {
+    logger.error("Commission rules list error", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/commission/rules
+ * Body: { name, percent, flatFee, match: { tiers, subscriptionPlans, verified, boosted }, priority }
+ * Auth: admin
+ */
+router.post("/rules", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const rule = await commissionService.createRule(req.body, req.user.id);
+    return res.status(201).json({ success: true, data: rule });
+  } catch (err) {
+    logger.error("Commission rule create error", err);
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * PATCH /api/commission/rules/:id
+ * Auth: admin
+ */
+router.patch("/rules/:id", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const rule = await commissionService.updateRule(req.params.id, req.body);
+    return res.json({ success: true, data: rule });
+  } catch (err) {
+    logger.error("Commission rule update error", err);
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/commission/rules/:id
+ * Auth: admin — deactivates the rule
+ */
+router.delete("/rules/:id", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const rule = await commissionService.deactivateRule(req.params.id);
+    return res.json({ success: true, data: rule });
+  } catch (err) {
+    logger.error("Commission rule deactivate error", err);
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+export default router;
@@ -1,24 +1,56 @@
 // src/routes/escrowRoutes.js
 import express from "express";
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
 import escrowService from "../services/escrowService.js";
 import logger from "../utils/logger.js";
-import { protect } from "../middleware/authMiddleware.js"; // adjust path if needed
+import { protect, requireRole } from "../middleware/authMiddleware.js"; // adjust path if needed
+import { idempotency } from "../middleware/idempotency.js";
 
 const router = express.Router();
 
+// Booking states in which the customer may release the pro's money themselves
+const RELEASABLE_STATUSES = ["in_progress", "completed"];
+
+/**
+ * Middleware: only admins and the given parties of :bookingId (or body.bookingId) ("customerId", "proId") get
+ * through. Non-admins are also held to `statuses` when given. The booking is left on req.booking.
+ */
+const bookingAccess = (parties, { statuses = null } = {}) => async (req, res, next) => {
+  try {
+    const bookingId = req.params.bookingId || req.body?.bookingId;
+    const booking = mongoose.isValidObjectId(bookingId) ? await Booking.findById(bookingId).select("customerId proId status") : null;
+    if (!booking) return res.status(404).json({ success: false, error: "Booking not found", code: "BOOKING_NOT_FOUND" });
+    req.booking = booking;
+    if (req.user.role === "admin") return next();
+
+    if (!parties.some((field) => String(booking[field]) === String(req.user.id))) {
+      return res.status(403).json({ success: false, error: "Not allowed for this booking", code: "ESCROW_FORBIDDEN" });
+    }
+    if (statuses && !statuses.includes(booking.status)) {
+      return res.status(409).json({ success: false, error: `Not possible while the booking is ${booking.status}`, code: "ESCROW_NOT_RELEASABLE" });
+    }
+    return next();
+  } catch (err) {
+    logger.error("Escrow access check error", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+};
+
 /**
  * POST /api/escrow/initiate
- * Body: { bookingId, amount, email, gateway } - gateway optional: 'paystack'|'flutterwave'
- * Auth: protect (customer)
+ * Body: { bookingId, email, gateway, milestoneId } - gateway optional: 'paystack'|'flutterwave'
+ * The booking's total is charged; milestone bookings pass milestoneId and that milestone's amount is charged
+ * Auth: the booking's customer (or admin)
  */
-router.post("/initiate", protect, async (req, res) => {
+router.post("/initiate", protect, bookingAccess(["customerId"]), idempotency(), async (req, res) => {
   try {
-    const { bookingId, amount, email, gateway = escrowService.GATEWAYS.PAYSTACK, metadata = {} } = req.body;
-    if (!bookingId || !amount || !email) {
-      return res.status(400).json({ success: false, message: "bookingId, amount and email are required" });
+    const { bookingId, email, gateway = escrowService.GATEWAYS.PAYSTACK, metadata = {}, milestoneId = null } = req.body;
+    if (!email) {
+      return res.status(400).json({ success: false, message: "bookingId and email are required" });
     }
 
-    const result = await escrowService.initializeEscrow({ bookingId, amount, email, gateway, metadata });
+    const result = await escrowService.initializeEscrow({ bookingId, email, gateway, metadata, milestoneId });
     return res.json({ success: true, data: result });
   } catch (err) {
     logger.error("Escrow initiate error", err);
@@ -28,16 +60,18 @@ router.post("/initiate", protect, async (req, res) => {
 
 /**
  * POST /api/escrow/release/:bookingId
- * Auth: protect (admin or system user ideally)
- * Body: { note }
+ * Auth: admin, or the booking's customer once the booking is in progress or completed
+ * Body: { note, amount, milestoneId } - amount optional, defaults to everything still held
  */
-router.post("/release/:bookingId", protect, async (req, res) => {
+router.post("/release/:bookingId", protect, bookingAccess(["customerId"], { statuses: RELEASABLE_STATUSES }), idempotency(), async (req, res) => {
   try {
     const bookingId = req.params.bookingId;
-    const initiatedBy = req.user?._id || null; // protect must set req.user
+    const initiatedBy = req.user?.id || null; // protect must set req.user
     const note = req.body.note || "";
+    const amount = req.body.amount != null ? Number(req.body.amount) : null;
+    const milestoneId = req.body.milestoneId || null;
 
-    const result = await escrowService.releaseFunds({ bookingId, initiatedBy, note });
+    const result = await escrowService.releaseFunds({ bookingId, milestoneId, amount, initiatedBy, note });
     return res.json({ success: true, data: result });
   } catch (err) {
     logger.error("Escrow release error", err);
@@ -47,16 +81,18 @@ router.post("/release/:bookingId", protect, async (req, res) => {
 
 /**
  * POST /api/escrow/refund/:bookingId
- * Auth: protect (admin or authorized agent)
- * Body: { reason }
+ * Auth: admin (customers get refunds by cancelling, see cancellationService)
+ * Body: { reason, amount, milestoneId } - amount optional, defaults to everything still held
  */
-router.post("/refund/:bookingId", protect, async (req, res) => {
+router.post("/refund/:bookingId", protect, requireRole("admin"), idempotency(), async (req, res) => {
   try {
     const bookingId = req.params.bookingId;
-    const initiatedBy = req.user?._id || null;
+    const initiatedBy = req.user?.id || null;
     const reason = req.body.reason || "";
+    const amount = req.body.amount != null ? Number(req.body.amount) : null;
+    const milestoneId = req.body.milestoneId || null;
 
-    const result = await escrowService.refundFunds({ bookingId, initiatedBy, reason });
+    const result = await escrowService.refundFunds({ bookingId, milestoneId, amount, initiatedBy, reason });
     return res.json({ success: true, data: result });
   } catch (err) {
     logger.error("Escrow refund error", err);
@@ -65,66 +101,67 @@ router.post("/refund/:bookingId", protect, async (req, res) => {
 });
 
 /**
- * POST /api/escrow/webhook/paystack
- * Paystack requires raw body for signature verification. This route expects the server to configure
- * express.raw({ type: 'application/json' }) for this path (see index.js snippet below).
- *
- * Public endpoint (no auth).
+ * POST /api/escrow/fee/:bookingId
+ * Auth: admin
+ * Body: { amount, note, milestoneId } - keeps part of the held balance as platform fee
  */
-router.post("/webhook/paystack", async (req, res) => {
+router.post("/fee/:bookingId", protect, requireRole("admin"), async (req, res) => {
   try {
-    // For raw body, req.body may be a Buffer/string; parse if necessary.
-    // If using express.raw middleware, body will be a Buffer; convert to string then JSON.
-    let body = req.body;
-    if (Buffer.isBuffer(body)) {
-      try {
-        body = JSON.parse(body.toString("utf8"));
-      } catch (e) {
-        // If parse fails, forward raw body as-is (escrowService.verifyWebhook handles checks)
-      }
+    const amount = Number(req.body.amount);
+    if (!(amount > 0)) {
+      return res.status(400).json({ success: false, message: "amount must be greater than zero" });
     }
 
-    const headers = req.headers;
-    const result = await escrowService.handleWebhook({ headers, body, gateway: escrowService.GATEWAYS.PAYSTACK });
-    // respond 200 quickly to acknowledge receipt; gateway will retry on non-2xx
-    return res.status(200).json(result);
+    const result = await escrowService.retainFee({
+      bookingId: req.params.bookingId,
+      milestoneId: req.body.milestoneId || null,
+      amount,
+      initiatedBy: req.user?.id || null,
+      note: req.body.note || "",
+    });
+    return res.json({ success: true, data: result });
   } catch (err) {
-    logger.error("Paystack webhook processing error", err);
-    // Always return 200 to avoid repeated retries unless you intentionally want gateway retries.
-    return res.status(200).json({ success: false, error: err.message });
+    logger.error("Escrow fee error", err);
+    return res.status(400).json({ success: false, error: err.message });
   }
 });
 
 /**
- * POST /api/escrow/webhook/flutterwave
- * Flutterwave webhook also needs a raw body for verification headers.
- *
- * Public endpoint (no auth).
+ * POST /api/escrow/split/:bookingId
+ * Auth: admin
+ * Body: { releaseAmount, refundAmount, feeAmount, note } or { proPercent, feeAmount, note } (+ milestoneId)
+ * e.g. { proPercent: 50 } for a 50/50 split of the held balance
  */
-router.post("/webhook/flutterwave", async (req, res) => {
+router.post("/split/:bookingId", protect, requireRole("admin"), async (req, res) => {
   try {
-    let body = req.body;
-    if (Buffer.isBuffer(body)) {
-      try {
-        body = JSON.parse(body.toString("utf8"));
-      } catch (e) {}
-    }
+    const { releaseAmount = 0, refundAmount = 0, feeAmount = 0, proPercent = null, note = "", milestoneId = null } = req.body;
 
-    const headers = req.headers;
-    const result = await escrowService.handleWebhook({ headers, body, gateway: escrowService.GATEWAYS.FLUTTERWAVE });
-    return res.status(200).json(result);
+    const result = await escrowService.settleSplit({
+      bookingId: req.params.bookingId,
+      milestoneId,
+      releaseAmount: Number(releaseAmount),
+      refundAmount: Number(refundAmount),
+      feeAmount: Number(feeAmount),
+      proPercent: proPercent === null ? null : Number(proPercent),
+      initiatedBy: req.user?.id || null,
+      note,
+    });
+    return res.json({ success: true, data: result });
   } catch (err) {
-    logger.error("Flutterwave webhook processing error", err);
-    return res.status(200).json({ success: false, error: err.message });
+    logger.error("Escrow split error", err);
+    return res.status(400).json({ success: false, error: err.message });
   }
 });
 
+// Gateway webhooks (POST /api/escrow/webhook/:gateway) are served by routes/webhooks.js,
+// mounted on that path in index.js ahead of express.json so the raw body reaches the inbox.
+
 /**
  * GET /api/escrow/:bookingId
- * Auth: protect
+ * Auth: admin, or the booking's customer or pro
  * Returns escrow + recent transactions for the booking
  */
-router.get("/:bookingId", protect, async (req, res) => {
+router.get("/:bookingId", protect, bookingAccess(["customerId", "proId"]), async (req, res) => {
   try {
     const bookingId = req.params.bookingId;
     const data = await escrowService.getEscrowDetails(bookingId);
@@ -0,0 +1,167 @@
+// src/routes/eventPackageRoutes.js
+import express from "express";
+import eventPackageService from "../services/eventPackageService.js";
+import logger from "../utils/logger.js";
+import { protect, customerOnly, proOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+const fail = (res, err, label) => {
+  if (err.status) return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  if (err.name === "ValidationError" || err.name === "CastError") return res.status(400).json({ success: false, error: err.message });
+  logger.error(label, err);
+  return res.status(500).json({ success: false, error: err.message });
+};
+
+/**
+ * POST /api/event-packages
+ * Body: { title, description, eventDate, durationMinutes, venue, budget, currency, items: [{ category, proId, amount }] }
+ * Auth: protect (customer) — each item with a pro books them (pending until they accept); busy pros leave their item open
+ */
+router.post("/", protect, customerOnly, async (req, res) => {
+  try {
+    const pkg = await eventPackageService.createPackage(req.user.id, req.body || {});
+    return res.status(201).json({ success: true, data: pkg });
+  } catch (err) {
+    return fail(res, err, "Event package create error");
+  }
+});
+
+/**
+ * GET /api/event-packages?status=planning
+ * Auth: protect — events you planned, or (pros) are booked on
+ */
+router.get("/", protect, async (req, res) => {
+  try {
+    const packages = await eventPackageService.listPackages(req.user, { status: req.query.status });
+    return res.json({ success: true, data: packages });
+  } catch (err) {
+    return fail(res, err, "Event package list error");
+  }
+});
+
+/**
+ * GET /api/event-packages/:id
+ * Auth: protect (customer, a pro on the event or admin) — items, shared timeline and run-of-show
+ */
+router.get("/:id", protect, async (req, res) => {
+  try {
+    const pkg = await eventPackageService.getPackage(req.params.id, req.user);
+    return res.json({ success: true, data: pkg });
+  } catch (err) {
+    return fail(res, err, "Event package fetch error");
+  }
+});
+
+/**
+ * GET /api/event-packages/:id/recommendations?category=dj
+ * Auth: protect (customer) — suggested pros per item still without one
+ */
+router.get("/:id/recommendations", protect, customerOnly, async (req, res) => {
+  try {
+    const recommendations = await eventPackageService.recommendForPackage(req.params.id, req.user, { category: req.query.category });
+    return res.json({ success: true, data: recommendations });
+  } catch (err) {
+    return fail(res, err, "Event package recommendations error");
+  }
+});
+
+/**
+ * POST /api/event-packages/:id/items
+ * Body: { category, proId, amount }
+ * Auth: protect (customer)
+ */
+router.post("/:id/items", protect, customerOnly, async (req, res) => {
+  try {
+    const result = await eventPackageService.addItem(req.params.id, req.user, req.body || {});
+    return res.status(201).json({ success: true, data: result });
+  } catch (err) {
+    return fail(res, err, "Event package item add error");
+  }
+});
+
+/**
+ * POST /api/event-packages/:id/items/:itemId/assign
+ * Body: { proId, amount }
+ * Auth: protect (customer) — book a pro for an open item, or a replacement for one who dropped out
+ */
+router.post("/:id/items/:itemId/assign", protect, customerOnly, async (req, res) => {
+  try {
+    const result = await eventPackageService.assignItem(req.params.id, req.params.itemId, req.user, req.body || {});
+    return res.json({ success: true, data: result });
+  } catch (err) {
+    return fail(res, err, "Event package item assign error");
+  }
+});
+
+/**
+ * POST /api/event-packages/:id/items/:itemId/remove
+ * Body: { reason }
+ * Auth: protect (customer) — the pro's booking is cancelled under their cancellation policy
+ */
+router.post("/:id/items/:itemId/remove", protect, customerOnly, async (req, res) => {
+  try {
+    const result = await eventPackageService.removeItem(req.params.id, req.params.itemId, req.user, req.body || {});
+    return res.json({ success: true, data: result });
+  } catch (err) {
+    return fail(res, err, "Event package item remove error");
+  }
+});
+
+/**
+ * POST /api/event-packages/:id/items/:itemId/respond
+ * Body: { accept: true | false, reason }
+ * Auth: protect (the invited pro)
+ */
+router.post("/:id/items/:itemId/respond", protect, proOnly, async (req, res) => {
+  try {
+    const pkg = await eventPackageService.respondToItem(req.params.id, req.params.itemId, req.user, req.body || {});
+    return res.json({ success: true, data: pkg });
+  } catch (err) {
+    return fail(res, err, "Event package response error");
+  }
+});
+
+/**
+ * POST /api/event-packages/:id/timeline
+ * Body: { message, startsAt }
+ * Auth: protect (customer or a pro on the event) — everyone else on the event is notified
+ */
+router.post("/:id/timeline", protect, async (req, res) => {
+  try {
+    const entry = await eventPackageService.addTimelineEntry(req.params.id, req.user, req.body || {});
+    return res.status(201).json({ success: true, data: entry });
+  } catch (err) {
+    return fail(res, err, "Event package timeline error");
+  }
+});
+
+/**
+ * POST /api/event-packages/:id/pay
+ * Body: { gateway, email }
+ * Auth: protect (customer) — one charge for every accepted pro not paid yet, split into an escrow per booking
+ */
+router.post("/:id/pay", protect, customerOnly, async (req, res) => {
+  try {
+    const payment = await eventPackageService.payPackage(req.params.id, req.user, req.body || {});
+    return res.json({ success: true, data: payment });
+  } catch (err) {
+    return fail(res, err, "Event package payment error");
+  }
+});
+
+/**
+ * POST /api/event-packages/:id/cancel
+ * Body: { reason }
+ * Auth: protect (customer) — cancels every booking still on
+ */
+router.post("/:id/cancel", protect, customerOnly, async (req, res) => {
+  try {
+    const result = await eventPackageService.cancelPackage(req.params.id, req.user, req.body || {});
+    return res.json({ success: true, data: result });
+  } catch (err) {
+    return fail(res, err, "Event package cancel error");
+  }
+});
+
+export default router;
@@ -1,8 +1,164 @@
+// src/routes/gigRoutes.js
 import express from "express";
+import gigService from "../services/gigService.js";
+import logger from "../utils/logger.js";
+import { protect, proOnly, customerOnly } from "../middleware/authMiddleware.js";
+
 const router = express.Router();
 
-router.get("/", (req, res) => {
-  res.status(200).json({ message: "Gig routes operational" });
+const fail = (res, err, label) => {
+  if (err.status) return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  if (err.name === "ValidationError" || err.name === "CastError") return res.status(400).json({ success: false, error: err.message });
+  logger.error(label, err);
+  return res.status(500).json({ success: false, error: err.message });
+};
+
+/**
+ * GET /api/gigs?category=dj&skills=afrobeats,mc&location=lagos&from=&to=&budgetMin=&budgetMax=&page=1&limit=20
+ * Public — open gigs still taking bids, soonest deadline first
+ */
+router.get("/", async (req, res) => {
+  try {
+    const result = await gigService.listOpenGigs(req.query);
+    return res.json({ success: true, data: result });
+  } catch (err) {
+    return fail(res, err, "Gig board error");
+  }
+});
+
+/**
+ * POST /api/gigs
+ * Body: { title, description, category, requiredSkills, eventDate, durationMinutes, location,
+ *         budgetMin, budgetMax, currency, biddingDeadline }
+ * Auth: protect (customer) — posts the gig and notifies matching pros
+ */
+router.post("/", protect, customerOnly, async (req, res) => {
+  try {
+    const gig = await gigService.createGig(req.user.id, req.body || {});
+    return res.status(201).json({ success: true, data: gig });
+  } catch (err) {
+    return fail(res, err, "Gig create error");
+  }
+});
+
+/**
+ * GET /api/gigs/matching?limit=20
+ * Auth: protect (pro) — open gigs matching your skills or category, or that you were notified about
+ */
+router.get("/matching", protect, proOnly, async (req, res) => {
+  try {
+    const gigs = await gigService.listMatchingGigs(req.user.id, req.query);
+    return res.json({ success: true, data: gigs });
+  } catch (err) {
+    return fail(res, err, "Matching gigs error");
+  }
+});
+
+/**
+ * GET /api/gigs/mine?status=open
+ * Auth: protect (customer) — gigs you posted
+ */
+router.get("/mine", protect, customerOnly, async (req, res) => {
+  try {
+    const gigs = await gigService.listMyGigs(req.user.id, { status: req.query.status });
+    return res.json({ success: true, data: gigs });
+  } catch (err) {
+    return fail(res, err, "My gigs error");
+  }
+});
+
+/**
+ * GET /api/gigs/:id
+ * Public — the gig's details and bid count
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const gig = await gigService.getGig(req.params.id);
+    return res.json({ success: true, data: gig });
+  } catch (err) {
+    return fail(res, err, "Gig fetch error");
+  }
+});
+
+/**
+ * POST /api/gigs/:id/close
+ * Body: { reason }
+ * Auth: protect (the customer) — takes the gig down; bids in the running are rejected
+ */
+router.post("/:id/close", protect, async (req, res) => {
+  try {
+    const gig = await gigService.closeGig(req.params.id, req.user, req.body || {});
+    return res.json({ success: true, data: gig });
+  } catch (err) {
+    return fail(res, err, "Gig close error");
+  }
+});
+
+/**
+ * GET /api/gigs/:id/bids?status=shortlisted
+ * Auth: protect — the customer sees every bid (shortlisted first, then cheapest), a pro only their own
+ */
+router.get("/:id/bids", protect, async (req, res) => {
+  try {
+    const bids = await gigService.listBids(req.params.id, req.user, { status: req.query.status });
+    return res.json({ success: true, data: bids });
+  } catch (err) {
+    return fail(res, err, "Gig bids error");
+  }
+});
+
+/**
+ * POST /api/gigs/:id/bids
+ * Body: { amount, message }
+ * Auth: protect (pro) — bids, or revises your bid, while bidding is open; amount is in the gig's currency
+ */
+router.post("/:id/bids", protect, proOnly, async (req, res) => {
+  try {
+    const bid = await gigService.submitBid(req.user.id, req.params.id, req.body || {});
+    return res.status(201).json({ success: true, data: bid });
+  } catch (err) {
+    return fail(res, err, "Bid submit error");
+  }
+});
+
+/**
+ * POST /api/gigs/:id/bids/withdraw
+ * Auth: protect (pro) — withdraws your bid while bidding is open
+ */
+router.post("/:id/bids/withdraw", protect, proOnly, async (req, res) => {
+  try {
+    const bid = await gigService.withdrawBid(req.user.id, req.params.id);
+    return res.json({ success: true, data: bid });
+  } catch (err) {
+    return fail(res, err, "Bid withdraw error");
+  }
+});
+
+/**
+ * POST /api/gigs/:id/bids/:bidId/shortlist
+ * Body: { shortlisted } (default true; false takes the bid off the shortlist)
+ * Auth: protect (the customer)
+ */
+router.post("/:id/bids/:bidId/shortlist", protect, async (req, res) => {
+  try {
+    const bid = await gigService.shortlistBid(req.params.id, req.params.bidId, req.user, { shortlisted: req.body?.shortlisted !== false });
+    return res.json({ success: true, data: bid });
+  } catch (err) {
+    return fail(res, err, "Bid shortlist error");
+  }
+});
+
+/**
+ * POST /api/gigs/:id/bids/:bidId/accept
+ * Auth: protect (the customer) — books the pro at the bid amount and closes the gig; fund it through /api/escrow
+ */
+router.post("/:id/bids/:bidId/accept", protect, async (req, res) => {
+  try {
+    const { gig, bid, booking } = await gigService.acceptBid(req.params.id, req.params.bidId, req.user);
+    return res.status(201).json({ success: true, data: { gig, bid, booking } });
+  } catch (err) {
+    return fail(res, err, "Bid accept error");
+  }
 });
 
 export default router;
@@ -0,0 +1,96 @@
+// src/routes/ledgerRoutes.js
+import express from "express";
+import ledgerService from "../services/ledgerService.js";
+import logger from "../utils/logger.js";
+import { protect, requireRole } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Finance views — admin only
+router.use(protect, requireRole("admin"));
+
+/**
+ * GET /api/ledger/accounts?kind=pro_payable
+ * Chart of accounts with current balances (one row per currency)
+ */
+router.get("/accounts", async (req, res) => {
+  try {
+    const data = await ledgerService.listAccounts({ kind: req.query.kind });
+    return res.json({ success: true, data });
+  } catch (err) {
+    logger.error("Ledger accounts error", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/ledger/accounts/:code/balance?currency=NGN
+ * e.g. /api/ledger/accounts/escrow_holding/balance, /api/ledger/accounts/pro_payable:<userId>/balance?currency=GHS
+ * (balance in one currency; defaults to the platform currency)
+ */
+router.get("/accounts/:code/balance", async (req, res) => {
+  try {
+    const data = await ledgerService.getAccountBalance(req.params.code, { currency: req.query.currency?.toUpperCase() });
+    return res.json({ success: true, data });
+  } catch (err) {
+    logger.error("Ledger balance error", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/ledger/entries?bookingId=&escrowId=&invoiceId=&account=&page=&limit=
+ */
+router.get("/entries", async (req, res) => {
+  try {
+    const { bookingId, escrowId, invoiceId, account, page = 1, limit = 50 } = req.query;
+    const data = await ledgerService.getEntries({ bookingId, escrowId, invoiceId, account, page: Number(page), limit: Number(limit) });
+    return res.json({ success: true, ...data });
+  } catch (err) {
+    logger.error("Ledger entries error", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/ledger/trial-balance
+ */
+router.get("/trial-balance", async (req, res) => {
+  try {
+    const data = await ledgerService.trialBalance();
+    return res.json({ success: true, data });
+  } catch (err) {
+    logger.error("Ledger trial balance error", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/ledger/verify
+ * Books vs escrows / payouts (same check the reconciliation run uses)
+ */
+router.get("/verify", async (req, res) => {
+  try {
+    const data = await ledgerService.verifyBooks();
+    return res.json({ success: true, data });
+  } catch (err) {
+    logger.error("Ledger verify error", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/ledger/entries/:id/reverse
+ * Body: { reason }
+ */
+router.post("/entries/:id/reverse", async (req, res) => {
+  try {
+    const entry = await ledgerService.reverseEntry(req.params.id, { postedBy: req.user.id, reason: req.body.reason || "" });
+    return res.status(201).json({ success: true, data: entry });
+  } catch (err) {
+    logger.error("Ledger reversal error", err);
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+export default router;
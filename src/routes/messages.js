@@ -1,16 +1,180 @@
-import { Router } from "express";
-
-const router = Router();
-
-// GET /api/messages
-router.get("/", (req, res) => {
-  res.json({
-    messages: [
-      "Hello 👋, welcome to GetVybz!",
-      "Your booking is confirmed 🎉",
-      "Don’t forget your event tomorrow 🎶",
-    ],
-  });
+// src/routes/messages.js
+import express from "express";
+import multer from "multer";
+import messageService from "../services/messageService.js";
+import messageCardService from "../services/messageCardService.js";
+import logger from "../utils/logger.js";
+import { protect } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Hard stop only; messageService applies the per-type limits
+const attachmentUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 25 * 1024 * 1024, files: 10 } }).array("attachments");
+const receiveAttachments = (req, res, next) =>
+  attachmentUpload(req, res, (err) => (err ? res.status(400).json({ success: false, error: err.message, code: "ATTACHMENT_INVALID" }) : next()));
+
+const fail = (res, err, label) => {
+  if (err.status) return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  if (err.name === "ValidationError" || err.name === "CastError") return res.status(400).json({ success: false, error: err.message });
+  logger.error(label, err);
+  return res.status(500).json({ success: false, error: err.message });
+};
+
+/**
+ * GET /api/messages?archived=true&before=<nextCursor>&limit=20
+ * Auth: protect — your conversations, most recent message first, with your unread count, archive and mute state
+ */
+router.get("/", protect, async (req, res) => {
+  try {
+    const { archived, before, limit } = req.query;
+    const data = await messageService.listConversations(req.user, { archived: archived === "true", before, limit });
+    return res.json({ success: true, data });
+  } catch (err) {
+    return fail(res, err, "Conversation list error");
+  }
+});
+
+/**
+ * GET /api/messages/unread
+ * Auth: protect — unread counts per conversation, and the badge total (muted and archived left out)
+ */
+router.get("/unread", protect, async (req, res) => {
+  try {
+    const data = await messageService.unreadCounts(req.user);
+    return res.json({ success: true, data });
+  } catch (err) {
+    return fail(res, err, "Unread count error");
+  }
+});
+
+/**
+ * POST /api/messages/conversations
+ * Body: { participantIds: [userId] } | { bookingId } | { quoteId }
+ * Auth: protect — opens the conversation, or returns the one that already exists
+ */
+router.post("/conversations", protect, async (req, res) => {
+  try {
+    const conversation = await messageService.openConversation(req.user, req.body || {});
+    return res.json({ success: true, data: conversation });
+  } catch (err) {
+    return fail(res, err, "Conversation open error");
+  }
+});
+
+/**
+ * GET /api/messages/conversations/:id
+ * Auth: protect (participant)
+ */
+router.get("/conversations/:id", protect, async (req, res) => {
+  try {
+    const conversation = await messageService.getConversation(req.params.id, req.user);
+    return res.json({ success: true, data: conversation });
+  } catch (err) {
+    return fail(res, err, "Conversation fetch error");
+  }
+});
+
+/**
+ * GET /api/messages/conversations/:id/messages?before=<messageId>&limit=30
+ * Auth: protect (participant) — newest page first; pass nextCursor as `before` for older messages
+ */
+router.get("/conversations/:id/messages", protect, async (req, res) => {
+  try {
+    const { before, limit } = req.query;
+    const data = await messageService.listMessages(req.params.id, req.user, { before, limit });
+    return res.json({ success: true, data });
+  } catch (err) {
+    return fail(res, err, "Message history error");
+  }
+});
+
+/**
+ * POST /api/messages/conversations/:id/messages
+ * Body: { content } as JSON, or multipart with `attachments` files (images, voice notes / audio, PDFs),
+ *   an optional `content` caption and `durationSec` for a voice note
+ * Auth: protect (participant) — contact details (phone, account numbers, off-platform apps), in the text or
+ *   inside attachments, are refused with 403 when the moderation policy blocks them; phone / WhatsApp pass in
+ *   a booking's conversation once contact is revealed (POST /api/bookings/:id/contact)
+ */
+router.post("/conversations/:id/messages", protect, receiveAttachments, async (req, res) => {
+  try {
+    const { content, durationSec = null } = req.body || {};
+    const message = await messageService.sendMessage(req.params.id, req.user, { content, durationSec, files: req.files || [] });
+    return res.status(201).json({ success: true, data: message });
+  } catch (err) {
+    return fail(res, err, "Message send error");
+  }
+});
+
+/**
+ * POST /api/messages/conversations/:id/cards
+ * Body: { kind: quote | booking | payment_request | review_prompt, refId, milestoneId?, content? }
+ * Auth: protect (participant) — the quote / booking must be between people in the conversation
+ */
+router.post("/conversations/:id/cards", protect, async (req, res) => {
+  try {
+    const message = await messageCardService.sendCard(req.params.id, req.user, req.body || {});
+    return res.status(201).json({ success: true, data: message });
+  } catch (err) {
+    return fail(res, err, "Card send error");
+  }
+});
+
+/**
+ * POST /api/messages/:messageId/actions
+ * Body: { action, ...input } — e.g. { action: "accept" } on a quote, { action: "pay", gateway } on a payment
+ *   request, { action: "review", rating, comment } on a review prompt
+ * Auth: protect (participant the action belongs to) — returns { message, result }
+ */
+router.post("/:messageId/actions", protect, async (req, res) => {
+  try {
+    const data = await messageCardService.actOnCard(req.params.messageId, req.user, req.body || {});
+    return res.json({ success: true, data });
+  } catch (err) {
+    return fail(res, err, "Card action error");
+  }
+});
+
+/**
+ * POST /api/messages/conversations/:id/read
+ * Auth: protect (participant) — clears your unread count
+ */
+router.post("/conversations/:id/read", protect, async (req, res) => {
+  try {
+    const data = await messageService.markRead(req.params.id, req.user);
+    return res.json({ success: true, data });
+  } catch (err) {
+    return fail(res, err, "Mark read error");
+  }
+});
+
+/**
+ * PATCH /api/messages/conversations/:id/archive
+ * Body: { archived: true | false }
+ * Auth: protect (participant) — only for you; a new message brings it back
+ */
+router.patch("/conversations/:id/archive", protect, async (req, res) => {
+  try {
+    const conversation = await messageService.setArchived(req.params.id, req.user, req.body?.archived !== false);
+    return res.json({ success: true, data: conversation });
+  } catch (err) {
+    return fail(res, err, "Conversation archive error");
+  }
+});
+
+/**
+ * PATCH /api/messages/conversations/:id/mute
+ * Body: { muted: true | false, until? }
+ * Auth: protect (participant) — without `until` the conversation stays muted until unmuted
+ */
+router.patch("/conversations/:id/mute", protect, async (req, res) => {
+  try {
+    const { muted = true, until = null } = req.body || {};
+    const conversation = await messageService.setMuted(req.params.id, req.user, { muted: muted !== false, until });
+    return res.json({ success: true, data: conversation });
+  } catch (err) {
+    return fail(res, err, "Conversation mute error");
+  }
 });
 
 export default router;
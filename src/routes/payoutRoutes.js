@@ -0,0 +1,162 @@
+// src/routes/payoutRoutes.js
+import express from "express";
+import payoutService from "../services/payoutService.js";
+import escrowService from "../services/escrowService.js";
+import logger from "../utils/logger.js";
+import { protect, requireRole, proOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/payouts/banks?gateway=paystack&currency=NGN
+ * Auth: protect
+ * Bank list (name + code) for the registration form
+ */
+router.get("/banks", protect, async (req, res) => {
+  try {
+    const { gateway = "paystack", currency, country } = req.query;
+    const banks = await payoutService.listBanks({ gateway, currency, country });
+    return res.json({ success: true, data: banks });
+  } catch (err) {
+    logger.error("Payout banks error", err);
+    return res.status(502).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/payouts/resolve
+ * Body: { bankCode, accountNumber, gateway }
+ * Auth: protect (pro) — lets the app show the resolved account name before saving
+ */
+router.post("/resolve", protect, proOnly, async (req, res) => {
+  try {
+    const { bankCode, accountNumber, gateway = "paystack" } = req.body;
+    const data = await payoutService.resolveAccount({ gateway, bankCode, accountNumber });
+    return res.json({ success: true, data });
+  } catch (err) {
+    logger.warn("Payout resolve error", err.message);
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/payouts/recipients
+ * Body: { bankCode, accountNumber, gateway, currency, makeDefault }
+ * Auth: protect (pro)
+ */
+router.post("/recipients", protect, proOnly, async (req, res) => {
+  try {
+    const { bankCode, accountNumber, gateway = "paystack", currency, makeDefault = false } = req.body;
+    if (!bankCode || !accountNumber) {
+      return res.status(400).json({ success: false, message: "bankCode and accountNumber are required" });
+    }
+
+    const recipient = await payoutService.registerRecipient({
+      userId: req.user.id,
+      gateway,
+      bankCode,
+      accountNumber,
+      currency,
+      makeDefault: !!makeDefault,
+    });
+    return res.status(201).json({ success: true, data: recipient });
+  } catch (err) {
+    logger.error("Payout recipient registration error", err);
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/payouts/recipients
+ * Auth: protect (pro)
+ */
+router.get("/recipients", protect, proOnly, async (req, res) => {
+  try {
+    const recipients = await payoutService.listRecipients(req.user.id);
+    return res.json({ success: true, data: recipients });
+  } catch (err) {
+    logger.error("Payout recipients list error", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * PATCH /api/payouts/recipients/:id/default
+ * Auth: protect (pro)
+ */
+router.patch("/recipients/:id/default", protect, proOnly, async (req, res) => {
+  try {
+    const recipient = await payoutService.setDefaultRecipient({ userId: req.user.id, recipientId: req.params.id });
+    return res.json({ success: true, data: recipient });
+  } catch (err) {
+    logger.error("Payout recipient default error", err);
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/payouts/recipients/:id
+ * Auth: protect (pro)
+ */
+router.delete("/recipients/:id", protect, proOnly, async (req, res) => {
+  try {
+    const recipient = await payoutService.removeRecipient({ userId: req.user.id, recipientId: req.params.id });
+    return res.json({ success: true, data: recipient });
+  } catch (err) {
+    logger.error("Payout recipient removal error", err);
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/payouts/mine?status=&page=&limit=
+ * Auth: protect (pro) — transfers made to the caller
+ */
+router.get("/mine", protect, proOnly, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const data = await payoutService.listPayouts({
+      proId: req.user.id,
+      status,
+      page: Number(page),
+      limit: Number(limit),
+    });
+    return res.json({ success: true, ...data });
+  } catch (err) {
+    logger.error("Payout list error", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/payouts?status=&proId=&page=&limit=
+ * Auth: admin
+ */
+router.get("/", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const { status, proId, page = 1, limit = 20 } = req.query;
+    const data = await payoutService.listPayouts({ proId, status, page: Number(page), limit: Number(limit) });
+    return res.json({ success: true, ...data });
+  } catch (err) {
+    logger.error("Admin payout list error", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/payouts/:reference/check
+ * Auth: admin
+ * Settle a pending payout with the gateway's view of its transfer (resubmitted under the same reference when
+ * the gateway never received it)
+ */
+router.post("/:reference/check", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const data = await escrowService.checkPayout({ reference: req.params.reference });
+    return res.json({ success: true, data });
+  } catch (err) {
+    logger.error("Payout check error", err);
+    return res.status(502).json({ success: false, error: err.message });
+  }
+});
+
+export default router;
@@ -3,6 +3,8 @@ import express from "express";
 import mongoose from "mongoose";
 import User from "../models/User.js";
 import { protect } from "../middleware/authMiddleware.js";
+import { openOnDate } from "../services/availabilityService.js";
+import { isDateString } from "../utils/timezone.js";
 
 const router = express.Router();
 
@@ -283,28 +285,30 @@ router.get("/pros", async (req, res) => {
         sortStage.name = 1;
     }
 
-    const countPipeline = [...pipeline, { $count: "total" }];
-    pipeline.push({ $sort: sortStage }, { $skip: skip }, { $limit: pageSize });
-
-    const [items, countResult] = await Promise.all([
-      User.aggregate(pipeline).exec(),
-      User.aggregate(countPipeline).exec(),
-    ]);
-
-    let total = Array.isArray(countResult) && countResult.length ? countResult[0].total : 0;
-
-    // Date filter client-side
-    let finalItems = items;
+    // Date filter: real open slots (availabilityService) before paginating. Pros who haven't
+    // published a calendar stay in the list, flagged availabilityKnown: false.
+    let finalItems;
+    let total;
     if (date) {
       const dateStr = String(date).trim();
-      finalItems = items.filter((p) => {
-        if (!p.bookingDates) return true;
-        if (typeof p.bookingDates === "object" && !Array.isArray(p.bookingDates))
-          return !p.bookingDates[dateStr];
-        if (Array.isArray(p.bookingDates)) return !p.bookingDates.includes(dateStr);
-        return true;
-      });
-      total = finalItems.length;
+      if (!isDateString(dateStr)) return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+      const all = await User.aggregate([...pipeline, { $sort: sortStage }]).exec();
+      const open = await openOnDate(all.map((p) => p._id), dateStr);
+      const available = all
+        .filter((p) => open.get(String(p._id)) !== false)
+        .map((p) => ({ ...p, availabilityKnown: open.has(String(p._id)) }));
+      total = available.length;
+      finalItems = available.slice(skip, skip + pageSize);
+    } else {
+      const countPipeline = [...pipeline, { $count: "total" }];
+      pipeline.push({ $sort: sortStage }, { $skip: skip }, { $limit: pageSize });
+
+      const [items, countResult] = await Promise.all([
+        User.aggregate(pipeline).exec(),
+        User.aggregate(countPipeline).exec(),
+      ]);
+      finalItems = items;
+      total = Array.isArray(countResult) && countResult.length ? countResult[0].total : 0;
     }
 
     return res.json({
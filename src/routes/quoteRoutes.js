@@ -0,0 +1,152 @@
+// src/routes/quoteRoutes.js
+import express from "express";
+import quoteService from "../services/quoteService.js";
+import logger from "../utils/logger.js";
+import { protect, proOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+const fail = (res, err, label) => {
+  if (err.status) return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  if (err.name === "ValidationError" || err.name === "CastError") return res.status(400).json({ success: false, error: err.message });
+  logger.error(label, err);
+  return res.status(500).json({ success: false, error: err.message });
+};
+
+/**
+ * POST /api/quotes/requests
+ * Body: { proIds, title, description, eventDate, durationMinutes, location, budget, currency, expiresAt }
+ * Auth: protect (customer) — sends the brief to each pro
+ */
+router.post("/requests", protect, async (req, res) => {
+  try {
+    const request = await quoteService.createRequest(req.user.id, req.body || {});
+    return res.status(201).json({ success: true, data: request });
+  } catch (err) {
+    return fail(res, err, "Quote request create error");
+  }
+});
+
+/**
+ * GET /api/quotes/requests?status=open
+ * Auth: protect — briefs you sent, or (pros) were asked to quote on
+ */
+router.get("/requests", protect, async (req, res) => {
+  try {
+    const requests = await quoteService.listRequests(req.user, { status: req.query.status });
+    return res.json({ success: true, data: requests });
+  } catch (err) {
+    return fail(res, err, "Quote request list error");
+  }
+});
+
+/**
+ * GET /api/quotes/requests/:id
+ * Auth: protect — the brief with its quotes (pros see only their own)
+ */
+router.get("/requests/:id", protect, async (req, res) => {
+  try {
+    const request = await quoteService.getRequest(req.params.id, req.user);
+    return res.json({ success: true, data: request });
+  } catch (err) {
+    return fail(res, err, "Quote request fetch error");
+  }
+});
+
+/**
+ * POST /api/quotes/requests/:id/close
+ * Auth: protect (the customer) — withdraws the brief; open quotes close
+ */
+router.post("/requests/:id/close", protect, async (req, res) => {
+  try {
+    const request = await quoteService.closeRequest(req.params.id, req.user.id);
+    return res.json({ success: true, data: request });
+  } catch (err) {
+    return fail(res, err, "Quote request close error");
+  }
+});
+
+/**
+ * POST /api/quotes/requests/:id/quotes
+ * Body: { items: [{ rateId, quantity }], addons: [{ label, price, quantity, optional }], terms, note, validDays | expiresAt }
+ * Auth: protect (pro) — rateId is a User.rateCard entry; prices are in the request's currency
+ */
+router.post("/requests/:id/quotes", protect, proOnly, async (req, res) => {
+  try {
+    const quote = await quoteService.submitQuote(req.user.id, req.params.id, req.body || {});
+    return res.status(201).json({ success: true, data: quote });
+  } catch (err) {
+    return fail(res, err, "Quote submit error");
+  }
+});
+
+/**
+ * GET /api/quotes/conversation/:conversationId
+ * Auth: protect (participants) — every quote negotiated in the conversation, newest first
+ */
+router.get("/conversation/:conversationId", protect, async (req, res) => {
+  try {
+    const quotes = await quoteService.listConversationQuotes(req.params.conversationId, req.user);
+    return res.json({ success: true, data: quotes });
+  } catch (err) {
+    return fail(res, err, "Conversation quotes error");
+  }
+});
+
+/**
+ * GET /api/quotes/:id
+ * Auth: protect (customer, pro or admin) — the quote with every revision
+ */
+router.get("/:id", protect, async (req, res) => {
+  try {
+    const quote = await quoteService.getQuote(req.params.id, req.user);
+    return res.json({ success: true, data: quote });
+  } catch (err) {
+    return fail(res, err, "Quote fetch error");
+  }
+});
+
+/**
+ * POST /api/quotes/:id/counter
+ * Body (pro): { items, addons, total, terms, note, validDays | expiresAt }
+ * Body (customer): { dropAddons: [itemId], total, note }
+ * Auth: protect — only the side the quote is waiting on
+ */
+router.post("/:id/counter", protect, async (req, res) => {
+  try {
+    const quote = await quoteService.counterQuote(req.params.id, req.user, req.body || {});
+    return res.json({ success: true, data: quote });
+  } catch (err) {
+    return fail(res, err, "Quote counter error");
+  }
+});
+
+/**
+ * POST /api/quotes/:id/accept
+ * Body: { gateway } (optional, "paystack" | "flutterwave")
+ * Auth: protect — only the side the quote is waiting on; creates the booking and starts escrow funding
+ */
+router.post("/:id/accept", protect, async (req, res) => {
+  try {
+    const { quote, booking, payment, paymentError } = await quoteService.acceptQuote(req.params.id, req.user, req.body || {});
+    return res.status(201).json({ success: true, data: { quote, booking, payment, paymentError } });
+  } catch (err) {
+    return fail(res, err, "Quote accept error");
+  }
+});
+
+/**
+ * POST /api/quotes/:id/decline
+ * Body: { reason }
+ * Auth: protect — the customer declines, the pro withdraws
+ */
+router.post("/:id/decline", protect, async (req, res) => {
+  try {
+    const quote = await quoteService.declineQuote(req.params.id, req.user, req.body || {});
+    return res.json({ success: true, data: quote });
+  } catch (err) {
+    return fail(res, err, "Quote decline error");
+  }
+});
+
+export default router;
@@ -6,6 +6,8 @@
  * - Find bookings where paymentStatus in ['escrowed','pending','released','refunded']
  * - If booking.escrowId is missing, create a corresponding Escrow doc and link it
  *
+ * Amounts are read as minor units: run migrateMinorUnits.js first.
+ *
  * Run once, inspect logs, then remove or keep for auditing.
  */
 
@@ -38,7 +40,8 @@ async function run() {
 
       const escrowDoc = new Escrow({
         bookingId: b._id,
-        amount: b.escrowAmount || b.totalAmount || 0,
+        currency: b.currency,
+        amountMinor: b.escrowAmountMinor || b.totalAmountMinor || 0,
         state: b.paymentStatus === "escrowed" ? "held" : b.paymentStatus,
         paymentGateway: b.paymentGateway || null,
         gatewayReference: b.gatewayReference || null,
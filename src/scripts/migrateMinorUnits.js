@@ -0,0 +1,96 @@
+// src/scripts/migrateMinorUnits.js
+/**
+ * Usage: node src/scripts/migrateMinorUnits.js
+ *
+ * Bookings, escrows, transactions and invoices store their amounts as integer minor units
+ * (totalAmountMinor, amountMinor, amountHeldMinor...); the major-unit names are model virtuals.
+ * This script will:
+ * - Find documents that still carry a stored major-unit amount (totalAmount, amount, amountHeld...)
+ * - Write the minor-unit field from it, in the document's currency, and unset the major-unit field
+ *   (milestone and escrow movement amounts included)
+ *
+ * Safe to re-run: converted documents no longer match. Run before migrateEscrowFields.js.
+ */
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+dotenv.config();
+
+import Booking from "../models/Booking.js";
+import Escrow from "../models/Escrow.js";
+import Transaction from "../models/Transaction.js";
+import Invoice from "../models/Invoice.js";
+import { PLATFORM_CURRENCY, toMinor } from "../utils/money.js";
+
+const MONGO = process.env.MONGO_URI || process.env.MONGO || null;
+
+if (!MONGO) {
+  console.error("MONGO_URI not set. Set in .env and re-run.");
+  process.exit(1);
+}
+
+// Stored major-unit field -> minor-unit field, and arrays whose items carry an `amount`
+const TARGETS = [
+  { model: Booking, fields: { totalAmount: "totalAmountMinor", escrowAmount: "escrowAmountMinor" }, arrays: ["milestones"] },
+  {
+    model: Escrow,
+    fields: {
+      amount: "amountMinor",
+      amountHeld: "amountHeldMinor",
+      amountReleased: "amountReleasedMinor",
+      amountRefunded: "amountRefundedMinor",
+      amountFee: "amountFeeMinor",
+    },
+    arrays: ["movements"],
+  },
+  { model: Transaction, fields: { amount: "amountMinor" }, arrays: [] },
+  { model: Invoice, fields: { amount: "amountMinor" }, arrays: [] },
+];
+
+/** $set / $unset for one raw document, or null when it has nothing left to convert */
+function conversion(doc, { fields, arrays }) {
+  const currency = doc.currency || PLATFORM_CURRENCY;
+  const $set = {};
+  const $unset = {};
+  for (const [major, minor] of Object.entries(fields)) {
+    if (doc[major] === undefined) continue;
+    $set[minor] = toMinor(doc[major], currency);
+    $unset[major] = "";
+  }
+  for (const path of arrays) {
+    const items = doc[path] || [];
+    if (!items.some((item) => item.amount !== undefined)) continue;
+    $set[path] = items.map(({ amount, ...item }) => (amount === undefined ? item : { ...item, amountMinor: toMinor(amount, currency) }));
+  }
+  if (!Object.keys($set).length) return null;
+  return Object.keys($unset).length ? { $set, $unset } : { $set };
+}
+
+async function run() {
+  await mongoose.connect(MONGO, {});
+
+  try {
+    for (const target of TARGETS) {
+      const legacy = [...Object.keys(target.fields), ...target.arrays.map((path) => `${path}.amount`)];
+      const cursor = target.model.collection.find({ $or: legacy.map((field) => ({ [field]: { $exists: true } })) });
+
+      let converted = 0;
+      for await (const doc of cursor) {
+        const update = conversion(doc, target);
+        if (!update) continue;
+        await target.model.collection.updateOne({ _id: doc._id }, update);
+        converted++;
+      }
+      console.log(`${target.model.modelName}: converted ${converted} document(s) to minor units`);
+    }
+
+    console.log("Migration complete.");
+  } catch (err) {
+    console.error("Migration error:", err);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(0);
+  }
+}
+
+run();
@@ -12,6 +12,7 @@ import Booking from "../models/Booking.js";
 import Transaction from "../models/Transaction.js";
 import Escrow from "../models/Escrow.js";
 import { cleanupTestData } from "../utils/cleanupTestData.js";
+import { toMinor } from "../utils/money.js";
 
 
 // --- Base webhook URL ---
@@ -51,7 +52,8 @@ const testPaystack = async () => {
     event: "charge.success",
     data: {
       reference: booking.paymentReference,
-      amount: booking.totalAmount * 100, // NGN → kobo
+      amount: toMinor(booking.totalAmount, booking.currency), // Paystack sends minor units
+      currency: booking.currency,
       status: "success",
       customer: { email: "test@vybz.com" },
     },
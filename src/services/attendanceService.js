@@ -0,0 +1,382 @@
+// src/services/attendanceService.js
+/**
+ * Event-day attendance on a booking (Booking.attendance)
+ * - The customer's app shows a one-time check-in code (6 digits, stored hashed, short-lived, a few
+ *   attempts). The pro checks in on arrival with an optional geolocation and the code; a check-in
+ *   without the code counts but is unconfirmed until the pro enters it (confirmCheckIn)
+ * - Check-in moves the booking to in_progress; check-out (optionally with photo proof, uploaded
+ *   through uploadService) moves it to completed, which starts the escrow grace period (settleEscrow)
+ * - No check-in by NO_SHOW_MINUTES after the start: the customer can report a no-show, and the
+ *   attendance job raises one itself; either way a dispute is opened (disputeService)
+ * - Disputes get the attendance record and proof photos attached as evidence (attendanceEvidence)
+ *
+ * ENV:
+ *   CHECKIN_EARLY_MINUTES    how long before the start the pro may check in (default 60)
+ *   CHECKIN_CODE_MINUTES     how long a check-in code stays valid (default 15)
+ *   NO_SHOW_MINUTES          minutes after the start without a check-in before it is a no-show (default 60)
+ *   NO_SHOW_LOOKBACK_HOURS   how far back the no-show sweep looks (default 48)
+ *   PROOF_MAX_PHOTOS         photos accepted at check-out (default 5)
+ */
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import uploadService from "./uploadService.js";
+import { applyTransition } from "./bookingLifecycleService.js";
+import { createDispute } from "./disputeService.js";
+import notificationService from "./notificationService.js";
+import logger from "../utils/logger.js";
+
+const CHECKIN_EARLY_MINUTES = Number(process.env.CHECKIN_EARLY_MINUTES || 60);
+const CHECKIN_CODE_MINUTES = Number(process.env.CHECKIN_CODE_MINUTES || 15);
+const NO_SHOW_MINUTES = Number(process.env.NO_SHOW_MINUTES || 60);
+const NO_SHOW_LOOKBACK_HOURS = Number(process.env.NO_SHOW_LOOKBACK_HOURS || 48);
+const PROOF_MAX_PHOTOS = Number(process.env.PROOF_MAX_PHOTOS || 5);
+const CODE_MAX_ATTEMPTS = 5;
+const MINUTE = 60 * 1000;
+
+function attendanceError(message, status, code) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+const sameId = (a, b) => String(a) === String(b);
+const userId = (user) => String(user?.id || user?._id);
+
+function notify(userId, title, message, meta) {
+  return notificationService
+    .sendNotification({ userId, type: "booking", title, message, meta })
+    .catch((err) => logger.warn("Attendance notification failed", { userId, error: err.message }));
+}
+
+async function findBooking(bookingId, select = "") {
+  if (!mongoose.isValidObjectId(bookingId)) throw attendanceError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  const booking = await Booking.findById(bookingId).select(select);
+  if (!booking) throw attendanceError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  return booking;
+}
+
+function assertPro(booking, user) {
+  if (!sameId(booking.proId, userId(user))) throw attendanceError("Only the booked pro can do this", 403, "ATTENDANCE_FORBIDDEN");
+  return { id: userId(user), role: "pro" };
+}
+
+function assertCustomer(booking, user) {
+  if (!sameId(booking.customerId, userId(user))) throw attendanceError("Only the customer can do this", 403, "ATTENDANCE_FORBIDDEN");
+  return { id: userId(user), role: "customer" };
+}
+
+/** { lat, lng, accuracy } from the request, null when not given; 400 when malformed */
+function readLocation(location) {
+  if (location == null) return null;
+  const lat = Number(location.lat);
+  const lng = Number(location.lng);
+  const accuracy = location.accuracy == null ? null : Number(location.accuracy);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180 || (accuracy != null && !(accuracy >= 0))) {
+    throw attendanceError("location must be { lat, lng, accuracy? } in degrees and metres", 400, "ATTENDANCE_LOCATION_INVALID");
+  }
+  return { lat, lng, accuracy };
+}
+
+const hashCode = (bookingId, code) => crypto.createHash("sha256").update(`${bookingId}:${code}`).digest("hex");
+
+/**
+ * Check a check-in code against the booking (loaded with +attendance.codeHash).
+ * A match clears the code (one use); a miss is counted, and the code is locked after CODE_MAX_ATTEMPTS.
+ */
+async function verifyCode(booking, code) {
+  const attendance = booking.attendance;
+  if (!attendance?.codeHash || !attendance.codeExpiresAt || attendance.codeExpiresAt < new Date()) {
+    throw attendanceError("No valid check-in code; ask the customer to open a new one", 400, "CHECKIN_CODE_EXPIRED");
+  }
+  if (attendance.codeAttempts >= CODE_MAX_ATTEMPTS) {
+    throw attendanceError("Too many wrong codes; ask the customer to open a new one", 429, "CHECKIN_CODE_LOCKED");
+  }
+
+  const given = Buffer.from(hashCode(booking._id, String(code ?? "").trim()), "hex");
+  if (!crypto.timingSafeEqual(given, Buffer.from(attendance.codeHash, "hex"))) {
+    await Booking.updateOne({ _id: booking._id }, { $inc: { "attendance.codeAttempts": 1 } });
+    throw attendanceError("Wrong check-in code", 400, "CHECKIN_CODE_INVALID");
+  }
+
+  attendance.codeHash = null;
+  attendance.codeExpiresAt = null;
+  attendance.codeAttempts = 0;
+  attendance.checkInConfirmedAt = new Date();
+}
+
+/**
+ * Customer: a fresh one-time code for the pro to enter at check-in. Replaces any earlier code.
+ * Returns { code, expiresAt } — the code itself is only ever returned here.
+ */
+export async function issueCheckInCode(bookingId, user) {
+  const booking = await findBooking(bookingId);
+  assertCustomer(booking, user);
+  const awaitingConfirmation = booking.status === "in_progress" && booking.attendance?.checkInAt && !booking.attendance.checkInConfirmedAt;
+  if (booking.status !== "confirmed" && !awaitingConfirmation) {
+    throw attendanceError(`No check-in to confirm on a ${booking.status} booking`, 409, "CHECKIN_NOT_OPEN");
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  const expiresAt = new Date(Date.now() + CHECKIN_CODE_MINUTES * MINUTE);
+  await Booking.updateOne(
+    { _id: booking._id },
+    { $set: { "attendance.codeHash": hashCode(booking._id, code), "attendance.codeExpiresAt": expiresAt, "attendance.codeAttempts": 0 } }
+  );
+  return { code, expiresAt };
+}
+
+/**
+ * Pro: check in on arrival. Moves the booking to in_progress.
+ * - location: optional { lat, lng, accuracy }
+ * - code: the customer's check-in code; when given it must be right, and the check-in is confirmed
+ */
+export async function checkIn(bookingId, user, { location = null, code = null } = {}) {
+  const booking = await findBooking(bookingId, "+attendance.codeHash");
+  const actor = assertPro(booking, user);
+  if (booking.attendance?.checkInAt) throw attendanceError("Already checked in", 409, "ALREADY_CHECKED_IN");
+  if (booking.attendance?.noShowAt) throw attendanceError("A no-show has been reported for this booking", 409, "NO_SHOW_REPORTED");
+  if (booking.status !== "confirmed") throw attendanceError(`Cannot check in to a ${booking.status} booking`, 409, "CHECKIN_NOT_OPEN");
+
+  const now = new Date();
+  const opensAt = new Date(booking.eventDate.getTime() - CHECKIN_EARLY_MINUTES * MINUTE);
+  if (now < opensAt) throw attendanceError(`Check-in opens at ${opensAt.toISOString()}`, 409, "CHECKIN_TOO_EARLY");
+
+  const checkInLocation = readLocation(location);
+  if (!booking.attendance) booking.attendance = {};
+  if (code != null && code !== "") await verifyCode(booking, code);
+  booking.attendance.checkInAt = now;
+  booking.attendance.checkInLocation = checkInLocation;
+
+  applyTransition(booking, "in_progress", { actor, reason: "pro checked in", meta: { checkInAt: now, confirmed: Boolean(booking.attendance.checkInConfirmedAt) } });
+  await booking.save();
+
+  notify(booking.customerId, "Your pro has checked in", booking.attendance.checkInConfirmedAt
+    ? "Your pro has arrived and confirmed the check-in with your code."
+    : "Your pro has checked in. Show them the check-in code in your app to confirm they're with you.", { bookingId: booking._id });
+  logger.info("📍 Pro checked in", { bookingId: booking._id, confirmed: Boolean(booking.attendance.checkInConfirmedAt) });
+  return booking;
+}
+
+/** Pro: confirm an earlier check-in with the customer's code */
+export async function confirmCheckIn(bookingId, user, { code } = {}) {
+  const booking = await findBooking(bookingId, "+attendance.codeHash");
+  assertPro(booking, user);
+  if (!booking.attendance?.checkInAt) throw attendanceError("Check in first", 409, "NOT_CHECKED_IN");
+  if (booking.attendance.checkInConfirmedAt) throw attendanceError("Check-in already confirmed", 409, "CHECKIN_ALREADY_CONFIRMED");
+
+  await verifyCode(booking, code);
+  await booking.save();
+  return booking;
+}
+
+/** Check proof photos (multer-style { buffer, mimetype, size }) before anything is uploaded */
+function checkPhotos(photos) {
+  if (!Array.isArray(photos)) throw attendanceError("photos must be a list of image files", 400, "PROOF_INVALID");
+  if (photos.length > PROOF_MAX_PHOTOS) throw attendanceError(`At most ${PROOF_MAX_PHOTOS} photos`, 400, "PROOF_TOO_MANY");
+  for (const photo of photos) {
+    if (!Buffer.isBuffer(photo?.buffer)) throw attendanceError("photos must be a list of image files", 400, "PROOF_INVALID");
+    try {
+      uploadService.validateMimeAndSize(photo.mimetype, photo.size ?? photo.buffer.length);
+    } catch (err) {
+      throw attendanceError(err.message, 400, "PROOF_INVALID");
+    }
+  }
+}
+
+/**
+ * Pro: check out when the job is done. Moves the booking to completed (escrow grace period starts).
+ * - photos: optional proof of service, image files { buffer, mimetype, size } (multer; uploadService limits)
+ * - location: optional { lat, lng, accuracy }; note: optional text for the customer
+ */
+export async function checkOut(bookingId, user, { location = null, note = "", photos = [] } = {}) {
+  const assertOpen = (booking) => {
+    if (!booking.attendance?.checkInAt) throw attendanceError("Check in first", 409, "NOT_CHECKED_IN");
+    if (booking.attendance.checkOutAt) throw attendanceError("Already checked out", 409, "ALREADY_CHECKED_OUT");
+    if (booking.status !== "in_progress") throw attendanceError(`Cannot check out of a ${booking.status} booking`, 409, "CHECKOUT_NOT_OPEN");
+  };
+
+  const initial = await findBooking(bookingId);
+  assertPro(initial, user);
+  assertOpen(initial);
+  const checkOutLocation = readLocation(location);
+  checkPhotos(photos || []);
+
+  const stamp = Date.now();
+  const proofPhotos = [];
+  for (const [i, photo] of (photos || []).entries()) {
+    const uploaded = await uploadService.uploadFromBufferFile(photo, {
+      folder: uploadService.getDefaultFolder("proof"),
+      public_id: `booking_${initial._id}_proof_${stamp}_${i + 1}`,
+    });
+    proofPhotos.push({ url: uploaded.secure_url || uploaded.url, publicId: uploaded.public_id, uploadedAt: new Date() });
+  }
+
+  // Uploads take a while: work on a fresh copy so a dispute raised meanwhile isn't overwritten
+  const booking = await findBooking(bookingId);
+  const actor = assertPro(booking, user);
+  assertOpen(booking);
+  const now = new Date();
+  Object.assign(booking.attendance, { checkOutAt: now, checkOutLocation, checkOutNote: String(note || "").slice(0, 2000), proofPhotos });
+  applyTransition(booking, "completed", { actor, reason: "pro checked out", meta: { checkOutAt: now, proofPhotos: proofPhotos.length } });
+  await booking.save();
+
+  notify(booking.customerId, "Your booking is complete", "Your pro has checked out. If something wasn't right, raise it before the payment is released to them.", {
+    bookingId: booking._id,
+  });
+  logger.info("🏁 Pro checked out", { bookingId: booking._id, proofPhotos: proofPhotos.length });
+  return booking;
+}
+
+/**
+ * Mark the booking a no-show and open a dispute for the customer. Only one caller wins (the customer
+ * reporting and the sweep can race); returns the dispute, or null when someone else got there first
+ * or the pro checked in after all.
+ */
+async function openNoShowDispute(bookingId, reportedBy, description = "") {
+  const now = new Date();
+  const claimed = await Booking.findOneAndUpdate(
+    { _id: bookingId, status: "confirmed", "attendance.checkInAt": null, "attendance.noShowAt": null },
+    { $set: { "attendance.noShowAt": now, "attendance.noShowReportedBy": reportedBy } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  let dispute;
+  try {
+    dispute = await createDispute({
+      bookingId,
+      initiatorId: claimed.customerId,
+      reason: "no_show",
+      description: description || `The pro had not checked in ${NO_SHOW_MINUTES} minutes after the booking started (${claimed.eventDate.toISOString()}).`,
+      meta: { noShow: true, reportedBy, autoRaised: reportedBy === "system" },
+    });
+  } catch (err) {
+    // Let the next report or sweep try again
+    await Booking.updateOne({ _id: bookingId }, { $set: { "attendance.noShowAt": null, "attendance.noShowReportedBy": null } });
+    throw err;
+  }
+  await Booking.updateOne({ _id: bookingId }, { $set: { "attendance.noShowDisputeId": dispute._id } });
+
+  notify(claimed.proId, "No-show reported", "You didn't check in for a booking and a dispute has been opened. Respond in the app.", {
+    bookingId,
+    disputeId: dispute._id,
+  });
+  notify(claimed.customerId, "We've opened a dispute for you", "Your pro didn't check in. Our team will review the booking and your payment stays on hold.", {
+    bookingId,
+    disputeId: dispute._id,
+  });
+  logger.warn("🚫 No-show dispute opened", { bookingId, disputeId: dispute._id, reportedBy });
+  return dispute;
+}
+
+/** Customer: the pro didn't turn up. Opens a dispute (409 before NO_SHOW_MINUTES past the start). */
+export async function reportNoShow(bookingId, user, { description = "" } = {}) {
+  const booking = await findBooking(bookingId);
+  assertCustomer(booking, user);
+  if (booking.attendance?.checkInAt) throw attendanceError("The pro has checked in", 409, "ALREADY_CHECKED_IN");
+  if (booking.attendance?.noShowAt) throw attendanceError("A no-show has already been reported", 409, "NO_SHOW_REPORTED");
+  if (booking.status !== "confirmed") throw attendanceError(`Cannot report a no-show on a ${booking.status} booking`, 409, "NO_SHOW_NOT_OPEN");
+
+  const reportableAt = new Date(booking.eventDate.getTime() + NO_SHOW_MINUTES * MINUTE);
+  if (new Date() < reportableAt) throw attendanceError(`A no-show can be reported from ${reportableAt.toISOString()}`, 409, "NO_SHOW_TOO_EARLY");
+
+  const dispute = await openNoShowDispute(booking._id, "customer", String(description || "").slice(0, 2000));
+  if (!dispute) throw attendanceError("The booking changed in the meantime; reload it", 409, "NO_SHOW_NOT_OPEN");
+  return dispute;
+}
+
+/**
+ * Sweep: confirmed bookings that started more than NO_SHOW_MINUTES ago (within the lookback) with no
+ * check-in get a no-show dispute. Returns how many were opened.
+ */
+export async function detectNoShows(now = new Date()) {
+  const due = await Booking.find({
+    status: "confirmed",
+    eventDate: { $lte: new Date(now.getTime() - NO_SHOW_MINUTES * MINUTE), $gte: new Date(now.getTime() - NO_SHOW_LOOKBACK_HOURS * 60 * MINUTE) },
+    "attendance.checkInAt": null,
+    "attendance.noShowAt": null,
+  })
+    .select("_id")
+    .limit(200)
+    .lean();
+
+  let opened = 0;
+  for (const { _id } of due) {
+    try {
+      if (await openNoShowDispute(_id, "system")) opened++;
+    } catch (err) {
+      logger.error(`No-show dispute failed for booking ${_id}`, err);
+    }
+  }
+  return opened;
+}
+
+/** What happened on the day, for the parties and admins (never the check-in code) */
+export function attendanceSummary(booking) {
+  const a = booking?.attendance || {};
+  const minutesFromStart = (at) => (at && booking.eventDate ? Math.round((new Date(at) - new Date(booking.eventDate)) / MINUTE) : null);
+  return {
+    eventDate: booking?.eventDate || null,
+    checkInAt: a.checkInAt || null,
+    checkInLocation: a.checkInLocation || null,
+    checkInConfirmed: Boolean(a.checkInConfirmedAt),
+    checkInConfirmedAt: a.checkInConfirmedAt || null,
+    minutesLate: a.checkInAt ? Math.max(0, minutesFromStart(a.checkInAt)) : null,
+    checkOutAt: a.checkOutAt || null,
+    checkOutLocation: a.checkOutLocation || null,
+    checkOutNote: a.checkOutNote || "",
+    proofPhotos: (a.proofPhotos || []).map(({ url, uploadedAt }) => ({ url, uploadedAt })),
+    noShowAt: a.noShowAt || null,
+    noShowReportedBy: a.noShowReportedBy || null,
+    noShowDisputeId: a.noShowDisputeId || null,
+    completedAt: booking?.completedAt || null,
+  };
+}
+
+/** Party or admin: the booking's attendance record */
+export async function getAttendance(bookingId, user) {
+  const booking = await findBooking(bookingId);
+  const id = userId(user);
+  if (!sameId(booking.customerId, id) && !sameId(booking.proId, id) && user?.role !== "admin") {
+    throw attendanceError("Not a party to this booking", 403, "ATTENDANCE_FORBIDDEN");
+  }
+  return { status: booking.status, ...attendanceSummary(booking) };
+}
+
+/**
+ * Dispute evidence entries for a booking's attendance: each proof photo, plus a text line with
+ * the check-in / check-out record. Empty when nothing was recorded.
+ */
+export function attendanceEvidence(booking) {
+  const s = attendanceSummary(booking);
+  if (!s.checkInAt && !s.noShowAt) return [];
+
+  const where = (loc) => (loc ? ` at ${loc.lat.toFixed(5)},${loc.lng.toFixed(5)}${loc.accuracy != null ? ` (±${Math.round(loc.accuracy)} m)` : ""}` : "");
+  const lines = s.checkInAt
+    ? [
+        `Pro checked in ${s.checkInAt.toISOString()}${where(s.checkInLocation)}, ${s.minutesLate ? `${s.minutesLate} min late` : "on time"}, ` +
+          (s.checkInConfirmed ? `confirmed with the customer's code ${s.checkInConfirmedAt.toISOString()}` : "not confirmed by the customer"),
+        s.checkOutAt ? `Pro checked out ${s.checkOutAt.toISOString()}${where(s.checkOutLocation)} with ${s.proofPhotos.length} photo(s)` : "Pro has not checked out",
+        ...(s.checkOutNote ? [`Check-out note: ${s.checkOutNote}`] : []),
+      ]
+    : [`No check-in; no-show recorded ${s.noShowAt.toISOString()} (reported by ${s.noShowReportedBy})`];
+
+  return [
+    { type: "text", note: `Attendance: ${lines.join(". ")}` },
+    ...s.proofPhotos.map((photo, i) => ({ type: "image", url: photo.url, note: `Proof of service photo ${i + 1} (check-out)`, uploadedBy: booking.proId, uploadedAt: photo.uploadedAt })),
+  ];
+}
+
+export default {
+  issueCheckInCode,
+  checkIn,
+  confirmCheckIn,
+  checkOut,
+  reportNoShow,
+  detectNoShows,
+  attendanceSummary,
+  getAttendance,
+  attendanceEvidence,
+};
@@ -0,0 +1,409 @@
+// src/services/availabilityService.js
+/**
+ * Pro availability and slot reservations
+ * - Open hours per date: weekly hours, replaced by a date override, nothing on blackout days —
+ *   all in the pro's timezone (Availability model)
+ * - Busy time: booked reservations, unexpired holds, older bookings without a reservation and
+ *   blocks imported from the pro's external calendars (calendarSyncService);
+ *   bufferMinutes is kept free on both sides of every gig
+ * - holdSlot() reserves a slot atomically: the check and the insert run in one transaction that
+ *   also bumps the pro's Availability.version, so two concurrent holds on the same pro write-conflict
+ *   and the retry sees the first hold — a slot can never be held or booked twice
+ * - Holds expire after SLOT_HOLD_MINUTES unless the booking gets confirmed (payment escrowed or pro
+ *   confirmed); cancelling the booking frees the slot. Both follow the booking domain events.
+ *
+ * ENV:
+ *   SLOT_HOLD_MINUTES   how long a hold lasts while the customer pays (default 15)
+ *   DEFAULT_TIMEZONE    timezone for pros who haven't set one (default Africa/Lagos)
+ */
+import mongoose from "mongoose";
+import Availability from "../models/Availability.js";
+import SlotReservation from "../models/SlotReservation.js";
+import Booking from "../models/Booking.js";
+import domainEvents from "./domainEvents.js";
+import { notifyAdmin } from "./adminNotificationService.js";
+import { busyBlocks } from "./calendarSyncService.js";
+import logger from "../utils/logger.js";
+import { isDateString, localDate, weekdayOf, addDays, zonedToUtc } from "../utils/timezone.js";
+
+const HOLD_MINUTES = Number(process.env.SLOT_HOLD_MINUTES || 15);
+const MAX_RANGE_DAYS = 62;
+const MINUTE = 60 * 1000;
+
+// Bookings that still occupy their date (mirrors bookingLifecycleService statuses)
+const ACTIVE_BOOKING_STATUSES = ["pending", "confirmed", "in_progress", "disputed"];
+const EDITABLE_FIELDS = ["timezone", "weeklyHours", "overrides", "blackouts", "bufferMinutes", "slotMinutes", "minNoticeHours"];
+
+function availabilityError(message, status, code) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+function parseInstant(value, field) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) throw availabilityError(`${field} must be an ISO date-time`, 400, "SLOT_INVALID");
+  return date;
+}
+
+/* ---------- Calendar ---------- */
+
+/** Open windows ({ start, end } instants) of one local date */
+function windowsFor(availability, dateStr) {
+  if ((availability.blackouts || []).some((b) => b.from <= dateStr && dateStr <= b.to)) return [];
+
+  const override = (availability.overrides || []).find((o) => o.date === dateStr);
+  const windows = override ? override.windows : (availability.weeklyHours || []).filter((w) => w.weekday === weekdayOf(dateStr));
+  return windows.map((w) => ({
+    start: zonedToUtc(dateStr, w.start, availability.timezone),
+    end: zonedToUtc(dateStr, w.end, availability.timezone),
+  }));
+}
+
+/** Busy intervals overlapping [from, to): reservations that still block, legacy bookings, imported calendar blocks */
+async function busyIntervals(availability, from, to, { session = null, excludeId = null } = {}) {
+  const now = new Date();
+  const query = {
+    proId: availability.proId,
+    start: { $lt: to },
+    end: { $gt: from },
+    $or: [{ status: "booked" }, { status: "held", expiresAt: { $gt: now } }],
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+  const reservations = await SlotReservation.find(query).select("start end").session(session).lean();
+
+  // Bookings made before reservations existed block eventDate → endDate (or one slot length)
+  const slotMs = availability.slotMinutes * MINUTE;
+  const legacy = await Booking.find({
+    proId: availability.proId,
+    reservationId: null,
+    status: { $in: ACTIVE_BOOKING_STATUSES },
+    eventDate: { $lt: to, $gt: new Date(from.getTime() - 24 * 60 * MINUTE) },
+  })
+    .select("eventDate endDate")
+    .session(session)
+    .lean();
+
+  return [
+    ...reservations.map((r) => ({ start: r.start, end: r.end })),
+    ...legacy.map((b) => ({ start: b.eventDate, end: b.endDate || new Date(b.eventDate.getTime() + slotMs) })),
+    ...(await busyBlocks(availability.proId, from, to)),
+  ];
+}
+
+const conflicts = (slot, busy, bufferMs) =>
+  busy.some((b) => slot.start.getTime() < b.end.getTime() + bufferMs && b.start.getTime() < slot.end.getTime() + bufferMs);
+
+/** Why a slot can't be taken, or null when it is free */
+async function slotProblem(availability, start, end, { session = null, excludeId = null } = {}) {
+  if (!(end > start)) return availabilityError("Slot must end after it starts", 400, "SLOT_INVALID");
+
+  const earliest = Date.now() + (availability.minNoticeHours || 0) * 60 * MINUTE;
+  if (start.getTime() < earliest) return availabilityError("Slot is too soon or in the past", 409, "SLOT_TOO_SOON");
+
+  const day = localDate(start, availability.timezone);
+  if (!windowsFor(availability, day).some((w) => w.start <= start && end <= w.end)) {
+    return availabilityError("Requested time is outside the pro's available hours", 409, "SLOT_OUTSIDE_HOURS");
+  }
+
+  const bufferMs = (availability.bufferMinutes || 0) * MINUTE;
+  const busy = await busyIntervals(availability, new Date(start.getTime() - bufferMs), new Date(end.getTime() + bufferMs), {
+    session,
+    excludeId,
+  });
+  if (conflicts({ start, end }, busy, bufferMs)) return availabilityError("This slot is no longer available", 409, "SLOT_TAKEN");
+  return null;
+}
+
+/** Serialize reservation writes per pro (see header); returns the availability */
+async function lockPro(proId, session) {
+  const availability = await Availability.findOneAndUpdate({ proId }, { $inc: { version: 1 } }, { new: true, session }).lean();
+  if (!availability) throw availabilityError("This pro has not published availability", 409, "AVAILABILITY_NOT_SET");
+  return availability;
+}
+
+/** Run fn(session) in the caller's transaction, or in a new one (retried on write conflicts) */
+async function inTransaction(session, fn) {
+  if (session) return fn(session);
+  const own = await mongoose.startSession();
+  try {
+    let result;
+    await own.withTransaction(async () => {
+      result = await fn(own);
+    });
+    return result;
+  } finally {
+    await own.endSession();
+  }
+}
+
+/* ---------- API ---------- */
+
+export async function getAvailability(proId) {
+  return Availability.findOne({ proId }).lean();
+}
+
+/** Create or update a pro's availability; only EDITABLE_FIELDS are taken from `fields` */
+export async function setAvailability(proId, fields = {}) {
+  const availability = (await Availability.findOne({ proId })) || new Availability({ proId });
+  for (const key of EDITABLE_FIELDS) {
+    if (fields[key] !== undefined) availability[key] = fields[key];
+  }
+  await availability.save();
+  return availability;
+}
+
+/**
+ * Open slots between two local dates (inclusive), in the pro's timezone.
+ * - durationMinutes: gig length (default availability.slotMinutes)
+ * - stepMinutes: spacing between candidate start times (default 30)
+ * Returns { configured, timezone, durationMinutes, slots: [{ date, start, end }] }.
+ */
+export async function getOpenSlots(proId, { from, to = from, durationMinutes, stepMinutes = 30 } = {}) {
+  if (!isDateString(from) || !isDateString(to) || to < from) {
+    throw availabilityError("from / to must be YYYY-MM-DD dates, from <= to", 400, "RANGE_INVALID");
+  }
+  if (addDays(from, MAX_RANGE_DAYS) < to) throw availabilityError(`Range is limited to ${MAX_RANGE_DAYS} days`, 400, "RANGE_TOO_LONG");
+
+  const availability = await getAvailability(proId);
+  if (!availability) return { configured: false, timezone: null, durationMinutes: null, slots: [] };
+
+  const durationMs = Number(durationMinutes || availability.slotMinutes) * MINUTE;
+  const stepMs = Math.max(15, Number(stepMinutes) || 30) * MINUTE;
+  const bufferMs = (availability.bufferMinutes || 0) * MINUTE;
+  const earliest = Date.now() + (availability.minNoticeHours || 0) * 60 * MINUTE;
+
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) days.push({ date, windows: windowsFor(availability, date) });
+  const all = days.flatMap((d) => d.windows);
+  if (!all.length) return { configured: true, timezone: availability.timezone, durationMinutes: durationMs / MINUTE, slots: [] };
+
+  const rangeStart = new Date(Math.min(...all.map((w) => w.start.getTime())) - bufferMs);
+  const rangeEnd = new Date(Math.max(...all.map((w) => w.end.getTime())) + bufferMs);
+  const busy = await busyIntervals(availability, rangeStart, rangeEnd);
+
+  const slots = [];
+  for (const { date, windows } of days) {
+    for (const w of windows) {
+      for (let t = w.start.getTime(); t + durationMs <= w.end.getTime(); t += stepMs) {
+        if (t < earliest) continue;
+        const slot = { start: new Date(t), end: new Date(t + durationMs) };
+        if (!conflicts(slot, busy, bufferMs)) slots.push({ date, ...slot });
+      }
+    }
+  }
+  return { configured: true, timezone: availability.timezone, durationMinutes: durationMs / MINUTE, slots };
+}
+
+/**
+ * Which of these pros have at least one open slot on a date — a "YYYY-MM-DD" string, or an instant
+ * read as a date in each pro's own timezone.
+ * Returns Map(proId -> true | false); pros without availability are left out (unknown).
+ */
+export async function openOnDate(proIds, date, { durationMinutes } = {}) {
+  const result = new Map();
+  const configured = await Availability.find({ proId: { $in: proIds } }).select("proId timezone").lean();
+  for (const { proId, timezone } of configured) {
+    const day = isDateString(date) ? date : localDate(date, timezone);
+    const { slots } = await getOpenSlots(proId, { from: day, to: day, durationMinutes, stepMinutes: 60 });
+    result.set(String(proId), slots.length > 0);
+  }
+  return result;
+}
+
+/**
+ * Hold a slot while the customer pays.
+ * Throws 409 (code SLOT_TAKEN / SLOT_OUTSIDE_HOURS / SLOT_TOO_SOON / AVAILABILITY_NOT_SET) when it can't be held.
+ * Pass `session` to hold inside the caller's transaction.
+ */
+export async function holdSlot({ proId, customerId = null, start, end, bookingId = null, holdMinutes = HOLD_MINUTES, session = null }) {
+  const startAt = parseInstant(start, "start");
+  const endAt = parseInstant(end, "end");
+
+  return inTransaction(session, async (s) => {
+    const availability = await lockPro(proId, s);
+    const problem = await slotProblem(availability, startAt, endAt, { session: s });
+    if (problem) throw problem;
+
+    const [hold] = await SlotReservation.create(
+      [{ proId, customerId, bookingId, start: startAt, end: endAt, status: "held", expiresAt: new Date(Date.now() + holdMinutes * MINUTE) }],
+      { session: s }
+    );
+    return hold;
+  });
+}
+
+/**
+ * Why each of several slots ({ start, end }) can't be taken, without holding any of them.
+ * Returns [{ start, end, code, message }] for the slots that are not free (empty when all are).
+ */
+export async function checkSlots(proId, slots) {
+  const availability = await getAvailability(proId);
+  if (!availability) throw availabilityError("This pro has not published availability", 409, "AVAILABILITY_NOT_SET");
+
+  const problems = [];
+  for (const slot of slots) {
+    const start = parseInstant(slot.start, "start");
+    const end = parseInstant(slot.end, "end");
+    const problem = await slotProblem(availability, start, end);
+    if (problem) problems.push({ start, end, code: problem.code, message: problem.message });
+  }
+  return problems;
+}
+
+/**
+ * Create a booking on a held slot in one transaction.
+ * - holdId: a hold the customer already has (from POST /api/availability/:proId/holds), or
+ * - start / end: hold the slot now, for holdMinutes (default SLOT_HOLD_MINUTES)
+ * `booking` carries the other Booking fields (totalAmount, currency, metadata...).
+ * Returns { booking, hold }.
+ */
+export async function bookSlot({ customerId, proId, holdId = null, start, end, holdMinutes = HOLD_MINUTES, booking: fields = {} }) {
+  return inTransaction(null, async (session) => {
+    let hold;
+    if (holdId) {
+      hold = await SlotReservation.findById(holdId).session(session);
+      const usable = hold && hold.status === "held" && hold.expiresAt > new Date() && !hold.bookingId;
+      if (!usable || String(hold.customerId) !== String(customerId) || String(hold.proId) !== String(proId)) {
+        throw availabilityError("Hold not found or expired", 409, "HOLD_INVALID");
+      }
+    } else {
+      hold = await holdSlot({ proId, customerId, start, end, holdMinutes, session });
+    }
+
+    const [booking] = await Booking.create(
+      [{ ...fields, customerId, proId, eventDate: hold.start, endDate: hold.end, reservationId: hold._id }],
+      { session }
+    );
+    hold.bookingId = booking._id;
+    await hold.save({ session });
+    return { booking, hold };
+  });
+}
+
+/**
+ * Turn a booking's hold into a booked slot. An expired / released hold is taken again if the slot
+ * is still free; if someone else has it meanwhile, admins are alerted and null is returned.
+ */
+export async function confirmBookingSlot(bookingId) {
+  const booking = await Booking.findById(bookingId).select("reservationId proId");
+  if (!booking?.reservationId) return null;
+
+  return inTransaction(null, async (session) => {
+    const hold = await SlotReservation.findById(booking.reservationId).session(session);
+    if (!hold || hold.status === "booked") return hold;
+
+    const stillHeld = hold.status === "held" && hold.expiresAt > new Date();
+    if (!stillHeld) {
+      const availability = await lockPro(hold.proId, session);
+      const bufferMs = (availability.bufferMinutes || 0) * MINUTE;
+      const busy = await busyIntervals(availability, new Date(hold.start.getTime() - bufferMs), new Date(hold.end.getTime() + bufferMs), {
+        session,
+        excludeId: hold._id,
+      });
+      if (conflicts(hold, busy, bufferMs)) {
+        logger.warn("Booked slot was taken after its hold lapsed", { bookingId, reservationId: hold._id });
+        await notifyAdmin("Booking slot conflict", `Booking ${bookingId} was confirmed after its slot hold lapsed and the slot is taken`, {
+          type: "BOOKING_SLOT_CONFLICT",
+          severity: "high",
+          relatedIds: { bookingId, reservationId: hold._id },
+        });
+        return null;
+      }
+    }
+
+    hold.status = "booked";
+    hold.expiresAt = null;
+    await hold.save({ session });
+    return hold;
+  });
+}
+
+/**
+ * Move a booking to another time on the pro's calendar in one transaction: the new slot must be free
+ * (the booking's own slot doesn't count), it keeps the old reservation's status and the old one is released.
+ * Returns the updated booking.
+ */
+export async function moveBookingSlot(bookingId, { start, end }) {
+  const startAt = parseInstant(start, "start");
+  const endAt = parseInstant(end, "end");
+
+  return inTransaction(null, async (session) => {
+    const booking = await Booking.findById(bookingId).session(session);
+    if (!booking) throw availabilityError("Booking not found", 404, "BOOKING_NOT_FOUND");
+    const availability = await lockPro(booking.proId, session);
+    const problem = await slotProblem(availability, startAt, endAt, { session, excludeId: booking.reservationId });
+    if (problem) throw problem;
+
+    const old = booking.reservationId ? await SlotReservation.findById(booking.reservationId).session(session) : null;
+    const keepBooked = old?.status === "booked";
+    const [moved] = await SlotReservation.create(
+      [
+        {
+          proId: booking.proId,
+          customerId: booking.customerId,
+          bookingId: booking._id,
+          start: startAt,
+          end: endAt,
+          status: keepBooked ? "booked" : "held",
+          expiresAt: keepBooked ? null : old?.expiresAt && old.expiresAt > new Date() ? old.expiresAt : new Date(Date.now() + HOLD_MINUTES * MINUTE),
+        },
+      ],
+      { session }
+    );
+    if (old) {
+      old.status = "released";
+      old.releasedAt = new Date();
+      old.releaseReason = "booking_moved";
+      old.expiresAt = null;
+      await old.save({ session });
+    }
+
+    booking.eventDate = startAt;
+    booking.endDate = endAt;
+    booking.reservationId = moved._id;
+    await booking.save({ session });
+    return booking;
+  });
+}
+
+/** Give a slot back (hold or booked) */
+export async function releaseSlot(reservationId, { reason = "" } = {}) {
+  return SlotReservation.findOneAndUpdate(
+    { _id: reservationId, status: { $in: ["held", "booked"] } },
+    { $set: { status: "released", releasedAt: new Date(), releaseReason: reason, expiresAt: null } },
+    { new: true }
+  );
+}
+
+export async function releaseBookingSlot(bookingId, { reason = "" } = {}) {
+  const booking = await Booking.findById(bookingId).select("reservationId");
+  if (!booking?.reservationId) return null;
+  return releaseSlot(booking.reservationId, { reason });
+}
+
+/** Mark lapsed holds expired (the calendar already ignores them; this keeps the data honest) */
+export async function expireHolds({ now = new Date() } = {}) {
+  const res = await SlotReservation.updateMany({ status: "held", expiresAt: { $lte: now } }, { $set: { status: "expired" } });
+  return res.modifiedCount || 0;
+}
+
+// Slots follow the booking lifecycle
+domainEvents.on("booking.confirmed", ({ bookingId }) => confirmBookingSlot(bookingId));
+domainEvents.on("booking.cancelled", ({ bookingId, reason }) => releaseBookingSlot(bookingId, { reason: reason || "booking_cancelled" }));
+
+export default {
+  getAvailability,
+  setAvailability,
+  getOpenSlots,
+  openOnDate,
+  holdSlot,
+  checkSlots,
+  bookSlot,
+  confirmBookingSlot,
+  moveBookingSlot,
+  releaseSlot,
+  releaseBookingSlot,
+  expireHolds,
+};
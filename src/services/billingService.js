@@ -3,18 +3,32 @@ import Subscription from "../models/Subscription.js";
 import Invoice from "../models/Invoice.js";
 import Organization from "../models/Organization.js";
 import paymentGateway from "./paymentGatewayAdapter.js"; // previously created stub adapter
+import ledgerService from "./ledgerService.js";
 import logger from "../utils/logger.js";
 import mongoose from "mongoose";
+import { PLATFORM_CURRENCY, normalizeCurrency, gatewaySupportsCurrency, roundMoney } from "../utils/money.js";
 
 /**
- * Default plan amounts (NGN)
- * Update as desired.
+ * Plan prices per currency (major units).
+ * Extra currencies / overrides via env PLAN_PRICES, e.g. {"GHS": {"pro": 400, "enterprise": 1600}}
  */
-const PLAN_AMOUNTS = {
-  free: 0,
-  pro: 5000,
-  enterprise: 20000,
+const PLAN_PRICES = {
+  NGN: { free: 0, pro: 5000, enterprise: 20000 },
 };
+try {
+  Object.entries(JSON.parse(process.env.PLAN_PRICES || "{}")).forEach(([currency, prices]) => {
+    PLAN_PRICES[currency.toUpperCase()] = { free: 0, ...PLAN_PRICES[currency.toUpperCase()], ...prices };
+  });
+} catch (err) {
+  logger.warn("PLAN_PRICES is not valid JSON — using default plan prices");
+}
+
+/** Price of a plan in a currency; throws when the plan isn't sold in that currency */
+function planPrice(plan, currency) {
+  const price = PLAN_PRICES[currency]?.[plan];
+  if (price === undefined) throw new Error(`Plan ${plan} is not available in ${currency}`);
+  return roundMoney(price, currency);
+}
 
 /** Utility: compute next billing date */
 function addDays(date = new Date(), days = 30) {
@@ -25,28 +39,33 @@ function addDays(date = new Date(), days = 30) {
 
 /**
  * Create or update a subscription for an organization.
- * - Creates a Subscription doc
+ * - Creates a Subscription doc, billed in `currency` (default: the current subscription's, else the platform currency)
  * - Creates an initial Invoice (pending) and attempts to charge immediately
  */
-export const createOrUpdateSubscription = async ({ organizationId, plan, gateway = "paystack", billingCycleDays = 30 }) => {
+export const createOrUpdateSubscription = async ({ organizationId, plan, gateway = "paystack", billingCycleDays = 30, currency = null }) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
     const org = await Organization.findById(organizationId).session(session);
     if (!org) throw new Error("Organization not found");
 
-    const amount = PLAN_AMOUNTS[plan] ?? 0;
+    // Upsert subscription
+    let subscription = await Subscription.findOne({ organizationId }).session(session);
+
+    currency = normalizeCurrency(currency || subscription?.currency || PLATFORM_CURRENCY);
+    const amount = planPrice(plan, currency);
+    if (amount > 0 && gateway !== "manual" && !gatewaySupportsCurrency(gateway, currency)) {
+      throw new Error(`${gateway} cannot charge in ${currency}`);
+    }
     const startDate = new Date();
     const nextBillingDate = addDays(startDate, billingCycleDays);
 
-    // Upsert subscription
-    let subscription = await Subscription.findOne({ organizationId }).session(session);
     if (!subscription) {
       subscription = new Subscription({
         organizationId,
         plan,
         amount,
-        currency: "NGN",
+        currency,
         startDate,
         nextBillingDate,
         billingCycleDays,
@@ -56,6 +75,7 @@ export const createOrUpdateSubscription = async ({ organizationId, plan, gateway
       // update existing
       subscription.plan = plan;
       subscription.amount = amount;
+      subscription.currency = currency;
       subscription.billingCycleDays = billingCycleDays;
       subscription.gateway = gateway;
       subscription.startDate = startDate;
@@ -69,7 +89,7 @@ export const createOrUpdateSubscription = async ({ organizationId, plan, gateway
       organizationId,
       subscriptionId: subscription._id,
       amount,
-      currency: "NGN",
+      currency,
       status: amount === 0 ? "paid" : "pending",
       dueDate: startDate,
     });
@@ -85,6 +105,7 @@ export const createOrUpdateSubscription = async ({ organizationId, plan, gateway
         // Adapter design: charge returns { success, reference, raw }
         const chargeResult = await paymentGateway.holdFunds({
           amount,
+          currency,
           bookingId: String(organizationId), // reusing holdFunds shape — adapter is a stub; adjust when using real API
           gateway,
         });
@@ -98,6 +119,17 @@ export const createOrUpdateSubscription = async ({ organizationId, plan, gateway
 
         // update subscription next billing date if paid
         if (invoice.status === "paid") {
+          await ledgerService.post({
+            session,
+            kind: "subscription_paid",
+            amount,
+            reference: `invoice:${invoice._id}`,
+            invoiceId: invoice._id,
+            gateway,
+            currency,
+            description: `subscription ${plan}`,
+          });
+
           subscription.nextBillingDate = addDays(new Date(), billingCycleDays);
           subscription.status = "active";
           await subscription.save({ session });
@@ -119,7 +151,7 @@ export const createOrUpdateSubscription = async ({ organizationId, plan, gateway
     await session.commitTransaction();
     session.endSession();
 
-    logger.info("createOrUpdateSubscription completed", { organizationId, plan });
+    logger.info("createOrUpdateSubscription completed", { organizationId, plan, currency });
     return { subscription, invoice };
   } catch (err) {
     await session.abortTransaction();
@@ -165,6 +197,7 @@ export const chargeDueSubscriptions = async ({ limit = 100 } = {}) => {
       try {
         chargeResult = await paymentGateway.holdFunds({
           amount,
+          currency: sub.currency,
           bookingId: String(orgId),
           gateway: sub.gateway,
         });
@@ -179,6 +212,18 @@ export const chargeDueSubscriptions = async ({ limit = 100 } = {}) => {
         invoice.paidAt = new Date();
         await invoice.save();
 
+        if (amount > 0) {
+          await ledgerService.post({
+            kind: "subscription_paid",
+            amount,
+            reference: `invoice:${invoice._id}`,
+            invoiceId: invoice._id,
+            gateway: sub.gateway,
+            currency: sub.currency,
+            description: `subscription ${sub.plan}`,
+          });
+        }
+
         // advance subscription
         sub.nextBillingDate = addDays(new Date(), sub.billingCycleDays);
         sub.status = "active";
@@ -223,6 +268,6 @@ export const cancelSubscription = async ({ organizationId, immediate = false })
  */
 export const getOrganizationBillingDetails = async ({ organizationId }) => {
   const subscription = await Subscription.findOne({ organizationId }).lean();
-  const invoices = await Invoice.find({ organizationId }).sort({ createdAt: -1 }).limit(50).lean();
+  const invoices = await Invoice.find({ organizationId }).sort({ createdAt: -1 }).limit(50);
   return { subscription, invoices };
 };
@@ -0,0 +1,202 @@
+// src/services/bookingLifecycleService.js
+/**
+ * Booking lifecycle — the only place a booking's status changes.
+ *
+ *   pending → confirmed → in_progress → completed
+ *   pending | confirmed | in_progress → cancelled
+ *   confirmed | in_progress | completed → disputed → confirmed | in_progress | completed | cancelled
+ *
+ * - TRANSITIONS lists who (customer | pro | admin | system) may perform each move
+ * - paymentStatus is kept in step with the status (see syncPaymentStatus)
+ * - Every change is appended to booking.statusHistory with its actor and reason
+ * - Domain events ("booking.status_changed" and "booking.<status>") are emitted once the booking
+ *   is saved (Booking post-save hook → flushEvents), or when the save's transaction commits
+ *
+ * applyTransition() works on a loaded document and leaves saving to the caller, so it can run inside
+ * an escrow transaction; transitionBooking() loads, applies and saves in one go.
+ */
+import mongoose from "mongoose";
+import domainEvents from "./domainEvents.js";
+import logger from "../utils/logger.js";
+
+export const BOOKING_STATUSES = ["pending", "confirmed", "in_progress", "completed", "cancelled", "disputed"];
+export const ACTOR_ROLES = ["customer", "pro", "admin", "system"];
+
+const PARTIES = ["customer", "pro", "admin"];
+const ANYONE = [...PARTIES, "system"];
+const OFFICIAL = ["admin", "system"];
+
+// from -> to -> roles allowed to make the move
+export const TRANSITIONS = {
+  pending: { confirmed: ["pro", ...OFFICIAL], cancelled: ANYONE },
+  confirmed: { in_progress: ["pro", ...OFFICIAL], completed: OFFICIAL, cancelled: ANYONE, disputed: PARTIES },
+  in_progress: { completed: ANYONE, cancelled: OFFICIAL, disputed: PARTIES },
+  completed: { disputed: PARTIES },
+  disputed: { confirmed: OFFICIAL, in_progress: OFFICIAL, completed: OFFICIAL, cancelled: OFFICIAL },
+  cancelled: {},
+};
+
+// While the escrow holds money, the parties can't simply walk away: cancelling goes through
+// cancellationService, which settles the escrow under the booking's cancellation policy first
+const HELD_PAYMENT = ["escrowed", "partially_settled"];
+
+export const SYSTEM_ACTOR = Object.freeze({ id: null, role: "system" });
+
+function lifecycleError(message, status, code) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+/**
+ * Actor for a user acting on a booking: { id, role }.
+ * No user = system (jobs, webhooks). Throws 403 when the user is not a party to the booking.
+ */
+export function actorFor(booking, user) {
+  if (!user) return SYSTEM_ACTOR;
+  const id = String(user.id || user._id);
+  if (user.role === "admin") return { id, role: "admin" };
+  if (String(booking.customerId) === id) return { id, role: "customer" };
+  if (String(booking.proId) === id) return { id, role: "pro" };
+  throw lifecycleError("Not authorized to change this booking", 403, "BOOKING_FORBIDDEN");
+}
+
+/** Target statuses the actor may move the booking to right now */
+export function allowedTransitions(booking, actor = SYSTEM_ACTOR) {
+  const moves = TRANSITIONS[booking.status] || {};
+  return Object.keys(moves).filter((to) => moves[to].includes(actor.role) && !blockedReason(booking, to, actor));
+}
+
+function blockedReason(booking, to, actor) {
+  const settled = booking.cancellation?.status === "settled";
+  if (to === "cancelled" && ["customer", "pro"].includes(actor.role) && HELD_PAYMENT.includes(booking.paymentStatus) && !settled) {
+    return "Funds are held in escrow; the cancellation has to settle them first";
+  }
+  return null;
+}
+
+/** paymentStatus that goes with the new status (escrow-driven values are left to syncPaymentFromEscrow) */
+function syncPaymentStatus(booking, to) {
+  if (to === "cancelled" && booking.paymentStatus === "pending") booking.paymentStatus = "failed";
+}
+
+/**
+ * Move a loaded booking to `to`. Caller saves.
+ * - actor: { id, role } (see actorFor); defaults to the system
+ * - ifAllowed: return null instead of throwing when the move isn't allowed (escrow-driven syncs)
+ * Returns the statusHistory entry, or null when the booking is already in `to`.
+ */
+export function applyTransition(booking, to, { actor = SYSTEM_ACTOR, reason = "", meta = {}, ifAllowed = false } = {}) {
+  const from = booking.status;
+  if (from === to) return null;
+
+  let problem = null;
+  if (!BOOKING_STATUSES.includes(to)) problem = lifecycleError(`Invalid booking status: ${to}`, 400, "BOOKING_STATUS_INVALID");
+  else if (!TRANSITIONS[from]?.[to]) problem = lifecycleError(`Cannot move booking from ${from} to ${to}`, 409, "BOOKING_TRANSITION_INVALID");
+  else if (!TRANSITIONS[from][to].includes(actor.role)) {
+    problem = lifecycleError(`A ${actor.role} cannot move a booking from ${from} to ${to}`, 403, "BOOKING_TRANSITION_FORBIDDEN");
+  } else {
+    const blocked = blockedReason(booking, to, actor);
+    if (blocked) problem = lifecycleError(blocked, 409, "BOOKING_TRANSITION_BLOCKED");
+  }
+
+  if (problem) {
+    if (!ifAllowed) throw problem;
+    logger.warn("Booking transition skipped", { bookingId: booking._id, from, to, reason: problem.message });
+    return null;
+  }
+
+  const entry = { from, to, actorId: actor.id || null, actorRole: actor.role, reason, at: new Date() };
+  booking.status = to;
+  syncPaymentStatus(booking, to);
+  if (to === "completed" && !booking.completedAt) booking.completedAt = entry.at;
+  booking.statusHistory.push(entry);
+
+  // Lets the Booking model tell a lifecycle change from a direct status assignment
+  booking.$locals.statusTransition = to;
+  booking.$locals.pendingEvents = [
+    ...(booking.$locals.pendingEvents || []),
+    { ...entry, meta, paymentStatus: booking.paymentStatus },
+  ];
+  return entry;
+}
+
+// Events saved inside a transaction, held per session until it commits
+const heldEvents = new WeakMap();
+
+/**
+ * Hold `payloads` until the session's transaction commits; they are dropped if it aborts (withTransaction
+ * retries save, and queue, again). The session's commit / abort are wrapped the first time.
+ */
+function emitAfterCommit(session, payloads) {
+  if (!heldEvents.has(session)) {
+    heldEvents.set(session, []);
+    const { commitTransaction, abortTransaction } = session;
+    session.commitTransaction = async function (...args) {
+      const result = await commitTransaction.apply(this, args);
+      emitAll(heldEvents.get(this).splice(0));
+      return result;
+    };
+    session.abortTransaction = async function (...args) {
+      heldEvents.get(this).splice(0);
+      return abortTransaction.apply(this, args);
+    };
+  }
+  heldEvents.get(session).push(...payloads);
+}
+
+function emitAll(payloads) {
+  for (const payload of payloads) {
+    domainEvents.emit("booking.status_changed", payload);
+    domainEvents.emit(`booking.${payload.to}`, payload);
+  }
+}
+
+/**
+ * Emit the domain events queued by applyTransition: now, or once the transaction the booking was saved
+ * in commits. Called from the Booking post-save hook; safe to call again (the queue is emptied first).
+ */
+export function flushEvents(booking) {
+  const events = booking.$locals?.pendingEvents || [];
+  booking.$locals.pendingEvents = [];
+  booking.$locals.statusTransition = null;
+  if (!events.length) return;
+
+  const payloads = events.map((event) => ({
+    bookingId: booking._id,
+    customerId: booking.customerId,
+    proId: booking.proId,
+    ...event,
+  }));
+  const session = booking.$session();
+  if (session?.inTransaction()) emitAfterCommit(session, payloads);
+  else emitAll(payloads);
+}
+
+/**
+ * Load, transition and save a booking.
+ * - user: the authenticated user (req.user), or null for the system
+ * Returns { booking, transition }.
+ */
+export async function transitionBooking(bookingId, to, { user = null, reason = "", meta = {}, session = null } = {}) {
+  const Booking = mongoose.model("Booking");
+  const booking = await Booking.findById(bookingId).session(session);
+  if (!booking) throw lifecycleError("Booking not found", 404, "BOOKING_NOT_FOUND");
+
+  const transition = applyTransition(booking, to, { actor: actorFor(booking, user), reason, meta });
+  if (transition) await booking.save({ session });
+  return { booking, transition };
+}
+
+export default {
+  BOOKING_STATUSES,
+  ACTOR_ROLES,
+  TRANSITIONS,
+  SYSTEM_ACTOR,
+  actorFor,
+  allowedTransitions,
+  applyTransition,
+  flushEvents,
+  transitionBooking,
+};
@@ -0,0 +1,508 @@
+// src/services/bookingSeriesService.js
+/**
+ * Recurring bookings (BookingSeries)
+ * - A customer books a pro on a rule: weekly, biweekly, monthly or a custom RRULE (DAILY / WEEKLY /
+ *   MONTHLY, see utils/ics.expandRule), always bounded by a count or an end date
+ * - Every occurrence is checked against the pro's calendar when the series is created; any conflict
+ *   rejects the series with the list of clashing dates
+ * - Occurrences become Bookings (seriesId, occurrenceStart) SERIES_HORIZON_DAYS ahead, each holding
+ *   its slot until the event; each is funded through its own escrow, started SERIES_FUNDING_LEAD_DAYS
+ *   before the event (bookingSeriesJob -> runSeriesSchedule)
+ * - One occurrence can be skipped (its booking is cancelled under the cancellation policy) or moved;
+ *   cancelling the series cancels every occurrence still to come
+ * - Booking lists show a series as one item (groupSeriesBookings)
+ *
+ * ENV:
+ *   SERIES_HORIZON_DAYS        how far ahead occurrences are turned into bookings (default 60)
+ *   SERIES_FUNDING_LEAD_DAYS   when an occurrence's escrow funding starts, in days before it (default 7)
+ *   SERIES_MAX_OCCURRENCES     occurrences one series can have (default 104)
+ */
+import mongoose from "mongoose";
+import BookingSeries from "../models/BookingSeries.js";
+import Booking from "../models/Booking.js";
+import User from "../models/User.js";
+import availabilityService from "./availabilityService.js";
+import cancellationService from "./cancellationService.js";
+import escrowService from "./escrowService.js";
+import notificationService from "./notificationService.js";
+import logger from "../utils/logger.js";
+import { readRule, expandRule, formatUtc } from "../utils/ics.js";
+import { isValidTimeZone } from "../utils/timezone.js";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES, roundMoney } from "../utils/money.js";
+
+const MINUTE = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE;
+const HORIZON_DAYS = Number(process.env.SERIES_HORIZON_DAYS || 60);
+const FUNDING_LEAD_DAYS = Number(process.env.SERIES_FUNDING_LEAD_DAYS || 7);
+const MAX_OCCURRENCES = Number(process.env.SERIES_MAX_OCCURRENCES || 104);
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "Africa/Lagos";
+
+const FREQUENCY_RULES = {
+  weekly: "FREQ=WEEKLY",
+  biweekly: "FREQ=WEEKLY;INTERVAL=2",
+  monthly: "FREQ=MONTHLY", // same day of the month; months without that day are skipped
+};
+// Occurrence bookings that can still be skipped, moved or cancelled with the series
+const OPEN_STATUSES = ["pending", "confirmed"];
+
+function seriesError(message, status, code) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+const sameId = (a, b) => String(a) === String(b);
+
+function notify(userId, title, message, meta) {
+  return notificationService.sendNotification({ userId, type: "booking_series", title, message, meta });
+}
+
+/** "customer" | "pro" | "admin" for a user on a series; anyone else 403 */
+function roleOn(series, user) {
+  const id = String(user?.id || user?._id);
+  if (sameId(series.customerId, id)) return "customer";
+  if (sameId(series.proId, id)) return "pro";
+  if (user?.role === "admin") return "admin";
+  throw seriesError("Not a party to this booking series", 403, "SERIES_FORBIDDEN");
+}
+
+const otherParty = (series, role) => (role === "pro" ? series.customerId : series.proId);
+
+async function findSeries(seriesId) {
+  if (!mongoose.isValidObjectId(seriesId)) throw seriesError("Booking series not found", 404, "SERIES_NOT_FOUND");
+  const series = await BookingSeries.findById(seriesId);
+  if (!series) throw seriesError("Booking series not found", 404, "SERIES_NOT_FOUND");
+  return series;
+}
+
+/** Normalized, bounded RRULE for { frequency, rrule, count, until } */
+function ruleFor({ frequency, rrule, count, until }) {
+  const base = frequency === "custom" ? rrule : FREQUENCY_RULES[frequency];
+  if (!base) throw seriesError("frequency must be weekly, biweekly, monthly or custom (with an rrule)", 400, "SERIES_INVALID");
+  const rule = readRule(base);
+  if (!rule) throw seriesError("Unsupported rrule: use FREQ=DAILY, WEEKLY or MONTHLY", 400, "SERIES_INVALID");
+
+  if (count !== undefined && count !== null) {
+    if (!(Number.isInteger(Number(count)) && Number(count) >= 1)) throw seriesError("count must be a positive whole number", 400, "SERIES_INVALID");
+    rule.COUNT = String(Number(count));
+  }
+  if (until) {
+    const date = new Date(until);
+    if (Number.isNaN(date.getTime())) throw seriesError("until must be a date", 400, "SERIES_INVALID");
+    rule.UNTIL = formatUtc(date);
+  }
+  if (!rule.COUNT && !rule.UNTIL) throw seriesError("A series needs an end: count or until", 400, "SERIES_INVALID");
+  return Object.entries(rule)
+    .map(([k, v]) => `${k}=${v}`)
+    .join(";");
+}
+
+/** Every occurrence of a series: [{ occurrenceStart, start, end, skipped }], exceptions applied */
+function occurrencesOf(series) {
+  const durationMs = series.durationMinutes * MINUTE;
+  return expandRule(series.rrule, series.firstStart, { timezone: series.timezone, max: MAX_OCCURRENCES }).map((occurrenceStart) => {
+    const exception = series.exceptionFor(occurrenceStart);
+    const start = exception?.action === "change" ? exception.start : occurrenceStart;
+    const end = exception?.action === "change" ? exception.end : new Date(occurrenceStart.getTime() + durationMs);
+    return { occurrenceStart, start, end, skipped: exception?.action === "skip" };
+  });
+}
+
+function findOccurrence(series, occurrenceStart) {
+  const at = new Date(occurrenceStart);
+  const occurrence = Number.isNaN(at.getTime()) ? null : occurrencesOf(series).find((o) => o.occurrenceStart.getTime() === at.getTime());
+  if (!occurrence) throw seriesError("No occurrence of this series starts then", 404, "OCCURRENCE_NOT_FOUND");
+  return occurrence;
+}
+
+/** Replace the exception recorded for an occurrence */
+function setException(series, exception) {
+  series.exceptions = series.exceptions.filter((e) => e.occurrenceStart.getTime() !== exception.occurrenceStart.getTime());
+  series.exceptions.push(exception);
+}
+
+/**
+ * Validate a series request and work out its occurrences.
+ * Returns { fields, slots } — the BookingSeries fields and [{ start, end }] for every occurrence.
+ */
+async function planSeries(customerId, body = {}) {
+  if (!mongoose.isValidObjectId(body.proId) || sameId(body.proId, customerId)) throw seriesError("Invalid pro id", 400, "SERIES_INVALID");
+  const pro = await User.findOne({ _id: body.proId, role: "pro" }).select("_id").lean();
+  if (!pro) throw seriesError("Pro not found", 404, "PRO_NOT_FOUND");
+
+  const firstStart = new Date(body.start);
+  if (Number.isNaN(firstStart.getTime()) || firstStart <= new Date()) throw seriesError("start must be in the future", 400, "SERIES_INVALID");
+  const durationMinutes = Number(body.durationMinutes);
+  if (!(durationMinutes >= 15)) throw seriesError("durationMinutes must be at least 15", 400, "SERIES_INVALID");
+
+  const currency = body.currency || PLATFORM_CURRENCY;
+  if (!SUPPORTED_CURRENCIES.includes(currency)) throw seriesError(`Unsupported currency ${currency}`, 400, "SERIES_INVALID");
+  const amountPerOccurrence = roundMoney(Number(body.amountPerOccurrence), currency);
+  if (!(amountPerOccurrence > 0)) throw seriesError("amountPerOccurrence must be positive", 400, "SERIES_INVALID");
+  const gateway = body.gateway || escrowService.GATEWAYS.PAYSTACK;
+  if (!Object.values(escrowService.GATEWAYS).includes(gateway)) throw seriesError(`Unsupported gateway ${gateway}`, 400, "SERIES_INVALID");
+
+  const availability = await availabilityService.getAvailability(body.proId);
+  const timezone = body.timezone || availability?.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(timezone)) throw seriesError(`Unknown timezone ${timezone}`, 400, "SERIES_INVALID");
+
+  const frequency = body.frequency || (body.rrule ? "custom" : null);
+  const rrule = ruleFor({ frequency, rrule: body.rrule, count: body.count, until: body.until });
+  const starts = expandRule(rrule, firstStart, { timezone, max: MAX_OCCURRENCES + 1 });
+  if (!starts.length) throw seriesError("The rule produces no occurrences", 400, "SERIES_INVALID");
+  if (starts.length > MAX_OCCURRENCES) throw seriesError(`A series can have at most ${MAX_OCCURRENCES} occurrences`, 400, "SERIES_TOO_LONG");
+
+  const durationMs = durationMinutes * MINUTE;
+  const slots = starts.map((start) => ({ start, end: new Date(start.getTime() + durationMs) }));
+  if (slots.some((slot, i) => i > 0 && slot.start < slots[i - 1].end)) throw seriesError("Occurrences would overlap each other", 400, "SERIES_INVALID");
+
+  const fields = {
+    customerId,
+    proId: body.proId,
+    title: body.title,
+    location: body.location || "",
+    notes: body.notes || "",
+    frequency,
+    rrule,
+    timezone,
+    firstStart,
+    durationMinutes,
+    occurrenceCount: starts.length,
+    lastStart: starts[starts.length - 1],
+    amountPerOccurrence,
+    currency,
+    gateway,
+  };
+  return { fields, slots };
+}
+
+/**
+ * Occurrences of a would-be series and which of them clash with the pro's calendar, without booking anything.
+ * Body: as createSeries. Returns { occurrences: [{ start, end }], conflicts: [{ start, end, code, message }] }.
+ */
+export async function previewSeries(customerId, body = {}) {
+  const { slots } = await planSeries(customerId, body);
+  return { occurrences: slots, conflicts: await availabilityService.checkSlots(body.proId, slots) };
+}
+
+/**
+ * Book occurrences due within the horizon that have no booking yet.
+ * - strict: throw when a slot can't be held (series creation); otherwise the occurrence is skipped
+ *   and both parties are told (scheduled runs — the slot was taken after the series was made)
+ * Returns the bookings created.
+ */
+async function materializeSeries(series, { now = new Date(), strict = false } = {}) {
+  const horizon = new Date(now.getTime() + HORIZON_DAYS * DAY_MS);
+  const created = [];
+
+  for (const occurrence of occurrencesOf(series)) {
+    if (occurrence.skipped || occurrence.start <= now || occurrence.occurrenceStart > horizon) continue;
+    if (await Booking.exists({ seriesId: series._id, occurrenceStart: occurrence.occurrenceStart })) continue;
+
+    try {
+      const { booking } = await availabilityService.bookSlot({
+        customerId: series.customerId,
+        proId: series.proId,
+        start: occurrence.start,
+        end: occurrence.end,
+        // The slot stays held until the event; funding the occurrence confirms it
+        holdMinutes: Math.ceil((occurrence.start.getTime() - now.getTime()) / MINUTE),
+        booking: {
+          totalAmount: series.amountPerOccurrence,
+          currency: series.currency,
+          seriesId: series._id,
+          occurrenceStart: occurrence.occurrenceStart,
+          metadata: { title: series.title, location: series.location, seriesId: series._id },
+        },
+      });
+      created.push(booking);
+    } catch (err) {
+      if (err.code === 11000) continue; // booked by a concurrent run
+      if (strict) throw err;
+      setException(series, { occurrenceStart: occurrence.occurrenceStart, action: "skip", reason: `conflict: ${err.message}`, by: "system" });
+      logger.warn("Series occurrence could not be booked; skipped", { seriesId: series._id, start: occurrence.start, error: err.message });
+      const message = `The ${occurrence.start.toDateString()} occurrence of "${series.title}" clashes with the pro's calendar and was skipped`;
+      for (const userId of [series.customerId, series.proId]) {
+        await notify(userId, "Occurrence skipped", message, { seriesId: series._id, occurrenceStart: occurrence.occurrenceStart });
+      }
+    }
+  }
+
+  series.materializedUntil = horizon;
+  await series.save();
+  return created;
+}
+
+/**
+ * Customer books a pro on a recurring rule.
+ * Body: { proId, title, location, notes, start, durationMinutes, frequency: weekly | biweekly | monthly | custom,
+ *         rrule (custom), count | until, timezone, amountPerOccurrence, currency, gateway }
+ * Throws 409 SERIES_CONFLICTS (err.conflicts) when any occurrence clashes with the pro's calendar.
+ * Returns { series, bookings } — the bookings made for occurrences inside the horizon.
+ */
+export async function createSeries(customerId, body = {}) {
+  const { fields, slots } = await planSeries(customerId, body);
+  const conflicts = await availabilityService.checkSlots(fields.proId, slots);
+  if (conflicts.length) {
+    const err = seriesError(`${conflicts.length} occurrence(s) clash with the pro's calendar`, 409, "SERIES_CONFLICTS");
+    err.conflicts = conflicts;
+    throw err;
+  }
+
+  const series = await BookingSeries.create(fields);
+  let bookings;
+  try {
+    bookings = await materializeSeries(series, { strict: true });
+  } catch (err) {
+    // Someone took a slot between the check and the booking: undo the series
+    const made = await Booking.find({ seriesId: series._id }).select("_id");
+    for (const { _id } of made) {
+      await cancellationService.cancelBooking(_id, { reason: "booking series could not be created" }).catch(() => null);
+    }
+    await BookingSeries.updateOne({ _id: series._id }, { $set: { status: "cancelled", cancelledAt: new Date(), cancelledBy: "system", cancelReason: err.message } });
+    throw err;
+  }
+
+  await notify(series.proId, "New recurring booking", `"${series.title}": ${series.occurrenceCount} ${series.frequency} occurrences`, { seriesId: series._id });
+  logger.info("Booking series created", { seriesId: series._id, occurrences: series.occurrenceCount, booked: bookings.length });
+  return { series, bookings };
+}
+
+/** A series with every occurrence and its booking (if made yet) */
+export async function getSeries(seriesId, user) {
+  const series = await findSeries(seriesId);
+  roleOn(series, user);
+  const bookings = await Booking.find({ seriesId: series._id }).select("occurrenceStart eventDate endDate status paymentStatus totalAmountMinor").lean();
+  const byOccurrence = new Map(bookings.map((b) => [b.occurrenceStart.getTime(), b]));
+
+  const occurrences = occurrencesOf(series).map((o) => {
+    const booking = byOccurrence.get(o.occurrenceStart.getTime()) || null;
+    return {
+      ...o,
+      start: booking?.eventDate || o.start,
+      end: booking?.endDate || o.end,
+      bookingId: booking?._id || null,
+      status: booking?.status || (o.skipped ? "skipped" : "scheduled"),
+      paymentStatus: booking?.paymentStatus || null,
+    };
+  });
+  return { ...series.toObject(), occurrences };
+}
+
+/** Series the user booked (customer) or is booked on (pro), newest first */
+export async function listSeries(user, { status } = {}) {
+  const id = user.id || user._id;
+  const filter = user.role === "pro" ? { proId: id } : { customerId: id };
+  if (status) filter.status = status;
+  return BookingSeries.find(filter).sort({ createdAt: -1 }).limit(100).lean();
+}
+
+/**
+ * Skip one occurrence. A booked occurrence is cancelled through cancellationService, so the booking's
+ * cancellation policy applies to whatever was paid for it.
+ * Body: { occurrenceStart, reason }
+ * Returns { series, booking, cancellation } (booking / cancellation null if it wasn't booked yet).
+ */
+export async function skipOccurrence(seriesId, user, { occurrenceStart, reason = "" } = {}) {
+  const series = await findSeries(seriesId);
+  const role = roleOn(series, user);
+  if (series.status !== "active") throw seriesError(`This series is ${series.status}`, 409, "SERIES_NOT_ACTIVE");
+  const occurrence = findOccurrence(series, occurrenceStart);
+  if (occurrence.skipped) throw seriesError("That occurrence is already skipped", 409, "OCCURRENCE_SKIPPED");
+  if (occurrence.start <= new Date()) throw seriesError("That occurrence has already started", 409, "OCCURRENCE_LOCKED");
+
+  let booking = await Booking.findOne({ seriesId: series._id, occurrenceStart: occurrence.occurrenceStart });
+  let cancellation = null;
+  if (booking && OPEN_STATUSES.includes(booking.status)) {
+    ({ booking, quote: cancellation } = await cancellationService.cancelBooking(booking._id, { user, reason: reason || "occurrence skipped" }));
+  } else if (booking && booking.status !== "cancelled") {
+    throw seriesError(`That occurrence is ${booking.status}`, 409, "OCCURRENCE_LOCKED");
+  }
+
+  setException(series, { occurrenceStart: occurrence.occurrenceStart, action: "skip", reason, by: role });
+  await series.save();
+  await notify(otherParty(series, role), "Occurrence skipped", `The ${occurrence.start.toDateString()} occurrence of "${series.title}" is off`, {
+    seriesId: series._id,
+    occurrenceStart: occurrence.occurrenceStart,
+  });
+  return { series, booking, cancellation };
+}
+
+/**
+ * Move one occurrence to another time (same price). A booked occurrence takes the new slot on the
+ * pro's calendar in one step; one not booked yet is checked now and booked at the new time later.
+ * Body: { occurrenceStart, start, durationMinutes }
+ * Returns { series, booking } (booking null if it wasn't booked yet).
+ */
+export async function changeOccurrence(seriesId, user, { occurrenceStart, start, durationMinutes } = {}) {
+  const series = await findSeries(seriesId);
+  const role = roleOn(series, user);
+  if (series.status !== "active") throw seriesError(`This series is ${series.status}`, 409, "SERIES_NOT_ACTIVE");
+  const occurrence = findOccurrence(series, occurrenceStart);
+  if (occurrence.skipped) throw seriesError("That occurrence is skipped", 409, "OCCURRENCE_SKIPPED");
+
+  const now = new Date();
+  if (occurrence.start <= now) throw seriesError("That occurrence has already started", 409, "OCCURRENCE_LOCKED");
+  const newStart = new Date(start);
+  if (Number.isNaN(newStart.getTime()) || newStart <= now) throw seriesError("start must be in the future", 400, "SERIES_INVALID");
+  const minutes = Number(durationMinutes || series.durationMinutes);
+  if (!(minutes >= 15)) throw seriesError("durationMinutes must be at least 15", 400, "SERIES_INVALID");
+  const newEnd = new Date(newStart.getTime() + minutes * MINUTE);
+
+  const clash = occurrencesOf(series).find(
+    (o) => !o.skipped && o.occurrenceStart.getTime() !== occurrence.occurrenceStart.getTime() && o.start < newEnd && newStart < o.end
+  );
+  if (clash) throw seriesError("The new time overlaps another occurrence of the series", 409, "SLOT_TAKEN");
+
+  let booking = await Booking.findOne({ seriesId: series._id, occurrenceStart: occurrence.occurrenceStart });
+  if (booking && !OPEN_STATUSES.includes(booking.status)) throw seriesError(`That occurrence is ${booking.status}`, 409, "OCCURRENCE_LOCKED");
+  if (booking) {
+    booking = await availabilityService.moveBookingSlot(booking._id, { start: newStart, end: newEnd });
+  } else {
+    const [problem] = await availabilityService.checkSlots(series.proId, [{ start: newStart, end: newEnd }]);
+    if (problem) throw seriesError(problem.message, 409, problem.code);
+  }
+
+  setException(series, { occurrenceStart: occurrence.occurrenceStart, action: "change", start: newStart, end: newEnd, by: role });
+  await series.save();
+  await notify(otherParty(series, role), "Occurrence moved", `The ${occurrence.start.toDateString()} occurrence of "${series.title}" moved to ${newStart.toISOString()}`, {
+    seriesId: series._id,
+    occurrenceStart: occurrence.occurrenceStart,
+  });
+  return { series, booking };
+}
+
+/**
+ * Cancel the rest of a series: no more occurrences are booked, and every occurrence still to come is
+ * cancelled through cancellationService (its policy applies). Occurrences that fail to cancel are
+ * reported, not retried.
+ * Returns { series, cancelled: [{ bookingId, refund }], failed: [{ bookingId, error }] }.
+ */
+export async function cancelSeries(seriesId, user, { reason = "" } = {}) {
+  const existing = await findSeries(seriesId);
+  const role = roleOn(existing, user);
+  const series = await BookingSeries.findOneAndUpdate(
+    { _id: existing._id, status: "active" },
+    { $set: { status: "cancelled", cancelledAt: new Date(), cancelledBy: role, cancelReason: reason } },
+    { new: true }
+  );
+  if (!series) throw seriesError(`This series is ${existing.status}`, 409, "SERIES_NOT_ACTIVE");
+
+  const upcoming = await Booking.find({ seriesId: series._id, status: { $in: OPEN_STATUSES }, eventDate: { $gt: new Date() } }).select("_id");
+  const cancelled = [];
+  const failed = [];
+  for (const { _id } of upcoming) {
+    try {
+      const { quote } = await cancellationService.cancelBooking(_id, { user, reason: reason || "booking series cancelled" });
+      cancelled.push({ bookingId: _id, refund: quote.refund });
+    } catch (err) {
+      failed.push({ bookingId: _id, error: err.message });
+      logger.warn("Series occurrence cancellation failed", { seriesId, bookingId: _id, error: err.message });
+    }
+  }
+
+  await notify(otherParty(series, role), "Recurring booking cancelled", `The rest of "${series.title}" was cancelled`, { seriesId: series._id });
+  logger.info("Booking series cancelled", { seriesId, by: role, cancelled: cancelled.length, failed: failed.length });
+  return { series, cancelled, failed };
+}
+
+/** Start escrow funding for series occurrences coming up within the lead time; the customer gets the payment link */
+async function fundDueOccurrences(now) {
+  const due = await Booking.find({
+    seriesId: { $ne: null },
+    status: { $in: OPEN_STATUSES },
+    paymentStatus: "unpaid",
+    eventDate: { $gt: now, $lte: new Date(now.getTime() + FUNDING_LEAD_DAYS * DAY_MS) },
+  }).select("_id seriesId customerId totalAmountMinor currency eventDate");
+
+  let funded = 0;
+  for (const booking of due) {
+    try {
+      const series = await BookingSeries.findById(booking.seriesId).select("title gateway").lean();
+      const customer = await User.findById(booking.customerId).select("email").lean();
+      const payment = await escrowService.initializeEscrow({
+        bookingId: booking._id,
+        email: customer.email,
+        gateway: series.gateway,
+        metadata: { seriesId: String(booking.seriesId) },
+      });
+      if (!payment?.success) continue;
+      funded++;
+      await notify(booking.customerId, "Payment due", `Fund the ${booking.eventDate.toDateString()} occurrence of "${series.title}"`, {
+        seriesId: booking.seriesId,
+        bookingId: booking._id,
+        authorizationUrl: payment.authorizationUrl,
+        reference: payment.reference,
+      });
+    } catch (err) {
+      logger.warn("Series occurrence funding failed", { bookingId: booking._id, error: err.message });
+    }
+  }
+  return funded;
+}
+
+/**
+ * Scheduled run (bookingSeriesJob): book occurrences entering the horizon, start funding for the ones
+ * coming up and complete series whose last occurrence has passed.
+ * Returns { booked, funded, completed } counts.
+ */
+export async function runSeriesSchedule(now = new Date()) {
+  let booked = 0;
+  let completed = 0;
+  const active = await BookingSeries.find({ status: "active" });
+  for (const series of active) {
+    if (series.lastStart <= now && !occurrencesOf(series).some((o) => !o.skipped && o.start > now)) {
+      await BookingSeries.updateOne({ _id: series._id, status: "active" }, { $set: { status: "completed" } });
+      completed++;
+      continue;
+    }
+    try {
+      booked += (await materializeSeries(series, { now })).length;
+    } catch (err) {
+      logger.error("Series materialization failed", { seriesId: series._id, error: err.message });
+    }
+  }
+  const funded = await fundDueOccurrences(now);
+  return { booked, funded, completed };
+}
+
+/**
+ * Collapse a booking list so each series shows as one item (in place of its first booking):
+ * { type: "series", _id, series, nextBooking, upcoming } — nextBooking is the next occurrence still on.
+ */
+export async function groupSeriesBookings(bookings, now = new Date()) {
+  const seriesIds = [...new Set(bookings.filter((b) => b.seriesId).map((b) => String(b.seriesId)))];
+  if (!seriesIds.length) return bookings;
+  const seriesById = new Map((await BookingSeries.find({ _id: { $in: seriesIds } }).lean()).map((s) => [String(s._id), s]));
+
+  const grouped = [];
+  const seen = new Set();
+  for (const booking of bookings) {
+    const key = booking.seriesId && String(booking.seriesId);
+    if (!key || !seriesById.has(key)) {
+      grouped.push(booking);
+      continue;
+    }
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const upcoming = bookings
+      .filter((b) => String(b.seriesId) === key && OPEN_STATUSES.includes(b.status) && new Date(b.eventDate) > now)
+      .sort((a, b) => new Date(a.eventDate) - new Date(b.eventDate));
+    grouped.push({ type: "series", _id: key, series: seriesById.get(key), nextBooking: upcoming[0] || null, upcoming: upcoming.length });
+  }
+  return grouped;
+}
+
+export default {
+  previewSeries,
+  createSeries,
+  getSeries,
+  listSeries,
+  skipOccurrence,
+  changeOccurrence,
+  cancelSeries,
+  runSeriesSchedule,
+  groupSeriesBookings,
+};
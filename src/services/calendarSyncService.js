@@ -0,0 +1,226 @@
+// src/services/calendarSyncService.js
+/**
+ * Calendar sync for pros
+ * - Export: a private, tokenised ICS feed of the pro's confirmed / in-progress / completed bookings
+ *   (GET /api/calendar/feed/:token.ics) for Google / Apple / Outlook subscriptions
+ * - Import: external ICS calendars (URL or uploaded file); their busy events become blackout blocks
+ *   that availabilityService treats as busy time. URL imports are refreshed by calendarImportJob.
+ *
+ * ENV:
+ *   SERVER_URL            public API base for feed URLs
+ *   FRONTEND_URL          booking links inside feed events
+ *   ICS_IMPORT_DAYS       how far ahead imported events are kept (default 180)
+ */
+import crypto from "crypto";
+import CalendarSync from "../models/CalendarSync.js";
+import Availability from "../models/Availability.js";
+import Booking from "../models/Booking.js";
+import logger from "../utils/logger.js";
+import { buildCalendar, parseCalendar } from "../utils/ics.js";
+
+const SERVER_URL = process.env.SERVER_URL || "";
+const FRONTEND_URL = process.env.FRONTEND_URL || process.env.APP_URL || "";
+const IMPORT_DAYS = Number(process.env.ICS_IMPORT_DAYS || 180);
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "Africa/Lagos";
+
+const FEED_STATUSES = ["confirmed", "in_progress", "completed"];
+const FEED_HISTORY_DAYS = 90;
+const MAX_BLOCKS = 2000;
+const MAX_ICS_BYTES = 5 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 15000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EVENT_MINUTES = 120;
+
+// Our own feed imported back would only duplicate bookings already on the calendar
+const OWN_UID = /@getvybz$/;
+
+const newToken = () => crypto.randomBytes(24).toString("hex");
+const feedUrl = (token) => `${SERVER_URL}/api/calendar/feed/${token}.ics`;
+
+async function syncDoc(proId) {
+  return (await CalendarSync.findOne({ proId })) || new CalendarSync({ proId });
+}
+
+/* ---------- Export ---------- */
+
+/** Feed URL for a pro, creating the token on first use. Returns { url, token } */
+export async function getFeed(proId) {
+  const doc = await syncDoc(proId);
+  if (!doc.feedToken) {
+    doc.feedToken = newToken();
+    await doc.save();
+  }
+  return { url: feedUrl(doc.feedToken), token: doc.feedToken };
+}
+
+/** New token; the old feed URL stops working */
+export async function rotateFeedToken(proId) {
+  const doc = await syncDoc(proId);
+  doc.feedToken = newToken();
+  await doc.save();
+  return { url: feedUrl(doc.feedToken), token: doc.feedToken };
+}
+
+/** ICS text for a feed token, or null when the token is unknown */
+export async function buildFeed(token) {
+  if (!token) return null;
+  const doc = await CalendarSync.findOne({ feedToken: String(token) }).select("proId").lean();
+  if (!doc) return null;
+
+  const availability = await Availability.findOne({ proId: doc.proId }).select("slotMinutes").lean();
+  const defaultMs = (availability?.slotMinutes || DEFAULT_EVENT_MINUTES) * 60 * 1000;
+  const bookings = await Booking.find({
+    proId: doc.proId,
+    status: { $in: FEED_STATUSES },
+    eventDate: { $gte: new Date(Date.now() - FEED_HISTORY_DAYS * DAY_MS) },
+  })
+    .populate("customerId", "name")
+    .sort({ eventDate: 1 })
+    .lean();
+
+  const events = bookings.map((b) => {
+    const title = b.metadata?.title || "Booking";
+    const customer = b.customerId?.name || "Customer";
+    const link = FRONTEND_URL ? `${FRONTEND_URL}/bookings/${b._id}` : "";
+    return {
+      uid: `booking-${b._id}@getvybz`,
+      start: b.eventDate,
+      end: b.endDate || new Date(new Date(b.eventDate).getTime() + defaultMs),
+      summary: `${title} — ${customer}`,
+      description: [`Customer: ${customer}`, `Status: ${b.status}`, link && `Booking: ${link}`].filter(Boolean).join("\n"),
+      location: b.metadata?.location || b.location || "",
+      url: link,
+      sequence: (b.statusHistory || []).length,
+      updatedAt: b.updatedAt,
+    };
+  });
+
+  return buildCalendar({ name: "GetVybz bookings", events });
+}
+
+/* ---------- Import ---------- */
+
+/** http(s) / webcal URL that doesn't point at this machine or a private network */
+function checkImportUrl(raw) {
+  let url;
+  try {
+    url = new URL(String(raw).replace(/^webcals?:\/\//i, "https://"));
+  } catch (err) {
+    throw new Error("Invalid calendar URL");
+  }
+  if (!["http:", "https:"].includes(url.protocol)) throw new Error("Calendar URL must be http(s) or webcal");
+  const host = url.hostname;
+  if (/^(localhost|0\.0\.0\.0|127\.|10\.|192\.168\.|169\.254\.|172\.(1[6-9]|2\d|3[01])\.|\[?::1\]?$|\[?f[cd])/i.test(host)) {
+    throw new Error("Calendar URL must be publicly reachable");
+  }
+  return url.toString();
+}
+
+async function fetchCalendar(url) {
+  const res = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS), headers: { Accept: "text/calendar" } });
+  if (!res.ok) throw new Error(`Calendar URL returned ${res.status}`);
+  const text = await res.text();
+  if (Buffer.byteLength(text) > MAX_ICS_BYTES) throw new Error("Calendar is too large");
+  return text;
+}
+
+/** Busy blocks of a calendar in the pro's timezone, from yesterday to ICS_IMPORT_DAYS ahead */
+async function blocksFrom(proId, text) {
+  if (!/BEGIN:VCALENDAR/i.test(text)) throw new Error("Not an iCalendar file");
+  const availability = await Availability.findOne({ proId }).select("timezone").lean();
+  const events = parseCalendar(text, {
+    timezone: availability?.timezone || DEFAULT_TIMEZONE,
+    from: new Date(Date.now() - DAY_MS),
+    to: new Date(Date.now() + IMPORT_DAYS * DAY_MS),
+  });
+  return events
+    .filter((e) => !OWN_UID.test(e.uid))
+    .slice(0, MAX_BLOCKS)
+    .map(({ uid, summary, start, end, allDay }) => ({ uid, summary, start, end, allDay }));
+}
+
+/**
+ * Refresh one import. `ics` (file contents) is required for file imports; URL imports are fetched.
+ * Failures are recorded on the import (lastStatus / lastError) and the previous blocks are kept.
+ */
+export async function syncImport(proId, importId, { ics = null } = {}) {
+  const doc = await CalendarSync.findOne({ proId });
+  const entry = doc?.imports.id(importId);
+  if (!entry) throw new Error("Calendar import not found");
+
+  try {
+    const text = ics ?? (entry.url ? await fetchCalendar(entry.url) : null);
+    if (text == null) throw new Error("File imports need the calendar file to refresh");
+    entry.blocks = await blocksFrom(proId, text);
+    entry.lastStatus = "ok";
+    entry.lastError = "";
+  } catch (err) {
+    logger.warn("Calendar import sync failed", { proId, importId, error: err.message });
+    entry.lastStatus = "failed";
+    entry.lastError = err.message;
+  }
+  entry.lastSyncedAt = new Date();
+  await doc.save();
+  return entry;
+}
+
+/**
+ * Add an external calendar: { name, url } (refreshed on a schedule) or { name, ics } (one-off file).
+ * Syncs it straight away; a URL that can't be read is still saved with lastStatus "failed".
+ */
+export async function addImport(proId, { name = "", url = null, ics = null } = {}) {
+  if (!url && !ics) throw new Error("A calendar url or ics file is required");
+  const doc = await syncDoc(proId);
+  doc.imports.push({ name: String(name).slice(0, 100), url: url ? checkImportUrl(url) : null });
+  await doc.save();
+  return syncImport(proId, doc.imports[doc.imports.length - 1]._id, { ics });
+}
+
+export async function removeImport(proId, importId) {
+  const res = await CalendarSync.updateOne({ proId }, { $pull: { imports: { _id: importId } } });
+  return res.modifiedCount > 0;
+}
+
+/** Imports without their blocks (counts instead), plus the feed URL if one exists */
+export async function listImports(proId) {
+  const doc = await CalendarSync.findOne({ proId }).lean();
+  return {
+    feedUrl: doc?.feedToken ? feedUrl(doc.feedToken) : null,
+    imports: (doc?.imports || []).map(({ blocks, ...entry }) => ({ ...entry, blockCount: blocks.length })),
+  };
+}
+
+/** Refresh every URL import (calendarImportJob). Returns { synced, failed } */
+export async function refreshAllImports() {
+  const summary = { synced: 0, failed: 0 };
+  const docs = await CalendarSync.find({ "imports.url": { $type: "string" } }).select("proId imports._id imports.url").lean();
+  for (const doc of docs) {
+    for (const entry of doc.imports.filter((i) => i.url)) {
+      const result = await syncImport(doc.proId, entry._id);
+      if (result.lastStatus === "ok") summary.synced++;
+      else summary.failed++;
+    }
+  }
+  return summary;
+}
+
+/** Imported busy blocks overlapping [from, to) — read by availabilityService */
+export async function busyBlocks(proId, from, to) {
+  const doc = await CalendarSync.findOne({ proId }).select("imports.blocks").lean();
+  return (doc?.imports || [])
+    .flatMap((i) => i.blocks)
+    .filter((b) => b.start < to && b.end > from)
+    .map((b) => ({ start: b.start, end: b.end }));
+}
+
+export default {
+  getFeed,
+  rotateFeedToken,
+  buildFeed,
+  addImport,
+  syncImport,
+  removeImport,
+  listImports,
+  refreshAllImports,
+  busyBlocks,
+};
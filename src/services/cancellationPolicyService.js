@@ -0,0 +1,123 @@
+// src/services/cancellationPolicyService.js
+/**
+ * Cancellation policies
+ * - A pro picks a preset (flexible | moderate | strict) or custom tiers; stored on User.cancellationPolicy
+ * - A policy is a list of tiers { minHoursBefore, refundPercent }: the customer gets refundPercent of
+ *   what is held when they cancel at least minHoursBefore hours before the event (first match wins,
+ *   tiers sorted by minHoursBefore descending; below every tier the refund is 0%)
+ * - Each booking keeps a snapshot of its pro's policy from when it was made (Booking pre-save), so
+ *   later policy changes never apply to existing bookings; cancellationService charges against it
+ *
+ * ENV:
+ *   CANCELLATION_DEFAULT_POLICY   preset for pros who haven't chosen one (default "moderate")
+ */
+import User from "../models/User.js";
+
+const DAY_HOURS = 24;
+
+export const POLICY_PRESETS = Object.freeze({
+  // Full refund until a day before, half after that
+  flexible: [
+    { minHoursBefore: DAY_HOURS, refundPercent: 100 },
+    { minHoursBefore: 0, refundPercent: 50 },
+  ],
+  // Full refund a week out, half from 2 to 7 days, nothing in the last 48 hours
+  moderate: [
+    { minHoursBefore: 7 * DAY_HOURS, refundPercent: 100 },
+    { minHoursBefore: 2 * DAY_HOURS, refundPercent: 50 },
+  ],
+  // Full refund two weeks out, half from 7 to 14 days, nothing in the last week
+  strict: [
+    { minHoursBefore: 14 * DAY_HOURS, refundPercent: 100 },
+    { minHoursBefore: 7 * DAY_HOURS, refundPercent: 50 },
+  ],
+});
+
+export const POLICY_NAMES = [...Object.keys(POLICY_PRESETS), "custom"];
+const MAX_TIERS = 10;
+
+const DEFAULT_POLICY = POLICY_PRESETS[process.env.CANCELLATION_DEFAULT_POLICY] ? process.env.CANCELLATION_DEFAULT_POLICY : "moderate";
+
+function policyError(message, status = 400, code = "CANCELLATION_POLICY_INVALID") {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+/** Validate custom tiers; returns them sorted by minHoursBefore descending */
+export function normalizeTiers(tiers) {
+  if (!Array.isArray(tiers) || !tiers.length) throw policyError("Custom policies need at least one tier");
+  if (tiers.length > MAX_TIERS) throw policyError(`A policy can have at most ${MAX_TIERS} tiers`);
+
+  const normalized = tiers.map((t) => {
+    const minHoursBefore = t.minDaysBefore !== undefined ? Number(t.minDaysBefore) * DAY_HOURS : Number(t.minHoursBefore);
+    const refundPercent = Number(t.refundPercent);
+    if (!(Number.isFinite(minHoursBefore) && minHoursBefore >= 0)) throw policyError("Tier minHoursBefore must be 0 or more");
+    if (!(refundPercent >= 0 && refundPercent <= 100)) throw policyError("Tier refundPercent must be between 0 and 100");
+    return { minHoursBefore, refundPercent };
+  });
+
+  normalized.sort((a, b) => b.minHoursBefore - a.minHoursBefore);
+  for (let i = 1; i < normalized.length; i++) {
+    if (normalized[i].minHoursBefore === normalized[i - 1].minHoursBefore) throw policyError("Tiers must have different minHoursBefore values");
+    // Cancelling later never earns a bigger refund
+    if (normalized[i].refundPercent > normalized[i - 1].refundPercent) {
+      throw policyError("Refunds must not increase closer to the event");
+    }
+  }
+  return normalized;
+}
+
+/** { name, tiers } for a stored (or missing) policy; stored tiers (custom, or a booking snapshot) win over the preset */
+export function resolvePolicy(stored) {
+  const name = POLICY_NAMES.includes(stored?.name) ? stored.name : DEFAULT_POLICY;
+  if (stored?.tiers?.length) {
+    return { name, tiers: stored.tiers.map(({ minHoursBefore, refundPercent }) => ({ minHoursBefore, refundPercent })) };
+  }
+  const preset = name === "custom" ? DEFAULT_POLICY : name;
+  return { name: preset, tiers: POLICY_PRESETS[preset].map((t) => ({ ...t })) };
+}
+
+/**
+ * Tier that applies `hoursBefore` hours ahead of the event.
+ * Returns { tier, refundPercent } (tier null = below every tier, no refund).
+ */
+export function refundFor(policy, hoursBefore) {
+  const tier = resolvePolicy(policy).tiers.find((t) => hoursBefore >= t.minHoursBefore) || null;
+  return { tier, refundPercent: tier ? tier.refundPercent : 0 };
+}
+
+export async function getPolicy(proId) {
+  const pro = await User.findById(proId).select("cancellationPolicy").lean();
+  return resolvePolicy(pro?.cancellationPolicy);
+}
+
+/**
+ * Body: { name: "flexible" | "moderate" | "strict" } or { name: "custom", tiers: [{ minHoursBefore | minDaysBefore, refundPercent }] }
+ * Applies to bookings made from now on.
+ */
+export async function setPolicy(proId, { name, tiers } = {}) {
+  if (!POLICY_NAMES.includes(name)) throw policyError(`Policy must be one of ${POLICY_NAMES.join(", ")}`);
+  const cancellationPolicy = { name, tiers: name === "custom" ? normalizeTiers(tiers) : [] };
+
+  const pro = await User.findByIdAndUpdate(proId, { $set: { cancellationPolicy } }, { new: true }).select("cancellationPolicy").lean();
+  if (!pro) throw policyError("Pro not found", 404, "PRO_NOT_FOUND");
+  return resolvePolicy(pro.cancellationPolicy);
+}
+
+/** Policy to freeze onto a new booking */
+export async function snapshotFor(proId) {
+  return { ...(await getPolicy(proId)), snapshotAt: new Date() };
+}
+
+export default {
+  POLICY_PRESETS,
+  POLICY_NAMES,
+  normalizeTiers,
+  resolvePolicy,
+  refundFor,
+  getPolicy,
+  setPolicy,
+  snapshotFor,
+};
@@ -0,0 +1,181 @@
+// src/services/cancellationService.js
+/**
+ * Booking cancellations under the booking's cancellation policy (cancellationPolicyService)
+ * - quoteCancellation(): what cancelling now would do — refund to the customer, compensation to the pro
+ *   (and the commission on it) — shown to the user before they confirm
+ * - cancelBooking(): settles every held escrow (refund through escrowService.refundFunds, the pro's share
+ *   through a partial escrowService.releaseFunds), records booking.cancellation, then cancels the booking
+ *
+ * Who pays:
+ * - customer cancels: refund = the policy tier for the hours left before the event; the rest goes to the pro
+ * - pro / admin / system cancels: full refund, nothing to the pro; a pro cancellation also costs trust score
+ */
+import Booking from "../models/Booking.js";
+import Escrow from "../models/Escrow.js";
+import escrowService from "./escrowService.js";
+import { commissionForRelease } from "./commissionService.js";
+import { calculateTrustScore } from "./trustScoreService.js";
+import { TRANSITIONS, actorFor, applyTransition } from "./bookingLifecycleService.js";
+import { refundFor, resolvePolicy } from "./cancellationPolicyService.js";
+import { PLATFORM_CURRENCY, toMinor, fromMinor } from "../utils/money.js";
+import logger from "../utils/logger.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function cancellationError(message, status, code) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+/** Refund / release per held escrow for a refund percentage, in exact minor units */
+function splitEscrows(escrows, refundPercent) {
+  return escrows.map((escrow) => {
+    const held = toMinor(escrow.amountHeld, escrow.currency);
+    const refund = Math.round((held * refundPercent) / 100);
+    return {
+      escrowId: escrow._id,
+      milestoneId: escrow.milestoneId || null,
+      currency: escrow.currency,
+      held: fromMinor(held, escrow.currency),
+      refund: fromMinor(refund, escrow.currency),
+      release: fromMinor(held - refund, escrow.currency),
+    };
+  });
+}
+
+async function buildQuote(booking, actor, now = new Date()) {
+  if (!TRANSITIONS[booking.status]?.cancelled?.includes(actor.role)) {
+    throw cancellationError(`A ${actor.role} cannot cancel a booking that is ${booking.status}`, 409, "BOOKING_NOT_CANCELLABLE");
+  }
+
+  const currency = booking.currency || PLATFORM_CURRENCY;
+  const policy = resolvePolicy(booking.cancellationPolicy);
+  const hoursBeforeEvent = Math.max(0, (new Date(booking.eventDate).getTime() - now.getTime()) / HOUR_MS);
+  // Only the customer's own cancellation is charged under the policy
+  const { tier, refundPercent } = actor.role === "customer" ? refundFor(policy, hoursBeforeEvent) : { tier: null, refundPercent: 100 };
+
+  const escrows = await Escrow.find({ bookingId: booking._id, state: "held" }).sort({ createdAt: 1 });
+  escrows.forEach((e) => e.ensureHeldBalance());
+  const parts = splitEscrows(escrows, refundPercent);
+
+  const total = (pick) => fromMinor(parts.reduce((sum, p) => sum + toMinor(p[pick], currency), 0), currency);
+  const held = total("held");
+  const refund = total("refund");
+  const release = total("release");
+  const commission = release > 0 ? await commissionForRelease({ booking, amount: release }) : null;
+
+  return {
+    bookingId: booking._id,
+    cancelledBy: actor.role,
+    policy: { name: policy.name, tiers: policy.tiers },
+    hoursBeforeEvent: Math.round(hoursBeforeEvent * 10) / 10,
+    tier,
+    refundPercent,
+    currency,
+    held,
+    refund,
+    proCompensation: { gross: release, fee: commission?.fee || 0, net: commission?.net || 0 },
+    escrows: parts,
+    affectsTrustScore: actor.role === "pro",
+  };
+}
+
+/**
+ * Breakdown of cancelling now, for the user (req.user) asking.
+ * Throws 403 for non-parties and 409 when the booking can't be cancelled by them.
+ */
+export async function quoteCancellation(bookingId, { user = null } = {}) {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) throw cancellationError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  return buildQuote(booking, actorFor(booking, user));
+}
+
+/**
+ * Cancel a booking and settle its escrow under the policy.
+ * - expectedRefund: the refund the user was shown; if the quote has changed since (a tier boundary
+ *   passed), nothing happens and a 409 carries the new quote (err.quote)
+ * - A refund the gateway rejects stops the cancellation (booking.cancellation.status "failed", safe to retry);
+ *   a failed release to the pro doesn't — the compensation stays held for an admin to release
+ * Returns { booking, quote, refunds, releases }.
+ */
+export async function cancelBooking(bookingId, { user = null, reason = "", expectedRefund = null } = {}) {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) throw cancellationError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  const actor = actorFor(booking, user);
+  const quote = await buildQuote(booking, actor);
+
+  if (expectedRefund !== null && expectedRefund !== undefined && toMinor(expectedRefund, quote.currency) !== toMinor(quote.refund, quote.currency)) {
+    const err = cancellationError("The cancellation terms have changed; review the new breakdown", 409, "CANCELLATION_QUOTE_CHANGED");
+    err.quote = quote;
+    throw err;
+  }
+
+  // Claim the cancellation so concurrent requests can't refund twice
+  const record = {
+    status: "processing",
+    cancelledBy: actor.role,
+    actorId: actor.id || null,
+    reason,
+    hoursBeforeEvent: quote.hoursBeforeEvent,
+    refundPercent: quote.refundPercent,
+    currency: quote.currency,
+    refundAmount: quote.refund,
+    proAmount: quote.proCompensation.gross,
+    requestedAt: new Date(),
+  };
+  const claimed = await Booking.updateOne(
+    { _id: booking._id, status: booking.status, $or: [{ cancellation: null }, { "cancellation.status": "failed" }] },
+    { $set: { cancellation: record } }
+  );
+  if (!claimed.modifiedCount) throw cancellationError("This booking is already being cancelled", 409, "CANCELLATION_IN_PROGRESS");
+
+  const refunds = [];
+  const releases = [];
+  const note = `cancellation by ${actor.role} (${quote.refundPercent}% refund)`;
+  try {
+    for (const part of quote.escrows) {
+      if (!(part.refund > 0)) continue;
+      const result = await escrowService.refundFunds({ bookingId, milestoneId: part.milestoneId, amount: part.refund, initiatedBy: actor.id, reason: note });
+      if (!result?.success) throw cancellationError("The refund was not accepted by the payment gateway", 502, "CANCELLATION_REFUND_FAILED");
+      refunds.push(result);
+    }
+  } catch (err) {
+    await Booking.updateOne({ _id: booking._id }, { $set: { "cancellation.status": "failed", "cancellation.error": err.message } });
+    logger.error("Cancellation refund failed", { bookingId, error: err.message });
+    throw err.status ? err : cancellationError(err.message, 502, "CANCELLATION_REFUND_FAILED");
+  }
+
+  let releaseError = "";
+  for (const part of quote.escrows) {
+    if (!(part.release > 0)) continue;
+    try {
+      releases.push(await escrowService.releaseFunds({ bookingId, milestoneId: part.milestoneId, amount: part.release, initiatedBy: actor.id, note }));
+    } catch (err) {
+      releaseError = err.message;
+      logger.warn("Cancellation compensation not released; left in escrow", { bookingId, milestoneId: part.milestoneId, error: err.message });
+    }
+  }
+
+  // Refund syncs may have cancelled the booking already (full refund)
+  const settled = await Booking.findById(bookingId);
+  settled.cancellation.status = "settled";
+  settled.cancellation.settledAt = new Date();
+  settled.cancellation.error = releaseError;
+  settled.cancellation.refundReferences = refunds.map((r) => r.reference);
+  settled.cancellation.releaseReferences = releases.map((r) => r.reference).filter(Boolean);
+  applyTransition(settled, "cancelled", { actor, reason: reason || note, meta: { cancellation: quote } });
+  await settled.save();
+
+  if (actor.role === "pro") {
+    await calculateTrustScore(settled.proId).catch((err) =>
+      logger.warn("Trust score update after pro cancellation failed", { bookingId, error: err.message })
+    );
+  }
+
+  logger.info("Booking cancelled", { bookingId, by: actor.role, refund: quote.refund, proAmount: quote.proCompensation.gross, currency: quote.currency });
+  return { booking: settled, quote, refunds, releases };
+}
+
+export default { quoteCancellation, cancelBooking };
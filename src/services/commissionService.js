@@ -0,0 +1,268 @@
+// src/services/commissionService.js
+/**
+ * Platform commission
+ * - Resolves the CommissionRule for a pro (tier, organization plan, verified / boosted)
+ * - Works out the fee on each release; escrowService.releaseFunds records it as a "fee" Transaction
+ *   in the same DB transaction as the payout
+ * - Gross / fee / net breakdown per booking and a fee ledger for finance exports
+ * - Amounts are in the booking's currency and worked out in its minor units; a rule's flat fee is in
+ *   the rule's currency, so rules with a flat fee only match bookings in that currency
+ *
+ * ENV:
+ *   PLATFORM_COMMISSION_PERCENT   default percent when no rule matches (default 10)
+ *   PLATFORM_COMMISSION_FLAT_FEE  default flat fee when no rule matches (default 0, in PLATFORM_CURRENCY)
+ */
+import Booking from "../models/Booking.js";
+import Escrow from "../models/Escrow.js";
+import Transaction from "../models/Transaction.js";
+import User from "../models/User.js";
+import Organization from "../models/Organization.js";
+import CommissionRule from "../models/CommissionRule.js";
+import logger from "../utils/logger.js";
+import fxService from "./fxService.js";
+import { PLATFORM_CURRENCY, toMinor, fromMinor } from "../utils/money.js";
+
+const DEFAULT_RULE = {
+  _id: null,
+  name: "default",
+  percent: Number(process.env.PLATFORM_COMMISSION_PERCENT ?? 10),
+  flatFee: Number(process.env.PLATFORM_COMMISSION_FLAT_FEE ?? 0),
+  currency: PLATFORM_CURRENCY,
+};
+
+// A pro in several organizations gets the best plan
+const PLAN_RANK = { none: 0, free: 1, pro: 2, enterprise: 3 };
+
+// Exact sums / differences in a currency (via minor units)
+const sum = (list, pick, currency) => fromMinor(list.reduce((total, item) => total + toMinor(pick(item), currency), 0), currency);
+const minus = (a, b, currency) => fromMinor(toMinor(a, currency) - toMinor(b, currency), currency);
+
+const ruleSnapshot = (rule) => ({
+  ruleId: rule._id || null,
+  name: rule.name,
+  percent: rule.percent,
+  flatFee: rule.flatFee || 0,
+  currency: rule.currency || PLATFORM_CURRENCY,
+});
+
+/* ---------- Rule resolution ---------- */
+
+/** Attributes commission rules match on */
+export async function getProContext(proId, { session = null } = {}) {
+  const pro = await User.findById(proId).select("tier isVerified isBoosted boostExpiry").session(session);
+  const orgs = await Organization.find({ "users.userId": proId }).select("subscriptionPlan").session(session);
+
+  const subscriptionPlan = orgs.reduce(
+    (best, org) => (PLAN_RANK[org.subscriptionPlan] > PLAN_RANK[best] ? org.subscriptionPlan : best),
+    "none"
+  );
+  const boosted = !!pro?.isBoosted && (!pro.boostExpiry || pro.boostExpiry > new Date());
+
+  return { tier: pro?.tier || "Bronze", subscriptionPlan, verified: !!pro?.isVerified, boosted };
+}
+
+/** Highest-priority active rule matching the context, else the env default */
+export async function resolveRule(context, { session = null } = {}) {
+  const rules = await CommissionRule.find({ active: true }).sort({ priority: -1, createdAt: 1 }).session(session);
+  return rules.find((rule) => rule.matches(context)) || DEFAULT_RULE;
+}
+
+/**
+ * Fee on a gross amount in `currency`: percent + flat fee, never more than the gross itself.
+ * The flat fee only applies when the rule is in the same currency.
+ */
+export function feeFor(gross, rule, currency = PLATFORM_CURRENCY) {
+  const value = toMinor(gross, currency);
+  if (!(value > 0)) return 0;
+  const flat = (rule.currency || PLATFORM_CURRENCY) === currency ? toMinor(rule.flatFee, currency) : 0;
+  return fromMinor(Math.min(value, Math.round((value * rule.percent) / 100) + flat), currency);
+}
+
+/* ---------- Settlement ---------- */
+
+/**
+ * Commission due on the next release of `amount` (gross) for a booking.
+ * Worked out cumulatively over all of the booking's escrows so partial releases, milestones and
+ * retried transfers never charge the flat fee twice:
+ *   fee = feeFor(grossPaidSoFar + amount) - commissionTakenSoFar
+ */
+export async function commissionForRelease({ booking, amount, session = null }) {
+  const currency = booking.currency || PLATFORM_CURRENCY;
+  const escrows = await Escrow.find({ bookingId: booking._id }).session(session);
+  const taken = sum(escrows, (e) => e.commissionTaken(), currency);
+  const grossSoFar = sum([...escrows.map((e) => e.amountReleased), taken], (n) => n, currency);
+
+  const context = { ...(await getProContext(booking.proId, { session })), currency };
+  const rule = await resolveRule(context, { session });
+
+  const gross = fromMinor(toMinor(amount, currency), currency);
+  const due = minus(feeFor(sum([grossSoFar, gross], (n) => n, currency), rule, currency), taken, currency);
+  const fee = Math.min(gross, Math.max(0, due));
+  return { gross, fee, net: minus(gross, fee, currency), currency, rule: ruleSnapshot(rule), context };
+}
+
+/** What a pro would receive for a gross amount in `currency` (no history) */
+export async function quoteCommission({ proId, amount, currency = PLATFORM_CURRENCY }) {
+  const context = { ...(await getProContext(proId)), currency };
+  const rule = await resolveRule(context);
+  const gross = fromMinor(toMinor(amount, currency), currency);
+  const fee = feeFor(gross, rule, currency);
+  return { gross, fee, net: minus(gross, fee, currency), currency, rule: ruleSnapshot(rule), context };
+}
+
+/**
+ * Gross / fee / net for a booking, from its escrow balances, in the booking's currency.
+ * "projected" is the commission still to come on whatever is held; "reporting" converts the totals
+ * with the exchange rate snapshotted when the booking was made.
+ */
+export async function getBookingBreakdown(bookingId) {
+  const booking = await Booking.findById(bookingId).select("customerId proId totalAmountMinor currency fx paymentStatus");
+  if (!booking) throw new Error("Booking not found");
+  const currency = booking.currency || PLATFORM_CURRENCY;
+
+  const escrows = await Escrow.find({ bookingId });
+  const funded = escrows.filter((e) => !["pending", "cancelled"].includes(e.state));
+
+  const commission = sum(funded, (e) => e.commissionTaken(), currency);
+  const totalFees = sum(funded, (e) => e.amountFee, currency);
+  const pendingTransfers = sum(
+    funded.flatMap((e) => e.movements.filter((m) => m.type === "release" && m.status === "pending")),
+    (m) => m.amount,
+    currency
+  );
+  const held = sum(funded, (e) => e.amountHeld, currency);
+  const gross = sum(funded, (e) => e.amount, currency);
+
+  const projected = held > 0 ? await commissionForRelease({ booking, amount: held }) : null;
+  const feeTransactions = await Transaction.find({ bookingId, type: "fee" }).sort({ createdAt: 1 });
+
+  return {
+    bookingId: booking._id,
+    proId: booking.proId,
+    customerId: booking.customerId,
+    totalAmount: booking.totalAmount,
+    currency,
+    paymentStatus: booking.paymentStatus,
+    gross,
+    fee: { commission, other: minus(totalFees, commission, currency), total: totalFees },
+    net: {
+      releasedToPro: minus(sum(funded, (e) => e.amountReleased, currency), pendingTransfers, currency),
+      pendingTransfers,
+    },
+    refunded: sum(funded, (e) => e.amountRefunded, currency),
+    held,
+    projected: projected && { gross: projected.gross, fee: projected.fee, net: projected.net, rule: projected.rule },
+    reporting: {
+      currency: booking.fx?.reportingCurrency || PLATFORM_CURRENCY,
+      rate: currency === (booking.fx?.reportingCurrency || PLATFORM_CURRENCY) ? 1 : booking.fx?.rate ?? null,
+      gross: fxService.toReporting(gross, currency, booking.fx),
+      fee: fxService.toReporting(totalFees, currency, booking.fx),
+    },
+    feeTransactions,
+  };
+}
+
+/**
+ * Fee ledger (Transaction type "fee") for finance, newest first.
+ * Totals are per currency; reportingTotal converts each fee with its booking's exchange-rate
+ * snapshot (fees whose booking has no snapshot are counted in `unconverted`).
+ */
+export async function listFeeLedger({ from, to, page = 1, limit = 50 } = {}) {
+  const query = { type: "fee", status: "success" };
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  const skip = (Math.max(1, page) - 1) * limit;
+  const [items, total, totals] = await Promise.all([
+    Transaction.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+    Transaction.countDocuments(query),
+    Transaction.aggregate([
+      { $match: query },
+      { $lookup: { from: Booking.collection.name, localField: "bookingId", foreignField: "_id", as: "booking" } },
+      {
+        $project: {
+          amountMinor: 1,
+          currency: { $ifNull: ["$currency", PLATFORM_CURRENCY] },
+          rate: { $arrayElemAt: ["$booking.fx.rate", 0] },
+        },
+      },
+      {
+        // Still scaled by the fee currency's minor unit; brought to major units per currency below
+        $project: {
+          amountMinor: 1,
+          currency: 1,
+          reporting: { $cond: [{ $eq: ["$currency", PLATFORM_CURRENCY] }, "$amountMinor", { $multiply: ["$amountMinor", "$rate"] }] },
+        },
+      },
+      {
+        $group: {
+          _id: "$currency",
+          amount: { $sum: "$amountMinor" },
+          reporting: { $sum: "$reporting" },
+          unconverted: { $sum: { $cond: [{ $eq: [{ $ifNull: ["$reporting", null] }, null] }, 1, 0] } },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]),
+  ]);
+
+  const totalFees = totals.map((t) => ({ currency: t._id, amount: fromMinor(t.amount, t._id) }));
+  const reportingTotal = {
+    currency: PLATFORM_CURRENCY,
+    amount: fromMinor(totals.reduce((s, t) => s + toMinor(fromMinor(t.reporting, t._id), PLATFORM_CURRENCY), 0), PLATFORM_CURRENCY),
+    unconverted: totals.reduce((s, t) => s + t.unconverted, 0),
+  };
+  return { items, total, page, limit, totalFees, reportingTotal };
+}
+
+/* ---------- Rule admin ---------- */
+
+export async function listRules({ active } = {}) {
+  const query = active === undefined ? {} : { active };
+  return CommissionRule.find(query).sort({ priority: -1, createdAt: 1 });
+}
+
+export async function createRule(data, createdBy = null) {
+  const rule = await CommissionRule.create({ ...data, createdBy });
+  logger.info("💼 Commission rule created", { ruleId: rule._id, name: rule.name });
+  return rule;
+}
+
+export async function updateRule(ruleId, data) {
+  const rule = await CommissionRule.findById(ruleId);
+  if (!rule) throw new Error("Commission rule not found");
+
+  const { name, description, percent, flatFee, currency, match, priority, active } = data;
+  Object.entries({ name, description, percent, flatFee, currency, match, priority, active }).forEach(([key, value]) => {
+    if (value !== undefined) rule[key] = value;
+  });
+  await rule.save();
+  logger.info("💼 Commission rule updated", { ruleId: rule._id });
+  return rule;
+}
+
+/** Rules are deactivated rather than deleted so fee transactions keep a valid ruleId */
+export async function deactivateRule(ruleId) {
+  const rule = await CommissionRule.findByIdAndUpdate(ruleId, { active: false }, { new: true });
+  if (!rule) throw new Error("Commission rule not found");
+  logger.info("💼 Commission rule deactivated", { ruleId });
+  return rule;
+}
+
+export default {
+  DEFAULT_RULE,
+  getProContext,
+  resolveRule,
+  feeFor,
+  commissionForRelease,
+  quoteCommission,
+  getBookingBreakdown,
+  listFeeLedger,
+  listRules,
+  createRule,
+  updateRule,
+  deactivateRule,
+};
@@ -0,0 +1,227 @@
+// src/services/contactRevealService.js
+/**
+ * Contact reveal on paid bookings (ContactReveal)
+ * - Once a booking's payment is held in escrow, its customer and pro may each share a phone and/or
+ *   WhatsApp number with the other; sharing again replaces the numbers
+ * - A reveal is scoped to the booking: only the other party of that booking sees it, and only the
+ *   booking's conversation has its contact screening relaxed (phone numbers and wa.me links pass;
+ *   other links, handles, bank details, emails and payment bypass are still screened — moderationService)
+ * - Reveals end when the sharer withdraws them, the booking is cancelled or refunded, or
+ *   CONTACT_REVEAL_GRACE_HOURS after the event (the sweep job); every share and end is written to AuditLog
+ *
+ * ENV:
+ *   CONTACT_REVEAL_GRACE_HOURS   how long after the event ends a reveal stays up (default 24)
+ */
+import mongoose from "mongoose";
+import ContactReveal from "../models/ContactReveal.js";
+import Booking from "../models/Booking.js";
+import AuditLog from "../models/AuditLog.js";
+import { openConversation, emitTo } from "./messageService.js";
+import notificationService from "./notificationService.js";
+import domainEvents from "./domainEvents.js";
+import logger from "../utils/logger.js";
+
+const GRACE_HOURS = Number(process.env.CONTACT_REVEAL_GRACE_HOURS || 24);
+const HOUR = 60 * 60 * 1000;
+// Payment held for the booking: sharing is open
+const HELD_PAYMENT = ["escrowed", "partially_settled"];
+// Payment given back (fully or by a dispute split): live reveals are withdrawn
+const RETURNED_PAYMENT = ["refunded", "split", "failed"];
+// contactBlocker match types a live reveal lets through in the booking's conversation, plus wa.me links
+export const REVEALED_TYPES = ["phone", "intl_phone"];
+const WHATSAPP_LINK = /^wa\.me\/\+?\d{7,15}\/?(?:\?[^\s]*)?$/;
+
+function revealError(message, status = 400, code = "CONTACT_REVEAL_INVALID") {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+const sameId = (a, b) => String(a) === String(b);
+
+/** Does a live reveal let this contactBlocker match through? (numbers and wa.me/<number> links only) */
+export const isRevealedMatch = (match) =>
+  REVEALED_TYPES.includes(match.type) || (match.type === "contact_link" && WHATSAPP_LINK.test(match.value));
+const idOf = (user) => String(user?.id || user?._id || user);
+
+async function findBooking(bookingId, userId) {
+  if (!mongoose.isValidObjectId(bookingId)) throw revealError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  const booking = await Booking.findById(bookingId).select("customerId proId status paymentStatus eventDate endDate");
+  if (!booking) throw revealError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  if (!sameId(booking.customerId, userId) && !sameId(booking.proId, userId)) {
+    throw revealError("Not a party to this booking", 403, "CONTACT_REVEAL_FORBIDDEN");
+  }
+  return booking;
+}
+
+const expiryFor = (booking) => new Date(new Date(booking.endDate || booking.eventDate).getTime() + GRACE_HOURS * HOUR);
+
+/** Why the booking no longer allows reveals (also the endReason), null while it does */
+function closedReason(booking) {
+  if (booking.status === "cancelled") return "booking_cancelled";
+  if (RETURNED_PAYMENT.includes(booking.paymentStatus)) return "payment_refunded";
+  return null;
+}
+
+/** "+234 803-123 4567" -> "+2348031234567"; null when not given, 400 when not a phone number */
+function normalizeNumber(value, field) {
+  if (value === undefined || value === null || value === "") return null;
+  const number = String(value).replace(/[\s\-().]/g, "");
+  if (!/^\+?\d{7,15}$/.test(number)) throw revealError(`${field} must be a phone number`);
+  return number;
+}
+
+const present = (reveal) =>
+  reveal && {
+    _id: reveal._id,
+    bookingId: reveal.bookingId,
+    userId: reveal.userId,
+    phone: reveal.phone,
+    whatsapp: reveal.whatsapp,
+    sharedAt: reveal.updatedAt,
+    expiresAt: reveal.expiresAt,
+  };
+
+function audit(action, actor, reveal, meta = {}) {
+  return AuditLog.create({
+    actor,
+    action,
+    meta: { bookingId: reveal.bookingId, revealId: reveal._id, userId: reveal.userId, recipientId: reveal.recipientId, ...meta },
+  }).catch((err) => logger.warn("Contact reveal audit failed", { revealId: reveal._id, error: err.message }));
+}
+
+/* ---------- Sharing ---------- */
+
+/**
+ * Share the user's phone / WhatsApp with the other party of a booking whose payment is in escrow.
+ * `whatsapp: true` means the same number as `phone`. 409 CONTACT_REVEAL_UNAVAILABLE before payment,
+ * 409 CONTACT_REVEAL_CLOSED once the booking is cancelled, refunded or over.
+ */
+export async function shareContact(bookingId, user, { phone = null, whatsapp = null } = {}) {
+  const userId = idOf(user);
+  const booking = await findBooking(bookingId, userId);
+  if (closedReason(booking)) throw revealError("This booking is no longer active", 409, "CONTACT_REVEAL_CLOSED");
+  if (!HELD_PAYMENT.includes(booking.paymentStatus)) {
+    throw revealError("Contact details can be shared once the booking is paid into escrow", 409, "CONTACT_REVEAL_UNAVAILABLE");
+  }
+  const expiresAt = expiryFor(booking);
+  if (expiresAt <= new Date()) throw revealError("The event is over", 409, "CONTACT_REVEAL_CLOSED");
+
+  const numbers = { phone: normalizeNumber(phone, "phone") };
+  numbers.whatsapp = whatsapp === true ? numbers.phone : normalizeNumber(whatsapp, "whatsapp");
+  if (!numbers.phone && !numbers.whatsapp) throw revealError("Give a phone or WhatsApp number to share");
+
+  const recipientId = sameId(booking.customerId, userId) ? booking.proId : booking.customerId;
+  const conversation = await openConversation(user, { bookingId: booking._id });
+  const filter = { bookingId: booking._id, userId, status: "active" };
+  const update = { $set: { ...numbers, expiresAt, conversationId: conversation._id, recipientId } };
+  let reveal;
+  try {
+    reveal = await ContactReveal.findOneAndUpdate(filter, update, { upsert: true, new: true, setDefaultsOnInsert: true });
+  } catch (err) {
+    // Shared twice at the same moment: the other request created it
+    if (err.code !== 11000) throw err;
+    reveal = await ContactReveal.findOneAndUpdate(filter, update, { new: true });
+  }
+
+  await audit("contact_reveal.shared", userId, reveal, { fields: Object.keys(numbers).filter((k) => numbers[k]) });
+  logger.info("📇 Contact shared", { bookingId: booking._id, userId, revealId: reveal._id });
+  notificationService
+    .sendNotification({
+      userId: recipientId,
+      type: "contact_reveal",
+      title: "Contact details shared",
+      message: `${user?.name || "The other party"} shared their contact details for your booking`,
+      meta: { bookingId: booking._id, conversationId: conversation._id },
+    })
+    .catch((err) => logger.warn("Contact reveal notification failed", { recipientId, error: err.message }));
+  emitTo([recipientId, userId], "contact:revealed", { bookingId: booking._id, conversationId: conversation._id, userId });
+  return present(reveal);
+}
+
+/**
+ * End live reveals matching `filter`; `status` is withdrawn or expired. Each is logged and the
+ * parties are told ("contact:withdrawn"). Returns how many ended.
+ */
+async function endReveals(filter, status, reason, actor = null) {
+  const live = await ContactReveal.find({ ...filter, status: "active" }).select("_id");
+  let ended = 0;
+  for (const { _id } of live) {
+    const reveal = await ContactReveal.findOneAndUpdate(
+      { _id, status: "active" },
+      { $set: { status, endReason: reason, endedAt: new Date() } },
+      { new: true }
+    );
+    if (!reveal) continue; // ended meanwhile
+    ended += 1;
+    await audit(`contact_reveal.${status}`, actor, reveal, { reason });
+    emitTo([reveal.userId, reveal.recipientId], "contact:withdrawn", { bookingId: reveal.bookingId, conversationId: reveal.conversationId, userId: reveal.userId, reason });
+  }
+  return ended;
+}
+
+/** Take back the user's reveal on a booking (404 CONTACT_REVEAL_NOT_FOUND when nothing is shared) */
+export async function withdrawContact(bookingId, user) {
+  const userId = idOf(user);
+  const booking = await findBooking(bookingId, userId);
+  const ended = await endReveals({ bookingId: booking._id, userId }, "withdrawn", "withdrawn", userId);
+  if (!ended) throw revealError("You haven't shared contact details on this booking", 404, "CONTACT_REVEAL_NOT_FOUND");
+  logger.info("📇 Contact withdrawn", { bookingId: booking._id, userId });
+  return { bookingId: booking._id, withdrawn: true };
+}
+
+/**
+ * The booking's contact details as the user sees them: whether they can share, what they shared
+ * and what the other party shared (null when nothing is live).
+ */
+export async function getContacts(bookingId, user) {
+  const userId = idOf(user);
+  const booking = await findBooking(bookingId, userId);
+  const expiresAt = expiryFor(booking);
+  const reveals = await ContactReveal.find({ bookingId: booking._id, status: "active", expiresAt: { $gt: new Date() } });
+  return {
+    bookingId: booking._id,
+    canShare: !closedReason(booking) && HELD_PAYMENT.includes(booking.paymentStatus) && expiresAt > new Date(),
+    expiresAt,
+    shared: present(reveals.find((r) => sameId(r.userId, userId))) || null,
+    received: present(reveals.find((r) => !sameId(r.userId, userId))) || null,
+  };
+}
+
+/** Is a reveal live in this conversation? (screening is relaxed there) */
+export async function hasActiveReveal(conversationId) {
+  if (!conversationId) return false;
+  return Boolean(await ContactReveal.exists({ conversationId, status: "active", expiresAt: { $gt: new Date() } }));
+}
+
+/* ---------- Sweep ---------- */
+
+/**
+ * Expire reveals past their time and withdraw those whose booking was cancelled or refunded.
+ * Returns { expired, withdrawn }.
+ */
+export async function expireReveals(now = new Date()) {
+  const expired = await endReveals({ expiresAt: { $lte: now } }, "expired", "event_over");
+
+  let withdrawn = 0;
+  const bookingIds = await ContactReveal.distinct("bookingId", { status: "active" });
+  const bookings = await Booking.find({ _id: { $in: bookingIds } }).select("status paymentStatus");
+  for (const booking of bookings) {
+    const reason = closedReason(booking);
+    if (reason) withdrawn += await endReveals({ bookingId: booking._id }, "withdrawn", reason);
+  }
+  return { expired, withdrawn };
+}
+
+domainEvents.on("booking.cancelled", ({ bookingId }) => endReveals({ bookingId }, "withdrawn", "booking_cancelled"));
+
+export default {
+  REVEALED_TYPES,
+  isRevealedMatch,
+  shareContact,
+  withdrawContact,
+  getContacts,
+  hasActiveReveal,
+  expireReveals,
+};
@@ -0,0 +1,376 @@
+// src/services/contractService.js
+/**
+ * Booking contracts and e-signatures (Contract)
+ * - When a booking is confirmed its contract is generated: agreed price (and milestones), date and
+ *   time, venue, deliverables (the accepted quote's lines, or the booking's own), cancellation terms
+ *   and both parties' details, frozen as `terms` and rendered to PDF (utils/pdf)
+ * - The unsigned PDF is stored through uploadService and linked as Booking.contractURL
+ * - Customer and pro sign in-app: typed name, plus an optional drawn signature; the time, IP and user
+ *   agent are recorded. Once both have signed the signed PDF (signatures and audit trail) replaces
+ *   the unsigned one on the booking
+ * - If the booking's terms change before both have signed (date moved, price changed) the contract
+ *   is superseded by a new version and signing starts over
+ * - Disputes get the contract attached as evidence (disputeService -> contractEvidence)
+ *
+ * ENV:
+ *   CONTRACT_TIMEZONE   timezone dates are printed in when the pro has none (default DEFAULT_TIMEZONE or Africa/Lagos)
+ */
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Contract from "../models/Contract.js";
+import Booking from "../models/Booking.js";
+import User from "../models/User.js";
+import Quote from "../models/Quote.js";
+import Availability from "../models/Availability.js";
+import uploadService from "./uploadService.js";
+import { resolvePolicy } from "./cancellationPolicyService.js";
+import domainEvents from "./domainEvents.js";
+import notificationService from "./notificationService.js";
+import { createDocument } from "../utils/pdf.js";
+import { localDate, localTime, isValidTimeZone } from "../utils/timezone.js";
+import { CURRENCIES, PLATFORM_CURRENCY } from "../utils/money.js";
+import logger from "../utils/logger.js";
+
+const DEFAULT_TIMEZONE = process.env.CONTRACT_TIMEZONE || process.env.DEFAULT_TIMEZONE || "Africa/Lagos";
+// Bookings whose contract can still be signed
+const SIGNABLE = ["confirmed", "in_progress"];
+const MAX_STROKES = 100;
+const MAX_POINTS = 5000;
+
+function contractError(message, status, code) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+const sameId = (a, b) => String(a) === String(b);
+
+function notify(userId, title, message, meta) {
+  return notificationService.sendNotification({ userId, type: "contract", title, message, meta });
+}
+
+/** "customer" | "pro" | "admin" for a user on a booking; anyone else 403 */
+function roleOn(booking, user) {
+  const id = String(user?.id || user?._id);
+  if (sameId(booking.customerId, id)) return "customer";
+  if (sameId(booking.proId, id)) return "pro";
+  if (user?.role === "admin") return "admin";
+  throw contractError("Not a party to this booking", 403, "CONTRACT_FORBIDDEN");
+}
+
+async function findBooking(bookingId) {
+  if (!mongoose.isValidObjectId(bookingId)) throw contractError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  const booking = await Booking.findById(bookingId);
+  if (!booking) throw contractError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  return booking;
+}
+
+const formatMoney = (amount, currency) => {
+  const digits = CURRENCIES[currency]?.exponent ?? 2;
+  return `${currency} ${Number(amount || 0).toLocaleString("en-US", { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+};
+
+const hashTerms = (terms) => crypto.createHash("sha256").update(JSON.stringify(terms)).digest("hex");
+
+/** What the pro delivers: the accepted quote's lines, else what the booking says */
+async function deliverablesFor(booking) {
+  if (booking.quoteId) {
+    const quote = await Quote.findById(booking.quoteId).select("revisions currency").lean();
+    const accepted = quote?.revisions?.[quote.revisions.length - 1];
+    const lines = (accepted?.items || []).filter((item) => item.kind !== "adjustment");
+    if (lines.length) {
+      const items = lines.map((item) => (item.quantity && item.quantity !== 1 ? `${item.label} x ${item.quantity}` : item.label));
+      return accepted.terms ? [...items, `Quote terms: ${accepted.terms}`] : items;
+    }
+  }
+  const listed = booking.metadata?.deliverables;
+  if (Array.isArray(listed) && listed.length) return listed.map(String);
+  if (typeof listed === "string" && listed.trim()) return [listed.trim()];
+  const service = booking.metadata?.category || booking.metadata?.title || "the booked service";
+  return [`${service} for the duration of the event`];
+}
+
+/** Cancellation terms as plain sentences, from the booking's policy snapshot */
+function cancellationTerms(booking) {
+  const policy = resolvePolicy(booking.cancellationPolicy);
+  const tiers = policy.tiers.map((t) => {
+    const when = t.minHoursBefore === 0 ? "any time before the event" : t.minHoursBefore % 24 === 0 ? `at least ${t.minHoursBefore / 24} day(s) before the event` : `at least ${t.minHoursBefore} hour(s) before the event`;
+    return `Cancelled by the customer ${when}: ${t.refundPercent}% refund of the amount held`;
+  });
+  const last = policy.tiers[policy.tiers.length - 1];
+  if (!last || last.minHoursBefore > 0) tiers.push("Cancelled by the customer later than that: no refund; the amount held goes to the pro");
+  tiers.push("Cancelled by the pro or by GetVybz: full refund to the customer");
+  return { policy: policy.name, lines: tiers };
+}
+
+function party(user) {
+  return { id: String(user._id), name: user.name || "", email: user.email || "" };
+}
+
+/** The booking's current terms, in a fixed shape (the hash depends on key order) */
+async function termsFor(booking) {
+  const [customer, pro, availability] = await Promise.all([
+    User.findById(booking.customerId).select("name email").lean(),
+    User.findById(booking.proId).select("name email").lean(),
+    Availability.findOne({ proId: booking.proId }).select("timezone").lean(),
+  ]);
+  if (!customer || !pro) throw contractError("Booking parties not found", 409, "CONTRACT_PARTIES_MISSING");
+
+  const timezone = isValidTimeZone(availability?.timezone) ? availability.timezone : DEFAULT_TIMEZONE;
+  const currency = booking.currency || PLATFORM_CURRENCY;
+  const start = booking.eventDate;
+  const end = booking.endDate || null;
+  return {
+    bookingId: String(booking._id),
+    title: booking.metadata?.title || "Booking",
+    event: {
+      start: start.toISOString(),
+      end: end ? end.toISOString() : null,
+      timezone,
+      date: localDate(start, timezone),
+      time: end ? `${localTime(start, timezone)} - ${localTime(end, timezone)}` : localTime(start, timezone),
+      location: booking.metadata?.location || "",
+    },
+    price: { amount: booking.totalAmount, currency, formatted: formatMoney(booking.totalAmount, currency) },
+    milestones: (booking.milestones || []).map((m) => ({ title: m.title, amount: formatMoney(m.amount, currency), due: localDate(m.dueDate, timezone) })),
+    deliverables: await deliverablesFor(booking),
+    cancellation: cancellationTerms(booking),
+    customer: party(customer),
+    pro: party(pro),
+  };
+}
+
+/** Render the contract; signed contracts get the signatures and the audit trail */
+export function renderContract(contract) {
+  const { terms } = contract;
+  const doc = createDocument({ title: `Contract ${contract.number}`, author: "GetVybz", subject: terms.title, createdAt: contract.generatedAt });
+
+  doc.heading("Services Agreement", { size: 18 });
+  doc.paragraph(`Contract ${contract.number} (version ${contract.version}) for "${terms.title}"`, { size: 9 });
+  doc.rule();
+
+  doc.heading("Parties");
+  doc.row("Customer", `${terms.customer.name} <${terms.customer.email}>`);
+  doc.row("Pro", `${terms.pro.name} <${terms.pro.email}>`);
+
+  doc.heading("Event");
+  doc.row("Date", terms.event.date);
+  doc.row("Time", `${terms.event.time} (${terms.event.timezone})`);
+  if (terms.event.location) doc.row("Location", terms.event.location);
+
+  doc.heading("Deliverables");
+  doc.list(terms.deliverables);
+
+  doc.heading("Price and payment");
+  doc.row("Agreed price", terms.price.formatted);
+  if (terms.milestones.length) doc.list(terms.milestones.map((m) => `${m.title}: ${m.amount}, due ${m.due}`));
+  doc.paragraph(
+    "The customer pays through GetVybz. Payments are held in escrow and released to the pro once the service is delivered " +
+      "(or a milestone's release conditions are met), less the platform commission."
+  );
+
+  doc.heading("Cancellation");
+  doc.list(terms.cancellation.lines);
+
+  doc.heading("Disputes");
+  doc.paragraph(
+    "Either party can raise a dispute on GetVybz about the delivery of the service. Money held in escrow stays held until the " +
+      "dispute is resolved; this contract is part of the evidence considered."
+  );
+
+  doc.heading("Signatures");
+  for (const role of ["customer", "pro"]) {
+    const signature = contract.signatureOf ? contract.signatureOf(role) : contract.signatures.find((s) => s.role === role);
+    const caption = signature
+      ? [`Signed by ${signature.name} on ${new Date(signature.signedAt).toISOString()}`, `IP ${signature.ip || "unknown"}, ${signature.method} signature`]
+      : ["Not signed yet"];
+    const mark = signature && (signature.method === "drawn" ? { drawing: signature.drawing } : { typedName: signature.name });
+    doc.signature(role === "customer" ? `Customer: ${terms.customer.name}` : `Pro: ${terms.pro.name}`, mark, caption);
+  }
+
+  doc.rule();
+  doc.paragraph(`Document fingerprint (SHA-256 of the terms): ${contract.termsHash}`, { size: 8, after: 2 });
+  doc.paragraph(`Generated ${new Date(contract.generatedAt).toISOString()}${contract.signedAt ? `, fully signed ${new Date(contract.signedAt).toISOString()}` : ""}`, { size: 8 });
+  return doc.toBuffer();
+}
+
+/** Store a rendered contract; returns the upload result, or null when storage failed (logged) */
+async function storePdf(contract, buffer, label) {
+  try {
+    const uploaded = await uploadService.uploadBase64(`data:application/pdf;base64,${buffer.toString("base64")}`, {
+      folder: uploadService.getDefaultFolder("contract"),
+      public_id: `${contract.number}-${label}`,
+      resource_type: "raw",
+    });
+    if (uploaded?.public_id) contract.storageIds.push(uploaded.public_id);
+    return uploaded;
+  } catch (err) {
+    logger.warn("Contract PDF upload failed", { contractId: contract._id, label, error: err.message });
+    return null;
+  }
+}
+
+/** The booking's live contract (latest version not superseded), or null */
+function currentContract(bookingId) {
+  return Contract.findOne({ bookingId, status: { $ne: "superseded" } }).sort({ version: -1 });
+}
+
+/**
+ * Generate (or refresh) a booking's contract. Safe to call repeatedly:
+ * - same terms as the live contract: returned as is
+ * - changed terms and not fully signed: the live contract is superseded by a new version
+ * - fully signed contracts are never replaced
+ * Returns the live contract.
+ */
+export async function generateContract(bookingId) {
+  const booking = await findBooking(bookingId);
+  const terms = await termsFor(booking);
+  const termsHash = hashTerms(terms);
+
+  const existing = await currentContract(booking._id);
+  if (existing && (existing.termsHash === termsHash || existing.status === "signed")) return existing;
+
+  const latest = await Contract.findOne({ bookingId: booking._id }).sort({ version: -1 }).select("version").lean();
+  const version = (latest?.version || 0) + 1;
+  if (existing) {
+    existing.status = "superseded";
+    existing.supersededAt = new Date();
+    await existing.save();
+  }
+
+  const contract = new Contract({
+    bookingId: booking._id,
+    version,
+    number: `GVZ-C-${String(booking._id).slice(-8).toUpperCase()}-${version}`,
+    terms,
+    termsHash,
+  });
+  const uploaded = await storePdf(contract, renderContract(contract), "unsigned");
+  contract.unsignedUrl = uploaded?.secure_url || null;
+  try {
+    await contract.save();
+  } catch (err) {
+    // Generated concurrently (booking.confirmed and a signing request): use the one that won
+    if (err.code === 11000) return currentContract(booking._id);
+    throw err;
+  }
+
+  if (contract.unsignedUrl) await Booking.updateOne({ _id: booking._id }, { $set: { contractURL: contract.unsignedUrl } });
+  for (const userId of [booking.customerId, booking.proId]) {
+    await notify(userId, "Contract ready to sign", `Review and sign the contract for "${terms.title}"`, { bookingId: booking._id, contractId: contract._id });
+  }
+  logger.info("Booking contract generated", { bookingId: String(booking._id), contractId: contract._id, version });
+  return contract;
+}
+
+/** The live contract for a party (generated on demand for confirmed bookings that predate contracts) */
+export async function getContract(bookingId, user) {
+  const booking = await findBooking(bookingId);
+  roleOn(booking, user);
+  const contract = (await currentContract(booking._id)) || (SIGNABLE.includes(booking.status) ? await generateContract(booking._id) : null);
+  if (!contract) throw contractError("This booking has no contract yet", 404, "CONTRACT_NOT_FOUND");
+  return contract;
+}
+
+/** The contract PDF as it stands (with any signatures so far) */
+export async function contractPdf(bookingId, user) {
+  const contract = await getContract(bookingId, user);
+  return { contract, buffer: renderContract(contract) };
+}
+
+/** Validate a drawn signature: { width, height, strokes: [[[x, y], ...], ...] } inside the canvas */
+function readDrawing(signature) {
+  const { width, height, strokes } = signature || {};
+  if (!(Number(width) > 0 && Number(height) > 0) || !Array.isArray(strokes) || !strokes.length) {
+    throw contractError("A drawn signature needs width, height and strokes", 400, "SIGNATURE_INVALID");
+  }
+  const points = strokes.reduce((n, s) => n + (Array.isArray(s) ? s.length : 0), 0);
+  if (strokes.length > MAX_STROKES || points > MAX_POINTS) throw contractError("The drawn signature is too detailed", 400, "SIGNATURE_INVALID");
+  const inside = (p) => Array.isArray(p) && p.length === 2 && p[0] >= 0 && p[0] <= width && p[1] >= 0 && p[1] <= height;
+  if (!strokes.every((s) => Array.isArray(s) && s.length && s.every(inside))) {
+    throw contractError("Signature strokes must be [x, y] points inside the canvas", 400, "SIGNATURE_INVALID");
+  }
+  return { width: Number(width), height: Number(height), strokes: strokes.map((s) => s.map(([x, y]) => [Number(x), Number(y)])) };
+}
+
+/**
+ * Sign the booking's contract as its customer or pro.
+ * Body: { name, signature: { type: "typed" } | { type: "drawn", width, height, strokes }, termsHash }
+ * - termsHash: the fingerprint of the contract the user reviewed; a mismatch (terms changed since) is 409
+ *   CONTRACT_CHANGED with the new contract (err.contract)
+ * - context: { ip, userAgent } of the request
+ * Returns the contract; once both have signed, the signed PDF is stored and linked from the booking.
+ */
+export async function signContract(bookingId, user, { name, signature = { type: "typed" }, termsHash } = {}, { ip = "", userAgent = "" } = {}) {
+  const booking = await findBooking(bookingId);
+  const role = roleOn(booking, user);
+  if (role === "admin") throw contractError("Only the customer and the pro sign", 403, "CONTRACT_FORBIDDEN");
+  if (!SIGNABLE.includes(booking.status)) throw contractError(`A ${booking.status} booking's contract can't be signed`, 409, "CONTRACT_NOT_SIGNABLE");
+
+  const legalName = String(name || "").trim();
+  if (legalName.length < 2) throw contractError("Type your full name to sign", 400, "SIGNATURE_INVALID");
+  const method = signature?.type === "drawn" ? "drawn" : "typed";
+  const drawing = method === "drawn" ? readDrawing(signature) : undefined;
+
+  // Refreshes the contract if the booking changed since it was generated
+  const contract = await generateContract(booking._id);
+  if (termsHash && termsHash !== contract.termsHash) {
+    const err = contractError("The contract has changed; review the new version before signing", 409, "CONTRACT_CHANGED");
+    err.contract = contract;
+    throw err;
+  }
+  if (contract.signatureOf(role)) throw contractError("You have already signed this contract", 409, "CONTRACT_ALREADY_SIGNED");
+
+  const entry = { role, userId: user.id || user._id, name: legalName, method, drawing, termsHash: contract.termsHash, signedAt: new Date(), ip, userAgent };
+  // Atomic per role, so a double submit can't sign twice
+  const signed = await Contract.findOneAndUpdate(
+    { _id: contract._id, status: { $in: ["awaiting_signatures", "partially_signed"] }, "signatures.role": { $ne: role } },
+    { $push: { signatures: entry }, $set: { status: "partially_signed" } },
+    { new: true }
+  );
+  if (!signed) throw contractError("This contract can no longer be signed", 409, "CONTRACT_NOT_SIGNABLE");
+
+  const other = role === "customer" ? booking.proId : booking.customerId;
+  if (signed.signatures.length < 2) {
+    await notify(other, "Contract signed", `The contract for "${signed.terms.title}" was signed by the ${role}; it's your turn`, { bookingId: booking._id, contractId: signed._id });
+    return signed;
+  }
+
+  signed.status = "signed";
+  signed.signedAt = new Date();
+  const uploaded = await storePdf(signed, renderContract(signed), "signed");
+  signed.signedUrl = uploaded?.secure_url || null;
+  await signed.save();
+  if (signed.signedUrl) await Booking.updateOne({ _id: booking._id }, { $set: { contractURL: signed.signedUrl } });
+
+  for (const userId of [booking.customerId, booking.proId]) {
+    await notify(userId, "Contract signed", `Both parties signed the contract for "${signed.terms.title}"`, { bookingId: booking._id, contractId: signed._id });
+  }
+  logger.info("Booking contract signed", { bookingId: String(booking._id), contractId: signed._id });
+  return signed;
+}
+
+/**
+ * Dispute evidence entry for a booking's contract ({ type, url, note }), or null when it has none.
+ * The signed PDF is preferred; an unsigned one is marked as such.
+ */
+export async function contractEvidence(bookingId) {
+  const contract = await Contract.findOne({ bookingId, status: { $ne: "superseded" } }).sort({ version: -1 }).lean();
+  const url = contract?.signedUrl || contract?.unsignedUrl;
+  if (!url) return null;
+  const state = contract.status === "signed" ? "signed by both parties" : contract.signatures.length ? "signed by one party" : "unsigned";
+  return { type: "file", url, note: `Booking contract ${contract.number} (${state}, fingerprint ${contract.termsHash.slice(0, 12)})` };
+}
+
+// Contracts are drawn up when the booking is confirmed (payment escrowed or the pro accepting)
+domainEvents.on("booking.confirmed", ({ bookingId }) => generateContract(bookingId));
+
+export default {
+  generateContract,
+  getContract,
+  contractPdf,
+  signContract,
+  renderContract,
+  contractEvidence,
+};
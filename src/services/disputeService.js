@@ -1,25 +1,55 @@
 // src/services/disputeService.js
+import mongoose from "mongoose";
 import Booking from "../models/Booking.js";
+import User from "../models/User.js";
 import Dispute from "../models/Dispute.js";
+import Escrow from "../models/Escrow.js";
 import Transaction from "../models/Transaction.js";
 import { notifyAdmin } from "./adminNotificationService.js";
 import { calculateTrustScore } from "./trustScoreService.js";
+import escrowService from "./escrowService.js";
+import { actorFor, applyTransition } from "./bookingLifecycleService.js";
+import { contractEvidence } from "./contractService.js";
+import { attendanceEvidence } from "./attendanceService.js";
 import logger from "../utils/logger.js";
 
 /**
  * 🧾 Create a new dispute
+ * - initiator must be the booking's customer or pro (or an admin); the other party is the respondent
+ * - the booking moves to "disputed" through the lifecycle service
+ * - the booking's contract (signed if available) and attendance record (check-in / check-out,
+ *   proof photos) are attached to the evidence
  */
-export async function createDispute({ bookingId, raisedBy, reason, description }) {
+export async function createDispute({ bookingId, initiatorId, reason, description, evidence = [], meta = {} }) {
   const booking = await Booking.findById(bookingId);
   if (!booking) throw new Error("Booking not found");
 
+  const initiator = await User.findById(initiatorId).select("role");
+  const actor = actorFor(booking, { id: initiatorId, role: initiator?.role });
+  const disputeId = new mongoose.Types.ObjectId();
+  applyTransition(booking, "disputed", { actor, reason: `dispute ${disputeId}: ${reason}`, meta: { disputeId } });
+
+  const respondentId = actor.role === "pro" ? booking.customerId : booking.proId;
+  const contract = await contractEvidence(booking._id).catch((err) => {
+    logger.warn("Contract not attached to the dispute", { bookingId, error: err.message });
+    return null;
+  });
   const dispute = await Dispute.create({
+    _id: disputeId,
     bookingId,
-    raisedBy,
+    initiatorId,
+    respondentId,
     reason,
     description,
+    evidence: [
+      ...(evidence || []).map((e) => ({ ...e, uploadedBy: initiatorId })),
+      ...(contract ? [contract] : []),
+      ...attendanceEvidence(booking),
+    ],
     status: "open",
+    meta,
   });
+  await booking.save();
 
   await notifyAdmin(
     "New Dispute Raised",
@@ -33,23 +63,65 @@ export async function createDispute({ bookingId, raisedBy, reason, description }
 
 /**
  * ✅ Resolve a dispute
+ * - refund_customer -> escrowService.refundFunds, release_pro -> escrowService.releaseFunds,
+ *   split -> escrowService.settleSplit (split: { proPercent } or { releaseAmount, refundAmount, feeAmount })
+ * - Milestone bookings: the decision is applied to every milestone escrow still holding money
+ *   (a split must then be given as { proPercent })
+ * - Pass performEscrowAction: false to record the decision without moving money
  */
-export async function resolveDispute({ disputeId, resolvedBy, resolution, winnerId }) {
+export async function resolveDispute(disputeId, { resolvedBy, resolution, resolutionNote = "", split = null, performEscrowAction = true }) {
   const dispute = await Dispute.findById(disputeId);
   if (!dispute) throw new Error("Dispute not found");
+  if (dispute.status === "resolved") throw new Error("Dispute already resolved");
+
+  const booking = await Booking.findById(dispute.bookingId);
+  if (!booking) throw new Error("Booking not found for dispute");
+
+  if (resolution === "split" && !split) throw new Error("split details are required for a split resolution");
+
+  const hasMilestones = booking.milestones?.length > 0;
+  if (resolution === "split" && hasMilestones && split.proPercent == null) {
+    throw new Error("Split resolutions on milestone bookings must use proPercent");
+  }
+
+  let escrowResult = null;
+  if (performEscrowAction && ["refund_customer", "release_pro", "split"].includes(resolution)) {
+    const note = resolutionNote || `dispute ${disputeId}: ${resolution}`;
+    const applyTo = async (milestoneId) => {
+      const target = { bookingId: booking._id, milestoneId, initiatedBy: resolvedBy };
+      if (resolution === "refund_customer") return escrowService.refundFunds({ ...target, reason: note });
+      if (resolution === "release_pro") return escrowService.releaseFunds({ ...target, note });
+      return escrowService.settleSplit({ ...target, ...split, note });
+    };
+
+    if (hasMilestones) {
+      const open = await Escrow.find({ bookingId: booking._id, state: { $in: ["held", "disputed"] } });
+      escrowResult = [];
+      for (const e of open) {
+        escrowResult.push({ milestoneId: e.milestoneId, result: await applyTo(e.milestoneId) });
+      }
+    } else {
+      escrowResult = await applyTo(null);
+    }
+  }
 
   dispute.status = "resolved";
   dispute.resolution = resolution;
-  dispute.winnerId = winnerId;
+  dispute.resolutionNote = resolutionNote;
   dispute.resolvedBy = resolvedBy;
   dispute.resolvedAt = new Date();
+  dispute.meta = { ...(dispute.meta || {}), split, escrowResult };
   await dispute.save();
 
-  // Update booking status if needed
-  const booking = await Booking.findById(dispute.bookingId);
-  if (booking) {
-    booking.status = "dispute_resolved";
-    await booking.save();
+  // Escrow syncs usually settle the status already (release → completed, refund → cancelled);
+  // otherwise the resolution decides: refund → cancelled, release / split → completed, anything
+  // else puts the booking back where it was before the dispute
+  const settled = await Booking.findById(booking._id);
+  if (settled.status === "disputed") {
+    const before = [...settled.statusHistory].reverse().find((h) => h.to === "disputed")?.from || "confirmed";
+    const to = { refund_customer: "cancelled", release_pro: "completed", split: "completed" }[resolution] || before;
+    applyTransition(settled, to, { actor: { id: resolvedBy, role: "admin" }, reason: `dispute ${disputeId} resolved: ${resolution}` });
+    await settled.save();
   }
 
   // Recalculate trust scores for both parties
@@ -58,11 +130,11 @@ export async function resolveDispute({ disputeId, resolvedBy, resolution, winner
 
   await notifyAdmin(
     "Dispute Resolved",
-    `Dispute ${disputeId} has been resolved by admin ${resolvedBy}`,
+    `Dispute ${disputeId} has been resolved by admin ${resolvedBy} (${resolution})`,
     { type: "DISPUTE_RESOLVED", severity: "medium", relatedIds: { disputeId, bookingId: booking._id } }
   );
 
-  logger.info("✅ Dispute resolved", { disputeId });
+  logger.info("✅ Dispute resolved", { disputeId, resolution });
   return dispute;
 }
 
@@ -80,8 +152,9 @@ export async function getDisputes({ userId, role }) {
 export async function getDisputeById(disputeId) {
   const dispute = await Dispute.findById(disputeId)
     .populate("bookingId")
-    .populate("raisedBy", "name email")
-    .populate("winnerId", "name email");
+    .populate("initiatorId", "name email")
+    .populate("respondentId", "name email")
+    .populate("resolvedBy", "name email");
 
   if (!dispute) throw new Error("Dispute not found");
   return dispute;
@@ -0,0 +1,32 @@
+// src/services/domainEvents.js
+/**
+ * In-process domain event bus.
+ * Services emit facts after they are saved ("booking.confirmed", ...); notifications, sockets and
+ * jobs subscribe here instead of being called directly. A failing listener is logged and never
+ * breaks the emitter or the other listeners.
+ */
+import { EventEmitter } from "events";
+import logger from "../utils/logger.js";
+
+const bus = new EventEmitter();
+bus.setMaxListeners(50);
+
+/** Subscribe; listeners may be async. Returns an unsubscribe function. */
+export function on(event, listener) {
+  const wrapped = async (payload) => {
+    try {
+      await listener(payload);
+    } catch (err) {
+      logger.error(`Domain event listener for ${event} failed`, { error: err.message });
+    }
+  };
+  bus.on(event, wrapped);
+  return () => bus.off(event, wrapped);
+}
+
+export function emit(event, payload) {
+  logger.info(`📣 ${event}`, { bookingId: payload?.bookingId });
+  bus.emit(event, payload);
+}
+
+export default { on, emit };
@@ -5,10 +5,20 @@
  * Full, production-ready escrow service that:
  * - Uses Escrow, Transaction, and Booking models (authoritative state in Escrow)
  * - Initializes escrow payments (Paystack / Flutterwave adapters)
- * - Verifies webhook payloads and processes events idempotently
- * - Releases and refunds funds (adapter pattern — swap in real payout calls)
- * - Records append-only Transaction ledger and keeps Booking in sync
+ * - Verifies webhook signatures and processes inbox events idempotently (see webhookInboxService)
+ * - Releases funds as real gateway transfers to the pro's verified PayoutRecipient (see payoutService)
+ * - Refunds funds (adapter pattern — swap in real refund calls)
+ * - Every money record goes through ledgerService.post (Transaction row + balanced journal entry)
+ * - Supports partial releases/refunds, retained platform fees and split settlements against the
+ *   escrow's running balances (amountHeld / amountReleased / amountRefunded / amountFee)
+ * - Milestone bookings (deposit + balance, multi-day events) get one Escrow per Booking.milestones[] entry,
+ *   each funded and released on its own (pass milestoneId)
+ * - Group charges (event packages): one payment funds one Escrow per booking, all sharing the charge
+ *   reference (initializeGroupEscrow); each is then released / refunded on its own
+ * - Records append-only Transaction ledger and keeps Booking in sync (status moves via bookingLifecycleService)
  * - Uses mongoose transactions (sessions) to keep DB consistent
+ * - Multi-currency: an escrow is charged, held and paid out in its booking's currency (Booking.currency);
+ *   gateway amounts are converted to / from minor units with utils/money.js, never `* 100`
  *
  * Drop into src/services/escrowService.js — ready to use with models you already added.
  *
@@ -17,7 +27,8 @@
  * - It deliberately uses adapter functions (paystackAdapter, flutterwaveAdapter) that can be replaced
  *   with SDK calls if/when you install official SDKs.
  * - Ensure these env vars are set:
- *   PAYSTACK_SECRET_KEY, FLW_SECRET_KEY, FRONTEND_URL, PLATFORM_PAYOUT_ACCOUNT (optional)
+ *   PAYSTACK_SECRET_KEY, FLW_SECRET_KEY, FLW_SECRET_HASH (verif-hash; defaults to FLW_SECRET_KEY), FRONTEND_URL
+ *   PAYSTACK_BASE_URL / FLW_BASE_URL (optional) point the adapters at another host, e.g. test/fakeGateway.js
  *
  * - This file exports both named and default export:
  *   export { escrowService }; export default escrowService;
@@ -27,10 +38,16 @@ import axios from "axios";
 import crypto from "crypto";
 import mongoose from "mongoose";
 import logger from "../utils/logger.js";
+import { PLATFORM_CURRENCY, gatewaySupportsCurrency, toMinor, fromMinor, roundMoney } from "../utils/money.js";
 
 import Booking from "../models/Booking.js";
 import Transaction from "../models/Transaction.js";
 import Escrow from "../models/Escrow.js";
+import payoutService from "./payoutService.js";
+import commissionService from "./commissionService.js";
+import ledgerService from "./ledgerService.js";
+import { applyTransition } from "./bookingLifecycleService.js";
+import { createNotification } from "./adminNotificationService.js";
 
 /* ---------- Config ---------- */
 const GATEWAYS = {
@@ -40,11 +57,14 @@ const GATEWAYS = {
 
 const PAYSTACK_SECRET = process.env.PAYSTACK_SECRET_KEY || process.env.PAYSTACK_SECRET || "";
 const FLW_SECRET = process.env.FLW_SECRET_KEY || process.env.FLW_SECRET || "";
-const PAYSTACK_BASE = "https://api.paystack.co";
-const FLW_BASE = "https://api.flutterwave.com/v3";
+const FLW_SECRET_HASH = process.env.FLW_SECRET_HASH || FLW_SECRET;
+const PAYSTACK_BASE = process.env.PAYSTACK_BASE_URL || "https://api.paystack.co";
+const FLW_BASE = process.env.FLW_BASE_URL || "https://api.flutterwave.com/v3";
 
 const FRONTEND_URL = process.env.FRONTEND_URL || process.env.APP_URL || "";
-const PLATFORM_PAYOUT_ACCOUNT = process.env.PLATFORM_PAYOUT_ACCOUNT || null; // optional
+
+// Escrow states money can still move out of
+const MOVABLE_STATES = ["held", "disputed"];
 
 /* ---------- Helpers ---------- */
 
@@ -53,6 +73,23 @@ function makeIdempotencyKey(prefix, bookingId, reference = "") {
   return crypto.createHash("sha256").update(`${prefix}:${String(bookingId)}:${reference}`).digest("hex");
 }
 
+/** Constant-time string comparison for signatures */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Did the gateway refuse the request outright (a 4xx answer)? A timeout, network error or 5xx is not a refusal:
+ * the gateway may have acted on it. A duplicate-reference refusal means an earlier attempt got through.
+ */
+function gatewayRejected(err) {
+  const status = err?.response?.status;
+  const message = String(err?.response?.data?.message || "");
+  return status >= 400 && status < 500 && !/duplicate|already exist/i.test(message);
+}
+
 /** Log and throw helper */
 function _error(msg, err) {
   logger.error(msg, err);
@@ -66,11 +103,12 @@ function _error(msg, err) {
 const paystackAdapter = {
   /**
    * Initialize transaction (returns authorization_url, reference)
-   * amount should be in Naira (float/number). Paystack expects kobo.
+   * amount is in major units of `currency`; Paystack expects the currency's minor unit (kobo, pesewas, cents).
    */
-  async initialize({ amount, email, bookingId, metadata = {} }) {
+  async initialize({ amount, currency = PLATFORM_CURRENCY, email, bookingId, metadata = {} }) {
     const payload = {
-      amount: Math.round(amount * 100), // kobo
+      amount: toMinor(amount, currency),
+      currency,
       email,
       metadata: { ...metadata, bookingId },
       callback_url: `${FRONTEND_URL}/payment/verify`,
@@ -86,28 +124,33 @@ const paystackAdapter = {
     };
   },
 
-  /** Verify transaction by reference (returns object with status and amount in Naira) */
+  /** Verify transaction by reference (returns object with status, and amount in major units of currency) */
   async verify(reference) {
     const res = await axios.get(`${PAYSTACK_BASE}/transaction/verify/${reference}`, {
       headers: { Authorization: `Bearer ${PAYSTACK_SECRET}` },
     });
     const data = res.data?.data || {};
+    const currency = data.currency || PLATFORM_CURRENCY;
     return {
       status: data.status, // 'success' | 'failed' etc.
-      amount: (data.amount || 0) / 100,
+      amount: fromMinor(data.amount, currency),
+      currency,
       reference: data.reference,
       metadata: data.metadata,
       raw: data,
     };
   },
 
-  /** Verify webhook signature (Paystack signs body with X-Paystack-Signature using secret) */
-  verifyWebhook(headers, body) {
+  /**
+   * Verify webhook signature: X-Paystack-Signature is an HMAC-SHA512 of the raw request body.
+   * Must be the exact bytes received — re-serialising parsed JSON can change them.
+   */
+  verifyWebhook(headers, rawBody) {
     try {
       const signature = headers["x-paystack-signature"] || headers["X-Paystack-Signature"];
-      if (!signature) return false;
-      const hash = crypto.createHmac("sha512", PAYSTACK_SECRET).update(JSON.stringify(body)).digest("hex");
-      return hash === signature;
+      if (!signature || !PAYSTACK_SECRET) return false;
+      const hash = crypto.createHmac("sha512", PAYSTACK_SECRET).update(rawBody).digest("hex");
+      return safeEqual(hash, signature);
     } catch (err) {
       logger.warn("paystackAdapter.verifyWebhook error", err);
       return false;
@@ -115,13 +158,62 @@ const paystackAdapter = {
   },
 
   /**
-   * Payout (empty placeholder): integrate Paystack transfer to recipient bank/wallet if needed
-   * Return { success, data } shape.
+   * Payout: Paystack Transfer from the platform balance to a PayoutRecipient (recipient_code).
+   * Returns { success, status, data: { reference, transferCode } } where status is
+   * 'pending' | 'success' | 'failed' | 'unknown' — final state normally arrives via transfer.* webhook.
+   * 'failed' only when the gateway refused the transfer; 'unknown' when it never answered (it may have gone out).
    */
-  async payout({ account, amount, reason, reference }) {
-    // Placeholder — implement using Paystack Transfers if you hold recipient recipient details.
-    logger.info("paystackAdapter.payout called (placeholder)", { account, amount, reference });
-    return { success: true, data: { reference: `REL-PS-${Date.now()}` } };
+  async payout({ recipient, amount, reason, reference }) {
+    try {
+      const res = await axios.post(
+        `${PAYSTACK_BASE}/transfer`,
+        {
+          source: "balance",
+          amount: toMinor(amount, recipient.currency || PLATFORM_CURRENCY),
+          currency: recipient.currency || PLATFORM_CURRENCY,
+          recipient: recipient.recipientCode,
+          reason,
+          reference,
+        },
+        { headers: { Authorization: `Bearer ${PAYSTACK_SECRET}` } }
+      );
+      const data = res.data?.data || {};
+      const status = data.status === "success" ? "success" : data.status === "failed" ? "failed" : "pending";
+      return {
+        success: status !== "failed",
+        status,
+        data: { reference: data.reference || reference, transferCode: data.transfer_code || null },
+        raw: data,
+      };
+    } catch (err) {
+      const status = gatewayRejected(err) ? "failed" : "unknown";
+      logger.error(`paystackAdapter.payout ${status}`, err?.response?.data || err.message);
+      return {
+        success: false,
+        status,
+        error: err?.response?.data?.message || err.message,
+        data: { reference },
+      };
+    }
+  },
+
+  /** Transfer by our reference: { status: 'success' | 'failed' | 'reversed' | 'pending' | 'not_found', transferCode } */
+  async verifyTransfer({ reference }) {
+    try {
+      const res = await axios.get(`${PAYSTACK_BASE}/transfer/verify/${encodeURIComponent(reference)}`, {
+        headers: { Authorization: `Bearer ${PAYSTACK_SECRET}` },
+      });
+      const data = res.data?.data || {};
+      return {
+        status: ["success", "failed", "reversed"].includes(data.status) ? data.status : "pending",
+        transferCode: data.transfer_code || null,
+        reason: data.reason || null,
+        raw: data,
+      };
+    } catch (err) {
+      if (err?.response?.status === 404) return { status: "not_found" };
+      throw err;
+    }
   },
 
   /** Refund (placeholder) */
@@ -133,11 +225,12 @@ const paystackAdapter = {
 };
 
 const flutterwaveAdapter = {
-  async initialize({ amount, email, bookingId, metadata = {} }) {
+  /** Flutterwave takes major units, rounded to the currency's minor unit */
+  async initialize({ amount, currency = PLATFORM_CURRENCY, email, bookingId, metadata = {} }) {
     const payload = {
       tx_ref: `GVZ-${bookingId}-${Date.now()}`,
-      amount: String(amount),
-      currency: "NGN",
+      amount: String(roundMoney(amount, currency)),
+      currency,
       redirect_url: `${FRONTEND_URL}/payment/verify`,
       customer: { email },
       meta: { bookingId, ...metadata },
@@ -164,6 +257,7 @@ const flutterwaveAdapter = {
       return {
         status: data.status,
         amount: Number(data.amount || 0),
+        currency: data.currency || PLATFORM_CURRENCY,
         reference: data.tx_ref || reference,
         metadata: data.meta,
         raw: data,
@@ -175,16 +269,70 @@ const flutterwaveAdapter = {
     }
   },
 
-  verifyWebhook(headers, body) {
-    // Flutterwave may use "verif-hash" header, which equals FLW_SECRET; other flows exist.
+  /** Flutterwave sends the dashboard "secret hash" back in the verif-hash header (no body signature) */
+  verifyWebhook(headers) {
     const signature = headers["verif-hash"] || headers["Verif-Hash"];
-    return signature && signature === FLW_SECRET;
+    return Boolean(signature && FLW_SECRET_HASH && safeEqual(signature, FLW_SECRET_HASH));
   },
 
-  async payout({ account, amount, reason, reference }) {
-    // Placeholder for Flutterwave transfer or disbursement
-    logger.info("flutterwaveAdapter.payout called (placeholder)", { account, amount, reference });
-    return { success: true, data: { reference: `REL-FLW-${Date.now()}` } };
+  /** Payout: Flutterwave Transfer to the recipient's bank account (same return shape and statuses as Paystack) */
+  async payout({ recipient, amount, reason, reference }) {
+    try {
+      const res = await axios.post(
+        `${FLW_BASE}/transfers`,
+        {
+          account_bank: recipient.bankCode,
+          account_number: recipient.accountNumber,
+          amount: roundMoney(amount, recipient.currency || PLATFORM_CURRENCY),
+          currency: recipient.currency || PLATFORM_CURRENCY,
+          narration: reason,
+          reference,
+        },
+        { headers: { Authorization: `Bearer ${FLW_SECRET}` } }
+      );
+      const data = res.data?.data || {};
+      const s = String(data.status || "").toUpperCase();
+      const status = s === "SUCCESSFUL" ? "success" : s === "FAILED" ? "failed" : "pending";
+      return {
+        success: status !== "failed",
+        status,
+        data: { reference: data.reference || reference, transferCode: data.id ? String(data.id) : null },
+        raw: data,
+      };
+    } catch (err) {
+      const status = gatewayRejected(err) ? "failed" : "unknown";
+      logger.error(`flutterwaveAdapter.payout ${status}`, err?.response?.data || err.message);
+      return {
+        success: false,
+        status,
+        error: err?.response?.data?.message || err.message,
+        data: { reference },
+      };
+    }
+  },
+
+  /**
+   * Transfer by its Flutterwave id (same shape as Paystack). Flutterwave can't look a transfer up by our
+   * reference, so without the id the status is 'unknown' — resubmitting under the same reference is safe.
+   */
+  async verifyTransfer({ transferCode }) {
+    if (!transferCode) return { status: "unknown" };
+    try {
+      const res = await axios.get(`${FLW_BASE}/transfers/${encodeURIComponent(transferCode)}`, {
+        headers: { Authorization: `Bearer ${FLW_SECRET}` },
+      });
+      const data = res.data?.data || {};
+      const s = String(data.status || "").toUpperCase();
+      return {
+        status: s === "SUCCESSFUL" ? "success" : s === "FAILED" ? "failed" : "pending",
+        transferCode,
+        reason: data.complete_message || null,
+        raw: data,
+      };
+    } catch (err) {
+      if (err?.response?.status === 404) return { status: "not_found" };
+      throw err;
+    }
   },
 
   async refund({ reference, amount }) {
@@ -193,33 +341,380 @@ const flutterwaveAdapter = {
   },
 };
 
-/* ---------- DB helper: recordTransaction (idempotent by reference) ---------- */
-async function recordTransaction({ session = null, bookingId, customerId, creativeId, amount, type, status, paymentGateway, reference, gatewayResponse = null, idempotencyKey = null, note = "" }) {
-  // if reference exists, return that record (idempotent)
-  if (reference) {
-    const existing = await Transaction.findOne({ reference }).session(session);
-    if (existing) {
-      logger.info("recordTransaction: existing transaction found", { reference });
-      return existing;
+/** Amount of a webhook charge in major units (Paystack sends minor units, Flutterwave major) */
+function chargeAmount(gateway, data) {
+  if (!data?.amount) return null;
+  const currency = data.currency || PLATFORM_CURRENCY;
+  return gateway === GATEWAYS.PAYSTACK ? fromMinor(data.amount, currency) : roundMoney(data.amount, currency);
+}
+
+/**
+ * A charge that doesn't pay exactly what its escrow expects (to the minor unit) never funds it: the escrow stays
+ * pending with the mismatch in its metadata and admins are notified to refund or top up. Retrying wouldn't
+ * change the amount, so the webhook is answered as handled; reconciliation keeps reporting the charge.
+ */
+async function flagChargeMismatch({ escrow, reference, paidMinor, currency }) {
+  const expectedMinor = escrow.amountMinor;
+  escrow.gatewayReference = reference;
+  escrow.metadata = { ...(escrow.metadata || {}), amountMismatch: { reference, expectedMinor, paidMinor, currency, at: new Date() } };
+  await escrow.save();
+
+  const message = `Charge ${reference} for booking ${escrow.bookingId} paid ${fromMinor(paidMinor, currency)} ${currency} but the escrow expects ${fromMinor(expectedMinor, currency)}; not funded`;
+  logger.error("Webhook charge amount mismatch", { reference, bookingId: escrow.bookingId, expectedMinor, paidMinor, currency });
+  try {
+    await createNotification({
+      type: "PAYMENT_ERROR",
+      title: "Charge amount mismatch",
+      message,
+      severity: "high",
+      relatedIds: { bookingId: escrow.bookingId, escrowId: escrow._id, reference },
+    });
+  } catch (err) {
+    logger.warn("Could not notify admins about a charge amount mismatch", err);
+  }
+  return { success: true, handled: "flagged", reason: "amount_mismatch" };
+}
+
+/* ---------- DB helper: findBookingEscrow ---------- */
+/** Escrow for a booking, or for one of its milestones (milestone bookings must name the milestone) */
+async function findBookingEscrow({ booking, milestoneId = null, session = null }) {
+  if (booking.milestones?.length && !milestoneId) {
+    throw new Error("milestoneId is required for milestone bookings");
+  }
+  if (milestoneId && !booking.milestones?.id(milestoneId)) {
+    throw new Error("Milestone not found on booking");
+  }
+  return Escrow.findOne({ bookingId: booking._id, milestoneId: milestoneId || null }).session(session);
+}
+
+/* ---------- Money movements ---------- */
+// Each records one movement on a loaded escrow inside the caller's transaction (the escrow is saved, the
+// booking is left to the caller): releaseFunds, refundFunds and retainFee run one, settleSplit all three.
+// Refunds and releases are recorded pending; the gateway is only called after commit (submitRefund / submitRelease).
+
+/** Keep part of the held balance as platform fee: fee movement + fee Transaction / fee_retained journal */
+async function recordFee({ session, booking, escrow, amount, initiatedBy = null, note = "" }) {
+  const reference = `FEE-${Date.now()}-${Math.round(Math.random() * 10000)}`;
+  amount = roundMoney(amount, escrow.currency);
+  escrow.applyMovement({ type: "fee", amount, reference, note, initiatedBy });
+  await escrow.save({ session });
+
+  await ledgerService.post({
+    session,
+    kind: "fee_retained",
+    amount,
+    reference,
+    bookingId: booking._id,
+    escrowId: escrow._id,
+    gateway: escrow.paymentGateway || GATEWAYS.PAYSTACK,
+    currency: escrow.currency,
+    postedBy: initiatedBy,
+    transaction: {
+      bookingId: booking._id,
+      customerId: booking.customerId,
+      creativeId: booking.proId,
+      amount,
+      type: "fee",
+      status: "success",
+      paymentGateway: escrow.paymentGateway || "manual",
+      reference,
+      idempotencyKey: makeIdempotencyKey("tx:fee", booking._id, reference),
+      note: note || "platform fee",
+    },
+  });
+  return { success: true, amount, currency: escrow.currency, reference };
+}
+
+/**
+ * Record a refund of `amount` to the customer: pending refund movement, pending refund Transaction and
+ * refund_approved journal. The gateway is asked after commit (submitRefund). Returns { reference, amount }.
+ */
+async function recordRefund({ session, booking, escrow, gateway, amount, initiatedBy = null, reason = "" }) {
+  const reference = `REF-${Date.now()}-${Math.round(Math.random() * 10000)}`;
+  amount = roundMoney(amount, escrow.currency);
+  escrow.applyMovement({ type: "refund", amount, status: "pending", reference, note: reason, initiatedBy });
+  escrow.metadata = { ...(escrow.metadata || {}), refundReason: reason };
+  escrow.initiatedBy = initiatedBy;
+  await escrow.save({ session });
+
+  // escrow -> customer now; customer -> back out through the gateway once it accepts (applyRefundOutcome)
+  await ledgerService.post({
+    session,
+    kind: "refund_approved",
+    amount,
+    reference,
+    bookingId: booking._id,
+    escrowId: escrow._id,
+    customerId: booking.customerId,
+    gateway,
+    currency: escrow.currency,
+    postedBy: initiatedBy,
+    transaction: {
+      bookingId: booking._id,
+      customerId: booking.customerId,
+      creativeId: booking.proId,
+      amount,
+      type: "refund",
+      status: "pending",
+      paymentGateway: gateway,
+      reference,
+      idempotencyKey: makeIdempotencyKey("tx:refund", booking._id, reference),
+      note: reason || "refund",
+    },
+  });
+  return { reference, amount };
+}
+
+/**
+ * Settle a pending refund with the gateway's answer, in its own transaction: success pays the customer out
+ * (refund_paid); failed puts the amount back into the held balance (refund_failed) and alerts the admins.
+ * A refund that is no longer pending is left alone.
+ */
+async function applyRefundOutcome({ reference, status, gatewayResponse = null }) {
+  if (!["success", "failed"].includes(status)) throw new Error(`Unknown refund outcome: ${status}`);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let escrow;
+  try {
+    escrow = await Escrow.findOne({ "movements.reference": reference }).session(session);
+    const movement = escrow?.movements.find((m) => m.type === "refund" && m.reference === reference);
+    if (movement?.status !== "pending") {
+      await session.commitTransaction();
+      session.endSession();
+      logger.info("Refund outcome already applied - idempotent exit", { reference, status: movement?.status });
+      return { success: !!movement, reason: movement ? "already_processed" : "unknown_refund" };
     }
+
+    escrow.completeMovement(reference, status);
+    escrow.metadata = { ...(escrow.metadata || {}), lastRefund: { reference, status, at: new Date() } };
+    await escrow.save({ session });
+
+    const tx = await Transaction.findOneAndUpdate({ reference }, { $set: { status, gatewayResponse } }, { session, new: true });
+    const booking = await Booking.findById(escrow.bookingId).session(session);
+    await ledgerService.post({
+      session,
+      kind: status === "success" ? "refund_paid" : "refund_failed",
+      amount: movement.amount,
+      reference,
+      bookingId: escrow.bookingId,
+      escrowId: escrow._id,
+      customerId: tx?.customerId || booking?.customerId,
+      gateway: tx?.paymentGateway || escrow.paymentGateway || GATEWAYS.PAYSTACK,
+      currency: escrow.currency,
+    });
+
+    if (booking) {
+      booking.syncPaymentFromEscrow(escrow);
+      await booking.save({ session });
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    _error("applyRefundOutcome failed", err);
   }
 
-  const tx = new Transaction({
-    bookingId,
-    customerId,
-    creativeId,
+  if (status === "failed") {
+    await createNotification({
+      type: "PAYMENT_ERROR",
+      title: "Refund failed",
+      message: `Refund ${reference} for booking ${escrow.bookingId} was refused by the gateway; the amount is back in escrow`,
+      severity: "high",
+      relatedIds: { bookingId: escrow.bookingId, escrowId: escrow._id, reference },
+    });
+  }
+  logger.info("Refund outcome applied", { reference, status });
+  return { success: true, status };
+}
+
+/**
+ * Send a recorded refund (recordRefund) to the gateway and apply its answer. Called once the recording
+ * transaction has committed; a refund the gateway never answered for stays pending (applyRefundOutcome).
+ */
+async function submitRefund({ bookingId, escrow, gateway, recorded }) {
+  const { reference, amount } = recorded;
+  const adapter = gateway === GATEWAYS.PAYSTACK ? paystackAdapter : flutterwaveAdapter;
+
+  let refundResult;
+  let status;
+  try {
+    refundResult = await adapter.refund({ reference: escrow.gatewayReference || reference, amount });
+    status = refundResult?.success ? "success" : "failed";
+  } catch (err) {
+    status = gatewayRejected(err) ? "failed" : "unknown";
+    refundResult = { success: false, error: err?.response?.data?.message || err.message };
+    logger.error(`refund ${status}`, { bookingId, reference, error: err?.response?.data || err.message });
+  }
+
+  if (status !== "unknown") await applyRefundOutcome({ reference, status, gatewayResponse: refundResult });
+
+  const unanswered = status === "unknown";
+  logger.info("refund submitted", { bookingId, amount, reference, status });
+  return {
+    success: unanswered || status === "success",
+    status: unanswered ? "pending" : status,
     amount,
-    type,
-    status,
-    paymentGateway,
+    currency: escrow.currency,
+    reference,
+    raw: refundResult,
+  };
+}
+
+/**
+ * Record a release of `amount` (gross) to the pro's recipient: commission fee (unless applyCommission is
+ * false), pending release movement, pending Payout and release_submitted journal. The transfer goes out
+ * after commit (submitRelease). Returns { reference, payoutAmount, commission }.
+ */
+async function recordRelease({ session, booking, escrow, amount, recipient, gateway, initiatedBy = null, note = "", applyCommission = true }) {
+  const { currency } = escrow;
+  const reference = `REL-${Date.now()}-${Math.round(Math.random() * 10000)}`;
+
+  // Commission comes off the gross before the transfer; recorded atomically with the payout
+  let commission = null;
+  let payoutAmount = roundMoney(amount, currency);
+  if (applyCommission) {
+    commission = await commissionService.commissionForRelease({ booking, amount, session });
+    payoutAmount = commission.net;
+
+    if (commission.fee > 0) {
+      const feeReference = `FEE-${reference}`;
+      escrow.applyMovement({
+        type: "fee",
+        source: "commission",
+        amount: commission.fee,
+        reference: feeReference,
+        note: `commission (${commission.rule.name})`,
+        initiatedBy,
+      });
+      const commissionMeta = { gross: commission.gross, fee: commission.fee, net: commission.net, rule: commission.rule, releaseReference: reference };
+      await ledgerService.post({
+        session,
+        kind: "commission",
+        amount: commission.fee,
+        reference: feeReference,
+        bookingId: booking._id,
+        escrowId: escrow._id,
+        gateway,
+        currency,
+        postedBy: initiatedBy,
+        metadata: commissionMeta,
+        transaction: {
+          bookingId: booking._id,
+          customerId: booking.customerId,
+          creativeId: booking.proId,
+          amount: commission.fee,
+          type: "fee",
+          status: "success",
+          paymentGateway: gateway,
+          reference: feeReference,
+          idempotencyKey: makeIdempotencyKey("tx:fee", booking._id, feeReference),
+          note: "commission",
+          metadata: commissionMeta,
+        },
+      });
+    }
+  }
+
+  if (payoutAmount > 0) {
+    escrow.applyMovement({ type: "release", amount: payoutAmount, status: "pending", reference, note, initiatedBy });
+  }
+  escrow.initiatedBy = initiatedBy;
+  await escrow.save({ session });
+
+  if (payoutAmount > 0) {
+    await payoutService.createPayout({ session, booking, escrow, recipient, amount: payoutAmount, gateway, reference, initiatedBy });
+
+    await ledgerService.post({
+      session,
+      kind: "release_submitted",
+      amount: payoutAmount,
+      reference,
+      bookingId: booking._id,
+      escrowId: escrow._id,
+      proId: booking.proId,
+      gateway,
+      currency,
+      postedBy: initiatedBy,
+      transaction: {
+        bookingId: booking._id,
+        customerId: booking.customerId,
+        creativeId: booking.proId,
+        amount: payoutAmount,
+        type: "release",
+        status: "pending",
+        paymentGateway: gateway,
+        reference,
+        idempotencyKey: makeIdempotencyKey("tx:release", booking._id, reference),
+        note: note || "release",
+      },
+    });
+  }
+  return { reference, payoutAmount, commission };
+}
+
+/**
+ * Apply the gateway's answer to a transfer request: a final outcome settles the Payout (payoutService.
+ * applyTransferOutcome); pending or no answer at all leaves it pending for the transfer webhook or checkPayout.
+ */
+async function recordTransferAnswer(reference, payoutResult) {
+  if (payoutResult.status === "success" || payoutResult.status === "failed") {
+    return payoutService.applyTransferOutcome({
+      reference,
+      status: payoutResult.status,
+      reason: payoutResult.error || null,
+      gatewayResponse: payoutResult.raw || payoutResult,
+    });
+  }
+  if (payoutResult.status === "unknown") {
+    logger.warn("Transfer outcome unknown - payout left pending", { reference, error: payoutResult.error });
+  }
+  return payoutService.markTransferSubmitted({
     reference,
-    idempotencyKey,
-    gatewayResponse,
-    note,
+    transferCode: payoutResult.data?.transferCode,
+    gatewayResponse: payoutResult.raw || { error: payoutResult.error || null },
   });
-  await tx.save({ session });
-  logger.info("recordTransaction: saved", { id: tx._id, reference, type, status });
-  return tx;
+}
+
+/**
+ * Send a recorded release (recordRelease) to the gateway and apply its answer. Called once the recording
+ * transaction has committed, so a crash never leaves an untracked transfer. Returns the release result;
+ * a transfer the gateway never answered for is reported pending, not failed.
+ */
+async function submitRelease({ bookingId, gateway, recipient, gross, currency, recorded, note = "" }) {
+  const { reference, payoutAmount, commission } = recorded;
+  const fee = commission?.fee || 0;
+  if (!(payoutAmount > 0)) {
+    // Whole amount went to commission — nothing to transfer
+    logger.info("releaseFunds: fully absorbed by commission", { bookingId, amount: gross, fee });
+    return { success: true, status: "success", amount: 0, gross: roundMoney(gross, currency), fee, currency, reference: null };
+  }
+
+  const adapter = gateway === GATEWAYS.PAYSTACK ? paystackAdapter : flutterwaveAdapter;
+  const payoutResult = await adapter.payout({
+    recipient,
+    amount: payoutAmount,
+    reason: note || `Payout for booking ${bookingId}`,
+    reference,
+  });
+
+  await recordTransferAnswer(reference, payoutResult);
+
+  const unanswered = payoutResult.status === "unknown";
+  logger.info("releaseFunds submitted", { bookingId, gross, fee, amount: payoutAmount, reference, status: payoutResult.status });
+  return {
+    success: unanswered || !!payoutResult.success,
+    status: unanswered ? "pending" : payoutResult.status,
+    amount: payoutAmount,
+    gross: roundMoney(gross, currency),
+    fee,
+    currency,
+    reference,
+    raw: payoutResult,
+  };
 }
 
 /* ---------- Escrow Service API ---------- */
@@ -230,11 +725,13 @@ const escrowService = {
   /**
    * Initialize an escrow for a booking.
    * - Creates (or reuses) an Escrow doc for the booking (state: pending -> held when confirmed)
+   * - The amount charged is the booking's totalAmount, never the caller's
+   * - Milestone bookings fund one milestone at a time: pass milestoneId, the amount comes from the milestone
    * - Calls payment gateway to get authorization_url + reference
    *
-   * @param {Object} params { bookingId, amount, email, gateway = 'paystack', metadata = {} }
+   * @param {Object} params { bookingId, email, gateway = 'paystack', metadata = {}, milestoneId }
    */
-  async initializeEscrow({ bookingId, amount, email, gateway = GATEWAYS.PAYSTACK, metadata = {} }) {
+  async initializeEscrow({ bookingId, email, gateway = GATEWAYS.PAYSTACK, metadata = {}, milestoneId = null }) {
     const session = await mongoose.startSession();
     session.startTransaction();
 
@@ -243,7 +740,17 @@ const escrowService = {
       if (!booking) throw new Error("Booking not found");
 
       // If there's an existing escrow and it's already held/success, return error or existing info
-      let escrow = await Escrow.findOne({ bookingId }).session(session);
+      let escrow = await findBookingEscrow({ booking, milestoneId, session });
+      const milestone = milestoneId ? booking.milestones.id(milestoneId) : null;
+      const amount = milestone ? milestone.amount : booking.totalAmount;
+      if (milestone) metadata = { ...metadata, milestoneId: String(milestone._id) };
+      if (!(amount > 0)) throw new Error("Booking has no amount to charge");
+      const initKey = milestone ? makeIdempotencyKey("init", bookingId, milestone._id) : makeIdempotencyKey("init", bookingId);
+      const currency = booking.currency || PLATFORM_CURRENCY;
+      if (!gatewaySupportsCurrency(gateway, currency)) {
+        throw new Error(`${gateway} cannot charge in ${currency}`);
+      }
+
       if (escrow && ["held", "released"].includes(escrow.state)) {
         // Already held or released; do not re-init
         await session.commitTransaction();
@@ -255,50 +762,62 @@ const escrowService = {
       if (!escrow) {
         escrow = new Escrow({
           bookingId,
+          milestoneId: milestone?._id || null,
           amount,
+          currency,
           state: "pending",
           paymentGateway: gateway,
-          idempotencyKey: makeIdempotencyKey("init", bookingId),
+          idempotencyKey: initKey,
         });
         await escrow.save({ session });
       } else {
         escrow.amount = amount;
+        escrow.currency = currency;
         escrow.paymentGateway = gateway;
         escrow.state = "pending";
-        escrow.idempotencyKey = makeIdempotencyKey("init", bookingId);
+        escrow.idempotencyKey = initKey;
         await escrow.save({ session });
       }
 
       // Call gateway adapter
       let initResult;
       if (gateway === GATEWAYS.PAYSTACK) {
-        initResult = await paystackAdapter.initialize({ amount, email, bookingId, metadata });
+        initResult = await paystackAdapter.initialize({ amount, currency, email, bookingId, metadata });
       } else if (gateway === GATEWAYS.FLUTTERWAVE) {
-        initResult = await flutterwaveAdapter.initialize({ amount, email, bookingId, metadata });
+        initResult = await flutterwaveAdapter.initialize({ amount, currency, email, bookingId, metadata });
       } else {
         throw new Error("Unsupported payment gateway");
       }
 
       const reference = initResult.reference || initResult.gatewayData?.reference || initResult.gatewayData?.tx_ref;
 
-      // record a pending transaction
-      await recordTransaction({
+      // record a pending transaction (no money has moved yet, so no journal entry)
+      await ledgerService.post({
         session,
-        bookingId,
-        customerId: booking.customerId,
-        creativeId: booking.creativeId,
-        amount,
-        type: "escrow",
-        status: "pending",
-        paymentGateway: gateway,
-        reference,
-        gatewayResponse: initResult.gatewayData || null,
-        idempotencyKey: makeIdempotencyKey("tx:init", bookingId, reference),
-        note: "initialization",
+        transaction: {
+          bookingId,
+          customerId: booking.customerId,
+          creativeId: booking.proId,
+          amount,
+          currency,
+          type: "escrow",
+          status: "pending",
+          paymentGateway: gateway,
+          reference,
+          gatewayResponse: initResult.gatewayData || null,
+          idempotencyKey: makeIdempotencyKey("tx:init", bookingId, reference),
+          note: "initialization",
+        },
       });
 
       // update booking quick view (non-authoritative)
-      booking.paymentStatus = "pending";
+      if (milestone) {
+        escrow.gatewayReference = reference;
+        await escrow.save({ session });
+        booking.syncPaymentFromEscrow(escrow);
+      } else {
+        booking.paymentStatus = "pending";
+      }
       booking.paymentGateway = gateway;
       await booking.save({ session });
 
@@ -310,7 +829,10 @@ const escrowService = {
         authorizationUrl: initResult.authorization_url || initResult.authorizationUrl || initResult.gatewayData?.authorization_url,
         reference,
         gateway,
+        amount: escrow.amount,
+        currency,
         escrowId: escrow._id,
+        milestoneId: milestone?._id || null,
       };
     } catch (err) {
       await session.abortTransaction();
@@ -320,114 +842,407 @@ const escrowService = {
   },
 
   /**
-   * Verify webhook signature and process the webhook body.
-   * - gateway: 'paystack' | 'flutterwave'
-   * - body: parsed JSON webhook body
-   * - headers: raw header object (used for signature verification)
+   * One payment for several bookings of the same customer (event packages): the charge is split into
+   * a pending escrow per booking, all carrying the charge reference, funded together by its webhook.
+   * - groupId: the package id, sent to the gateway as metadata.groupId
+   * - parts: [{ bookingId, amount }] in the bookings' (shared) currency
+   * Returns { success, authorizationUrl, reference, gateway, amount, currency, escrows: [{ bookingId, escrowId, amount }] }.
    */
-  async handleWebhook({ headers = {}, body = {}, gateway = GATEWAYS.PAYSTACK }) {
+  async initializeGroupEscrow({ groupId, parts = [], email, gateway = GATEWAYS.PAYSTACK, metadata = {} }) {
+    if (!parts.length) throw new Error("A group charge needs at least one booking");
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
     try {
-      // Verify signature first
-      let verified = false;
-      if (gateway === GATEWAYS.PAYSTACK) verified = paystackAdapter.verifyWebhook(headers, body);
-      else if (gateway === GATEWAYS.FLUTTERWAVE) verified = flutterwaveAdapter.verifyWebhook(headers, body);
-      else throw new Error("Unknown gateway for webhook");
+      const bookings = await Booking.find({ _id: { $in: parts.map((p) => p.bookingId) } }).session(session);
+      if (bookings.length !== parts.length) throw new Error("Booking not found");
+      const currency = bookings[0].currency || PLATFORM_CURRENCY;
+      if (bookings.some((b) => (b.currency || PLATFORM_CURRENCY) !== currency || String(b.customerId) !== String(bookings[0].customerId))) {
+        throw new Error("A group charge covers bookings of one customer in one currency");
+      }
+      if (!gatewaySupportsCurrency(gateway, currency)) throw new Error(`${gateway} cannot charge in ${currency}`);
+
+      const byId = new Map(bookings.map((b) => [String(b._id), b]));
+      const escrows = [];
+      for (const part of parts) {
+        const booking = byId.get(String(part.bookingId));
+        let escrow = await Escrow.findOne({ bookingId: booking._id, milestoneId: null }).session(session);
+        if (escrow && !["pending", "cancelled"].includes(escrow.state)) throw new Error(`Booking ${booking._id} is already funded`);
+        escrow = escrow || new Escrow({ bookingId: booking._id, milestoneId: null });
+        Object.assign(escrow, {
+          amount: roundMoney(part.amount, currency),
+          currency,
+          state: "pending",
+          paymentGateway: gateway,
+          idempotencyKey: makeIdempotencyKey("init:group", booking._id, groupId),
+          metadata: { ...(escrow.metadata || {}), groupId: String(groupId) },
+        });
+        escrows.push(escrow);
+      }
+      const totalMinor = escrows.reduce((sum, e) => sum + toMinor(e.amount, currency), 0);
+      const amount = fromMinor(totalMinor, currency);
 
-      if (!verified) {
-        logger.warn("Webhook signature verification failed", { gateway });
-        return { success: false, reason: "signature_verification_failed" };
+      const adapter = gateway === GATEWAYS.PAYSTACK ? paystackAdapter : gateway === GATEWAYS.FLUTTERWAVE ? flutterwaveAdapter : null;
+      if (!adapter) throw new Error("Unsupported payment gateway");
+      const initResult = await adapter.initialize({ amount, currency, email, bookingId: groupId, metadata: { ...metadata, groupId: String(groupId) } });
+      const reference = initResult.reference || initResult.gatewayData?.reference || initResult.gatewayData?.tx_ref;
+
+      for (const escrow of escrows) {
+        escrow.gatewayReference = reference;
+        await escrow.save({ session });
       }
 
-      // Normalize event and data
-      let eventType;
-      let data;
-      if (gateway === GATEWAYS.PAYSTACK) {
-        eventType = body.event;
-        data = body.data;
-      } else {
-        // Flutterwave: different envelope shapes; attempt common shapes
-        eventType = body.event || body.data?.status || body.status;
-        data = body.data || body;
+      // One pending transaction for the charge, on the first booking; the split is in its metadata
+      const lead = byId.get(String(parts[0].bookingId));
+      await ledgerService.post({
+        session,
+        transaction: {
+          bookingId: lead._id,
+          customerId: lead.customerId,
+          creativeId: lead.proId,
+          amount,
+          currency,
+          type: "escrow",
+          status: "pending",
+          paymentGateway: gateway,
+          reference,
+          gatewayResponse: initResult.gatewayData || null,
+          idempotencyKey: makeIdempotencyKey("tx:init:group", groupId, reference),
+          metadata: { groupId: String(groupId), parts: escrows.map((e) => ({ bookingId: e.bookingId, escrowId: e._id, amount: e.amount })) },
+          note: "group initialization",
+        },
+      });
+
+      for (const booking of bookings) {
+        booking.paymentStatus = "pending";
+        booking.paymentGateway = gateway;
+        await booking.save({ session });
       }
 
-      // Determine reference and bookingId
-      const reference = data?.reference || data?.tx_ref || data?.id || data?.transaction_id || data?.tx_ref;
-      const bookingId = data?.metadata?.bookingId || data?.meta?.bookingId || data?.meta?.booking_id;
+      await session.commitTransaction();
+      session.endSession();
 
-      if (!reference) {
-        logger.warn("Webhook without reference - ignoring", { eventType });
-        return { success: false, reason: "no_reference" };
+      return {
+        success: true,
+        authorizationUrl: initResult.authorization_url || initResult.authorizationUrl || initResult.gatewayData?.authorization_url,
+        reference,
+        gateway,
+        amount,
+        currency,
+        escrows: escrows.map((e) => ({ bookingId: e.bookingId, escrowId: e._id, amount: e.amount })),
+      };
+    } catch (err) {
+      await session.abortTransaction();
+      session.endSession();
+      _error("initializeGroupEscrow failed", err);
+    }
+  },
+
+  /**
+   * Webhook outcome of a group charge (see initializeGroupEscrow): on success every escrow sharing the
+   * reference is funded in one DB transaction — one escrow_funded journal entry per booking — and
+   * pending bookings are confirmed; on failure they are all cancelled. The charged amount must equal
+   * the sum of the parts.
+   */
+  async processGroupCharge({ gateway, eventType, data, reference }) {
+    const escrows = await Escrow.find({ gatewayReference: reference }).sort({ createdAt: 1 });
+    if (!escrows.length) {
+      logger.warn("Group charge webhook without escrows - ignoring", { reference });
+      return { success: true, handled: "noop", reason: "no_escrows" };
+    }
+    const currency = escrows[0].currency;
+    const expectedMinor = escrows.reduce((sum, e) => sum + toMinor(e.amount, currency), 0);
+
+    const successEvents = ["charge.success", "successful", "charge.completed"];
+    const isSuccess = successEvents.includes(String(eventType).toLowerCase()) || String(data?.status).toLowerCase() === "success";
+    const failureEvents = ["failed", "charge.failed", "payment.failed", "cancelled"];
+    const isFailure = failureEvents.includes(String(eventType).toLowerCase()) || String(data?.status).toLowerCase() === "failed";
+
+    if (isSuccess) {
+      let verifyResult;
+      try {
+        verifyResult = gateway === GATEWAYS.PAYSTACK ? await paystackAdapter.verify(reference) : await flutterwaveAdapter.verify(reference);
+      } catch (verifyErr) {
+        logger.warn("Gateway verification failed for group charge; using the webhook amount", verifyErr);
+      }
+      const paidAmount = verifyResult?.amount || chargeAmount(gateway, data);
+      const chargeCurrency = String(verifyResult?.currency || data?.currency || currency).toUpperCase();
+      if (chargeCurrency !== currency) throw new Error(`Charge ${reference} settled in ${chargeCurrency} but the escrows are in ${currency}`);
+      if (toMinor(paidAmount, currency) !== expectedMinor) {
+        throw new Error(`Group charge ${reference} settled ${paidAmount} ${currency}, expected ${fromMinor(expectedMinor, currency)}`);
       }
 
-      // If bookingId present, load it; otherwise try to locate escrow by gatewayReference
-      let escrow = null;
-      let booking = null;
-      if (bookingId) {
-        booking = await Booking.findById(bookingId);
-        if (!booking) {
-          logger.warn("Webhook booking not found for bookingId", { bookingId, reference });
-        } else {
-          escrow = await Escrow.findOne({ bookingId: booking._id });
+      const session = await mongoose.startSession();
+      session.startTransaction();
+      try {
+        const existingTx = await Transaction.findOne({ reference }).session(session);
+        if (existingTx && existingTx.status === "success") {
+          await session.commitTransaction();
+          session.endSession();
+          return { success: true, reason: "already_processed" };
         }
-      } else {
-        escrow = await Escrow.findOne({ gatewayReference: reference });
-        if (escrow) booking = await Booking.findById(escrow.bookingId);
-      }
 
-      // If escrow not found and booking found, create escrow (idempotent creation)
-      if (!escrow && booking) {
-        escrow = await Escrow.findOneAndUpdate(
-          { bookingId: booking._id },
-          {
-            $setOnInsert: {
-              amount: booking.escrowAmount || booking.totalAmount || 0,
-              state: "pending",
+        const bookings = [];
+        for (const escrow of escrows) {
+          const booking = await Booking.findById(escrow.bookingId).session(session);
+          escrow.fund();
+          await escrow.save({ session });
+          await ledgerService.post({
+            session,
+            kind: "escrow_funded",
+            amount: escrow.amount,
+            reference: `${reference}:${escrow.bookingId}`,
+            bookingId: escrow.bookingId,
+            escrowId: escrow._id,
+            customerId: booking?.customerId,
+            gateway,
+            currency,
+            metadata: { groupReference: reference },
+          });
+          if (!booking) continue;
+          booking.paymentStatus = "escrowed";
+          booking.escrowAmount = escrow.amount;
+          booking.paymentGateway = gateway;
+          booking.escrowId = escrow._id;
+          if (booking.status === "pending") applyTransition(booking, "confirmed", { reason: "payment_escrowed", ifAllowed: true });
+          await booking.save({ session });
+          bookings.push(booking._id);
+        }
+
+        const settled = await Transaction.updateOne(
+          { reference, status: "pending" },
+          { $set: { status: "success", amountMinor: toMinor(paidAmount, currency), currency, gatewayResponse: data } },
+          { session }
+        );
+        if (!settled.matchedCount && !existingTx) {
+          const lead = await Booking.findById(escrows[0].bookingId).session(session);
+          await ledgerService.post({
+            session,
+            transaction: {
+              bookingId: escrows[0].bookingId,
+              customerId: lead?.customerId,
+              creativeId: lead?.proId,
+              amount: paidAmount,
+              currency,
+              type: "escrow",
+              status: "success",
               paymentGateway: gateway,
-              gatewayReference: reference,
-              idempotencyKey: makeIdempotencyKey("webhook:create", booking._id, reference),
+              reference,
+              gatewayResponse: data,
+              idempotencyKey: makeIdempotencyKey("tx:webhook:group", escrows[0].bookingId, reference),
+              note: "group webhook_success",
             },
+          });
+        }
+
+        await session.commitTransaction();
+        session.endSession();
+        logger.info("Group charge processed; escrows held", { reference, bookings: bookings.length });
+        return { success: true, bookings };
+      } catch (dbErr) {
+        await session.abortTransaction();
+        session.endSession();
+        _error("processGroupCharge DB transaction failed", dbErr);
+      }
+    }
+
+    if (isFailure) {
+      await Transaction.updateOne({ reference, status: "pending" }, { $set: { status: "failed", gatewayResponse: data } });
+      for (const escrow of escrows) {
+        if (escrow.state !== "pending") continue;
+        escrow.state = "cancelled";
+        await escrow.save();
+        await Booking.updateOne({ _id: escrow.bookingId, paymentStatus: "pending" }, { $set: { paymentStatus: "failed" } });
+      }
+      logger.info("Group charge webhook processed as failure", { reference });
+      return { success: true, handled: "failure" };
+    }
+
+    logger.info("Group charge webhook event unhandled type — logged for manual review", { gateway, eventType });
+    return { success: true, handled: "noop" };
+  },
+
+  /**
+   * Verify a webhook signature against the raw request body (Buffer or string, exactly as received).
+   * - gateway: 'paystack' | 'flutterwave'
+   * - headers: request header object
+   */
+  verifyWebhook({ gateway, headers = {}, rawBody }) {
+    if (gateway === GATEWAYS.PAYSTACK) return paystackAdapter.verifyWebhook(headers, rawBody);
+    if (gateway === GATEWAYS.FLUTTERWAVE) return flutterwaveAdapter.verifyWebhook(headers, rawBody);
+    return false;
+  },
+
+  /**
+   * Process a verified webhook body. Called by webhookInboxService only — gateways post to the
+   * inbox, which verifies and persists the event first.
+   * - gateway: 'paystack' | 'flutterwave'
+   * - body: parsed JSON webhook body
+   * Throws when the event could not be applied, so the inbox retries it.
+   */
+  async processWebhookEvent({ body = {}, gateway = GATEWAYS.PAYSTACK }) {
+    // Normalize event and data
+    let eventType;
+    let data;
+    if (gateway === GATEWAYS.PAYSTACK) {
+      eventType = body.event;
+      data = body.data;
+    } else {
+      // Flutterwave: different envelope shapes; attempt common shapes
+      eventType = body.event || body.data?.status || body.status;
+      data = body.data || body;
+    }
+
+    // Payout transfers are tracked by payoutService, not as escrow charges
+    if (payoutService.isTransferEvent(gateway, eventType)) {
+      return await payoutService.handleTransferWebhook({ gateway, eventType: String(eventType).toLowerCase(), data });
+    }
+
+    // Determine reference and bookingId
+    const reference = data?.reference || data?.tx_ref || data?.id || data?.transaction_id || data?.tx_ref;
+    const bookingId = data?.metadata?.bookingId || data?.meta?.bookingId || data?.meta?.booking_id;
+    const milestoneId = data?.metadata?.milestoneId || data?.meta?.milestoneId || null;
+
+    if (!reference) {
+      logger.warn("Webhook without reference - ignoring", { eventType });
+      return { success: true, handled: "noop", reason: "no_reference" };
+    }
+
+    // Event package charges fund one escrow per booking (initializeGroupEscrow)
+    const groupId = data?.metadata?.groupId || data?.meta?.groupId || null;
+    if (groupId) return this.processGroupCharge({ gateway, eventType, data, reference });
+
+    // If bookingId present, load it; otherwise try to locate escrow by gatewayReference
+    let escrow = null;
+    let booking = null;
+    if (bookingId) {
+      booking = await Booking.findById(bookingId);
+      if (!booking) {
+        logger.warn("Webhook booking not found for bookingId", { bookingId, reference });
+      } else {
+        escrow = await Escrow.findOne({ bookingId: booking._id, milestoneId });
+      }
+    } else {
+      escrow = await Escrow.findOne({ gatewayReference: reference });
+      if (escrow) booking = await Booking.findById(escrow.bookingId);
+    }
+
+    // If escrow not found and booking found, create escrow (idempotent creation)
+    const milestone = milestoneId && booking ? booking.milestones.id(milestoneId) : null;
+    if (!escrow && booking) {
+      escrow = await Escrow.findOneAndUpdate(
+        { bookingId: booking._id, milestoneId },
+        {
+          $setOnInsert: {
+            amountMinor: milestone?.amountMinor || booking.escrowAmountMinor || booking.totalAmountMinor || 0,
+            currency: booking.currency || PLATFORM_CURRENCY,
+            state: "pending",
+            paymentGateway: gateway,
+            gatewayReference: reference,
+            idempotencyKey: makeIdempotencyKey("webhook:create", booking._id, reference),
           },
-          { upsert: true, new: true }
-        );
+        },
+        { upsert: true, new: true }
+      );
+    }
+
+    // Process success events
+    const successEvents = ["charge.success", "successful", "charge.completed"];
+    const isSuccess = successEvents.includes(String(eventType).toLowerCase()) || String(data?.status).toLowerCase() === "success";
+
+    if (isSuccess) {
+      // verify using gateway verify endpoint for extra safety
+      let verifyResult;
+      try {
+        if (gateway === GATEWAYS.PAYSTACK) verifyResult = await paystackAdapter.verify(reference);
+        else verifyResult = await flutterwaveAdapter.verify(reference);
+      } catch (verifyErr) {
+        logger.warn("Gateway verification failed; will still record pending transaction", verifyErr);
       }
 
-      // Process success events
-      const successEvents = ["charge.success", "transfer.success", "successful", "charge.completed"];
-      const isSuccess = successEvents.includes(String(eventType).toLowerCase()) || String(data?.status).toLowerCase() === "success";
+      const verifiedStatus = verifyResult?.status || data?.status || "success";
+      const verifiedAmount = verifyResult?.amount || chargeAmount(gateway, data);
+      const chargeCurrency = String(verifyResult?.currency || data?.currency || escrow?.currency || booking?.currency || PLATFORM_CURRENCY).toUpperCase();
 
-      if (isSuccess) {
-        // verify using gateway verify endpoint for extra safety
-        let verifyResult;
-        try {
-          if (gateway === GATEWAYS.PAYSTACK) verifyResult = await paystackAdapter.verify(reference);
-          else verifyResult = await flutterwaveAdapter.verify(reference);
-        } catch (verifyErr) {
-          logger.warn("Gateway verification failed; will still record pending transaction", verifyErr);
+      // Never fund an escrow with money in another currency: throwing leaves the event to the inbox's
+      // retries and dead letter (admins are notified there); reconciliation reports it as well
+      const expectedCurrency = escrow?.currency || booking?.currency || null;
+      if (expectedCurrency && chargeCurrency !== expectedCurrency) {
+        throw new Error(`Charge ${reference} settled in ${chargeCurrency} but the escrow is in ${expectedCurrency}`);
+      }
+
+      // Nor with a charge for another amount than the escrow's (set from the booking, not the client)
+      if (escrow) {
+        if (!verifiedAmount) throw new Error(`Charge ${reference} amount could not be verified`);
+        const paidMinor = toMinor(verifiedAmount, chargeCurrency);
+        if (paidMinor !== escrow.amountMinor) {
+          return flagChargeMismatch({ escrow, reference, paidMinor, currency: chargeCurrency });
         }
+      }
 
-        const verifiedStatus = verifyResult?.status || data?.status || "success";
-        const verifiedAmount = verifyResult?.amount || (data?.amount ? (data.amount / (gateway === GATEWAYS.PAYSTACK ? 100 : 1)) : null);
+      // Start DB transaction to create Transaction, update Escrow and Booking
+      const session = await mongoose.startSession();
+      session.startTransaction();
+      try {
+        // Idempotency: check if a success transaction for this reference exists
+        const existingTx = await Transaction.findOne({ reference }).session(session);
+        if (existingTx && existingTx.status === "success") {
+          logger.info("Webhook processed earlier - idempotent exit", { reference });
+          await session.commitTransaction();
+          session.endSession();
+          return { success: true, reason: "already_processed" };
+        }
 
-        // Start DB transaction to create Transaction, update Escrow and Booking
-        const session = await mongoose.startSession();
-        session.startTransaction();
-        try {
-          // Idempotency: check if a success transaction for this reference exists
-          const existingTx = await Transaction.findOne({ reference }).session(session);
-          if (existingTx && existingTx.status === "success") {
-            logger.info("Webhook processed earlier - idempotent exit", { reference });
-            await session.commitTransaction();
-            session.endSession();
-            return { success: true, reason: "already_processed" };
-          }
+        const paidAmount = verifiedAmount || chargeAmount(gateway, data) || 0;
 
-          // create success transaction
-          await recordTransaction({
-            session,
+        // update/create escrow
+        if (!escrow && booking) {
+          escrow = new Escrow({
+            bookingId: booking._id,
+            milestoneId,
+            amount: verifiedAmount || milestone?.amount || booking.escrowAmount || booking.totalAmount || 0,
+            currency: chargeCurrency,
+            paymentGateway: gateway,
+            gatewayReference: reference,
+            idempotencyKey: makeIdempotencyKey("escrow:webhook", booking._id, reference),
+          });
+          escrow.fund();
+          await escrow.save({ session });
+          booking.escrowId = escrow._id;
+        } else if (escrow) {
+          escrow.gatewayReference = reference;
+          escrow.fund(escrow.amount);
+          await escrow.save({ session });
+        }
+
+        // Success transaction (the pending one from initializeEscrow is completed) + ledger entry
+        await Transaction.updateOne(
+          { reference, status: "pending" },
+          {
+            $set: {
+              status: "success",
+              amountMinor: toMinor(paidAmount || escrow?.amount, chargeCurrency),
+              currency: chargeCurrency,
+              gatewayResponse: data,
+            },
+          },
+          { session }
+        );
+        await ledgerService.post({
+          session,
+          kind: escrow ? "escrow_funded" : null,
+          amount: escrow?.amount,
+          reference,
+          bookingId: booking?._id || (escrow?.bookingId ?? null),
+          escrowId: escrow?._id,
+          customerId: booking?.customerId,
+          gateway,
+          currency: chargeCurrency,
+          transaction: {
             bookingId: booking?._id || (escrow?.bookingId ?? null),
             customerId: booking?.customerId,
-            creativeId: booking?.creativeId,
-            amount: verifiedAmount || (data?.amount ? (data.amount / (gateway === GATEWAYS.PAYSTACK ? 100 : 1)) : 0),
+            creativeId: booking?.proId,
+            amount: paidAmount,
             type: "escrow",
             status: "success",
             paymentGateway: gateway,
@@ -435,62 +1250,51 @@ const escrowService = {
             gatewayResponse: data,
             idempotencyKey: makeIdempotencyKey("tx:webhook", booking?._id || escrow?.bookingId, reference),
             note: "webhook_success",
-          });
-
-          // update/create escrow
-          if (!escrow && booking) {
-            escrow = new Escrow({
-              bookingId: booking._id,
-              amount: verifiedAmount || booking.escrowAmount || booking.totalAmount || 0,
-              state: "held",
-              paymentGateway: gateway,
-              gatewayReference: reference,
-              idempotencyKey: makeIdempotencyKey("escrow:webhook", booking._id, reference),
-            });
-            await escrow.save({ session });
-            booking.escrowId = escrow._id;
-          } else if (escrow) {
-            escrow.state = "held";
-            escrow.gatewayReference = reference;
-            escrow.amount = verifiedAmount || escrow.amount;
-            await escrow.save({ session });
-          }
+          },
+        });
 
-          // Update booking convenience fields
-          if (booking) {
-            booking.paymentStatus = "escrowed";
-            booking.escrowAmount = escrow?.amount || booking.escrowAmount || booking.totalAmount;
-            booking.paymentGateway = gateway;
-            booking.escrowId = escrow?._id || booking.escrowId;
-            booking.status = booking.status === "pending" ? "confirmed" : booking.status;
-            await booking.save({ session });
-          }
+        // Update booking convenience fields
+        if (booking && escrow?.milestoneId) {
+          booking.syncPaymentFromEscrow(escrow);
+          booking.paymentGateway = gateway;
+          if (booking.status === "pending") applyTransition(booking, "confirmed", { reason: "payment_escrowed", ifAllowed: true });
+          await booking.save({ session });
+        } else if (booking) {
+          booking.paymentStatus = "escrowed";
+          booking.escrowAmount = escrow?.amount || booking.escrowAmount || booking.totalAmount;
+          booking.paymentGateway = gateway;
+          booking.escrowId = escrow?._id || booking.escrowId;
+          if (booking.status === "pending") applyTransition(booking, "confirmed", { reason: "payment_escrowed", ifAllowed: true });
+          await booking.save({ session });
+        }
 
-          await session.commitTransaction();
-          session.endSession();
+        await session.commitTransaction();
+        session.endSession();
 
-          logger.info("Webhook processed and escrow held", { reference, bookingId: booking?._id });
-          return { success: true };
-        } catch (dbErr) {
-          await session.abortTransaction();
-          session.endSession();
-          logger.error("handleWebhook DB transaction failed", dbErr);
-          return { success: false, error: dbErr.message };
-        }
+        logger.info("Webhook processed and escrow held", { reference, bookingId: booking?._id });
+        return { success: true };
+      } catch (dbErr) {
+        await session.abortTransaction();
+        session.endSession();
+        _error("processWebhookEvent DB transaction failed", dbErr);
       }
+    }
 
-      // Handle failed/cancelled events -> record failed transaction
-      const failureEvents = ["failed", "charge.failed", "payment.failed", "cancelled"];
-      const isFailure = failureEvents.includes(String(eventType).toLowerCase()) || String(data?.status).toLowerCase() === "failed";
+    // Handle failed/cancelled events -> record failed transaction
+    const failureEvents = ["failed", "charge.failed", "payment.failed", "cancelled"];
+    const isFailure = failureEvents.includes(String(eventType).toLowerCase()) || String(data?.status).toLowerCase() === "failed";
 
-      if (isFailure) {
-        // record failed transaction (idempotent by reference)
-        try {
-          await recordTransaction({
+    if (isFailure) {
+      // record failed transaction (idempotent by reference)
+      try {
+        await Transaction.updateOne({ reference, status: "pending" }, { $set: { status: "failed", gatewayResponse: data } });
+        await ledgerService.post({
+          transaction: {
             bookingId: booking?._id || escrow?.bookingId,
             customerId: booking?.customerId,
-            creativeId: booking?.creativeId,
-            amount: data?.amount ? (data.amount / (gateway === GATEWAYS.PAYSTACK ? 100 : 1)) : 0,
+            creativeId: booking?.proId,
+            amount: chargeAmount(gateway, data) || 0,
+            currency: String(data?.currency || escrow?.currency || booking?.currency || PLATFORM_CURRENCY).toUpperCase(),
             type: "escrow",
             status: "failed",
             paymentGateway: gateway,
@@ -498,193 +1302,357 @@ const escrowService = {
             gatewayResponse: data,
             idempotencyKey: makeIdempotencyKey("tx:webhook:fail", booking?._id || escrow?.bookingId, reference),
             note: "webhook_failed",
-          });
-
-          if (booking) {
-            booking.paymentStatus = "failed";
-            await booking.save();
-          }
+          },
+        });
 
-          if (escrow) {
-            escrow.state = "cancelled";
-            await escrow.save();
-          }
+        if (escrow) {
+          escrow.state = "cancelled";
+          await escrow.save();
+        }
 
-          logger.info("Webhook processed as failure", { reference });
-          return { success: true, handled: "failure" };
-        } catch (err) {
-          logger.error("Failed to process failure webhook", err);
-          return { success: false, error: err.message };
+        if (booking && escrow?.milestoneId) {
+          booking.syncPaymentFromEscrow(escrow);
+          await booking.save();
+        } else if (booking) {
+          booking.paymentStatus = "failed";
+          await booking.save();
         }
-      }
 
-      // Unhandled event types: log and return success to avoid repeated retries by gateway
-      logger.info("Webhook event unhandled type — logged for manual review", { gateway, eventType });
-      return { success: true, handled: "noop" };
-    } catch (err) {
-      logger.error("handleWebhook top-level error", err);
-      return { success: false, error: err.message };
+        logger.info("Webhook processed as failure", { reference });
+        return { success: true, handled: "failure" };
+      } catch (err) {
+        _error("Failed to process failure webhook", err);
+      }
     }
+
+    // Unhandled event types: log and return success to avoid repeated retries by gateway
+    logger.info("Webhook event unhandled type — logged for manual review", { gateway, eventType });
+    return { success: true, handled: "noop" };
   },
 
   /**
    * Release funds for a booking (called by admin/system after booking completion)
-   * - Validates escrow state
-   * - Calls adapter.payout (placeholder) to perform payout to creative
-   * - Records Transaction (release) and updates Escrow.state -> released and Booking.paymentStatus -> released & status -> completed
+   * - amount is optional: omit it to release everything still held, or pass part of the held balance
+   * - Platform commission (commissionService) is taken from the gross amount: a fee movement + "fee" Transaction
+   *   are written in the same DB transaction, and only the net goes to the pro (applyCommission: false to skip)
+   * - Looks up the pro's verified default PayoutRecipient for the escrow's gateway
+   * - Records a pending Payout + Transaction (release) and a pending release movement on the Escrow, then calls adapter.payout
+   * - The movement completes when the transfer succeeds (immediately, or via transfer.success webhook);
+   *   a failed transfer puts the net amount back into the held balance (see payoutService.applyTransferOutcome)
    *
-   * @param {Object} params { bookingId, initiatedBy (userId), note (string) }
+   * @param {Object} params { bookingId, milestoneId (milestone bookings), amount (optional), initiatedBy (userId), note (string), applyCommission }
    */
-  async releaseFunds({ bookingId, initiatedBy = null, note = "" }) {
+  async releaseFunds({ bookingId, milestoneId = null, amount = null, initiatedBy = null, note = "", applyCommission = true }) {
     const session = await mongoose.startSession();
     session.startTransaction();
 
+    let gateway;
+    let recipient;
+    let currency;
+    let recorded;
     try {
       const booking = await Booking.findById(bookingId).session(session);
       if (!booking) throw new Error("Booking not found");
 
-      const escrow = await Escrow.findOne({ bookingId: booking._id }).session(session);
+      const escrow = await findBookingEscrow({ booking, milestoneId, session });
       if (!escrow) throw new Error("Escrow record not found for booking");
-      if (!["held", "pending", "disputed"].includes(escrow.state)) {
+      if (!MOVABLE_STATES.includes(escrow.state)) {
         throw new Error(`Escrow not in releasable state (current: ${escrow.state})`);
       }
 
-      const amount = escrow.amount || booking.escrowAmount || booking.totalAmount;
-      const gateway = escrow.paymentGateway || booking.paymentGateway || GATEWAYS.PAYSTACK;
-      const reference = `REL-${Date.now()}-${Math.round(Math.random() * 10000)}`;
+      escrow.ensureHeldBalance();
+      amount = amount ?? escrow.amountHeld;
+      if (!(amount > 0)) throw new Error("Nothing left to release");
 
-      // call gateway payout adapter (placeholder)
-      let payoutResult;
-      if (gateway === GATEWAYS.PAYSTACK) {
-        payoutResult = await paystackAdapter.payout({
-          account: PLATFORM_PAYOUT_ACCOUNT,
-          amount,
-          reason: note || `Payout for booking ${bookingId}`,
-          reference,
-        });
-      } else {
-        payoutResult = await flutterwaveAdapter.payout({
-          account: PLATFORM_PAYOUT_ACCOUNT,
-          amount,
-          reason: note || `Payout for booking ${bookingId}`,
-          reference,
-        });
-      }
+      gateway = escrow.paymentGateway || booking.paymentGateway || GATEWAYS.PAYSTACK;
+      currency = escrow.currency;
+      recipient = await payoutService.getPayoutRecipient({ userId: booking.proId, gateway, currency, session });
+      if (!recipient) throw new Error(`Pro has no verified ${gateway} payout account in ${currency}`);
 
-      // Record release transaction
-      await recordTransaction({
-        session,
-        bookingId: booking._id,
-        customerId: booking.customerId,
-        creativeId: booking.creativeId,
-        amount,
-        type: "release",
-        status: payoutResult?.success ? "success" : "failed",
-        paymentGateway: gateway,
-        reference: payoutResult?.data?.reference || reference,
-        gatewayResponse: payoutResult,
-        idempotencyKey: makeIdempotencyKey("tx:release", booking._id, reference),
-        note: note || "release",
-      });
+      if (toMinor(amount, currency) > toMinor(escrow.amountHeld, currency)) {
+        throw new Error(`Release of ${amount} exceeds held amount (${escrow.amountHeld})`);
+      }
 
-      // Update escrow & booking states
-      escrow.state = payoutResult?.success ? "released" : "disputed";
-      escrow.metadata = { ...(escrow.metadata || {}), lastPayout: payoutResult };
-      escrow.initiatedBy = initiatedBy;
-      await escrow.save({ session });
+      recorded = await recordRelease({ session, booking, escrow, amount, recipient, gateway, initiatedBy, note, applyCommission });
 
-      booking.paymentStatus = payoutResult?.success ? "released" : booking.paymentStatus;
-      booking.status = payoutResult?.success ? "completed" : booking.status;
+      booking.syncPaymentFromEscrow(escrow);
       await booking.save({ session });
 
       await session.commitTransaction();
       session.endSession();
-
-      logger.info("releaseFunds completed", { bookingId, reference, success: payoutResult?.success });
-      return { success: !!payoutResult?.success, reference: payoutResult?.data?.reference || reference, raw: payoutResult };
     } catch (err) {
       await session.abortTransaction();
       session.endSession();
       _error("releaseFunds failed", err);
     }
+
+    return submitRelease({ bookingId, gateway, recipient, gross: amount, currency, recorded, note });
   },
 
   /**
    * Refund funds for a booking
-   * - Validates escrow state
-   * - Calls adapter.refund (placeholder)
-   * - Records Transaction (refund) and updates Escrow.state -> refunded and Booking.paymentStatus -> refunded & status -> cancelled
+   * - amount is optional: omit it to refund everything still held, or pass part of the held balance
+   * - Records a pending Transaction (refund) and a pending refund movement on the Escrow, then calls adapter.refund
+   *   (placeholder) after commit; Booking is re-synced from the escrow
+   *   (a full refund still ends as Escrow.state -> refunded, Booking.paymentStatus -> refunded & status -> cancelled)
+   * - A refused refund puts the amount back into the held balance; one the gateway never answered stays pending
    *
-   * @param {Object} params { bookingId, initiatedBy, reason }
+   * @param {Object} params { bookingId, milestoneId (milestone bookings), amount (optional), initiatedBy, reason }
    */
-  async refundFunds({ bookingId, initiatedBy = null, reason = "" }) {
+  async refundFunds({ bookingId, milestoneId = null, amount = null, initiatedBy = null, reason = "" }) {
     const session = await mongoose.startSession();
     session.startTransaction();
 
+    let escrow;
+    let gateway;
+    let recorded;
     try {
       const booking = await Booking.findById(bookingId).session(session);
       if (!booking) throw new Error("Booking not found");
 
-      const escrow = await Escrow.findOne({ bookingId: booking._id }).session(session);
+      escrow = await findBookingEscrow({ booking, milestoneId, session });
       if (!escrow) throw new Error("Escrow record not found for booking");
-      if (!["held", "pending", "disputed"].includes(escrow.state)) {
+      if (!MOVABLE_STATES.includes(escrow.state)) {
         throw new Error(`Escrow not in refundable state (current: ${escrow.state})`);
       }
 
-      const amount = escrow.amount || booking.escrowAmount || booking.totalAmount;
-      const gateway = escrow.paymentGateway || booking.paymentGateway || GATEWAYS.PAYSTACK;
-      const reference = `REF-${Date.now()}-${Math.round(Math.random() * 10000)}`;
-
-      // call adapter.refund (placeholder)
-      let refundResult;
-      if (gateway === GATEWAYS.PAYSTACK) {
-        refundResult = await paystackAdapter.refund({
-          reference: escrow.gatewayReference || reference,
-          amount,
-        });
-      } else {
-        refundResult = await flutterwaveAdapter.refund({
-          reference: escrow.gatewayReference || reference,
-          amount,
-        });
+      escrow.ensureHeldBalance();
+      amount = amount ?? escrow.amountHeld;
+      if (!(amount > 0)) throw new Error("Nothing left to refund");
+      amount = roundMoney(amount, escrow.currency);
+      if (toMinor(amount, escrow.currency) > toMinor(escrow.amountHeld, escrow.currency)) {
+        throw new Error(`Refund of ${amount} exceeds held amount (${escrow.amountHeld})`);
       }
 
-      // Record refund transaction
-      await recordTransaction({
-        session,
-        bookingId: booking._id,
-        customerId: booking.customerId,
-        creativeId: booking.creativeId,
-        amount,
-        type: "refund",
-        status: refundResult?.success ? "success" : "failed",
-        paymentGateway: gateway,
-        reference: refundResult?.data?.reference || reference,
-        gatewayResponse: refundResult,
-        idempotencyKey: makeIdempotencyKey("tx:refund", booking._id, reference),
-        note: reason || "refund",
-      });
+      gateway = escrow.paymentGateway || booking.paymentGateway || GATEWAYS.PAYSTACK;
+      recorded = await recordRefund({ session, booking, escrow, gateway, amount, initiatedBy, reason });
 
-      // Update escrow & booking
-      escrow.state = refundResult?.success ? "refunded" : "disputed";
-      escrow.metadata = { ...(escrow.metadata || {}), lastRefund: refundResult, refundReason: reason };
-      escrow.initiatedBy = initiatedBy;
-      await escrow.save({ session });
+      booking.syncPaymentFromEscrow(escrow);
+      await booking.save({ session });
 
-      booking.paymentStatus = refundResult?.success ? "refunded" : booking.paymentStatus;
-      booking.status = refundResult?.success ? "cancelled" : booking.status;
+      await session.commitTransaction();
+      session.endSession();
+    } catch (err) {
+      await session.abortTransaction();
+      session.endSession();
+      _error("refundFunds failed", err);
+    }
+
+    const result = await submitRefund({ bookingId, escrow, gateway, recorded });
+    logger.info("refundFunds completed", { bookingId, amount: result.amount, reference: result.reference, status: result.status });
+    return result;
+  },
+
+  /**
+   * Keep part of the held balance as platform fee (no gateway call — the money is already in the platform balance)
+   * - Records Transaction (fee) and a fee movement on the Escrow
+   *
+   * @param {Object} params { bookingId, milestoneId (milestone bookings), amount, initiatedBy, note }
+   */
+  async retainFee({ bookingId, milestoneId = null, amount, initiatedBy = null, note = "" }) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const booking = await Booking.findById(bookingId).session(session);
+      if (!booking) throw new Error("Booking not found");
+
+      const escrow = await findBookingEscrow({ booking, milestoneId, session });
+      if (!escrow) throw new Error("Escrow record not found for booking");
+      if (!MOVABLE_STATES.includes(escrow.state)) {
+        throw new Error(`Escrow not in a state to take fees (current: ${escrow.state})`);
+      }
+
+      const result = await recordFee({ session, booking, escrow, amount, initiatedBy, note });
+
+      booking.syncPaymentFromEscrow(escrow);
       await booking.save({ session });
 
       await session.commitTransaction();
       session.endSession();
 
-      logger.info("refundFunds completed", { bookingId, reference, success: refundResult?.success });
-      return { success: !!refundResult?.success, reference: refundResult?.data?.reference || reference, raw: refundResult };
+      logger.info("retainFee completed", { bookingId, amount: result.amount, reference: result.reference });
+      return result;
     } catch (err) {
       await session.abortTransaction();
       session.endSession();
-      _error("refundFunds failed", err);
+      _error("retainFee failed", err);
+    }
+  },
+
+  /**
+   * Split settlement: fee kept, part refunded to the customer, part released to the pro.
+   * - Either pass explicit { releaseAmount, refundAmount, feeAmount } or { proPercent, feeAmount }
+   *   (proPercent of what remains after the fee goes to the pro, the rest is refunded)
+   * - Everything is checked before any money moves: the amounts against the held balance, and the pro's
+   *   payout account when there is a pro share
+   * - Fee, refund and release are recorded in one DB transaction, so a failure leaves the escrow untouched;
+   *   the refund and the transfer to the pro go out after commit (a refused refund goes back into the held balance)
+   *
+   * @param {Object} params { bookingId, milestoneId, releaseAmount, refundAmount, feeAmount, proPercent, initiatedBy, note }
+   */
+  async settleSplit({ bookingId, milestoneId = null, releaseAmount = 0, refundAmount = 0, feeAmount = 0, proPercent = null, initiatedBy = null, note = "" }) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let gateway;
+    let recipient;
+    let currency;
+    let amounts;
+    let escrow;
+    let recorded = null;
+    let recordedRefund = null;
+    const result = { fee: null, refund: null, release: null };
+    try {
+      const booking = await Booking.findById(bookingId).session(session);
+      if (!booking) throw new Error("Booking not found");
+      escrow = await findBookingEscrow({ booking, milestoneId, session });
+      if (!escrow) throw new Error("Escrow record not found for booking");
+      if (!MOVABLE_STATES.includes(escrow.state)) {
+        throw new Error(`Escrow not in a state to split (current: ${escrow.state})`);
+      }
+      escrow.ensureHeldBalance();
+
+      // Worked out in minor units so the three parts always add up exactly
+      currency = escrow.currency;
+      const parts = [feeAmount, releaseAmount, refundAmount].map((n) => Number(n ?? 0));
+      if (!parts.every(Number.isFinite)) throw new Error("Split amounts must be numbers");
+      const fee = toMinor(parts[0], currency);
+      let release = toMinor(parts[1], currency);
+      let refund = toMinor(parts[2], currency);
+      if (proPercent !== null && proPercent !== undefined) {
+        const pct = Number(proPercent);
+        if (!(pct >= 0 && pct <= 100)) throw new Error("proPercent must be between 0 and 100");
+        const distributable = toMinor(escrow.amountHeld, currency) - fee;
+        release = Math.round((distributable * pct) / 100);
+        refund = distributable - release;
+      }
+
+      if ([fee, release, refund].some((n) => n < 0)) throw new Error("Split amounts cannot be negative");
+      const total = fee + release + refund;
+      if (!(total > 0)) throw new Error("Split must move a positive amount");
+      if (total > toMinor(escrow.amountHeld, currency)) {
+        throw new Error(`Split total ${fromMinor(total, currency)} exceeds held amount (${escrow.amountHeld})`);
+      }
+      amounts = { fee: fromMinor(fee, currency), refund: fromMinor(refund, currency), release: fromMinor(release, currency) };
+
+      gateway = escrow.paymentGateway || booking.paymentGateway || GATEWAYS.PAYSTACK;
+      if (release > 0) {
+        recipient = await payoutService.getPayoutRecipient({ userId: booking.proId, gateway, currency, session });
+        if (!recipient) throw new Error(`Pro has no verified ${gateway} payout account in ${currency}`);
+      }
+
+      if (fee > 0) {
+        result.fee = await recordFee({ session, booking, escrow, amount: amounts.fee, initiatedBy, note: note || "split: platform fee" });
+      }
+      if (refund > 0) {
+        recordedRefund = await recordRefund({
+          session,
+          booking,
+          escrow,
+          gateway,
+          amount: amounts.refund,
+          initiatedBy,
+          reason: note || "split: customer share",
+        });
+      }
+      if (release > 0) {
+        // An explicit split fee replaces the automatic commission on the pro share
+        recorded = await recordRelease({
+          session,
+          booking,
+          escrow,
+          amount: amounts.release,
+          recipient,
+          gateway,
+          initiatedBy,
+          note: note || "split: pro share",
+          applyCommission: !(fee > 0),
+        });
+      }
+
+      booking.syncPaymentFromEscrow(escrow);
+      await booking.save({ session });
+
+      await session.commitTransaction();
+      session.endSession();
+    } catch (err) {
+      await session.abortTransaction();
+      session.endSession();
+      _error("settleSplit failed", err);
+    }
+
+    // A refused refund goes back into the held balance on its own; the pro share still goes out
+    if (recordedRefund) {
+      result.refund = await submitRefund({ bookingId, escrow, gateway, recorded: recordedRefund });
+    }
+    if (recorded) {
+      result.release = await submitRelease({ bookingId, gateway, recipient, gross: amounts.release, currency, recorded, note: note || "split: pro share" });
+    }
+
+    logger.info("settleSplit completed", { bookingId, milestoneId, currency, ...amounts });
+    return { success: true, currency, amounts, ...result };
+  },
+
+  /**
+   * Settle a refund left pending because the gateway never answered it: { reference, status: success | failed }.
+   * A failed refund puts the amount back into the held balance.
+   */
+  applyRefundOutcome,
+
+  /**
+   * Settle a pending payout whose outcome never reached us (the gateway didn't answer the transfer request,
+   * or its webhook was lost):
+   * - asks the gateway for the transfer and applies a final status (payoutService.applyTransferOutcome)
+   * - a transfer the gateway has no record of is submitted again under the same reference, so it can
+   *   never go out twice
+   * - a transfer still in progress stays pending for its webhook
+   * Returns { reference, status } with the payout's status afterwards.
+   */
+  async checkPayout({ reference }) {
+    const payout = await payoutService.getPendingPayout(reference);
+    if (!payout) return { reference, status: (await payoutService.getPayout(reference))?.status || "not_found" };
+
+    const adapter = payout.gateway === GATEWAYS.PAYSTACK ? paystackAdapter : flutterwaveAdapter;
+    const transfer = await adapter.verifyTransfer({ reference, transferCode: payout.transferCode });
+
+    if (["success", "failed", "reversed"].includes(transfer.status)) {
+      await payoutService.applyTransferOutcome({ reference, status: transfer.status, reason: transfer.reason, gatewayResponse: transfer.raw });
+      return { reference, status: transfer.status };
+    }
+    if (transfer.status === "pending") {
+      await payoutService.markTransferSubmitted({ reference, transferCode: transfer.transferCode, gatewayResponse: transfer.raw });
+      return { reference, status: "pending" };
+    }
+
+    // not_found / unknown: send it (again) — the gateway refuses a reference it already has
+    const payoutResult = await adapter.payout({
+      recipient: payout.recipientId,
+      amount: payout.amount,
+      reason: `Payout for booking ${payout.bookingId}`,
+      reference,
+    });
+    await recordTransferAnswer(reference, payoutResult);
+    logger.info("checkPayout resubmitted transfer", { reference, status: payoutResult.status });
+    return { reference, status: ["success", "failed"].includes(payoutResult.status) ? payoutResult.status : "pending" };
+  },
+
+  /** checkPayout for every payout left pending longer than `olderThanMs` (jobs/pendingPayoutJob.js) */
+  async checkStalePayouts({ olderThanMs = 30 * 60 * 1000, limit = 50 } = {}) {
+    const stale = await payoutService.listStalePayouts({ olderThanMs, limit });
+    const summary = { checked: 0, settled: 0, pending: 0, errors: 0 };
+    for (const { reference } of stale) {
+      try {
+        const { status } = await this.checkPayout({ reference });
+        summary.checked += 1;
+        if (status === "pending") summary.pending += 1;
+        else summary.settled += 1;
+      } catch (err) {
+        summary.errors += 1;
+        logger.warn("checkPayout failed", { reference, error: err.message });
+      }
     }
+    return summary;
   },
 
   /**
@@ -736,11 +1704,13 @@ const escrowService = {
 
   /**
    * Utility: get escrow + recent transactions for a booking
+   * (milestone bookings: escrow is null and escrows lists one per funded milestone)
    */
   async getEscrowDetails(bookingId) {
-    const escrow = await Escrow.findOne({ bookingId }).lean();
-    const txs = await Transaction.find({ bookingId }).sort({ createdAt: -1 }).lean();
-    return { escrow, transactions: txs };
+    const escrows = await Escrow.find({ bookingId }).sort({ createdAt: 1 });
+    const escrow = escrows.find((e) => !e.milestoneId) || null;
+    const txs = await Transaction.find({ bookingId }).sort({ createdAt: -1 });
+    return { escrow, escrows, transactions: txs };
   },
 };
 
@@ -1,26 +1,43 @@
 import Escrow from "../models/Escrow.js";
 import Booking from "../models/Booking.js";
-import Transaction from "../models/Transaction.js";
 import User from "../models/User.js";
+import Dispute from "../models/Dispute.js";
 import logger from "../utils/logger.js";
 import { recalcTrustScoreJob } from "../jobs/trustScoreJob.js";
+import escrowService from "./escrowService.js";
+
+/** A disputed booking, or one with an open dispute, pays nothing out automatically */
+async function hasOpenDispute(booking) {
+  if (booking.status === "disputed") return true;
+  return Boolean(await Dispute.exists({ bookingId: booking._id, status: { $in: ["open", "under_review"] } }));
+}
 
 /**
- * Release escrow funds to Pro after both reviews or after grace period
+ * Release escrow funds to Pro after both reviews or after grace period.
+ * The grace period starts when the booking is completed (pro check-out or a completed transition);
+ * nothing is released while the booking is disputed or has an open dispute.
+ * The payout itself goes through escrowService.releaseFunds, so booking.paymentReleased / settledAt
+ * are only set once the transfer succeeds.
  */
 export const settleEscrow = async (bookingId) => {
   const booking = await Booking.findById(bookingId);
   if (!booking) throw new Error("Booking not found");
 
-  const escrow = await Escrow.findOne({ bookingId });
+  const escrow = await Escrow.findOne({ bookingId, milestoneId: null });
   if (!escrow) throw new Error("Escrow record not found");
 
-  if (escrow.status === "released") return escrow;
+  if (["releasing", "released"].includes(escrow.state)) return escrow;
+
+  if (await hasOpenDispute(booking)) {
+    logger.info(`⏸️ Payout for booking ${bookingId} held back: open dispute`);
+    return null;
+  }
 
   const now = new Date();
   const gracePeriodMs = 3 * 24 * 60 * 60 * 1000;
-  const completedAt = booking.completedAt || booking.updatedAt || now;
-  const graceExpired = now - new Date(completedAt) > gracePeriodMs;
+  // Bookings completed before completedAt was recorded fall back to their last update
+  const completedAt = booking.completedAt || (booking.status === "completed" ? booking.updatedAt : null);
+  const graceExpired = Boolean(completedAt) && now - new Date(completedAt) > gracePeriodMs;
 
   const customerReviewed = booking.customerReviewed || false;
   const proReviewed = booking.proReviewed || false;
@@ -30,26 +47,15 @@ export const settleEscrow = async (bookingId) => {
     return null;
   }
 
-  // ✅ Release payment
-  escrow.status = "released";
-  escrow.releasedAt = now;
-  await escrow.save();
-
   const pro = await User.findById(booking.proId);
   if (!pro) throw new Error("Pro user not found");
 
-  await Transaction.create({
-    bookingId,
-    userId: booking.proId,
-    type: "payout",
-    amount: escrow.amountHeld,
-    status: "success",
-    reference: `PAYOUT-${booking._id}`,
-  });
-
-  booking.paymentReleased = true;
-  booking.settledAt = now;
-  await booking.save();
+  // ✅ Release payment (real transfer to the pro's payout account)
+  const result = await escrowService.releaseFunds({ bookingId, note: "auto-settlement" });
+  if (!result.success) {
+    logger.warn(`⚠️ Payout transfer failed for booking ${bookingId}`, { reference: result.reference });
+    return null;
+  }
 
   try {
     await recalcTrustScoreJob(booking.customerId);
@@ -58,21 +64,59 @@ export const settleEscrow = async (bookingId) => {
     logger.error("TFBS recalculation failed post-settlement", err);
   }
 
-  logger.info(`✅ Escrow released for booking ${bookingId}`);
-  return escrow;
+  logger.info(`✅ Escrow payout submitted for booking ${bookingId}`, { reference: result.reference, status: result.status });
+  return Escrow.findById(escrow._id);
+};
+
+/**
+ * Release one funded milestone once it is due, its release conditions are met
+ * and the booking is not disputed (status or open dispute).
+ */
+export const settleMilestone = async (bookingId, milestoneId) => {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) throw new Error("Booking not found");
+
+  const milestone = booking.milestones.id(milestoneId);
+  if (!milestone) throw new Error("Milestone not found on booking");
+
+  const escrow = await Escrow.findOne({ bookingId, milestoneId });
+  if (!escrow) throw new Error("Escrow record not found for milestone");
+  if (escrow.state !== "held") return null;
+
+  if (await hasOpenDispute(booking)) {
+    logger.info(`⏸️ Milestone ${milestoneId} on booking ${bookingId} held back: open dispute`);
+    return null;
+  }
+
+  const unmet = booking.unmetMilestoneConditions(milestone);
+  if (unmet.length) {
+    logger.info(`⏳ Milestone ${milestoneId} on booking ${bookingId} not releasable yet`, { unmet });
+    return null;
+  }
+
+  const result = await escrowService.releaseFunds({ bookingId, milestoneId, note: `milestone auto-release: ${milestone.title}` });
+  if (!result.success) {
+    logger.warn(`⚠️ Milestone payout transfer failed for booking ${bookingId}`, { milestoneId, reference: result.reference });
+    return null;
+  }
+
+  logger.info(`✅ Milestone payout submitted for booking ${bookingId}`, { milestoneId, reference: result.reference, status: result.status });
+  return Escrow.findById(escrow._id);
 };
 
 /**
- * Auto-settle pending escrows
+ * Auto-settle pending escrows (milestone escrows are released one by one as they fall due)
  */
 export const autoSettlePendingEscrows = async () => {
-  const pending = await Escrow.find({ status: "held" });
+  const pending = await Escrow.find({ state: "held" });
   let releasedCount = 0;
 
   for (const escrow of pending) {
     try {
-      await settleEscrow(escrow.bookingId);
-      releasedCount++;
+      const settled = escrow.milestoneId
+        ? await settleMilestone(escrow.bookingId, escrow.milestoneId)
+        : await settleEscrow(escrow.bookingId);
+      if (settled) releasedCount++;
     } catch (err) {
       logger.error(`Auto-settle failed for booking ${escrow.bookingId}`, err);
     }
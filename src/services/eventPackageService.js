@@ -0,0 +1,561 @@
+// src/services/eventPackageService.js
+/**
+ * Event packages — several pros booked together for one event (EventPackage)
+ * - A customer plans an event (date, venue, budget) with an item per category — the ones
+ *   /api/openai/plan suggests (DJ, MC, photographer...) — and picks a pro for each, or asks for
+ *   recommendations per category (matchingService.recommendCreatives)
+ * - Each picked pro gets their own Booking (Booking.packageId) holding the slot on their calendar for
+ *   PACKAGE_RESPONSE_HOURS; they accept (booking confirmed) or decline (booking cancelled)
+ * - Partial failure: a pro who declines, lets the invitation lapse (eventPackageJob -> expireInvitations)
+ *   or cancels later only drops their item; the customer gives it to another pro or removes it, and
+ *   the other pros keep their bookings (and their escrows)
+ * - Once every pro has accepted the customer pays once: escrowService.initializeGroupEscrow splits the
+ *   charge into an escrow per booking, each released / refunded on its own; a replacement pro is paid
+ *   for with a later charge covering just their booking
+ * - One timeline per event, shared by the customer and every pro on it: status changes, notes and
+ *   run-of-show entries
+ *
+ * ENV:
+ *   PACKAGE_RESPONSE_HOURS   how long an invited pro has to accept (default 48)
+ *   PACKAGE_MAX_ITEMS        pros one event can have (default 10)
+ */
+import mongoose from "mongoose";
+import EventPackage from "../models/EventPackage.js";
+import Booking from "../models/Booking.js";
+import User from "../models/User.js";
+import { bookSlot } from "./availabilityService.js";
+import cancellationService from "./cancellationService.js";
+import escrowService from "./escrowService.js";
+import { transitionBooking } from "./bookingLifecycleService.js";
+import { recommendCreatives } from "./matchingService.js";
+import domainEvents from "./domainEvents.js";
+import notificationService from "./notificationService.js";
+import logger from "../utils/logger.js";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES, roundMoney, toMinor } from "../utils/money.js";
+
+const MINUTE = 60 * 1000;
+const RESPONSE_HOURS = Number(process.env.PACKAGE_RESPONSE_HOURS || 48);
+const MAX_ITEMS = Number(process.env.PACKAGE_MAX_ITEMS || 10);
+const RECOMMEND_LIMIT = 10;
+
+// Items a pro can still be (re)assigned to
+const REASSIGNABLE = ["open", "declined", "expired", "cancelled"];
+// Item bookings whose pro is still on the event
+const LIVE_BOOKINGS = ["pending", "confirmed"];
+const FUNDED = ["escrowed", "partially_settled", "released"];
+
+function packageError(message, status, code) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+const sameId = (a, b) => String(a) === String(b);
+const userId = (user) => String(user?.id || user?._id);
+
+function notify(userId, title, message, meta) {
+  return notificationService.sendNotification({ userId, type: "event_package", title, message, meta });
+}
+
+async function findPackage(packageId) {
+  if (!mongoose.isValidObjectId(packageId)) throw packageError("Event not found", 404, "PACKAGE_NOT_FOUND");
+  const pkg = await EventPackage.findById(packageId);
+  if (!pkg) throw packageError("Event not found", 404, "PACKAGE_NOT_FOUND");
+  return pkg;
+}
+
+/** "customer" | "pro" | "admin" for a user on a package; pros only while (or after) they are on an item */
+function roleOn(pkg, user) {
+  const id = userId(user);
+  if (sameId(pkg.customerId, id)) return "customer";
+  if (user?.role === "admin") return "admin";
+  if (pkg.items.some((item) => item.proId && sameId(item.proId, id))) return "pro";
+  throw packageError("Not part of this event", 403, "PACKAGE_FORBIDDEN");
+}
+
+function assertCustomer(pkg, user) {
+  if (roleOn(pkg, user) === "pro") throw packageError("Only the customer can do that", 403, "PACKAGE_FORBIDDEN");
+}
+
+function assertOpen(pkg) {
+  if (pkg.status === "cancelled") throw packageError("This event is cancelled", 409, "PACKAGE_CANCELLED");
+  if (pkg.eventDate <= new Date()) throw packageError("This event has already started", 409, "PACKAGE_LOCKED");
+}
+
+function findItem(pkg, itemId) {
+  const item = mongoose.isValidObjectId(itemId) ? pkg.items.id(itemId) : null;
+  if (!item) throw packageError("Item not found", 404, "PACKAGE_ITEM_NOT_FOUND");
+  return item;
+}
+
+/** Pros on the event right now (invited or accepted) */
+const proIdsOn = (pkg) => pkg.activeItems().filter((item) => item.proId).map((item) => item.proId);
+
+function addTimeline(pkg, entry) {
+  pkg.timeline.push({ kind: "status", by: "system", ...entry, at: new Date() });
+}
+
+function assertBudget(pkg) {
+  if (pkg.budget === null || pkg.budget === undefined) return;
+  const total = pkg.activeItems().reduce((sum, item) => sum + toMinor(item.amount || 0, pkg.currency), 0);
+  if (total > toMinor(pkg.budget, pkg.currency)) throw packageError("The pros' fees add up to more than the budget", 400, "PACKAGE_OVER_BUDGET");
+}
+
+/**
+ * Book a pro for an item: their slot is held for RESPONSE_HOURS (never past the event) on a pending
+ * Booking they accept or decline. Caller saves the package.
+ */
+async function inviteItem(pkg, item, { proId, amount }) {
+  if (!mongoose.isValidObjectId(proId) || sameId(proId, pkg.customerId)) throw packageError("Invalid pro id", 400, "PACKAGE_INVALID");
+  if (proIdsOn(pkg).some((id) => sameId(id, proId))) throw packageError("That pro is already on this event", 409, "PACKAGE_PRO_TAKEN");
+  const pro = await User.findOne({ _id: proId, role: "pro" }).select("_id").lean();
+  if (!pro) throw packageError("Pro not found", 404, "PRO_NOT_FOUND");
+
+  const price = roundMoney(Number(amount ?? item.amount), pkg.currency);
+  if (!(price > 0)) throw packageError("Each pro needs a positive amount", 400, "PACKAGE_INVALID");
+
+  const respondBy = new Date(Math.min(Date.now() + RESPONSE_HOURS * 60 * MINUTE, pkg.eventDate.getTime()));
+  const { booking } = await bookSlot({
+    customerId: pkg.customerId,
+    proId,
+    start: pkg.eventDate,
+    end: new Date(pkg.eventDate.getTime() + pkg.durationMinutes * MINUTE),
+    holdMinutes: Math.max(1, Math.ceil((respondBy.getTime() - Date.now()) / MINUTE)),
+    booking: {
+      totalAmount: price,
+      currency: pkg.currency,
+      packageId: pkg._id,
+      metadata: { title: pkg.title, location: pkg.venue, category: item.category, packageId: pkg._id },
+    },
+  });
+
+  if (item.bookingId) item.history.push({ proId: item.proId, bookingId: item.bookingId, status: item.status, at: new Date() });
+  Object.assign(item, { proId, bookingId: booking._id, amount: price, status: "invited", respondBy, respondedAt: null, reason: "" });
+  addTimeline(pkg, { message: `A ${item.category} was invited`, itemId: item._id, by: "customer" });
+  await notify(proId, "Event invitation", `You're invited as ${item.category} for "${pkg.title}" on ${pkg.eventDate.toDateString()}`, {
+    packageId: pkg._id,
+    bookingId: booking._id,
+    respondBy,
+  });
+  return booking;
+}
+
+/**
+ * Move the item holding `bookingId` from one of `from` to `to` and log it on the timeline, in one
+ * atomic update (the booking listeners and the services may both get here; only the first one does).
+ * Returns the updated package, or null when the item wasn't in `from`.
+ */
+async function markItem(bookingId, from, to, { message, by = "system", reason = "" }) {
+  const now = new Date();
+  const pkg = await EventPackage.findOneAndUpdate(
+    { items: { $elemMatch: { bookingId, status: { $in: from } } } },
+    {
+      $set: { "items.$.status": to, "items.$.respondedAt": now, "items.$.reason": reason },
+      $push: { timeline: { kind: "status", message, by, at: now } },
+    },
+    { new: true }
+  );
+  if (pkg) await syncStatus(pkg);
+  return pkg;
+}
+
+/** planning (pros still missing / deciding) -> ready (all accepted) -> booked (all paid); persisted when it changes */
+async function syncStatus(pkg) {
+  if (pkg.status === "cancelled") return pkg;
+  const active = pkg.activeItems();
+  let status = "planning";
+  if (active.length && active.every((item) => item.status === "accepted")) {
+    const unpaid = await Booking.countDocuments({ _id: { $in: active.map((item) => item.bookingId) }, paymentStatus: { $nin: FUNDED } });
+    status = unpaid ? "ready" : "booked";
+  }
+  if (status !== pkg.status) {
+    await EventPackage.updateOne({ _id: pkg._id, status: { $ne: "cancelled" } }, { $set: { status } });
+    pkg.status = status;
+  }
+  return pkg;
+}
+
+/**
+ * The package as `role` may see it: pros see every item but only their own fee.
+ * `schedule` is the run-of-show (timeline entries with startsAt), in running order.
+ */
+function viewFor(pkg, role, user) {
+  const view = pkg.toObject();
+  if (role === "pro") {
+    view.budget = undefined;
+    view.payments = undefined;
+    view.items = view.items.map((item) => (item.proId && sameId(item.proId, userId(user)) ? item : { ...item, amount: undefined, history: undefined }));
+  }
+  view.schedule = view.timeline.filter((entry) => entry.startsAt).sort((a, b) => a.startsAt - b.startsAt);
+  return view;
+}
+
+/* ---------- Planning ---------- */
+
+/**
+ * Customer plans an event.
+ * Body: { title, description, eventDate, durationMinutes, venue, budget, currency,
+ *         items: [{ category, proId, amount }] } — items without a pro stay open to be filled later
+ * A pro whose calendar is busy leaves their item open, with the reason; the event is still created.
+ * Returns the package.
+ */
+export async function createPackage(customerId, body = {}) {
+  const eventDate = new Date(body.eventDate);
+  if (Number.isNaN(eventDate.getTime()) || eventDate <= new Date()) throw packageError("eventDate must be in the future", 400, "PACKAGE_INVALID");
+  const durationMinutes = Number(body.durationMinutes);
+  if (!(durationMinutes >= 15)) throw packageError("durationMinutes must be at least 15", 400, "PACKAGE_INVALID");
+  const currency = body.currency || PLATFORM_CURRENCY;
+  if (!SUPPORTED_CURRENCIES.includes(currency)) throw packageError(`Unsupported currency ${currency}`, 400, "PACKAGE_INVALID");
+  const budget = body.budget === undefined || body.budget === null || body.budget === "" ? null : roundMoney(Number(body.budget), currency);
+  if (budget !== null && !(budget >= 0)) throw packageError("budget must be 0 or more", 400, "PACKAGE_INVALID");
+
+  const items = Array.isArray(body.items) ? body.items : [];
+  if (!items.length) throw packageError("An event needs at least one item", 400, "PACKAGE_INVALID");
+  if (items.length > MAX_ITEMS) throw packageError(`An event can have at most ${MAX_ITEMS} items`, 400, "PACKAGE_INVALID");
+
+  const pkg = new EventPackage({
+    customerId,
+    title: body.title,
+    description: body.description || "",
+    eventDate,
+    durationMinutes,
+    venue: body.venue || "",
+    budget,
+    currency,
+    items: items.map((i) => ({ category: i.category, amount: i.amount ? roundMoney(Number(i.amount), currency) : 0 })),
+  });
+  assertBudget(pkg);
+  addTimeline(pkg, { message: "Event created", by: "customer", userId: customerId });
+  await pkg.save();
+
+  for (const [index, { proId }] of items.entries()) {
+    if (!proId) continue;
+    const item = pkg.items[index];
+    try {
+      await inviteItem(pkg, item, { proId });
+    } catch (err) {
+      if (!err.status) throw err;
+      item.reason = err.message;
+      logger.warn("Event package pro not booked; item left open", { packageId: pkg._id, category: item.category, error: err.message });
+    }
+  }
+  await pkg.save();
+  logger.info("Event package created", { packageId: pkg._id, items: pkg.items.length });
+  return pkg;
+}
+
+/** Package with its timeline, for the customer, a pro on it or an admin */
+export async function getPackage(packageId, user) {
+  const pkg = await findPackage(packageId);
+  const role = roleOn(pkg, user);
+  await syncStatus(pkg);
+  return viewFor(pkg, role, user);
+}
+
+/** Events the user planned (customer) or is booked on (pro), newest first */
+export async function listPackages(user, { status } = {}) {
+  const id = user.id || user._id;
+  const filter = user.role === "pro" ? { "items.proId": id } : { customerId: id };
+  if (status) filter.status = status;
+  const packages = await EventPackage.find(filter).sort({ eventDate: 1 }).limit(100);
+  return packages.map((pkg) => viewFor(pkg, user.role === "pro" ? "pro" : "customer", user));
+}
+
+/**
+ * Pros suggested for the event's items still without a pro (or for `category`), best match first;
+ * pros already on the event are left out. Returns { [category]: [match] }.
+ */
+export async function recommendForPackage(packageId, user, { category } = {}) {
+  const pkg = await findPackage(packageId);
+  assertCustomer(pkg, user);
+  const categories = category
+    ? [String(category).toLowerCase()]
+    : [...new Set(pkg.items.filter((item) => REASSIGNABLE.includes(item.status)).map((item) => item.category))];
+  const taken = new Set(proIdsOn(pkg).map(String));
+
+  const result = {};
+  for (const cat of categories) {
+    const item = pkg.items.find((i) => i.category === cat);
+    const matches = await recommendCreatives({
+      tags: [cat],
+      budgetMin: 0,
+      budgetMax: item?.amount || pkg.budget || Infinity,
+      location: pkg.venue || null,
+      bookingDate: pkg.eventDate,
+      limit: RECOMMEND_LIMIT,
+      useAI: false,
+    });
+    result[cat] = matches.filter((m) => !taken.has(String(m.userId)) && !sameId(m.userId, pkg.customerId));
+  }
+  return result;
+}
+
+/**
+ * Add an item (and optionally book its pro straight away).
+ * Body: { category, proId, amount }. Returns { package, item }.
+ */
+export async function addItem(packageId, user, { category, proId, amount } = {}) {
+  const pkg = await findPackage(packageId);
+  assertCustomer(pkg, user);
+  assertOpen(pkg);
+  if (pkg.activeItems().length >= MAX_ITEMS) throw packageError(`An event can have at most ${MAX_ITEMS} items`, 400, "PACKAGE_INVALID");
+
+  pkg.items.push({ category, amount: amount ? roundMoney(Number(amount), pkg.currency) : 0 });
+  const item = pkg.items[pkg.items.length - 1];
+  assertBudget(pkg);
+  await pkg.validate();
+  if (proId) await inviteItem(pkg, item, { proId, amount });
+  addTimeline(pkg, { message: `${item.category} added`, itemId: item._id, by: "customer" });
+  await pkg.save();
+  return { package: await syncStatus(pkg), item };
+}
+
+/**
+ * Give an item to a pro — first pick, or a replacement after a decline, lapse or cancellation.
+ * Body: { proId, amount }. Returns { package, item, booking }.
+ */
+export async function assignItem(packageId, itemId, user, { proId, amount } = {}) {
+  const pkg = await findPackage(packageId);
+  assertCustomer(pkg, user);
+  assertOpen(pkg);
+  const item = findItem(pkg, itemId);
+  if (!REASSIGNABLE.includes(item.status)) throw packageError(`This item is ${item.status}`, 409, "PACKAGE_ITEM_TAKEN");
+
+  const previous = item.amount;
+  if (amount !== undefined) item.amount = roundMoney(Number(amount), pkg.currency);
+  item.status = "open";
+  try {
+    assertBudget(pkg);
+  } catch (err) {
+    item.amount = previous;
+    throw err;
+  }
+  const booking = await inviteItem(pkg, item, { proId, amount: item.amount });
+  await pkg.save();
+  return { package: await syncStatus(pkg), item, booking };
+}
+
+/**
+ * Drop an item from the event. Its booking, if still on, is cancelled under the pro's cancellation policy.
+ * Body: { reason }. Returns { package, item, cancellation }.
+ */
+export async function removeItem(packageId, itemId, user, { reason = "" } = {}) {
+  const pkg = await findPackage(packageId);
+  assertCustomer(pkg, user);
+  assertOpen(pkg);
+  const item = findItem(pkg, itemId);
+  if (item.status === "removed") throw packageError("This item is already removed", 409, "PACKAGE_ITEM_REMOVED");
+
+  const booking = item.bookingId ? await Booking.findById(item.bookingId).select("status proId") : null;
+  let cancellation = null;
+  // Claim the item first so the cancellation listener leaves it alone
+  const wasOn = ["invited", "accepted"].includes(item.status);
+  item.status = "removed";
+  item.reason = reason;
+  addTimeline(pkg, { message: `${item.category} removed from the event`, itemId: item._id, by: "customer", userId: userId(user) });
+  await pkg.save();
+
+  if (wasOn && booking && LIVE_BOOKINGS.includes(booking.status)) {
+    ({ quote: cancellation } = await cancellationService.cancelBooking(booking._id, { user, reason: reason || "removed from the event" }));
+    await notify(booking.proId, "Removed from event", `You're no longer booked for "${pkg.title}"`, { packageId: pkg._id, bookingId: booking._id });
+  }
+  return { package: await syncStatus(pkg), item, cancellation };
+}
+
+/**
+ * The invited pro accepts (booking confirmed, slot booked) or declines (booking cancelled) their item.
+ * Body: { accept: true | false, reason }. Returns the package as the pro sees it.
+ */
+export async function respondToItem(packageId, itemId, user, { accept, reason = "" } = {}) {
+  const pkg = await findPackage(packageId);
+  const item = findItem(pkg, itemId);
+  if (!item.proId || !sameId(item.proId, userId(user))) throw packageError("This invitation is not yours", 403, "PACKAGE_FORBIDDEN");
+  if (item.status !== "invited") throw packageError(`This invitation is ${item.status}`, 409, "PACKAGE_ITEM_CLOSED");
+  if (pkg.status === "cancelled") throw packageError("This event is cancelled", 409, "PACKAGE_CANCELLED");
+
+  if (accept) {
+    await transitionBooking(item.bookingId, "confirmed", { user, reason: "event invitation accepted" });
+    await markItem(item.bookingId, ["invited"], "accepted", { message: `The ${item.category} accepted`, by: "pro" });
+  } else {
+    await cancellationService.cancelBooking(item.bookingId, { user, reason: reason || "event invitation declined" });
+    await markItem(item.bookingId, ["invited"], "declined", { message: `The ${item.category} declined`, by: "pro", reason });
+  }
+  return viewFor(await findPackage(packageId), "pro", user);
+}
+
+/**
+ * Post to the event timeline; everyone else on the event is notified.
+ * Body: { message, startsAt } — startsAt makes it a run-of-show entry ("Sound check 16:00").
+ * Returns the entry.
+ */
+export async function addTimelineEntry(packageId, user, { message, startsAt } = {}) {
+  const pkg = await findPackage(packageId);
+  const role = roleOn(pkg, user);
+  if (role === "pro" && !proIdsOn(pkg).some((id) => sameId(id, userId(user)))) {
+    throw packageError("You're no longer on this event", 403, "PACKAGE_FORBIDDEN");
+  }
+  if (!String(message || "").trim()) throw packageError("message is required", 400, "PACKAGE_INVALID");
+  const when = startsAt ? new Date(startsAt) : null;
+  if (when && Number.isNaN(when.getTime())) throw packageError("startsAt must be a date", 400, "PACKAGE_INVALID");
+
+  pkg.timeline.push({ kind: when ? "schedule" : "note", message: String(message).trim(), startsAt: when, by: role, userId: userId(user) });
+  await pkg.save();
+  const entry = pkg.timeline[pkg.timeline.length - 1];
+
+  const audience = [pkg.customerId, ...proIdsOn(pkg)].filter((id) => !sameId(id, userId(user)));
+  for (const id of audience) {
+    await notify(id, `Update on "${pkg.title}"`, entry.message, { packageId: pkg._id, timelineEntryId: entry._id });
+  }
+  return entry;
+}
+
+/* ---------- Payment ---------- */
+
+/**
+ * One payment for every accepted pro not paid for yet, split into an escrow per booking
+ * (escrowService.initializeGroupEscrow). Every pro on the event must have accepted first.
+ * Body: { gateway, email }. Returns the group charge ({ authorizationUrl, reference, amount, escrows... }).
+ */
+export async function payPackage(packageId, user, { gateway = escrowService.GATEWAYS.PAYSTACK, email } = {}) {
+  const pkg = await findPackage(packageId);
+  assertCustomer(pkg, user);
+  assertOpen(pkg);
+  const active = pkg.activeItems();
+  if (!active.length || active.some((item) => item.status !== "accepted")) {
+    throw packageError("Every pro on the event has to accept before paying", 409, "PACKAGE_NOT_READY");
+  }
+
+  const bookings = await Booking.find({ _id: { $in: active.map((item) => item.bookingId) }, paymentStatus: { $in: ["unpaid", "failed", "pending"] } })
+    .select("_id totalAmountMinor currency");
+  if (!bookings.length) throw packageError("This event is already paid for", 409, "PACKAGE_PAID");
+
+  const customer = email ? null : await User.findById(pkg.customerId).select("email").lean();
+  const payment = await escrowService.initializeGroupEscrow({
+    groupId: pkg._id,
+    parts: bookings.map((b) => ({ bookingId: b._id, amount: b.totalAmount })),
+    email: email || customer?.email,
+    gateway,
+    metadata: { packageId: String(pkg._id) },
+  });
+  if (!payment?.success) throw packageError("The payment could not be started", 502, "PACKAGE_PAYMENT_FAILED");
+
+  pkg.payments.push({ reference: payment.reference, amount: payment.amount, bookingIds: bookings.map((b) => b._id), at: new Date() });
+  addTimeline(pkg, { message: `Payment started for ${bookings.length} pro(s)`, by: "customer" });
+  await pkg.save();
+  return payment;
+}
+
+/* ---------- Cancellation ---------- */
+
+/**
+ * Cancel the whole event: every booking still on is cancelled under its pro's cancellation policy.
+ * Body: { reason }. Returns { package, cancelled: [{ bookingId, refund }], failed: [{ bookingId, error }] }.
+ */
+export async function cancelPackage(packageId, user, { reason = "" } = {}) {
+  const existing = await findPackage(packageId);
+  assertCustomer(existing, user);
+  const pkg = await EventPackage.findOneAndUpdate(
+    { _id: existing._id, status: { $ne: "cancelled" } },
+    {
+      $set: { status: "cancelled", cancelledAt: new Date(), cancelReason: reason },
+      $push: { timeline: { kind: "status", message: "Event cancelled", by: "customer", at: new Date() } },
+    },
+    { new: true }
+  );
+  if (!pkg) throw packageError("This event is already cancelled", 409, "PACKAGE_CANCELLED");
+
+  const cancelled = [];
+  const failed = [];
+  for (const item of pkg.activeItems()) {
+    if (!item.bookingId) continue;
+    try {
+      const booking = await Booking.findById(item.bookingId).select("status proId");
+      if (booking && LIVE_BOOKINGS.includes(booking.status)) {
+        const { quote } = await cancellationService.cancelBooking(booking._id, { user, reason: reason || "event cancelled" });
+        cancelled.push({ bookingId: booking._id, refund: quote.refund });
+      }
+      item.status = "cancelled";
+      await notify(item.proId, "Event cancelled", `"${pkg.title}" was cancelled`, { packageId: pkg._id, bookingId: item.bookingId });
+    } catch (err) {
+      failed.push({ bookingId: item.bookingId, error: err.message });
+      logger.warn("Event package booking cancellation failed", { packageId, bookingId: item.bookingId, error: err.message });
+    }
+  }
+  await pkg.save();
+  logger.info("Event package cancelled", { packageId, cancelled: cancelled.length, failed: failed.length });
+  return { package: pkg, cancelled, failed };
+}
+
+/**
+ * Invitations past their respond-by time (eventPackageJob): the item expires, the booking is cancelled
+ * and the customer is asked to pick another pro. Returns the number expired.
+ */
+export async function expireInvitations(now = new Date()) {
+  const packages = await EventPackage.find({ status: { $ne: "cancelled" }, items: { $elemMatch: { status: "invited", respondBy: { $lte: now } } } })
+    .select("_id customerId title items.bookingId items.status items.respondBy items.category items.proId")
+    .lean();
+
+  let expired = 0;
+  for (const pkg of packages) {
+    for (const item of pkg.items) {
+      if (item.status !== "invited" || !(item.respondBy <= now)) continue;
+      const marked = await markItem(item.bookingId, ["invited"], "expired", { message: `The ${item.category} didn't answer in time` });
+      if (!marked) continue;
+      expired++;
+      try {
+        await cancellationService.cancelBooking(item.bookingId, { reason: "event invitation expired" });
+      } catch (err) {
+        logger.warn("Expired event invitation booking not cancelled", { packageId: pkg._id, bookingId: item.bookingId, error: err.message });
+      }
+      await notify(pkg.customerId, "Pick another pro", `The ${item.category} for "${pkg.title}" didn't answer; choose someone else`, {
+        packageId: pkg._id,
+        itemId: item._id,
+      });
+    }
+  }
+  return expired;
+}
+
+/* ---------- Booking events ---------- */
+
+// Item bookings confirmed or cancelled outside the package endpoints (booking routes, refunds, admins)
+domainEvents.on("booking.confirmed", async ({ bookingId, actorRole }) => {
+  const pkg = await markItem(bookingId, ["invited"], "accepted", { message: "A pro accepted", by: actorRole });
+  if (pkg) {
+    const item = pkg.itemForBooking(bookingId);
+    await notify(pkg.customerId, "Pro accepted", `The ${item.category} accepted "${pkg.title}"`, { packageId: pkg._id, bookingId });
+  }
+});
+
+domainEvents.on("booking.cancelled", async ({ bookingId, actorRole, reason }) => {
+  const declined = actorRole === "pro";
+  const pkg = await markItem(bookingId, ["invited", "accepted"], declined ? "declined" : "cancelled", {
+    message: declined ? "A pro dropped out" : "A pro's booking was cancelled",
+    by: actorRole,
+    reason,
+  });
+  if (pkg && pkg.status !== "cancelled") {
+    const item = pkg.itemForBooking(bookingId);
+    await notify(pkg.customerId, "A pro dropped out", `The ${item.category} is no longer booked for "${pkg.title}"; choose someone else`, {
+      packageId: pkg._id,
+      itemId: item._id,
+      bookingId,
+    });
+  }
+});
+
+export default {
+  createPackage,
+  getPackage,
+  listPackages,
+  recommendForPackage,
+  addItem,
+  assignItem,
+  removeItem,
+  respondToItem,
+  addTimelineEntry,
+  payPackage,
+  cancelPackage,
+  expireInvitations,
+};
@@ -0,0 +1,167 @@
+// src/services/fxService.js
+/**
+ * Exchange rates for reporting.
+ * - getRate(): 1 `from` = rate `to`, from the in-process cache, the stored ExchangeRate rows, the provider,
+ *   FX_RATES or (last resort) the newest stored rate however old it is
+ * - snapshotFor(): the rate frozen onto a booking when it is created (Booking.fx); reports convert
+ *   with that snapshot so historic numbers don't move with the market. It runs inside booking creation
+ *   (often a transaction holding a slot), so it takes the cached / stored rate and refreshes a stale one
+ *   in the background; the provider is only waited on (FX_TIMEOUT_MS at most) for a pair never seen before
+ * Money is never converted for charging or paying out — a booking is charged, held and released in
+ * its own currency.
+ *
+ * ENV:
+ *   FX_API_URL          provider base URL, rates for a base at `${FX_API_URL}/${base}` (default open.er-api.com)
+ *   FX_MAX_AGE_HOURS    how long a stored rate is fresh (default 12)
+ *   FX_TIMEOUT_MS       how long to wait for the provider (default 3000)
+ *   FX_RATES            static fallback, JSON { "USD_NGN": 1500, "GHS_NGN": 120 }
+ */
+import ExchangeRate from "../models/ExchangeRate.js";
+import logger from "../utils/logger.js";
+import { PLATFORM_CURRENCY, normalizeCurrency, convertMoney } from "../utils/money.js";
+
+const FX_API_URL = process.env.FX_API_URL || "https://open.er-api.com/v6/latest";
+const MAX_AGE_MS = Number(process.env.FX_MAX_AGE_HOURS || 12) * 60 * 60 * 1000;
+const TIMEOUT_MS = Number(process.env.FX_TIMEOUT_MS || 3000);
+
+// Newest rate seen per pair ("USD_NGN" -> { base, quote, rate, source, fetchedAt }), and refreshes in flight
+const cache = new Map();
+const refreshing = new Map();
+
+const isFresh = (fetchedAt, maxAgeMs = MAX_AGE_MS) => Date.now() - new Date(fetchedAt).getTime() <= maxAgeMs;
+
+function remember({ base, quote, rate, source, fetchedAt }) {
+  const cached = cache.get(`${base}_${quote}`);
+  if (!cached || new Date(cached.fetchedAt) <= new Date(fetchedAt)) cache.set(`${base}_${quote}`, { base, quote, rate, source, fetchedAt });
+  return { base, quote, rate, source, fetchedAt, stale: !isFresh(fetchedAt) };
+}
+
+function staticRate(from, to) {
+  let table;
+  try {
+    table = JSON.parse(process.env.FX_RATES || "{}");
+  } catch (err) {
+    logger.warn("FX_RATES is not valid JSON");
+    return null;
+  }
+  if (table[`${from}_${to}`] > 0) return Number(table[`${from}_${to}`]);
+  if (table[`${to}_${from}`] > 0) return 1 / Number(table[`${to}_${from}`]);
+  return null;
+}
+
+/** Provider response: { result: "success", rates: { NGN: 1530.2, ... } } */
+async function fetchProviderRate(from, to) {
+  const res = await fetch(`${FX_API_URL}/${encodeURIComponent(from)}`, { signal: AbortSignal.timeout(TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`FX provider returned ${res.status}`);
+  const data = await res.json();
+  const rate = Number(data?.rates?.[to]);
+  if (!(rate > 0)) throw new Error(`FX provider has no ${from}/${to} rate`);
+  return rate;
+}
+
+/** Newest rate we already have for the pair (cache, then ExchangeRate rows), however old; null when none */
+async function knownRate(base, quote, { session = null } = {}) {
+  const cached = cache.get(`${base}_${quote}`);
+  if (cached && isFresh(cached.fetchedAt)) return remember(cached);
+
+  const latest = await ExchangeRate.findOne({ base, quote }).sort({ fetchedAt: -1 }).session(session).lean();
+  if (latest) return remember(latest);
+  return cached ? remember(cached) : null;
+}
+
+/** Store a rate (provider / env / manual) and make it the cached rate for the pair */
+async function storeRate(base, quote, rate, source, { session = null } = {}) {
+  const [row] = await ExchangeRate.create([{ base, quote, rate, source }], { session });
+  return remember(row);
+}
+
+/**
+ * 1 `from` = rate `to`.
+ * Returns { base, quote, rate, source, fetchedAt, stale } or null when no rate is known at all.
+ * `session` keeps the ExchangeRate reads / writes inside the caller's transaction.
+ */
+export async function getRate(from, to = PLATFORM_CURRENCY, { maxAgeMs = MAX_AGE_MS, session = null } = {}) {
+  const base = normalizeCurrency(from);
+  const quote = normalizeCurrency(to);
+  if (base === quote) return { base, quote, rate: 1, source: "identity", fetchedAt: new Date(), stale: false };
+
+  const latest = await knownRate(base, quote, { session });
+  if (latest && isFresh(latest.fetchedAt, maxAgeMs)) return latest;
+
+  try {
+    const rate = await fetchProviderRate(base, quote);
+    return await storeRate(base, quote, rate, "provider", { session });
+  } catch (err) {
+    logger.warn("FX provider lookup failed", { base, quote, error: err.message });
+  }
+
+  const fallback = staticRate(base, quote);
+  if (fallback) return storeRate(base, quote, fallback, "env", { session });
+
+  if (latest) {
+    logger.warn("Using stale exchange rate", { base, quote, fetchedAt: latest.fetchedAt });
+    return { ...latest, stale: true };
+  }
+  return null;
+}
+
+/** Fetch a fresh rate for the pair without anyone waiting on it (one refresh per pair at a time) */
+function refreshInBackground(base, quote) {
+  const key = `${base}_${quote}`;
+  if (refreshing.has(key)) return refreshing.get(key);
+  const refresh = getRate(base, quote, { maxAgeMs: 0 })
+    .catch((err) => logger.warn("FX background refresh failed", { base, quote, error: err.message }))
+    .finally(() => refreshing.delete(key));
+  refreshing.set(key, refresh);
+  return refresh;
+}
+
+/** Record a rate by hand (admin override); it becomes the cached rate for the pair */
+export async function setRate(from, to, rate, { source = "manual" } = {}) {
+  if (!(Number(rate) > 0)) throw new Error("Exchange rate must be greater than zero");
+  const row = await ExchangeRate.create({ base: normalizeCurrency(from), quote: normalizeCurrency(to), rate: Number(rate), source });
+  remember(row);
+  return row;
+}
+
+/**
+ * Snapshot for a booking: { currency, reportingCurrency, rate, source, rateAt, capturedAt }.
+ * Takes the cached / stored rate (a stale one is used as is and refreshed in the background); only a pair
+ * with no rate at all waits on the provider. Pass the booking's `session` when it is saved in a transaction.
+ * Resolves to null when no rate is available — a booking is never blocked on FX.
+ */
+export async function snapshotFor(currency, { reportingCurrency = PLATFORM_CURRENCY, session = null } = {}) {
+  try {
+    const base = normalizeCurrency(currency);
+    const quote = normalizeCurrency(reportingCurrency);
+    let fx = base === quote ? null : await knownRate(base, quote, { session });
+    if (fx?.stale) refreshInBackground(base, quote);
+    if (!fx) fx = await getRate(base, quote, { session });
+    if (!fx) return null;
+    return {
+      currency: fx.base,
+      reportingCurrency: fx.quote,
+      rate: fx.rate,
+      source: fx.stale ? `${fx.source}:stale` : fx.source,
+      rateAt: fx.fetchedAt,
+      capturedAt: new Date(),
+    };
+  } catch (err) {
+    logger.warn("FX snapshot failed", { currency, error: err.message });
+    return null;
+  }
+}
+
+/** Convert with a snapshot; null when the snapshot is missing or for another currency pair (amounts already in the reporting currency pass through) */
+export function toReporting(amount, currency, snapshot) {
+  if (currency === (snapshot?.reportingCurrency || PLATFORM_CURRENCY)) return amount;
+  if (!snapshot || snapshot.currency !== currency) return null;
+  return convertMoney(amount, snapshot.rate, snapshot.reportingCurrency);
+}
+
+export default {
+  getRate,
+  setRate,
+  snapshotFor,
+  toReporting,
+};
@@ -0,0 +1,417 @@
+// src/services/gigService.js
+/**
+ * Public gig board
+ * - A customer posts an event brief (Gig): category, date, location, budget range, required skills and
+ *   a bidding deadline; the best-matching pros (matchingService.recommendCreatives) are notified
+ * - Pros browse open gigs (all, or the ones matching their skills / category) and bid; a bid can be
+ *   revised or withdrawn while bidding is open
+ * - The customer shortlists bids and accepts one: the booking is created on the pro's calendar
+ *   (availabilityService.bookSlot) at the bid amount, and every other bid is rejected
+ * - Bidding closes at the deadline (gigDeadlineJob -> closeExpiredGigs) or when a bid is accepted;
+ *   after the deadline the customer can still accept a bid until the event date, then the gig expires
+ *
+ * ENV:
+ *   GIG_BIDDING_DAYS        default bidding window when no deadline is given (default 7)
+ *   GIG_NOTIFY_LIMIT        matching pros notified about a new gig (default 20)
+ *   GIG_MATCH_MIN_SCORE     minimum match score (0..100) for a pro to be notified (default 50)
+ */
+import mongoose from "mongoose";
+import Gig from "../models/Gig.js";
+import Bid from "../models/Bid.js";
+import User from "../models/User.js";
+import { bookSlot } from "./availabilityService.js";
+import { recommendCreatives } from "./matchingService.js";
+import notificationService from "./notificationService.js";
+import logger from "../utils/logger.js";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES, roundMoney } from "../utils/money.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BIDDING_DAYS = Number(process.env.GIG_BIDDING_DAYS || 7);
+const NOTIFY_LIMIT = Number(process.env.GIG_NOTIFY_LIMIT || 20);
+const MATCH_MIN_SCORE = Number(process.env.GIG_MATCH_MIN_SCORE || 50);
+const MAX_SKILLS = 20;
+const PAGE_LIMIT = 50;
+
+// Bids still in the running
+const ACTIVE_BIDS = ["submitted", "shortlisted"];
+// Gigs a customer can still award
+const AWARDABLE = ["open", "bidding_closed"];
+
+function gigError(message, status, code) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+const sameId = (a, b) => String(a) === String(b);
+const userId = (user) => String(user?.id || user?._id);
+
+function notify(userId, title, message, meta) {
+  return notificationService.sendNotification({ userId, type: "gig", title, message, meta });
+}
+
+const skillList = (skills) =>
+  [...new Set((Array.isArray(skills) ? skills : String(skills || "").split(",")).map((s) => String(s).trim().toLowerCase()).filter(Boolean))];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+async function findGig(gigId) {
+  if (!mongoose.isValidObjectId(gigId)) throw gigError("Gig not found", 404, "GIG_NOT_FOUND");
+  const gig = await Gig.findById(gigId);
+  if (!gig) throw gigError("Gig not found", 404, "GIG_NOT_FOUND");
+  return gig;
+}
+
+function assertOwner(gig, user) {
+  if (!sameId(gig.customerId, userId(user))) throw gigError("Only the customer who posted this gig can do that", 403, "GIG_FORBIDDEN");
+}
+
+const biddingOpen = (gig, now = new Date()) => gig.status === "open" && gig.biddingDeadline > now;
+
+/** Notify the best-matching pros about a new gig; failures are logged, never thrown */
+async function notifyMatchingPros(gig) {
+  try {
+    const matches = await recommendCreatives({
+      tags: gig.requiredSkills.length ? gig.requiredSkills : [gig.category],
+      budgetMin: gig.budgetMin,
+      budgetMax: gig.budgetMax,
+      location: gig.location,
+      bookingDate: gig.eventDate,
+      limit: NOTIFY_LIMIT,
+      useAI: false,
+    });
+    const proIds = matches.filter((m) => m.score >= MATCH_MIN_SCORE && !sameId(m.userId, gig.customerId)).map((m) => m.userId);
+
+    for (const proId of proIds) {
+      await notify(proId, "New gig near you", `"${gig.title}" on ${gig.eventDate.toDateString()} in ${gig.location}`, { gigId: gig._id });
+    }
+    await Gig.updateOne({ _id: gig._id }, { $addToSet: { notifiedProIds: { $each: proIds } } });
+    return proIds;
+  } catch (err) {
+    logger.warn("Gig match notifications failed", { gigId: gig._id, error: err.message });
+    return [];
+  }
+}
+
+/* ---------- Gigs ---------- */
+
+/**
+ * Customer posts a gig.
+ * Body: { title, description, category, requiredSkills, eventDate, durationMinutes, location,
+ *         budgetMin, budgetMax, currency, biddingDeadline }
+ */
+export async function createGig(customerId, body = {}) {
+  const now = new Date();
+  const eventDate = new Date(body.eventDate);
+  if (Number.isNaN(eventDate.getTime()) || eventDate <= now) throw gigError("eventDate must be in the future", 400, "GIG_INVALID");
+
+  const budgetMin = Number(body.budgetMin);
+  const budgetMax = Number(body.budgetMax ?? body.budgetMin);
+  if (!(budgetMin >= 0) || !(budgetMax > 0) || budgetMax < budgetMin) throw gigError("Give a budget range with budgetMax ≥ budgetMin", 400, "GIG_INVALID");
+
+  const currency = body.currency || PLATFORM_CURRENCY;
+  if (!SUPPORTED_CURRENCIES.includes(currency)) throw gigError(`Unsupported currency ${currency}`, 400, "GIG_INVALID");
+
+  const requiredSkills = skillList(body.requiredSkills);
+  if (requiredSkills.length > MAX_SKILLS) throw gigError(`A gig can list at most ${MAX_SKILLS} skills`, 400, "GIG_INVALID");
+
+  const deadline = body.biddingDeadline ? new Date(body.biddingDeadline) : new Date(now.getTime() + BIDDING_DAYS * DAY_MS);
+  if (Number.isNaN(deadline.getTime()) || deadline <= now) throw gigError("biddingDeadline must be in the future", 400, "GIG_INVALID");
+  if (body.biddingDeadline && deadline > eventDate) throw gigError("Bidding must close before the event", 400, "GIG_INVALID");
+
+  const gig = await Gig.create({
+    customerId,
+    title: body.title,
+    description: body.description,
+    category: body.category,
+    requiredSkills,
+    eventDate,
+    durationMinutes: Number(body.durationMinutes),
+    location: body.location,
+    budgetMin: roundMoney(budgetMin, currency),
+    budgetMax: roundMoney(budgetMax, currency),
+    currency,
+    biddingDeadline: new Date(Math.min(deadline.getTime(), eventDate.getTime())),
+  });
+
+  const notified = await notifyMatchingPros(gig);
+  logger.info("Gig posted", { gigId: gig._id, customerId, notified: notified.length });
+  return gig;
+}
+
+/**
+ * Open gigs on the public board, soonest deadline first.
+ * Filters: { category, skills, location, from, to, budgetMin, budgetMax, page, limit }
+ * Budget filters match gigs whose range overlaps the one given.
+ */
+export async function listOpenGigs(filters = {}) {
+  const query = { status: "open", biddingDeadline: { $gt: new Date() } };
+  if (filters.category) query.category = String(filters.category).toLowerCase();
+  const skills = skillList(filters.skills);
+  if (skills.length) query.requiredSkills = { $in: skills };
+  if (filters.location) query.location = { $regex: escapeRegex(filters.location), $options: "i" };
+  if (filters.from || filters.to) {
+    query.eventDate = {};
+    if (filters.from) query.eventDate.$gte = new Date(filters.from);
+    if (filters.to) query.eventDate.$lte = new Date(filters.to);
+  }
+  if (filters.budgetMin !== undefined) query.budgetMax = { $gte: Number(filters.budgetMin) };
+  if (filters.budgetMax !== undefined) query.budgetMin = { $lte: Number(filters.budgetMax) };
+
+  const limit = Math.min(Number(filters.limit) || 20, PAGE_LIMIT);
+  const page = Math.max(Number(filters.page) || 1, 1);
+  const [gigs, total] = await Promise.all([
+    Gig.find(query)
+      .select("-notifiedProIds")
+      .populate("customerId", "name avatarUri")
+      .sort({ biddingDeadline: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Gig.countDocuments(query),
+  ]);
+  return { gigs, total, page, limit };
+}
+
+/** Open gigs for a pro: ones they were notified about, or that ask for their skills or category */
+export async function listMatchingGigs(proId, filters = {}) {
+  const pro = await User.findById(proId).select("skills category").lean();
+  if (!pro) throw gigError("Pro not found", 404, "PRO_NOT_FOUND");
+
+  const match = [{ notifiedProIds: pro._id }];
+  const skills = skillList(pro.skills);
+  if (skills.length) match.push({ requiredSkills: { $in: skills } });
+  if (pro.category) match.push({ category: String(pro.category).toLowerCase() });
+
+  const limit = Math.min(Number(filters.limit) || 20, PAGE_LIMIT);
+  return Gig.find({ status: "open", biddingDeadline: { $gt: new Date() }, $or: match })
+    .select("-notifiedProIds")
+    .populate("customerId", "name avatarUri")
+    .sort({ biddingDeadline: 1 })
+    .limit(limit)
+    .lean();
+}
+
+/** Gigs the customer posted, newest first */
+export async function listMyGigs(customerId, { status } = {}) {
+  const filter = { customerId };
+  if (status) filter.status = status;
+  return Gig.find(filter).select("-notifiedProIds").sort({ createdAt: -1 }).limit(100).lean();
+}
+
+/** A gig's public details (bids are listed separately, see listBids) */
+export async function getGig(gigId) {
+  const gig = await findGig(gigId);
+  const { notifiedProIds, ...data } = gig.toObject();
+  return data;
+}
+
+/** Customer takes the gig down; bids still in the running are rejected */
+export async function closeGig(gigId, user, { reason = "" } = {}) {
+  const gig = await findGig(gigId);
+  assertOwner(gig, user);
+  const closed = await Gig.findOneAndUpdate({ _id: gig._id, status: { $in: AWARDABLE } }, { $set: { status: "cancelled" } }, { new: true });
+  if (!closed) throw gigError(`A gig that is ${gig.status} can't be closed`, 409, "GIG_NOT_OPEN");
+
+  const losing = await Bid.find({ gigId, status: { $in: ACTIVE_BIDS } }).select("proId");
+  await Bid.updateMany({ gigId, status: { $in: ACTIVE_BIDS } }, { $set: { status: "rejected", decidedAt: new Date() } });
+  for (const bid of losing) {
+    await notify(bid.proId, "Gig closed", reason || `"${gig.title}" was closed by the customer`, { gigId: gig._id });
+  }
+  return closed;
+}
+
+/* ---------- Bids ---------- */
+
+/**
+ * Pro bids on an open gig, or revises their bid (amount / message) while bidding is open.
+ * Body: { amount, message }
+ */
+export async function submitBid(proId, gigId, body = {}) {
+  const gig = await findGig(gigId);
+  if (!biddingOpen(gig)) throw gigError("Bidding on this gig has closed", 409, "GIG_BIDDING_CLOSED");
+  if (sameId(gig.customerId, proId)) throw gigError("You can't bid on your own gig", 403, "GIG_FORBIDDEN");
+
+  const amount = roundMoney(Number(body.amount), gig.currency);
+  if (!(amount > 0)) throw gigError("A bid amount must be positive", 400, "BID_INVALID");
+  const message = String(body.message ?? "");
+
+  const existing = await Bid.findOne({ gigId, proId });
+  if (existing && !ACTIVE_BIDS.includes(existing.status)) throw gigError(`Your bid was ${existing.status}`, 409, "BID_CLOSED");
+
+  let bid;
+  if (existing) {
+    existing.amount = amount;
+    if (body.message !== undefined) existing.message = message;
+    bid = await existing.save();
+  } else {
+    try {
+      bid = await Bid.create({ gigId, proId, customerId: gig.customerId, amount, currency: gig.currency, message });
+    } catch (err) {
+      if (err.code === 11000) throw gigError("You already bid on this gig", 409, "BID_EXISTS");
+      throw err;
+    }
+    await Gig.updateOne({ _id: gig._id }, { $inc: { bidCount: 1 } });
+  }
+
+  const pro = await User.findById(proId).select("name").lean();
+  await notify(gig.customerId, existing ? "Bid updated" : "New bid", `${pro?.name || "A pro"} bid ${amount} ${gig.currency} on "${gig.title}"`, {
+    gigId: gig._id,
+    bidId: bid._id,
+  });
+  return bid;
+}
+
+/** Pro withdraws their bid while bidding is open */
+export async function withdrawBid(proId, gigId) {
+  const gig = await findGig(gigId);
+  if (!biddingOpen(gig)) throw gigError("Bidding on this gig has closed", 409, "GIG_BIDDING_CLOSED");
+  const bid = await Bid.findOneAndUpdate(
+    { gigId, proId, status: { $in: ACTIVE_BIDS } },
+    { $set: { status: "withdrawn", decidedAt: new Date() } },
+    { new: true }
+  );
+  if (!bid) throw gigError("No active bid of yours on this gig", 404, "BID_NOT_FOUND");
+  await Gig.updateOne({ _id: gig._id }, { $inc: { bidCount: -1 } });
+  return bid;
+}
+
+/**
+ * Bids on a gig: the customer sees every bid (shortlisted first, then cheapest), a pro only their own.
+ * Query: { status }
+ */
+export async function listBids(gigId, user, { status } = {}) {
+  const gig = await findGig(gigId);
+  const filter = { gigId };
+  if (!sameId(gig.customerId, userId(user)) && user.role !== "admin") {
+    if (user.role !== "pro") throw gigError("Only the customer who posted this gig can see its bids", 403, "GIG_FORBIDDEN");
+    filter.proId = userId(user);
+  }
+  if (status) filter.status = status;
+  const bids = await Bid.find(filter).populate("proId", "name avatarUri rating trustScore skills location").lean();
+  const rank = { shortlisted: 0, submitted: 1, accepted: -1 };
+  return bids.sort((a, b) => (rank[a.status] ?? 2) - (rank[b.status] ?? 2) || a.amount - b.amount);
+}
+
+/** Customer adds a bid to (or removes it from) their shortlist */
+export async function shortlistBid(gigId, bidId, user, { shortlisted = true } = {}) {
+  const gig = await findGig(gigId);
+  assertOwner(gig, user);
+  if (!AWARDABLE.includes(gig.status)) throw gigError(`This gig is ${gig.status}`, 409, "GIG_NOT_OPEN");
+
+  const bid = await Bid.findOneAndUpdate(
+    { _id: bidId, gigId, status: { $in: ACTIVE_BIDS } },
+    { $set: shortlisted ? { status: "shortlisted", shortlistedAt: new Date() } : { status: "submitted", shortlistedAt: null } },
+    { new: true }
+  );
+  if (!bid) throw gigError("Active bid not found", 404, "BID_NOT_FOUND");
+  if (shortlisted) await notify(bid.proId, "You're shortlisted", `Your bid on "${gig.title}" made the shortlist`, { gigId: gig._id, bidId: bid._id });
+  return bid;
+}
+
+/**
+ * Customer accepts a bid: books the pro's calendar for the gig at the bid amount, closes bidding and
+ * rejects every other bid. The customer funds the booking through escrow as usual.
+ * Returns { gig, bid, booking }.
+ */
+export async function acceptBid(gigId, bidId, user) {
+  const gig = await findGig(gigId);
+  assertOwner(gig, user);
+  const bid = await Bid.findOne({ _id: bidId, gigId });
+  if (!bid) throw gigError("Bid not found", 404, "BID_NOT_FOUND");
+  if (!ACTIVE_BIDS.includes(bid.status)) throw gigError(`This bid was ${bid.status}`, 409, "BID_CLOSED");
+
+  // Claim the gig so two bids can't both be accepted
+  const claimed = await Gig.findOneAndUpdate(
+    { _id: gig._id, status: { $in: AWARDABLE }, eventDate: { $gt: new Date() } },
+    { $set: { status: "awarding" } },
+    { new: false }
+  );
+  if (!claimed) throw gigError("This gig can no longer be awarded", 409, "GIG_NOT_OPEN");
+
+  let booking;
+  try {
+    ({ booking } = await bookSlot({
+      customerId: gig.customerId,
+      proId: bid.proId,
+      start: gig.eventDate,
+      end: new Date(gig.eventDate.getTime() + gig.durationMinutes * 60 * 1000),
+      booking: {
+        totalAmount: bid.amount,
+        currency: bid.currency,
+        metadata: { title: gig.title, location: gig.location, category: gig.category, gigId: gig._id, bidId: bid._id },
+      },
+    }));
+  } catch (err) {
+    await Gig.updateOne({ _id: gig._id, status: "awarding" }, { $set: { status: claimed.status } });
+    throw err;
+  }
+
+  const now = new Date();
+  bid.status = "accepted";
+  bid.decidedAt = now;
+  bid.bookingId = booking._id;
+  await bid.save();
+
+  const losing = await Bid.find({ gigId, _id: { $ne: bid._id }, status: { $in: ACTIVE_BIDS } }).select("proId");
+  await Bid.updateMany({ gigId, _id: { $ne: bid._id }, status: { $in: ACTIVE_BIDS } }, { $set: { status: "rejected", decidedAt: now } });
+
+  const awarded = await Gig.findByIdAndUpdate(
+    gig._id,
+    { $set: { status: "awarded", acceptedBidId: bid._id, bookingId: booking._id } },
+    { new: true }
+  );
+
+  await notify(bid.proId, "Bid accepted", `Your bid on "${gig.title}" was accepted`, { gigId: gig._id, bidId: bid._id, bookingId: booking._id });
+  for (const other of losing) {
+    await notify(other.proId, "Gig awarded", `"${gig.title}" went to another pro`, { gigId: gig._id });
+  }
+  logger.info("Gig awarded", { gigId, bidId, bookingId: booking._id, amount: bid.amount, currency: bid.currency });
+  return { gig: awarded, bid, booking };
+}
+
+/**
+ * Deadline sweep (gigDeadlineJob).
+ * - open gigs past their bidding deadline -> bidding_closed (the customer is told to pick a bid)
+ * - open / bidding_closed gigs whose event has started -> expired, with their remaining bids rejected
+ * Returns { closed, expired } counts.
+ */
+export async function closeExpiredGigs(now = new Date()) {
+  const expiring = await Gig.find({ status: { $in: AWARDABLE }, eventDate: { $lte: now } }).select("_id");
+  const expiredIds = expiring.map((g) => g._id);
+  if (expiredIds.length) {
+    await Gig.updateMany({ _id: { $in: expiredIds }, status: { $in: AWARDABLE } }, { $set: { status: "expired" } });
+    await Bid.updateMany({ gigId: { $in: expiredIds }, status: { $in: ACTIVE_BIDS } }, { $set: { status: "rejected", decidedAt: now } });
+  }
+
+  const closing = await Gig.find({ status: "open", biddingDeadline: { $lte: now } }).select("_id customerId title bidCount");
+  let closed = 0;
+  for (const gig of closing) {
+    const updated = await Gig.updateOne({ _id: gig._id, status: "open" }, { $set: { status: "bidding_closed" } });
+    if (!updated.modifiedCount) continue;
+    closed++;
+    await notify(
+      gig.customerId,
+      "Bidding closed",
+      gig.bidCount ? `"${gig.title}" got ${gig.bidCount} bid(s) — pick one before the event` : `"${gig.title}" closed without bids`,
+      { gigId: gig._id }
+    );
+  }
+  return { closed, expired: expiredIds.length };
+}
+
+export default {
+  createGig,
+  listOpenGigs,
+  listMatchingGigs,
+  listMyGigs,
+  getGig,
+  closeGig,
+  submitBid,
+  withdrawBid,
+  listBids,
+  shortlistBid,
+  acceptBid,
+  closeExpiredGigs,
+};
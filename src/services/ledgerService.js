@@ -0,0 +1,402 @@
+// src/services/ledgerService.js
+/**
+ * Double-entry ledger
+ * - post() is the single posting API for money: it writes the operational Transaction row (if given)
+ *   and a balanced, immutable JournalEntry, in the caller's DB session
+ * - Posting kinds map a money movement onto debit/credit pairs between LedgerAccounts
+ * - Balances, trial balance and a books check for reconciliation
+ *
+ * Money flow:
+ *   escrow_funded      Dr gateway_clearing:<gw>   Cr escrow_holding
+ *   commission         Dr escrow_holding          Cr platform_revenue
+ *   fee_retained       Dr escrow_holding          Cr platform_revenue
+ *   release_submitted  Dr escrow_holding          Cr pro_payable:<pro>
+ *   payout_settled     Dr pro_payable:<pro>       Cr gateway_clearing:<gw>
+ *   payout_failed      Dr pro_payable:<pro>       Cr escrow_holding
+ *   payout_reversed    Dr gateway_clearing:<gw>   Cr escrow_holding
+ *   refund_approved    Dr escrow_holding          Cr customer:<customer>
+ *   refund_paid        Dr customer:<customer>     Cr gateway_clearing:<gw>
+ *   refund_failed      Dr customer:<customer>     Cr escrow_holding
+ *   subscription_paid  Dr gateway_clearing:<gw>   Cr platform_revenue
+ *
+ * Every entry is in one currency (the escrow's / invoice's). Accounts hold balances per currency and
+ * the books must balance currency by currency — amounts are never added across currencies.
+ */
+import mongoose from "mongoose";
+import Transaction from "../models/Transaction.js";
+import Escrow from "../models/Escrow.js";
+import Payout from "../models/Payout.js";
+import JournalEntry from "../models/JournalEntry.js";
+import LedgerAccount, { ACCOUNT_KINDS } from "../models/LedgerAccount.js";
+import logger from "../utils/logger.js";
+import { PLATFORM_CURRENCY, normalizeCurrency, roundMoney, toMinor, fromMinor } from "../utils/money.js";
+
+const currencyOf = (row) => row.currency || PLATFORM_CURRENCY;
+
+/* ---------- Accounts ---------- */
+
+export const accounts = {
+  customer: (userId) => ({ code: `customer:${userId}`, kind: "customer", ownerId: userId }),
+  escrowHolding: () => ({ code: "escrow_holding", kind: "escrow_holding" }),
+  proPayable: (userId) => ({ code: `pro_payable:${userId}`, kind: "pro_payable", ownerId: userId }),
+  platformRevenue: () => ({ code: "platform_revenue", kind: "platform_revenue" }),
+  gatewayClearing: (gateway = "paystack") => ({ code: `gateway_clearing:${gateway}`, kind: "gateway_clearing", gateway }),
+};
+
+const requireId = (value, name, kind) => {
+  if (!value) throw new Error(`${kind} posting requires ${name}`);
+  return value;
+};
+
+// kind -> ({ ctx }) => [debitAccount, creditAccount]
+const POSTINGS = {
+  escrow_funded: (c) => [accounts.gatewayClearing(c.gateway), accounts.escrowHolding()],
+  commission: () => [accounts.escrowHolding(), accounts.platformRevenue()],
+  fee_retained: () => [accounts.escrowHolding(), accounts.platformRevenue()],
+  release_submitted: (c) => [accounts.escrowHolding(), accounts.proPayable(requireId(c.proId, "proId", "release_submitted"))],
+  payout_settled: (c) => [accounts.proPayable(requireId(c.proId, "proId", "payout_settled")), accounts.gatewayClearing(c.gateway)],
+  payout_failed: (c) => [accounts.proPayable(requireId(c.proId, "proId", "payout_failed")), accounts.escrowHolding()],
+  payout_reversed: (c) => [accounts.gatewayClearing(c.gateway), accounts.escrowHolding()],
+  refund_approved: (c) => [accounts.escrowHolding(), accounts.customer(requireId(c.customerId, "customerId", "refund_approved"))],
+  refund_paid: (c) => [accounts.customer(requireId(c.customerId, "customerId", "refund_paid")), accounts.gatewayClearing(c.gateway)],
+  refund_failed: (c) => [accounts.customer(requireId(c.customerId, "customerId", "refund_failed")), accounts.escrowHolding()],
+  subscription_paid: (c) => [accounts.gatewayClearing(c.gateway), accounts.platformRevenue()],
+};
+
+export const POSTING_KINDS = Object.keys(POSTINGS);
+
+async function ensureAccounts(list, { session = null, currency = PLATFORM_CURRENCY } = {}) {
+  for (const acc of list) {
+    await LedgerAccount.updateOne(
+      { code: acc.code },
+      {
+        $setOnInsert: {
+          kind: acc.kind,
+          type: ACCOUNT_KINDS[acc.kind],
+          ownerId: acc.ownerId || null,
+          gateway: acc.gateway || null,
+          currency,
+          name: acc.code,
+        },
+      },
+      { upsert: true, session }
+    );
+  }
+}
+
+/* ---------- Transactions (operational records) ---------- */
+
+/** Idempotent by reference: an existing Transaction with the same reference is returned as-is */
+async function recordTransaction({ session = null, bookingId, customerId, creativeId, amount, currency = PLATFORM_CURRENCY, type, status, paymentGateway, reference, gatewayResponse = null, idempotencyKey = null, note = "", metadata = null }) {
+  if (reference) {
+    const existing = await Transaction.findOne({ reference }).session(session);
+    if (existing) {
+      logger.info("recordTransaction: existing transaction found", { reference });
+      return existing;
+    }
+  }
+
+  const tx = new Transaction({
+    bookingId,
+    customerId,
+    creativeId,
+    amount,
+    currency,
+    type,
+    status,
+    paymentGateway,
+    reference,
+    idempotencyKey,
+    gatewayResponse,
+    metadata,
+    note,
+  });
+  await tx.save({ session });
+  logger.info("recordTransaction: saved", { id: tx._id, reference, type, status });
+  return tx;
+}
+
+/* ---------- Posting API ---------- */
+
+/**
+ * Post a money movement.
+ * - transaction: optional Transaction fields (operational record, idempotent by its reference)
+ * - kind: optional posting kind (see POSTINGS); omit for records that move no money (pending / failed charges)
+ * - Journal entries are idempotent by "<kind>:<reference>"; a repeat post returns the existing entry
+ *
+ * @returns {Promise<{ transaction: Object|null, entry: Object|null }>}
+ */
+export async function post({
+  session = null,
+  kind = null,
+  amount,
+  reference,
+  bookingId = null,
+  escrowId = null,
+  invoiceId = null,
+  customerId = null,
+  proId = null,
+  gateway = "paystack",
+  currency = PLATFORM_CURRENCY,
+  description = "",
+  postedBy = null,
+  metadata = null,
+  transaction = null,
+}) {
+  currency = normalizeCurrency(currency);
+  const tx = transaction ? await recordTransaction({ session, currency, ...transaction }) : null;
+  if (!kind) return { transaction: tx, entry: null };
+
+  if (!POSTINGS[kind]) throw new Error(`Unknown ledger posting kind: ${kind}`);
+  const value = roundMoney(amount, currency);
+  if (!(value > 0)) throw new Error(`Ledger posting ${kind} needs a positive amount`);
+  if (!reference) throw new Error(`Ledger posting ${kind} needs a reference`);
+
+  const entryRef = `${kind}:${reference}`;
+  const existing = await JournalEntry.findOne({ reference: entryRef }).session(session);
+  if (existing) {
+    logger.info("ledger.post: entry already posted", { reference: entryRef });
+    return { transaction: tx, entry: existing };
+  }
+
+  const [debit, credit] = POSTINGS[kind]({ gateway, customerId, proId });
+  await ensureAccounts([debit, credit], { session, currency });
+
+  const entry = new JournalEntry({
+    kind,
+    reference: entryRef,
+    description: description || kind.replace(/_/g, " "),
+    currency,
+    lines: [
+      { account: debit.code, kind: debit.kind, debit: value, credit: 0 },
+      { account: credit.code, kind: credit.kind, debit: 0, credit: value },
+    ],
+    bookingId,
+    escrowId,
+    invoiceId,
+    transactionId: tx?._id || null,
+    postedBy,
+    metadata,
+  });
+  await entry.save({ session });
+
+  logger.info("📒 Ledger entry posted", { kind, reference: entryRef, amount: value, currency });
+  return { transaction: tx, entry };
+}
+
+/** Correct a posted entry by posting its mirror image (the original stays untouched) */
+export async function reverseEntry(entryId, { session = null, postedBy = null, reason = "" } = {}) {
+  const original = await JournalEntry.findById(entryId).session(session);
+  if (!original) throw new Error("Journal entry not found");
+
+  const reference = `reversal:${original.reference}`;
+  const existing = await JournalEntry.findOne({ reference }).session(session);
+  if (existing) return existing;
+
+  const entry = new JournalEntry({
+    kind: original.kind,
+    reference,
+    description: reason || `Reversal of ${original.reference}`,
+    currency: original.currency,
+    lines: original.lines.map((l) => ({ account: l.account, kind: l.kind, debit: l.credit, credit: l.debit })),
+    bookingId: original.bookingId,
+    escrowId: original.escrowId,
+    invoiceId: original.invoiceId,
+    transactionId: original.transactionId,
+    reversalOf: original._id,
+    postedBy,
+  });
+  await entry.save({ session });
+  logger.info("📒 Ledger entry reversed", { original: original.reference });
+  return entry;
+}
+
+/* ---------- Queries ---------- */
+
+/**
+ * Balances per account and currency, signed by normal balance
+ * (assets: debits - credits; liabilities / revenue: credits - debits)
+ */
+export async function getBalances({ kind, codes, bookingId, currency } = {}) {
+  const match = {};
+  if (bookingId) match.bookingId = new mongoose.Types.ObjectId(String(bookingId));
+  // Entries posted before multi-currency carry no currency and are in the platform currency
+  if (currency) match.currency = currency === PLATFORM_CURRENCY ? { $in: [currency, null] } : currency;
+
+  const lineMatch = {};
+  if (kind) lineMatch["lines.kind"] = kind;
+  if (codes?.length) lineMatch["lines.account"] = { $in: codes };
+
+  const rows = await JournalEntry.aggregate([
+    { $match: match },
+    { $unwind: "$lines" },
+    { $match: lineMatch },
+    {
+      $group: {
+        _id: { account: "$lines.account", currency: { $ifNull: ["$currency", PLATFORM_CURRENCY] } },
+        kind: { $first: "$lines.kind" },
+        debits: { $sum: "$lines.debit" },
+        credits: { $sum: "$lines.credit" },
+      },
+    },
+    { $sort: { "_id.account": 1, "_id.currency": 1 } },
+  ]);
+
+  return rows.map((r) => {
+    const { account, currency: rowCurrency } = r._id;
+    const debits = toMinor(r.debits, rowCurrency);
+    const credits = toMinor(r.credits, rowCurrency);
+    const balance = ACCOUNT_KINDS[r.kind] === "asset" ? debits - credits : credits - debits;
+    return {
+      account,
+      kind: r.kind,
+      type: ACCOUNT_KINDS[r.kind],
+      currency: rowCurrency,
+      debits: fromMinor(debits, rowCurrency),
+      credits: fromMinor(credits, rowCurrency),
+      balance: fromMinor(balance, rowCurrency),
+    };
+  });
+}
+
+export async function getAccountBalance(code, { currency = PLATFORM_CURRENCY } = {}) {
+  const [row] = await getBalances({ codes: [code], currency });
+  return row || { account: code, currency, debits: 0, credits: 0, balance: 0 };
+}
+
+export async function listAccounts({ kind } = {}) {
+  const [list, balances] = await Promise.all([
+    LedgerAccount.find(kind ? { kind } : {}).sort({ code: 1 }).lean(),
+    getBalances({ kind }),
+  ]);
+  const byCode = new Map();
+  balances.forEach((b) => byCode.set(b.account, [...(byCode.get(b.account) || []), b]));
+  return list.map((acc) => ({ ...acc, balances: byCode.get(acc.code) || [] }));
+}
+
+export async function getEntries({ bookingId, escrowId, invoiceId, account, page = 1, limit = 50 } = {}) {
+  const query = {};
+  if (bookingId) query.bookingId = bookingId;
+  if (escrowId) query.escrowId = escrowId;
+  if (invoiceId) query.invoiceId = invoiceId;
+  if (account) query["lines.account"] = account;
+
+  const skip = (Math.max(1, page) - 1) * limit;
+  const [items, total] = await Promise.all([
+    JournalEntry.find(query).sort({ postedAt: -1 }).skip(skip).limit(limit).lean(),
+    JournalEntry.countDocuments(query),
+  ]);
+  return { items, total, page, limit };
+}
+
+/** Sum of all debits vs all credits, per currency */
+export async function trialBalance() {
+  const balances = await getBalances();
+  const totals = new Map();
+  for (const b of balances) {
+    const t = totals.get(b.currency) || { debits: 0, credits: 0 };
+    t.debits += toMinor(b.debits, b.currency);
+    t.credits += toMinor(b.credits, b.currency);
+    totals.set(b.currency, t);
+  }
+  const currencies = [...totals].map(([currency, t]) => ({
+    currency,
+    debits: fromMinor(t.debits, currency),
+    credits: fromMinor(t.credits, currency),
+    balanced: t.debits === t.credits,
+  }));
+  return { balanced: currencies.every((c) => c.balanced), currencies, accounts: balances };
+}
+
+/**
+ * Check the books against operational state. Returns reconciliation-style issues:
+ * - trial balance must net to zero
+ * - escrow_holding per booking must equal the held balance of that booking's escrows
+ * - pro_payable per pro must equal that pro's pending payouts
+ */
+export async function verifyBooks({ limit = 5000 } = {}) {
+  const issues = [];
+
+  const trial = await trialBalance();
+  for (const t of trial.currencies.filter((c) => !c.balanced)) {
+    issues.push({
+      type: "ledger_unbalanced",
+      severity: "high",
+      message: `Ledger ${t.currency} debits (${t.debits}) and credits (${t.credits}) do not match`,
+      related: { currency: t.currency, debits: t.debits, credits: t.credits },
+    });
+  }
+
+  // escrow_holding by booking
+  const holdingRows = await JournalEntry.aggregate([
+    { $match: { bookingId: { $ne: null } } },
+    { $unwind: "$lines" },
+    { $match: { "lines.kind": "escrow_holding" } },
+    { $group: { _id: "$bookingId", currency: { $first: "$currency" }, balance: { $sum: { $subtract: ["$lines.credit", "$lines.debit"] } } } },
+    { $limit: limit },
+  ]);
+  const ledgerHeld = new Map(holdingRows.map((r) => [String(r._id), toMinor(r.balance, currencyOf(r))]));
+
+  // A booking's escrows share its currency
+  const escrowRows = await Escrow.aggregate([
+    { $match: { state: { $nin: ["pending", "cancelled"] } } },
+    { $group: { _id: "$bookingId", currency: { $first: "$currency" }, held: { $sum: { $ifNull: ["$amountHeldMinor", 0] } } } },
+    { $limit: limit },
+  ]);
+  const escrowHeld = new Map(escrowRows.map((r) => [String(r._id), r.held]));
+  const bookingCurrency = new Map([...holdingRows, ...escrowRows].map((r) => [String(r._id), currencyOf(r)]));
+
+  for (const bookingId of new Set([...ledgerHeld.keys(), ...escrowHeld.keys()])) {
+    const currency = bookingCurrency.get(bookingId);
+    const ledger = fromMinor(ledgerHeld.get(bookingId) ?? 0, currency);
+    const held = fromMinor(escrowHeld.get(bookingId) ?? 0, currency);
+    if (ledger !== held) {
+      issues.push({
+        type: "ledger_escrow_mismatch",
+        severity: "high",
+        message: `escrow_holding for booking ${bookingId} is ${ledger} ${currency} but escrows hold ${held} ${currency}`,
+        related: { bookingId, currency, ledgerBalance: ledger, escrowHeld: held },
+      });
+    }
+  }
+
+  // pro_payable by pro and currency vs pending payouts
+  const payable = await getBalances({ kind: "pro_payable" });
+  const pendingRows = await Payout.aggregate([
+    { $match: { status: "pending" } },
+    { $group: { _id: { proId: "$proId", currency: "$currency" }, amount: { $sum: "$amount" } } },
+  ]);
+  const keyOf = (account, currency) => `${account}|${currency || PLATFORM_CURRENCY}`;
+  const ledgerPayable = new Map(payable.map((p) => [keyOf(p.account, p.currency), p.balance]));
+  const pending = new Map(
+    pendingRows.map((r) => [keyOf(`pro_payable:${r._id.proId}`, r._id.currency), roundMoney(r.amount, r._id.currency || PLATFORM_CURRENCY)])
+  );
+  for (const key of new Set([...ledgerPayable.keys(), ...pending.keys()])) {
+    const [code, currency] = key.split("|");
+    const ledger = ledgerPayable.get(key) ?? 0;
+    const expected = pending.get(key) ?? 0;
+    if (ledger !== expected) {
+      issues.push({
+        type: "ledger_payable_mismatch",
+        severity: "medium",
+        message: `${code} is ${ledger} ${currency} but pending payouts total ${expected} ${currency}`,
+        related: { account: code, currency, ledgerBalance: ledger, pendingPayouts: expected },
+      });
+    }
+  }
+
+  return { balanced: trial.balanced, currencies: trial.currencies, issues };
+}
+
+export default {
+  accounts,
+  POSTING_KINDS,
+  post,
+  reverseEntry,
+  getBalances,
+  getAccountBalance,
+  listAccounts,
+  getEntries,
+  trialBalance,
+  verifyBooks,
+};
@@ -4,7 +4,7 @@
  *
  * Deterministic multi-factor scoring:
  * - tag/skill overlap (weight 30%)
- * - availability overlap (weight 15%)
+ * - availability on the booking date (weight 15%) — real open slots from availabilityService
  * - price fit (weight 15%)
  * - location proximity (weight 10%)
  * - rating/trustScore (weight 20%)
@@ -15,25 +15,26 @@
 
 import User from "../models/User.js"; // pros are users with role 'pro'
 import Booking from "../models/Booking.js";
+import { fromMinor } from "../utils/money.js";
 import logger from "../utils/logger.js";
 import { embedText, cosineSimilarity } from "./openaiAdapter.js";
+import { openOnDate } from "./availabilityService.js";
 import mongoose from "mongoose";
 
 /**
  * Helper: compute deterministic score for a candidate against booking params
  */
-function deterministicScore(candidate, { requiredTags = [], budgetMin = 0, budgetMax = Infinity, location = null, bookingDate = null }) {
+function deterministicScore(candidate, { requiredTags = [], budgetMin = 0, budgetMax = Infinity, location = null, bookingDate = null, openDates = null }) {
   // tag match: fraction of requiredTags present in candidate.skills/tags
   const candidateTags = Array.isArray(candidate.skills) ? candidate.skills.map(t => t.toLowerCase()) : [];
   const required = requiredTags.map(t => String(t).toLowerCase());
   const tagMatches = required.length === 0 ? 1 : (required.filter(t => candidateTags.includes(t)).length / required.length);
 
-  // availability: candidate.availability is array of dates/ranges — fallback 1
+  // availability: open slot on the booking date -> 1, fully booked / closed -> 0, no calendar published -> 0.5
   let availabilityScore = 1;
-  if (bookingDate && Array.isArray(candidate.availability) && candidate.availability.length > 0) {
-    // simple check: if any availability date equals bookingDate (date only)
-    const bday = new Date(bookingDate).toDateString();
-    availabilityScore = candidate.availability.some(d => new Date(d).toDateString() === bday) ? 1 : 0.5;
+  if (bookingDate && openDates) {
+    const open = openDates.get(candidate._id.toString());
+    availabilityScore = open === undefined ? 0.5 : open ? 1 : 0;
   }
 
   // price fit: if candidate.rate within budget range -> 1, else linearly degrade
@@ -120,9 +121,10 @@ export async function recommendCreatives({
       const booking = await Booking.findById(bookingId).lean();
       if (!booking) throw new Error("Booking not found");
       // booking fields: maybe tags in metadata or review
+      const totalAmount = booking.totalAmountMinor === undefined ? undefined : fromMinor(booking.totalAmountMinor, booking.currency);
       params.requiredTags = booking.metadata?.tags || params.requiredTags;
-      params.budgetMin = booking.metadata?.budgetMin ?? booking.totalAmount ?? params.budgetMin;
-      params.budgetMax = booking.metadata?.budgetMax ?? booking.totalAmount ?? params.budgetMax;
+      params.budgetMin = booking.metadata?.budgetMin ?? totalAmount ?? params.budgetMin;
+      params.budgetMax = booking.metadata?.budgetMax ?? totalAmount ?? params.budgetMax;
       params.location = booking.metadata?.location || booking.location || params.location;
       params.bookingDate = booking.eventDate || params.bookingDate;
     }
@@ -132,6 +134,10 @@ export async function recommendCreatives({
 
     if (!candidates || candidates.length === 0) return [];
 
+    if (params.bookingDate) {
+      params.openDates = await openOnDate(candidates.map((c) => c._id), params.bookingDate);
+    }
+
     // Deterministic scoring pass
     const scored = candidates.map((c) => {
       return {
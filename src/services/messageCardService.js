@@ -0,0 +1,301 @@
+// src/services/messageCardService.js
+/**
+ * Card messages: a quote, booking, payment request or review prompt shown inline in a conversation,
+ * with the actions the other side can take without leaving the chat.
+ *
+ *   quote            sender: either party of the quote      actions: accept / decline for the side being waited on
+ *   booking          sender: either party of the booking    actions: confirm / decline for the pro while pending
+ *   payment_request  sender: the booking's pro              actions: pay for the customer (whole booking or one milestone)
+ *   review_prompt    sender: either party, after completion actions: review for each party that hasn't reviewed
+ *
+ * Actions go through the owning services (quoteService, bookingLifecycleService, escrowService,
+ * reviewService), so their rules and errors apply unchanged. The card keeps a snapshot of the quote /
+ * booking, refreshed after each action, and everyone in the conversation gets "message:updated".
+ * Cards only reference bookings and quotes between people in the conversation.
+ */
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import Quote from "../models/Quote.js";
+import QuoteRequest from "../models/QuoteRequest.js";
+import Booking from "../models/Booking.js";
+import Review from "../models/Review.js";
+import User from "../models/User.js";
+import quoteService from "./quoteService.js";
+import { transitionBooking } from "./bookingLifecycleService.js";
+import escrowService from "./escrowService.js";
+import { createReview } from "./reviewService.js";
+import { loadConversation, postMessage, emitTo, BLOCKED_MESSAGE } from "./messageService.js";
+import { screenMessage, openCase } from "./moderationService.js";
+import logger from "../utils/logger.js";
+
+export const CARD_KINDS = ["quote", "booking", "payment_request", "review_prompt"];
+const UNPAID = ["unpaid", "pending", "failed"];
+const MAX_NOTE = 1000;
+
+function cardError(message, status = 400, code = "CARD_INVALID") {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+const sameId = (a, b) => String(a) === String(b);
+const idOf = (user) => String(user?.id || user?._id || user);
+const inConversation = (conversation, ...ids) => ids.every((id) => conversation.participants.some((p) => sameId(p, id)));
+
+/* ---------- Snapshots ---------- */
+
+async function quoteSnapshot(quote) {
+  const request = await QuoteRequest.findById(quote.requestId).select("title eventDate").lean();
+  return {
+    title: request?.title || "Quote",
+    eventDate: request?.eventDate || null,
+    total: quote.total,
+    currency: quote.currency,
+    status: quote.status,
+    awaiting: quote.awaiting,
+    expiresAt: quote.expiresAt,
+    bookingId: quote.bookingId || null,
+  };
+}
+
+function bookingSnapshot(booking, milestoneId = null) {
+  const milestone = milestoneId ? booking.milestones?.id(milestoneId) : null;
+  return {
+    title: booking.metadata?.title || "Booking",
+    eventDate: booking.eventDate,
+    amount: milestone ? milestone.amount : booking.totalAmount,
+    currency: booking.currency,
+    status: booking.status,
+    paymentStatus: booking.paymentStatus,
+    ...(milestone ? { milestone: { title: milestone.title, status: milestone.status } } : {}),
+  };
+}
+
+/* ---------- Card kinds ---------- */
+
+async function loadQuote(refId) {
+  const quote = mongoose.isValidObjectId(refId) ? await Quote.findById(refId) : null;
+  if (!quote) throw cardError("Quote not found", 404, "QUOTE_NOT_FOUND");
+  return quote;
+}
+
+async function loadBooking(refId) {
+  const booking = mongoose.isValidObjectId(refId) ? await Booking.findById(refId) : null;
+  if (!booking) throw cardError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  return booking;
+}
+
+const action = (name, label, userId) => ({ name, label, userId });
+
+/**
+ * Per kind:
+ * - build(senderId, conversation, { refId, milestoneId }) -> { snapshot, actions, milestoneId }
+ * - run(card, user, input) -> result of the owning service
+ * - refresh(card) -> new snapshot
+ */
+const KINDS = {
+  quote: {
+    async build(senderId, conversation, { refId }) {
+      const quote = await loadQuote(refId);
+      if (!inConversation(conversation, quote.customerId, quote.proId) || ![quote.customerId, quote.proId].some((id) => sameId(id, senderId))) {
+        throw cardError("The quote isn't between the people in this conversation", 403, "CARD_FORBIDDEN");
+      }
+      if (quote.status !== "open" || !quote.awaiting) throw cardError("The quote is no longer open", 409, "CARD_REF_CLOSED");
+      const waitingOn = quote.awaiting === "customer" ? quote.customerId : quote.proId;
+      const actions = sameId(waitingOn, senderId) ? [] : [action("accept", "Accept quote", waitingOn), action("decline", "Decline", waitingOn)];
+      return { snapshot: await quoteSnapshot(quote), actions };
+    },
+    run(card, user, input) {
+      if (card.actionName === "accept") return quoteService.acceptQuote(card.refId, user, { gateway: input.gateway });
+      return quoteService.declineQuote(card.refId, user, { reason: input.reason });
+    },
+    async refresh(card) {
+      return quoteSnapshot(await loadQuote(card.refId));
+    },
+  },
+
+  booking: {
+    async build(senderId, conversation, { refId }) {
+      const booking = await loadBooking(refId);
+      if (!inConversation(conversation, booking.customerId, booking.proId) || ![booking.customerId, booking.proId].some((id) => sameId(id, senderId))) {
+        throw cardError("The booking isn't between the people in this conversation", 403, "CARD_FORBIDDEN");
+      }
+      const actions =
+        booking.status === "pending" && !sameId(booking.proId, senderId)
+          ? [action("confirm", "Confirm booking", booking.proId), action("decline", "Decline", booking.proId)]
+          : [];
+      return { snapshot: bookingSnapshot(booking), actions };
+    },
+    run(card, user, input) {
+      const to = card.actionName === "confirm" ? "confirmed" : "cancelled";
+      return transitionBooking(card.refId, to, { user, reason: String(input.reason || "").slice(0, MAX_NOTE) });
+    },
+    async refresh(card) {
+      return bookingSnapshot(await loadBooking(card.refId));
+    },
+  },
+
+  payment_request: {
+    async build(senderId, conversation, { refId, milestoneId = null }) {
+      const booking = await loadBooking(refId);
+      if (!sameId(booking.proId, senderId)) throw cardError("Only the booking's pro can request payment", 403, "CARD_FORBIDDEN");
+      if (!inConversation(conversation, booking.customerId)) throw cardError("The customer isn't in this conversation", 403, "CARD_FORBIDDEN");
+      if (["cancelled", "completed"].includes(booking.status)) throw cardError("The booking is closed", 409, "CARD_REF_CLOSED");
+
+      if (milestoneId) {
+        const milestone = mongoose.isValidObjectId(milestoneId) ? booking.milestones?.id(milestoneId) : null;
+        if (!milestone) throw cardError("Milestone not found", 404, "MILESTONE_NOT_FOUND");
+        if (milestone.status !== "unfunded") throw cardError("The milestone is already funded", 409, "CARD_REF_CLOSED");
+      } else if (booking.milestones?.length) {
+        throw cardError("This booking is paid by milestone; choose one", 400, "MILESTONE_REQUIRED");
+      } else if (!UNPAID.includes(booking.paymentStatus)) {
+        throw cardError("The booking is already paid", 409, "CARD_REF_CLOSED");
+      }
+      return { snapshot: bookingSnapshot(booking, milestoneId), actions: [action("pay", "Pay now", booking.customerId)], milestoneId };
+    },
+    async run(card, user, input) {
+      const booking = await loadBooking(card.refId);
+      const customer = await User.findById(booking.customerId).select("email");
+      const payment = await escrowService.initializeEscrow({
+        bookingId: booking._id,
+        email: customer?.email,
+        gateway: input.gateway,
+        milestoneId: card.milestoneId || null,
+        metadata: { messageId: String(card.messageId) },
+      });
+      if (!payment?.success) throw cardError(payment?.message || "Payment could not be started", 409, "CARD_REF_CLOSED");
+      return payment;
+    },
+    async refresh(card) {
+      return bookingSnapshot(await loadBooking(card.refId), card.milestoneId);
+    },
+  },
+
+  review_prompt: {
+    async build(senderId, conversation, { refId }) {
+      const booking = await loadBooking(refId);
+      if (!inConversation(conversation, booking.customerId, booking.proId) || ![booking.customerId, booking.proId].some((id) => sameId(id, senderId))) {
+        throw cardError("The booking isn't between the people in this conversation", 403, "CARD_FORBIDDEN");
+      }
+      if (booking.status !== "completed") throw cardError("Reviews open once the booking is completed", 409, "CARD_REF_CLOSED");
+      const reviewed = await Review.find({ bookingId: booking._id }).distinct("reviewerId");
+      const actions = [booking.customerId, booking.proId]
+        .filter((id) => !reviewed.some((r) => sameId(r, id)))
+        .map((id) => action("review", "Leave a review", id));
+      if (!actions.length) throw cardError("Both sides have already reviewed this booking", 409, "CARD_REF_CLOSED");
+      return { snapshot: bookingSnapshot(booking), actions };
+    },
+    async run(card, user, input) {
+      const rating = Number(input.rating);
+      if (!(Number.isInteger(rating) && rating >= 1 && rating <= 5)) throw cardError("rating must be a whole number from 1 to 5");
+      try {
+        return await createReview({ bookingId: card.refId, reviewerId: idOf(user), rating, comment: String(input.comment || "").slice(0, MAX_NOTE) });
+      } catch (err) {
+        // reviewService throws plain errors
+        throw err.status ? err : cardError(err.message, 409, "REVIEW_REFUSED");
+      }
+    },
+    async refresh(card) {
+      return bookingSnapshot(await loadBooking(card.refId));
+    },
+  },
+};
+
+/* ---------- API ---------- */
+
+/**
+ * Send a card into a conversation.
+ * Body: { kind, refId, milestoneId? (payment requests), content? (a note shown with the card, screened like any message) }
+ */
+export async function sendCard(conversationId, user, { kind, refId, milestoneId = null, content = "" } = {}) {
+  const senderId = idOf(user);
+  const conversation = await loadConversation(conversationId, senderId);
+  if (!CARD_KINDS.includes(kind)) throw cardError(`kind must be one of ${CARD_KINDS.join(", ")}`);
+
+  const note = String(content ?? "").trim();
+  if (note.length > MAX_NOTE) throw cardError(`Card notes are limited to ${MAX_NOTE} characters`);
+  const { snapshot, actions, milestoneId: milestone = null } = await KINDS[kind].build(senderId, conversation, { refId, milestoneId });
+
+  const messageId = new mongoose.Types.ObjectId();
+  let moderation;
+  if (note) {
+    const verdict = await screenMessage(note, { senderId, participants: conversation.participants, conversationId: conversation._id });
+    if (verdict.action === "block") {
+      await openCase(verdict, { senderId, conversationId: conversation._id, content: note });
+      throw cardError(BLOCKED_MESSAGE, 403, "MESSAGE_CONTACT_BLOCKED");
+    }
+    if (verdict.action !== "allow") {
+      const moderationCase = await openCase(verdict, { senderId, conversationId: conversation._id, messageId, content: note });
+      moderation = { action: moderationCase.action, score: verdict.score, caseId: moderationCase._id };
+    }
+    if (verdict.content) snapshot.note = verdict.content;
+  }
+
+  return postMessage(conversation, senderId, {
+    _id: messageId,
+    content: snapshot.note || "",
+    type: "card",
+    card: { kind, refId, milestoneId: milestone, snapshot, actions, status: actions.length ? "open" : "done" },
+    moderation,
+  });
+}
+
+/**
+ * Take an action on a card (body: { action, ...input }):
+ *   quote accept { gateway? } / decline { reason? }, booking confirm / decline { reason? },
+ *   payment_request pay { gateway? }, review_prompt review { rating, comment? }
+ * Returns { message, result } — result is what the owning service returned (e.g. the payment link).
+ */
+export async function actOnCard(messageId, user, { action: name, ...input } = {}) {
+  const userId = idOf(user);
+  if (!mongoose.isValidObjectId(messageId)) throw cardError("Message not found", 404, "MESSAGE_NOT_FOUND");
+  const message = await Message.findById(messageId);
+  if (!message) throw cardError("Message not found", 404, "MESSAGE_NOT_FOUND");
+  const conversation = await loadConversation(message.conversationId, userId);
+  if (message.type !== "card" || !message.card) throw cardError("This message has no actions", 400, "CARD_ACTION_INVALID");
+
+  const mine = message.card.actions.filter((a) => sameId(a.userId, userId));
+  const chosen = mine.find((a) => a.name === name);
+  if (!chosen) throw cardError(mine.length ? `action must be one of ${mine.map((a) => a.name).join(", ")}` : "Nothing to do on this card", mine.length ? 400 : 403, "CARD_ACTION_INVALID");
+  if (mine.some((a) => a.takenAt)) throw cardError("You already responded to this card", 409, "CARD_ACTION_TAKEN");
+
+  // Claim the response first so a double tap can't run the action twice; released if the action fails
+  const userKey = chosen.userId;
+  const claimed = await Message.findOneAndUpdate(
+    { _id: message._id, "card.actions": { $not: { $elemMatch: { userId: userKey, takenAt: { $ne: null } } } } },
+    { $set: { "card.actions.$[mine].takenAt": new Date() } },
+    { arrayFilters: [{ "mine.userId": userKey, "mine.name": name }], new: true }
+  );
+  if (!claimed) throw cardError("You already responded to this card", 409, "CARD_ACTION_TAKEN");
+
+  const kind = KINDS[message.card.kind];
+  const card = { refId: message.card.refId, milestoneId: message.card.milestoneId, messageId: message._id, actionName: name };
+  let result;
+  try {
+    result = await kind.run(card, user, input);
+  } catch (err) {
+    await Message.updateOne({ _id: message._id }, { $set: { "card.actions.$[mine].takenAt": null } }, { arrayFilters: [{ "mine.userId": userKey }] });
+    throw err;
+  }
+
+  let snapshot = claimed.card.snapshot;
+  try {
+    snapshot = { ...(await kind.refresh(card)), ...(snapshot?.note ? { note: snapshot.note } : {}) };
+  } catch (err) {
+    logger.warn("Card snapshot refresh failed", { messageId, error: err.message });
+  }
+  const responders = [...new Set(claimed.card.actions.map((a) => String(a.userId)))];
+  const done = responders.every((id) => claimed.card.actions.some((a) => sameId(a.userId, id) && a.takenAt));
+  const saved = await Message.findByIdAndUpdate(
+    message._id,
+    { $set: { "card.snapshot": snapshot, "card.status": done ? "done" : "open" } },
+    { new: true }
+  );
+
+  emitTo(conversation.participants, "message:updated", { conversationId: conversation._id, message: saved });
+  logger.info("🃏 Card action taken", { messageId, kind: message.card.kind, action: name, userId });
+  return { message: saved, result };
+}
+
+export default { CARD_KINDS, sendCard, actOnCard };
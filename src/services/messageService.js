@@ -0,0 +1,512 @@
+// src/services/messageService.js
+/**
+ * In-app messaging (Conversation, Message)
+ * - A conversation is opened (or fetched) between users, for a booking (one per booking, its
+ *   customer and pro) or for a quote (the customer and pro's conversation the quote lives in)
+ * - Messages are screened server-side by moderationService: contact details (phone and account numbers,
+ *   emails, links, handles, off-platform apps) are blocked, masked or flagged for review as the admin
+ *   policy says, and let through once the participants share a paid booking; phone numbers and wa.me links
+ *   pass in a booking's conversation while one of its parties has revealed their contact (contactRevealService)
+ * - History is paged newest first with a cursor (the oldest message id seen)
+ * - Each participant has their own unread count, read marker, archive flag and mute; a new message
+ *   brings an archived conversation back for its recipients
+ * - Messages carry text, attachments (images, voice notes and other audio, PDFs; uploaded through
+ *   uploadService after type, size and content checks) or a card (messageCardService)
+ * - New messages and delivery / read receipts are pushed to the participants' socket rooms; Message.status
+ *   goes sent -> delivered (the recipient's app received it) -> read
+ *
+ * ENV:
+ *   MESSAGE_PAGE_SIZE          default history page size (default 30, at most 100)
+ *   MESSAGE_MAX_ATTACHMENTS    attachments per message (default 5)
+ *   MESSAGE_IMAGE_MAX_MB       size limit per image (default 10)
+ *   MESSAGE_AUDIO_MAX_MB       size limit per voice note / audio file (default 15)
+ *   MESSAGE_FILE_MAX_MB        size limit per PDF (default 10)
+ */
+import mongoose from "mongoose";
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import Booking from "../models/Booking.js";
+import Quote from "../models/Quote.js";
+import User from "../models/User.js";
+import { screenMessage, openCase, discardCases } from "./moderationService.js";
+import uploadService from "./uploadService.js";
+import { matchesMime, extractText } from "../utils/fileInspect.js";
+import { io } from "../config/socket.js";
+import { conversationRoom } from "./socketGateway.js";
+import logger from "../utils/logger.js";
+
+const PAGE_SIZE = Number(process.env.MESSAGE_PAGE_SIZE || 30);
+const MAX_PAGE_SIZE = 100;
+const MAX_PARTICIPANTS = 20;
+const MAX_LENGTH = 5000;
+const PARTICIPANT_FIELDS = "name avatarUri role";
+const MAX_ATTACHMENTS = Number(process.env.MESSAGE_MAX_ATTACHMENTS || 5);
+const MB = 1024 * 1024;
+
+// What can be attached, by uploadService.allowedMimes list (SVG is left out: it can carry scripts)
+const ATTACHMENT_KINDS = [
+  { name: "image", mimes: "image", exclude: ["image/svg+xml"], maxBytes: Number(process.env.MESSAGE_IMAGE_MAX_MB || 10) * MB },
+  { name: "audio", mimes: "audio", maxBytes: Number(process.env.MESSAGE_AUDIO_MAX_MB || 15) * MB },
+  { name: "file", mimes: "document", maxBytes: Number(process.env.MESSAGE_FILE_MAX_MB || 10) * MB },
+];
+// Cloudinary resource type per attachment kind (audio is stored as "video")
+const RESOURCE_TYPES = { image: "image", audio: "video", file: "raw" };
+
+function messageError(message, status, code) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+const sameId = (a, b) => String(a) === String(b);
+const idOf = (user) => String(user?.id || user?._id || user);
+const uniqueIds = (ids) => [...new Set(ids.map(String))];
+
+export function emitTo(userIds, event, payload) {
+  if (!io) return;
+  for (const userId of userIds) io.to(String(userId)).emit(event, payload);
+}
+
+const pageSize = (limit) => Math.min(Math.max(Number(limit) || PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+/** Conversation the user takes part in (404 otherwise, so ids can't be probed) */
+export async function loadConversation(conversationId, userId) {
+  if (!mongoose.isValidObjectId(conversationId)) throw messageError("Conversation not found", 404, "CONVERSATION_NOT_FOUND");
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation || !conversation.participants.some((p) => sameId(p, userId))) {
+    throw messageError("Conversation not found", 404, "CONVERSATION_NOT_FOUND");
+  }
+  // Conversations opened before per-participant state existed
+  const missing = conversation.participants.filter((p) => !conversation.memberOf(p));
+  if (missing.length) {
+    conversation.members.push(...missing.map((userId) => ({ userId })));
+    await conversation.save();
+  }
+  return conversation;
+}
+
+async function createConversation(participants, context = {}) {
+  const ids = uniqueIds(participants);
+  const conversation = await Conversation.create({ participants: ids, members: ids.map((userId) => ({ userId })), ...context });
+  // Connected participants start receiving its typing and presence events
+  if (io) io.in(ids).socketsJoin(conversationRoom(conversation._id));
+  return conversation;
+}
+
+/** The general (no booking) conversation between exactly these users, created if needed */
+export async function conversationBetween(...userIds) {
+  const ids = uniqueIds(userIds);
+  const existing = await Conversation.findOne({ participants: { $all: ids, $size: ids.length }, bookingId: null });
+  return existing || createConversation(ids);
+}
+
+/** The booking's conversation (customer and pro), created if needed */
+async function bookingConversation(booking) {
+  const existing = await Conversation.findOne({ bookingId: booking._id });
+  if (existing) return existing;
+  try {
+    return await createConversation([booking.customerId, booking.proId], { bookingId: booking._id });
+  } catch (err) {
+    // Someone else opened it at the same moment
+    if (err.code === 11000) return Conversation.findOne({ bookingId: booking._id });
+    throw err;
+  }
+}
+
+/**
+ * Open or fetch a conversation for the user. One of:
+ * - { bookingId }: the booking's conversation (customer or pro of the booking)
+ * - { quoteId }: the conversation the quote was sent in (customer or pro of the quote)
+ * - { participantIds }: general conversation between the user and these users
+ */
+export async function openConversation(user, { participantIds = [], bookingId = null, quoteId = null } = {}) {
+  const userId = idOf(user);
+  let conversation;
+
+  if (bookingId) {
+    if (!mongoose.isValidObjectId(bookingId)) throw messageError("Booking not found", 404, "BOOKING_NOT_FOUND");
+    const booking = await Booking.findById(bookingId).select("customerId proId");
+    if (!booking) throw messageError("Booking not found", 404, "BOOKING_NOT_FOUND");
+    if (!sameId(booking.customerId, userId) && !sameId(booking.proId, userId)) throw messageError("Not a party to this booking", 403, "CONVERSATION_FORBIDDEN");
+    conversation = await bookingConversation(booking);
+  } else if (quoteId) {
+    if (!mongoose.isValidObjectId(quoteId)) throw messageError("Quote not found", 404, "QUOTE_NOT_FOUND");
+    const quote = await Quote.findById(quoteId).select("customerId proId conversationId");
+    if (!quote) throw messageError("Quote not found", 404, "QUOTE_NOT_FOUND");
+    if (!sameId(quote.customerId, userId) && !sameId(quote.proId, userId)) throw messageError("Not a party to this quote", 403, "CONVERSATION_FORBIDDEN");
+    conversation = (quote.conversationId && (await Conversation.findById(quote.conversationId))) ||
+      (await conversationBetween(quote.customerId, quote.proId));
+    if (!conversation.quoteId) {
+      conversation.quoteId = quote._id;
+      await conversation.save();
+    }
+  } else {
+    const others = uniqueIds(Array.isArray(participantIds) ? participantIds : [participantIds]).filter((id) => !sameId(id, userId));
+    if (!others.length) throw messageError("Choose who to message", 400, "CONVERSATION_PARTICIPANTS_REQUIRED");
+    if (others.length >= MAX_PARTICIPANTS) throw messageError(`At most ${MAX_PARTICIPANTS} participants`, 400, "CONVERSATION_TOO_LARGE");
+    if (!others.every((id) => mongoose.isValidObjectId(id)) || (await User.countDocuments({ _id: { $in: others } })) !== others.length) {
+      throw messageError("User not found", 404, "USER_NOT_FOUND");
+    }
+    conversation = await conversationBetween(userId, ...others);
+  }
+
+  return getConversation(conversation._id, user);
+}
+
+/** Client view of a conversation for the user: participants, last message and their own state */
+function present(conversation, userId) {
+  const data = conversation.toObject ? conversation.toObject() : conversation;
+  const member = (data.members || []).find((m) => sameId(m.userId, userId)) || {};
+  const { members, ...rest } = data;
+  return {
+    ...rest,
+    unread: member.unread || 0,
+    lastReadAt: member.lastReadAt || null,
+    archived: Boolean(member.archivedAt),
+    mutedUntil: member.mutedUntil || null,
+    muted: Boolean(member.mutedUntil && new Date(member.mutedUntil) > new Date()),
+  };
+}
+
+export async function getConversation(conversationId, user) {
+  const userId = idOf(user);
+  await loadConversation(conversationId, userId);
+  const conversation = await Conversation.findById(conversationId)
+    .populate("participants", PARTICIPANT_FIELDS)
+    .populate("lastMessage")
+    .lean();
+  return present(conversation, userId);
+}
+
+/** Page cursor of a conversation list: "<lastMessageAt ISO | none>_<conversation id>" */
+const conversationCursor = (c) => `${c.lastMessageAt ? new Date(c.lastMessageAt).toISOString() : "none"}_${c._id}`;
+
+/**
+ * Conversations after `before` in the list order (lastMessageAt newest first, then _id; conversations
+ * without a lastMessageAt come last). A bare date (older clients) pages by lastMessageAt alone.
+ */
+function afterCursor(before) {
+  const [time, id = null] = String(before).split("_");
+  const at = time === "none" ? null : new Date(time);
+  if ((at && Number.isNaN(at.getTime())) || (id !== null && !mongoose.isValidObjectId(id)) || (!at && !id)) {
+    throw messageError("before must be a conversation list cursor", 400, "CURSOR_INVALID");
+  }
+  if (!id) return { $or: [{ lastMessageAt: { $lt: at } }, { lastMessageAt: null }] };
+
+  const _id = { $lt: new mongoose.Types.ObjectId(id) };
+  if (!at) return { lastMessageAt: null, _id };
+  return { $or: [{ lastMessageAt: { $lt: at } }, { lastMessageAt: at, _id }, { lastMessageAt: null }] };
+}
+
+/**
+ * The user's conversations, most recent message first.
+ * - archived: true lists the archived ones instead
+ * - before: nextCursor of the previous page
+ */
+export async function listConversations(user, { archived = false, before = null, limit } = {}) {
+  const userId = new mongoose.Types.ObjectId(idOf(user));
+  const archivedByMe = { members: { $elemMatch: { userId, archivedAt: { $ne: null } } } };
+  const filter = { participants: userId, ...(archived ? archivedByMe : { $nor: [archivedByMe] }) };
+  if (before) filter.$and = [afterCursor(before)];
+
+  const size = pageSize(limit);
+  const conversations = await Conversation.find(filter)
+    .sort({ lastMessageAt: -1, _id: -1 })
+    .limit(size + 1)
+    .populate("participants", PARTICIPANT_FIELDS)
+    .populate("lastMessage")
+    .lean();
+
+  const page = conversations.slice(0, size).map((c) => present(c, userId));
+  const nextCursor = conversations.length > size ? conversationCursor(page[page.length - 1]) : null;
+  return { conversations: page, nextCursor };
+}
+
+/**
+ * Message history, newest first in pages; each page is returned oldest to newest.
+ * - before: id of the oldest message already loaded (nextCursor of the previous page)
+ */
+export async function listMessages(conversationId, user, { before = null, limit } = {}) {
+  const conversation = await loadConversation(conversationId, idOf(user));
+  const filter = { conversationId: conversation._id };
+  if (before) {
+    if (!mongoose.isValidObjectId(before)) throw messageError("before must be a message id", 400, "CURSOR_INVALID");
+    filter._id = { $lt: new mongoose.Types.ObjectId(String(before)) };
+  }
+
+  const size = pageSize(limit);
+  const newest = await Message.find(filter).sort({ _id: -1 }).limit(size + 1).lean();
+  const page = newest.slice(0, size);
+  return {
+    messages: page.reverse(),
+    nextCursor: newest.length > size ? page[0]._id : null,
+  };
+}
+
+export const BLOCKED_MESSAGE =
+  "Sharing phone numbers or bank details is disabled. Once a booking is paid into escrow, you can share your phone or WhatsApp from the booking.";
+
+/** Kind, limits and embedded text of an uploaded file (multer: { buffer, mimetype, size, originalname }) */
+function inspectAttachment(file) {
+  const mimeType = String(file?.mimetype || "").toLowerCase();
+  const kind = ATTACHMENT_KINDS.find((k) => uploadService.allowedMimes[k.mimes].includes(mimeType) && !k.exclude?.includes(mimeType));
+  if (!file?.buffer || !kind) throw messageError(`${mimeType || "This file type"} can't be sent`, 400, "ATTACHMENT_INVALID");
+  const size = file.size ?? file.buffer.length;
+  if (size > kind.maxBytes) throw messageError(`${kind.name} attachments are limited to ${kind.maxBytes / (1024 * 1024)} MB`, 400, "ATTACHMENT_TOO_LARGE");
+  if (!matchesMime(file.buffer, mimeType)) throw messageError(`${file.originalname || "The file"} is not a valid ${mimeType} file`, 400, "ATTACHMENT_INVALID");
+
+  const name = String(file.originalname || "").slice(0, 200);
+  return { file, kind: kind.name, mimeType, size, name, text: [name, ...extractText(file.buffer, mimeType)].filter(Boolean).join("\n") };
+}
+
+const messageType = (attachments) => {
+  if (!attachments.length) return "text";
+  if (attachments.every((a) => a.kind === "image")) return "image";
+  return attachments.some((a) => a.kind === "audio") ? "audio" : "file";
+};
+
+/**
+ * Store a message in a conversation the sender belongs to, bump the conversation for everyone else and
+ * push "message:new". `fields` are the Message fields besides conversation, sender and receiver.
+ */
+export async function postMessage(conversation, senderId, fields) {
+  const recipients = conversation.participants.filter((p) => !sameId(p, senderId));
+  const message = await Message.create({
+    ...fields,
+    conversationId: conversation._id,
+    sender: senderId,
+    receiver: recipients.length === 1 ? recipients[0] : null,
+    status: "sent",
+  });
+
+  const sender = new mongoose.Types.ObjectId(String(senderId));
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $set: {
+        lastMessage: message._id,
+        lastMessageAt: message.createdAt,
+        "members.$[other].archivedAt": null,
+        "members.$[self].lastReadAt": message.createdAt,
+      },
+      $inc: { "members.$[other].unread": 1 },
+    },
+    { arrayFilters: [{ "other.userId": { $ne: sender } }, { "self.userId": sender }] }
+  );
+
+  emitTo(conversation.participants, "message:new", { conversationId: conversation._id, message });
+  logger.info("💬 Message sent", { conversationId: conversation._id, messageId: message._id, type: message.type });
+  return message;
+}
+
+/**
+ * Send a message: text, attachments (files from multer, with durationSec for a voice note) or both.
+ * - Attachments are checked against their declared type and size and uploaded through uploadService
+ * - The text, and the text found in attachments (file names, EXIF, PDF text, ID3 tags), are screened
+ *   for contact details; attachments can't be masked, so a "mask" policy refuses them like "block"
+ * Refused (403 MESSAGE_CONTACT_BLOCKED) when contact details are blocked; masked or flagged messages are
+ * sent and queued for review.
+ */
+export async function sendMessage(conversationId, user, { content, files = [], durationSec = null } = {}) {
+  const senderId = idOf(user);
+  const conversation = await loadConversation(conversationId, senderId);
+
+  const text = String(content ?? "").trim();
+  const uploads = Array.isArray(files) ? files : [files];
+  if (!text && !uploads.length) throw messageError("Message is empty", 400, "MESSAGE_EMPTY");
+  if (text.length > MAX_LENGTH) throw messageError(`Messages are limited to ${MAX_LENGTH} characters`, 400, "MESSAGE_TOO_LONG");
+  if (uploads.length > MAX_ATTACHMENTS) throw messageError(`At most ${MAX_ATTACHMENTS} attachments per message`, 400, "ATTACHMENT_LIMIT");
+  const inspected = uploads.map(inspectAttachment);
+  const voiceSeconds = durationSec === null || durationSec === "" ? null : Number(durationSec);
+  if (voiceSeconds !== null && !(voiceSeconds >= 0)) throw messageError("durationSec must be a number of seconds", 400, "ATTACHMENT_INVALID");
+
+  const messageId = new mongoose.Types.ObjectId();
+  const screen = { senderId, participants: conversation.participants, conversationId: conversation._id };
+  const verdict = text ? await screenMessage(text, screen) : { action: "allow" };
+  const fileText = inspected.map((a) => a.text).join("\n");
+  const fileVerdict = inspected.length ? await screenMessage(fileText, screen) : { action: "allow" };
+  const fileBlocked = ["block", "mask"].includes(fileVerdict.action);
+
+  if (verdict.action === "block" || fileBlocked) {
+    if (verdict.action === "block") await openCase(verdict, { senderId, conversationId: conversation._id, content: text });
+    if (fileBlocked) await openCase({ ...fileVerdict, action: "block" }, { senderId, conversationId: conversation._id, content: fileText });
+    throw messageError(BLOCKED_MESSAGE, 403, "MESSAGE_CONTACT_BLOCKED");
+  }
+
+  const attachments = [];
+  const caseIds = [];
+  try {
+    for (const a of inspected) {
+      const uploaded = await uploadService.uploadFromBufferFile(a.file, {
+        folder: uploadService.getDefaultFolder("message"),
+        public_id: `${messageId}_${attachments.length}`,
+        resource_type: RESOURCE_TYPES[a.kind],
+        allowedMimes: [a.mimeType],
+        maxSize: a.size,
+      });
+      attachments.push({
+        kind: a.kind,
+        url: uploaded.secure_url,
+        publicId: uploaded.public_id,
+        mimeType: a.mimeType,
+        size: a.size,
+        name: a.name,
+        durationSec: a.kind === "audio" ? voiceSeconds : null,
+      });
+    }
+
+    // Cases are opened once the files are stored, before the message so it can carry its case id
+    let moderation;
+    if (verdict.action !== "allow") {
+      const moderationCase = await openCase(verdict, { senderId, conversationId: conversation._id, messageId, content: text });
+      caseIds.push(moderationCase._id);
+      moderation = { action: moderationCase.action, score: verdict.score, caseId: moderationCase._id };
+    }
+    if (fileVerdict.action !== "allow") {
+      const moderationCase = await openCase(fileVerdict, { senderId, conversationId: conversation._id, messageId, content: fileText });
+      caseIds.push(moderationCase._id);
+      moderation ||= { action: moderationCase.action, score: fileVerdict.score, caseId: moderationCase._id };
+    }
+
+    return await postMessage(conversation, senderId, {
+      _id: messageId,
+      content: verdict.content ?? text,
+      type: messageType(attachments),
+      attachments,
+      moderation,
+    });
+  } catch (err) {
+    // Don't leave files or cases behind for a message that was never sent
+    for (const a of attachments) {
+      await uploadService.deletePublicId(a.publicId, { resource_type: RESOURCE_TYPES[a.kind] }).catch(() => {});
+    }
+    await discardCases(caseIds).catch((e) => logger.error("Discarding moderation cases failed", e));
+    throw err;
+  }
+}
+
+/**
+ * Add the user's receipt (`field`: deliveredTo or readBy) to the messages others sent in the conversation
+ * that don't have it yet, then move those every other participant now has to `status`.
+ * Returns the ids that got the receipt.
+ */
+async function addReceipts(conversation, userId, field, status, { messageIds = null, at = new Date() } = {}) {
+  const user = new mongoose.Types.ObjectId(String(userId));
+  const filter = { conversationId: conversation._id, sender: { $ne: user }, [`${field}.userId`]: { $ne: user } };
+  if (messageIds) filter._id = { $in: messageIds };
+
+  const ids = (await Message.find(filter).select("_id").lean()).map((m) => m._id);
+  if (!ids.length) return ids;
+  await Message.updateMany({ ...filter, _id: { $in: ids } }, { $push: { [field]: { userId: user, at } } });
+
+  // Everyone but the sender has a receipt once the array holds participants - 1 entries
+  const changes = status === "read" ? { status, isRead: true } : { status };
+  const everyone = { [`${field}.${conversation.participants.length - 2}`]: { $exists: true } };
+  await Message.updateMany({ _id: { $in: ids }, status: { $in: status === "read" ? ["sent", "delivered"] : ["sent"] }, ...everyone }, { $set: changes });
+  return ids;
+}
+
+/**
+ * Delivery receipt from a participant's app for messages others sent (all, or messageIds); a message is
+ * "delivered" once every other participant has it. The others get "message:delivered" with the ids.
+ */
+export async function markDelivered(conversationId, user, { messageIds = null } = {}) {
+  const userId = idOf(user);
+  const conversation = await loadConversation(conversationId, userId);
+  if (messageIds != null && (!Array.isArray(messageIds) || !messageIds.every((id) => mongoose.isValidObjectId(id)))) {
+    throw messageError("messageIds must be a list of message ids", 400, "MESSAGE_IDS_INVALID");
+  }
+
+  const at = new Date();
+  const ids = await addReceipts(conversation, userId, "deliveredTo", "delivered", { messageIds, at });
+  if (!ids.length) return { conversationId: conversation._id, delivered: [] };
+
+  emitTo(conversation.participants.filter((p) => !sameId(p, userId)), "message:delivered", { conversationId: conversation._id, userId, messageIds: ids, at });
+  return { conversationId: conversation._id, delivered: ids };
+}
+
+/**
+ * Mark everything in the conversation read for the user (read receipt to the others); a message is
+ * "read" once every other participant has read it.
+ */
+export async function markRead(conversationId, user) {
+  const userId = idOf(user);
+  const conversation = await loadConversation(conversationId, userId);
+  const now = new Date();
+  await Conversation.updateOne(
+    { _id: conversation._id, "members.userId": userId },
+    { $set: { "members.$.unread": 0, "members.$.lastReadAt": now } }
+  );
+  // Reading implies delivery
+  await addReceipts(conversation, userId, "deliveredTo", "delivered", { at: now });
+  const ids = await addReceipts(conversation, userId, "readBy", "read", { at: now });
+
+  emitTo(conversation.participants.filter((p) => !sameId(p, userId)), "message:read", { conversationId: conversation._id, userId, messageIds: ids, at: now });
+  return { conversationId: conversation._id, unread: 0, lastReadAt: now };
+}
+
+/**
+ * Unread counts: per conversation, and a total for the app badge that leaves out muted and
+ * archived conversations.
+ */
+export async function unreadCounts(user) {
+  const userId = new mongoose.Types.ObjectId(idOf(user));
+  const now = new Date();
+  const rows = await Conversation.aggregate([
+    { $match: { participants: userId } },
+    { $unwind: "$members" },
+    { $match: { "members.userId": userId, "members.unread": { $gt: 0 } } },
+    {
+      $project: {
+        unread: "$members.unread",
+        quiet: { $or: [{ $ne: [{ $ifNull: ["$members.archivedAt", null] }, null] }, { $gt: ["$members.mutedUntil", now] }] },
+      },
+    },
+  ]);
+  return {
+    total: rows.filter((r) => !r.quiet).reduce((sum, r) => sum + r.unread, 0),
+    conversations: Object.fromEntries(rows.map((r) => [String(r._id), r.unread])),
+  };
+}
+
+/** Archive (or bring back) the conversation for the user only */
+export async function setArchived(conversationId, user, archived = true) {
+  const userId = idOf(user);
+  const conversation = await loadConversation(conversationId, userId);
+  await Conversation.updateOne(
+    { _id: conversation._id, "members.userId": userId },
+    { $set: { "members.$.archivedAt": archived ? new Date() : null } }
+  );
+  return getConversation(conversation._id, user);
+}
+
+/**
+ * Mute the conversation for the user: until a date, or indefinitely; muted: false unmutes.
+ * Muted conversations still count unread messages but leave the badge total alone.
+ */
+export async function setMuted(conversationId, user, { muted = true, until = null } = {}) {
+  const userId = idOf(user);
+  const conversation = await loadConversation(conversationId, userId);
+  let mutedUntil = null;
+  if (muted) {
+    mutedUntil = until ? new Date(until) : new Date("9999-12-31T00:00:00.000Z");
+    if (Number.isNaN(mutedUntil.getTime()) || mutedUntil <= new Date()) throw messageError("until must be a future date", 400, "MUTE_UNTIL_INVALID");
+  }
+  await Conversation.updateOne({ _id: conversation._id, "members.userId": userId }, { $set: { "members.$.mutedUntil": mutedUntil } });
+  return getConversation(conversation._id, user);
+}
+
+export default {
+  conversationBetween,
+  openConversation,
+  getConversation,
+  listConversations,
+  listMessages,
+  sendMessage,
+  markDelivered,
+  markRead,
+  unreadCounts,
+  setArchived,
+  setMuted,
+};
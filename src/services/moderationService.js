@@ -0,0 +1,278 @@
+// src/services/moderationService.js
+/**
+ * Contact-leak moderation for chat (ModerationPolicy, ModerationCase)
+ * - screenMessage scores a message with utils/contactBlocker and applies the admin-tuned policy:
+ *   allow, block (refused), mask (sent with the contact details hidden) or flag (sent, queued for review)
+ * - Users who share a paid booking are allowed through when the policy says so (allowAfterPayment)
+ * - In a booking conversation with a live contact reveal (contactRevealService), phone / WhatsApp
+ *   details are let through; the rest of the message is still scored
+ * - Blocked, masked and flagged messages open a case in the admin queue; admins confirm or dismiss it
+ * - Offences are confirmed cases plus open blocked / masked ones in the policy window; once a sender
+ *   reaches repeatOffenderThreshold their trust score is recalculated (trustScoreService docks points)
+ *   and admins are told
+ */
+import mongoose from "mongoose";
+import ModerationPolicy from "../models/ModerationPolicy.js";
+import ModerationCase from "../models/ModerationCase.js";
+import Booking from "../models/Booking.js";
+import { detectContacts, maskContacts, scoreMatches } from "../utils/contactBlocker.js";
+import { calculateTrustScore } from "./trustScoreService.js";
+import { hasActiveReveal, isRevealedMatch } from "./contactRevealService.js";
+import { createNotification } from "./adminNotificationService.js";
+import logger from "../utils/logger.js";
+
+export const ACTIONS = ["block", "mask", "flag"];
+// Booking payment states after which the customer and pro may swap contact details
+export const PAID_STATUSES = ["escrowed", "partially_settled", "released", "split"];
+const CASE_STATUSES = ["open", "confirmed", "dismissed"];
+const POLICY_FIELDS = [
+  "reviewThreshold",
+  "actionThreshold",
+  "action",
+  "allowAfterPayment",
+  "repeatOffenderThreshold",
+  "repeatOffenderWindowDays",
+];
+const POLICY_CACHE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let cachedPolicy = null;
+let cachedAt = 0;
+
+function moderationError(message, status = 400, code = "MODERATION_INVALID") {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+/* ---------- Policy ---------- */
+
+/** The policy (created with defaults on first use); cached briefly since every message needs it */
+export async function getPolicy({ fresh = false } = {}) {
+  if (!fresh && cachedPolicy && Date.now() - cachedAt < POLICY_CACHE_MS) return cachedPolicy;
+  cachedPolicy = await ModerationPolicy.findOneAndUpdate(
+    { key: "default" },
+    { $setOnInsert: { key: "default" } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+  cachedAt = Date.now();
+  return cachedPolicy;
+}
+
+/** Admin update; only the policy fields are taken from `changes` */
+export async function updatePolicy(changes = {}, adminId = null) {
+  const current = await getPolicy({ fresh: true });
+  const update = {};
+  for (const field of POLICY_FIELDS) if (changes[field] !== undefined) update[field] = changes[field];
+
+  const next = { ...current, ...update, allowAfterPayment: Boolean(update.allowAfterPayment ?? current.allowAfterPayment) };
+  for (const field of ["reviewThreshold", "actionThreshold"]) {
+    next[field] = Number(next[field]);
+    if (!(next[field] >= 0 && next[field] <= 100)) throw moderationError(`${field} must be between 0 and 100`);
+  }
+  if (next.reviewThreshold > next.actionThreshold) throw moderationError("reviewThreshold must not be above actionThreshold");
+  if (!ACTIONS.includes(next.action)) throw moderationError(`action must be one of ${ACTIONS.join(", ")}`);
+  for (const field of ["repeatOffenderThreshold", "repeatOffenderWindowDays"]) {
+    next[field] = Number(next[field]);
+    if (!(Number.isInteger(next[field]) && next[field] >= 1)) throw moderationError(`${field} must be a whole number of at least 1`);
+  }
+  // Validated (and number-coerced) values of the fields that were sent
+  for (const field of Object.keys(update)) update[field] = next[field];
+  cachedPolicy = await ModerationPolicy.findOneAndUpdate(
+    { key: "default" },
+    { $set: { ...update, updatedBy: adminId } },
+    { new: true, runValidators: true }
+  ).lean();
+  cachedAt = Date.now();
+  logger.info("🛡️ Moderation policy updated", { adminId, ...update });
+  return cachedPolicy;
+}
+
+/* ---------- Screening ---------- */
+
+/** Do the sender and any of the other people share a booking that has been paid? */
+export async function sharePaidBooking(senderId, otherIds) {
+  if (!otherIds.length) return false;
+  const found = await Booking.exists({
+    paymentStatus: { $in: PAID_STATUSES },
+    $or: [
+      { customerId: senderId, proId: { $in: otherIds } },
+      { proId: senderId, customerId: { $in: otherIds } },
+    ],
+  });
+  return Boolean(found);
+}
+
+/**
+ * What to do with a message's text.
+ * Returns { action: "allow" | "block" | "mask" | "flag", score, matches, content } where content is
+ * the text to store (masked for "mask"). Pass participants (ids) to apply allowAfterPayment and
+ * conversationId to apply contact reveals.
+ */
+export async function screenMessage(text, { senderId = null, participants = [], conversationId = null } = {}) {
+  const policy = await getPolicy();
+  let { score, matches } = detectContacts(text);
+  if (score >= policy.reviewThreshold && (await hasActiveReveal(conversationId))) {
+    matches = matches.filter((m) => !isRevealedMatch(m));
+    score = scoreMatches(matches);
+  }
+  const verdict = (action, content = text) => ({ action, score, matches, content });
+
+  if (score < policy.reviewThreshold) return verdict("allow");
+  if (policy.allowAfterPayment && senderId) {
+    const others = participants.map(String).filter((id) => id !== String(senderId));
+    if (await sharePaidBooking(senderId, others)) return verdict("allow");
+  }
+  if (score < policy.actionThreshold) return verdict("flag");
+  if (policy.action === "mask") return verdict("mask", maskContacts(text, matches));
+  return verdict(policy.action);
+}
+
+const CASE_ACTION = { block: "blocked", mask: "masked", flag: "flagged" };
+
+/**
+ * Queue a screened message for review. `verdict` is screenMessage's result, `content` the text as typed.
+ * Checks whether the sender just became a repeat offender; failures there are logged, not thrown.
+ */
+export async function openCase(verdict, { senderId, conversationId, messageId = null, content }) {
+  const moderationCase = await ModerationCase.create({
+    senderId,
+    conversationId,
+    messageId,
+    content,
+    score: verdict.score,
+    matches: verdict.matches.map(({ type, text, start, end, weight }) => ({ type, text, start, end, weight })),
+    action: CASE_ACTION[verdict.action],
+  });
+  logger.info("🛡️ Moderation case opened", { caseId: moderationCase._id, senderId, action: moderationCase.action, score: verdict.score });
+
+  if (moderationCase.action !== "flagged") {
+    await checkRepeatOffender(senderId).catch((err) => logger.error("Repeat offender check failed", err));
+  }
+  return moderationCase;
+}
+
+/** Drop cases opened for a message whose send then failed (it was never stored) */
+export async function discardCases(caseIds) {
+  if (!caseIds.length) return;
+  await ModerationCase.deleteMany({ _id: { $in: caseIds } });
+  logger.info("🛡️ Moderation cases discarded", { caseIds });
+}
+
+/* ---------- Offences ---------- */
+
+/** Cases that count against a user: confirmed, or blocked / masked and not yet reviewed */
+function offenceFilter(userId, since) {
+  return {
+    senderId: new mongoose.Types.ObjectId(String(userId)),
+    createdAt: { $gte: since },
+    $or: [{ status: "confirmed" }, { status: "open", action: { $in: ["blocked", "masked"] } }],
+  };
+}
+
+/** { count, threshold, windowDays, repeatOffender } for a user under the current policy */
+export async function countOffences(userId) {
+  const policy = await getPolicy();
+  const since = new Date(Date.now() - policy.repeatOffenderWindowDays * DAY_MS);
+  const count = await ModerationCase.countDocuments(offenceFilter(userId, since));
+  return {
+    count,
+    threshold: policy.repeatOffenderThreshold,
+    windowDays: policy.repeatOffenderWindowDays,
+    repeatOffender: count >= policy.repeatOffenderThreshold,
+  };
+}
+
+/** Recalculate a repeat offender's trust score; admins are told when the threshold is first reached */
+async function checkRepeatOffender(userId) {
+  const offences = await countOffences(userId);
+  if (!offences.repeatOffender) return offences;
+
+  await calculateTrustScore(userId);
+  if (offences.count === offences.threshold) {
+    await createNotification({
+      type: "SYSTEM_EVENT",
+      title: "Repeat contact sharing",
+      message: `User ${userId} has ${offences.count} contact-sharing offences in ${offences.windowDays} days.`,
+      severity: "medium",
+      relatedIds: { userId },
+    });
+  }
+  return offences;
+}
+
+/* ---------- Admin queue ---------- */
+
+export async function listCases({ status = "open", senderId = null, page = 1, limit = 20 } = {}) {
+  const filter = {};
+  if (status) {
+    if (!CASE_STATUSES.includes(status)) throw moderationError(`status must be one of ${CASE_STATUSES.join(", ")}`);
+    filter.status = status;
+  }
+  if (senderId) {
+    if (!mongoose.isValidObjectId(senderId)) throw moderationError("senderId is not a valid id");
+    filter.senderId = senderId;
+  }
+
+  const size = Math.min(Math.max(Number(limit) || 20, 1), 100);
+  const [results, total] = await Promise.all([
+    ModerationCase.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((Math.max(Number(page) || 1, 1) - 1) * size)
+      .limit(size)
+      .populate("senderId", "name email role")
+      .lean(),
+    ModerationCase.countDocuments(filter),
+  ]);
+  return { total, page: Number(page) || 1, pages: Math.ceil(total / size), results };
+}
+
+export async function getCase(caseId) {
+  if (!mongoose.isValidObjectId(caseId)) throw moderationError("Moderation case not found", 404, "MODERATION_CASE_NOT_FOUND");
+  const moderationCase = await ModerationCase.findById(caseId)
+    .populate("senderId", "name email role trustScore")
+    .populate("reviewedBy", "name email")
+    .lean();
+  if (!moderationCase) throw moderationError("Moderation case not found", 404, "MODERATION_CASE_NOT_FOUND");
+  return { ...moderationCase, offences: await countOffences(moderationCase.senderId._id || moderationCase.senderId) };
+}
+
+/**
+ * Admin decision on an open case: "confirmed" (counts against the sender) or "dismissed" (false positive).
+ * The sender's trust score is recalculated either way, so a dismissal gives the points back.
+ */
+export async function resolveCase(caseId, { decision, note = "" } = {}, adminId = null) {
+  if (!["confirmed", "dismissed"].includes(decision)) throw moderationError("decision must be confirmed or dismissed");
+  if (!mongoose.isValidObjectId(caseId)) throw moderationError("Moderation case not found", 404, "MODERATION_CASE_NOT_FOUND");
+
+  const moderationCase = await ModerationCase.findOneAndUpdate(
+    { _id: caseId, status: "open" },
+    { $set: { status: decision, reviewedBy: adminId, reviewedAt: new Date(), note: String(note || "") } },
+    { new: true }
+  );
+  if (!moderationCase) {
+    const exists = await ModerationCase.exists({ _id: caseId });
+    if (!exists) throw moderationError("Moderation case not found", 404, "MODERATION_CASE_NOT_FOUND");
+    throw moderationError("Moderation case was already reviewed", 409, "MODERATION_CASE_CLOSED");
+  }
+
+  await calculateTrustScore(moderationCase.senderId).catch((err) => logger.error("Trust score refresh after review failed", err));
+  logger.info("🛡️ Moderation case resolved", { caseId, decision, adminId });
+  return moderationCase;
+}
+
+export default {
+  ACTIONS,
+  PAID_STATUSES,
+  getPolicy,
+  updatePolicy,
+  sharePaidBooking,
+  screenMessage,
+  openCase,
+  discardCases,
+  countOffences,
+  listCases,
+  getCase,
+  resolveCase,
+};
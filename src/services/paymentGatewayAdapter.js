@@ -13,14 +13,30 @@
  */
 
 import logger from "../utils/logger.js";
+import { PLATFORM_CURRENCY, isSupportedCurrency, toMinor, fromMinor } from "../utils/money.js";
 
 const PAYSTACK_SECRET = process.env.PAYSTACK_SECRET_KEY || null;
 const FLW_SECRET = process.env.FLW_SECRET_KEY || null;
+const PAYSTACK_BASE = process.env.PAYSTACK_BASE_URL || "https://api.paystack.co";
+const FLW_BASE = process.env.FLW_BASE_URL || "https://api.flutterwave.com/v3";
+
+// Safety cap on pages fetched per gateway in one listing
+const MAX_PAGES = Number(process.env.GATEWAY_LIST_MAX_PAGES || 50);
+
+// Currency used for minor-unit maths on a gateway amount (unknown codes fall back to the platform's exponent)
+const unitCurrency = (currency) => (isSupportedCurrency(currency) ? String(currency).toUpperCase() : PLATFORM_CURRENCY);
+
+/** Paystack amounts are minor units, Flutterwave's major: normalise to { amount (major), amountMinor } */
+function gatewayAmount(gateway, amount, currency) {
+  const unit = unitCurrency(currency);
+  const amountMinor = gateway === "paystack" ? Math.round(Number(amount || 0)) : toMinor(amount, unit);
+  return { amount: fromMinor(amountMinor, unit), amountMinor };
+}
 
 async function paystackGetTransactionByReference(reference) {
   if (!PAYSTACK_SECRET) return null;
   try {
-    const res = await fetch(`https://api.paystack.co/transaction/verify/${encodeURIComponent(reference)}`, {
+    const res = await fetch(`${PAYSTACK_BASE}/transaction/verify/${encodeURIComponent(reference)}`, {
       method: "GET",
       headers: {
         Authorization: `Bearer ${PAYSTACK_SECRET}`,
@@ -38,7 +54,7 @@ async function paystackGetTransactionByReference(reference) {
       gateway: "paystack",
       ok: data.status === true,
       reference,
-      amount: data.data?.amount || null, // in kobo/ngn minor units
+      ...gatewayAmount("paystack", data.data?.amount, data.data?.currency),
       currency: data.data?.currency,
       status: data.data?.status,
       paidAt: data.data?.paid_at ? new Date(data.data.paid_at) : null,
@@ -53,7 +69,7 @@ async function paystackGetTransactionByReference(reference) {
 async function flwGetTransactionByReference(reference) {
   if (!FLW_SECRET) return null;
   try {
-    const res = await fetch(`https://api.flutterwave.com/v3/transactions/${encodeURIComponent(reference)}/verify`, {
+    const res = await fetch(`${FLW_BASE}/transactions/${encodeURIComponent(reference)}/verify`, {
       method: "GET",
       headers: {
         Authorization: `Bearer ${FLW_SECRET}`,
@@ -70,7 +86,7 @@ async function flwGetTransactionByReference(reference) {
       gateway: "flutterwave",
       ok: data.status === "success" || data.status === "ok",
       reference,
-      amount: data.data?.amount || null,
+      ...gatewayAmount("flutterwave", data.data?.amount, data.data?.currency),
       currency: data.data?.currency,
       status: data.data?.status || null,
       paidAt: data.data?.charged_at ? new Date(data.data?.charged_at) : null,
@@ -84,6 +100,7 @@ async function flwGetTransactionByReference(reference) {
 
 /**
  * Fetch a gateway transaction by reference (tries Paystack first, then Flutterwave)
+ * amount is in major units of currency, amountMinor in its minor units.
  * Returns null if none found or if no keys configured.
  */
 export async function getTransactionByReference(reference) {
@@ -101,46 +118,127 @@ export async function getTransactionByReference(reference) {
   return null;
 }
 
+/** Gateway status -> success | failed | pending | abandoned | <raw> */
+function normalizeStatus(status) {
+  const s = String(status || "").toLowerCase();
+  if (s === "success" || s === "successful") return "success";
+  if (s === "failed" || s === "error") return "failed";
+  if (s === "pending" || s === "ongoing" || s === "processing" || s === "queued") return "pending";
+  return s || "unknown";
+}
+
+async function fetchJson(url, secret) {
+  const res = await fetch(url, { headers: { Authorization: `Bearer ${secret}` } });
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`Gateway list returned ${res.status}: ${text.slice(0, 200)}`);
+  }
+  return res.json();
+}
+
+/** Paystack: GET /transaction?perPage=&page=&from=&to=&status=, meta.pageCount tells us when to stop */
+async function paystackListTransactions({ sinceIso, untilIso, status, perPage, maxPages }) {
+  const items = [];
+  let page = 1;
+  let pageCount = 1;
+  do {
+    const params = new URLSearchParams({ perPage: String(perPage), page: String(page) });
+    if (sinceIso) params.set("from", sinceIso);
+    if (untilIso) params.set("to", untilIso);
+    if (status) params.set("status", status);
+
+    const data = await fetchJson(`${PAYSTACK_BASE}/transaction?${params}`, PAYSTACK_SECRET);
+    (data.data || []).forEach((d) =>
+      items.push({
+        gateway: "paystack",
+        id: d.id != null ? String(d.id) : null,
+        reference: d.reference,
+        ...gatewayAmount("paystack", d.amount, d.currency),
+        currency: d.currency || null,
+        status: normalizeStatus(d.status),
+        paidAt: d.paid_at ? new Date(d.paid_at) : null,
+        raw: d,
+      })
+    );
+    pageCount = Number(data.meta?.pageCount || 1);
+    page += 1;
+  } while (page <= pageCount && page <= maxPages);
+
+  return { items, complete: page > pageCount };
+}
+
+/** Flutterwave: GET /transactions?from=&to=&page=&status=, meta.page_info.total_pages tells us when to stop */
+async function flwListTransactions({ sinceIso, untilIso, status, maxPages }) {
+  const items = [];
+  let page = 1;
+  let totalPages = 1;
+  do {
+    const params = new URLSearchParams({ page: String(page) });
+    // Flutterwave filters by calendar date (YYYY-MM-DD)
+    if (sinceIso) params.set("from", sinceIso.slice(0, 10));
+    if (untilIso) params.set("to", untilIso.slice(0, 10));
+    if (status) params.set("status", status === "success" ? "successful" : status);
+
+    const data = await fetchJson(`${FLW_BASE}/transactions?${params}`, FLW_SECRET);
+    (data.data || []).forEach((d) =>
+      items.push({
+        gateway: "flutterwave",
+        id: d.id != null ? String(d.id) : null,
+        reference: d.tx_ref || String(d.id),
+        ...gatewayAmount("flutterwave", d.amount, d.currency),
+        currency: d.currency || null,
+        status: normalizeStatus(d.status),
+        paidAt: d.created_at ? new Date(d.created_at) : null,
+        raw: d,
+      })
+    );
+    totalPages = Number(data.meta?.page_info?.total_pages || 1);
+    page += 1;
+  } while (page <= totalPages && page <= maxPages);
+
+  return { items, complete: page > totalPages };
+}
+
 /**
- * List transactions since a given ISO date (gateway-specific)
- * Returns empty array if keys not present.
- * NOTE: Implementing full pagination is gateway-specific; these are basic examples.
+ * List gateway charges in a time window, following the gateway's pagination.
+ * - gateway: "auto" (every configured gateway) | "paystack" | "flutterwave"
+ * - status: e.g. "success" to list settled charges only (null = all)
+ * Returns [{ gateway, id, reference, amount (major units), amountMinor, currency, status, paidAt, raw }].
+ * Gateways without keys are skipped. Pass { detailed: true } to get
+ * { items, gateways: { paystack: { fetched, complete, error } } } — reconciliation needs to know whether
+ * a gateway's listing was complete before treating a missing reference as missing.
  */
-export async function listRecentTransactions({ sinceIso, gateway = "auto" } = {}) {
-  const results = [];
-  if ((gateway === "auto" || gateway === "paystack") && PAYSTACK_SECRET) {
-    try {
-      // Paystack list (simple example: /transaction?perPage=50&from=yyyy-mm-dd)
-      const url = `https://api.paystack.co/transaction?perPage=50${sinceIso ? `&from=${encodeURIComponent(sinceIso)}` : ""}`;
-      const res = await fetch(url, { headers: { Authorization: `Bearer ${PAYSTACK_SECRET}` } });
-      if (res.ok) {
-        const data = await res.json();
-        (data.data || []).forEach((d) =>
-          results.push({ gateway: "paystack", reference: d.reference, amount: d.amount, status: d.status, raw: d })
-        );
-      }
-    } catch (err) {
-      logger.error("Error listing Paystack transactions", err);
-    }
-  }
+export async function listRecentTransactions({
+  sinceIso,
+  untilIso,
+  gateway = "auto",
+  status = null,
+  perPage = 100,
+  maxPages = MAX_PAGES,
+  detailed = false,
+} = {}) {
+  const items = [];
+  const gateways = {};
+
+  const sources = [
+    { name: "paystack", enabled: Boolean(PAYSTACK_SECRET), list: paystackListTransactions },
+    { name: "flutterwave", enabled: Boolean(FLW_SECRET), list: flwListTransactions },
+  ];
 
-  if ((gateway === "auto" || gateway === "flutterwave") && FLW_SECRET) {
+  for (const source of sources) {
+    if (!(gateway === "auto" || gateway === source.name) || !source.enabled) continue;
     try {
-      // Flutterwave: no direct list 'since' endpoint in v3 docs — placeholder fetch '/transactions' if available
-      const url = `https://api.flutterwave.com/v3/transactions`; // adjust if specific endpoints needed
-      const res = await fetch(url, { headers: { Authorization: `Bearer ${FLW_SECRET}` } });
-      if (res.ok) {
-        const data = await res.json();
-        (data.data || []).forEach((d) =>
-          results.push({ gateway: "flutterwave", reference: d.tx_ref || d.id, amount: d.amount, status: d.status, raw: d })
-        );
-      }
+      const result = await source.list({ sinceIso, untilIso, status, perPage, maxPages });
+      items.push(...result.items);
+      gateways[source.name] = { fetched: result.items.length, complete: result.complete, error: null };
+      if (!result.complete) logger.warn(`Stopped listing ${source.name} transactions after ${maxPages} pages`);
     } catch (err) {
-      logger.error("Error listing Flutterwave transactions", err);
+      logger.error(`Error listing ${source.name} transactions`, err);
+      gateways[source.name] = { fetched: 0, complete: false, error: err.message };
     }
   }
 
-  return results;
+  return detailed ? { items, gateways } : items;
 }
 
 // Hot-reload safe default export
@@ -0,0 +1,434 @@
+// src/services/payoutService.js
+/**
+ * Payout Service — GetVybz
+ *
+ * - Registers pro bank accounts as gateway transfer recipients (account name is always resolved by the gateway)
+ * - Tracks outgoing transfers (Payout docs) created by escrowService.releaseFunds; a transfer the gateway
+ *   never answered for stays pending until its webhook or escrowService.checkPayout settles it
+ * - Applies transfer.success / transfer.failed webhooks to Payout, Transaction, Escrow, Booking and the ledger
+ *
+ * The transfer call itself lives in escrowService's gateway adapters; this module only owns recipients
+ * and the pending -> success/failed bookkeeping, so it never imports escrowService.
+ *
+ * Env: PAYSTACK_SECRET_KEY, FLW_SECRET_KEY, PAYSTACK_BASE_URL / FLW_BASE_URL (optional, e.g. a fake gateway in tests)
+ */
+
+import axios from "axios";
+import mongoose from "mongoose";
+import logger from "../utils/logger.js";
+import { PLATFORM_CURRENCY, normalizeCurrency } from "../utils/money.js";
+
+import Booking from "../models/Booking.js";
+import Escrow from "../models/Escrow.js";
+import Payout from "../models/Payout.js";
+import PayoutRecipient from "../models/PayoutRecipient.js";
+import Transaction from "../models/Transaction.js";
+import User from "../models/User.js";
+import { createNotification } from "./adminNotificationService.js";
+import ledgerService from "./ledgerService.js";
+
+/* ---------- Config ---------- */
+const PAYSTACK_SECRET = process.env.PAYSTACK_SECRET_KEY || process.env.PAYSTACK_SECRET || "";
+const FLW_SECRET = process.env.FLW_SECRET_KEY || process.env.FLW_SECRET || "";
+const PAYSTACK_BASE = process.env.PAYSTACK_BASE_URL || "https://api.paystack.co";
+const FLW_BASE = process.env.FLW_BASE_URL || "https://api.flutterwave.com/v3";
+
+const TRANSFER_EVENTS = {
+  paystack: ["transfer.success", "transfer.failed", "transfer.reversed"],
+  flutterwave: ["transfer.completed"],
+};
+
+/* ---------- Recipient adapters (axios) ---------- */
+
+const paystackRecipients = {
+  async listBanks({ currency = PLATFORM_CURRENCY } = {}) {
+    const res = await axios.get(`${PAYSTACK_BASE}/bank?currency=${encodeURIComponent(currency)}`, {
+      headers: { Authorization: `Bearer ${PAYSTACK_SECRET}` },
+    });
+    return (res.data?.data || []).map((b) => ({ name: b.name, code: b.code }));
+  },
+
+  async resolveAccount({ bankCode, accountNumber }) {
+    const qs = `account_number=${encodeURIComponent(accountNumber)}&bank_code=${encodeURIComponent(bankCode)}`;
+    const res = await axios.get(`${PAYSTACK_BASE}/bank/resolve?${qs}`, {
+      headers: { Authorization: `Bearer ${PAYSTACK_SECRET}` },
+    });
+    const data = res.data?.data || {};
+    return { accountNumber: data.account_number, accountName: data.account_name };
+  },
+
+  async createRecipient({ accountName, accountNumber, bankCode, currency = PLATFORM_CURRENCY }) {
+    const res = await axios.post(
+      `${PAYSTACK_BASE}/transferrecipient`,
+      { type: "nuban", name: accountName, account_number: accountNumber, bank_code: bankCode, currency },
+      { headers: { Authorization: `Bearer ${PAYSTACK_SECRET}` } }
+    );
+    const data = res.data?.data || {};
+    return { recipientCode: data.recipient_code, bankName: data.details?.bank_name || "", raw: data };
+  },
+};
+
+const flutterwaveRecipients = {
+  async listBanks({ country = "NG" } = {}) {
+    const res = await axios.get(`${FLW_BASE}/banks/${encodeURIComponent(country)}`, {
+      headers: { Authorization: `Bearer ${FLW_SECRET}` },
+    });
+    return (res.data?.data || []).map((b) => ({ name: b.name, code: b.code }));
+  },
+
+  async resolveAccount({ bankCode, accountNumber }) {
+    const res = await axios.post(
+      `${FLW_BASE}/accounts/resolve`,
+      { account_number: accountNumber, account_bank: bankCode },
+      { headers: { Authorization: `Bearer ${FLW_SECRET}` } }
+    );
+    const data = res.data?.data || {};
+    return { accountNumber: data.account_number, accountName: data.account_name };
+  },
+
+  async createRecipient({ accountName, accountNumber, bankCode, currency = PLATFORM_CURRENCY }) {
+    const res = await axios.post(
+      `${FLW_BASE}/beneficiaries`,
+      { account_number: accountNumber, account_bank: bankCode, beneficiary_name: accountName, currency },
+      { headers: { Authorization: `Bearer ${FLW_SECRET}` } }
+    );
+    const data = res.data?.data || {};
+    return { recipientCode: String(data.id), bankName: data.bank_name || "", raw: data };
+  },
+};
+
+function _adapter(gateway) {
+  if (gateway === "paystack") return paystackRecipients;
+  if (gateway === "flutterwave") return flutterwaveRecipients;
+  throw new Error("Unsupported payment gateway");
+}
+
+/** Pull the gateway's error message out of an axios error, if any */
+function _gatewayMessage(err) {
+  return err?.response?.data?.message || err?.message || "Gateway request failed";
+}
+
+/* ---------- Recipients ---------- */
+
+export async function listBanks({ gateway = "paystack", currency, country } = {}) {
+  return _adapter(gateway).listBanks({ currency, country });
+}
+
+export async function resolveAccount({ gateway = "paystack", bankCode, accountNumber }) {
+  if (!bankCode || !accountNumber) throw new Error("bankCode and accountNumber are required");
+  try {
+    const resolved = await _adapter(gateway).resolveAccount({ bankCode, accountNumber });
+    if (!resolved.accountName) throw new Error("Account name could not be resolved");
+    return resolved;
+  } catch (err) {
+    logger.warn("resolveAccount failed", { gateway, bankCode, message: _gatewayMessage(err) });
+    throw new Error(`Could not verify bank account: ${_gatewayMessage(err)}`);
+  }
+}
+
+/**
+ * Resolve + register a bank account for a pro.
+ * The first recipient per gateway and currency becomes the default automatically.
+ */
+export async function registerRecipient({ userId, gateway = "paystack", bankCode, accountNumber, currency = PLATFORM_CURRENCY, makeDefault = false }) {
+  currency = normalizeCurrency(currency);
+  const user = await User.findById(userId);
+  if (!user) throw new Error("User not found");
+  if (user.role !== "pro") throw new Error("Only pros can register payout accounts");
+
+  const { accountName } = await resolveAccount({ gateway, bankCode, accountNumber });
+
+  let created;
+  try {
+    created = await _adapter(gateway).createRecipient({ accountName, accountNumber, bankCode, currency });
+  } catch (err) {
+    logger.error("createRecipient failed", { gateway, message: _gatewayMessage(err) });
+    throw new Error(`Could not register payout account: ${_gatewayMessage(err)}`);
+  }
+  if (!created.recipientCode) throw new Error("Gateway did not return a recipient code");
+
+  const hasDefault = await PayoutRecipient.exists({ userId, gateway, currency, isDefault: true, active: true });
+  const isDefault = makeDefault || !hasDefault;
+  if (isDefault) {
+    await PayoutRecipient.updateMany({ userId, gateway, currency }, { $set: { isDefault: false } });
+  }
+
+  const recipient = await PayoutRecipient.findOneAndUpdate(
+    { userId, gateway, bankCode, accountNumber },
+    {
+      $set: {
+        accountName,
+        bankName: created.bankName,
+        currency,
+        recipientCode: created.recipientCode,
+        verified: true,
+        verifiedAt: new Date(),
+        isDefault,
+        active: true,
+        gatewayResponse: created.raw,
+      },
+    },
+    { upsert: true, new: true }
+  );
+
+  logger.info("💳 Payout recipient registered", { userId, gateway, recipientId: recipient._id });
+  return recipient;
+}
+
+export async function listRecipients(userId) {
+  return PayoutRecipient.find({ userId, active: true }).sort({ isDefault: -1, createdAt: -1 });
+}
+
+export async function setDefaultRecipient({ userId, recipientId }) {
+  const recipient = await PayoutRecipient.findOne({ _id: recipientId, userId, active: true });
+  if (!recipient) throw new Error("Payout recipient not found");
+
+  await PayoutRecipient.updateMany({ userId, gateway: recipient.gateway, currency: recipient.currency }, { $set: { isDefault: false } });
+  recipient.isDefault = true;
+  await recipient.save();
+  return recipient;
+}
+
+export async function removeRecipient({ userId, recipientId }) {
+  const recipient = await PayoutRecipient.findOne({ _id: recipientId, userId, active: true });
+  if (!recipient) throw new Error("Payout recipient not found");
+
+  const inFlight = await Payout.exists({ recipientId: recipient._id, status: "pending" });
+  if (inFlight) throw new Error("Recipient has a payout in progress");
+
+  recipient.active = false;
+  recipient.isDefault = false;
+  await recipient.save();
+  return recipient;
+}
+
+/**
+ * The verified default recipient a release for this pro should pay to (null if none).
+ * Payouts go out in the escrow's currency, so only accounts in that currency qualify.
+ */
+export async function getPayoutRecipient({ userId, gateway = "paystack", currency = PLATFORM_CURRENCY, session = null }) {
+  return PayoutRecipient.findOne({ userId, gateway, currency, verified: true, active: true, isDefault: true }).session(session);
+}
+
+/* ---------- Transfers ---------- */
+
+/**
+ * Create the pending Payout doc for a release. Called by escrowService inside its session.
+ */
+export async function createPayout({ session = null, booking, escrow, recipient, amount, gateway, reference, initiatedBy = null }) {
+  const payout = new Payout({
+    bookingId: booking._id,
+    escrowId: escrow._id,
+    proId: booking.proId,
+    recipientId: recipient._id,
+    gateway,
+    amount,
+    currency: escrow.currency || recipient.currency || PLATFORM_CURRENCY,
+    reference,
+    status: "pending",
+    initiatedBy,
+  });
+  await payout.save({ session });
+  return payout;
+}
+
+/**
+ * Store the gateway's answer to a transfer that is still pending (its transfer handle, when it sent one).
+ * Also marks the payout as checked: listStalePayouts goes by updatedAt.
+ */
+export async function markTransferSubmitted({ reference, transferCode = null, gatewayResponse = null }) {
+  const $set = { gatewayResponse };
+  if (transferCode) $set.transferCode = transferCode;
+  return Payout.findOneAndUpdate({ reference }, { $set }, { new: true });
+}
+
+export async function getPayout(reference) {
+  return Payout.findOne({ reference });
+}
+
+/** A pending payout with its recipient populated (what a resubmission needs), or null */
+export async function getPendingPayout(reference) {
+  return Payout.findOne({ reference, status: "pending" }).populate("recipientId");
+}
+
+/** Pending payouts nothing has happened to for `olderThanMs`: their outcome never reached us */
+export async function listStalePayouts({ olderThanMs, limit = 50 }) {
+  return Payout.find({ status: "pending", updatedAt: { $lt: new Date(Date.now() - olderThanMs) } })
+    .sort({ updatedAt: 1 })
+    .limit(limit)
+    .select("reference");
+}
+
+/**
+ * Apply a final transfer outcome (idempotent by Payout.status).
+ * - success: Payout/Transaction success, the escrow's pending release movement completes
+ * - failed/reversed: Payout/Transaction failed, the amount goes back into the escrow's held balance
+ *   so the release can be retried
+ * Booking payment fields are re-synced from the escrow either way.
+ */
+export async function applyTransferOutcome({ reference, status, reason = null, gatewayResponse = null }) {
+  if (!["success", "failed", "reversed"].includes(status)) {
+    throw new Error(`Unknown transfer outcome: ${status}`);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const payout = await Payout.findOne({ reference }).session(session);
+    if (!payout) {
+      await session.commitTransaction();
+      session.endSession();
+      logger.warn("Transfer outcome for unknown payout reference", { reference, status });
+      return { success: false, reason: "unknown_payout" };
+    }
+
+    const canApply = payout.status === "pending" || (status === "reversed" && payout.status === "success");
+    if (!canApply) {
+      await session.commitTransaction();
+      session.endSession();
+      logger.info("Transfer outcome already applied - idempotent exit", { reference, status: payout.status });
+      return { success: true, reason: "already_processed", payout };
+    }
+
+    const now = new Date();
+    payout.status = status;
+    payout.completedAt = now;
+    payout.failureReason = status === "success" ? null : reason || "Transfer failed";
+    if (gatewayResponse) payout.gatewayResponse = gatewayResponse;
+    await payout.save({ session });
+
+    await Transaction.updateOne(
+      { reference },
+      {
+        $set: {
+          status: status === "success" ? "success" : "failed",
+          gatewayResponse: gatewayResponse || payout.gatewayResponse,
+        },
+      },
+      { session }
+    );
+
+    // pro_payable clears to the gateway on success; failed / reversed money goes back into escrow holding
+    await ledgerService.post({
+      session,
+      kind: { success: "payout_settled", failed: "payout_failed", reversed: "payout_reversed" }[status],
+      amount: payout.amount,
+      reference,
+      bookingId: payout.bookingId,
+      escrowId: payout.escrowId,
+      proId: payout.proId,
+      gateway: payout.gateway,
+      currency: payout.currency,
+      metadata: status === "success" ? null : { reason: payout.failureReason },
+    });
+
+    const escrow = await Escrow.findById(payout.escrowId).session(session);
+    const booking = await Booking.findById(payout.bookingId).session(session);
+
+    if (escrow) {
+      escrow.completeMovement(reference, status);
+      escrow.metadata = { ...(escrow.metadata || {}), lastPayout: { reference, status, reason, at: now } };
+      await escrow.save({ session });
+
+      if (booking) {
+        booking.syncPaymentFromEscrow(escrow);
+        await booking.save({ session });
+      }
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    if (status !== "success") {
+      await createNotification({
+        type: "PAYMENT_ERROR",
+        title: "Payout transfer failed",
+        message: `Transfer ${reference} for booking ${payout.bookingId} ${status}: ${payout.failureReason}`,
+        severity: "high",
+        relatedIds: { bookingId: payout.bookingId, escrowId: payout.escrowId, payoutId: payout._id },
+      });
+    }
+
+    logger.info("Transfer outcome applied", { reference, status });
+    return { success: true, payout };
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    logger.error("applyTransferOutcome failed", err);
+    throw err;
+  }
+}
+
+/**
+ * Is this webhook a transfer (payout) event rather than a charge event?
+ */
+export function isTransferEvent(gateway, eventType) {
+  return (TRANSFER_EVENTS[gateway] || []).includes(String(eventType).toLowerCase());
+}
+
+/**
+ * Handle a verified transfer webhook.
+ * Paystack: transfer.success | transfer.failed | transfer.reversed, data.reference
+ * Flutterwave: transfer.completed with data.status SUCCESSFUL | FAILED, data.reference
+ */
+export async function handleTransferWebhook({ gateway, eventType, data = {} }) {
+  const reference = data.reference;
+  if (!reference) {
+    logger.warn("Transfer webhook without reference - ignoring", { gateway, eventType });
+    return { success: false, reason: "no_reference" };
+  }
+
+  let status = null;
+  if (gateway === "paystack") {
+    status = { "transfer.success": "success", "transfer.failed": "failed", "transfer.reversed": "reversed" }[eventType];
+  } else {
+    const s = String(data.status || "").toUpperCase();
+    if (s === "SUCCESSFUL") status = "success";
+    else if (s === "FAILED") status = "failed";
+  }
+
+  if (!status) {
+    logger.info("Transfer webhook with non-final status - ignoring", { gateway, reference, status: data.status });
+    return { success: true, handled: "noop" };
+  }
+
+  const reason = data.reason || data.complete_message || null;
+  return applyTransferOutcome({ reference, status, reason, gatewayResponse: data });
+}
+
+export async function listPayouts({ proId = null, status = null, page = 1, limit = 20 } = {}) {
+  const query = {};
+  if (proId) query.proId = proId;
+  if (status) query.status = status;
+
+  const [results, total] = await Promise.all([
+    Payout.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Payout.countDocuments(query),
+  ]);
+
+  return { total, page, pages: Math.ceil(total / limit), results };
+}
+
+export default {
+  listBanks,
+  resolveAccount,
+  registerRecipient,
+  listRecipients,
+  setDefaultRecipient,
+  removeRecipient,
+  getPayoutRecipient,
+  createPayout,
+  markTransferSubmitted,
+  getPayout,
+  getPendingPayout,
+  listStalePayouts,
+  applyTransferOutcome,
+  isTransferEvent,
+  handleTransferWebhook,
+  listPayouts,
+};
@@ -0,0 +1,429 @@
+// src/services/quoteService.js
+/**
+ * Quotes and negotiation before a booking exists
+ * - A customer sends a brief (QuoteRequest) to one or several pros; each pro gets a Conversation with them
+ * - Each pro answers with one itemised Quote built from their rateCard plus optional add-ons, with terms
+ *   and an expiry; either side counters by adding a revision, and the side being waited on may accept
+ * - Accepting creates the Booking on the pro's calendar (availabilityService.bookSlot) with totalAmount
+ *   locked to the quote, closes the other pros' quotes and starts escrowService.initializeEscrow
+ * - quoteExpiryJob expires quotes and requests whose time has run out (expireQuotes)
+ *
+ * Amounts are in the request's currency and added up in its minor units.
+ *
+ * ENV:
+ *   QUOTE_VALID_DAYS        default quote validity (default 3)
+ *   QUOTE_REQUEST_DAYS      default time pros have to answer a brief (default 7)
+ *   QUOTE_MAX_PROS          pros one brief can go to (default 10)
+ */
+import mongoose from "mongoose";
+import Quote from "../models/Quote.js";
+import QuoteRequest from "../models/QuoteRequest.js";
+import Conversation from "../models/Conversation.js";
+import User from "../models/User.js";
+import escrowService from "./escrowService.js";
+import { conversationBetween } from "./messageService.js";
+import { bookSlot } from "./availabilityService.js";
+import notificationService from "./notificationService.js";
+import logger from "../utils/logger.js";
+import { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES, toMinor, fromMinor } from "../utils/money.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const QUOTE_VALID_DAYS = Number(process.env.QUOTE_VALID_DAYS || 3);
+const REQUEST_DAYS = Number(process.env.QUOTE_REQUEST_DAYS || 7);
+const MAX_PROS = Number(process.env.QUOTE_MAX_PROS || 10);
+const MAX_ITEMS = 50;
+
+function quoteError(message, status, code) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+const sameId = (a, b) => String(a) === String(b);
+
+/** "customer" | "pro" for a user on a quote or request; admins read as "admin"; anyone else 403 */
+function roleOn(doc, user, { allowAdmin = false } = {}) {
+  const id = String(user?.id || user?._id);
+  if (sameId(doc.customerId, id)) return "customer";
+  if (doc.proId ? sameId(doc.proId, id) : doc.proIds?.some((p) => sameId(p, id))) return "pro";
+  if (allowAdmin && user?.role === "admin") return "admin";
+  throw quoteError("Not authorized for this quote", 403, "QUOTE_FORBIDDEN");
+}
+
+function notify(userId, title, message, meta) {
+  return notificationService.sendNotification({ userId, type: "quote", title, message, meta });
+}
+
+/** Quote expiry: `validDays` / `expiresAt` from the body, never past the request's deadline or the event */
+function expiryFor({ expiresAt, validDays }, request, now = new Date()) {
+  const requested = expiresAt ? new Date(expiresAt) : new Date(now.getTime() + (Number(validDays) || QUOTE_VALID_DAYS) * DAY_MS);
+  if (Number.isNaN(requested.getTime()) || requested <= now) throw quoteError("Quote expiry must be in the future", 400, "QUOTE_EXPIRY_INVALID");
+  return new Date(Math.min(requested.getTime(), request.expiresAt.getTime(), request.eventDate.getTime()));
+}
+
+/**
+ * Quote lines from rateCard picks and add-ons:
+ *   items: [{ rateId, quantity }]   — priced from the pro's rateCard
+ *   addons: [{ label, price, quantity, optional }]
+ */
+function buildItems(pro, { items = [], addons = [] }, currency) {
+  if (!Array.isArray(items) || !Array.isArray(addons)) throw quoteError("items and addons must be arrays", 400, "QUOTE_ITEMS_INVALID");
+  if (items.length + addons.length > MAX_ITEMS) throw quoteError(`A quote can have at most ${MAX_ITEMS} lines`, 400, "QUOTE_ITEMS_INVALID");
+
+  const line = (fields) => {
+    const quantity = Number(fields.quantity ?? 1);
+    if (!(quantity > 0)) throw quoteError("Quantities must be positive", 400, "QUOTE_ITEMS_INVALID");
+    const unitPrice = fromMinor(toMinor(fields.unitPrice, currency), currency);
+    if (!(unitPrice >= 0)) throw quoteError("Prices cannot be negative", 400, "QUOTE_ITEMS_INVALID");
+    return { ...fields, quantity, unitPrice, amount: fromMinor(Math.round(toMinor(unitPrice, currency) * quantity), currency) };
+  };
+
+  const rateLines = items.map((item) => {
+    const rate = pro.rateCard?.find((r) => sameId(r._id, item.rateId));
+    if (!rate) throw quoteError(`Rate ${item.rateId} is not on your rate card`, 400, "QUOTE_RATE_UNKNOWN");
+    return line({ kind: "rate", rateId: rate._id, label: rate.label, quantity: item.quantity, unitPrice: rate.price });
+  });
+  const addonLines = addons.map((a) => {
+    if (!a.label) throw quoteError("Add-ons need a label", 400, "QUOTE_ITEMS_INVALID");
+    return line({ kind: "addon", label: String(a.label).slice(0, 200), quantity: a.quantity, unitPrice: a.price, optional: a.optional !== false });
+  });
+
+  const lines = [...rateLines, ...addonLines];
+  if (!lines.length) throw quoteError("A quote needs at least one line", 400, "QUOTE_ITEMS_INVALID");
+  return lines;
+}
+
+const sumOf = (items, currency) => fromMinor(items.reduce((sum, i) => sum + toMinor(i.amount, currency), 0), currency);
+
+/** Lines for a proposed total: earlier adjustments are replaced by one that makes the lines add up */
+function withTotal(items, total, currency, label) {
+  const copy = items.map((i) => (i.toObject ? i.toObject() : { ...i }));
+  if (total === undefined || total === null) return { items: copy, total: sumOf(copy, currency) };
+
+  const lines = copy.filter((i) => i.kind !== "adjustment");
+
+  const proposed = fromMinor(toMinor(total, currency), currency);
+  if (!(proposed > 0)) throw quoteError("A quote total must be positive", 400, "QUOTE_TOTAL_INVALID");
+  const diff = toMinor(proposed, currency) - toMinor(sumOf(lines, currency), currency);
+  if (diff !== 0) lines.push({ kind: "adjustment", label, quantity: 1, unitPrice: fromMinor(diff, currency), amount: fromMinor(diff, currency) });
+  return { items: lines, total: proposed };
+}
+
+function assertLive(quote, now = new Date()) {
+  if (quote.status !== "open") throw quoteError(`Quote is ${quote.status}`, 409, "QUOTE_CLOSED");
+  if (quote.expiresAt <= now) throw quoteError("Quote has expired", 409, "QUOTE_EXPIRED");
+}
+
+/* ---------- Requests ---------- */
+
+/**
+ * Customer posts a brief to one or more pros.
+ * Body: { proIds, title, description, eventDate, durationMinutes, location, budget, currency, expiresAt }
+ */
+export async function createRequest(customerId, body = {}) {
+  const proIds = [...new Set((body.proIds || []).map(String))];
+  if (!proIds.length) throw quoteError("Choose at least one pro", 400, "QUOTE_REQUEST_INVALID");
+  if (proIds.length > MAX_PROS) throw quoteError(`A request can go to at most ${MAX_PROS} pros`, 400, "QUOTE_REQUEST_INVALID");
+  if (proIds.some((id) => !mongoose.isValidObjectId(id) || sameId(id, customerId))) throw quoteError("Invalid pro id", 400, "QUOTE_REQUEST_INVALID");
+
+  const pros = await User.find({ _id: { $in: proIds }, role: "pro" }).select("_id");
+  if (pros.length !== proIds.length) throw quoteError("Some of those users are not pros", 400, "QUOTE_REQUEST_INVALID");
+
+  const now = new Date();
+  const eventDate = new Date(body.eventDate);
+  if (Number.isNaN(eventDate.getTime()) || eventDate <= now) throw quoteError("eventDate must be in the future", 400, "QUOTE_REQUEST_INVALID");
+  const currency = body.currency || PLATFORM_CURRENCY;
+  if (!SUPPORTED_CURRENCIES.includes(currency)) throw quoteError(`Unsupported currency ${currency}`, 400, "QUOTE_REQUEST_INVALID");
+
+  const deadline = body.expiresAt ? new Date(body.expiresAt) : new Date(now.getTime() + REQUEST_DAYS * DAY_MS);
+  if (Number.isNaN(deadline.getTime()) || deadline <= now) throw quoteError("expiresAt must be in the future", 400, "QUOTE_REQUEST_INVALID");
+
+  const request = await QuoteRequest.create({
+    customerId,
+    proIds,
+    title: body.title,
+    description: body.description,
+    eventDate,
+    durationMinutes: Number(body.durationMinutes),
+    location: body.location,
+    budget: body.budget ?? null,
+    currency,
+    expiresAt: new Date(Math.min(deadline.getTime(), eventDate.getTime())),
+  });
+
+  for (const proId of proIds) {
+    await conversationBetween(customerId, proId);
+    await notify(proId, "New quote request", `You've been asked to quote for "${request.title}"`, { requestId: request._id });
+  }
+  logger.info("Quote request created", { requestId: request._id, customerId, pros: proIds.length });
+  return request;
+}
+
+/** Customer withdraws a brief; open quotes on it close */
+export async function closeRequest(requestId, customerId) {
+  const request = await QuoteRequest.findOneAndUpdate(
+    { _id: requestId, customerId, status: "open" },
+    { $set: { status: "closed" } },
+    { new: true }
+  );
+  if (!request) throw quoteError("Open quote request not found", 404, "QUOTE_REQUEST_NOT_FOUND");
+  await Quote.updateMany({ requestId, status: "open" }, { $set: { status: "closed", awaiting: null, respondedAt: new Date() } });
+  return request;
+}
+
+/** Request with its quotes: the customer sees every quote, a pro only their own */
+export async function getRequest(requestId, user) {
+  const request = await QuoteRequest.findById(requestId).lean();
+  if (!request) throw quoteError("Quote request not found", 404, "QUOTE_REQUEST_NOT_FOUND");
+  const role = roleOn(request, user, { allowAdmin: true });
+  const filter = role === "pro" ? { requestId, proId: user.id || user._id } : { requestId };
+  const quotes = await Quote.find(filter).populate("proId", "name avatarUri rating trustScore").sort({ createdAt: 1 }).lean();
+  return { ...request, quotes };
+}
+
+/** Requests the user sent (customer) or was asked to quote on (pro) */
+export async function listRequests(user, { status } = {}) {
+  const id = user.id || user._id;
+  const filter = user.role === "pro" ? { proIds: id } : { customerId: id };
+  if (status) filter.status = status;
+  return QuoteRequest.find(filter).sort({ createdAt: -1 }).limit(100).lean();
+}
+
+/* ---------- Quotes ---------- */
+
+/**
+ * Pro answers a request.
+ * Body: { items: [{ rateId, quantity }], addons: [{ label, price, quantity, optional }], terms, note, validDays | expiresAt }
+ */
+export async function submitQuote(proId, requestId, body = {}) {
+  const request = await QuoteRequest.findById(requestId);
+  if (!request) throw quoteError("Quote request not found", 404, "QUOTE_REQUEST_NOT_FOUND");
+  if (!request.proIds.some((p) => sameId(p, proId))) throw quoteError("This request wasn't sent to you", 403, "QUOTE_FORBIDDEN");
+  if (request.status !== "open" || request.expiresAt <= new Date()) throw quoteError("The request is no longer open", 409, "QUOTE_REQUEST_CLOSED");
+  if (await Quote.exists({ requestId, proId })) throw quoteError("You already quoted; send a counter-offer instead", 409, "QUOTE_EXISTS");
+
+  const pro = await User.findById(proId).select("rateCard name");
+  const items = buildItems(pro, body, request.currency);
+  const total = sumOf(items, request.currency);
+  const expiresAt = expiryFor(body, request);
+  const conversation = await conversationBetween(request.customerId, proId);
+
+  const quote = await Quote.create({
+    requestId,
+    customerId: request.customerId,
+    proId,
+    conversationId: conversation._id,
+    currency: request.currency,
+    revisions: [{ by: "pro", items, total, terms: body.terms || "", note: body.note || "", expiresAt }],
+    total,
+    expiresAt,
+    awaiting: "customer",
+  });
+
+  await notify(request.customerId, "New quote", `${pro.name} quoted ${total} ${request.currency} for "${request.title}"`, {
+    quoteId: quote._id,
+    requestId,
+  });
+  return quote;
+}
+
+/**
+ * Counter-offer by the side being waited on.
+ * - pro: new { items, addons } (else the current lines), optional total, terms
+ * - customer: optional dropAddons: [itemId] (optional add-ons only) and a proposed total
+ * A total that differs from the lines becomes an "adjustment" line. Body also takes { note, validDays | expiresAt }.
+ */
+export async function counterQuote(quoteId, user, body = {}) {
+  const quote = await Quote.findById(quoteId);
+  if (!quote) throw quoteError("Quote not found", 404, "QUOTE_NOT_FOUND");
+  const role = roleOn(quote, user);
+  assertLive(quote);
+  if (quote.awaiting !== role) throw quoteError("Waiting for the other side to respond", 409, "QUOTE_NOT_YOUR_TURN");
+
+  const request = await QuoteRequest.findById(quote.requestId);
+  if (request.status !== "open") throw quoteError("The request is no longer open", 409, "QUOTE_REQUEST_CLOSED");
+  const current = quote.current();
+
+  let lines = current.items;
+  if (role === "pro" && (body.items || body.addons)) {
+    const pro = await User.findById(quote.proId).select("rateCard");
+    lines = buildItems(pro, body, quote.currency);
+  } else if (role === "customer" && body.dropAddons?.length) {
+    const drop = new Set(body.dropAddons.map(String));
+    const fixed = lines.filter((i) => drop.has(String(i._id)) && !i.optional);
+    if (fixed.length) throw quoteError("Only optional add-ons can be dropped", 400, "QUOTE_ITEMS_INVALID");
+    lines = lines.filter((i) => !drop.has(String(i._id)));
+  }
+
+  const { items, total } = withTotal(lines, body.total, quote.currency, role === "customer" ? "Customer counter-offer" : "Price adjustment");
+  if (!(total > 0)) throw quoteError("A quote total must be positive", 400, "QUOTE_TOTAL_INVALID");
+  const terms = role === "pro" && body.terms !== undefined ? String(body.terms) : current.terms;
+  const signature = (lines, t) => JSON.stringify([lines.map((i) => [i.label, i.quantity, i.amount]), t]);
+  if (toMinor(total, quote.currency) === toMinor(current.total, quote.currency) && signature(items, terms) === signature(current.items, current.terms)) {
+    throw quoteError("A counter-offer has to change something", 400, "QUOTE_COUNTER_UNCHANGED");
+  }
+
+  const expiresAt = expiryFor(body, request);
+  quote.revisions.push({
+    by: role,
+    items,
+    total,
+    terms,
+    note: body.note || "",
+    expiresAt,
+  });
+  quote.total = total;
+  quote.expiresAt = expiresAt;
+  quote.awaiting = role === "pro" ? "customer" : "pro";
+  await quote.save();
+
+  const otherId = role === "pro" ? quote.customerId : quote.proId;
+  await notify(otherId, "Counter-offer", `New offer of ${total} ${quote.currency} on "${request.title}"`, { quoteId: quote._id, requestId: request._id });
+  return quote;
+}
+
+/**
+ * Accept the live offer (only the side being waited on can).
+ * Creates the booking on the pro's calendar with the quoted total locked, closes the other quotes
+ * and starts escrow funding for the customer (body: { gateway }).
+ * Returns { quote, booking, payment } — payment is null with paymentError set if the gateway
+ * couldn't be reached; the customer can start funding again from the booking.
+ */
+export async function acceptQuote(quoteId, user, { gateway } = {}) {
+  const quote = await Quote.findById(quoteId);
+  if (!quote) throw quoteError("Quote not found", 404, "QUOTE_NOT_FOUND");
+  const role = roleOn(quote, user);
+  assertLive(quote);
+  if (quote.awaiting !== role) throw quoteError("You can't accept your own offer", 409, "QUOTE_NOT_YOUR_TURN");
+
+  // Claim the request so two quotes can't both be accepted
+  const request = await QuoteRequest.findOneAndUpdate(
+    { _id: quote.requestId, status: "open", expiresAt: { $gt: new Date() } },
+    { $set: { status: "booking" } },
+    { new: true }
+  );
+  if (!request) throw quoteError("The request is no longer open", 409, "QUOTE_REQUEST_CLOSED");
+
+  let booking;
+  try {
+    ({ booking } = await bookSlot({
+      customerId: quote.customerId,
+      proId: quote.proId,
+      start: request.eventDate,
+      end: new Date(request.eventDate.getTime() + request.durationMinutes * 60 * 1000),
+      booking: {
+        totalAmount: quote.total,
+        currency: quote.currency,
+        quoteId: quote._id,
+        metadata: { title: request.title, location: request.location, quoteId: quote._id, requestId: request._id },
+      },
+    }));
+  } catch (err) {
+    await QuoteRequest.updateOne({ _id: request._id, status: "booking" }, { $set: { status: "open" } });
+    throw err;
+  }
+
+  const now = new Date();
+  quote.status = "accepted";
+  quote.awaiting = null;
+  quote.respondedAt = now;
+  quote.bookingId = booking._id;
+  await quote.save();
+  await Quote.updateMany(
+    { requestId: request._id, _id: { $ne: quote._id }, status: "open" },
+    { $set: { status: "closed", awaiting: null, respondedAt: now } }
+  );
+  request.status = "booked";
+  request.acceptedQuoteId = quote._id;
+  request.bookingId = booking._id;
+  await request.save();
+
+  let payment = null;
+  let paymentError = null;
+  try {
+    const customer = await User.findById(quote.customerId).select("email");
+    payment = await escrowService.initializeEscrow({
+      bookingId: booking._id,
+      email: customer.email,
+      gateway,
+      metadata: { quoteId: String(quote._id) },
+    });
+  } catch (err) {
+    paymentError = err.message;
+    logger.warn("Escrow initialization after quote acceptance failed", { quoteId, bookingId: booking._id, error: err.message });
+  }
+
+  const otherId = role === "pro" ? quote.customerId : quote.proId;
+  await notify(otherId, "Quote accepted", `The quote for "${request.title}" was accepted`, { quoteId: quote._id, bookingId: booking._id });
+  logger.info("Quote accepted", { quoteId, bookingId: booking._id, total: quote.total, currency: quote.currency });
+  return { quote, booking, payment, paymentError };
+}
+
+/** Customer declines a quote, or the pro withdraws it */
+export async function declineQuote(quoteId, user, { reason = "" } = {}) {
+  const quote = await Quote.findById(quoteId);
+  if (!quote) throw quoteError("Quote not found", 404, "QUOTE_NOT_FOUND");
+  const role = roleOn(quote, user);
+  assertLive(quote);
+
+  quote.status = role === "pro" ? "withdrawn" : "declined";
+  quote.awaiting = null;
+  quote.respondedAt = new Date();
+  quote.closeReason = String(reason).slice(0, 1000);
+  await quote.save();
+
+  const otherId = role === "pro" ? quote.customerId : quote.proId;
+  await notify(otherId, role === "pro" ? "Quote withdrawn" : "Quote declined", reason || `Quote ${quote.status}`, { quoteId: quote._id });
+  return quote;
+}
+
+export async function getQuote(quoteId, user) {
+  const quote = await Quote.findById(quoteId).lean();
+  if (!quote) throw quoteError("Quote not found", 404, "QUOTE_NOT_FOUND");
+  roleOn(quote, user, { allowAdmin: true });
+  return quote;
+}
+
+/** Quotes negotiated in a conversation, newest first (participants only) */
+export async function listConversationQuotes(conversationId, user) {
+  const conversation = await Conversation.findById(conversationId).select("participants").lean();
+  if (!conversation) throw quoteError("Conversation not found", 404, "CONVERSATION_NOT_FOUND");
+  const id = String(user.id || user._id);
+  if (!conversation.participants.some((p) => sameId(p, id)) && user.role !== "admin") {
+    throw quoteError("Not a participant in this conversation", 403, "QUOTE_FORBIDDEN");
+  }
+  return Quote.find({ conversationId }).populate("requestId", "title eventDate durationMinutes status").sort({ createdAt: -1 }).lean();
+}
+
+/**
+ * Expire open quotes and requests past their expiry (quoteExpiryJob).
+ * Returns { quotes, requests } counts.
+ */
+export async function expireQuotes(now = new Date()) {
+  const requests = await QuoteRequest.find({ status: "open", expiresAt: { $lte: now } }).select("_id");
+  const requestIds = requests.map((r) => r._id);
+  if (requestIds.length) {
+    await QuoteRequest.updateMany({ _id: { $in: requestIds }, status: "open" }, { $set: { status: "expired" } });
+  }
+
+  const quotes = await Quote.updateMany(
+    { status: "open", $or: [{ expiresAt: { $lte: now } }, { requestId: { $in: requestIds } }] },
+    { $set: { status: "expired", awaiting: null, respondedAt: now } }
+  );
+  return { quotes: quotes.modifiedCount, requests: requestIds.length };
+}
+
+export default {
+  createRequest,
+  closeRequest,
+  getRequest,
+  listRequests,
+  submitQuote,
+  counterQuote,
+  acceptQuote,
+  declineQuote,
+  getQuote,
+  listConversationQuotes,
+  expireQuotes,
+};
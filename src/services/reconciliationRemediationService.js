@@ -0,0 +1,269 @@
+// src/services/reconciliationRemediationService.js
+/**
+ * Reconciliation issue workflow
+ * - Lifecycle per ReconciliationReport issue: open → acknowledged → auto_fixed | resolved | ignored,
+ *   with an assignee and notes; closed issues can be reopened.
+ * - Safe automatic fixes for known issue types (FIXES below). Each fix is idempotent and only ever
+ *   moves local state towards what the gateway / escrow already says.
+ * - Every fix attempt and status change is written to AuditLog.
+ */
+
+import mongoose from "mongoose";
+import logger from "../utils/logger.js";
+import ReconciliationReport, { ISSUE_STATUSES } from "../models/ReconciliationReport.js";
+import AuditLog from "../models/AuditLog.js";
+import Booking from "../models/Booking.js";
+import Escrow from "../models/Escrow.js";
+import Transaction from "../models/Transaction.js";
+import escrowService from "./escrowService.js";
+import paymentGatewayAdapter from "./paymentGatewayAdapter.js";
+
+// Allowed manual transitions (auto_fixed is only reached by applying a fix)
+const TRANSITIONS = {
+  open: ["acknowledged", "resolved", "ignored"],
+  acknowledged: ["open", "resolved", "ignored"],
+  auto_fixed: ["open"],
+  resolved: ["open"],
+  ignored: ["open"],
+};
+
+const CLOSED_STATUSES = ["auto_fixed", "resolved", "ignored"];
+
+/* ---------- Fixes ---------- */
+
+/** booking.paymentReleased / paymentStatus follow the escrow */
+async function syncBookingFromEscrow(issue) {
+  const escrow = await Escrow.findById(issue.related?.escrowId);
+  if (!escrow) return { fixed: false, reason: "escrow_not_found" };
+
+  const booking = await Booking.findById(escrow.bookingId);
+  if (!booking) return { fixed: false, reason: "booking_not_found" };
+
+  const before = { paymentStatus: booking.paymentStatus, paymentReleased: booking.paymentReleased };
+  booking.syncPaymentFromEscrow(escrow);
+  await booking.save();
+
+  return {
+    fixed: true,
+    bookingId: booking._id,
+    before,
+    after: { paymentStatus: booking.paymentStatus, paymentReleased: booking.paymentReleased },
+  };
+}
+
+/**
+ * Ask the gateway about the charge again and, if it settled, apply it through the normal webhook
+ * processing path (records the transaction, funds the escrow, posts the ledger — all idempotent).
+ */
+async function reverifyWithGateway(issue) {
+  let reference = issue.related?.reference || null;
+  if (!reference && issue.related?.transactionId) {
+    reference = (await Transaction.findById(issue.related.transactionId).select("reference"))?.reference || null;
+  }
+  if (!reference && issue.related?.escrowId) {
+    reference = (await Escrow.findById(issue.related.escrowId).select("gatewayReference"))?.gatewayReference || null;
+  }
+  if (!reference) return { fixed: false, reason: "no_reference" };
+
+  const verified = await paymentGatewayAdapter.getTransactionByReference(reference);
+  if (!verified) return { fixed: false, reason: "gateway_verification_unavailable", reference };
+
+  const status = String(verified.status || "").toLowerCase();
+  if (!["success", "successful"].includes(status)) {
+    return { fixed: false, reason: `gateway_reports_${status || "unknown"}`, reference };
+  }
+
+  const data = verified.raw?.data || {};
+  const body =
+    verified.gateway === "paystack"
+      ? { event: "charge.success", data: { ...data, reference } }
+      : { event: "charge.completed", data: { ...data, tx_ref: data.tx_ref || reference } };
+
+  const result = await escrowService.processWebhookEvent({ gateway: verified.gateway, body });
+  // A charge flagged for not matching its escrow needs an admin, not another attempt
+  const fixed = result?.success !== false && result?.handled !== "flagged";
+  return { fixed, reason: fixed ? undefined : result?.reason, reference, gateway: verified.gateway, result };
+}
+
+/** Registry: issue type -> safe automatic fix */
+export const FIXES = {
+  escrow_released_booking_not_updated: { action: "sync_booking_from_escrow", run: syncBookingFromEscrow },
+  txn_missing_escrow: { action: "reverify_with_gateway", run: reverifyWithGateway },
+  escrow_without_txn: { action: "reverify_with_gateway", run: reverifyWithGateway },
+  gateway_charge_missing_locally: { action: "reverify_with_gateway", run: reverifyWithGateway },
+  gateway_settled_local_not_success: { action: "reverify_with_gateway", run: reverifyWithGateway },
+  gateway_settled_escrow_not_funded: { action: "reverify_with_gateway", run: reverifyWithGateway },
+};
+
+/* ---------- Helpers ---------- */
+
+async function loadIssue(reportId, issueId) {
+  const report = await ReconciliationReport.findById(reportId);
+  if (!report) throw new Error("Reconciliation report not found");
+  const issue = report.issues.id(issueId);
+  if (!issue) throw new Error("Reconciliation issue not found");
+  return { report, issue };
+}
+
+async function audit(action, { actor = null, report, issue, meta = {} }) {
+  try {
+    await AuditLog.create({
+      actor,
+      action,
+      reportId: report._id,
+      meta: { issueId: issue._id, issueType: issue.type, ...meta },
+    });
+  } catch (err) {
+    logger.error("Failed to write reconciliation audit log", err);
+  }
+}
+
+/* ---------- API ---------- */
+
+/**
+ * Apply the automatic fix for one issue.
+ * Returns { issue, result }; the issue moves to auto_fixed only when the fix reports fixed: true.
+ */
+export async function applyFix(reportId, issueId, { actorId = null } = {}) {
+  const { report, issue } = await loadIssue(reportId, issueId);
+  const fix = FIXES[issue.type];
+  if (!fix) throw new Error(`No automatic fix available for ${issue.type}`);
+  if (CLOSED_STATUSES.includes(issue.status)) throw new Error(`Issue is already ${issue.status}`);
+
+  let result;
+  try {
+    result = await fix.run(issue);
+  } catch (err) {
+    logger.error("❌ Reconciliation fix failed", { reportId, issueId, type: issue.type, error: err.message });
+    result = { fixed: false, reason: "error", error: err.message };
+  }
+
+  issue.fix = { action: fix.action, appliedBy: actorId, appliedAt: new Date(), result };
+  if (result.fixed) {
+    issue.status = "auto_fixed";
+    issue.resolvedBy = actorId;
+    issue.resolvedAt = new Date();
+  }
+  issue.notes.push({ author: actorId, text: `${fix.action}: ${result.fixed ? "fixed" : `not fixed (${result.reason})`}` });
+  await report.save();
+
+  await audit(result.fixed ? "reconciliation.fix_applied" : "reconciliation.fix_failed", {
+    actor: actorId,
+    report,
+    issue,
+    meta: { fix: fix.action, result },
+  });
+
+  logger.info(`🩹 Reconciliation fix ${fix.action} on ${issue.type}: ${result.fixed ? "fixed" : result.reason}`, { reportId, issueId });
+  return { issue, result };
+}
+
+/**
+ * Run every available automatic fix on a report's open / acknowledged issues.
+ * Used after each reconciliation run and from the admin API.
+ */
+export async function autoFixReport(reportId, { actorId = null } = {}) {
+  const report = await ReconciliationReport.findById(reportId).select("issues._id issues.type issues.status");
+  if (!report) throw new Error("Reconciliation report not found");
+
+  const candidates = report.issues.filter((i) => FIXES[i.type] && !CLOSED_STATUSES.includes(i.status));
+  const summary = { attempted: candidates.length, fixed: 0, failed: 0 };
+
+  for (const candidate of candidates) {
+    const { result } = await applyFix(reportId, candidate._id, { actorId });
+    if (result.fixed) summary.fixed += 1;
+    else summary.failed += 1;
+  }
+  return summary;
+}
+
+/**
+ * Change an issue's status / assignee and/or add a note.
+ * - status: one of ISSUE_STATUSES reachable from the current status (auto_fixed only via applyFix)
+ * - assignee: user id, or null to unassign
+ */
+export async function updateIssue(reportId, issueId, { status, assignee, note } = {}, { actorId = null } = {}) {
+  const { report, issue } = await loadIssue(reportId, issueId);
+  const changes = {};
+
+  if (status && status !== issue.status) {
+    if (!ISSUE_STATUSES.includes(status)) throw new Error(`Invalid issue status: ${status}`);
+    if (!(TRANSITIONS[issue.status] || []).includes(status)) {
+      throw new Error(`Cannot move issue from ${issue.status} to ${status}`);
+    }
+    changes.status = { from: issue.status, to: status };
+    issue.status = status;
+    if (CLOSED_STATUSES.includes(status)) {
+      issue.resolvedBy = actorId;
+      issue.resolvedAt = new Date();
+    } else {
+      issue.resolvedBy = null;
+      issue.resolvedAt = null;
+    }
+  }
+
+  if (assignee !== undefined && String(assignee) !== String(issue.assignee)) {
+    changes.assignee = { from: issue.assignee, to: assignee || null };
+    issue.assignee = assignee || null;
+  }
+
+  if (note) {
+    issue.notes.push({ author: actorId, text: String(note) });
+    changes.note = String(note);
+  }
+
+  if (!Object.keys(changes).length) return issue;
+
+  await report.save();
+  await audit("reconciliation.issue_updated", { actor: actorId, report, issue, meta: changes });
+  return issue;
+}
+
+/**
+ * Flattened issues across reports, newest report first.
+ * Filters: status, type, assignee, reportId. Each row carries reportId, runAt and fixAvailable.
+ */
+export async function listIssues({ status, type, assignee, reportId, page = 1, limit = 50 } = {}) {
+  const { ObjectId } = mongoose.Types;
+  const match = {};
+  // Issues stored before the lifecycle existed have no status and count as open
+  if (status) match["issues.status"] = status === "open" ? { $in: ["open", null] } : status;
+  if (type) match["issues.type"] = type;
+  if (assignee) match["issues.assignee"] = new ObjectId(String(assignee));
+
+  const pipeline = [];
+  if (reportId) pipeline.push({ $match: { _id: new ObjectId(String(reportId)) } });
+  pipeline.push(
+    { $unwind: "$issues" },
+    { $match: match },
+    { $sort: { runAt: -1 } },
+    {
+      $facet: {
+        results: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $replaceRoot: { newRoot: { $mergeObjects: ["$issues", { reportId: "$_id", runAt: "$runAt" }] } } },
+        ],
+        total: [{ $count: "count" }],
+      },
+    }
+  );
+
+  const [facet] = await ReconciliationReport.aggregate(pipeline);
+  const total = facet?.total?.[0]?.count || 0;
+  const results = (facet?.results || []).map((issue) => ({
+    ...issue,
+    status: issue.status || "open",
+    fixAvailable: Boolean(FIXES[issue.type]),
+  }));
+
+  return { total, page, pages: Math.ceil(total / limit), results };
+}
+
+export default {
+  FIXES,
+  applyFix,
+  autoFixReport,
+  updateIssue,
+  listIssues,
+};
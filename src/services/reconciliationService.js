@@ -6,21 +6,221 @@ import ReconciliationReport from "../models/ReconciliationReport.js";
 import notificationService from "./notificationService.js";
 import logger from "../utils/logger.js";
 import adminNotificationService from "./adminNotificationService.js";
+import ledgerService from "./ledgerService.js";
+import paymentGatewayAdapter from "./paymentGatewayAdapter.js";
+import reconciliationRemediationService from "./reconciliationRemediationService.js";
+import { PLATFORM_CURRENCY, isSupportedCurrency, toMinor, fromMinor } from "../utils/money.js";
 
 /**
  * 🔍 Reconciliation Service
  * - Scans internal DB records to find mismatches that may indicate leakage or stale states.
+ * - Three-way check against the gateways: settled gateway charges ↔ Transaction ledger ↔ Escrow state
+ *   (paymentGatewayAdapter.listRecentTransactions, paginated).
+ * - Amounts are compared currency by currency, in integer minor units; amounts in different currencies
+ *   are reported as currency mismatches, never compared. Per-currency totals go into report.meta.currencyTotals.
  * - Generates a ReconciliationReport document with a structured summary.
+ * - Applies safe automatic fixes to the new report's issues (reconciliationRemediationService; RECONCILE_AUTO_FIX=false to disable).
  * - Notifies admins if any issues are found.
  * - Supports both cron and manual triggers.
  */
 
 const MAX_ISSUES = 500; // Cap the number of issues stored per report
+const LOOKBACK_HOURS = Number(process.env.RECONCILE_LOOKBACK_HOURS || 48); // gateway window for scheduled runs
 
-export async function reconcileTransactions({ limit = 5000, runBy = "system" } = {}) {
+const SUGGESTED_FIXES = {
+  txn_without_booking: "Link the transaction to its booking or mark it for investigation",
+  txn_booking_missing: "Restore the booking or refund the customer for this transaction",
+  txn_missing_escrow: "Re-run gateway verification for the reference to fund the escrow",
+  amount_mismatch: "Compare the gateway charge with the escrow and correct the escrow amount",
+  txn_escrow_currency_mismatch: "Check which currency the customer was charged in and correct the escrow or refund the charge",
+  escrow_released_booking_not_updated: "Sync booking.paymentReleased from the escrow",
+  escrow_without_booking: "Refund the escrow or restore the booking",
+  escrow_without_txn: "Re-run gateway verification for the escrow's gateway reference",
+  gateway_charge_missing_locally: "Replay the charge webhook from the inbox, or verify the reference to record it and fund the escrow",
+  gateway_settled_local_not_success: "Re-run gateway verification for the reference to mark the transaction successful",
+  gateway_amount_mismatch: "Correct the local transaction amount to the settled gateway amount and review the escrow",
+  gateway_currency_mismatch: "Review the charge: refund it or convert before funding the escrow",
+  gateway_settled_escrow_not_funded: "Fund the escrow from the verified gateway charge",
+  escrow_gateway_amount_mismatch: "Adjust the escrow to the settled gateway amount or refund the difference",
+  local_success_missing_at_gateway: "Verify the reference with the gateway; if it never settled, reverse the escrow_funded entry and hold the booking",
+  ledger_unbalanced: "Find the unbalanced journal entries and post reversing entries",
+  ledger_escrow_mismatch: "Compare the booking's journal entries with its escrow movements and post the missing entry",
+  ledger_payable_mismatch: "Check pending payouts against pro_payable and apply any missed transfer outcomes",
+  reconcile_error: "Re-run reconciliation; check the logs if it persists",
+};
+
+const currencyOf = (doc) => String(doc?.currency || PLATFORM_CURRENCY).toUpperCase();
+
+// Minor units of an amount in a currency we may not support (a gateway can settle in anything)
+const minorOf = (amount, currency) => toMinor(amount, isSupportedCurrency(currency) ? currency : PLATFORM_CURRENCY);
+
+/** Running totals per currency, in minor units */
+function addTotal(totals, currency, field, amount) {
+  const row = totals[currency] || (totals[currency] = { gatewaySettled: 0, localSettled: 0, gatewayCount: 0, localCount: 0 });
+  row[field] += minorOf(amount, currency);
+  row[field.replace("Settled", "Count")] += 1;
+}
+
+/**
+ * Three-way gateway reconciliation for a time window:
+ * - settled gateway charges missing from the Transaction ledger
+ * - settled charges whose local transaction isn't successful, or whose escrow was never funded
+ * - amount / currency mismatches between gateway, transaction and escrow (amounts only within one currency)
+ * - local successful charges the gateway doesn't know about (only for gateways listed completely)
+ * Returns { issues, gatewayChecked, localChecked, gateways, currencyTotals }
+ *   currencyTotals: { NGN: { gatewaySettled, localSettled, gatewayCount, localCount } } in major units
+ */
+export async function reconcileWithGateways({ sinceIso, untilIso = null, limit = 5000 } = {}) {
+  const issues = [];
+  const since = sinceIso || new Date(Date.now() - LOOKBACK_HOURS * 60 * 60 * 1000).toISOString();
+
+  const { items, gateways } = await paymentGatewayAdapter.listRecentTransactions({
+    sinceIso: since,
+    untilIso,
+    status: "success",
+    detailed: true,
+  });
+  const settled = items.filter((c) => c.status === "success" && c.reference).slice(0, limit);
+  const settledByRef = new Map(settled.map((c) => [c.reference, c]));
+  const totals = {};
+
+  // --- Gateway → ledger → escrow ---
+  for (const charge of settled) {
+    const chargeCurrency = currencyOf(charge);
+    const chargeMinor = charge.amountMinor ?? minorOf(charge.amount, chargeCurrency);
+    addTotal(totals, chargeCurrency, "gatewaySettled", charge.amount);
+    const related = { gateway: charge.gateway, reference: charge.reference, gatewayAmount: charge.amount, gatewayCurrency: chargeCurrency };
+    try {
+      const tx = await Transaction.findOne({ reference: charge.reference });
+      if (!tx) {
+        issues.push({
+          type: "gateway_charge_missing_locally",
+          severity: "high",
+          message: `Settled ${charge.gateway} charge ${charge.reference} has no local transaction`,
+          related: { ...related, bookingId: charge.raw?.metadata?.bookingId || charge.raw?.meta?.bookingId || null },
+        });
+        continue;
+      }
+      Object.assign(related, { transactionId: tx._id, bookingId: tx.bookingId, txnAmount: tx.amount, txnCurrency: currencyOf(tx), txnStatus: tx.status });
+
+      if (tx.status !== "success") {
+        issues.push({
+          type: "gateway_settled_local_not_success",
+          severity: "medium",
+          message: `Gateway settled ${charge.reference} but the local transaction is ${tx.status}`,
+          related,
+        });
+      }
+
+      // Amounts are only comparable within one currency
+      const expectedCurrency = currencyOf(tx);
+      if (charge.currency && chargeCurrency !== expectedCurrency) {
+        issues.push({
+          type: "gateway_currency_mismatch",
+          severity: "high",
+          message: `Gateway settled ${charge.reference} in ${chargeCurrency}, expected ${expectedCurrency}`,
+          related: { ...related, expectedCurrency },
+        });
+      } else if (minorOf(tx.amount, expectedCurrency) !== chargeMinor) {
+        issues.push({
+          type: "gateway_amount_mismatch",
+          severity: "high",
+          message: `Gateway settled ${charge.amount} ${chargeCurrency} for ${charge.reference} but the transaction records ${tx.amount} ${expectedCurrency}`,
+          related,
+        });
+      }
+
+      // A group charge (event package) funds one escrow per booking under the same reference
+      const escrows = await Escrow.find({ gatewayReference: charge.reference });
+      const escrow = escrows.find((e) => ["pending", "cancelled"].includes(e.state)) || escrows[0];
+      const fundedMinor = escrows.reduce((sum, e) => sum + minorOf(e.amount, chargeCurrency), 0);
+      if (!escrow || ["pending", "cancelled"].includes(escrow.state)) {
+        issues.push({
+          type: "gateway_settled_escrow_not_funded",
+          severity: "high",
+          message: `Gateway settled ${charge.reference} but its escrow is ${escrow ? escrow.state : "missing"}`,
+          related: { ...related, escrowId: escrow?._id || null, escrowState: escrow?.state || null },
+        });
+      } else if (currencyOf(escrow) !== chargeCurrency) {
+        issues.push({
+          type: "gateway_currency_mismatch",
+          severity: "high",
+          message: `Escrow for ${charge.reference} is in ${currencyOf(escrow)}, gateway settled in ${chargeCurrency}`,
+          related: { ...related, escrowId: escrow._id, expectedCurrency: currencyOf(escrow) },
+        });
+      } else if (fundedMinor !== chargeMinor) {
+        const funded = fromMinor(fundedMinor, chargeCurrency);
+        issues.push({
+          type: "escrow_gateway_amount_mismatch",
+          severity: "high",
+          message: `Escrow for ${charge.reference} was funded with ${funded} ${chargeCurrency}, gateway settled ${charge.amount} ${chargeCurrency}`,
+          related: { ...related, escrowId: escrow._id, escrowAmount: funded },
+        });
+      }
+    } catch (err) {
+      logger.error("❌ [ReconciliationService] Error checking gateway charge", { reference: charge.reference, error: err });
+      issues.push({
+        type: "reconcile_error",
+        severity: "low",
+        message: `Error checking gateway charge ${charge.reference}: ${err.message}`,
+        related,
+      });
+    }
+  }
+
+  // --- Ledger → gateway (only where the gateway listing was complete, otherwise "missing" means nothing) ---
+  let localChecked = 0;
+  const completeGateways = Object.keys(gateways).filter((g) => gateways[g].complete);
+  if (completeGateways.length) {
+    const createdAt = { $gte: new Date(since) };
+    if (untilIso) createdAt.$lte = new Date(untilIso);
+
+    const localCursor = Transaction.find({
+      type: "escrow",
+      status: "success",
+      paymentGateway: { $in: completeGateways },
+      createdAt,
+    }).cursor();
+
+    for await (const tx of localCursor) {
+      if (localChecked >= limit) break;
+      localChecked++;
+      addTotal(totals, currencyOf(tx), "localSettled", tx.amount);
+      if (settledByRef.has(tx.reference)) continue;
+      issues.push({
+        type: "local_success_missing_at_gateway",
+        severity: "high",
+        message: `Transaction ${tx.reference} is successful locally but ${tx.paymentGateway} has no settled charge for it`,
+        related: { transactionId: tx._id, bookingId: tx.bookingId, reference: tx.reference, gateway: tx.paymentGateway, txnAmount: tx.amount, txnCurrency: currencyOf(tx) },
+      });
+    }
+  }
+
+  const currencyTotals = {};
+  for (const [currency, t] of Object.entries(totals)) {
+    const unit = isSupportedCurrency(currency) ? currency : PLATFORM_CURRENCY;
+    currencyTotals[currency] = {
+      gatewaySettled: fromMinor(t.gatewaySettled, unit),
+      localSettled: fromMinor(t.localSettled, unit),
+      gatewayCount: t.gatewayCount,
+      localCount: t.localCount,
+    };
+  }
+
+  return { issues, gatewayChecked: settled.length, localChecked, gateways, currencyTotals, since, until: untilIso };
+}
+
+export async function reconcileTransactions({
+  limit = 5000,
+  runBy = "system",
+  sinceIso = null,
+  untilIso = null,
+  autoFix = process.env.RECONCILE_AUTO_FIX !== "false",
+} = {}) {
   const issues = [];
   let txChecked = 0;
   let escrowsChecked = 0;
+  let gatewayChecked = 0;
 
   logger.info(`🔁 [ReconciliationService] Starting reconciliation (limit=${limit}, runBy=${runBy})`);
 
@@ -53,8 +253,11 @@ export async function reconcileTransactions({ limit = 5000, runBy = "system" } =
         continue;
       }
 
-      if (tx.type === "payment" && tx.status === "success") {
-        const escrow = await Escrow.findOne({ bookingId: tx.bookingId });
+      if (tx.type === "escrow" && tx.status === "success") {
+        // Milestone bookings have one escrow per milestone — match on the charge reference first;
+        // a group charge (event package) is compared with all the escrows it funded
+        const shared = tx.reference ? await Escrow.find({ gatewayReference: tx.reference }) : [];
+        const escrow = shared[0] || (await Escrow.findOne({ bookingId: tx.bookingId, milestoneId: null }));
         if (!escrow) {
           issues.push({
             type: "txn_missing_escrow",
@@ -65,7 +268,17 @@ export async function reconcileTransactions({ limit = 5000, runBy = "system" } =
           continue;
         }
 
-        if (Number(escrow.amountHeld || 0) !== Number(tx.amount || 0)) {
+        // amount is what was funded; amountHeld shrinks as money is released / refunded
+        if (currencyOf(escrow) !== currencyOf(tx)) {
+          issues.push({
+            type: "txn_escrow_currency_mismatch",
+            severity: "high",
+            message: `Escrow is in ${currencyOf(escrow)} but the payment transaction is in ${currencyOf(tx)}`,
+            related: { transactionId: tx._id, escrowId: escrow._id, bookingId: tx.bookingId, txnCurrency: currencyOf(tx), escrowCurrency: currencyOf(escrow) },
+          });
+        } else if (
+          (shared.length > 1 ? shared : [escrow]).reduce((sum, e) => sum + toMinor(e.amount, currencyOf(tx)), 0) !== toMinor(tx.amount, currencyOf(tx))
+        ) {
           issues.push({
             type: "amount_mismatch",
             severity: "high",
@@ -74,13 +287,14 @@ export async function reconcileTransactions({ limit = 5000, runBy = "system" } =
               transactionId: tx._id,
               escrowId: escrow._id,
               bookingId: tx.bookingId,
+              currency: currencyOf(tx),
               txnAmount: tx.amount,
-              escrowAmount: escrow.amountHeld,
+              escrowAmount: escrow.amount,
             },
           });
         }
 
-        if (escrow.status === "released" && !booking.paymentReleased) {
+        if (escrow.state === "released" && !booking.paymentReleased) {
           issues.push({
             type: "escrow_released_booking_not_updated",
             severity: "medium",
@@ -119,11 +333,11 @@ export async function reconcileTransactions({ limit = 5000, runBy = "system" } =
         continue;
       }
 
-      const txn = await Transaction.findOne({
-        bookingId: esc.bookingId,
-        type: "payment",
-        status: "success",
-      }).sort({ createdAt: -1 });
+      // Escrows never funded (pending / cancelled) have no successful charge by design
+      const txn = ["pending", "cancelled"].includes(esc.state)
+        ? true
+        : (esc.gatewayReference && (await Transaction.findOne({ reference: esc.gatewayReference, status: "success" }))) ||
+          (await Transaction.findOne({ bookingId: esc.bookingId, type: "escrow", status: "success" }).sort({ createdAt: -1 }));
 
       if (!txn) {
         issues.push({
@@ -144,19 +358,65 @@ export async function reconcileTransactions({ limit = 5000, runBy = "system" } =
     }
   }
 
-  // --- 3️⃣ Generate Report ---
+  // --- 3️⃣ Check the gateways (settled charges ↔ transactions ↔ escrows) ---
+  let gateways = null;
+  let currencyTotals = null;
+  try {
+    const gatewayResult = await reconcileWithGateways({ sinceIso, untilIso, limit });
+    gatewayChecked = gatewayResult.gatewayChecked;
+    gateways = { since: gatewayResult.since, until: gatewayResult.until, ...gatewayResult.gateways };
+    currencyTotals = gatewayResult.currencyTotals;
+    issues.push(...gatewayResult.issues.slice(0, Math.max(0, MAX_ISSUES - issues.length)));
+  } catch (err) {
+    logger.error("❌ [ReconciliationService] Gateway check failed", err);
+    issues.push({ type: "reconcile_error", severity: "low", message: `Gateway check failed: ${err.message}`, related: {} });
+  }
+
+  // --- 4️⃣ Check the books (double-entry ledger vs escrows / payouts) ---
+  let books = null;
+  try {
+    books = await ledgerService.verifyBooks({ limit });
+    issues.push(...books.issues.slice(0, Math.max(0, MAX_ISSUES - issues.length)));
+  } catch (err) {
+    logger.error("❌ [ReconciliationService] Ledger check failed", err);
+    issues.push({ type: "reconcile_error", severity: "low", message: `Ledger check failed: ${err.message}`, related: {} });
+  }
+
+  issues.forEach((issue) => {
+    if (!issue.suggestedFix) issue.suggestedFix = SUGGESTED_FIXES[issue.type] || "";
+  });
+
+  // --- 5️⃣ Generate Report ---
   const report = await ReconciliationReport.create({
     runBy,
     summary: {
       totalTransactionsChecked: txChecked,
       totalEscrowsChecked: escrowsChecked,
+      totalGatewayTransactionsChecked: gatewayChecked,
       totalIssues: issues.length,
     },
     issues: issues.slice(0, MAX_ISSUES),
-    meta: { createdAt: new Date() },
+    meta: {
+      createdAt: new Date(),
+      gateways,
+      currencyTotals,
+      ledger: books && { balanced: books.balanced, currencies: books.currencies },
+    },
   });
 
-  // --- 4️⃣ Notify Admins ---
+  // --- 6️⃣ Safe automatic fixes ---
+  if (autoFix && issues.length > 0) {
+    try {
+      const fixes = await reconciliationRemediationService.autoFixReport(report._id);
+      report.meta = { ...report.meta, autoFix: fixes };
+      await ReconciliationReport.updateOne({ _id: report._id }, { $set: { "meta.autoFix": fixes } });
+      logger.info("🩹 [ReconciliationService] Automatic fixes applied", { reportId: report._id, ...fixes });
+    } catch (err) {
+      logger.error("❌ [ReconciliationService] Automatic fixes failed", err);
+    }
+  }
+
+  // --- 7️⃣ Notify Admins ---
   if (issues.length > 0) {
     const topIssues = issues.slice(0, 10).map((i) => `${i.type}: ${i.message}`);
     await notificationService.notifyAdmins({
@@ -195,5 +455,6 @@ export async function getLastReconciliationReports({ limit = 20 } = {}) {
 
 export default {
   reconcileTransactions,
+  reconcileWithGateways,
   getLastReconciliationReports,
 };
@@ -0,0 +1,121 @@
+// src/services/socketGateway.js
+/**
+ * Real-time events on the Socket.IO server (config/socket.js authenticates the connection first).
+ *
+ * Rooms: the user's id (notifications, new messages) and conversation:<id> for each conversation
+ * the user takes part in; conversations opened later are joined by messageService.
+ *
+ * Client -> server (each takes an optional ack callback, answered { ok, ... } or { ok: false, error, code }):
+ *   typing              { conversationId, isTyping }       relayed to the conversation as "typing"
+ *   message:delivered   { conversationId, messageIds? }    your delivery receipt, passed on to the others
+ *   message:read        { conversationId }                 everything read by you, receipt to the others
+ *                       (receipts are kept per participant; a message is delivered / read once all have it)
+ *   presence:query      { userIds }                        online / lastSeenAt of people you talk to
+ *
+ * Server -> client: message:new, message:updated (a card was acted on), message:delivered, message:read, typing,
+ *   presence { userId, online, lastSeenAt }
+ */
+import mongoose from "mongoose";
+import Conversation from "../models/Conversation.js";
+import User from "../models/User.js";
+import messageService from "./messageService.js";
+import logger from "../utils/logger.js";
+
+const MAX_PRESENCE_QUERY = 50;
+
+export const conversationRoom = (conversationId) => `conversation:${conversationId}`;
+
+/** Wrap a handler so errors become { ok: false } acks instead of crashing the socket */
+const handler = (label, fn) => async (payload = {}, ack) => {
+  const reply = typeof ack === "function" ? ack : () => {};
+  try {
+    reply({ ok: true, ...((await fn(payload || {})) || {}) });
+  } catch (err) {
+    if (!err.status) logger.error(`Socket ${label} error`, err);
+    reply({ ok: false, error: err.message, code: err.code });
+  }
+};
+
+async function isOnline(io, userId) {
+  return (await io.in(String(userId)).fetchSockets()).length > 0;
+}
+
+/** People who share at least one conversation with the user */
+async function contactsOf(userId) {
+  const ids = await Conversation.distinct("participants", { participants: userId });
+  return new Set(ids.map(String).filter((id) => id !== String(userId)));
+}
+
+export function registerSocketHandlers(io) {
+  io.on("connection", (socket) => {
+    const { id: userId } = socket.data.user;
+    let rooms = [];
+    socket.join(userId);
+
+    // Rooms are already left by "disconnect"; keep them for the offline broadcast
+    socket.on("disconnecting", () => {
+      rooms = [...socket.rooms].filter((room) => room.startsWith("conversation:"));
+    });
+
+    socket.on(
+      "typing",
+      handler("typing", async ({ conversationId, isTyping = true }) => {
+        const room = conversationRoom(conversationId);
+        if (!socket.rooms.has(room)) {
+          const err = new Error("Conversation not found");
+          err.status = 404;
+          err.code = "CONVERSATION_NOT_FOUND";
+          throw err;
+        }
+        socket.to(room).emit("typing", { conversationId, userId, isTyping: Boolean(isTyping) });
+      })
+    );
+
+    socket.on(
+      "message:delivered",
+      handler("delivered", ({ conversationId, messageIds = null }) => messageService.markDelivered(conversationId, socket.data.user, { messageIds }))
+    );
+
+    socket.on("message:read", handler("read", ({ conversationId }) => messageService.markRead(conversationId, socket.data.user)));
+
+    socket.on(
+      "presence:query",
+      handler("presence", async ({ userIds = [] }) => {
+        const contacts = await contactsOf(userId);
+        const wanted = [...new Set((Array.isArray(userIds) ? userIds : []).map(String))]
+          .filter((id) => contacts.has(id))
+          .slice(0, MAX_PRESENCE_QUERY);
+        const users = await User.find({ _id: { $in: wanted } }).select("lastSeenAt").lean();
+        const presence = await Promise.all(
+          users.map(async (u) => ({ userId: String(u._id), online: await isOnline(io, u._id), lastSeenAt: u.lastSeenAt || null }))
+        );
+        return { presence };
+      })
+    );
+
+    socket.on("disconnect", async () => {
+      try {
+        if (await isOnline(io, userId)) return; // another device is still connected
+        const lastSeenAt = new Date();
+        await User.updateOne({ _id: userId }, { $set: { lastSeenAt } });
+        if (rooms.length) io.to(rooms).emit("presence", { userId, online: false, lastSeenAt });
+        logger.info(`❌ User ${userId} disconnected`);
+      } catch (err) {
+        logger.error("Socket disconnect handling failed", err);
+      }
+    });
+
+    // Conversation rooms, then tell the people in them this user is online
+    (async () => {
+      const ids = await Conversation.find({ participants: new mongoose.Types.ObjectId(userId) }).distinct("_id");
+      const joined = ids.map((id) => conversationRoom(id));
+      if (joined.length) {
+        socket.join(joined);
+        socket.to(joined).emit("presence", { userId, online: true, lastSeenAt: null });
+      }
+      logger.info(`🔌 User ${userId} connected to socket (${joined.length} conversations)`);
+    })().catch((err) => logger.error("Socket room setup failed", err));
+  });
+}
+
+export default { registerSocketHandlers, conversationRoom };
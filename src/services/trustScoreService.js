@@ -2,7 +2,9 @@ import TrustScore from "../models/TrustScore.js";
 import User from "../models/User.js";
 import Booking from "../models/Booking.js";
 import Review from "../models/Review.js";
-import adminNotificationService from "./adminNotificationService.js";
+// Named import: read at call time, so the socket.js -> messageService -> moderationService cycle back here is safe
+import { notifyAdmin } from "./adminNotificationService.js";
+import { countOffences } from "./moderationService.js";
 
 // uses your working admin notifier
 import logger from "../utils/logger.js";
@@ -11,7 +13,16 @@ import logger from "../utils/logger.js";
  * Helper: normalize score to 0–100
  */
 const normalize = (value, max = 1) => Math.min(100, Math.max(0, (value / max) * 100));
-const { notifyAdmin } = adminNotificationService;
+
+// Points off the final score per booking the pro cancelled in the last year (late = under 48h before the event)
+const PRO_CANCELLATION_PENALTY = 5;
+const LATE_PRO_CANCELLATION_PENALTY = 10;
+const MAX_CANCELLATION_PENALTY = 30;
+const LATE_CANCELLATION_HOURS = 48;
+const CANCELLATION_WINDOW_MS = 365 * 24 * 60 * 60 * 1000;
+// Points off per contact-sharing offence once the user is a repeat offender (moderationService policy)
+const CONTACT_LEAK_PENALTY = 5;
+const MAX_CONTACT_LEAK_PENALTY = 25;
 
 
 /**
@@ -39,13 +50,30 @@ export const calculateTrustScore = async (userId) => {
     const disputePenalty = disputes > 0 ? Math.min(20, disputes * 5) : 0;
     const systemScore = Math.max(0, 100 - disputePenalty);
 
+    const since = new Date(Date.now() - CANCELLATION_WINDOW_MS);
+    const proCancellations = bookings.filter(
+      (b) => String(b.proId) === String(userId) && b.cancellation?.cancelledBy === "pro" && b.cancellation.requestedAt >= since
+    );
+    const cancellationPenalty = Math.min(
+      MAX_CANCELLATION_PENALTY,
+      proCancellations.reduce(
+        (sum, b) => sum + (b.cancellation.hoursBeforeEvent < LATE_CANCELLATION_HOURS ? LATE_PRO_CANCELLATION_PENALTY : PRO_CANCELLATION_PENALTY),
+        0
+      )
+    );
+
+    const offences = await countOffences(userId);
+    const contactLeakPenalty = offences.repeatOffender ? Math.min(MAX_CONTACT_LEAK_PENALTY, offences.count * CONTACT_LEAK_PENALTY) : 0;
+
     // --- Weighted total ---
     const weights = { trust: 0.25, feedback: 0.35, booking: 0.3, system: 0.1 };
     const finalScore =
       verificationScore * weights.trust +
       feedbackScore * weights.feedback +
       bookingScore * weights.booking +
-      systemScore * weights.system;
+      systemScore * weights.system -
+      cancellationPenalty -
+      contactLeakPenalty;
 
     // --- Persist ---
     const existing = await TrustScore.findOne({ userId });
@@ -53,12 +81,14 @@ export const calculateTrustScore = async (userId) => {
 
     const newData = {
       userId,
-      score: Math.round(finalScore),
+      score: Math.max(0, Math.round(finalScore)),
       breakdown: {
         trust: Math.round(verificationScore),
         feedback: Math.round(feedbackScore),
         booking: Math.round(bookingScore),
         system: Math.round(systemScore),
+        cancellations: -cancellationPenalty,
+        contactLeaks: -contactLeakPenalty,
       },
       lastCalculatedAt: new Date(),
       previousScore,
@@ -42,12 +42,25 @@ const ALLOWED_IMAGE_MIMES = [
   "image/svg+xml",
   "image/heic",
 ];
+const ALLOWED_AUDIO_MIMES = [
+  "audio/mpeg",
+  "audio/mp4",
+  "audio/x-m4a",
+  "audio/aac",
+  "audio/ogg",
+  "audio/webm",
+  "audio/wav",
+];
+const ALLOWED_DOCUMENT_MIMES = ["application/pdf"];
 
 const DEFAULT_FOLDERS = {
   profile: "getvybz/profile_pictures",
   banner: "getvybz/banner_images",
   gig: "getvybz/gig_images",
   verification: "getvybz/verification_docs",
+  contract: "getvybz/contracts",
+  proof: "getvybz/proof_of_service",
+  message: "getvybz/message_attachments",
 };
 
 /* -------------------------
@@ -75,13 +88,13 @@ function _normalizeUploadResult(res) {
 }
 
 /**
- * Validate content-type and size
+ * Validate content-type and size (images only unless another allowed list is passed)
  */
-function _validateFile({ contentType, size, maxSize = DEFAULT_MAX_FILE_SIZE }) {
+function _validateFile({ contentType, size, maxSize = DEFAULT_MAX_FILE_SIZE, allowedMimes = ALLOWED_IMAGE_MIMES }) {
   if (!contentType) {
     throw new Error("Missing contentType for uploaded file.");
   }
-  if (!ALLOWED_IMAGE_MIMES.includes(contentType)) {
+  if (!allowedMimes.includes(contentType)) {
     throw new Error(`Unsupported file type: ${contentType}`);
   }
   if (size && size > maxSize) {
@@ -261,14 +274,14 @@ const uploadService = {
    * This helper expects the file object to be like: { buffer, mimetype, size, originalname }
    *
    * @param {Object} file
-   * @param {Object} options - { folder, public_id, maxSize, resource_type }
+   * @param {Object} options - { folder, public_id, maxSize, resource_type, allowedMimes }
    */
   async uploadFromBufferFile(file, options = {}) {
     if (!_cloudinary) throw new Error("Cloudinary is not configured correctly.");
     if (!file) throw new Error("No file provided to uploadFromBufferFile.");
 
     const { buffer, mimetype, size, originalname } = file;
-    _validateFile({ contentType: mimetype, size, maxSize: options.maxSize || DEFAULT_MAX_FILE_SIZE });
+    _validateFile({ contentType: mimetype, size, maxSize: options.maxSize || DEFAULT_MAX_FILE_SIZE, allowedMimes: options.allowedMimes });
 
     // Convert buffer to base64 data URI - avoid adding extra dependencies
     const base64 = buffer.toString("base64");
@@ -295,8 +308,17 @@ const uploadService = {
   /**
    * Validate allowed mime and size for a proposed upload (useful for endpoints)
    */
-  validateMimeAndSize(mime, size, maxSize = DEFAULT_MAX_FILE_SIZE) {
-    return _validateFile({ contentType: mime, size, maxSize });
+  validateMimeAndSize(mime, size, maxSize = DEFAULT_MAX_FILE_SIZE, allowedMimes = ALLOWED_IMAGE_MIMES) {
+    return _validateFile({ contentType: mime, size, maxSize, allowedMimes });
+  },
+
+  /**
+   * Allowed MIME types by kind: { image, audio, document }
+   */
+  allowedMimes: {
+    image: ALLOWED_IMAGE_MIMES,
+    audio: ALLOWED_AUDIO_MIMES,
+    document: ALLOWED_DOCUMENT_MIMES,
   },
 
   /**
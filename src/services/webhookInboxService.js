@@ -0,0 +1,276 @@
+// src/services/webhookInboxService.js
+/**
+ * Webhook inbox — the single entry point for Paystack / Flutterwave webhooks.
+ *
+ * receive():    verify the signature against the raw body, persist the event (deduplicated by
+ *               gateway + event id) and acknowledge. Nothing is acted on before it is stored.
+ * processEvent: claim a stored event and hand it to escrowService.processWebhookEvent (charges,
+ *               and transfers via payoutService). Failures are retried with exponential backoff;
+ *               after maxAttempts the event moves to dead_letter and admins are notified.
+ * processDueEvents: sweep run by jobs/webhookInboxJob.js — picks up retries and events left in
+ *               "processing" by a crash.
+ * replayEvent:  admin replay of a dead-lettered (or failed) event.
+ */
+
+import crypto from "crypto";
+import logger from "../utils/logger.js";
+import WebhookEvent from "../models/WebhookEvent.js";
+import escrowService from "./escrowService.js";
+import { createNotification } from "./adminNotificationService.js";
+
+/* ---------- Config ---------- */
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 30 * 1000);
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+// A "processing" event whose lock is older than this was abandoned (crash / restart)
+const STALE_LOCK_MS = Number(process.env.WEBHOOK_STALE_LOCK_MS || 10 * 60 * 1000);
+
+const GATEWAYS = Object.values(escrowService.GATEWAYS);
+
+/* ---------- Helpers ---------- */
+
+/** Event type, reference and dedupe id for a parsed webhook body */
+function describeEvent(gateway, payload, rawBody) {
+  const data = payload?.data || {};
+  const eventType = String(payload?.event || data.status || payload?.status || "unknown");
+  const reference = data.reference || data.tx_ref || null;
+
+  // Neither gateway sends a delivery id in the body; the gateway's object id (or reference) per
+  // event type identifies the event, falling back to the body hash.
+  const objectId = data.id ?? reference;
+  const eventId = objectId != null && objectId !== ""
+    ? `${eventType}:${objectId}`
+    : `sha256:${crypto.createHash("sha256").update(rawBody).digest("hex")}`;
+
+  return { eventType, reference, eventId };
+}
+
+/** Exponential backoff after the nth failed attempt */
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+}
+
+/* ---------- Inbox ---------- */
+
+/**
+ * Verify, persist and acknowledge a webhook delivery.
+ * - rawBody: Buffer or string exactly as received
+ * - wait: process inline and resolve with the processed event (scripts / tests); by default
+ *   processing is scheduled and the caller can answer the gateway straight away
+ * Returns { verified, duplicate, event }
+ */
+export async function receive({ gateway, headers = {}, rawBody, wait = false }) {
+  if (!GATEWAYS.includes(gateway)) throw new Error(`Unknown webhook gateway: ${gateway}`);
+  if (rawBody == null) throw new Error("Webhook raw body is required");
+
+  const raw = Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : String(rawBody);
+
+  if (!escrowService.verifyWebhook({ gateway, headers, rawBody: raw })) {
+    logger.warn("⚠️ Webhook signature verification failed", { gateway });
+    return { verified: false, duplicate: false, event: null };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(raw);
+  } catch (err) {
+    logger.warn("⚠️ Webhook body is not valid JSON", { gateway });
+    return { verified: false, duplicate: false, event: null };
+  }
+
+  const { eventType, reference, eventId } = describeEvent(gateway, payload, raw);
+
+  let event;
+  try {
+    event = await WebhookEvent.create({
+      gateway,
+      eventId,
+      eventType,
+      reference,
+      payload,
+      rawBody: raw,
+      signature: headers["x-paystack-signature"] || headers["verif-hash"] || "",
+      maxAttempts: MAX_ATTEMPTS,
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const existing = await WebhookEvent.findOne({ gateway, eventId });
+    logger.info("📩 Duplicate webhook delivery ignored", { gateway, eventId, status: existing?.status });
+    return { verified: true, duplicate: true, event: existing };
+  }
+
+  logger.info(`📩 Webhook stored: ${gateway} ${eventType} (${eventId})`);
+
+  if (wait) {
+    return { verified: true, duplicate: false, event: (await processEvent(event._id)) || event };
+  }
+
+  setImmediate(() => {
+    processEvent(event._id).catch((err) => logger.error("Webhook inbox processing error", err));
+  });
+  return { verified: true, duplicate: false, event };
+}
+
+/**
+ * Claim and process one stored event. Returns the updated event, or null when it is not due
+ * (already processed, locked by another worker, or waiting for its next retry).
+ */
+export async function processEvent(eventId) {
+  const now = new Date();
+  const event = await WebhookEvent.findOneAndUpdate(
+    {
+      _id: eventId,
+      $or: [
+        { status: { $in: ["received", "failed"] }, nextAttemptAt: { $lte: now } },
+        { status: "processing", lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } },
+      ],
+    },
+    { $set: { status: "processing", lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!event) return null;
+
+  try {
+    const result = await escrowService.processWebhookEvent({ gateway: event.gateway, body: event.payload });
+    if (result?.success === false) {
+      throw new Error(result.reason || result.error || "Webhook handler reported failure");
+    }
+
+    event.status = "processed";
+    event.result = result;
+    event.processedAt = new Date();
+    event.lastError = null;
+    event.lockedAt = null;
+    await event.save();
+    return event;
+  } catch (err) {
+    event.lastError = err.message;
+    event.attemptErrors.push({ attempt: event.attempts, message: err.message });
+    event.lockedAt = null;
+
+    if (event.attempts >= event.maxAttempts) {
+      event.status = "dead_letter";
+      event.deadLetteredAt = new Date();
+      await event.save();
+
+      logger.error(`☠️ Webhook dead-lettered after ${event.attempts} attempts`, { gateway: event.gateway, eventId: event.eventId, error: err.message });
+      try {
+        await createNotification({
+          type: "PAYMENT_ERROR",
+          title: "Webhook moved to dead letter",
+          message: `${event.gateway} ${event.eventType} (${event.eventId}) failed ${event.attempts} times: ${err.message}`,
+          severity: "high",
+          relatedIds: { webhookEventId: event._id, reference: event.reference },
+        });
+      } catch (notifyErr) {
+        logger.warn("Could not notify admins about dead-lettered webhook", notifyErr);
+      }
+      return event;
+    }
+
+    event.status = "failed";
+    event.nextAttemptAt = new Date(Date.now() + retryDelay(event.attempts));
+    await event.save();
+    logger.warn(`🔁 Webhook processing failed, retry ${event.attempts}/${event.maxAttempts} at ${event.nextAttemptAt.toISOString()}`, {
+      gateway: event.gateway,
+      eventId: event.eventId,
+      error: err.message,
+    });
+    return event;
+  }
+}
+
+/**
+ * Process everything that is due: new events whose inline processing never ran, retries whose
+ * backoff has elapsed, and events abandoned mid-processing. Oldest first.
+ */
+export async function processDueEvents({ limit = 50 } = {}) {
+  const now = new Date();
+  const due = await WebhookEvent.find({
+    $or: [
+      { status: { $in: ["received", "failed"] }, nextAttemptAt: { $lte: now } },
+      { status: "processing", lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } },
+    ],
+  })
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .select("_id");
+
+  const summary = { picked: due.length, processed: 0, failed: 0, deadLettered: 0 };
+  for (const { _id } of due) {
+    const event = await processEvent(_id);
+    if (!event) continue;
+    if (event.status === "processed") summary.processed += 1;
+    else if (event.status === "dead_letter") summary.deadLettered += 1;
+    else summary.failed += 1;
+  }
+  return summary;
+}
+
+/**
+ * Admin replay: put a dead-lettered or failed event back in the queue with a fresh attempt
+ * budget and process it now. Returns the updated event.
+ */
+export async function replayEvent(id, { replayedBy = null } = {}) {
+  const event = await WebhookEvent.findOneAndUpdate(
+    { _id: id, status: { $in: ["dead_letter", "failed"] } },
+    {
+      $set: {
+        status: "received",
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        deadLetteredAt: null,
+        lastReplayedBy: replayedBy,
+        lastReplayedAt: new Date(),
+      },
+      $inc: { replayCount: 1 },
+    },
+    { new: true }
+  );
+  if (!event) {
+    const exists = await WebhookEvent.exists({ _id: id });
+    throw new Error(exists ? "Only dead-lettered or failed webhook events can be replayed" : "Webhook event not found");
+  }
+
+  logger.info("🔂 Replaying webhook event", { eventId: event.eventId, replayedBy });
+  return (await processEvent(event._id)) || event;
+}
+
+export async function listEvents({ status = null, gateway = null, reference = null, page = 1, limit = 20 } = {}) {
+  const query = {};
+  if (status) query.status = status;
+  if (gateway) query.gateway = gateway;
+  if (reference) query.reference = reference;
+
+  const [results, total] = await Promise.all([
+    WebhookEvent.find(query)
+      .select("-rawBody")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    WebhookEvent.countDocuments(query),
+  ]);
+
+  return { total, page, pages: Math.ceil(total / limit), results };
+}
+
+export async function listDeadLetters({ gateway = null, page = 1, limit = 20 } = {}) {
+  return listEvents({ status: "dead_letter", gateway, page, limit });
+}
+
+export async function getEvent(id) {
+  const event = await WebhookEvent.findById(id).lean();
+  if (!event) throw new Error("Webhook event not found");
+  return event;
+}
+
+export default {
+  receive,
+  processEvent,
+  processDueEvents,
+  replayEvent,
+  listEvents,
+  listDeadLetters,
+  getEvent,
+};
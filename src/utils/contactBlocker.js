@@ -1,29 +1,234 @@
 // utils/contactBlocker.js
 
 /**
- * Detects phone numbers, bank/account numbers, or keywords that suggest
- * taking the conversation off-platform (WhatsApp, Telegram, etc).
+ * Contact-leak detection for chat messages: phone and account numbers, emails, links and social
+ * handles, including the usual ways of hiding them.
+ * - Text is folded first, keeping every character's position: lookalike letters (Cyrillic,
+ *   Greek, fullwidth) become ASCII and everything is lowercased
+ * - Numbers are read across separators and spelled-out digits ("zero eight 0 3 - one two..."),
+ *   "double"/"triple", and o / l / i typed inside digits; dates, times and prices are left alone
+ * - Emails with (at) / [dot], bare domains and link shorteners, @handles, platform names
+ *   ("W.A", "insta") and contact intent ("DM me", "my number") are picked up too
+ *
+ * detectContacts(text) -> { score 0-100, matches: [{ type, text, start, end, weight, value }] }
+ * The score combines the strongest match of each type (scoreMatches); spans index into the original text.
+ * What to do with a score is the caller's policy (moderationService).
+ */
+
+// Lookalikes that fold to ASCII (NFKC already handles fullwidth forms)
+const HOMOGLYPHS = {
+  а: "a", в: "b", е: "e", к: "k", м: "m", н: "h", о: "o", р: "p", с: "c", т: "t", у: "y", х: "x", і: "i", ј: "j", ѕ: "s",
+  α: "a", β: "b", ε: "e", ι: "i", κ: "k", ν: "v", ο: "o", ρ: "p", τ: "t", υ: "u", χ: "x", ω: "w",
+  "０": "0", "１": "1", "２": "2", "３": "3", "４": "4", "５": "5", "６": "6", "７": "7", "８": "8", "９": "9",
+  "＠": "@", "．": ".", "＋": "+",
+};
+
+const NUMBER_WORDS = {
+  zero: "0", nought: "0", oh: "0", one: "1", two: "2", three: "3", four: "4", five: "5",
+  six: "6", seven: "7", eight: "8", nine: "9",
+};
+const REPEATS = { double: 2, triple: 3 };
+// Letters typed for digits inside a number ("o8o3", "l23")
+const DIGIT_LOOKALIKES = { o: "0", l: "1", i: "1" };
+const MAX_GAP = 3; // separator characters allowed between digits of one number
+const BREAK = "\u0000";
+
+// Weight of each kind of match (0-100, how sure we are it is contact info)
+export const WEIGHTS = {
+  phone: 95,
+  intl_phone: 90,
+  bank_account: 90,
+  email: 90,
+  contact_link: 90,
+  url: 75,
+  handle: 70,
+  number: 60,
+  partial_number: 25,
+  payment_bypass: 55,
+  platform: 60,
+  contact_intent: 30,
+};
+
+// Types that carry the contact itself (masked); the others are context
+export const MASKABLE = ["phone", "intl_phone", "bank_account", "email", "contact_link", "url", "handle", "number"];
+
+const TLDS = "com|net|org|ng|co|io|me|info|biz|app|dev|xyz|online|site|link|ly|gl|ee|uk|us|ca";
+const BANK_WORDS =
+  /\b(?:acct|account|acc\s*(?:no|num|number)|a\s*\/\s*c|bank|nuban|iban|sort\s*code|opay|palmpay|kuda|moniepoint|gtb|gtbank|uba|zenith|access|first\s*bank|wema|sterling|fidelity|union\s*bank|polaris|ecobank|stanbic|fcmb)\b/;
+const PRICE_BEFORE = /(?:₦|\bn|\bngn|\$|£|€)\s?$/;
+const PRICE_AFTER = /^\s?(?:k\b|naira|ngn|bucks|dollars?)/;
+
+/** Same-length folded copy of the text: lookalikes to ASCII, lowercase */
+export function fold(text) {
+  let out = "";
+  for (const ch of String(text ?? "")) {
+    let c = HOMOGLYPHS[ch] || ch;
+    const nfkc = c.normalize("NFKC");
+    if (nfkc.length === c.length) c = nfkc;
+    const lower = c.toLowerCase();
+    if (lower.length === c.length) c = lower;
+    out += HOMOGLYPHS[c] || c;
+  }
+  return out;
+}
+
+/** Blank out dates and clock times so they don't read as phone numbers */
+function withoutDates(folded) {
+  const blank = (m) => BREAK.repeat(m.length);
+  return folded
+    .replace(/\b\d{4}[-/.]\d{1,2}[-/.]\d{1,2}\b|\b\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}\b/g, blank)
+    .replace(/\b\d{1,2}:\d{2}(?::\d{2})?(?:\s?[ap]m)?\b|\b\d{1,2}\s?[ap]m\b/g, blank);
+}
+
+/** Digits a token stands for, "weak" for lone o's, or null when it ends a number */
+function tokenDigits(token) {
+  if (/^\d+$/.test(token)) return token;
+  if (NUMBER_WORDS[token]) return NUMBER_WORDS[token];
+  if (token === "o") return "weak";
+  if (/\d/.test(token) && /^[\doli]+$/.test(token)) {
+    return token.replace(/[oli]/g, (c) => DIGIT_LOOKALIKES[c]);
+  }
+  return null;
+}
+
+/** Numbers written with separators, words and lookalikes: [{ digits, start, end, plus }] */
+function numberRuns(folded) {
+  const text = withoutDates(folded);
+  const tokens = [...text.matchAll(/[a-z0-9]+/g)].map((m) => ({ value: m[0], start: m.index, end: m.index + m[0].length }));
+  const runs = [];
+  let run = null;
+  let repeat = 1;
+
+  const close = () => {
+    if (run && /\d/.test(run.digits)) runs.push(run);
+    run = null;
+    repeat = 1;
+  };
+
+  for (const token of tokens) {
+    const gap = run ? text.slice(run.end, token.start) : "";
+    if (run && (gap.length > MAX_GAP || /[^\s\-.()_/,*+]/.test(gap))) close();
+
+    if (REPEATS[token.value]) {
+      if (!run) run = { digits: "", start: token.start, end: token.end, plus: false };
+      repeat = REPEATS[token.value];
+      run.end = token.end;
+      continue;
+    }
+
+    const digits = tokenDigits(token.value);
+    if (digits === null || (digits === "weak" && !run)) {
+      close();
+      continue;
+    }
+    const value = (digits === "weak" ? "0" : digits).repeat(digits.length === 1 || digits === "weak" ? repeat : 1);
+    if (!run) {
+      const plus = /\+\s?$/.exec(text.slice(Math.max(0, token.start - 2), token.start));
+      run = { digits: "", start: plus ? token.start - plus[0].length : token.start, end: token.end, plus: Boolean(plus) };
+    }
+    run.digits += value;
+    run.end = token.end;
+    repeat = 1;
+  }
+  close();
+  return runs;
+}
+
+function classifyNumber(run, folded) {
+  const { digits, plus } = run;
+  const around = folded.slice(Math.max(0, run.start - 40), Math.min(folded.length, run.end + 40));
+  const bank = BANK_WORDS.test(around);
+  const price = PRICE_BEFORE.test(folded.slice(Math.max(0, run.start - 4), run.start)) || PRICE_AFTER.test(folded.slice(run.end, run.end + 8));
+  const n = digits.length;
+
+  if ((plus || digits.startsWith("234")) && n >= 11 && n <= 15) return "intl_phone";
+  if (/^0[789][01]\d{8}$/.test(digits) || /^[789][01]\d{8}$/.test(digits)) return "phone";
+  if (n >= 10 && n <= 20) return bank ? "bank_account" : n === 11 && digits.startsWith("0") ? "phone" : "number";
+  if (n >= 7 && n <= 9 && !price) return bank ? "bank_account" : "partial_number";
+  return null;
+}
+
+// [type, pattern] run over the folded text
+const PATTERNS = [
+  ["email", /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/g],
+  [
+    "email",
+    new RegExp(
+      `[a-z0-9._%+-]{2,}\\s*(?:[(\\[{<]\\s*(?:at|@)\\s*[)\\]}>]|\\s+at\\s+|@)\\s*[a-z0-9-]{2,}\\s*(?:[(\\[{<]\\s*dot\\s*[)\\]}>]|\\s+dot\\s+|\\.)\\s*(?:${TLDS})\\b`,
+      "g"
+    ),
+  ],
+  ["contact_link", /\b(?:wa\.me|api\.whatsapp\.com|chat\.whatsapp\.com|t\.me|telegram\.me|bit\.ly|tinyurl\.com|linktr\.ee|instagram\.com|facebook\.com|fb\.me|m\.me|tiktok\.com|snapchat\.com|x\.com|twitter\.com)(?:\/[^\s]*)?/g],
+  ["url", /\b(?:https?:\/\/|www\.)[^\s]+/g],
+  ["url", new RegExp(`\\b[a-z0-9-]{2,}\\s?(?:\\.|\\(dot\\)|\\[dot\\]|\\sdot\\s)\\s?(?:${TLDS})\\b(?:\\/[^\\s]*)?`, "g")],
+  ["handle", /(?<![a-z0-9._@])@[a-z0-9._]{3,30}\b/g],
+  [
+    "platform",
+    /\b(?:whats?\s?app|watsapp|whtsapp|w\s*[./]\s*a\b|tele\s?gram|insta(?:gram)?|snap\s?chat|tik\s?tok|facebook|wechat|linkedin|gmail|yahoo\s?mail|hotmail|outlook\.com)|\b(?:on|via|my|through|thru|check)\s+(?:wa|ig|fb|snap|signal|imo|twitter|x|tg)\b/g,
+  ],
+  [
+    "contact_intent",
+    /\b(?:dm|text|call|ring|buzz|whatsapp|email|message|chat|reach|contact)\s+me\b|\bhit\s+me\s+up\b|\b(?:my|your)\s+(?:number|digits|line|phone|contact|handle|email|mail)\b|\b(?:send|drop|give)\s+(?:me\s+)?your\s+(?:number|digits|line|contact)\b|\b(?:off|outside)\s+(?:the\s+)?(?:app|platform|getvybz)\b/g,
+  ],
+  ["payment_bypass", /\b(?:pay|transfer|send)\s+(?:me\s+)?(?:directly|direct|outside|off\s+(?:the\s+)?app|cash)\b|\bcash\s+(?:on|at)\s+(?:arrival|the\s+event|site)\b|\bbypass\b/g],
+];
+
+// Our own links are fine
+const ALLOWED_URL = /(?:^|[/.])getvybz\.(?:com|app|ng)\b/;
+
+/**
+ * Score a message for contact details.
+ * Returns { score, matches } — matches sorted by position, overlaps resolved to the stronger type.
  */
-export const containsContact = (text) => {
-  const input = String(text || "").toLowerCase();
+export function detectContacts(text) {
+  const original = String(text ?? "");
+  const folded = fold(original);
+  const found = [];
+  const add = (type, start, end, value = folded.slice(start, end)) => {
+    found.push({ type, start, end, weight: WEIGHTS[type], value, text: original.slice(start, end) });
+  };
 
-  // Regex patterns
-  const patterns = [
-    // Nigerian and intl phone numbers (with spaces/dashes/dots)
-    /(\+?234|0)\s?[-.]?\d{2,4}[-.\s]?\d{3,4}[-.\s]?\d{3,4}/,
+  for (const run of numberRuns(folded)) {
+    const type = classifyNumber(run, folded);
+    if (type) add(type, run.start, run.end, run.digits);
+  }
+  for (const [type, pattern] of PATTERNS) {
+    for (const m of folded.matchAll(pattern)) {
+      if ((type === "url" || type === "contact_link") && ALLOWED_URL.test(m[0])) continue;
+      add(type, m.index, m.index + m[0].length, m[0].replace(/\s+/g, ""));
+    }
+  }
 
-    // Generic international numbers
-    /\+?\d{2,4}[-.\s]?\d{3,4}[-.\s]?\d{3,4,}/,
+  // Strongest first; a weaker match inside a stronger one is dropped (the domain of an email...)
+  const kept = [];
+  for (const match of found.sort((a, b) => b.weight - a.weight || a.start - b.start)) {
+    const overlaps = kept.some((k) => match.start < k.end && k.start < match.end);
+    if (!overlaps) kept.push(match);
+  }
+  kept.sort((a, b) => a.start - b.start);
 
-    // Bank account numbers (6–20 digits, often with keywords)
-    /\b(?:account|acct|a\/c|iban|sort code)\b[:\s\-]*\d{6,20}/i,
+  return { score: scoreMatches(kept), matches: kept };
+}
 
-    // Pure long digit sequences (7–20 digits) that look like account numbers
-    /\b\d{7,20}\b/,
+/** 0-100 from the strongest match of each type; used again when some matches are let through */
+export function scoreMatches(matches) {
+  const strongest = {};
+  for (const m of matches) strongest[m.type] = Math.max(strongest[m.type] || 0, m.weight);
+  const miss = Object.values(strongest).reduce((p, w) => p * (1 - w / 100), 1);
+  return Math.round((1 - miss) * 100);
+}
 
-    // Off-platform keywords
-    /\b(whatsapp|telegram|signal|imo|wechat|snapchat)\b/,
-  ];
+/** The text with contact-carrying matches replaced by `mask` */
+export function maskContacts(text, matches = detectContacts(text).matches, mask = "[hidden]") {
+  let out = String(text ?? "");
+  for (const m of [...matches].filter((x) => MASKABLE.includes(x.type)).sort((a, b) => b.start - a.start)) {
+    out = out.slice(0, m.start) + mask + out.slice(m.end);
+  }
+  return out;
+}
 
-  return patterns.some((pattern) => pattern.test(input));
-};
\ No newline at end of file
+/**
+ * Detects phone numbers, bank/account numbers, or keywords that suggest
+ * taking the conversation off-platform (WhatsApp, Telegram, etc).
+ */
+export const containsContact = (text, minScore = 40) => detectContacts(text).score >= minScore;
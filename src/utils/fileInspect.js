@@ -0,0 +1,303 @@
+// src/utils/fileInspect.js
+/**
+ * Looks inside uploaded files without external dependencies.
+ * - sniffMime: the type the file's first bytes say it is (JPEG, PNG, GIF, WebP, HEIC, PDF, MP3, AAC,
+ *   MP4/M4A, Ogg, WebM, WAV), so a declared Content-Type can be checked against the content
+ * - extractText: text hidden in the file for contact-leak screening: EXIF / XMP / comments in images,
+ *   PNG text chunks, text and document info in PDFs, ID3 tags in MP3s
+ *
+ * Both work on a Buffer and never throw on malformed files; extraction is capped (MAX_TEXT characters,
+ * MAX_INFLATE bytes per compressed stream).
+ */
+import zlib from "zlib";
+
+const MAX_TEXT = 20000;
+const MAX_INFLATE = 5 * 1024 * 1024;
+
+// Declared types that name the same format as the sniffed one
+const ALIASES = {
+  "image/jpg": "image/jpeg",
+  "image/pjpeg": "image/jpeg",
+  "image/heif": "image/heic",
+  "audio/mp3": "audio/mpeg",
+  "audio/mpeg3": "audio/mpeg",
+  "audio/x-m4a": "audio/mp4",
+  "audio/m4a": "audio/mp4",
+  "audio/3gpp": "audio/mp4",
+  "audio/x-wav": "audio/wav",
+  "audio/wave": "audio/wav",
+  "audio/opus": "audio/ogg",
+};
+
+const ascii = (buffer, start, end) => buffer.toString("latin1", start, end);
+const utf16be = (bytes) => Buffer.from(bytes.subarray(0, bytes.length - (bytes.length % 2))).swap16().toString("utf16le");
+
+/** Canonical MIME type from the file's magic bytes, or null when unrecognised */
+export function sniffMime(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+  const b = buffer;
+  if (b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff) return "image/jpeg";
+  if (b[0] === 0x89 && ascii(b, 1, 4) === "PNG") return "image/png";
+  if (ascii(b, 0, 4) === "GIF8") return "image/gif";
+  if (ascii(b, 0, 5) === "%PDF-") return "application/pdf";
+  if (ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "WEBP") return "image/webp";
+  if (ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "WAVE") return "audio/wav";
+  if (ascii(b, 0, 4) === "OggS") return "audio/ogg";
+  if (b[0] === 0x1a && b[1] === 0x45 && b[2] === 0xdf && b[3] === 0xa3) return "audio/webm";
+  if (ascii(b, 4, 8) === "ftyp") return ["heic", "heix", "mif1", "msf1", "heim"].includes(ascii(b, 8, 12)) ? "image/heic" : "audio/mp4";
+  if (ascii(b, 0, 3) === "ID3") return "audio/mpeg";
+  if (b[0] === 0xff && (b[1] & 0xf6) === 0xf0) return "audio/aac"; // ADTS
+  if (b[0] === 0xff && (b[1] & 0xe0) === 0xe0) return "audio/mpeg"; // MPEG audio frame sync
+  return null;
+}
+
+/** Does the content match the declared type? (audio/aac may also be an M4A container) */
+export function matchesMime(buffer, declared) {
+  const sniffed = sniffMime(buffer);
+  if (!sniffed) return false;
+  const want = ALIASES[declared] || declared;
+  return sniffed === want || (want === "audio/aac" && sniffed === "audio/mp4");
+}
+
+/* ---------- EXIF (TIFF structure) ---------- */
+
+const EXIF_TEXT_TAGS = {
+  0x010e: "ImageDescription",
+  0x013b: "Artist",
+  0x8298: "Copyright",
+  0x9286: "UserComment",
+  0xa430: "CameraOwnerName",
+  0x9c9b: "XPTitle",
+  0x9c9c: "XPComment",
+  0x9c9d: "XPAuthor",
+  0x9c9e: "XPKeywords",
+  0x9c9f: "XPSubject",
+};
+const EXIF_IFD_POINTER = 0x8769;
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 7: 1 };
+
+function cleanText(text) {
+  return text.replace(/\u0000+/g, " ").replace(/\s+/g, " ").trim();
+}
+
+/** Text tags of a TIFF block (an EXIF payload without its "Exif\0\0" prefix) */
+function tiffText(tiff) {
+  if (tiff.length < 8) return [];
+  const le = ascii(tiff, 0, 2) === "II";
+  if (!le && ascii(tiff, 0, 2) !== "MM") return [];
+  const u16 = (o) => (le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+  const u32 = (o) => (le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+
+  const out = [];
+  const seen = new Set();
+  const readIfd = (offset) => {
+    if (seen.has(offset) || offset + 2 > tiff.length) return;
+    seen.add(offset);
+    const count = u16(offset);
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      if (entry + 12 > tiff.length) return;
+      const tag = u16(entry);
+      const type = u16(entry + 2);
+      const n = u32(entry + 4);
+      if (tag === EXIF_IFD_POINTER) {
+        readIfd(u32(entry + 8));
+        continue;
+      }
+      if (!EXIF_TEXT_TAGS[tag] || !TYPE_SIZES[type]) continue;
+      const size = n * TYPE_SIZES[type];
+      const start = size <= 4 ? entry + 8 : u32(entry + 8);
+      if (start + size > tiff.length) continue;
+      let value = tiff.subarray(start, start + size);
+      let text;
+      if (tag >= 0x9c9b) text = value.toString("utf16le");
+      else if (tag === 0x9286) {
+        const charset = ascii(value, 0, 8).replace(/\u0000/g, "");
+        value = value.subarray(8);
+        text = charset === "UNICODE" ? (le ? value.toString("utf16le") : utf16be(value)) : value.toString("utf8");
+      } else text = value.toString("utf8");
+      text = cleanText(text);
+      if (text) out.push(text);
+    }
+  };
+  readIfd(u32(4));
+  return out;
+}
+
+const xmpText = (buffer) => cleanText(buffer.toString("utf8").replace(/<[^>]*>/g, " "));
+
+/* ---------- Formats ---------- */
+
+function jpegText(b) {
+  const out = [];
+  let offset = 2;
+  while (offset + 4 <= b.length && b[offset] === 0xff) {
+    const marker = b[offset + 1];
+    if (marker === 0xda || marker === 0xd9) break; // image data starts
+    const length = b.readUInt16BE(offset + 2);
+    const data = b.subarray(offset + 4, Math.min(b.length, offset + 2 + length));
+    if (marker === 0xe1 && ascii(data, 0, 6) === "Exif\u0000\u0000") out.push(...tiffText(data.subarray(6)));
+    else if (marker === 0xe1 && ascii(data, 0, 28) === "http://ns.adobe.com/xap/1.0/") out.push(xmpText(data.subarray(29)));
+    else if (marker === 0xfe) out.push(cleanText(data.toString("utf8")));
+    offset += 2 + length;
+  }
+  return out;
+}
+
+function inflate(data) {
+  try {
+    return zlib.inflateSync(data, { maxOutputLength: MAX_INFLATE });
+  } catch {
+    return null;
+  }
+}
+
+function pngText(b) {
+  const out = [];
+  let offset = 8;
+  while (offset + 12 <= b.length) {
+    const length = b.readUInt32BE(offset);
+    const type = ascii(b, offset + 4, offset + 8);
+    const data = b.subarray(offset + 8, Math.min(b.length, offset + 8 + length));
+    const nul = data.indexOf(0);
+    if (type === "tEXt" && nul >= 0) out.push(cleanText(ascii(data, nul + 1)));
+    else if (type === "zTXt" && nul >= 0) out.push(cleanText(inflate(data.subarray(nul + 2))?.toString("latin1") || ""));
+    else if (type === "iTXt" && nul >= 0) {
+      const compressed = data[nul + 1] === 1;
+      let rest = data.subarray(nul + 3);
+      for (let skip = 0; skip < 2; skip++) rest = rest.subarray(rest.indexOf(0) + 1); // language, translated keyword
+      out.push(cleanText((compressed ? inflate(rest) : rest)?.toString("utf8") || ""));
+    } else if (type === "eXIf") out.push(...tiffText(data));
+    else if (type === "IEND") break;
+    offset += 12 + length;
+  }
+  return out;
+}
+
+function webpText(b) {
+  const out = [];
+  let offset = 12;
+  while (offset + 8 <= b.length) {
+    const type = ascii(b, offset, offset + 4);
+    const length = b.readUInt32LE(offset + 4);
+    const data = b.subarray(offset + 8, Math.min(b.length, offset + 8 + length));
+    if (type === "EXIF") out.push(...tiffText(ascii(data, 0, 6) === "Exif\u0000\u0000" ? data.subarray(6) : data));
+    else if (type === "XMP ") out.push(xmpText(data));
+    offset += 8 + length + (length % 2);
+  }
+  return out;
+}
+
+/** Decode a PDF literal string body (between the outer parentheses) */
+function pdfLiteral(body) {
+  return body.replace(/\\(\d{1,3}|.)/gs, (_, esc) => {
+    if (/^\d/.test(esc)) return String.fromCharCode(parseInt(esc, 8));
+    return { n: "\n", r: "\r", t: "\t", b: "", f: "" }[esc] ?? (esc === "\n" ? "" : esc);
+  });
+}
+
+function pdfHex(hex) {
+  const bytes = Buffer.from(hex.replace(/\s+/g, "").padEnd(2, "0"), "hex");
+  return bytes[0] === 0xfe && bytes[1] === 0xff ? utf16be(bytes.subarray(2)) : bytes.toString("latin1");
+}
+
+/** Strings shown by text operators in a content stream: pieces of one TJ array are joined, ops are separated */
+function pdfStreamText(content) {
+  const pieces = [];
+  const strings = /\((?:\\.|[^\\)])*\)|<[0-9a-fA-F\s]*>(?!>)|\]\s*TJ|T[Jj*]|'|"/gs;
+  let line = "";
+  for (const m of content.matchAll(strings)) {
+    const token = m[0];
+    if (token.startsWith("(")) line += pdfLiteral(token.slice(1, -1));
+    else if (token.startsWith("<")) line += pdfHex(token.slice(1, -1));
+    else {
+      if (line) pieces.push(line);
+      line = "";
+    }
+  }
+  if (line) pieces.push(line);
+  return pieces.join(" ");
+}
+
+function pdfText(b) {
+  const raw = b.toString("latin1");
+  const out = [];
+
+  for (const m of raw.matchAll(/\/(Title|Author|Subject|Keywords|Creator)\s*(\((?:\\.|[^\\)])*\)|<[0-9a-fA-F\s]*>)/gs)) {
+    out.push(m[2].startsWith("(") ? pdfLiteral(m[2].slice(1, -1)) : pdfHex(m[2].slice(1, -1)));
+  }
+
+  // Each object's dictionary up to its stream; the stream data is skipped before searching on
+  const streams = /\bobj\b((?:(?!\bobj\b).)*?)\bstream\r?\n/gs;
+  let m;
+  while ((m = streams.exec(raw))) {
+    const start = m.index + m[0].length;
+    const end = raw.indexOf("endstream", start);
+    if (end < 0) break;
+    streams.lastIndex = end;
+    const data = b.subarray(start, end);
+    const content = /\/FlateDecode/.test(m[1]) ? inflate(data)?.toString("latin1") : /\/Filter/.test(m[1]) ? null : data.toString("latin1");
+    if (content && /\bBT\b/.test(content)) out.push(pdfStreamText(content));
+  }
+  return out.map(cleanText);
+}
+
+const ID3_ENCODINGS = { 0: "latin1", 1: "utf16", 2: "utf16be", 3: "utf8" };
+
+function id3String(data, encoding) {
+  if (encoding === "latin1" || encoding === "utf8") return data.toString(encoding);
+  if (encoding === "utf16be") return utf16be(data);
+  if (data[0] === 0xfe && data[1] === 0xff) return utf16be(data.subarray(2));
+  return data.subarray(data[0] === 0xff && data[1] === 0xfe ? 2 : 0).toString("utf16le");
+}
+
+function id3Text(b) {
+  const version = b[3];
+  if (version < 3 || version > 4) return [];
+  const syncsafe = (o) => (b[o] << 21) | (b[o + 1] << 14) | (b[o + 2] << 7) | b[o + 3];
+  const end = Math.min(b.length, 10 + syncsafe(6));
+  const out = [];
+  let offset = 10;
+  while (offset + 10 <= end) {
+    const id = ascii(b, offset, offset + 4);
+    if (!/^[A-Z0-9]{4}$/.test(id)) break;
+    const size = version === 4 ? syncsafe(offset + 4) : b.readUInt32BE(offset + 4);
+    const data = b.subarray(offset + 10, Math.min(end, offset + 10 + size));
+    const encoding = ID3_ENCODINGS[data[0]];
+    if (id[0] === "T" && encoding) out.push(cleanText(id3String(data.subarray(1), encoding)));
+    else if ((id === "COMM" || id === "USLT") && encoding) out.push(cleanText(id3String(data.subarray(4), encoding)));
+    else if (id[0] === "W") out.push(cleanText(data.toString("latin1")));
+    offset += 10 + size;
+  }
+  return out;
+}
+
+/**
+ * Text embedded in a file, as a list of snippets (empty when there is none or the type isn't inspected).
+ * `mime` is the declared type; the sniffed type is used when they differ.
+ */
+export function extractText(buffer, mime = null) {
+  if (!Buffer.isBuffer(buffer)) return [];
+  const type = sniffMime(buffer) || mime;
+  let snippets = [];
+  try {
+    if (type === "image/jpeg") snippets = jpegText(buffer);
+    else if (type === "image/png") snippets = pngText(buffer);
+    else if (type === "image/webp") snippets = webpText(buffer);
+    else if (type === "application/pdf") snippets = pdfText(buffer);
+    else if (type === "audio/mpeg" && ascii(buffer, 0, 3) === "ID3") snippets = id3Text(buffer);
+  } catch {
+    // truncated or malformed: keep what we have
+  }
+
+  const out = [];
+  let total = 0;
+  for (const text of snippets) {
+    if (!text || total >= MAX_TEXT) continue;
+    out.push(text.slice(0, MAX_TEXT - total));
+    total += text.length;
+  }
+  return out;
+}
+
+export default { sniffMime, matchesMime, extractText };
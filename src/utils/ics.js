@@ -0,0 +1,329 @@
+// src/utils/ics.js
+/**
+ * Minimal iCalendar (RFC 5545) support for calendar sync.
+ * - buildCalendar(): VCALENDAR text for a list of events (escaped, folded at 75 octets, CRLF)
+ * - parseCalendar(): busy VEVENTs as UTC instants — all-day and floating times are read in the
+ *   given timezone, TZID times in their own zone; DAILY / WEEKLY RRULEs (INTERVAL, COUNT, UNTIL,
+ *   BYDAY) and EXDATE / RECURRENCE-ID are expanded inside a window; other rules keep their first
+ *   occurrence only. Cancelled and transparent (free) events are skipped.
+ * - expandRule(): occurrence starts of a DAILY / WEEKLY / MONTHLY (BYMONTHDAY) rule, for booking series
+ */
+import { isValidTimeZone, zonedToUtc, addDays, weekdayOf, localDate, localTime } from "./timezone.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const MAX_OCCURRENCES = 1000;
+
+/* ---------- Generation ---------- */
+
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/** 20250601T180000Z */
+export const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/** Fold a content line at 75 octets without splitting UTF-8 characters */
+function fold(line) {
+  const out = [];
+  let current = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    const limit = out.length ? 74 : 75; // continuation lines start with a space
+    if (bytes + size > limit) {
+      out.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+/**
+ * events: [{ uid, start, end, summary, description, location, url, status, sequence, updatedAt }]
+ * Returns the calendar as a string.
+ */
+export function buildCalendar({ name = "", events = [], refreshMinutes = 60 } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//GetVybz//Bookings//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`,
+    `X-PUBLISHED-TTL:PT${refreshMinutes}M`,
+  ];
+  for (const e of events) {
+    lines.push("BEGIN:VEVENT", `UID:${e.uid}`, `DTSTAMP:${formatUtc(e.updatedAt || new Date())}`);
+    lines.push(`DTSTART:${formatUtc(e.start)}`, `DTEND:${formatUtc(e.end)}`);
+    lines.push(`SUMMARY:${escapeText(e.summary)}`);
+    if (e.description) lines.push(`DESCRIPTION:${escapeText(e.description)}`);
+    if (e.location) lines.push(`LOCATION:${escapeText(e.location)}`);
+    if (e.url) lines.push(`URL:${e.url}`);
+    lines.push(`STATUS:${e.status || "CONFIRMED"}`, `SEQUENCE:${e.sequence || 0}`, "TRANSP:OPAQUE", "END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+/* ---------- Parsing ---------- */
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+
+/** "NAME;A=1;B="x:y":value" -> { name, params, value } */
+function parseLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ":" && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon < 0) return null;
+  const [name, ...rawParams] = line.slice(0, colon).split(";");
+  const params = {};
+  for (const p of rawParams) {
+    const eq = p.indexOf("=");
+    if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * DATE / DATE-TIME value -> { date: "YYYY-MM-DD", time: "HH:mm:ss" | null, zone }
+ * zone: "UTC", a TZID, or the fallback timezone for floating / all-day values.
+ */
+function parseDateValue(value, params, timezone) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value).trim());
+  if (!m) return null;
+  const date = `${m[1]}-${m[2]}-${m[3]}`;
+  if (!m[4] || params.VALUE === "DATE") return { date, time: null, zone: timezone };
+  const zone = m[7] ? "UTC" : params.TZID && isValidTimeZone(params.TZID) ? params.TZID : timezone;
+  return { date, time: `${m[4]}:${m[5]}:${m[6]}`, zone };
+}
+
+/** Instant of a parsed value on a (possibly different) local date */
+function instantOf({ time, zone }, date) {
+  if (!time) return zonedToUtc(date, "00:00", zone);
+  const [hh, mm, ss] = time.split(":");
+  return new Date(zonedToUtc(date, `${hh}:${mm}`, zone).getTime() + Number(ss) * 1000);
+}
+
+/** P1DT2H30M, PT45M, P2W -> ms */
+function parseDuration(value) {
+  const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+  if (!m) return null;
+  const [, sign, w = 0, d = 0, h = 0, min = 0, s = 0] = m;
+  const ms = ((+w * 7 + +d) * 24 * 3600 + +h * 3600 + +min * 60 + +s) * 1000;
+  return sign === "-" ? -ms : ms;
+}
+
+function parseRule(value) {
+  const rule = {};
+  for (const part of String(value).split(";")) {
+    const [k, v] = part.split("=");
+    if (k && v) rule[k.toUpperCase()] = v;
+  }
+  return rule;
+}
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/** Local dates a DAILY / WEEKLY / MONTHLY rule produces from `startDate`, up to `untilDate` */
+function expandDates(startDate, rule, untilDate, ruleUntil) {
+  const interval = Math.max(1, Number(rule.INTERVAL) || 1);
+  const count = rule.COUNT ? Number(rule.COUNT) : Infinity;
+  const last = ruleUntil && ruleUntil < untilDate ? ruleUntil : untilDate;
+  const dates = [];
+
+  if (rule.FREQ === "DAILY") {
+    for (let d = startDate, n = 0; d <= last && n < count && dates.length < MAX_OCCURRENCES; d = addDays(d, interval), n++) dates.push(d);
+    return dates;
+  }
+
+  if (rule.FREQ === "WEEKLY") {
+    const byDay = (rule.BYDAY ? rule.BYDAY.split(",") : [WEEKDAYS[weekdayOf(startDate)]])
+      .map((d) => WEEKDAYS.indexOf(d.replace(/^[+-]?\d+/, "")))
+      .filter((d) => d >= 0)
+      .sort((a, b) => a - b);
+    // Weeks start on the start date's Sunday; every `interval`th week, each BYDAY weekday
+    let weekStart = addDays(startDate, -weekdayOf(startDate));
+    let n = 0;
+    while (weekStart <= last && n < count && dates.length < MAX_OCCURRENCES) {
+      for (const wd of byDay) {
+        const d = addDays(weekStart, wd);
+        if (d < startDate || d > last || n >= count) continue;
+        dates.push(d);
+        n++;
+      }
+      weekStart = addDays(weekStart, 7 * interval);
+    }
+    return dates;
+  }
+
+  if (rule.FREQ === "MONTHLY") {
+    // Each BYMONTHDAY (negative = from the end) of every `interval`th month; months without the day are skipped
+    const monthDays = (rule.BYMONTHDAY ? rule.BYMONTHDAY.split(",").map(Number) : [Number(startDate.slice(8, 10))]).filter(
+      (d) => Number.isInteger(d) && d !== 0 && Math.abs(d) <= 31
+    );
+    let [year, month] = startDate.split("-").map(Number);
+    let n = 0;
+    while (`${year}-${String(month).padStart(2, "0")}-01` <= last && n < count && dates.length < MAX_OCCURRENCES) {
+      const size = daysInMonth(year, month);
+      const days = [...new Set(monthDays.map((d) => (d > 0 ? d : size + d + 1)))].filter((d) => d >= 1 && d <= size).sort((a, b) => a - b);
+      for (const day of days) {
+        const d = `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+        if (d < startDate || d > last || n >= count) continue;
+        dates.push(d);
+        n++;
+      }
+      month += interval;
+      year += Math.floor((month - 1) / 12);
+      month = ((month - 1) % 12) + 1;
+    }
+    return dates;
+  }
+
+  return [startDate];
+}
+
+function collectEvents(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const events = [];
+  let current = null;
+  let depth = 0; // nested components (VALARM) inside a VEVENT
+  for (const raw of lines) {
+    const line = parseLine(raw);
+    if (!line) continue;
+    if (line.name === "BEGIN" && line.value.toUpperCase() === "VEVENT") {
+      current = { props: {}, exdates: [] };
+      depth = 0;
+    } else if (current && line.name === "BEGIN") depth++;
+    else if (current && line.name === "END" && line.value.toUpperCase() !== "VEVENT") depth--;
+    else if (current && line.name === "END") {
+      events.push(current);
+      current = null;
+    } else if (current && depth === 0) {
+      if (line.name === "EXDATE") current.exdates.push(line);
+      else current.props[line.name] = line;
+    }
+  }
+  return events;
+}
+
+/**
+ * Busy events of a calendar, expanded within [from, to].
+ * Options: timezone (for all-day / floating times; default UTC), from, to (Dates; default now -1 day .. +180 days)
+ * Returns [{ uid, summary, start, end, allDay }] sorted by start.
+ */
+export function parseCalendar(text, { timezone = "UTC", from = new Date(Date.now() - DAY_MS), to = new Date(Date.now() + 180 * DAY_MS) } = {}) {
+  const raw = collectEvents(text);
+  const results = [];
+  const untilDate = new Date(to.getTime() + DAY_MS).toISOString().slice(0, 10);
+
+  // Instances moved by RECURRENCE-ID replace the matching occurrence of their series
+  const overridden = new Set(
+    raw.filter((e) => e.props["RECURRENCE-ID"]).map((e) => `${e.props.UID?.value}|${e.props["RECURRENCE-ID"].value.replace(/Z$/, "")}`)
+  );
+
+  for (const e of raw) {
+    const p = e.props;
+    if (String(p.STATUS?.value).toUpperCase() === "CANCELLED") continue;
+    if (String(p.TRANSP?.value).toUpperCase() === "TRANSPARENT") continue;
+    if (!p.DTSTART) continue;
+
+    const start = parseDateValue(p.DTSTART.value, p.DTSTART.params, timezone);
+    if (!start) continue;
+    const allDay = !start.time;
+    const firstStart = instantOf(start, start.date);
+
+    let durationMs;
+    const end = p.DTEND && parseDateValue(p.DTEND.value, p.DTEND.params, timezone);
+    if (end) durationMs = instantOf(end, end.date).getTime() - firstStart.getTime();
+    else if (p.DURATION) durationMs = parseDuration(p.DURATION.value);
+    else durationMs = allDay ? DAY_MS : 0;
+    if (!(durationMs > 0)) continue;
+
+    const uid = p.UID?.value || "";
+    const rule = p.RRULE && !p["RECURRENCE-ID"] ? parseRule(p.RRULE.value) : null;
+    let dates = [start.date];
+    let ruleUntil = null; // UNTIL is inclusive
+    if (rule) {
+      const until = rule.UNTIL && parseDateValue(rule.UNTIL, {}, timezone);
+      ruleUntil = until ? instantOf(until, until.date) : null;
+      dates = expandDates(start.date, rule, untilDate, until?.date || null);
+    }
+
+    const excluded = new Set(
+      e.exdates.flatMap((x) => x.value.split(",").map((v) => parseDateValue(v, x.params, timezone)?.date)).filter(Boolean)
+    );
+
+    for (const date of dates) {
+      if (excluded.has(date)) continue;
+      const key = `${uid}|${date.replace(/-/g, "")}${start.time ? `T${start.time.replace(/:/g, "")}` : ""}`;
+      if (rule && overridden.has(key)) continue;
+
+      const occurrenceStart = instantOf(start, date);
+      if (ruleUntil && occurrenceStart > ruleUntil) continue;
+      // All-day spans keep whole local days across DST changes
+      const occurrenceEnd = allDay
+        ? instantOf(start, addDays(date, Math.round(durationMs / DAY_MS)))
+        : new Date(occurrenceStart.getTime() + durationMs);
+      if (occurrenceEnd <= from || occurrenceStart >= to) continue;
+
+      results.push({ uid, summary: p.SUMMARY ? unescapeText(p.SUMMARY.value) : "", start: occurrenceStart, end: occurrenceEnd, allDay });
+    }
+  }
+
+  return results.sort((a, b) => a.start - b.start);
+}
+
+/* ---------- Rules ---------- */
+
+export const RULE_FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+
+/** Parsed RRULE ({ FREQ, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY }), or null when it isn't one expandRule supports */
+export function readRule(rrule) {
+  const rule = parseRule(String(rrule || "").replace(/^RRULE:/i, ""));
+  if (!RULE_FREQUENCIES.includes(rule.FREQ)) return null;
+  if (rule.INTERVAL && !(Number(rule.INTERVAL) >= 1)) return null;
+  if (rule.COUNT && !(Number(rule.COUNT) >= 1)) return null;
+  if (rule.UNTIL && !parseDateValue(rule.UNTIL, {}, "UTC")) return null;
+  if (rule.BYDAY && !rule.BYDAY.split(",").every((d) => WEEKDAYS.includes(d.replace(/^[+-]?\d+/, "")))) return null;
+  return rule;
+}
+
+/**
+ * Occurrence starts (instants) of a rule anchored at `start`, keeping its wall-clock time in `timezone`
+ * across DST changes. Stops at the rule's COUNT / UNTIL, at `to` (inclusive) and after `max` occurrences.
+ */
+export function expandRule(rrule, start, { timezone = "UTC", to = null, max = MAX_OCCURRENCES } = {}) {
+  const rule = readRule(rrule);
+  if (!rule) throw new Error(`Unsupported recurrence rule: ${rrule}`);
+  const anchor = { date: localDate(start, timezone), time: `${localTime(start, timezone)}:00`, zone: timezone };
+
+  const until = rule.UNTIL && parseDateValue(rule.UNTIL, {}, timezone);
+  const ruleUntil = until ? instantOf(until, until.date) : null;
+  const lastDate = to ? addDays(localDate(to, timezone), 1) : until ? until.date : addDays(anchor.date, 366 * 10);
+
+  const starts = [];
+  for (const date of expandDates(anchor.date, rule, lastDate, until?.date || null)) {
+    const instant = instantOf(anchor, date);
+    if ((ruleUntil && instant > ruleUntil) || (to && instant > to)) continue;
+    starts.push(instant);
+    if (starts.length >= max) break;
+  }
+  return starts;
+}
+
+export default { buildCalendar, parseCalendar, formatUtc, readRule, expandRule };
@@ -0,0 +1,115 @@
+// src/utils/money.js
+/**
+ * Currency-aware money helpers.
+ * Amounts travel through the API in major units (naira, cedis, dollars) but are stored as integer
+ * minor units (kobo, pesewas, cents) — `amountMinor` on the document, `amount` a major-unit virtual
+ * (majorUnitVirtual). Every sum, difference, comparison and gateway amount is worked out in minor
+ * units using the currency's exponent, so float drift never reaches a balance.
+ *
+ * ENV:
+ *   PLATFORM_CURRENCY   default / reporting currency (default NGN)
+ */
+
+export const PLATFORM_CURRENCY = String(process.env.PLATFORM_CURRENCY || "NGN").toUpperCase();
+
+// ISO 4217 code -> minor unit exponent and the gateways that can charge / pay out in it
+export const CURRENCIES = {
+  NGN: { exponent: 2, gateways: ["paystack", "flutterwave"] },
+  GHS: { exponent: 2, gateways: ["paystack", "flutterwave"] },
+  KES: { exponent: 2, gateways: ["paystack", "flutterwave"] },
+  ZAR: { exponent: 2, gateways: ["paystack", "flutterwave"] },
+  USD: { exponent: 2, gateways: ["paystack", "flutterwave"] },
+  GBP: { exponent: 2, gateways: ["flutterwave"] },
+  EUR: { exponent: 2, gateways: ["flutterwave"] },
+  XOF: { exponent: 0, gateways: ["flutterwave"] },
+};
+
+export const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+/** Upper-cased, supported ISO code (empty -> platform currency); throws on anything else */
+export function normalizeCurrency(currency) {
+  const code = String(currency || PLATFORM_CURRENCY).trim().toUpperCase();
+  if (!CURRENCIES[code]) throw new Error(`Unsupported currency: ${code}`);
+  return code;
+}
+
+export function isSupportedCurrency(currency) {
+  return Boolean(currency && CURRENCIES[String(currency).toUpperCase()]);
+}
+
+export function gatewaySupportsCurrency(gateway, currency) {
+  return Boolean(CURRENCIES[String(currency || "").toUpperCase()]?.gateways.includes(gateway));
+}
+
+const factor = (currency) => 10 ** CURRENCIES[normalizeCurrency(currency)].exponent;
+
+/** Major units -> integer minor units (1500.5 NGN -> 150050) */
+export function toMinor(amount, currency = PLATFORM_CURRENCY) {
+  return Math.round(Number(amount || 0) * factor(currency));
+}
+
+/** Integer minor units -> major units (150050 NGN -> 1500.5) */
+export function fromMinor(minor, currency = PLATFORM_CURRENCY) {
+  return Math.round(Number(minor || 0)) / factor(currency);
+}
+
+/** Round a major amount to the currency's smallest unit */
+export function roundMoney(amount, currency = PLATFORM_CURRENCY) {
+  return fromMinor(toMinor(amount, currency), currency);
+}
+
+/** Sum major amounts exactly (in minor units) */
+export function sumMoney(amounts, currency = PLATFORM_CURRENCY) {
+  return fromMinor(
+    amounts.reduce((total, amount) => total + toMinor(amount, currency), 0),
+    currency
+  );
+}
+
+/** a - b, exactly */
+export function subtractMoney(a, b, currency = PLATFORM_CURRENCY) {
+  return fromMinor(toMinor(a, currency) - toMinor(b, currency), currency);
+}
+
+/** Same amount to the smallest unit of the currency */
+export function sameAmount(a, b, currency = PLATFORM_CURRENCY) {
+  return toMinor(a, currency) === toMinor(b, currency);
+}
+
+/** Convert with a rate (1 `from` = rate `to`), rounded to the target currency */
+export function convertMoney(amount, rate, toCurrency = PLATFORM_CURRENCY) {
+  return roundMoney(Number(amount || 0) * Number(rate), toCurrency);
+}
+
+/**
+ * Expose a stored minor-unit path in major units: `name` reads and writes `minorPath` (e.g. amount <-> amountMinor).
+ * `currencyOf(doc)` gives the currency the amount is in (default: the document's own `currency`).
+ */
+export function majorUnitVirtual(schema, name, minorPath, currencyOf = (doc) => doc.currency) {
+  schema
+    .virtual(name)
+    .get(function () {
+      const minor = this.get(minorPath);
+      return minor === null || minor === undefined ? minor : fromMinor(minor, currencyOf(this));
+    })
+    .set(function (amount) {
+      this.set(minorPath, amount === null || amount === undefined ? amount : toMinor(amount, currencyOf(this)));
+    });
+}
+
+export default {
+  PLATFORM_CURRENCY,
+  CURRENCIES,
+  SUPPORTED_CURRENCIES,
+  normalizeCurrency,
+  isSupportedCurrency,
+  gatewaySupportsCurrency,
+  toMinor,
+  fromMinor,
+  roundMoney,
+  sumMoney,
+  subtractMoney,
+  sameAmount,
+  convertMoney,
+  majorUnitVirtual,
+};
@@ -0,0 +1,244 @@
+// src/utils/pdf.js
+/**
+ * Minimal PDF (1.4) writer for generated documents such as booking contracts.
+ * - Text in the standard Helvetica fonts (WinAnsi: characters outside Latin-1 print as "?"),
+ *   wrapped to the page width and flowed onto new A4 pages as needed
+ * - Drawn signatures are vector strokes ({ width, height, strokes: [[[x, y], ...]] } in the capture
+ *   canvas' pixels) scaled into a signature box
+ * - Page streams are Flate-compressed; no external dependencies
+ *
+ * Usage:
+ *   const doc = createDocument({ title: "Contract" });
+ *   doc.heading("Booking contract"); doc.row("Price", "NGN 50,000.00"); doc.paragraph("...");
+ *   const buffer = doc.toBuffer();
+ */
+import zlib from "zlib";
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const FONTS = { regular: "F1", bold: "F2", italic: "F3" };
+// Average Helvetica glyph width in em; good enough for wrapping
+const AVG_CHAR_EM = 0.52;
+const SIGNATURE_BOX = { width: 220, height: 70 };
+
+/** PDF string literal: Latin-1 only, with ( ) \ escaped */
+function pdfString(value) {
+  const latin = String(value ?? "")
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, "-")
+    .replace(/₦/g, "NGN ")
+    .replace(/[^\x09\x0A\x0D\x20-\xFF]/g, "?");
+  return `(${latin.replace(/\\/g, "\\\\").replace(/\(/g, "\\(").replace(/\)/g, "\\)").replace(/\r?\n/g, " ")})`;
+}
+
+/** D:YYYYMMDDHHmmSSZ */
+const pdfDate = (date) => `D:${new Date(date).toISOString().replace(/[-:T]/g, "").slice(0, 14)}Z`;
+
+const num = (n) => (Math.round(n * 100) / 100).toString();
+
+/** Split text into lines no wider than `width` points at `size` */
+export function wrapText(text, size, width = CONTENT_WIDTH) {
+  const maxChars = Math.max(1, Math.floor(width / (size * AVG_CHAR_EM)));
+  const lines = [];
+  for (const paragraph of String(text ?? "").split(/\r?\n/)) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      // Words longer than a line are cut
+      for (let piece = word; piece; piece = piece.slice(maxChars)) {
+        const chunk = piece.slice(0, maxChars);
+        if (!line) line = chunk;
+        else if (line.length + 1 + chunk.length <= maxChars) line += ` ${chunk}`;
+        else {
+          lines.push(line);
+          line = chunk;
+        }
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * New document. Methods add content top to bottom and return the document for chaining.
+ * - info: { title, author, subject, createdAt } for the document properties
+ */
+export function createDocument(info = {}) {
+  const pages = [];
+  let ops = null;
+  let y = 0;
+
+  const newPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+  const ensure = (height) => {
+    if (!ops || y - height < MARGIN) newPage();
+  };
+  const textAt = (x, baseline, text, { font = "regular", size = 10 } = {}) => {
+    ops.push(`BT /${FONTS[font]} ${size} Tf ${num(x)} ${num(baseline)} Td ${pdfString(text)} Tj ET`);
+  };
+
+  const doc = {
+    /** Wrapped text block */
+    paragraph(text, { font = "regular", size = 10, indent = 0, after = 6 } = {}) {
+      const leading = size * 1.35;
+      for (const line of wrapText(text, size, CONTENT_WIDTH - indent)) {
+        ensure(leading);
+        y -= leading;
+        textAt(MARGIN + indent, y, line, { font, size });
+      }
+      y -= after;
+      return doc;
+    },
+
+    heading(text, { size = 14 } = {}) {
+      ensure(size * 3);
+      y -= size * 0.6;
+      return doc.paragraph(text, { font: "bold", size, after: 8 });
+    },
+
+    /** "Label:  value" on one line, the value wrapped under itself */
+    row(label, value, { size = 10, labelWidth = 130 } = {}) {
+      const leading = size * 1.35;
+      const lines = wrapText(value, size, CONTENT_WIDTH - labelWidth);
+      lines.forEach((line, i) => {
+        ensure(leading);
+        y -= leading;
+        if (i === 0) textAt(MARGIN, y, label, { font: "bold", size });
+        textAt(MARGIN + labelWidth, y, line, { size });
+      });
+      y -= 2;
+      return doc;
+    },
+
+    /** Bulleted list */
+    list(items, { size = 10 } = {}) {
+      for (const item of items) {
+        const lines = wrapText(item, size, CONTENT_WIDTH - 14);
+        lines.forEach((line, i) => {
+          ensure(size * 1.35);
+          y -= size * 1.35;
+          if (i === 0) textAt(MARGIN, y, "-", { size });
+          textAt(MARGIN + 14, y, line, { size });
+        });
+      }
+      y -= 6;
+      return doc;
+    },
+
+    /** Horizontal line across the content width */
+    rule() {
+      ensure(12);
+      y -= 6;
+      ops.push(`0.6 G 0.5 w ${MARGIN} ${num(y)} m ${MARGIN + CONTENT_WIDTH} ${num(y)} l S 0 G`);
+      y -= 6;
+      return doc;
+    },
+
+    space(points = 10) {
+      y -= points;
+      return doc;
+    },
+
+    /**
+     * Signature block: the typed name (italic) or the drawn strokes in a box, then the caption lines.
+     * - signature: { typedName } or { drawing: { width, height, strokes } }; null leaves the box empty
+     * - caption: lines under the box (signer, time, IP...)
+     */
+    signature(label, signature, caption = []) {
+      const captionHeight = caption.length * 12;
+      ensure(SIGNATURE_BOX.height + captionHeight + 30);
+      doc.paragraph(label, { font: "bold", after: 4 });
+      const bottom = y - SIGNATURE_BOX.height;
+      ops.push(`0.75 G 0.5 w ${MARGIN} ${num(bottom)} ${SIGNATURE_BOX.width} ${SIGNATURE_BOX.height} re S 0 G`);
+
+      const drawing = signature?.drawing;
+      if (drawing?.strokes?.length) {
+        const scale = Math.min((SIGNATURE_BOX.width - 10) / (drawing.width || 1), (SIGNATURE_BOX.height - 10) / (drawing.height || 1));
+        const path = [];
+        for (const stroke of drawing.strokes) {
+          stroke.forEach(([px, py], i) => {
+            // Canvas y grows downwards, PDF y upwards
+            const x = MARGIN + 5 + px * scale;
+            const yy = bottom + SIGNATURE_BOX.height - 5 - py * scale;
+            path.push(`${num(x)} ${num(yy)} ${i === 0 ? "m" : "l"}`);
+          });
+          if (stroke.length === 1) path.push(`${num(MARGIN + 5 + stroke[0][0] * scale + 0.5)} ${num(bottom + SIGNATURE_BOX.height - 5 - stroke[0][1] * scale)} l`);
+        }
+        ops.push(`1 J 1 j 1.2 w ${path.join(" ")} S 0 J 0 j`);
+      } else if (signature?.typedName) {
+        textAt(MARGIN + 10, bottom + SIGNATURE_BOX.height / 2 - 6, signature.typedName, { font: "italic", size: 18 });
+      }
+
+      y = bottom - 4;
+      for (const line of caption) doc.paragraph(line, { size: 8, after: 0 });
+      y -= 10;
+      return doc;
+    },
+
+    /** Serialized PDF */
+    toBuffer() {
+      if (!pages.length) newPage();
+      const objects = []; // index + 1 = object number
+      const add = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalog = add(null);
+      const pagesRef = add(null);
+      const fontRefs = {
+        F1: add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"),
+        F2: add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"),
+        F3: add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Oblique /Encoding /WinAnsiEncoding >>"),
+      };
+      const fonts = Object.entries(fontRefs).map(([name, ref]) => `/${name} ${ref} 0 R`).join(" ");
+
+      const pageRefs = pages.map((pageOps, i) => {
+        const footer = `BT /F1 8 Tf ${MARGIN} ${MARGIN / 2} Td ${pdfString(`${info.title || ""}  -  page ${i + 1} of ${pages.length}`)} Tj ET`;
+        const stream = zlib.deflateSync(Buffer.from([...pageOps, footer].join("\n"), "latin1"));
+        const content = add({ dict: `<< /Length ${stream.length} /Filter /FlateDecode >>`, stream });
+        return add(
+          `<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << ${fonts} >> >> /Contents ${content} 0 R >>`
+        );
+      });
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`;
+      objects[pagesRef - 1] = `<< /Type /Pages /Kids [${pageRefs.map((r) => `${r} 0 R`).join(" ")}] /Count ${pageRefs.length} >>`;
+      const infoRef = add(
+        `<< /Title ${pdfString(info.title || "")} /Author ${pdfString(info.author || "")} /Subject ${pdfString(info.subject || "")} ` +
+          `/Producer (GetVybz) /CreationDate (${pdfDate(info.createdAt || new Date())}) >>`
+      );
+
+      const chunks = [Buffer.from("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n", "latin1")];
+      let length = chunks[0].length;
+      const offsets = [];
+      const push = (buffer) => {
+        chunks.push(buffer);
+        length += buffer.length;
+      };
+      objects.forEach((body, i) => {
+        offsets.push(length);
+        if (typeof body === "string") {
+          push(Buffer.from(`${i + 1} 0 obj\n${body}\nendobj\n`, "latin1"));
+        } else {
+          push(Buffer.from(`${i + 1} 0 obj\n${body.dict}\nstream\n`, "latin1"));
+          push(body.stream);
+          push(Buffer.from("\nendstream\nendobj\n", "latin1"));
+        }
+      });
+
+      const xref = [`xref\n0 ${objects.length + 1}\n`, "0000000000 65535 f \n", ...offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`)].join("");
+      push(Buffer.from(`${xref}trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${infoRef} 0 R >>\nstartxref\n${length}\n%%EOF\n`, "latin1"));
+      return Buffer.concat(chunks);
+    },
+  };
+  return doc;
+}
+
+export default { createDocument, wrapText };
@@ -0,0 +1,111 @@
+// src/utils/timezone.js
+/**
+ * Wall-clock ↔ UTC helpers for IANA time zones, built on Intl (no date library).
+ * Calendar dates are plain "YYYY-MM-DD" strings and times "HH:mm" (24:00 = end of day), always
+ * meaning the local time in the given zone; Dates are instants.
+ */
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+const formatters = new Map();
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    formatterFor(String(timeZone));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+export function isDateString(value) {
+  if (!DATE_RE.test(String(value))) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === String(value);
+}
+export const isTimeString = (value) => TIME_RE.test(String(value));
+
+/** Local wall-clock parts of an instant in a zone */
+function partsOf(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) parts[type] = value;
+  return parts;
+}
+
+/** Offset of the zone from UTC at an instant, in ms (Lagos → +3600000) */
+export function offsetMs(date, timeZone) {
+  const p = partsOf(date, timeZone);
+  const asUtc = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/** Instant of a local date + time in a zone; DST gaps resolve forwards */
+export function zonedToUtc(dateStr, timeStr, timeZone) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const [hh, mm] = timeStr.split(":").map(Number);
+  const wall = Date.UTC(y, m - 1, d, hh, mm);
+  const first = wall - offsetMs(new Date(wall), timeZone);
+  const second = wall - offsetMs(new Date(first), timeZone);
+  // `second` is exact unless the wall time doesn't exist (DST gap); then take the later instant
+  const exact = localTime(new Date(second), timeZone) === timeStr.replace("24:00", "00:00");
+  return new Date(exact ? second : Math.max(first, second));
+}
+
+/** Local calendar date ("YYYY-MM-DD") of an instant in a zone */
+export function localDate(date, timeZone) {
+  const p = partsOf(new Date(date), timeZone);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+/** Local time ("HH:mm") of an instant in a zone */
+export function localTime(date, timeZone) {
+  const p = partsOf(new Date(date), timeZone);
+  return `${p.hour}:${p.minute}`;
+}
+
+/** 0 = Sunday … 6 = Saturday for a calendar date */
+export const weekdayOf = (dateStr) => new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+
+export function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Minutes since midnight for "HH:mm" */
+export const minutesOf = (timeStr) => {
+  const [hh, mm] = timeStr.split(":").map(Number);
+  return hh * 60 + mm;
+};
+
+export default {
+  isValidTimeZone,
+  isDateString,
+  isTimeString,
+  offsetMs,
+  zonedToUtc,
+  localDate,
+  localTime,
+  weekdayOf,
+  addDays,
+  minutesOf,
+};
@@ -0,0 +1,76 @@
+// test/attendanceTest.js
+// Attendance: code-confirmed check-in, check-out with photo proof starting the grace period, automatic no-show dispute.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import { runDbTest, assert, createUser, errorCode } from "./testHarness.js";
+
+runDbTest("Attendance", async ({ storedFiles }) => {
+  const { default: Booking } = await import("../src/models/Booking.js");
+  const { default: Escrow } = await import("../src/models/Escrow.js");
+  const { default: lifecycle } = await import("../src/services/bookingLifecycleService.js");
+  const { default: attendanceService } = await import("../src/services/attendanceService.js");
+  const { settleEscrow } = await import("../src/services/escrowSettlementService.js");
+  const { default: disputeService } = await import("../src/services/disputeService.js");
+  const { adminGetDispute } = await import("../src/controllers/adminDisputeController.js");
+
+  const customer = await createUser("Bola");
+  const crew = { mc: await createUser("Crew mc", "pro") };
+
+  // 1️⃣ Attendance: code-confirmed check-in, check-out with photo proof starting the grace period, automatic no-show dispute
+  const onTheDay = async (minutesAgo) => {
+    const booking = await Booking.create({
+      customerId: customer._id,
+      proId: crew.mc._id,
+      eventDate: new Date(Date.now() - minutesAgo * 60 * 1000),
+      totalAmount: 15000,
+      paymentStatus: "escrowed",
+    });
+    await lifecycle.transitionBooking(booking._id, "confirmed", { user: { id: crew.mc._id } });
+    await Escrow.create({ bookingId: booking._id, amount: 15000, state: "held", paymentGateway: "paystack" });
+    return booking;
+  };
+
+  const show = await onTheDay(10);
+  const { code } = await attendanceService.issueCheckInCode(show._id, { id: customer._id });
+  assert(/^\d{6}$/.test(code), "six-digit check-in code");
+  assert(!(await Booking.findById(show._id)).toObject().attendance.codeHash, "code hash never loaded by default");
+  assert((await errorCode(() => attendanceService.issueCheckInCode(show._id, { id: crew.mc._id }))) === "ATTENDANCE_FORBIDDEN", "only the customer gets the code");
+  const wrong = code === "000000" ? "111111" : "000000";
+  assert((await errorCode(() => attendanceService.checkIn(show._id, { id: crew.mc._id }, { code: wrong }))) === "CHECKIN_CODE_INVALID", "wrong code refused");
+
+  let attended = await attendanceService.checkIn(show._id, { id: crew.mc._id }, { location: { lat: 6.4281, lng: 3.4219, accuracy: 12 } });
+  assert(attended.status === "in_progress" && attended.attendance.checkInAt && !attended.attendance.checkInConfirmedAt, "checked in, awaiting the customer's code");
+  assert((await errorCode(() => attendanceService.checkIn(show._id, { id: crew.mc._id }))) === "ALREADY_CHECKED_IN", "one check-in");
+  await attendanceService.confirmCheckIn(show._id, { id: crew.mc._id }, { code });
+  assert((await errorCode(() => attendanceService.confirmCheckIn(show._id, { id: crew.mc._id }, { code }))) === "CHECKIN_ALREADY_CONFIRMED", "code used once");
+  assert((await settleEscrow(show._id)) === null, "nothing released before check-out");
+
+  const photo = { buffer: Buffer.from("89504e470d0a1a0a", "hex"), mimetype: "image/png", size: 8, originalname: "stage.png" };
+  assert((await errorCode(() => attendanceService.checkOut(show._id, { id: crew.mc._id }, { photos: [{ ...photo, mimetype: "application/pdf" }] }))) === "PROOF_INVALID", "only images as proof");
+  attended = await attendanceService.checkOut(show._id, { id: crew.mc._id }, { note: "Hosted 2 hours", photos: [photo] });
+  assert(attended.status === "completed" && attended.completedAt && attended.attendance.proofPhotos.length === 1, "checked out with proof, booking completed");
+  assert(storedFiles.has(attended.attendance.proofPhotos[0].publicId), "proof photo uploaded");
+  assert((await settleEscrow(show._id)) === null, "grace period starts at check-out");
+
+  await Booking.updateOne({ _id: show._id }, { $set: { completedAt: new Date(Date.now() - 4 * 24 * 3600 * 1000) } });
+  const complaint = await disputeService.createDispute({ bookingId: show._id, initiatorId: customer._id, reason: "Left early" });
+  assert(complaint.evidence.some((e) => e.type === "image" && e.url === attended.attendance.proofPhotos[0].url), "proof photo attached to the dispute");
+  assert(complaint.evidence.some((e) => e.type === "text" && e.note.includes("confirmed with the customer's code")), "attendance record attached");
+  assert((await settleEscrow(show._id)) === null && (await Escrow.findOne({ bookingId: show._id })).state === "held", "no payout while disputed");
+
+  const adminView = {};
+  await adminGetDispute({ params: { id: complaint._id } }, { json: (body) => Object.assign(adminView, body), status() { return this; } });
+  assert(adminView.attendance?.checkInConfirmed && adminView.attendance.proofPhotos.length === 1 && adminView.initiatorId.name === "Bola", "admins see the attendance");
+
+  const noShow = await onTheDay(90);
+  const upcoming = await onTheDay(-120);
+  assert((await errorCode(() => attendanceService.reportNoShow(upcoming._id, { id: customer._id }))) === "NO_SHOW_TOO_EARLY", "no-show only after the start");
+  assert((await attendanceService.detectNoShows()) >= 1, "no-show sweep opened a dispute");
+  const missed = await Booking.findById(noShow._id);
+  assert(missed.status === "disputed" && missed.attendance.noShowReportedBy === "system" && missed.attendance.noShowDisputeId, "no-show booking disputed");
+  const noShowDispute = await disputeService.getDisputeById(missed.attendance.noShowDisputeId);
+  assert(noShowDispute.reason === "no_show" && noShowDispute.meta.autoRaised && String(noShowDispute.initiatorId._id) === String(customer._id), "raised for the customer");
+  assert((await Booking.findById(upcoming._id)).status === "confirmed", "future bookings left alone");
+  assert((await errorCode(() => attendanceService.reportNoShow(noShow._id, { id: customer._id }))) === "NO_SHOW_REPORTED", "one no-show dispute");
+  assert((await errorCode(() => attendanceService.checkIn(noShow._id, { id: crew.mc._id }))) === "NO_SHOW_REPORTED", "no check-in after a no-show");
+  console.log("📍 Attendance verified");
+});
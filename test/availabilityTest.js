@@ -0,0 +1,59 @@
+// test/availabilityTest.js
+// Pro availability: open slots in the pro's timezone, one winner for concurrent holds, buffers, the slot following the booking.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import mongoose from "mongoose";
+import { runDbTest, assert, createUser } from "./testHarness.js";
+
+runDbTest("Availability", async () => {
+  const { default: SlotReservation } = await import("../src/models/SlotReservation.js");
+  const { default: availabilityService } = await import("../src/services/availabilityService.js");
+  const { default: lifecycle } = await import("../src/services/bookingLifecycleService.js");
+
+  const pro = await createUser("Ada", "pro");
+  const customer = await createUser("Bola");
+
+  // 1️⃣ Availability: open slots, one winner for concurrent holds, slot follows the booking
+  const day = new Date(Date.now() + 3 * 24 * 3600 * 1000).toISOString().slice(0, 10);
+  const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+  await availabilityService.setAvailability(pro._id, {
+    timezone: "Africa/Lagos",
+    weeklyHours: [{ weekday, start: "10:00", end: "16:00" }],
+    bufferMinutes: 60,
+    slotMinutes: 120,
+  });
+  const open = await availabilityService.getOpenSlots(pro._id, { from: day, to: day, stepMinutes: 60 });
+  assert(open.slots.length === 5 && open.slots[0].start.toISOString() === `${day}T09:00:00.000Z`, "slots in the pro's timezone");
+
+  const slot = { proId: pro._id, start: `${day}T09:00:00.000Z`, end: `${day}T11:00:00.000Z` };
+  const raced = await Promise.allSettled([
+    availabilityService.holdSlot({ ...slot, customerId: customer._id }),
+    availabilityService.holdSlot({ ...slot, customerId: new mongoose.Types.ObjectId() }),
+  ]);
+  const held = raced.filter((r) => r.status === "fulfilled");
+  assert(held.length === 1 && raced.find((r) => r.status === "rejected").reason.code === "SLOT_TAKEN", "concurrent holds: exactly one wins");
+
+  let buffered = null;
+  try {
+    await availabilityService.holdSlot({ proId: pro._id, start: `${day}T11:30:00.000Z`, end: `${day}T12:30:00.000Z` });
+  } catch (err) {
+    buffered = err.code;
+  }
+  assert(buffered === "SLOT_TAKEN", "buffer keeps time free after a gig");
+
+  const { booking: booking10 } = await availabilityService.bookSlot({
+    customerId: customer._id,
+    proId: pro._id,
+    holdId: held[0].value._id,
+    booking: { totalAmount: 3000 },
+  });
+  await lifecycle.transitionBooking(booking10._id, "confirmed", { user: { id: pro._id, role: "pro" } });
+  await new Promise((r) => setTimeout(r, 500)); // slot listeners run after the event
+  assert((await SlotReservation.findById(booking10.reservationId)).status === "booked", "confirmed booking books the slot");
+  const afterBooking = await availabilityService.getOpenSlots(pro._id, { from: day, to: day, stepMinutes: 60 });
+  assert(afterBooking.slots.every((s) => s.start.getTime() >= new Date(`${day}T12:00:00.000Z`).getTime()), "booked slot and buffer closed");
+
+  await lifecycle.transitionBooking(booking10._id, "cancelled", { user: { id: customer._id, role: "customer" } });
+  await new Promise((r) => setTimeout(r, 500));
+  assert((await SlotReservation.findById(booking10.reservationId)).status === "released", "cancelled booking frees the slot");
+  console.log("🗓️ Availability and slot holds verified");
+});
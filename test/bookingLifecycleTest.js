@@ -0,0 +1,76 @@
+// test/bookingLifecycleTest.js
+// Booking status changes: guarded transitions per role, status history, domain events (after commit), no direct status writes.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import mongoose from "mongoose";
+import { runDbTest, assert, createUser } from "./testHarness.js";
+
+runDbTest("Booking lifecycle", async () => {
+  const { default: Booking } = await import("../src/models/Booking.js");
+  const { default: lifecycle } = await import("../src/services/bookingLifecycleService.js");
+  const { default: domainEvents } = await import("../src/services/domainEvents.js");
+
+  const pro = await createUser("Ada", "pro");
+
+  // 1️⃣ Booking lifecycle: guarded transitions, history, events; no direct status writes
+  const customer = await createUser("Bola");
+  const booking9 = await Booking.create({ customerId: customer._id, proId: pro._id, eventDate: new Date(), totalAmount: 2000 });
+  const seen = [];
+  const unsubscribe = domainEvents.on("booking.status_changed", (e) => seen.push(`${e.from}>${e.to}`));
+
+  let forbidden = null;
+  try {
+    await lifecycle.transitionBooking(booking9._id, "confirmed", { user: { id: customer._id, role: "customer" } });
+  } catch (err) {
+    forbidden = err;
+  }
+  assert(forbidden?.status === 403, "customer cannot confirm");
+
+  await lifecycle.transitionBooking(booking9._id, "confirmed", { user: { id: pro._id, role: "pro" } });
+  await lifecycle.transitionBooking(booking9._id, "in_progress", { user: { id: pro._id, role: "pro" } });
+  let skipped = null;
+  try {
+    await lifecycle.transitionBooking(booking9._id, "pending", { user: { id: pro._id, role: "pro" } });
+  } catch (err) {
+    skipped = err;
+  }
+  assert(skipped?.status === 409, "in_progress cannot go back to pending");
+  await lifecycle.transitionBooking(booking9._id, "completed", { user: { id: customer._id, role: "customer" }, reason: "great set" });
+
+  const booking9After = await Booking.findById(booking9._id);
+  assert(booking9After.statusHistory.map((h) => h.to).join() === "confirmed,in_progress,completed", "status history recorded");
+  assert(booking9After.statusHistory.at(-1).reason === "great set", "history keeps the reason");
+  assert(seen.join() === "pending>confirmed,confirmed>in_progress,in_progress>completed", "domain events emitted after save");
+  unsubscribe();
+
+  booking9After.status = "cancelled";
+  let direct = false;
+  try {
+    await booking9After.save();
+  } catch (err) {
+    direct = err.name === "ValidationError";
+  }
+  assert(direct, "direct status assignment rejected");
+
+  // 2️⃣ A transition saved in a transaction is announced once it commits, never when it aborts
+  const booking10 = await Booking.create({ customerId: customer._id, proId: pro._id, eventDate: new Date(), totalAmount: 2000 });
+  const announced = [];
+  const stopListening = domainEvents.on("booking.status_changed", (e) => announced.push(`${e.from}>${e.to}`));
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    await lifecycle.transitionBooking(booking10._id, "confirmed", { user: { id: pro._id, role: "pro" }, session });
+    assert(announced.length === 0, "nothing announced before the commit");
+    await session.abortTransaction();
+    assert(announced.length === 0 && (await Booking.findById(booking10._id)).status === "pending", "aborted transition never announced");
+
+    await session.withTransaction(async () => {
+      await lifecycle.transitionBooking(booking10._id, "confirmed", { user: { id: pro._id, role: "pro" }, session });
+      assert(announced.length === 0, "held until the commit");
+    });
+    assert(announced.join() === "pending>confirmed", "announced once committed");
+  } finally {
+    await session.endSession();
+    stopListening();
+  }
+  console.log("📋 Booking lifecycle enforced");
+});
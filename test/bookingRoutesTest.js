@@ -0,0 +1,38 @@
+// test/bookingRoutesTest.js
+// Booking routes: a booking created over HTTP is listed back to its customer and pro, and only to them.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import { runDbTest, startApp, assert, createUser, dayAhead } from "./testHarness.js";
+
+runDbTest("Booking routes", async () => {
+  const { default: availabilityService } = await import("../src/services/availabilityService.js");
+  const { default: bookingsRoutes } = await import("../src/routes/bookings.js");
+
+  const pro = await createUser("Ada", "pro");
+  const customer = await createUser("Bola");
+  const stranger = await createUser("Stranger");
+  const { day, weekday } = dayAhead(4);
+  await availabilityService.setAvailability(pro._id, { timezone: "Africa/Lagos", weeklyHours: [{ weekday, start: "10:00", end: "18:00" }] });
+  const { request } = await startApp({ "/api/bookings": bookingsRoutes });
+
+  // 1️⃣ Booking routes: created, listed back to its customer and pro, hidden from others
+  let res = await request("POST", "/api/bookings", {
+    user: customer,
+    body: { proId: String(pro._id), start: `${day}T10:00:00.000Z`, durationMinutes: 120, totalAmount: 45000, title: "Naming ceremony" },
+  });
+  assert(res.status === 201, `booking created (${res.status} ${JSON.stringify(res.body)})`);
+  const bookingId = res.body.booking._id;
+
+  res = await request("GET", "/api/bookings", { user: customer });
+  assert(res.status === 200 && res.body.length === 1 && res.body[0]._id === bookingId, "customer lists the booking");
+  assert(res.body[0].proId.name === "Ada" && res.body[0].metadata.title === "Naming ceremony", "listed with the pro's details");
+  res = await request("GET", "/api/bookings", { user: pro });
+  assert(res.status === 200 && res.body.length === 1 && res.body[0].customerId.name === "Bola", "pro lists it too");
+  res = await request("GET", "/api/bookings", { user: stranger });
+  assert(res.status === 200 && res.body.length === 0, "others see nothing");
+
+  res = await request("GET", `/api/bookings/${bookingId}`, { user: pro });
+  assert(res.status === 200 && res.body._id === bookingId, "a party opens the booking");
+  assert((await request("GET", `/api/bookings/${bookingId}`, { user: stranger })).status === 403, "others can't open it");
+  assert((await request("GET", "/api/bookings/not-an-id", { user: customer })).status === 404, "bad id");
+  console.log("📋 Booking routes verified");
+});
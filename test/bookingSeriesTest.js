@@ -0,0 +1,65 @@
+// test/bookingSeriesTest.js
+// Recurring bookings: conflicts found across occurrences, one booking per occurrence, skip / move, scheduled funding,
+// cancelling the rest of the series.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import { runDbTest, assert, createUser, dayAhead } from "./testHarness.js";
+
+runDbTest("Booking series", async () => {
+  const { default: Booking } = await import("../src/models/Booking.js");
+  const { default: BookingSeries } = await import("../src/models/BookingSeries.js");
+  const { default: availabilityService } = await import("../src/services/availabilityService.js");
+  const { default: bookingSeriesService } = await import("../src/services/bookingSeriesService.js");
+
+  const customer = await createUser("Bola");
+  const pro2 = await createUser("Chidi", "pro");
+  const { day, weekday } = dayAhead();
+  await availabilityService.setAvailability(pro2._id, { timezone: "Africa/Lagos", weeklyHours: [{ weekday, start: "10:00", end: "20:00" }] });
+  // The pro already has a gig on the first day, 15:00-17:00 UTC
+  const gigHold = await availabilityService.holdSlot({ proId: pro2._id, customerId: customer._id, start: `${day}T15:00:00.000Z`, end: `${day}T17:00:00.000Z` });
+  await availabilityService.bookSlot({ customerId: customer._id, proId: pro2._id, holdId: gigHold._id, booking: { totalAmount: 28000 } });
+
+  // 1️⃣ Recurring bookings: conflicts across occurrences, one booking per occurrence, skip / move / cancel the rest
+  const weekly = {
+    proId: pro2._id,
+    title: "Sunday service",
+    start: `${day}T09:00:00.000Z`,
+    durationMinutes: 120,
+    frequency: "weekly",
+    count: 3,
+    amountPerOccurrence: 10000,
+  };
+  let clash = null;
+  try {
+    await bookingSeriesService.createSeries(customer._id, { ...weekly, start: `${day}T14:00:00.000Z` });
+  } catch (err) {
+    clash = err;
+  }
+  assert(clash?.code === "SERIES_CONFLICTS" && clash.conflicts.length === 1, "clash with the gig booking found across occurrences");
+  assert(!(await BookingSeries.exists({ title: "Sunday service" })), "nothing booked when a conflict is found");
+
+  const { series, bookings: occurrences } = await bookingSeriesService.createSeries(customer._id, weekly);
+  assert(series.rrule === "FREQ=WEEKLY;COUNT=3" && occurrences.length === 3, "every occurrence booked ahead");
+  assert(occurrences.every((b) => b.totalAmount === 10000 && String(b.seriesId) === String(series._id)), "occurrences priced per booking");
+
+  const listed = await bookingSeriesService.groupSeriesBookings(await Booking.find({ seriesId: series._id }).lean());
+  assert(listed.length === 1 && listed[0].type === "series" && listed[0].upcoming === 3, "series listed as one item");
+
+  const [first, second, third] = occurrences.map((b) => b.occurrenceStart.toISOString());
+  const movedTo = new Date(new Date(second).getTime() + 2 * 60 * 60 * 1000);
+  const { booking: moved } = await bookingSeriesService.changeOccurrence(series._id, { id: customer._id }, { occurrenceStart: second, start: movedTo });
+  assert(moved.eventDate.getTime() === movedTo.getTime(), "one occurrence moved on the calendar");
+
+  const { booking: dropped } = await bookingSeriesService.skipOccurrence(series._id, { id: pro2._id }, { occurrenceStart: third, reason: "Travelling" });
+  assert(dropped.status === "cancelled", "skipped occurrence cancelled");
+  const detail = await bookingSeriesService.getSeries(series._id, { id: customer._id });
+  assert(detail.occurrences.map((o) => o.status).join() === "pending,pending,cancelled", "series detail shows each occurrence");
+
+  const run = await bookingSeriesService.runSeriesSchedule();
+  const firstBooking = await Booking.findOne({ seriesId: series._id, occurrenceStart: new Date(first) });
+  assert(run.funded >= 1 && firstBooking.paymentStatus === "pending", "funding started for the occurrence coming up");
+
+  const ended = await bookingSeriesService.cancelSeries(series._id, { id: customer._id }, { reason: "Moved venue" });
+  assert(ended.series.status === "cancelled" && ended.cancelled.length === 2 && !ended.failed.length, "rest of the series cancelled");
+  assert((await Booking.countDocuments({ seriesId: series._id, status: "cancelled" })) === 3, "no occurrence left on");
+  console.log("🔁 Recurring bookings verified");
+});
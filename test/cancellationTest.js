@@ -0,0 +1,72 @@
+// test/cancellationTest.js
+// Cancellation policies: the tiers snapshotted on the booking decide the refund, the rest is released to the pro;
+// pro cancellations refund in full and cost trust score.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import { runDbTest, assert, createUser, inDays } from "./testHarness.js";
+
+runDbTest("Cancellation", async () => {
+  const { default: Booking } = await import("../src/models/Booking.js");
+  const { default: Escrow } = await import("../src/models/Escrow.js");
+  const { default: TrustScore } = await import("../src/models/TrustScore.js");
+  const { default: payoutService } = await import("../src/services/payoutService.js");
+  const { default: cancellationPolicyService } = await import("../src/services/cancellationPolicyService.js");
+  const { default: cancellationService } = await import("../src/services/cancellationService.js");
+
+  const pro = await createUser("Ada", "pro");
+  const customer = await createUser("Bola");
+  // Compensation is paid out to the pro's bank account
+  await payoutService.registerRecipient({ userId: pro._id, gateway: "paystack", bankCode: "044", accountNumber: "0123456789" });
+
+  // 1️⃣ Cancellation policies: snapshotted tiers decide the refund, the rest is released to the pro
+  await cancellationPolicyService.setPolicy(pro._id, {
+    name: "custom",
+    tiers: [{ minDaysBefore: 14, refundPercent: 100 }, { minDaysBefore: 7, refundPercent: 50 }, { minDaysBefore: 0, refundPercent: 0 }],
+  });
+  const booking11 = await Booking.create({
+    customerId: customer._id,
+    proId: pro._id,
+    eventDate: inDays(10),
+    totalAmount: 5000,
+    paymentStatus: "escrowed",
+    status: "confirmed",
+  });
+  await Escrow.create({ bookingId: booking11._id, amount: 5000, state: "held", paymentGateway: "paystack" });
+  assert(booking11.cancellationPolicy.name === "custom" && booking11.cancellationPolicy.tiers.length === 3, "policy snapshotted on the booking");
+  await cancellationPolicyService.setPolicy(pro._id, { name: "flexible" });
+
+  const customerUser = { id: customer._id, role: "customer" };
+  const quote = await cancellationService.quoteCancellation(booking11._id, { user: customerUser });
+  assert(quote.refundPercent === 50 && quote.refund === 2500, "7-14 days out: half refunded under the snapshot, not the new policy");
+  assert(quote.proCompensation.gross === 2500 && quote.proCompensation.fee === 250, "pro compensation with commission");
+
+  let changed = null;
+  try {
+    await cancellationService.cancelBooking(booking11._id, { user: customerUser, expectedRefund: 5000 });
+  } catch (err) {
+    changed = err;
+  }
+  assert(changed?.status === 409 && changed.quote.refund === 2500, "stale quote rejected with the new breakdown");
+
+  const cancelled = await cancellationService.cancelBooking(booking11._id, { user: customerUser, reason: "venue closed", expectedRefund: 2500 });
+  const escrow11 = await Escrow.findOne({ bookingId: booking11._id });
+  assert(escrow11.amountRefunded === 2500 && escrow11.amountHeld === 0, "customer refunded, nothing left held");
+  assert(cancelled.releases[0]?.amount === 2250, "pro compensation released net of commission");
+  assert(cancelled.booking.status === "cancelled" && cancelled.booking.statusHistory.at(-1).actorRole === "customer", "cancelled by the customer");
+  assert(cancelled.booking.cancellation.status === "settled" && cancelled.booking.cancellation.refundAmount === 2500, "cancellation recorded");
+
+  // Pro cancels: full refund, nothing released, trust score docked
+  const booking12 = await Booking.create({
+    customerId: customer._id,
+    proId: pro._id,
+    eventDate: inDays(1),
+    totalAmount: 5000,
+    paymentStatus: "escrowed",
+    status: "confirmed",
+  });
+  await Escrow.create({ bookingId: booking12._id, amount: 5000, state: "held", paymentGateway: "paystack" });
+  const proCancel = await cancellationService.cancelBooking(booking12._id, { user: { id: pro._id, role: "pro" } });
+  assert(proCancel.quote.refund === 5000 && proCancel.releases.length === 0, "pro cancellation refunds in full");
+  assert((await Escrow.findOne({ bookingId: booking12._id })).state === "refunded", "escrow refunded");
+  assert((await TrustScore.findOne({ userId: pro._id })).breakdown.cancellations === -10, "late pro cancellation costs trust score");
+  console.log("🚫 Cancellation policies applied");
+});
@@ -0,0 +1,94 @@
+// test/commissionTest.js
+// Platform commission: rules matched on the pro's tier, organization plan and verified / boosted status, flat fees
+// only in their own currency and charged once per booking, and the booking breakdown endpoint.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import { runDbTest, startApp, assert, createUser, createPro, heldBooking, inDays } from "./testHarness.js";
+
+runDbTest("Commission", async ({ gw, deliver }) => {
+  const { default: Booking } = await import("../src/models/Booking.js");
+  const { default: Organization } = await import("../src/models/Organization.js");
+  const { default: escrowService } = await import("../src/services/escrowService.js");
+  const { default: commissionService } = await import("../src/services/commissionService.js");
+  const { default: commissionRoutes } = await import("../src/routes/commissionRoutes.js");
+  const quote = async (pro, amount = 10000, currency = "NGN") => commissionService.quoteCommission({ proId: pro._id, amount, currency });
+
+  // 1️⃣ Rules: the highest-priority active rule matching the pro wins, otherwise the 10% default
+  await commissionService.createRule({ name: "Gold", percent: 8, match: { tiers: ["Gold"] }, priority: 1 });
+  const proPlan = await commissionService.createRule({ name: "Pro plan", percent: 6, match: { subscriptionPlans: ["pro"] }, priority: 2 });
+  await commissionService.createRule({ name: "Verified boosted", percent: 5, match: { verified: true, boosted: true }, priority: 3 });
+
+  const bronze = await createUser("Bronze", "pro");
+  let q = await quote(bronze);
+  assert(q.rule.name === "default" && q.fee === 1000 && q.net === 9000, "no matching rule: default percent");
+
+  const gold = await createUser("Gold", "pro", { tier: "Gold" });
+  q = await quote(gold);
+  assert(q.rule.name === "Gold" && q.fee === 800, "matched on tier");
+
+  await Organization.create({ name: "Gold Sounds", contactEmail: "ops@goldsounds.test", subscriptionPlan: "pro", users: [{ userId: gold._id }] });
+  q = await quote(gold);
+  assert(q.context.subscriptionPlan === "pro" && q.rule.name === "Pro plan" && q.fee === 600, "organization plan outranks tier");
+
+  const star = await createUser("Star", "pro", { isVerified: true, isBoosted: true, boostExpiry: inDays(3) });
+  q = await quote(star);
+  assert(q.rule.name === "Verified boosted" && q.fee === 500, "matched on verified and boosted");
+  const lapsed = await createUser("Lapsed", "pro", { isVerified: true, isBoosted: true, boostExpiry: inDays(-1) });
+  q = await quote(lapsed);
+  assert(!q.context.boosted && q.rule.name === "default", "an expired boost doesn't count");
+
+  await commissionService.deactivateRule(proPlan._id);
+  assert((await quote(gold)).rule.name === "Gold", "deactivated rule no longer matches");
+  console.log("🎯 Commission rules matched");
+
+  // 2️⃣ Flat fees apply only in the rule's currency, never exceed the gross and are charged once per booking
+  await commissionService.createRule({ name: "Platinum NGN", percent: 5, flatFee: 200, currency: "NGN", match: { tiers: ["Platinum"] }, priority: 10 });
+  await commissionService.createRule({ name: "Platinum USD", percent: 5, flatFee: 2, currency: "USD", match: { tiers: ["Platinum"] }, priority: 9 });
+  await commissionService.createRule({ name: "Platinum XOF", percent: 5, flatFee: 500, currency: "XOF", match: { tiers: ["Platinum"] }, priority: 8 });
+  await commissionService.createRule({ name: "Platinum", percent: 7, match: { tiers: ["Platinum"] }, priority: 0 });
+  const platinum = await createPro("Platinum", { tier: "Platinum" });
+
+  q = await quote(platinum);
+  assert(q.rule.name === "Platinum NGN" && q.fee === 700 && q.net === 9300, "naira flat fee");
+  q = await quote(platinum, 100, "USD");
+  assert(q.rule.name === "Platinum USD" && q.fee === 7 && q.currency === "USD", "dollar flat fee");
+  q = await quote(platinum, 10001, "XOF");
+  assert(q.rule.name === "Platinum XOF" && q.fee === 1000, "XOF flat fee, no minor unit");
+  q = await quote(platinum, 100, "GHS");
+  assert(q.rule.name === "Platinum" && q.fee === 7, "no cedi flat-fee rule: percent-only rule");
+  q = await quote(platinum, 100);
+  assert(q.fee === 100 && q.net === 0, "fee capped at the gross");
+
+  const booking = await heldBooking(platinum._id, 10000);
+  const first = await escrowService.releaseFunds({ bookingId: booking._id, amount: 5000 });
+  assert(first.fee === 450 && first.amount === 4550, "first release: percent + flat fee");
+  console.log("💵 Flat fees per currency verified");
+
+  // 3️⃣ Breakdown endpoint: the booking's parties and admins see gross, fee, net and the commission still to come
+  const customer = await createUser("Kemi");
+  const stranger = await createUser("Stranger");
+  const admin = await createUser("Admin", "admin");
+  await Booking.updateOne({ _id: booking._id }, { customerId: customer._id });
+  const { request } = await startApp({ "/api/commission": commissionRoutes });
+  const breakdown = `/api/commission/bookings/${booking._id}`;
+
+  assert((await request("GET", breakdown)).status === 401, "sign-in required");
+  assert((await request("GET", breakdown, { user: stranger })).status === 403, "strangers can't see it");
+  assert((await request("GET", `/api/commission/bookings/${customer._id}`, { user: admin })).status === 404, "unknown booking");
+  let res = await request("GET", breakdown, { user: customer });
+  let data = res.body.data;
+  assert(res.status === 200 && data.gross === 10000 && data.held === 5000 && data.currency === "NGN", "customer sees the breakdown");
+  assert(data.fee.commission === 450 && data.fee.total === 450 && data.feeTransactions.length === 1, "commission so far");
+  assert(data.net.pendingTransfers === 4550 && data.net.releasedToPro === 0, "transfer still pending");
+  assert(data.projected.fee === 250 && data.projected.net === 4750 && data.projected.rule.name === "Platinum NGN", "flat fee not projected twice");
+
+  await deliver(gw.transferWebhook(first.reference, "success"));
+  const second = await escrowService.releaseFunds({ bookingId: booking._id });
+  assert(second.fee === 250 && second.amount === 4750, "second release: percent only");
+  res = await request("GET", breakdown, { user: platinum });
+  data = res.body.data;
+  assert(res.status === 200 && data.fee.commission === 700 && data.held === 0 && !data.projected, "pro sees the whole commission");
+  assert(data.net.releasedToPro === 4550 && data.net.pendingTransfers === 4750, "paid and pending transfers");
+  res = await request("GET", breakdown, { user: admin });
+  assert(res.status === 200 && res.body.data.bookingId === String(booking._id), "admins see any booking");
+  console.log("🧾 Commission breakdown endpoint verified");
+});
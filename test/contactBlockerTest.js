@@ -0,0 +1,81 @@
+// test/contactBlockerTest.js
+// Contact-leak detection: obfuscated numbers, emails, links, handles and platforms vs. ordinary booking chat.
+// Offline: no database or network needed.
+import { detectContacts, maskContacts, containsContact, fold } from "../src/utils/contactBlocker.js";
+
+const assert = (cond, msg) => {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+};
+
+const types = (text) => detectContacts(text).matches.map((m) => m.type);
+const valueOf = (text, type) => detectContacts(text).matches.find((m) => m.type === type)?.value;
+
+const runTest = () => {
+  try {
+    // 1️⃣ Phone numbers however they are written
+    const phones = [
+      "Call me on 0803 123 4567",
+      "08031234567",
+      "0803-123-4567",
+      "0 8 0 3 . 1 2 3 . 4 5 6 7",
+      "zero eight zero three one two three four five six seven",
+      "o8o3l234567",
+      "my number: 080 three one two 3 4 five 6 7",
+      "zero eight double one triple two three four five six",
+    ];
+    for (const text of phones) {
+      assert(types(text).includes("phone"), `phone found in "${text}" (got ${types(text).join(", ")})`);
+      assert(detectContacts(text).score >= 90, `"${text}" scores high`);
+    }
+    assert(valueOf("zero eight zero three one two three four five six seven", "phone") === "08031234567", "spelled-out digits read");
+    assert(valueOf("zero eight double one triple two three four five six", "phone") === "08112223456", "double / triple expanded");
+    assert(valueOf("+234 803 123 4567", "intl_phone") === "2348031234567", "international number read");
+    console.log("📞 Phone numbers detected");
+
+    // 2️⃣ Bank accounts, emails, links, handles, platforms
+    assert(types("my acct is 0123456789 gtbank").includes("bank_account"), "account number next to a bank name");
+    assert(valueOf("email me john.doe@gmail.com", "email") === "john.doe@gmail.com", "plain email");
+    assert(types("john (at) gmail (dot) com").includes("email"), "obfuscated email");
+    assert(types("check wa.me/2348031234567").includes("contact_link"), "WhatsApp link");
+    assert(types("see my page www.djspin.net").includes("url"), "website");
+    assert(types("follow @djspinall").includes("handle"), "social handle");
+    assert(detectContacts("DM me on W.A").score >= 70, "\"DM me on W.A\" is contact intent plus a platform");
+    assert(types("ping me on ig").includes("platform"), "short platform names after on/via");
+    assert(types("Ｗｈａｔｓａｐｐ").includes("platform"), "fullwidth letters folded");
+    assert(types("whаtsаpp").includes("platform"), "Cyrillic lookalikes folded");
+    assert(fold("Ｗhаts") === "whats" && fold("Ｗhаts").length === "Ｗhаts".length, "folding keeps positions");
+    console.log("📧 Emails, links, handles and platforms detected");
+
+    // 3️⃣ Ordinary booking chat stays clean
+    const clean = [
+      "Event is on 2024-12-05 at 7:30pm, budget ₦150000",
+      "The fee is 250000 naira for 4 hours",
+      "I can play from 8pm to 2am, see you there",
+      "Let's do 3 sets of 45 minutes each",
+      "Visit getvybz.com/pros/dj for my other mixes",
+      "Can you bring one extra speaker? We have two mics already",
+      "Guest count is around 150, venue is at 12 Admiralty Way",
+      "Oh nice, see you on the 14th",
+    ];
+    for (const text of clean) {
+      assert(!containsContact(text), `"${text}" is not contact sharing (score ${detectContacts(text).score}: ${types(text).join(", ")})`);
+    }
+    console.log("✅ Ordinary messages pass");
+
+    // 4️⃣ Masking keeps the rest of the message
+    const text = "Sure! Call me on 0803 123 4567 or john.doe@gmail.com";
+    const { matches } = detectContacts(text);
+    assert(matches.every((m) => text.slice(m.start, m.end) === m.text), "spans index the original text");
+    assert(maskContacts(text, matches) === "Sure! Call me on [hidden] or [hidden]", `masked (got "${maskContacts(text, matches)}")`);
+    assert(maskContacts("+234 803 123 4567") === "[hidden]", "the + goes with the number");
+    assert(maskContacts("DM me on W.A") === "DM me on W.A", "context words are not masked");
+    console.log("🙈 Masking verified");
+
+    console.log("🎉 Contact blocker test completed successfully");
+  } catch (err) {
+    console.error("❌ Test error:", err);
+    process.exitCode = 1;
+  }
+};
+
+runTest();
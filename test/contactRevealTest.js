@@ -0,0 +1,55 @@
+// test/contactRevealTest.js
+// Contact reveal: shared once the booking is in escrow, screening relaxed in its conversation only, withdrawn and expired.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import { runDbTest, assert, createUser, errorCode, inDays } from "./testHarness.js";
+
+runDbTest("Contact reveal", async ({ gw, deliver }) => {
+  const { default: Booking } = await import("../src/models/Booking.js");
+  const { default: AuditLog } = await import("../src/models/AuditLog.js");
+  const { default: ContactReveal } = await import("../src/models/ContactReveal.js");
+  const { default: escrowService } = await import("../src/services/escrowService.js");
+  const { default: messageService } = await import("../src/services/messageService.js");
+  const { default: contactRevealService } = await import("../src/services/contactRevealService.js");
+
+  const customer = await createUser("Bola");
+  const crew = { dj: await createUser("Crew dj", "pro"), mc: await createUser("Crew mc", "pro") };
+  const me = { id: customer._id };
+  const dj = { id: crew.dj._id };
+  const chat = await messageService.openConversation(me, { participantIds: [crew.dj._id] });
+  const birthday = await Booking.create({ customerId: customer._id, proId: crew.dj._id, eventDate: inDays(30), totalAmount: 20000, metadata: { title: "Birthday set" } });
+  const payment = await escrowService.initializeEscrow({ bookingId: birthday._id, email: customer.email });
+
+  // 1️⃣ Contact reveal: shared once the booking is in escrow, screening relaxed in its conversation only, withdrawn and expired
+  assert((await errorCode(() => contactRevealService.shareContact(birthday._id, dj, { phone: "0803 123 4567" }))) === "CONTACT_REVEAL_UNAVAILABLE", "not before payment");
+  await deliver(gw.chargeWebhook(payment.reference));
+  assert((await Booking.findById(birthday._id)).paymentStatus === "escrowed", "booking paid into escrow");
+  assert((await errorCode(() => contactRevealService.shareContact(birthday._id, { id: crew.mc._id }, { phone: "0803 123 4567" }))) === "CONTACT_REVEAL_FORBIDDEN", "only the booking's parties");
+  assert((await errorCode(() => contactRevealService.shareContact(birthday._id, dj, { phone: "call me" }))) === "CONTACT_REVEAL_INVALID", "numbers checked");
+  const reveal = await contactRevealService.shareContact(birthday._id, { ...dj, name: "Crew dj" }, { phone: "0803-123-4567", whatsapp: true });
+  assert(reveal.phone === "08031234567" && reveal.whatsapp === "08031234567", "phone shared, WhatsApp on the same number");
+  const contact = await contactRevealService.getContacts(birthday._id, me);
+  assert(contact.received?.phone === "08031234567" && !contact.shared && contact.canShare, "customer sees the pro's number");
+  assert((await AuditLog.countDocuments({ action: "contact_reveal.shared", "meta.bookingId": birthday._id })) === 1, "reveal logged");
+
+  const birthdayChat = await messageService.openConversation(me, { bookingId: birthday._id });
+  const reply = await messageService.sendMessage(birthdayChat._id, me, { content: "Great, my number is 0803 765 4321" });
+  assert(reply.content.includes("0803 765 4321") && !reply.moderation?.action, "numbers pass in the booking's conversation");
+  const waLink = await messageService.sendMessage(birthdayChat._id, me, { content: "Or chat me on https://wa.me/2348037654321" });
+  assert(!waLink.moderation?.action, "wa.me links to a number pass");
+  assert((await errorCode(() => messageService.sendMessage(birthdayChat._id, me, { content: "Let's continue on t.me/bolaevents" }))) === "MESSAGE_CONTACT_BLOCKED", "off-platform links still screened");
+  assert((await errorCode(() => messageService.sendMessage(birthdayChat._id, me, { content: "see wa.me.evil.com/x" }))) === "MESSAGE_CONTACT_BLOCKED", "wa.me look-alikes still screened");
+  assert((await errorCode(() => messageService.sendMessage(birthdayChat._id, me, { content: "Pay to my acct 0123456789 gtbank" }))) === "MESSAGE_CONTACT_BLOCKED", "bank details still screened");
+  assert((await errorCode(() => messageService.sendMessage(chat._id, me, { content: "Call me on 0803 765 4321" }))) === "MESSAGE_CONTACT_BLOCKED", "other conversations unchanged");
+
+  await contactRevealService.withdrawContact(birthday._id, dj);
+  assert(!(await contactRevealService.getContacts(birthday._id, me)).received, "withdrawn number hidden");
+  assert((await errorCode(() => messageService.sendMessage(birthdayChat._id, me, { content: "Call me on 0803 765 4321" }))) === "MESSAGE_CONTACT_BLOCKED", "screening back once withdrawn");
+  assert((await errorCode(() => contactRevealService.withdrawContact(birthday._id, dj))) === "CONTACT_REVEAL_NOT_FOUND", "nothing left to withdraw");
+
+  await contactRevealService.shareContact(birthday._id, me, { whatsapp: "+234 803 765 4321" });
+  await ContactReveal.updateOne({ bookingId: birthday._id, status: "active" }, { expiresAt: new Date(Date.now() - 1000) });
+  const sweep = await contactRevealService.expireReveals();
+  assert(sweep.expired === 1 && (await ContactReveal.findOne({ bookingId: birthday._id, userId: customer._id })).endReason === "event_over", "reveal ends after the event");
+  assert((await ContactReveal.countDocuments({ bookingId: birthday._id })) === 2 && (await AuditLog.countDocuments({ "meta.bookingId": birthday._id })) === 4, "ended reveals kept with their log");
+  console.log("📇 Contact reveal verified");
+});
@@ -0,0 +1,66 @@
+// test/contractTest.js
+// Booking contracts: generated on confirmation, a changed booking supersedes it, both parties sign, disputes get it
+// as evidence.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import { runDbTest, assert, createUser, dayAhead } from "./testHarness.js";
+
+runDbTest("Contract", async ({ storedFiles }) => {
+  const { default: Booking } = await import("../src/models/Booking.js");
+  const { default: lifecycle } = await import("../src/services/bookingLifecycleService.js");
+  const { default: contractService } = await import("../src/services/contractService.js");
+  const { default: disputeService } = await import("../src/services/disputeService.js");
+
+  const customer = await createUser("Bola");
+  const crew = { dj: await createUser("Crew dj", "pro") };
+  const { day } = dayAhead();
+
+  // 1️⃣ Contracts: generated on confirmation, a changed booking supersedes it, both parties sign, disputes get it as evidence
+  const gigBooking = await Booking.create({
+    customerId: customer._id,
+    proId: crew.dj._id,
+    eventDate: new Date(`${day}T18:00:00.000Z`),
+    endDate: new Date(`${day}T20:00:00.000Z`),
+    totalAmount: 40000,
+    metadata: { title: "Album launch", location: "Lekki", deliverables: ["2-hour DJ set", "Sound system"] },
+  });
+  await lifecycle.transitionBooking(gigBooking._id, "confirmed", { user: { id: crew.dj._id } });
+  await new Promise((r) => setTimeout(r, 500)); // the contract is drawn up after the event
+  const draft = await contractService.getContract(gigBooking._id, { id: customer._id });
+  assert(draft.version === 1 && draft.status === "awaiting_signatures", "contract generated on confirmation");
+  assert(draft.terms.price.formatted === "NGN 40,000.00" && draft.terms.event.time === "19:00 - 21:00", "price and local time in the terms");
+  assert(draft.terms.deliverables.join() === "2-hour DJ set,Sound system" && draft.terms.cancellation.lines.length >= 2, "deliverables and cancellation terms");
+  assert((await Booking.findById(gigBooking._id)).contractURL === draft.unsignedUrl && storedFiles.size >= 1, "unsigned PDF stored and linked");
+
+  await contractService.signContract(gigBooking._id, { id: customer._id }, { name: "Bola Ade", termsHash: draft.termsHash }, { ip: "10.0.0.1" });
+  await Booking.updateOne({ _id: gigBooking._id }, { $set: { totalAmount: 45000 } });
+  let outdated = null;
+  try {
+    await contractService.signContract(gigBooking._id, { id: crew.dj._id }, { name: "Crew DJ", termsHash: draft.termsHash });
+  } catch (err) {
+    outdated = err;
+  }
+  assert(outdated?.code === "CONTRACT_CHANGED" && outdated.contract.version === 2 && !outdated.contract.signatures.length, "changed terms need a fresh signature");
+
+  let badDrawing = null;
+  try {
+    await contractService.signContract(gigBooking._id, { id: crew.dj._id }, { name: "Crew DJ", signature: { type: "drawn", width: 100, height: 50, strokes: [[[120, 10]]] } });
+  } catch (err) {
+    badDrawing = err.code;
+  }
+  assert(badDrawing === "SIGNATURE_INVALID", "strokes outside the canvas rejected");
+
+  const v2 = outdated.contract;
+  await contractService.signContract(gigBooking._id, { id: crew.dj._id }, {
+    name: "Crew DJ",
+    termsHash: v2.termsHash,
+    signature: { type: "drawn", width: 300, height: 100, strokes: [[[10, 80], [60, 20], [120, 70], [200, 30]]] },
+  }, { ip: "10.0.0.2", userAgent: "test" });
+  const signedContract = await contractService.signContract(gigBooking._id, { id: customer._id }, { name: "Bola Ade", termsHash: v2.termsHash }, { ip: "10.0.0.1" });
+  assert(signedContract.status === "signed" && signedContract.signatures.map((s) => s.ip).sort().join() === "10.0.0.1,10.0.0.2", "both parties signed with their IPs");
+  assert((await Booking.findById(gigBooking._id)).contractURL === signedContract.signedUrl, "signed PDF linked from the booking");
+  assert(storedFiles.get(`${signedContract.number}-signed`).subarray(0, 8).toString() === "%PDF-1.4", "signed PDF stored");
+
+  const dispute = await disputeService.createDispute({ bookingId: gigBooking._id, initiatorId: customer._id, reason: "Set cut short" });
+  assert(dispute.evidence.some((e) => e.url === signedContract.signedUrl && e.note.includes("signed by both parties")), "contract attached to the dispute");
+  console.log("✍️ Booking contracts verified");
+});
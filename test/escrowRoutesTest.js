@@ -0,0 +1,81 @@
+// test/escrowRoutesTest.js
+// Escrow routes: release, refund and details are limited to admins and the booking's parties; payment is started by
+// the customer for the booking's own amount.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import { runDbTest, startApp, assert, createUser, inDays } from "./testHarness.js";
+
+runDbTest("Escrow routes", async ({ gw, deliver }) => {
+  const { default: Booking } = await import("../src/models/Booking.js");
+  const { default: Escrow } = await import("../src/models/Escrow.js");
+  const { default: AdminNotification } = await import("../src/models/AdminNotification.js");
+  const { default: escrowService } = await import("../src/services/escrowService.js");
+  const { default: payoutService } = await import("../src/services/payoutService.js");
+  const { default: lifecycle } = await import("../src/services/bookingLifecycleService.js");
+  const { default: escrowRoutes } = await import("../src/routes/escrowRoutes.js");
+
+  const customer = await createUser("Kemi");
+  const pro = await createUser("Dj Tolu", "pro");
+  const stranger = await createUser("Stranger");
+  const admin = await createUser("Admin", "admin");
+  await payoutService.registerRecipient({ userId: pro._id, gateway: "paystack", bankCode: "044", accountNumber: "0123456789" });
+  const { request } = await startApp({ "/api/escrow": escrowRoutes });
+
+  const paidBooking = async () => {
+    const booking = await Booking.create({ customerId: customer._id, proId: pro._id, eventDate: inDays(10), totalAmount: 30000 });
+    const payment = await escrowService.initializeEscrow({ bookingId: booking._id, email: customer.email });
+    await deliver(gw.chargeWebhook(payment.reference));
+    return booking;
+  };
+  const held = async (booking) => (await Escrow.findOne({ bookingId: booking._id })).amountHeld;
+
+  // 1️⃣ Escrow routes: release, refund and details are limited to admins and the booking's parties
+  const wedding = await paidBooking();
+  const release = `/api/escrow/release/${wedding._id}`;
+  assert((await request("POST", release)).status === 401, "sign-in required");
+  let res = await request("POST", release, { user: stranger });
+  assert(res.status === 403 && res.body.code === "ESCROW_FORBIDDEN", "strangers can't release");
+  res = await request("POST", release, { user: pro });
+  assert(res.status === 403 && res.body.code === "ESCROW_FORBIDDEN", "the pro can't release to themselves");
+  res = await request("POST", release, { user: customer });
+  assert(res.status === 409 && res.body.code === "ESCROW_NOT_RELEASABLE", "not before the event starts");
+  res = await request("POST", `/api/escrow/refund/${wedding._id}`, { user: customer });
+  assert(res.status === 403, "refunds are admin-only");
+  assert((await held(wedding)) === 30000, "nothing moved by refused calls");
+
+  res = await request("GET", `/api/escrow/${wedding._id}`, { user: stranger });
+  assert(res.status === 403 && res.body.code === "ESCROW_FORBIDDEN", "strangers can't read the escrow");
+  res = await request("GET", `/api/escrow/${wedding._id}`, { user: pro });
+  assert(res.status === 200 && res.body.data.escrow.amountHeld === 30000, "the pro sees the escrow");
+  res = await request("GET", `/api/escrow/${customer._id}`, { user: admin });
+  assert(res.status === 404 && res.body.code === "BOOKING_NOT_FOUND", "unknown booking");
+
+  await lifecycle.transitionBooking(wedding._id, "confirmed", { user: { id: pro._id, role: "pro" } });
+  await lifecycle.transitionBooking(wedding._id, "in_progress", { user: { id: pro._id, role: "pro" } });
+  res = await request("POST", release, { user: customer, body: { note: "great set" } });
+  assert(res.status === 200 && res.body.success, "customer releases once the event is on");
+  assert((await held(wedding)) === 0, "everything released");
+
+  const party = await paidBooking();
+  res = await request("POST", `/api/escrow/refund/${party._id}`, { user: admin, body: { reason: "duplicate booking" } });
+  assert(res.status === 200 && (await Escrow.findOne({ bookingId: party._id })).amountRefunded === 30000, "admins refund");
+  console.log("🔐 Escrow route access verified");
+
+  // 2️⃣ Payment: only the customer starts it, for the booking's amount; a charge for less never funds the escrow
+  const gig = await Booking.create({ customerId: customer._id, proId: pro._id, eventDate: inDays(10), totalAmount: 30000 });
+  const initiate = (user) => request("POST", "/api/escrow/initiate", { user, body: { bookingId: gig._id, email: customer.email, amount: 100 } });
+  assert((await initiate(stranger)).status === 403 && (await initiate(pro)).status === 403, "only the customer starts the payment");
+  res = await initiate(customer);
+  assert(res.status === 200 && res.body.data.amount === 30000, "charged the booking's total, not the amount sent");
+  const { reference } = res.body.data;
+  assert(gw.state.charges.get(reference).amount === 3000000, "gateway asked for the total in kobo");
+
+  gw.state.charges.get(reference).amount = 10000; // the customer paid 100
+  await deliver(gw.chargeWebhook(reference));
+  const underpaid = await Escrow.findOne({ bookingId: gig._id });
+  assert(underpaid.state === "pending" && underpaid.amountHeld === 0, "underpaid charge doesn't fund the escrow");
+  assert(underpaid.metadata.amountMismatch.paidMinor === 10000 && underpaid.metadata.amountMismatch.expectedMinor === 3000000, "mismatch flagged");
+  const unconfirmed = await Booking.findById(gig._id);
+  assert(unconfirmed.status === "pending" && unconfirmed.paymentStatus !== "escrowed", "booking not confirmed");
+  assert(await AdminNotification.exists({ title: "Charge amount mismatch" }), "admins notified");
+  console.log("💳 Escrow payment amount verified");
+});
@@ -0,0 +1,97 @@
+// test/eventPackageTest.js
+// Event packages: several pros on one event, one payment split into escrows, a pro dropping out and a replacement.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import { runDbTest, assert, createUser, dayAhead, settle } from "./testHarness.js";
+
+runDbTest("Event package", async ({ gw, deliver }) => {
+  const { default: Booking } = await import("../src/models/Booking.js");
+  const { default: Escrow } = await import("../src/models/Escrow.js");
+  const { default: EventPackage } = await import("../src/models/EventPackage.js");
+  const { default: lifecycle } = await import("../src/services/bookingLifecycleService.js");
+  const { default: availabilityService } = await import("../src/services/availabilityService.js");
+  const { default: cancellationService } = await import("../src/services/cancellationService.js");
+  const { default: eventPackageService } = await import("../src/services/eventPackageService.js");
+
+  const customer = await createUser("Bola");
+  const pro3 = await createUser("Ngozi", "pro"); // no published availability
+  const { day, weekday } = dayAhead();
+
+  // 1️⃣ Event packages: several pros on one event, one payment split into escrows, a pro dropping out and a replacement
+  const crew = {};
+  for (const role of ["dj", "mc", "photographer", "backup"]) {
+    crew[role] = await createUser(`Crew ${role}`, "pro");
+    await availabilityService.setAvailability(crew[role]._id, { timezone: "Africa/Lagos", weeklyHours: [{ weekday, start: "10:00", end: "20:00" }] });
+  }
+
+  let overBudget = null;
+  try {
+    await eventPackageService.createPackage(customer._id, {
+      title: "Wedding",
+      eventDate: `${day}T12:00:00.000Z`,
+      durationMinutes: 240,
+      budget: 50000,
+      items: [{ category: "DJ", amount: 30000 }, { category: "MC", amount: 30000 }],
+    });
+  } catch (err) {
+    overBudget = err.code;
+  }
+  assert(overBudget === "PACKAGE_OVER_BUDGET", "fees over the budget rejected");
+
+  const wedding = await eventPackageService.createPackage(customer._id, {
+    title: "Wedding",
+    eventDate: `${day}T12:00:00.000Z`,
+    durationMinutes: 240,
+    venue: "Lagos",
+    budget: 100000,
+    items: [
+      { category: "DJ", proId: crew.dj._id, amount: 30000 },
+      { category: "MC", proId: crew.mc._id, amount: 20000 },
+      { category: "Photographer", proId: crew.photographer._id, amount: 25000 },
+      { category: "Decorator", proId: pro3._id, amount: 15000 }, // no published availability
+    ],
+  });
+  const [djItem, mcItem, photoItem, decorItem] = wedding.items;
+  assert([djItem, mcItem, photoItem].every((i) => i.status === "invited") && decorItem.status === "open" && decorItem.reason, "unbookable pro leaves their item open");
+  assert((await Booking.countDocuments({ packageId: wedding._id, status: "pending" })) === 3, "one pending booking per invited pro");
+
+  await eventPackageService.respondToItem(wedding._id, djItem._id, { id: crew.dj._id }, { accept: true });
+  await lifecycle.transitionBooking(mcItem.bookingId, "confirmed", { user: { id: crew.mc._id } }); // accepted from the booking itself
+  await eventPackageService.respondToItem(wedding._id, photoItem._id, { id: crew.photographer._id }, { accept: true });
+  await settle(); // package listeners run after the event
+  await eventPackageService.removeItem(wedding._id, decorItem._id, { id: customer._id });
+  let planned = await eventPackageService.getPackage(wedding._id, { id: customer._id });
+  assert(planned.status === "ready" && planned.items.filter((i) => i.status === "accepted").length === 3, "every pro accepted");
+
+  const proView = await eventPackageService.getPackage(wedding._id, { id: crew.mc._id });
+  assert(proView.items.find((i) => i.category === "mc").amount === 20000 && proView.items.find((i) => i.category === "dj").amount === undefined, "pros only see their own fee");
+  await eventPackageService.addTimelineEntry(wedding._id, { id: crew.dj._id }, { message: "Sound check", startsAt: `${day}T11:00:00.000Z` });
+
+  const groupPay = await eventPackageService.payPackage(wedding._id, { id: customer._id }, { email: "customer@test.com" });
+  assert(groupPay.amount === 75000 && groupPay.escrows.length === 3, "one charge for every pro");
+  assert(gw.state.charges.get(groupPay.reference).amount === 7500000, "group charge sent in kobo");
+  await deliver(gw.chargeWebhook(groupPay.reference));
+  const splitEscrows = await Escrow.find({ gatewayReference: groupPay.reference });
+  assert(splitEscrows.length === 3 && splitEscrows.every((e) => e.state === "held"), "charge split into held escrows");
+  assert(splitEscrows.map((e) => e.amount).sort().join() === "20000,25000,30000", "escrow per pro at their fee");
+  assert((await Booking.countDocuments({ packageId: wedding._id, paymentStatus: "escrowed" })) === 3, "every booking escrowed");
+  assert((await eventPackageService.getPackage(wedding._id, { id: customer._id })).status === "booked", "event booked once paid");
+
+  // The photographer drops out: only their escrow is refunded, the others stay held
+  await cancellationService.cancelBooking(photoItem.bookingId, { user: { id: crew.photographer._id }, reason: "Double booked" });
+  await settle();
+  planned = await eventPackageService.getPackage(wedding._id, { id: customer._id });
+  assert(planned.status === "planning" && planned.items.find((i) => i.category === "photographer").status === "declined", "dropped pro frees their item");
+  assert((await Escrow.findOne({ bookingId: photoItem.bookingId })).state === "refunded", "dropped pro's escrow refunded");
+  assert((await Escrow.countDocuments({ gatewayReference: groupPay.reference, state: "held" })) === 2, "other pros keep their escrow");
+
+  const { booking: replacement } = await eventPackageService.assignItem(wedding._id, photoItem._id, { id: customer._id }, { proId: crew.backup._id, amount: 22000 });
+  await eventPackageService.respondToItem(wedding._id, photoItem._id, { id: crew.backup._id }, { accept: true });
+  const topUp = await eventPackageService.payPackage(wedding._id, { id: customer._id }, { email: "customer@test.com" });
+  assert(topUp.amount === 22000 && String(topUp.escrows[0].bookingId) === String(replacement._id), "replacement paid on its own");
+  await deliver(gw.chargeWebhook(topUp.reference));
+  const booked = await EventPackage.findById(wedding._id);
+  assert((await eventPackageService.getPackage(wedding._id, { id: customer._id })).status === "booked", "event booked again");
+  assert(booked.items.find((i) => i.category === "photographer").history.length === 1, "previous pro kept in the item history");
+  assert(booked.timeline.some((t) => t.kind === "schedule") && booked.timeline.length >= 8, "shared timeline records the event");
+  console.log("🎪 Event packages verified");
+});
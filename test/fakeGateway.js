@@ -0,0 +1,332 @@
+// test/fakeGateway.js
+/**
+ * In-process fake Paystack + Flutterwave API for offline tests.
+ *
+ * Start it, point the services at it, then import them (gateway config is read at import time):
+ *
+ *   const gw = await startFakeGateway();
+ *   process.env.PAYSTACK_BASE_URL = gw.paystackUrl;
+ *   process.env.FLW_BASE_URL = gw.flwUrl;
+ *   process.env.PAYSTACK_SECRET_KEY = gw.paystackSecret;
+ *   process.env.FLW_SECRET_KEY = gw.flwSecret;
+ *   const { default: escrowService } = await import("../src/services/escrowService.js");
+ *
+ * Transfers stay pending until the test asks for a signed webhook via transferWebhook(reference, "success"|"failed")
+ * and feeds it to webhookInboxService.receive (or POSTs rawBody to a running server). dropNextTransfer() makes the
+ * next transfer request go unanswered (connection closed), with or without the transfer having been created.
+ */
+import express from "express";
+import http from "http";
+import crypto from "crypto";
+
+const BANKS = [
+  { name: "Access Bank", code: "044" },
+  { name: "Guaranty Trust Bank", code: "058" },
+  { name: "Zenith Bank", code: "057" },
+];
+
+// "<bankCode>:<accountNumber>" -> resolved account name
+const DEFAULT_ACCOUNTS = {
+  "044:0123456789": "ADA OKAFOR",
+  "058:0000000001": "TUNDE BAKARE",
+};
+
+const rand = (prefix) => `${prefix}_${crypto.randomBytes(6).toString("hex")}`;
+
+export async function startFakeGateway({
+  port = 0,
+  paystackSecret = "sk_test_fakegateway",
+  flwSecret = "FLWSECK_TEST-fakegateway",
+  accounts = DEFAULT_ACCOUNTS,
+  transferStatus = "pending", // status returned when a transfer is created: pending | success | failed
+} = {}) {
+  const state = {
+    recipients: new Map(), // recipient_code / beneficiary id -> { bankCode, accountNumber, name }
+    transfers: new Map(), // reference -> { gateway, amount, status, transferCode, ... }
+    charges: new Map(), // reference -> { gateway, amount, currency, status, createdAt }
+    dropTransfer: null, // { created } while the next transfer request is to go unanswered
+  };
+
+  const bankName = (code) => BANKS.find((b) => b.code === code)?.name || "Unknown Bank";
+
+  let chargeSeq = 5000;
+  const newCharge = (gateway, amount, metadata = {}, status = "pending", currency = "NGN") => ({
+    id: ++chargeSeq,
+    gateway,
+    amount, // Paystack: kobo, Flutterwave: major units (as the real APIs)
+    currency,
+    status,
+    metadata,
+    createdAt: new Date().toISOString(),
+  });
+
+  /** Charges for a gateway, filtered like the list endpoints */
+  const listCharges = (gateway, { status, from }) =>
+    [...state.charges.entries()]
+      .filter(([, c]) => c.gateway === gateway)
+      .filter(([, c]) => !status || c.status === status)
+      .filter(([, c]) => !from || c.createdAt.slice(0, from.length) >= from)
+      .map(([reference, c]) => ({ reference, ...c }));
+
+  /** Answer a transfer request, unless the test asked for it to go unanswered */
+  const answerTransfer = (req, res, transfer, body) => {
+    const drop = state.dropTransfer;
+    state.dropTransfer = null;
+    if (!drop || drop.created) state.transfers.set(transfer.reference, transfer);
+    if (drop) return req.socket.destroy();
+    return res.json(body);
+  };
+
+  const requireSecret = (secret) => (req, res, next) => {
+    if (req.headers.authorization !== `Bearer ${secret}`) {
+      return res.status(401).json({ status: false, message: "Invalid key" });
+    }
+    next();
+  };
+
+  /* ---------- Paystack ---------- */
+  const paystack = express.Router();
+  paystack.use(requireSecret(paystackSecret));
+
+  paystack.get("/bank", (req, res) => res.json({ status: true, data: BANKS }));
+
+  paystack.get("/bank/resolve", (req, res) => {
+    const { account_number, bank_code } = req.query;
+    const name = accounts[`${bank_code}:${account_number}`];
+    if (!name) return res.status(422).json({ status: false, message: "Could not resolve account name." });
+    return res.json({ status: true, data: { account_number, account_name: name } });
+  });
+
+  paystack.post("/transferrecipient", (req, res) => {
+    const { name, account_number, bank_code } = req.body;
+    if (!accounts[`${bank_code}:${account_number}`]) {
+      return res.status(422).json({ status: false, message: "Cannot resolve account" });
+    }
+    const code = rand("RCP");
+    state.recipients.set(code, { bankCode: bank_code, accountNumber: account_number, name });
+    return res.json({ status: true, data: { recipient_code: code, details: { bank_name: bankName(bank_code) } } });
+  });
+
+  paystack.post("/transfer", (req, res) => {
+    const { amount, recipient, reference, reason } = req.body;
+    if (!state.recipients.has(recipient)) return res.status(400).json({ status: false, message: "Invalid recipient" });
+    if (!amount || amount <= 0) return res.status(400).json({ status: false, message: "Invalid amount" });
+    if (state.transfers.has(reference)) return res.status(400).json({ status: false, message: "Duplicate reference" });
+
+    const transfer = { gateway: "paystack", amount, recipient, reference, reason, status: transferStatus, transferCode: rand("TRF") };
+    return answerTransfer(req, res, transfer, {
+      status: true,
+      data: { reference, transfer_code: transfer.transferCode, amount, status: transferStatus },
+    });
+  });
+
+  paystack.get("/transfer/verify/:reference", (req, res) => {
+    const transfer = state.transfers.get(req.params.reference);
+    if (!transfer) return res.status(404).json({ status: false, message: "Transfer not found" });
+    return res.json({
+      status: true,
+      data: { reference: transfer.reference, transfer_code: transfer.transferCode, amount: transfer.amount, status: transfer.status },
+    });
+  });
+
+  paystack.post("/transaction/initialize", (req, res) => {
+    const reference = rand("PSK");
+    state.charges.set(reference, newCharge("paystack", req.body.amount, req.body.metadata));
+    return res.json({
+      status: true,
+      data: { authorization_url: `https://checkout.fake/${reference}`, access_code: rand("AC"), reference },
+    });
+  });
+
+  paystack.get("/transaction/verify/:reference", (req, res) => {
+    const charge = state.charges.get(req.params.reference);
+    if (!charge) return res.status(404).json({ status: false, message: "Transaction reference not found" });
+    return res.json({
+      status: true,
+      data: { reference: req.params.reference, amount: charge.amount, status: charge.status, metadata: charge.metadata, currency: "NGN" },
+    });
+  });
+
+  // Paginated listing: ?perPage=&page=&status=&from=
+  paystack.get("/transaction", (req, res) => {
+    const perPage = Number(req.query.perPage || 50);
+    const page = Number(req.query.page || 1);
+    const all = listCharges("paystack", { status: req.query.status, from: req.query.from });
+    const data = all.slice((page - 1) * perPage, page * perPage).map((c) => ({
+      id: c.id,
+      reference: c.reference,
+      amount: c.amount,
+      currency: c.currency,
+      status: c.status,
+      paid_at: c.status === "success" ? c.createdAt : null,
+      metadata: c.metadata,
+    }));
+    return res.json({ status: true, data, meta: { total: all.length, perPage, page, pageCount: Math.max(1, Math.ceil(all.length / perPage)) } });
+  });
+
+  /* ---------- Flutterwave ---------- */
+  const flutterwave = express.Router();
+  flutterwave.use(requireSecret(flwSecret));
+
+  flutterwave.get("/banks/:country", (req, res) => res.json({ status: "success", data: BANKS.map((b, i) => ({ id: i + 1, ...b })) }));
+
+  flutterwave.post("/accounts/resolve", (req, res) => {
+    const { account_number, account_bank } = req.body;
+    const name = accounts[`${account_bank}:${account_number}`];
+    if (!name) return res.status(400).json({ status: "error", message: "Sorry, recipient account could not be validated" });
+    return res.json({ status: "success", data: { account_number, account_name: name } });
+  });
+
+  flutterwave.post("/beneficiaries", (req, res) => {
+    const { account_number, account_bank, beneficiary_name } = req.body;
+    const id = state.recipients.size + 1000;
+    state.recipients.set(String(id), { bankCode: account_bank, accountNumber: account_number, name: beneficiary_name });
+    return res.json({ status: "success", data: { id, bank_name: bankName(account_bank) } });
+  });
+
+  flutterwave.post("/transfers", (req, res) => {
+    const { account_bank, account_number, amount, reference, narration } = req.body;
+    if (!accounts[`${account_bank}:${account_number}`]) {
+      return res.status(400).json({ status: "error", message: "Account resolve failed" });
+    }
+    if (state.transfers.has(reference)) return res.status(400).json({ status: "error", message: "Duplicate reference" });
+
+    const flwStatus = { pending: "NEW", success: "SUCCESSFUL", failed: "FAILED" }[transferStatus];
+    const transfer = { gateway: "flutterwave", amount, reference, narration, status: transferStatus, transferCode: String(Date.now()) };
+    return answerTransfer(req, res, transfer, { status: "success", data: { id: Number(transfer.transferCode), reference, amount, status: flwStatus } });
+  });
+
+  flutterwave.get("/transfers/:id", (req, res) => {
+    const transfer = [...state.transfers.values()].find((t) => t.gateway === "flutterwave" && t.transferCode === req.params.id);
+    if (!transfer) return res.status(404).json({ status: "error", message: "Transfer not found" });
+    const flwStatus = { pending: "NEW", success: "SUCCESSFUL", failed: "FAILED" }[transfer.status];
+    return res.json({ status: "success", data: { id: Number(transfer.transferCode), reference: transfer.reference, amount: transfer.amount, status: flwStatus } });
+  });
+
+  flutterwave.post("/payments", (req, res) => {
+    const { tx_ref, amount, meta } = req.body;
+    state.charges.set(tx_ref, newCharge("flutterwave", amount, meta));
+    return res.json({ status: "success", data: { link: `https://checkout.fake/${tx_ref}` } });
+  });
+
+  flutterwave.get("/transactions/verify_by_reference", (req, res) => {
+    const charge = state.charges.get(req.query.tx_ref);
+    if (!charge) return res.status(404).json({ status: "error", message: "No transaction was found" });
+    return res.json({
+      status: "success",
+      data: { tx_ref: req.query.tx_ref, amount: charge.amount, status: charge.status === "success" ? "successful" : charge.status, meta: charge.metadata },
+    });
+  });
+
+  // Paginated listing, 10 per page like the real API: ?page=&status=successful&from=YYYY-MM-DD
+  flutterwave.get("/transactions", (req, res) => {
+    const page = Number(req.query.page || 1);
+    const status = req.query.status === "successful" ? "success" : req.query.status;
+    const all = listCharges("flutterwave", { status, from: req.query.from });
+    const data = all.slice((page - 1) * 10, page * 10).map((c) => ({
+      id: c.id,
+      tx_ref: c.reference,
+      amount: c.amount,
+      currency: c.currency,
+      status: c.status === "success" ? "successful" : c.status,
+      created_at: c.createdAt,
+      meta: c.metadata,
+    }));
+    return res.json({
+      status: "success",
+      data,
+      meta: { page_info: { total: all.length, current_page: page, total_pages: Math.max(1, Math.ceil(all.length / 10)) } },
+    });
+  });
+
+  /* ---------- Server ---------- */
+  const app = express();
+  app.use(express.json());
+  app.use("/paystack", paystack);
+  app.use("/flutterwave", flutterwave);
+
+  const server = http.createServer(app);
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  /** Signed webhook envelope for a transfer: { gateway, headers, body, rawBody } */
+  function transferWebhook(reference, outcome = "success") {
+    const transfer = state.transfers.get(reference);
+    if (!transfer) throw new Error(`Fake gateway has no transfer ${reference}`);
+    transfer.status = outcome;
+
+    if (transfer.gateway === "paystack") {
+      const body = {
+        event: outcome === "success" ? "transfer.success" : "transfer.failed",
+        data: {
+          reference,
+          transfer_code: transfer.transferCode,
+          amount: transfer.amount,
+          status: outcome,
+          reason: transfer.reason,
+        },
+      };
+      const rawBody = JSON.stringify(body);
+      const signature = crypto.createHmac("sha512", paystackSecret).update(rawBody).digest("hex");
+      return { gateway: "paystack", headers: { "x-paystack-signature": signature }, body, rawBody };
+    }
+
+    const body = {
+      event: "transfer.completed",
+      "event.type": "Transfer",
+      data: {
+        id: Number(transfer.transferCode),
+        reference,
+        amount: transfer.amount,
+        status: outcome === "success" ? "SUCCESSFUL" : "FAILED",
+        complete_message: outcome === "success" ? "Transaction was successful" : "DISBURSE FAILED: Insufficient funds",
+      },
+    };
+    return { gateway: "flutterwave", headers: { "verif-hash": flwSecret }, body, rawBody: JSON.stringify(body) };
+  }
+
+  /** Leave the next transfer request unanswered; `created`: whether the transfer went through before the connection dropped */
+  function dropNextTransfer({ created = true } = {}) {
+    state.dropTransfer = { created };
+  }
+
+  /** Mark a charge paid and return its signed charge.success / charge.completed webhook */
+  function chargeWebhook(reference) {
+    const charge = state.charges.get(reference);
+    if (!charge) throw new Error(`Fake gateway has no charge ${reference}`);
+    charge.status = "success";
+
+    if (charge.gateway === "paystack") {
+      const body = { event: "charge.success", data: { reference, amount: charge.amount, status: "success", metadata: charge.metadata } };
+      const rawBody = JSON.stringify(body);
+      const signature = crypto.createHmac("sha512", paystackSecret).update(rawBody).digest("hex");
+      return { gateway: "paystack", headers: { "x-paystack-signature": signature }, body, rawBody };
+    }
+
+    const body = { event: "charge.completed", data: { tx_ref: reference, amount: charge.amount, status: "successful", meta: charge.metadata } };
+    return { gateway: "flutterwave", headers: { "verif-hash": flwSecret }, body, rawBody: JSON.stringify(body) };
+  }
+
+  /** A charge the gateway has settled (amount in major units), e.g. one whose webhook never reached us */
+  function settleCharge({ gateway = "paystack", reference = rand(gateway === "paystack" ? "PSK" : "FLW"), amount, currency = "NGN", metadata = {} }) {
+    const minor = gateway === "paystack" ? Math.round(amount * 100) : amount;
+    state.charges.set(reference, newCharge(gateway, minor, metadata, "success", currency));
+    return reference;
+  }
+
+  return {
+    url,
+    paystackUrl: `${url}/paystack`,
+    flwUrl: `${url}/flutterwave`,
+    paystackSecret,
+    flwSecret,
+    state,
+    transferWebhook,
+    dropNextTransfer,
+    chargeWebhook,
+    settleCharge,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+export default startFakeGateway;
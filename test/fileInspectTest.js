@@ -0,0 +1,139 @@
+// test/fileInspectTest.js
+// File sniffing and embedded-text extraction for chat attachments: EXIF, PNG text chunks, PDF text, ID3 tags.
+// Offline: no database or network needed. Fixtures are built byte by byte below.
+import zlib from "zlib";
+import { sniffMime, matchesMime, extractText } from "../src/utils/fileInspect.js";
+import { createDocument } from "../src/utils/pdf.js";
+import { detectContacts } from "../src/utils/contactBlocker.js";
+
+const assert = (cond, msg) => {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+};
+
+/** Little-endian TIFF block with one ASCII tag in IFD0 and a UserComment in the Exif IFD */
+const tiff = (artist, comment) => {
+  const ascii = Buffer.from(`${artist}\u0000`, "latin1");
+  const userComment = Buffer.concat([Buffer.from("ASCII\u0000\u0000\u0000", "latin1"), Buffer.from(comment, "latin1")]);
+  const ifd0 = 8;
+  const exifIfd = ifd0 + 2 + 2 * 12 + 4;
+  const data = exifIfd + 2 + 12 + 4;
+  const out = Buffer.alloc(data + ascii.length + userComment.length);
+  out.write("II", 0, "latin1");
+  out.writeUInt16LE(42, 2);
+  out.writeUInt32LE(ifd0, 4);
+  out.writeUInt16LE(2, ifd0);
+  // Artist (ASCII), then the Exif IFD pointer (LONG)
+  out.writeUInt16LE(0x013b, ifd0 + 2);
+  out.writeUInt16LE(2, ifd0 + 4);
+  out.writeUInt32LE(ascii.length, ifd0 + 6);
+  out.writeUInt32LE(data, ifd0 + 10);
+  out.writeUInt16LE(0x8769, ifd0 + 14);
+  out.writeUInt16LE(4, ifd0 + 16);
+  out.writeUInt32LE(1, ifd0 + 18);
+  out.writeUInt32LE(exifIfd, ifd0 + 22);
+  out.writeUInt16LE(1, exifIfd);
+  out.writeUInt16LE(0x9286, exifIfd + 2);
+  out.writeUInt16LE(7, exifIfd + 4);
+  out.writeUInt32LE(userComment.length, exifIfd + 6);
+  out.writeUInt32LE(data + ascii.length, exifIfd + 10);
+  ascii.copy(out, data);
+  userComment.copy(out, data + ascii.length);
+  return out;
+};
+
+const segment = (marker, payload) => {
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+};
+
+const jpeg = (artist, comment) =>
+  Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    segment(0xe1, Buffer.concat([Buffer.from("Exif\u0000\u0000", "latin1"), tiff(artist, comment)])),
+    segment(0xda, Buffer.from([0, 0, 0])),
+    Buffer.from([0xff, 0xd9]),
+  ]);
+
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, Buffer.from(type, "latin1"), data, Buffer.alloc(4)]);
+};
+
+const png = (...chunks) => Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), ...chunks, chunk("IEND", Buffer.alloc(0))]);
+
+const id3 = (frames) => {
+  const body = Buffer.concat(
+    frames.map(([id, text]) => {
+      const data = Buffer.concat([Buffer.from([3]), Buffer.from(text, "utf8")]);
+      const header = Buffer.alloc(10);
+      header.write(id, 0, "latin1");
+      header.writeUInt32BE(data.length, 4);
+      return Buffer.concat([header, data]);
+    })
+  );
+  const header = Buffer.from([0x49, 0x44, 0x33, 3, 0, 0, 0, 0, 0, 0]);
+  for (let i = 0; i < 4; i++) header[6 + i] = (body.length >> (7 * (3 - i))) & 0x7f;
+  return Buffer.concat([header, body, Buffer.from([0xff, 0xfb, 0x90, 0x64])]);
+};
+
+const runTest = () => {
+  try {
+    // 1️⃣ Sniffing: the bytes decide, declared types are checked against them
+    const photo = jpeg("DJ Spin", "call 0803 123 4567");
+    assert(sniffMime(photo) === "image/jpeg" && matchesMime(photo, "image/jpg"), "JPEG sniffed, image/jpg alias accepted");
+    assert(!matchesMime(photo, "application/pdf"), "a JPEG is not a PDF");
+    assert(sniffMime(Buffer.from("%PDF-1.4\n")) === "application/pdf", "PDF sniffed");
+    assert(sniffMime(Buffer.from("\u0000\u0000\u0000\u0018ftypM4A \u0000\u0000", "latin1")) === "audio/mp4", "M4A voice note sniffed");
+    assert(matchesMime(Buffer.from("\u0000\u0000\u0000\u0018ftyp3gp4\u0000\u0000", "latin1"), "audio/aac"), "phone recordings declared as AAC accepted");
+    assert(sniffMime(Buffer.from("OggS\u0000\u0002", "latin1")) === "audio/ogg", "Ogg sniffed");
+    assert(sniffMime(Buffer.from("<html><script>")) === null && !matchesMime(Buffer.from("<svg>"), "image/png"), "unknown content refused");
+    console.log("🔎 Sniffing verified");
+
+    // 2️⃣ Images: EXIF tags (IFD0 and the Exif IFD) and PNG text chunks
+    const exif = extractText(photo, "image/jpeg");
+    assert(exif.includes("DJ Spin") && exif.includes("call 0803 123 4567"), `EXIF text read (got ${JSON.stringify(exif)})`);
+    assert(detectContacts(exif.join("\n")).matches.some((m) => m.type === "phone"), "number in EXIF detected");
+
+    const pngText = extractText(
+      png(
+        chunk("tEXt", Buffer.from("Comment\u0000whatsapp me", "latin1")),
+        chunk("zTXt", Buffer.concat([Buffer.from("Author\u0000\u0000", "latin1"), zlib.deflateSync("dj@spin.ng")])),
+        chunk("iTXt", Buffer.from("Description\u0000\u0000\u0000en\u0000\u0000@djspinall", "utf8"))
+      )
+    );
+    assert(JSON.stringify(pngText) === JSON.stringify(["whatsapp me", "dj@spin.ng", "@djspinall"]), `PNG text chunks read (got ${JSON.stringify(pngText)})`);
+    console.log("🖼️ Image metadata verified");
+
+    // 3️⃣ PDFs: compressed page text and document info
+    const pdf = createDocument({ title: "Rate card", author: "Reach me on 0803 123 4567" })
+      .heading("DJ Spin rate card")
+      .paragraph("Email bookings to dj.spin@gmail.com for a discount")
+      .toBuffer();
+    const pdfText = extractText(pdf, "application/pdf").join("\n");
+    assert(pdfText.includes("Rate card") && pdfText.includes("DJ Spin rate card"), `PDF text read (got ${JSON.stringify(pdfText)})`);
+    const pdfTypes = detectContacts(pdfText).matches.map((m) => m.type);
+    assert(pdfTypes.includes("email") && pdfTypes.includes("phone"), `contacts in the PDF found (got ${pdfTypes.join(", ")})`);
+    console.log("📄 PDF text verified");
+
+    // 4️⃣ Audio: ID3 tags; malformed files yield nothing instead of throwing
+    const voice = id3([
+      ["TIT2", "Voice note"],
+      ["COMM", "eng\u0000find me on insta"],
+    ]);
+    assert(sniffMime(voice) === "audio/mpeg", "MP3 sniffed");
+    assert(JSON.stringify(extractText(voice, "audio/mpeg")) === JSON.stringify(["Voice note", "find me on insta"]), "ID3 frames read");
+    assert(extractText(photo.subarray(0, 30), "image/jpeg").length === 0, "truncated JPEG handled");
+    assert(extractText(Buffer.from("%PDF-1.4\n1 0 obj << /Filter /FlateDecode >> stream\nnot zlib\nendstream"), "application/pdf").length === 0, "corrupt PDF stream skipped");
+    assert(extractText(Buffer.from("OggS"), "audio/ogg").length === 0, "formats without text yield nothing");
+    console.log("🎙️ Audio tags verified");
+
+    console.log("🎉 File inspect test completed successfully");
+  } catch (err) {
+    console.error("❌ Test error:", err);
+    process.exitCode = 1;
+  }
+};
+
+runTest();
@@ -0,0 +1,87 @@
+// test/fxTest.js
+// Exchange-rate snapshots: rates cached and stored, the provider bounded by FX_TIMEOUT_MS, stale rates refreshed
+// in the background, and bookings saved in a transaction snapshotting without waiting on the provider.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required: the FX provider
+// is a local server.
+import http from "http";
+import mongoose from "mongoose";
+import { runDbTest, assert, settle } from "./testHarness.js";
+
+// Local FX provider: `${url}/${base}` -> { result, rates }; KES never answers in time
+const calls = [];
+const provider = http.createServer((req, res) => {
+  const base = req.url.split("/").pop();
+  calls.push(base);
+  const rates = { USD: { NGN: 1500 }, GHS: { NGN: 120 }, EUR: { NGN: 1700 } }[base];
+  const reply = () => res.writeHead(rates ? 200 : 404, { "Content-Type": "application/json" }).end(JSON.stringify({ result: "success", rates }));
+  if (base === "KES") setTimeout(reply, 2000);
+  else reply();
+});
+// fxService reads its config at import time, and the harness's own imports already load it
+await new Promise((resolve) => provider.listen(0, "127.0.0.1", resolve));
+process.env.FX_API_URL = `http://127.0.0.1:${provider.address().port}/latest`;
+process.env.FX_TIMEOUT_MS = "300";
+
+runDbTest("FX", async () => {
+  try {
+    const { default: fxService } = await import("../src/services/fxService.js");
+    const { default: ExchangeRate } = await import("../src/models/ExchangeRate.js");
+    const { default: Booking } = await import("../src/models/Booking.js");
+    const { default: commissionService } = await import("../src/services/commissionService.js");
+    const { default: Escrow } = await import("../src/models/Escrow.js");
+    const hits = (base) => calls.filter((c) => c === base).length;
+
+    // 1️⃣ Rates: fetched once, then served from the cache / stored row
+    const usd = await fxService.getRate("usd", "NGN");
+    assert(usd.rate === 1500 && usd.source === "provider" && !usd.stale, "provider rate");
+    await fxService.getRate("USD", "NGN");
+    assert(hits("USD") === 1 && (await ExchangeRate.countDocuments({ base: "USD", quote: "NGN" })) === 1, "cached after the first fetch");
+    assert((await fxService.getRate("NGN", "NGN")).rate === 1, "identity rate");
+
+    const started = Date.now();
+    assert((await fxService.getRate("KES", "NGN")) === null, "no rate when the provider times out");
+    assert(Date.now() - started < 1500, "provider call bounded by FX_TIMEOUT_MS");
+    console.log("💱 Rates cached, provider timeout verified");
+
+    // 2️⃣ Snapshots use the stored rate, even a stale one, and refresh it in the background
+    await ExchangeRate.create({ base: "GHS", quote: "NGN", rate: 100, source: "provider", fetchedAt: new Date(Date.now() - 48 * 60 * 60 * 1000) });
+    const ghs = await fxService.snapshotFor("GHS");
+    assert(ghs.rate === 100 && ghs.source === "provider:stale" && ghs.reportingCurrency === "NGN", "stale stored rate snapshotted as is");
+    await settle();
+    assert(hits("GHS") === 1, "refreshed in the background");
+    const refreshed = await fxService.snapshotFor("GHS");
+    assert(refreshed.rate === 120 && refreshed.source === "provider", "next snapshot gets the fresh rate");
+    assert((await fxService.snapshotFor("NGN")).rate === 1, "platform currency snapshot");
+
+    process.env.FX_RATES = JSON.stringify({ KES_NGN: 11.5 });
+    const kes = await fxService.snapshotFor("KES");
+    assert(kes.rate === 11.5 && kes.source === "env", "FX_RATES when the provider doesn't answer");
+    await fxService.setRate("EUR", "NGN", 1650);
+    assert((await fxService.snapshotFor("EUR")).source === "manual" && hits("EUR") === 0, "manual rate becomes the cached rate");
+    console.log("📸 Snapshots verified");
+
+    // 3️⃣ Bookings saved in a transaction snapshot in its session, and report with the snapshot
+    const session = await mongoose.startSession();
+    let booking;
+    await session.withTransaction(async () => {
+      [booking] = await Booking.create(
+        [{ customerId: new mongoose.Types.ObjectId(), proId: new mongoose.Types.ObjectId(), eventDate: new Date(), totalAmount: 250.75, currency: "USD" }],
+        { session }
+      );
+    });
+    session.endSession();
+    assert(booking.fx.rate === 1500 && booking.fx.currency === "USD" && booking.fx.reportingCurrency === "NGN", "booking snapshot");
+    assert(hits("USD") === 1, "booking didn't wait on the provider");
+    const stored = await Booking.collection.findOne({ _id: booking._id });
+    assert(stored.totalAmountMinor === 25075 && stored.totalAmount === undefined, "stored as integer cents only");
+
+    await Escrow.create({ bookingId: booking._id, currency: "USD", amount: 250.75, amountHeld: 250.75, state: "held" });
+    const breakdown = await commissionService.getBookingBreakdown(booking._id);
+    assert(breakdown.totalAmount === 250.75 && breakdown.gross === 250.75, "breakdown in dollars");
+    assert(breakdown.reporting.rate === 1500 && breakdown.reporting.gross === 376125, "gross reported in naira at the snapshot rate");
+    console.log("🧾 Booking snapshot and reporting verified");
+  } finally {
+    provider.closeAllConnections();
+    provider.close();
+  }
+});
@@ -0,0 +1,85 @@
+// test/gigBoardTest.js
+// Gig board: matching pros notified, bids revised in place, shortlist, the accepted bid becoming the booking, deadline
+// closing bidding.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import { runDbTest, assert, createUser, dayAhead, inDays } from "./testHarness.js";
+
+runDbTest("Gig board", async () => {
+  const { default: User } = await import("../src/models/User.js");
+  const { default: Gig } = await import("../src/models/Gig.js");
+  const { default: Bid } = await import("../src/models/Bid.js");
+  const { default: availabilityService } = await import("../src/services/availabilityService.js");
+  const { default: gigService } = await import("../src/services/gigService.js");
+
+  const customer = await createUser("Bola");
+  const pro2 = await createUser("Chidi", "pro");
+  const { day, weekday } = dayAhead();
+
+  // 1️⃣ Gig board: matching pros notified, bids, shortlist, accepted bid becomes the booking, deadline closes bidding
+  await User.updateOne({ _id: pro2._id }, { skills: ["afrobeats", "mc"], category: "dj" });
+  await availabilityService.setAvailability(pro2._id, { timezone: "Africa/Lagos", weeklyHours: [{ weekday, start: "10:00", end: "20:00" }] });
+  const pro3 = await createUser("Ngozi", "pro", { skills: ["afrobeats"] });
+
+  const gig = await gigService.createGig(customer._id, {
+    title: "Rooftop party",
+    category: "DJ",
+    requiredSkills: "Afrobeats, MC",
+    eventDate: `${day}T15:00:00.000Z`,
+    durationMinutes: 120,
+    location: "Lagos",
+    budgetMin: 20000,
+    budgetMax: 40000,
+  });
+  assert(gig.category === "dj" && gig.requiredSkills.join() === "afrobeats,mc", "gig brief normalized");
+  assert((await Gig.findById(gig._id)).notifiedProIds.some((id) => String(id) === String(pro2._id)), "matching pro notified");
+
+  const board = await gigService.listOpenGigs({ skills: "mc", budgetMax: 25000 });
+  assert(board.gigs.some((g) => String(g._id) === String(gig._id)), "gig on the public board");
+  assert((await gigService.listMatchingGigs(pro3._id)).some((g) => String(g._id) === String(gig._id)), "gig matches the pro's skills");
+
+  const bid2 = await gigService.submitBid(pro2._id, gig._id, { amount: 30000, message: "Full set with MC" });
+  const bid3 = await gigService.submitBid(pro3._id, gig._id, { amount: 25000 });
+  const revised = await gigService.submitBid(pro2._id, gig._id, { amount: 28000 });
+  assert(String(revised._id) === String(bid2._id) && revised.amount === 28000, "bid revised in place");
+  assert((await Gig.findById(gig._id)).bidCount === 2, "bids counted once per pro");
+
+  await gigService.shortlistBid(gig._id, bid2._id, { id: customer._id });
+  const bids = await gigService.listBids(gig._id, { id: customer._id, role: "customer" });
+  assert(bids[0].status === "shortlisted" && bids.length === 2, "shortlisted bids listed first");
+  assert((await gigService.listBids(gig._id, { id: pro3._id, role: "pro" })).length === 1, "pros only see their own bid");
+
+  let notOwner = null;
+  try {
+    await gigService.acceptBid(gig._id, bid3._id, { id: pro2._id });
+  } catch (err) {
+    notOwner = err.code;
+  }
+  assert(notOwner === "GIG_FORBIDDEN", "only the customer accepts bids");
+
+  const awarded = await gigService.acceptBid(gig._id, bid2._id, { id: customer._id });
+  assert(awarded.booking.totalAmount === 28000 && String(awarded.booking.proId) === String(pro2._id), "accepted bid becomes the booking");
+  assert(awarded.gig.status === "awarded" && (await Bid.findById(bid3._id)).status === "rejected", "gig awarded, other bids rejected");
+
+  let lateBid = null;
+  try {
+    await gigService.submitBid(pro3._id, gig._id, { amount: 20000 });
+  } catch (err) {
+    lateBid = err.code;
+  }
+  assert(lateBid === "GIG_BIDDING_CLOSED", "no bids after the award");
+
+  const quiet = await gigService.createGig(customer._id, {
+    title: "Book launch",
+    category: "mc",
+    eventDate: inDays(20),
+    durationMinutes: 90,
+    location: "Abuja",
+    budgetMin: 10000,
+    budgetMax: 15000,
+    biddingDeadline: inDays(5),
+  });
+  await gigService.submitBid(pro3._id, quiet._id, { amount: 12000 });
+  const deadline = await gigService.closeExpiredGigs(inDays(6));
+  assert(deadline.closed >= 1 && (await Gig.findById(quiet._id)).status === "bidding_closed", "bidding closed at the deadline");
+  console.log("📣 Gig board verified");
+});
@@ -0,0 +1,125 @@
+// test/icsTest.js
+// iCalendar parsing and generation against exported calendar fixtures (test/fixtures/*.ics).
+// Offline: no database or network needed.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { buildCalendar, parseCalendar, expandRule, readRule } from "../src/utils/ics.js";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+const assert = (cond, msg) => {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+};
+
+const iso = (d) => d.toISOString().replace(".000", "");
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), "utf8");
+
+const runTest = () => {
+  try {
+    const june = { timezone: "Africa/Lagos", from: new Date("2025-06-01T00:00:00Z"), to: new Date("2025-06-30T00:00:00Z") };
+
+    // 1️⃣ Google export: weekly rule with EXDATE, a moved instance, all-day and DURATION events
+    const google = parseCalendar(fixture("google-calendar.ics"), june);
+    const rehearsals = google.filter((e) => e.uid === "rehearsal-123@google.com").map((e) => `${iso(e.start)}/${iso(e.end)}`);
+    assert(
+      JSON.stringify(rehearsals) ===
+        JSON.stringify([
+          "2025-06-02T17:00:00Z/2025-06-02T19:00:00Z",
+          "2025-06-09T17:00:00Z/2025-06-09T19:00:00Z",
+          "2025-06-11T18:00:00Z/2025-06-11T20:00:00Z",
+          "2025-06-16T17:00:00Z/2025-06-16T19:00:00Z",
+          "2025-06-18T17:00:00Z/2025-06-18T19:00:00Z",
+        ]),
+      `weekly rehearsals expanded (got ${rehearsals.join(", ")})`
+    );
+    assert(google.some((e) => e.summary === "Band rehearsal, studio B"), "escaped comma unescaped");
+
+    const trip = google.find((e) => e.allDay);
+    assert(trip && iso(trip.start) === "2025-06-06T23:00:00Z" && iso(trip.end) === "2025-06-08T23:00:00Z", "all-day trip in local days");
+    assert(trip.summary.length > 75 && !trip.summary.includes("\n"), "folded summary unfolded");
+
+    const call = google.find((e) => iso(e.start) === "2025-06-05T10:00:00Z");
+    assert(call && iso(call.end) === "2025-06-05T11:30:00Z", "DURATION end");
+
+    assert(!google.some((e) => ["free-1@google.com", "cancelled-1@google.com"].includes(e.uid)), "free and cancelled events skipped");
+    assert(google.some((e) => /@getvybz$/.test(e.uid)), "own feed events are left to the service to filter");
+    assert(google.every((e, i) => i === 0 || google[i - 1].start <= e.start), "sorted by start");
+    console.log(`📅 Google fixture parsed (${google.length} busy events)`);
+
+    // 2️⃣ Windowing: the same calendar, only the second week
+    const week = parseCalendar(fixture("google-calendar.ics"), {
+      timezone: "Africa/Lagos",
+      from: new Date("2025-06-09T00:00:00Z"),
+      to: new Date("2025-06-12T00:00:00Z"),
+    });
+    assert(
+      JSON.stringify(week.map((e) => e.summary)) === JSON.stringify(["Band rehearsal, studio B", "Wedding — Bola", "Band rehearsal (moved)"]),
+      "only events inside the window"
+    );
+
+    // 3️⃣ Outlook export: Windows zone name falls back to the pro's timezone; floating times too
+    const outlook = parseCalendar(fixture("outlook-calendar.ics"), june);
+    const standups = outlook.filter((e) => e.end - e.start === 60 * 60 * 1000).map((e) => iso(e.start));
+    assert(
+      JSON.stringify(standups) === JSON.stringify(["2025-06-03T08:00:00Z", "2025-06-04T08:00:00Z", "2025-06-05T08:00:00Z"]),
+      `daily COUNT=3 standups (got ${standups.join(", ")})`
+    );
+    const floating = outlook.find((e) => iso(e.start) === "2025-06-20T13:00:00Z");
+    assert(floating && iso(floating.end) === "2025-06-20T14:30:00Z", "floating time read in the fallback timezone");
+    console.log("📅 Outlook fixture parsed");
+
+    // 4️⃣ Generation round trip: folding, escaping, CRLF
+    const summary = "Wedding DJ set; Lekki, Lagos — Ọlá & Adé's reception with a very long title that must fold";
+    const feed = buildCalendar({
+      name: "GetVybz bookings",
+      events: [
+        {
+          uid: "booking-1@getvybz",
+          start: new Date("2025-06-21T16:00:00Z"),
+          end: new Date("2025-06-21T20:00:00Z"),
+          summary,
+          description: "Customer: Ọlá\nStatus: confirmed",
+        },
+      ],
+    });
+    assert(feed.endsWith("END:VCALENDAR\r\n") && !/[^\r]\n/.test(feed), "CRLF line endings");
+    assert(feed.split("\r\n").every((line) => Buffer.byteLength(line) <= 75), "lines folded at 75 octets");
+    const [parsed] = parseCalendar(feed, { from: new Date("2025-06-01T00:00:00Z"), to: new Date("2025-07-01T00:00:00Z") });
+    assert(parsed && parsed.uid === "booking-1@getvybz" && parsed.summary === summary, "summary survives escaping and folding");
+    assert(iso(parsed.start) === "2025-06-21T16:00:00Z" && iso(parsed.end) === "2025-06-21T20:00:00Z", "UTC times round trip");
+    console.log("📤 Feed generation verified");
+
+    // 5️⃣ Booking series rules: biweekly, monthly month-ends, wall-clock time kept across DST
+    const starts = (rule, start, options) => expandRule(rule, new Date(start), options).map(iso);
+    assert(
+      JSON.stringify(starts("FREQ=WEEKLY;INTERVAL=2;COUNT=3", "2025-06-01T17:00:00Z", { timezone: "Africa/Lagos" })) ===
+        JSON.stringify(["2025-06-01T17:00:00Z", "2025-06-15T17:00:00Z", "2025-06-29T17:00:00Z"]),
+      "biweekly"
+    );
+    assert(
+      JSON.stringify(starts("FREQ=MONTHLY;COUNT=3", "2025-01-31T17:00:00Z", { timezone: "Africa/Lagos" })) ===
+        JSON.stringify(["2025-01-31T17:00:00Z", "2025-03-31T17:00:00Z", "2025-05-31T17:00:00Z"]),
+      "monthly on the 31st skips shorter months"
+    );
+    assert(
+      JSON.stringify(starts("FREQ=MONTHLY;BYMONTHDAY=-1;UNTIL=20250430T235959Z", "2025-02-10T09:00:00Z")) ===
+        JSON.stringify(["2025-02-28T09:00:00Z", "2025-03-31T09:00:00Z", "2025-04-30T09:00:00Z"]),
+      "last day of the month until UNTIL"
+    );
+    assert(
+      JSON.stringify(starts("FREQ=WEEKLY;BYDAY=SU;COUNT=2", "2025-03-23T10:00:00Z", { timezone: "Europe/London" })) ===
+        JSON.stringify(["2025-03-23T10:00:00Z", "2025-03-30T09:00:00Z"]),
+      "10:00 local on both sides of the clock change"
+    );
+    assert(!readRule("FREQ=YEARLY") && !readRule("FREQ=WEEKLY;BYDAY=XX") && readRule("RRULE:FREQ=DAILY;COUNT=2"), "only supported rules read");
+    console.log("🔁 Recurrence rules verified");
+
+    console.log("🎉 ICS test completed successfully");
+  } catch (err) {
+    console.error("❌ Test error:", err);
+    process.exitCode = 1;
+  }
+};
+
+runTest();
@@ -0,0 +1,86 @@
+// test/idempotencyTest.js
+// Idempotency-Key: replays, 422 on a different body, 409 while in flight, keys freed on 5xx, any kind of response stored.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import { runDbTest, startApp, assert, createUser } from "./testHarness.js";
+
+runDbTest("Idempotency", async () => {
+  const { default: express } = await import("express");
+  const { protect } = await import("../src/middleware/authMiddleware.js");
+  const { idempotency } = await import("../src/middleware/idempotency.js");
+  const { default: IdempotencyKey } = await import("../src/models/IdempotencyKey.js");
+
+  // A route of each kind, counting how often its handler really runs
+  const runs = { charge: 0, slow: 0, text: 0, empty: 0, flaky: 0 };
+  let releaseSlow;
+  let slowStarted;
+  const slowEntered = new Promise((resolve) => {
+    slowStarted = resolve;
+  });
+  const router = express.Router();
+  router.post("/charge", protect, idempotency(), (req, res) => res.status(201).json({ run: ++runs.charge, amount: req.body.amount }));
+  router.post("/slow", protect, idempotency(), async (req, res) => {
+    runs.slow += 1;
+    slowStarted();
+    await new Promise((resolve) => {
+      releaseSlow = resolve;
+    });
+    res.json({ run: runs.slow });
+  });
+  router.post("/text", protect, idempotency(), (req, res) => res.status(202).type("text/plain").send(`queued ${++runs.text}`));
+  router.post("/empty", protect, idempotency(), (req, res) => {
+    runs.empty += 1;
+    res.status(204).end();
+  });
+  router.post("/flaky", protect, idempotency(), (req, res) => {
+    runs.flaky += 1;
+    if (runs.flaky === 1) return res.status(503).json({ success: false, message: "try again" });
+    return res.json({ run: runs.flaky });
+  });
+  router.post("/strict", protect, idempotency({ required: true }), (req, res) => res.json({ ok: true }));
+
+  const user = await createUser("Bola");
+  const other = await createUser("Tunde");
+  const { request } = await startApp({ "/api/test": router });
+  const withKey = (key) => ({ "Idempotency-Key": key });
+
+  // 1️⃣ Idempotency-Key: replays, 422 on a different body, 409 while in flight, 5xx frees the key
+  let res = await request("POST", "/api/test/charge", { user, body: { amount: 5000 }, headers: withKey("charge-1") });
+  assert(res.status === 201 && res.body.run === 1 && !res.headers.get("idempotent-replayed"), "first request runs");
+  res = await request("POST", "/api/test/charge", { user, body: { amount: 5000 }, headers: withKey("charge-1") });
+  assert(res.status === 201 && res.body.run === 1 && res.headers.get("idempotent-replayed") === "true", "retry replays the stored response");
+  assert(runs.charge === 1, "handler ran once");
+  res = await request("POST", "/api/test/charge", { user, body: { amount: 9000 }, headers: withKey("charge-1") });
+  assert(res.status === 422 && runs.charge === 1, "same key, different body: 422");
+  res = await request("POST", "/api/test/charge", { user: other, body: { amount: 5000 }, headers: withKey("charge-1") });
+  assert(res.status === 201 && res.body.run === 2, "keys are per user");
+  res = await request("POST", "/api/test/charge", { user, body: { amount: 5000 } });
+  assert(res.status === 201 && res.body.run === 3, "no key: runs every time");
+  assert((await request("POST", "/api/test/strict", { user, body: {} })).status === 400, "required key enforced");
+
+  const first = request("POST", "/api/test/slow", { user, body: { n: 1 }, headers: withKey("slow-1") });
+  await slowEntered;
+  res = await request("POST", "/api/test/slow", { user, body: { n: 1 }, headers: withKey("slow-1") });
+  assert(res.status === 409 && Number(res.headers.get("retry-after")) > 0, "409 with Retry-After while in flight");
+  releaseSlow();
+  assert((await first).status === 200, "first request finishes");
+  res = await request("POST", "/api/test/slow", { user, body: { n: 1 }, headers: withKey("slow-1") });
+  assert(res.status === 200 && res.body.run === 1 && runs.slow === 1, "then replays");
+
+  res = await request("POST", "/api/test/flaky", { user, body: {}, headers: withKey("flaky-1") });
+  assert(res.status === 503 && !(await IdempotencyKey.exists({ key: "flaky-1" })), "5xx releases the key");
+  res = await request("POST", "/api/test/flaky", { user, body: {}, headers: withKey("flaky-1") });
+  assert(res.status === 200 && res.body.run === 2, "retry after a 5xx runs again");
+
+  // 2️⃣ Responses sent with res.send or a bare res.end are stored and replayed too
+  res = await request("POST", "/api/test/text", { user, body: {}, headers: withKey("text-1") });
+  assert(res.status === 202 && res.body === "queued 1", "text response");
+  res = await request("POST", "/api/test/text", { user, body: {}, headers: withKey("text-1") });
+  assert(res.status === 202 && res.body === "queued 1" && res.headers.get("content-type").startsWith("text/plain") && runs.text === 1, "text replayed");
+
+  res = await request("POST", "/api/test/empty", { user, body: {}, headers: withKey("empty-1") });
+  assert(res.status === 204, "empty response");
+  res = await request("POST", "/api/test/empty", { user, body: {}, headers: withKey("empty-1") });
+  assert(res.status === 204 && res.headers.get("idempotent-replayed") === "true" && runs.empty === 1, "empty response replayed");
+  assert((await IdempotencyKey.findOne({ key: "empty-1" })).state === "completed", "key completed, not left in flight");
+  console.log("🔁 Idempotency verified");
+});
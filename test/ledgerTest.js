@@ -0,0 +1,28 @@
+// test/ledgerTest.js
+// Double-entry ledger: every money movement posts a balanced entry, commissions and split fees land in
+// platform_revenue, and pro_payable equals the transfers still in flight.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import { runDbTest, assert, createPro, heldBooking } from "./testHarness.js";
+
+runDbTest("Ledger", async ({ gw, deliver }) => {
+  const { default: escrowService } = await import("../src/services/escrowService.js");
+  const { default: ledgerService } = await import("../src/services/ledgerService.js");
+  const pro = await createPro();
+
+  // One paid-out release, one transfer still pending, one split with a fee
+  const paid = await escrowService.releaseFunds({ bookingId: (await heldBooking(pro._id))._id });
+  await deliver(gw.transferWebhook(paid.reference, "success"));
+  const inFlight = await escrowService.releaseFunds({ bookingId: (await heldBooking(pro._id))._id });
+  const split = await escrowService.settleSplit({ bookingId: (await heldBooking(pro._id))._id, feeAmount: 500, proPercent: 50 });
+  await deliver(gw.transferWebhook(split.release.reference, "success"));
+
+  // 1️⃣ Ledger: every posting balanced, pro_payable equals the transfers still in flight
+  const books = await ledgerService.verifyBooks();
+  assert(books.balanced, "ledger debits equal credits");
+  assert(!books.issues.some((i) => i.type === "ledger_payable_mismatch"), "pro_payable matches pending payouts");
+  const payable = await ledgerService.getAccountBalance(`pro_payable:${pro._id}`);
+  assert(payable.balance === inFlight.amount, "pro_payable holds the pending transfer");
+  const revenue = await ledgerService.getAccountBalance("platform_revenue");
+  assert(revenue.balance === 500 + 500 + 500, "commissions + split fee booked as platform revenue");
+  console.log(`📒 Ledger balanced (${books.currencies.map((c) => `${c.currency} ${c.debits} / ${c.credits}`).join(", ")})`);
+});
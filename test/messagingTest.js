@@ -0,0 +1,79 @@
+// test/messagingTest.js
+// Messaging: conversations per participants / booking / quote, contact screening, paged history, unread, archive and mute.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import { runDbTest, assert, createUser, errorCode, inDays } from "./testHarness.js";
+
+runDbTest("Messaging", async () => {
+  const { default: Booking } = await import("../src/models/Booking.js");
+  const { default: Message } = await import("../src/models/Message.js");
+  const { default: Conversation } = await import("../src/models/Conversation.js");
+  const { default: quoteService } = await import("../src/services/quoteService.js");
+  const { default: messageService } = await import("../src/services/messageService.js");
+
+  const customer = await createUser("Bola");
+  const pro = await createUser("Ada", "pro");
+  const crew = { dj: await createUser("Crew dj", "pro"), mc: await createUser("Crew mc", "pro"), backup: await createUser("Crew backup", "pro") };
+  const show = await Booking.create({ customerId: customer._id, proId: crew.mc._id, eventDate: inDays(5), totalAmount: 15000 });
+  const brief = await quoteService.createRequest(customer._id, { proIds: [pro._id], title: "Birthday party", eventDate: inDays(10), durationMinutes: 120 });
+  const quote1 = await quoteService.submitQuote(pro._id, brief._id, { addons: [{ label: "DJ set", price: 8000 }] });
+
+  // 1️⃣ Messaging: conversations per participants / booking / quote, contact screening, paged history, unread, archive and mute
+  const me = { id: customer._id };
+  const dj = { id: crew.dj._id };
+  const chat = await messageService.openConversation(me, { participantIds: [crew.dj._id] });
+  assert(String((await messageService.openConversation(dj, { participantIds: [customer._id] }))._id) === String(chat._id), "one conversation per pair");
+  const bookingChat = await messageService.openConversation(me, { bookingId: show._id });
+  assert(String(bookingChat.bookingId) === String(show._id) && String(bookingChat._id) !== String(chat._id), "booking has its own conversation");
+  assert(String((await messageService.openConversation({ id: crew.mc._id }, { bookingId: show._id }))._id) === String(bookingChat._id), "booking conversation shared by its parties");
+  const quoteChat = await messageService.openConversation({ id: pro._id }, { quoteId: quote1._id });
+  assert(String(quoteChat._id) === String(quote1.conversationId), "quote opens the conversation it was sent in");
+  assert((await errorCode(() => messageService.getConversation(chat._id, { id: crew.backup._id }))) === "CONVERSATION_NOT_FOUND", "outsiders can't read it");
+  assert((await errorCode(() => messageService.sendMessage(chat._id, me, { content: "Call me on 0803 123 4567" }))) === "MESSAGE_CONTACT_BLOCKED", "phone numbers refused");
+
+  for (let i = 1; i <= 35; i++) await messageService.sendMessage(chat._id, me, { content: `Message ${i}` });
+  const firstPage = await messageService.listMessages(chat._id, dj);
+  assert(firstPage.messages.length === 30 && firstPage.messages[29].content === "Message 35" && firstPage.nextCursor, "newest page first, oldest to newest");
+  const secondPage = await messageService.listMessages(chat._id, dj, { before: firstPage.nextCursor });
+  assert(secondPage.messages.length === 5 && secondPage.messages[4].content === "Message 5" && !secondPage.nextCursor, "cursor reaches the start");
+
+  let inbox = await messageService.listConversations(dj);
+  assert(String(inbox.conversations[0]._id) === String(chat._id) && inbox.conversations[0].lastMessage.content === "Message 35", "latest conversation first");
+  assert(inbox.conversations[0].unread === 35 && (await messageService.unreadCounts(dj)).total === 35, "unread counted for the recipient");
+  assert((await messageService.listConversations(me)).conversations.find((c) => String(c._id) === String(chat._id)).unread === 0, "sender has nothing unread");
+
+  await messageService.setArchived(chat._id, dj, true);
+  assert(!(await messageService.listConversations(dj)).conversations.some((c) => String(c._id) === String(chat._id)), "archived conversation hidden");
+  assert((await messageService.listConversations(dj, { archived: true })).conversations.length === 1, "listed under archived");
+  await messageService.sendMessage(chat._id, me, { content: "Are you free on Saturday?" });
+  assert(!(await messageService.getConversation(chat._id, dj)).archived, "new message brings it back");
+
+  await messageService.setMuted(chat._id, dj, { muted: true });
+  const badge = await messageService.unreadCounts(dj);
+  assert(badge.total === 0 && badge.conversations[String(chat._id)] === 36, "muted conversation left out of the badge");
+  await messageService.markRead(chat._id, dj);
+  assert((await messageService.getConversation(chat._id, dj)).unread === 0, "read clears the count");
+  assert((await Message.countDocuments({ conversationId: chat._id, isRead: false })) === 0, "messages marked read");
+
+  // 2️⃣ Conversation list paging: ties on lastMessageAt and conversations without one are neither skipped nor repeated
+  const planner = { id: (await createUser("Planner")).id };
+  const tiedAt = new Date(Date.now() - 60 * 60 * 1000);
+  const plannerChats = [];
+  for (const other of [customer, pro, crew.dj, crew.mc]) plannerChats.push(await messageService.openConversation(planner, { participantIds: [other._id] }));
+  const [latest, tiedA, tiedB, silent] = plannerChats.map((c) => c._id);
+  await Conversation.updateOne({ _id: latest }, { lastMessageAt: new Date() });
+  await Conversation.updateMany({ _id: { $in: [tiedA, tiedB] } }, { lastMessageAt: tiedAt });
+  await Conversation.updateOne({ _id: silent }, { lastMessageAt: null });
+  const listed = [];
+  let cursor = null;
+  do {
+    const listPage = await messageService.listConversations(planner, { before: cursor, limit: 1 });
+    listed.push(...listPage.conversations.map((c) => String(c._id)));
+    cursor = listPage.nextCursor;
+  } while (cursor && listed.length < 10);
+  const [tiedFirst, tiedSecond] = [tiedA, tiedB].map(String).sort().reverse();
+  assert(listed.join() === [String(latest), tiedFirst, tiedSecond, String(silent)].join(), "every conversation listed once, without a lastMessageAt last");
+  const legacyPage = await messageService.listConversations(planner, { before: new Date(Date.now() - 1000).toISOString() });
+  assert(legacyPage.conversations.length === 3, "a bare lastMessageAt still pages");
+  assert((await errorCode(() => messageService.listConversations(planner, { before: "soon_nope" }))) === "CURSOR_INVALID", "bad cursor refused");
+  console.log("💬 Messaging verified");
+});
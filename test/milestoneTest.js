@@ -0,0 +1,57 @@
+// test/milestoneTest.js
+// Milestone escrows: each milestone is funded and released on its own, a due milestone is auto-released with its
+// commission, the booking is partially settled until the last one is paid out, and a disputed booking's milestones
+// are held back.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import mongoose from "mongoose";
+import { runDbTest, assert, createPro, inDays } from "./testHarness.js";
+
+runDbTest("Milestone", async ({ gw, deliver }) => {
+  const { default: Booking } = await import("../src/models/Booking.js");
+  const { default: Escrow } = await import("../src/models/Escrow.js");
+  const { settleMilestone } = await import("../src/services/escrowSettlementService.js");
+  const pro = await createPro();
+
+  // 1️⃣ Milestones: deposit due now is auto-released, balance waits for its due date
+  const booking = await Booking.create({
+    customerId: new mongoose.Types.ObjectId(),
+    proId: pro._id,
+    eventDate: new Date(),
+    totalAmount: 5000,
+    status: "confirmed",
+    milestones: [
+      { title: "Deposit", order: 1, amount: 1500, dueDate: new Date(Date.now() - 60 * 1000) },
+      { title: "Balance", order: 2, amount: 3500, dueDate: inDays(7) },
+    ],
+  });
+  const [deposit, balance] = booking.milestones;
+  for (const m of booking.milestones) {
+    await Escrow.create({ bookingId: booking._id, milestoneId: m._id, amount: m.amount, amountHeld: m.amount, state: "held", paymentGateway: "paystack" });
+  }
+  const depositEscrow = await settleMilestone(booking._id, deposit._id);
+  assert(depositEscrow?.state === "releasing", "due deposit released");
+  assert((await settleMilestone(booking._id, balance._id)) === null, "balance not due yet");
+  const depositRelease = depositEscrow.movements.find((m) => m.type === "release");
+  assert(depositEscrow.commissionTaken() === 150, "commission taken on deposit");
+  await deliver(gw.transferWebhook(depositRelease.reference, "success"));
+  const after = await Booking.findById(booking._id);
+  assert(after.paymentStatus === "partially_settled", "booking partially settled after deposit");
+  assert(after.milestones.id(deposit._id).status === "released", "deposit milestone released");
+  console.log("🪜 milestone release applied");
+
+  // 2️⃣ A disputed booking holds its milestones back, even before a Dispute record is opened
+  const disputed = await Booking.create({
+    customerId: new mongoose.Types.ObjectId(),
+    proId: pro._id,
+    eventDate: new Date(),
+    totalAmount: 2000,
+    status: "confirmed",
+    milestones: [{ title: "Deposit", order: 1, amount: 2000, dueDate: new Date(Date.now() - 60 * 1000) }],
+  });
+  const [due] = disputed.milestones;
+  await Escrow.create({ bookingId: disputed._id, milestoneId: due._id, amount: 2000, amountHeld: 2000, state: "held", paymentGateway: "paystack" });
+  await Booking.updateOne({ _id: disputed._id }, { status: "disputed" });
+  assert((await settleMilestone(disputed._id, due._id)) === null, "disputed booking's milestone not released");
+  assert((await Escrow.findOne({ bookingId: disputed._id })).amountHeld === 2000, "milestone still held");
+  console.log("⏸️ disputed milestone held back");
+});
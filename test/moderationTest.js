@@ -0,0 +1,51 @@
+// test/moderationTest.js
+// Contact-leak moderation: policy thresholds decide block / mask / flag, cases queue for admins, repeat offenders
+// lose trust score, paid bookings let contact details through when the policy allows it.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import { runDbTest, assert, createUser, errorCode, inDays } from "./testHarness.js";
+
+runDbTest("Moderation", async () => {
+  const { default: Booking } = await import("../src/models/Booking.js");
+  const { default: TrustScore } = await import("../src/models/TrustScore.js");
+  const { default: messageService } = await import("../src/services/messageService.js");
+  const { default: moderationService } = await import("../src/services/moderationService.js");
+
+  const customer = await createUser("Bola");
+  const crew = { dj: await createUser("Crew dj", "pro") };
+  const me = { id: customer._id };
+  const chat = await messageService.openConversation(me, { participantIds: [crew.dj._id] });
+  await Booking.create({ customerId: customer._id, proId: crew.dj._id, eventDate: inDays(10), totalAmount: 30000, paymentStatus: "escrowed", status: "confirmed" });
+  assert((await errorCode(() => messageService.sendMessage(chat._id, me, { content: "Call me on 0803 123 4567" }))) === "MESSAGE_CONTACT_BLOCKED", "phone numbers refused");
+
+  // 1️⃣ Moderation: policy thresholds decide block / mask / flag, cases queue for admins, repeat offenders lose trust score
+  const admin = await createUser("Moderator", "admin");
+  const policy = await moderationService.getPolicy({ fresh: true });
+  assert(policy.action === "block" && policy.reviewThreshold === 40 && policy.actionThreshold === 70 && !policy.allowAfterPayment, "default policy");
+  let cases = await moderationService.listCases({ senderId: customer._id });
+  assert(cases.total === 1 && cases.results[0].action === "blocked" && !cases.results[0].messageId, "blocked phone number queued");
+
+  const hint = await messageService.sendMessage(chat._id, me, { content: "Find me on insta" });
+  assert(hint.content === "Find me on insta" && hint.moderation.action === "flagged", "borderline message sent and flagged");
+
+  assert((await errorCode(() => moderationService.updatePolicy({ reviewThreshold: 80 }))) === "MODERATION_INVALID", "review threshold above action refused");
+  await moderationService.updatePolicy({ action: "mask", repeatOffenderThreshold: "3" }, admin._id);
+  const masked = await messageService.sendMessage(chat._id, me, { content: "Write to me at john.doe@gmail.com" });
+  assert(masked.content === "Write to me at [hidden]" && masked.moderation.action === "masked", "email masked");
+  const maskedCase = await moderationService.getCase(masked.moderation.caseId);
+  assert(maskedCase.content === "Write to me at john.doe@gmail.com" && maskedCase.offences.count === 2 && !maskedCase.offences.repeatOffender, "case keeps the original text");
+  assert((await TrustScore.findOne({ userId: customer._id }))?.breakdown?.contactLeaks !== -15, "no penalty before the threshold");
+
+  await messageService.sendMessage(chat._id, me, { content: "zero eight zero three one two three four five six seven" });
+  assert((await TrustScore.findOne({ userId: customer._id })).breakdown.contactLeaks === -15, "repeat offender penalised");
+  await moderationService.resolveCase(maskedCase._id, { decision: "dismissed", note: "Business email" }, admin._id);
+  assert((await TrustScore.findOne({ userId: customer._id })).breakdown.contactLeaks === 0, "dismissal gives the points back");
+  assert((await errorCode(() => moderationService.resolveCase(maskedCase._id, { decision: "confirmed" }))) === "MODERATION_CASE_CLOSED", "reviewed once");
+  cases = await moderationService.listCases({ status: "open", senderId: customer._id });
+  assert(cases.total === 3 && cases.results.some((c) => c.action === "flagged"), "open cases listed");
+
+  await moderationService.updatePolicy({ action: "block", allowAfterPayment: true }, admin._id);
+  const shared = await messageService.sendMessage(chat._id, me, { content: "Call me on 0803 123 4567" });
+  assert(shared.content === "Call me on 0803 123 4567" && !shared.moderation?.action, "allowed once they share a paid booking");
+  await moderationService.updatePolicy({ allowAfterPayment: false, repeatOffenderThreshold: 3 }, admin._id);
+  console.log("🛡️ Moderation verified");
+});
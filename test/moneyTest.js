@@ -0,0 +1,104 @@
+// test/moneyTest.js
+// Money in minor units: rounding per currency exponent, exact sums and conversion, and the models storing
+// integer minor units behind their major-unit amounts.
+// Offline: no database or network needed.
+import mongoose from "mongoose";
+import { toMinor, fromMinor, roundMoney, sumMoney, subtractMoney, sameAmount, convertMoney } from "../src/utils/money.js";
+
+const assert = (cond, msg) => {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+};
+
+const runTest = async () => {
+  try {
+    const { default: Booking } = await import("../src/models/Booking.js");
+    const { default: Escrow } = await import("../src/models/Escrow.js");
+    const { default: Transaction } = await import("../src/models/Transaction.js");
+    const { toReporting } = await import("../src/services/fxService.js");
+    const id = () => new mongoose.Types.ObjectId();
+
+    // 1️⃣ Rounding: half away from zero at the currency's minor unit (2 decimals, none for XOF)
+    assert(toMinor(1500.5, "NGN") === 150050 && fromMinor(150050, "NGN") === 1500.5, "naira <-> kobo");
+    assert(toMinor(0.1 + 0.2, "USD") === 30 && roundMoney(0.1 + 0.2, "USD") === 0.3, "float drift rounded away");
+    assert(toMinor(19.999, "GHS") === 2000 && toMinor(19.994, "GHS") === 1999, "rounded to the pesewa");
+    assert(toMinor(2500.5, "XOF") === 2501 && fromMinor(2501, "XOF") === 2501, "XOF has no minor unit");
+    assert(toMinor(null) === 0 && fromMinor(undefined) === 0, "missing amounts are zero");
+    let unsupported = false;
+    try {
+      toMinor(10, "BTC");
+    } catch (err) {
+      unsupported = true;
+    }
+    assert(unsupported, "unsupported currency rejected");
+    console.log("🔢 Rounding verified");
+
+    // 2️⃣ Sums, differences and conversion are exact to the minor unit
+    assert(sumMoney([0.1, 0.2, 0.3], "USD") === 0.6 && sumMoney(Array(10).fill(0.1), "USD") === 1, "sums don't drift");
+    assert(subtractMoney(100, 33.33, "NGN") === 66.67 && sameAmount(10.004, 10, "NGN"), "differences and comparisons");
+    assert(convertMoney(12.5, 1530.25, "NGN") === 19128.13, "converted and rounded to the target currency");
+    assert(convertMoney(1000, 0.0013, "USD") === 1.3 && convertMoney(100, 655.957, "XOF") === 65596, "rounding follows the target");
+    const snapshot = { currency: "USD", reportingCurrency: "NGN", rate: 1500 };
+    assert(toReporting(12.34, "USD", snapshot) === 18510, "reported with the booking's snapshot");
+    assert(toReporting(5000, "NGN", snapshot) === 5000, "reporting currency passes through");
+    assert(toReporting(10, "GHS", snapshot) === null && toReporting(10, "USD", null) === null, "no snapshot for the pair: not converted");
+    console.log("💱 Sums and conversion verified");
+
+    // 3️⃣ Models store integer minor units; amount / totalAmount read and write major units
+    const booking = new Booking({
+      customerId: id(),
+      proId: id(),
+      eventDate: new Date(),
+      totalAmount: 1234.567,
+      currency: "USD",
+      milestones: [
+        { title: "Deposit", order: 1, amount: 400.1, dueDate: new Date() },
+        { title: "Balance", order: 2, amount: 834.47, dueDate: new Date() },
+      ],
+    });
+    assert(booking.totalAmountMinor === 123457 && booking.totalAmount === 1234.57, "booking total stored in cents");
+    assert(booking.milestones.map((m) => m.amountMinor).join() === "40010,83447", "milestones stored in cents");
+    await booking.validate();
+    booking.milestones[1].amount = 834.46;
+    let uneven = false;
+    await booking.validate().catch(() => {
+      uneven = true;
+    });
+    assert(uneven, "milestones must add up to the cent");
+    const json = booking.toJSON();
+    assert(json.totalAmount === 1234.57 && json.totalAmountMinor === 123457 && json.milestones[0].amount === 400.1, "JSON carries both");
+    assert(new Booking({ currency: "XOF", totalAmount: 5000.4 }).totalAmountMinor === 5000, "rounded in the booking's own currency");
+
+    const escrow = new Escrow({ bookingId: booking._id, currency: "USD", amount: 100, state: "held" });
+    escrow.fund();
+    escrow.applyMovement({ type: "fee", amount: 0.1 + 0.2 });
+    escrow.applyMovement({ type: "refund", amount: 33.333 });
+    escrow.applyMovement({ type: "release", amount: 66.37, status: "pending", reference: "REL-1" });
+    assert(escrow.amountHeldMinor === 0 && escrow.amountFeeMinor === 30 && escrow.amountRefundedMinor === 3333, "balances in cents");
+    assert(escrow.movements.map((m) => m.amount).join() === "0.3,33.33,66.37" && escrow.state === "releasing", "movements read in dollars");
+    await escrow.validate();
+    escrow.completeMovement("REL-1", "failed");
+    assert(escrow.amountHeld === 66.37 && escrow.amountReleasedMinor === 0 && escrow.state === "held", "failed transfer back to held");
+    let overdrawn = false;
+    try {
+      escrow.applyMovement({ type: "release", amount: 66.38 });
+    } catch (err) {
+      overdrawn = true;
+    }
+    assert(overdrawn && escrow.amountHeldMinor === 6637, "can't move more than is held");
+
+    const tx = new Transaction({ bookingId: booking._id, type: "fee", reference: "FEE-1", currency: "KES", amount: "abc" });
+    let invalid = false;
+    await tx.validate().catch((err) => {
+      invalid = Boolean(err.errors.amountMinor);
+    });
+    assert(invalid, "non-numeric amount rejected");
+    console.log("🧾 Minor-unit models verified");
+
+    console.log("🎉 Money test completed successfully");
+  } catch (err) {
+    console.error("❌ Test error:", err);
+    process.exitCode = 1;
+  }
+};
+
+runTest();
@@ -0,0 +1,102 @@
+// test/payoutTest.js
+// Payout flow against the in-process fake gateway: register recipient -> release -> transfer webhook, failed
+// transfers back into escrow, no release for a pro without a payout account, and unanswered transfer requests
+// left pending until the gateway says what happened.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import mongoose from "mongoose";
+import { runDbTest, assert, heldBooking } from "./testHarness.js";
+
+runDbTest("Payout", async ({ gw, deliver }) => {
+  const { default: User } = await import("../src/models/User.js");
+  const { default: Booking } = await import("../src/models/Booking.js");
+  const { default: Escrow } = await import("../src/models/Escrow.js");
+  const { default: Payout } = await import("../src/models/Payout.js");
+  const { default: escrowService } = await import("../src/services/escrowService.js");
+  const { default: payoutService } = await import("../src/services/payoutService.js");
+  const { default: PayoutRecipient } = await import("../src/models/PayoutRecipient.js");
+
+  // 1️⃣ Pro registers a bank account (name resolved by the gateway)
+  const pro = await User.create({ name: "Ada", email: `ada+${Date.now()}@test.com`, password: "secret123", role: "pro" });
+  const recipient = await payoutService.registerRecipient({ userId: pro._id, gateway: "paystack", bankCode: "044", accountNumber: "0123456789" });
+  assert(recipient.verified && recipient.isDefault, "recipient verified and default");
+  assert(recipient.accountName === "ADA OKAFOR", "account name resolved by gateway");
+  console.log(`🏦 Recipient registered: ${recipient.recipientCode}`);
+
+  // 2️⃣ Unknown accounts are rejected
+  let rejected = false;
+  try {
+    await payoutService.registerRecipient({ userId: pro._id, gateway: "paystack", bankCode: "044", accountNumber: "9999999999" });
+  } catch (err) {
+    rejected = true;
+  }
+  assert(rejected, "unresolvable account rejected");
+
+  // 3️⃣ Release -> transfer pending until webhook
+  const booking = await heldBooking(pro._id);
+  const released = await escrowService.releaseFunds({ bookingId: booking._id });
+  assert(released.status === "pending", "transfer pending after release");
+  assert((await Escrow.findOne({ bookingId: booking._id })).state === "releasing", "escrow releasing");
+  assert(released.fee === 500 && released.amount === 4500, "default 10% commission taken from the gross");
+  assert(gw.state.transfers.get(released.reference).amount === 450000, "net transfer amount sent in kobo");
+  console.log(`🏁 Transfer submitted: ${released.reference}`);
+
+  await deliver(gw.transferWebhook(released.reference, "success"));
+  assert((await Payout.findOne({ reference: released.reference })).status === "success", "payout success");
+  assert((await Escrow.findOne({ bookingId: booking._id })).state === "released", "escrow released");
+  const releasedBooking = await Booking.findById(booking._id);
+  assert(releasedBooking.paymentReleased === true, "booking paymentReleased");
+  assert(releasedBooking.status === "completed", "released booking completed");
+  assert(releasedBooking.statusHistory.at(-1).actorRole === "system", "completion recorded as a system transition");
+  console.log("💸 transfer.success applied");
+
+  // 4️⃣ Failed transfer puts the escrow back to held
+  const booking2 = await heldBooking(pro._id);
+  const released2 = await escrowService.releaseFunds({ bookingId: booking2._id });
+  await deliver(gw.transferWebhook(released2.reference, "failed"));
+  assert((await Payout.findOne({ reference: released2.reference })).status === "failed", "payout failed");
+  assert((await Escrow.findOne({ bookingId: booking2._id })).state === "held", "escrow back to held");
+  const retry = await escrowService.releaseFunds({ bookingId: booking2._id });
+  assert(retry.fee === 0 && retry.amount === 4500, "retried release not charged commission twice");
+  console.log("↩️ transfer.failed applied");
+
+  // 5️⃣ Pros without a payout account cannot be released to
+  const booking3 = await heldBooking(new mongoose.Types.ObjectId());
+  let blocked = false;
+  try {
+    await escrowService.releaseFunds({ bookingId: booking3._id });
+  } catch (err) {
+    blocked = true;
+  }
+  assert(blocked, "release without recipient rejected");
+  console.log("🚫 release without a payout account refused");
+
+  // 6️⃣ No answer to the transfer request: the payout stays pending until the gateway says what happened
+  const lost = await heldBooking(pro._id);
+  gw.dropNextTransfer({ created: true });
+  const unanswered = await escrowService.releaseFunds({ bookingId: lost._id });
+  assert(unanswered.status === "pending", "unanswered transfer reported pending, not failed");
+  assert((await Payout.findOne({ reference: unanswered.reference })).status === "pending", "payout left pending");
+  assert((await Escrow.findOne({ bookingId: lost._id })).state === "releasing", "money not put back into escrow");
+  assert((await escrowService.checkPayout({ reference: unanswered.reference })).status === "pending", "gateway still processing it");
+  await deliver(gw.transferWebhook(unanswered.reference, "success"));
+  assert((await Payout.findOne({ reference: unanswered.reference })).status === "success", "late transfer.success applied");
+  assert((await Escrow.findOne({ bookingId: lost._id })).amountHeld === 0, "paid out once");
+
+  const neverSent = await heldBooking(pro._id);
+  gw.dropNextTransfer({ created: false });
+  const resend = await escrowService.releaseFunds({ bookingId: neverSent._id });
+  assert(resend.status === "pending" && !gw.state.transfers.has(resend.reference), "transfer never reached the gateway");
+  assert((await escrowService.checkPayout({ reference: resend.reference })).status === "pending", "checked while pending");
+  assert(gw.state.transfers.get(resend.reference)?.amount === 450000, "resubmitted under the same reference");
+  assert((await Payout.findOne({ reference: resend.reference })).transferCode, "transfer code stored");
+  gw.state.transfers.get(resend.reference).status = "success";
+  assert((await escrowService.checkPayout({ reference: resend.reference })).status === "success", "outcome read from the gateway");
+  assert((await Escrow.findOne({ bookingId: neverSent._id })).state === "released", "escrow released");
+
+  // An explicit refusal is a failure: the money goes back into escrow
+  await PayoutRecipient.updateOne({ userId: pro._id }, { recipientCode: "RCP_closed" });
+  const refusedBooking = await heldBooking(pro._id);
+  const refused = await escrowService.releaseFunds({ bookingId: refusedBooking._id });
+  assert(refused.status === "failed" && (await Escrow.findOne({ bookingId: refusedBooking._id })).state === "held", "refused transfer back to held");
+  console.log("⏳ unanswered transfers settled from the gateway");
+});
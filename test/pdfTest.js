@@ -0,0 +1,72 @@
+// test/pdfTest.js
+// PDF writer used for booking contracts: structure, text encoding, page flow and drawn signatures.
+// Offline: no database or network needed.
+import zlib from "zlib";
+import { createDocument, wrapText } from "../src/utils/pdf.js";
+
+const assert = (cond, msg) => {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+};
+
+/** Decompressed page content streams, in order */
+const pageStreams = (pdf) => {
+  const text = pdf.toString("latin1");
+  const streams = [];
+  const re = /\/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g;
+  let match;
+  while ((match = re.exec(text))) {
+    const start = match.index + match[0].length;
+    streams.push(zlib.inflateSync(pdf.subarray(start, start + Number(match[1]))).toString("latin1"));
+  }
+  return streams;
+};
+
+const runTest = () => {
+  try {
+    // 1️⃣ Structure: header, cross-reference offsets, trailer
+    const doc = createDocument({ title: "Contract GVZ-C-1", author: "GetVybz", createdAt: new Date("2025-06-01T10:00:00Z") });
+    doc.heading("Services Agreement").row("Price", "NGN 50,000.00").paragraph("Paid (in escrow) \\ released after the event");
+    const pdf = doc.toBuffer();
+    const text = pdf.toString("latin1");
+    assert(text.startsWith("%PDF-1.4\n") && text.trimEnd().endsWith("%%EOF"), "PDF header and trailer");
+
+    const startxref = Number(text.match(/startxref\n(\d+)\n%%EOF/)[1]);
+    assert(text.slice(startxref).startsWith("xref\n0 "), "startxref points at the xref table");
+    const offsets = [...text.slice(startxref).matchAll(/^(\d{10}) 00000 n $/gm)].map((m) => Number(m[1]));
+    assert(offsets.length && offsets.every((o, i) => text.slice(o).startsWith(`${i + 1} 0 obj\n`)), "every xref offset points at its object");
+    assert(text.includes("/CreationDate (D:20250601100000Z)") && text.includes("/Title (Contract GVZ-C-1)"), "document info");
+    console.log("📄 PDF structure verified");
+
+    // 2️⃣ Text: escaped, Latin-1 only, wrapped to the page
+    const [page] = pageStreams(pdf);
+    assert(page.includes("(Paid \\(in escrow\\) \\\\ released after the event) Tj"), "parentheses and backslashes escaped");
+    const symbols = pageStreams(createDocument().paragraph("₦5,000 — “quoted” 日本").toBuffer())[0];
+    assert(symbols.includes("(NGN 5,000 - \"quoted\" ??) Tj"), "naira, dashes and quotes mapped; other characters replaced");
+
+    const lines = wrapText("word ".repeat(60), 10);
+    assert(lines.length > 1 && lines.every((l) => l.length <= 92), "long text wrapped to the content width");
+    assert(wrapText("x".repeat(200), 10).length === 3, "words longer than a line are cut");
+    console.log("🔤 Text encoding verified");
+
+    // 3️⃣ Page flow and signatures
+    const long = createDocument({ title: "Long" });
+    for (let i = 0; i < 120; i++) long.paragraph(`Clause ${i + 1}: the pro performs as agreed.`);
+    long.signature("Customer", { typedName: "Ada Okafor" }, ["Signed 2025-06-01"]);
+    long.signature("Pro", { drawing: { width: 300, height: 100, strokes: [[[0, 0], [150, 50], [300, 100]]] } }, ["Signed 2025-06-02"]);
+    const longPdf = long.toBuffer();
+    const pages = pageStreams(longPdf);
+    assert(pages.length >= 3 && (longPdf.toString("latin1").match(/\/Type \/Page /g) || []).length === pages.length, "content flows onto new pages");
+    assert(pages[0].includes(`page 1 of ${pages.length}`), "page numbers in the footer");
+    const last = pages[pages.length - 1];
+    assert(last.includes("/F3 18 Tf") && last.includes("(Ada Okafor) Tj"), "typed signature in italics");
+    assert(/ m [\d.]+ [\d.]+ l [\d.]+ [\d.]+ l S/.test(last), "drawn signature stroked as a path");
+    console.log("✍️ Page flow and signatures verified");
+
+    console.log("🎉 PDF test completed successfully");
+  } catch (err) {
+    console.error("❌ Test error:", err);
+    process.exitCode = 1;
+  }
+};
+
+runTest();
@@ -0,0 +1,77 @@
+// test/quoteTest.js
+// Quotes: a brief to two pros, itemised quote from the rate card, counter-offer, acceptance booking the slot at the
+// agreed price, expiry sweep.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import { runDbTest, assert, createUser, dayAhead, inDays } from "./testHarness.js";
+
+runDbTest("Quote", async () => {
+  const { default: User } = await import("../src/models/User.js");
+  const { default: Booking } = await import("../src/models/Booking.js");
+  const { default: Quote } = await import("../src/models/Quote.js");
+  const { default: QuoteRequest } = await import("../src/models/QuoteRequest.js");
+  const { default: availabilityService } = await import("../src/services/availabilityService.js");
+  const { default: quoteService } = await import("../src/services/quoteService.js");
+
+  const pro = await createUser("Ada", "pro");
+  const customer = await createUser("Bola");
+  const { day, weekday } = dayAhead();
+  await availabilityService.setAvailability(pro._id, { timezone: "Africa/Lagos", weeklyHours: [{ weekday, start: "10:00", end: "16:00" }], slotMinutes: 120 });
+
+  // 1️⃣ Quotes: brief to two pros, itemised quote, counter-offer, acceptance books the slot at the agreed price
+  const { rateCard } = await User.findByIdAndUpdate(
+    pro._id,
+    { rateCard: [{ label: "DJ set (per hour)", price: 1500 }, { label: "Sound system", price: 4000 }] },
+    { new: true }
+  );
+  const pro2 = await createUser("Chidi", "pro");
+  const brief = await quoteService.createRequest(customer._id, {
+    proIds: [pro._id, pro2._id],
+    title: "Birthday party",
+    eventDate: `${day}T13:00:00.000Z`,
+    durationMinutes: 120,
+  });
+
+  const quote1 = await quoteService.submitQuote(pro._id, brief._id, {
+    items: [{ rateId: rateCard[0]._id, quantity: 2 }, { rateId: rateCard[1]._id }],
+    addons: [{ label: "Smoke machine", price: 1000 }],
+    terms: "50% non-refundable inside 7 days",
+  });
+  assert(quote1.total === 8000 && quote1.awaiting === "customer", "quote priced from the rate card plus add-on");
+  const quote2 = await quoteService.submitQuote(pro2._id, brief._id, { addons: [{ label: "Live band", price: 9000, optional: false }] });
+
+  const smoke = quote1.current().items.find((i) => i.kind === "addon");
+  const countered = await quoteService.counterQuote(quote1._id, { id: customer._id }, { dropAddons: [smoke._id], total: 6500 });
+  assert(countered.total === 6500 && countered.awaiting === "pro", "customer counter drops the add-on and proposes a total");
+  assert(countered.current().items.some((i) => i.kind === "adjustment" && i.amount === -500), "counter recorded as an adjustment line");
+
+  let ownOffer = null;
+  try {
+    await quoteService.acceptQuote(quote1._id, { id: customer._id });
+  } catch (err) {
+    ownOffer = err.code;
+  }
+  assert(ownOffer === "QUOTE_NOT_YOUR_TURN", "nobody accepts their own offer");
+
+  const accepted = await quoteService.acceptQuote(quote1._id, { id: pro._id });
+  assert(accepted.booking.totalAmount === 6500 && String(accepted.booking.quoteId) === String(quote1._id), "booking locked to the quote");
+  assert(accepted.payment?.success && accepted.payment.amount === 6500, "escrow funding started at the agreed price");
+  assert((await Quote.findById(quote2._id)).status === "closed", "other pro's quote closed");
+  assert((await QuoteRequest.findById(brief._id)).status === "booked", "request booked");
+  assert((await quoteService.listConversationQuotes(quote1.conversationId, { id: customer._id })).length === 1, "quotes listed per conversation");
+
+  const lockedBooking = await Booking.findById(accepted.booking._id);
+  lockedBooking.totalAmount = 100;
+  let repriced = false;
+  try {
+    await lockedBooking.save();
+  } catch (err) {
+    repriced = err.name === "ValidationError";
+  }
+  assert(repriced, "quoted price cannot be changed on the booking");
+
+  const stale = await quoteService.createRequest(customer._id, { proIds: [pro2._id], title: "Gala", eventDate: inDays(30), durationMinutes: 180 });
+  const staleQuote = await quoteService.submitQuote(pro2._id, stale._id, { addons: [{ label: "Band", price: 7000 }], validDays: 1 });
+  const swept = await quoteService.expireQuotes(inDays(2));
+  assert(swept.quotes >= 1 && (await Quote.findById(staleQuote._id)).status === "expired", "expired quotes swept");
+  console.log("🧾 Quote negotiation verified");
+});
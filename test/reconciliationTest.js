@@ -0,0 +1,29 @@
+// test/reconciliationTest.js
+// Gateway reconciliation: charges the gateways settled vs our transactions vs our escrows, in both directions.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import mongoose from "mongoose";
+import { runDbTest, assert, heldBooking } from "./testHarness.js";
+
+runDbTest("Reconciliation", async ({ gw }) => {
+  const { default: Escrow } = await import("../src/models/Escrow.js");
+  const { default: Transaction } = await import("../src/models/Transaction.js");
+  const { default: reconciliationService } = await import("../src/services/reconciliationService.js");
+
+  // 1️⃣ Gateway reconciliation: settled gateway charges vs transactions vs escrows
+  const since = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  const orphan = gw.settleCharge({ gateway: "paystack", amount: 5000 }); // webhook never arrived
+  const booking = await heldBooking(new mongoose.Types.ObjectId());
+  const short = gw.settleCharge({ gateway: "paystack", amount: 4000 });
+  await Escrow.updateOne({ bookingId: booking._id }, { gatewayReference: short });
+  await Transaction.create({ bookingId: booking._id, amount: 5000, type: "escrow", status: "success", paymentGateway: "paystack", reference: short });
+  await Transaction.create({ bookingId: booking._id, amount: 2000, type: "escrow", status: "success", paymentGateway: "flutterwave", reference: "FLW_ghost" });
+
+  const recon = await reconciliationService.reconcileWithGateways({ sinceIso: since });
+  const found = (type, reference) => recon.issues.some((i) => i.type === type && i.related.reference === reference);
+  assert(recon.gateways.paystack.complete && recon.gateways.flutterwave.complete, "both gateways listed completely");
+  assert(found("gateway_charge_missing_locally", orphan), "gateway charge missing locally detected");
+  assert(found("gateway_amount_mismatch", short), "transaction amount mismatch detected");
+  assert(found("escrow_gateway_amount_mismatch", short), "escrow amount mismatch detected");
+  assert(found("local_success_missing_at_gateway", "FLW_ghost"), "local success missing at gateway detected");
+  console.log(`🔎 Gateway reconciliation found ${recon.issues.length} issue(s)`);
+});
@@ -0,0 +1,49 @@
+// test/remediationTest.js
+// Reconciliation issue lifecycle: fixable issues fixed automatically and audited, the rest acknowledged and
+// resolved by an admin.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import mongoose from "mongoose";
+import { runDbTest, assert, createUser } from "./testHarness.js";
+
+runDbTest("Remediation", async ({ gw }) => {
+  const { default: Booking } = await import("../src/models/Booking.js");
+  const { default: Escrow } = await import("../src/models/Escrow.js");
+  const { default: Transaction } = await import("../src/models/Transaction.js");
+  const { default: ReconciliationReport } = await import("../src/models/ReconciliationReport.js");
+  const { default: AuditLog } = await import("../src/models/AuditLog.js");
+  const { default: remediationService } = await import("../src/services/reconciliationRemediationService.js");
+  const admin = await createUser("Admin", "admin");
+  const proId = new mongoose.Types.ObjectId();
+
+  // 1️⃣ Automatic fixes: booking synced from a released escrow, pending charge re-verified at the gateway
+  const synced = await Booking.create({ customerId: new mongoose.Types.ObjectId(), proId, eventDate: new Date(), totalAmount: 3000, status: "confirmed" });
+  const releasedEscrow = await Escrow.create({ bookingId: synced._id, amount: 3000, state: "released", paymentGateway: "paystack" });
+  const unpaid = await Booking.create({ customerId: new mongoose.Types.ObjectId(), proId, eventDate: new Date(), totalAmount: 3000, status: "pending" });
+  const paidRef = gw.settleCharge({ gateway: "paystack", amount: 3000, metadata: { bookingId: String(unpaid._id) } });
+  await Escrow.create({ bookingId: unpaid._id, amount: 3000, state: "pending", paymentGateway: "paystack", gatewayReference: paidRef });
+  await Transaction.create({ bookingId: unpaid._id, amount: 3000, type: "escrow", status: "pending", paymentGateway: "paystack", reference: paidRef });
+
+  const report = await ReconciliationReport.create({
+    issues: [
+      { type: "escrow_released_booking_not_updated", severity: "medium", message: "test", related: { escrowId: releasedEscrow._id, bookingId: synced._id } },
+      { type: "gateway_settled_local_not_success", severity: "medium", message: "test", related: { reference: paidRef } },
+      { type: "gateway_amount_mismatch", severity: "high", message: "no automatic fix", related: { reference: "PSK_short" } },
+    ],
+  });
+  const fixes = await remediationService.autoFixReport(report._id);
+  assert(fixes.attempted === 2 && fixes.fixed === 2, "both fixable issues fixed");
+  assert((await Booking.findById(synced._id)).paymentReleased === true, "booking synced from released escrow");
+  assert((await Transaction.findOne({ reference: paidRef })).status === "success", "pending charge marked successful");
+  assert((await Escrow.findOne({ bookingId: unpaid._id })).state === "held", "escrow funded from the verified charge");
+  const fixedReport = await ReconciliationReport.findById(report._id);
+  assert(fixedReport.issues.filter((i) => i.status === "auto_fixed").length === 2, "fixed issues marked auto_fixed");
+  assert((await AuditLog.countDocuments({ reportId: report._id, action: "reconciliation.fix_applied" })) === 2, "fixes audited");
+  console.log("🩹 Reconciliation fixes applied and audited");
+
+  // 2️⃣ Issues without an automatic fix go through acknowledged -> resolved by hand
+  const manual = fixedReport.issues.find((i) => i.type === "gateway_amount_mismatch");
+  await remediationService.updateIssue(report._id, manual._id, { status: "acknowledged", assignee: admin._id, note: "Checking with Paystack" });
+  const resolved = await remediationService.updateIssue(report._id, manual._id, { status: "resolved" });
+  assert(resolved.status === "resolved" && resolved.notes.length === 1, "manual issue lifecycle");
+  console.log("🗂️ Manual issue resolved");
+});
@@ -0,0 +1,69 @@
+// test/richMessageTest.js
+// Rich messages: voice notes and files checked, uploaded and scanned for contact details; cards with in-chat actions.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import { runDbTest, assert, createUser, errorCode } from "./testHarness.js";
+
+runDbTest("Rich message", async ({ storedFiles }) => {
+  const { default: Booking } = await import("../src/models/Booking.js");
+  const { default: Message } = await import("../src/models/Message.js");
+  const { default: ModerationCase } = await import("../src/models/ModerationCase.js");
+  const { default: uploadService } = await import("../src/services/uploadService.js");
+  const { default: messageService } = await import("../src/services/messageService.js");
+  const { default: messageCardService } = await import("../src/services/messageCardService.js");
+  const { createDocument } = await import("../src/utils/pdf.js");
+
+  const customer = await createUser("Bola");
+  const crew = { dj: await createUser("Crew dj", "pro") };
+  const me = { id: customer._id };
+  const dj = { id: crew.dj._id };
+  const chat = await messageService.openConversation(me, { participantIds: [crew.dj._id] });
+
+  // 1️⃣ Rich messages: voice notes and files checked, uploaded and scanned; cards with in-chat actions
+  const file = (mimetype, buffer, originalname) => ({ mimetype, buffer, size: buffer.length, originalname });
+  const mp3 = Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x64]), Buffer.alloc(64)]);
+  const voiceNote = await messageService.sendMessage(chat._id, me, { files: [file("audio/mpeg", mp3, "voice.mp3")], durationSec: "12" });
+  assert(voiceNote.type === "audio" && voiceNote.attachments[0].durationSec === 12 && storedFiles.has(voiceNote.attachments[0].publicId), "voice note uploaded");
+  assert((await errorCode(() => messageService.sendMessage(chat._id, me, { files: [file("application/pdf", Buffer.from("hello"), "x.pdf")] }))) === "ATTACHMENT_INVALID", "content must match its type");
+  assert((await errorCode(() => messageService.sendMessage(chat._id, me, { files: [file("image/svg+xml", Buffer.from("<svg/>"), "x.svg")] }))) === "ATTACHMENT_INVALID", "SVG refused");
+  const ratePdf = createDocument({ title: "Rates" }).paragraph("Book me direct: dj.spin@gmail.com").toBuffer();
+  assert((await errorCode(() => messageService.sendMessage(chat._id, dj, { files: [file("application/pdf", ratePdf, "rates.pdf")] }))) === "MESSAGE_CONTACT_BLOCKED", "email inside a PDF blocked");
+  const cleanPdf = createDocument({ title: "Setlist" }).paragraph("Afrobeats, amapiano, highlife").toBuffer();
+  const setlist = await messageService.sendMessage(chat._id, dj, { content: "Setlist attached", files: [file("application/pdf", cleanPdf, "setlist.pdf")] });
+  assert(setlist.type === "file" && setlist.attachments[0].mimeType === "application/pdf" && setlist.content === "Setlist attached", "PDF sent with a caption");
+
+  const { uploadBase64 } = uploadService;
+  uploadService.uploadBase64 = async () => {
+    throw Object.assign(new Error("upload failed"), { code: "UPLOAD_FAILED" });
+  };
+  const sendMix = () => messageService.sendMessage(chat._id, dj, { content: "More mixes on my instagram", files: [file("audio/mpeg", mp3, "mix.mp3")] });
+  assert((await errorCode(sendMix)) === "UPLOAD_FAILED", "upload failure fails the send");
+  uploadService.uploadBase64 = uploadBase64;
+  assert((await ModerationCase.countDocuments({ content: "More mixes on my instagram" })) === 0, "no case left for the unsent message");
+  const flagged = await sendMix();
+  const flaggedCase = await ModerationCase.findById(flagged.moderation.caseId);
+  assert(flagged.moderation.action === "flagged" && String(flaggedCase.messageId) === String(flagged._id) && (await Message.exists({ _id: flaggedCase.messageId })), "case points at the stored message");
+
+  const birthday = await Booking.create({
+    customerId: customer._id,
+    proId: crew.dj._id,
+    eventDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+    totalAmount: 20000,
+    status: "pending",
+    metadata: { title: "Birthday set" },
+  });
+  const bookingCard = await messageCardService.sendCard(chat._id, me, { kind: "booking", refId: birthday._id });
+  assert(bookingCard.type === "card" && bookingCard.card.actions.map((a) => a.name).join() === "confirm,decline", "pro can confirm or decline");
+  assert((await errorCode(() => messageCardService.actOnCard(bookingCard._id, me, { action: "confirm" }))) === "CARD_ACTION_INVALID", "customer can't confirm");
+  const confirmed = await messageCardService.actOnCard(bookingCard._id, dj, { action: "confirm" });
+  assert(confirmed.message.card.status === "done" && confirmed.message.card.snapshot.status === "confirmed", "confirmed from the chat");
+  assert((await Booking.findById(birthday._id)).status === "confirmed", "booking confirmed");
+  assert((await errorCode(() => messageCardService.actOnCard(bookingCard._id, dj, { action: "decline" }))) === "CARD_ACTION_TAKEN", "one response per person");
+
+  assert((await errorCode(() => messageCardService.sendCard(chat._id, me, { kind: "payment_request", refId: birthday._id }))) === "CARD_FORBIDDEN", "only the pro requests payment");
+  assert((await errorCode(() => messageCardService.sendCard(chat._id, dj, { kind: "review_prompt", refId: birthday._id }))) === "CARD_REF_CLOSED", "no review prompt before completion");
+  const payCard = await messageCardService.sendCard(chat._id, dj, { kind: "payment_request", refId: birthday._id, content: "Deposit please" });
+  assert(payCard.card.snapshot.amount === 20000 && payCard.content === "Deposit please", "payment request shows the amount");
+  const paid = await messageCardService.actOnCard(payCard._id, me, { action: "pay" });
+  assert(paid.result.authorizationUrl && (await Booking.findById(birthday._id)).paymentStatus === "pending", "pay starts escrow funding");
+  console.log("📎 Attachments and cards verified");
+});
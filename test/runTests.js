@@ -0,0 +1,40 @@
+// test/runTests.js
+// `npm test`: runs the test/*Test.js scripts one after another and fails if any of them does.
+// Offline scripts always run. Database scripts (runDbTest) need MONGO_URI pointing at a replica set and are skipped
+// without it. escrowTest.js talks to the real gateways and is left out. Pass script names to run only those:
+//   npm test -- payoutTest splitTest
+import fs from "fs";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+
+const dir = path.dirname(fileURLToPath(import.meta.url));
+const wanted = process.argv.slice(2).map((name) => name.replace(/\.js$/, ""));
+
+const scripts = fs
+  .readdirSync(dir)
+  .filter((file) => file.endsWith("Test.js") && (!wanted.length || wanted.includes(file.replace(/\.js$/, ""))))
+  .sort()
+  .map((file) => {
+    const source = fs.readFileSync(path.join(dir, file), "utf8");
+    return { file, offline: /^\/\/ Offline:/m.test(source), db: source.includes("runDbTest(") };
+  })
+  .filter(({ offline, db }) => offline || db);
+
+const results = [];
+for (const { file, db } of scripts) {
+  if (db && !process.env.MONGO_URI) {
+    results.push({ file, status: "skipped" });
+    continue;
+  }
+  console.log(`\n▶️ ${file}`);
+  const run = spawnSync(process.execPath, [path.join(dir, file)], { stdio: "inherit", env: process.env });
+  results.push({ file, status: run.status === 0 ? "passed" : "failed" });
+}
+
+console.log("\n📋 Test summary");
+for (const { file, status } of results) console.log(`  ${{ passed: "✅", failed: "❌", skipped: "⏭️" }[status]} ${file} ${status}`);
+const skipped = results.filter((r) => r.status === "skipped").length;
+if (skipped) console.log(`  ${skipped} database script(s) skipped: set MONGO_URI to a replica set to run them`);
+
+if (!results.length || results.some((r) => r.status === "failed")) process.exitCode = 1;
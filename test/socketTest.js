@@ -0,0 +1,68 @@
+// test/socketTest.js
+// Socket handshake auth (a valid JWT, no bare userId) and message receipts: Message.status sent -> delivered -> read,
+// per participant in group conversations.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import { runDbTest, startSocketServer, connectSocket, assert, createUser, errorCode } from "./testHarness.js";
+
+runDbTest("Socket", async () => {
+  const { default: Message } = await import("../src/models/Message.js");
+  const { default: messageService } = await import("../src/services/messageService.js");
+  const { authenticateSocket } = await import("../src/config/socket.js");
+  const { default: jwt } = await import("jsonwebtoken");
+
+  const customer = await createUser("Bola");
+  const crew = { dj: await createUser("Crew dj", "pro") };
+  const me = { id: customer._id };
+  const dj = { id: crew.dj._id };
+  const chat = await messageService.openConversation(me, { participantIds: [crew.dj._id] });
+
+  // 1️⃣ Sockets: the handshake needs a valid JWT (no more bare userId), receipts move Message.status sent -> delivered -> read
+  const handshake = (handshakeData) =>
+    new Promise((resolve) => {
+      const socket = { handshake: { headers: {}, query: {}, ...handshakeData }, data: {} };
+      authenticateSocket(socket, (err) => resolve(err ? err.message : socket.data.user));
+    });
+  assert((await handshake({ query: { userId: String(customer._id) } })) === "Not authorized, token missing", "bare userId refused");
+  assert((await handshake({ auth: { token: jwt.sign({ id: customer._id }, "wrong-secret") } })) === "Token invalid or expired", "forged token refused");
+  const socketUser = await handshake({ headers: { authorization: `Bearer ${jwt.sign({ id: crew.dj._id }, process.env.JWT_SECRET)}` } });
+  assert(socketUser.id === String(crew.dj._id) && socketUser.role === "pro", "token identifies the socket's user");
+
+  const ping = await messageService.sendMessage(chat._id, me, { content: "See you at 6" });
+  assert(ping.status === "sent", "new message is sent");
+  assert((await errorCode(() => messageService.markDelivered(chat._id, dj, { messageIds: ["nope"] }))) === "MESSAGE_IDS_INVALID", "receipt ids checked");
+  const receipt = await messageService.markDelivered(chat._id, dj, { messageIds: [ping._id] });
+  assert(receipt.delivered.length === 1 && (await Message.findById(ping._id)).status === "delivered", "delivery receipt");
+  assert((await messageService.markDelivered(chat._id, me)).delivered.length === 0, "senders don't acknowledge their own messages");
+  await messageService.markRead(chat._id, dj);
+  assert((await Message.findById(ping._id)).status === "read", "read receipt");
+
+  // 2️⃣ Group receipts over the socket: tracked per participant, delivered / read once everyone has it
+  crew.mc = await createUser("Crew mc", "pro");
+  const group = await messageService.openConversation(me, { participantIds: [crew.dj._id, crew.mc._id] });
+  const url = await startSocketServer();
+  const sockets = { customer: await connectSocket(url, customer), dj: await connectSocket(url, crew.dj), mc: await connectSocket(url, crew.mc) };
+  const shout = await messageService.sendMessage(group._id, me, { content: "Soundcheck at 5, both of you" });
+  assert(shout.receiver === null && String((await sockets.mc.next("message:new")).message._id) === String(shout._id), "group message pushed");
+
+  let ack = await sockets.dj.emit("message:delivered", { conversationId: String(group._id) });
+  assert(ack.ok && ack.delivered.length === 1, "group member acknowledges delivery");
+  let receiptEvent = await sockets.customer.next("message:delivered");
+  assert(receiptEvent.userId === String(crew.dj._id) && String(receiptEvent.messageIds[0]) === String(shout._id), "sender told who has it");
+  let stored = await Message.findById(shout._id);
+  assert(stored.status === "sent" && stored.deliveredTo.length === 1, "not delivered until everyone has it");
+  assert((await sockets.customer.emit("message:delivered", { conversationId: String(group._id) })).delivered.length === 0, "sender doesn't acknowledge their own");
+  await sockets.mc.emit("message:delivered", { conversationId: String(group._id) });
+  assert((await Message.findById(shout._id)).status === "delivered", "delivered to everyone");
+
+  ack = await sockets.dj.emit("message:read", { conversationId: String(group._id) });
+  receiptEvent = await sockets.customer.next("message:read");
+  assert(ack.ok && receiptEvent.userId === String(crew.dj._id), "read receipt to the sender");
+  stored = await Message.findById(shout._id);
+  assert(stored.status === "delivered" && !stored.isRead && stored.readBy.map((r) => String(r.userId)).join() === String(crew.dj._id), "read by one member");
+  await sockets.mc.emit("message:read", { conversationId: String(group._id) });
+  stored = await Message.findById(shout._id);
+  assert(stored.status === "read" && stored.isRead && stored.readBy.length === 2, "read once everyone has read it");
+  ack = await sockets.customer.emit("message:read", { conversationId: "nope" });
+  assert(!ack.ok && ack.code === "CONVERSATION_NOT_FOUND", "errors come back in the ack");
+  console.log("🔌 Socket auth and receipts verified");
+});
@@ -0,0 +1,62 @@
+// test/splitTest.js
+// Partial refunds and split settlements: fee + customer refund + pro release out of one escrow, never past the held
+// balance, nothing moved when the pro can't be paid, and refunds recorded before the gateway is asked for them.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import mongoose from "mongoose";
+import { runDbTest, assert, createPro, heldBooking } from "./testHarness.js";
+
+runDbTest("Split", async ({ gw, deliver }) => {
+  const { default: Booking } = await import("../src/models/Booking.js");
+  const { default: Escrow } = await import("../src/models/Escrow.js");
+  const { default: Transaction } = await import("../src/models/Transaction.js");
+  const { default: JournalEntry } = await import("../src/models/JournalEntry.js");
+  const { default: escrowService } = await import("../src/services/escrowService.js");
+  const pro = await createPro();
+
+  // 1️⃣ Split: 500 fee, rest 50/50 between customer and pro; nothing can move past the held balance
+  const booking = await heldBooking(pro._id);
+  const split = await escrowService.settleSplit({ bookingId: booking._id, feeAmount: 500, proPercent: 50 });
+  assert(split.amounts.refund === 2250 && split.amounts.release === 2250, "50/50 split after fee");
+  await deliver(gw.transferWebhook(split.release.reference, "success"));
+  const escrow = await Escrow.findOne({ bookingId: booking._id });
+  assert(escrow.state === "split" && escrow.amountHeld === 0, "escrow fully split");
+  assert(escrow.amountFee === 500 && escrow.amountRefunded === 2250 && escrow.amountReleased === 2250, "split balances");
+  assert((await Booking.findById(booking._id)).paymentStatus === "split", "booking paymentStatus split");
+
+  let overdrawn = false;
+  try {
+    await escrowService.refundFunds({ bookingId: booking._id, amount: 1 });
+  } catch (err) {
+    overdrawn = true;
+  }
+  assert(overdrawn, "movement beyond held amount rejected");
+  console.log("⚖️ split settlement applied");
+
+  // 2️⃣ A split that can't pay the pro moves nothing: no fee or refund left behind
+  const noRecipient = await heldBooking(new mongoose.Types.ObjectId());
+  let rejected = false;
+  try {
+    await escrowService.settleSplit({ bookingId: noRecipient._id, feeAmount: 500, proPercent: 50 });
+  } catch (err) {
+    rejected = true;
+  }
+  const untouched = await Escrow.findOne({ bookingId: noRecipient._id });
+  assert(rejected && untouched.state === "held" && untouched.amountHeld === 5000, "split without recipient rejected up front");
+  assert(untouched.amountFee === 0 && untouched.amountRefunded === 0 && untouched.movements.length === 0, "nothing moved");
+  assert(!(await Transaction.exists({ bookingId: noRecipient._id })), "no fee or refund recorded");
+  console.log("🚫 split without a payout account rejected");
+
+  // 3️⃣ A partial refund is recorded pending (refund_approved), then paid out once the gateway accepts it
+  const partial = await heldBooking(pro._id);
+  const refund = await escrowService.refundFunds({ bookingId: partial._id, amount: 1000, reason: "partial" });
+  assert(refund.success && refund.status === "success" && refund.amount === 1000, "partial refund accepted");
+  const refunded = await Escrow.findOne({ bookingId: partial._id });
+  assert(refunded.amountHeld === 4000 && refunded.amountRefunded === 1000 && refunded.state === "held", "rest still held");
+  assert(refunded.movements[0].status === "success" && refunded.movements[0].reference === refund.reference, "refund movement completed");
+  assert((await Transaction.findOne({ reference: refund.reference })).status === "success", "refund transaction settled");
+  const kinds = (await JournalEntry.find({ bookingId: partial._id }).sort({ _id: 1 })).map((e) => e.kind);
+  assert(kinds.join() === "refund_approved,refund_paid", "approved in the transaction, paid after the gateway call");
+  const again = await escrowService.applyRefundOutcome({ reference: refund.reference, status: "failed" });
+  assert(again.reason === "already_processed" && (await Escrow.findOne({ bookingId: partial._id })).amountHeld === 4000, "settled refund left alone");
+  console.log("↩️ partial refund recorded, then paid");
+});
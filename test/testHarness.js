@@ -0,0 +1,240 @@
+// test/testHarness.js
+/**
+ * Shared setup for the database-backed test scripts (one script per area, e.g. test/moderationTest.js).
+ *
+ *   import { runDbTest, assert } from "./testHarness.js";
+ *   runDbTest("Moderation", async ({ gw, deliver, storedFiles }) => {
+ *     const { default: moderationService } = await import("../src/services/moderationService.js");
+ *     ...
+ *   });
+ *
+ * runDbTest starts the fake gateway and points the services at it before they are imported (gateway
+ * config is read at import time, so import services inside the callback), keeps Cloudinary uploads in
+ * memory (storedFiles), connects to MONGO_URI and drops the database afterwards. Money tests start from
+ * createPro (a pro who can be paid out) and heldBooking (a booking whose escrow is funded). Route tests serve routers
+ * with startApp and call them as a signed-in user; socket tests start the Socket.IO server with
+ * startSocketServer and connect to it with connectSocket.
+ * Needs MONGO_URI pointing at a replica set (escrowService uses transactions). No network access required.
+ */
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { startFakeGateway } from "./fakeGateway.js";
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/getvybz_test";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const assert = (cond, msg) => {
+  if (!cond) throw new Error(`Assertion failed: ${msg}`);
+};
+
+/** The error code `fn` fails with, null when it succeeds */
+export const errorCode = async (fn) => {
+  try {
+    await fn();
+  } catch (err) {
+    return err.code;
+  }
+  return null;
+};
+
+export const inDays = (n) => new Date(Date.now() + n * DAY_MS);
+
+/** Domain event listeners run after the emitter returns; give them a moment */
+export const settle = (ms = 500) => new Promise((r) => setTimeout(r, ms));
+
+/** A date `n` days ahead as YYYY-MM-DD, with its UTC weekday (for weekly availability) */
+export const dayAhead = (n = 3) => {
+  const day = inDays(n).toISOString().slice(0, 10);
+  return { day, weekday: new Date(`${day}T00:00:00Z`).getUTCDay() };
+};
+
+// Servers and sockets opened by a test, closed when it ends (sockets first)
+const closers = [];
+const bearer = async (user) => {
+  const { default: jwt } = await import("jsonwebtoken");
+  return jwt.sign({ id: String(user._id || user.id) }, process.env.JWT_SECRET);
+};
+
+let users = 0;
+/** A user with a unique email; `fields` overrides the defaults */
+export async function createUser(name, role = "customer", fields = {}) {
+  const { default: User } = await import("../src/models/User.js");
+  users += 1;
+  return User.create({ name, email: `${name.toLowerCase().replace(/\W+/g, "")}+${Date.now()}${users}@test.com`, password: "secret123", role, ...fields });
+}
+
+/** A pro with a verified default Paystack payout account (the fake gateway's "ADA OKAFOR" account) */
+export async function createPro(name = "Ada", fields = {}) {
+  const { default: payoutService } = await import("../src/services/payoutService.js");
+  const pro = await createUser(name, "pro", fields);
+  await payoutService.registerRecipient({ userId: pro._id, gateway: "paystack", bankCode: "044", accountNumber: "0123456789" });
+  return pro;
+}
+
+/** A confirmed booking for `proId` whose Paystack escrow holds `amount` */
+export async function heldBooking(proId, amount = 5000) {
+  const { default: Booking } = await import("../src/models/Booking.js");
+  const { default: Escrow } = await import("../src/models/Escrow.js");
+  const booking = await Booking.create({
+    customerId: new mongoose.Types.ObjectId(),
+    proId,
+    eventDate: new Date(),
+    totalAmount: amount,
+    paymentStatus: "escrowed",
+    status: "confirmed",
+  });
+  await Escrow.create({ bookingId: booking._id, amount, state: "held", paymentGateway: "paystack" });
+  return booking;
+}
+
+/**
+ * Serve routers on a free local port: startApp({ "/api/escrow": escrowRoutes }).
+ * Returns request(method, path, { user, body, headers }) -> { status, headers, body }; `user` is sent as a
+ * Bearer token for that user. Servers are closed when the test ends.
+ */
+export async function startApp(mounts) {
+  const { default: express } = await import("express");
+  const app = express();
+  app.use(express.json());
+  for (const [path, router] of Object.entries(mounts)) app.use(path, router);
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  closers.push(() => new Promise((resolve) => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { user = null, body, headers = {} } = {}) => {
+    const auth = user ? { authorization: `Bearer ${await bearer(user)}` } : {};
+    const res = await fetch(base + path, {
+      method,
+      headers: { "content-type": "application/json", ...auth, ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      // not JSON
+    }
+    return { status: res.status, headers: res.headers, body: data };
+  };
+  return { request };
+}
+
+/** The app's Socket.IO server (config/socket.js) on a free local port; returns its http:// url */
+export async function startSocketServer() {
+  const { createServer } = await import("http");
+  const { initSocket } = await import("../src/config/socket.js");
+  const server = createServer();
+  const io = initSocket(server);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  closers.push(() => new Promise((resolve) => io.close(() => resolve())));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Connect to a Socket.IO server as `user`, speaking the Engine.IO 4 / Socket.IO 5 frames over a plain
+ * WebSocket (socket.io-client isn't a dependency). Returns
+ * { emit(event, payload) -> the ack, next(event) -> the next payload of that event, close }.
+ */
+export async function connectSocket(url, user) {
+  const { default: WebSocket } = await import("ws");
+  const token = await bearer(user);
+  const ws = new WebSocket(`${url.replace(/^http/, "ws")}/socket.io/?EIO=4&transport=websocket`);
+  const acks = new Map();
+  const inbox = [];
+  const waiting = [];
+  let ackId = 0;
+
+  const receive = (event, payload) => {
+    const i = waiting.findIndex((w) => w.event === event);
+    if (i === -1) return inbox.push({ event, payload });
+    return waiting.splice(i, 1)[0].resolve(payload);
+  };
+  await new Promise((resolve, reject) => {
+    ws.on("error", reject);
+    ws.on("message", (data) => {
+      const frame = String(data);
+      if (frame === "2") return ws.send("3"); // ping
+      if (frame.startsWith("0")) return ws.send(`40${JSON.stringify({ token })}`); // open -> connect
+      if (frame.startsWith("40")) return resolve();
+      if (frame.startsWith("44")) return reject(new Error(JSON.parse(frame.slice(2)).message));
+      const ack = frame.match(/^43(\d+)(.*)$/);
+      if (ack) return acks.get(Number(ack[1]))?.(JSON.parse(ack[2])[0]);
+      if (frame.startsWith("42")) return receive(...JSON.parse(frame.slice(2)));
+      return null;
+    });
+  });
+
+  const socket = {
+    emit: (event, payload) =>
+      new Promise((resolve) => {
+        ackId += 1;
+        acks.set(ackId, resolve);
+        ws.send(`42${ackId}${JSON.stringify([event, payload])}`);
+      }),
+    next: (event) => {
+      const i = inbox.findIndex((m) => m.event === event);
+      if (i !== -1) return Promise.resolve(inbox.splice(i, 1)[0].payload);
+      return new Promise((resolve) => waiting.push({ event, resolve }));
+    },
+    close: () => ws.close(),
+  };
+  closers.unshift(async () => socket.close());
+  return socket;
+}
+
+export async function runDbTest(name, fn) {
+  const gw = await startFakeGateway();
+  process.env.PAYSTACK_BASE_URL = gw.paystackUrl;
+  process.env.FLW_BASE_URL = gw.flwUrl;
+  process.env.PAYSTACK_SECRET_KEY = gw.paystackSecret;
+  process.env.FLW_SECRET_KEY = gw.flwSecret;
+  process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+  const { default: uploadService } = await import("../src/services/uploadService.js");
+  const { default: webhookInboxService } = await import("../src/services/webhookInboxService.js");
+
+  // Contract PDFs, proof photos and attachments are kept in memory instead of Cloudinary
+  const storedFiles = new Map();
+  uploadService.uploadBase64 = async (dataUri, { public_id }) => {
+    storedFiles.set(public_id, Buffer.from(dataUri.split(",")[1], "base64"));
+    return { public_id, secure_url: `https://files.test/${public_id}` };
+  };
+
+  // Deliver a signed envelope through the webhook inbox and wait for it to be processed
+  const deliver = (envelope) => webhookInboxService.receive({ ...envelope, wait: true });
+
+  try {
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected to MongoDB");
+    await fn({ gw, deliver, storedFiles });
+    console.log(`🎉 ${name} test completed successfully`);
+  } catch (err) {
+    console.error("❌ Test error:", err);
+    process.exitCode = 1;
+  } finally {
+    for (const close of closers.splice(0)) await close();
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+    await gw.close();
+    console.log("🛑 Test DB cleaned, fake gateway stopped");
+  }
+}
+
+export default {
+  runDbTest,
+  startApp,
+  startSocketServer,
+  connectSocket,
+  assert,
+  errorCode,
+  inDays,
+  settle,
+  dayAhead,
+  createUser,
+  createPro,
+  heldBooking,
+};
@@ -0,0 +1,101 @@
+// test/webhookTest.js
+// Webhook inbox: signed deliveries stored once per gateway event, forged signatures rejected, failures retried with
+// exponential backoff until they are dead-lettered, admin replay, and events abandoned mid-processing picked up again.
+// Needs MONGO_URI pointing at a replica set (see testHarness.js). No network access required.
+import { runDbTest, startApp, assert, createUser, createPro, heldBooking } from "./testHarness.js";
+
+runDbTest("Webhook", async ({ gw, deliver }) => {
+  const { default: Payout } = await import("../src/models/Payout.js");
+  const { default: WebhookEvent } = await import("../src/models/WebhookEvent.js");
+  const { default: Escrow } = await import("../src/models/Escrow.js");
+  const { default: AdminNotification } = await import("../src/models/AdminNotification.js");
+  const { default: escrowService } = await import("../src/services/escrowService.js");
+  const { default: webhookInboxService } = await import("../src/services/webhookInboxService.js");
+  const { default: adminWebhookRoutes } = await import("../src/routes/adminWebhookRoutes.js");
+  const pro = await createPro();
+
+  // 1️⃣ Deliveries are verified, stored and processed once per gateway event
+  const released = await escrowService.releaseFunds({ bookingId: (await heldBooking(pro._id))._id });
+  const success = gw.transferWebhook(released.reference, "success");
+  const delivered = await deliver(success);
+  assert(delivered.event.status === "processed", "webhook stored and processed");
+  assert((await deliver(success)).duplicate === true, "redelivery deduplicated by event id");
+  assert((await deliver({ ...success, headers: { "x-paystack-signature": "forged" } })).verified === false, "bad signature rejected");
+  assert((await WebhookEvent.countDocuments({ reference: released.reference })) === 1, "stored once");
+  assert((await Payout.findOne({ reference: released.reference })).status === "success", "applied once");
+  console.log("📩 Webhook deliveries deduplicated");
+
+  // 2️⃣ A failing event is retried 30s, 1m, 2m, ... later and dead-lettered after maxAttempts, with admins notified
+  const lostBooking = await heldBooking(pro._id);
+  const lost = await escrowService.releaseFunds({ bookingId: lostBooking._id });
+  // Without its Payout the transfer webhook can't be applied; it is put back for the replay below
+  const stashed = await Payout.collection.findOne({ reference: lost.reference });
+  await Payout.collection.deleteOne({ _id: stashed._id });
+
+  const before = Date.now();
+  let event = (await deliver(gw.transferWebhook(lost.reference, "success"))).event;
+  assert(event.status === "failed" && event.attempts === 1 && event.lastError === "unknown_payout", "failure recorded");
+  assert(event.maxAttempts === 8, "eight attempts by default");
+  const delay = (from) => event.nextAttemptAt.getTime() - from;
+  assert(delay(before) >= 30 * 1000 && delay(before) < 35 * 1000, "first retry after 30s");
+  assert((await webhookInboxService.processEvent(event._id)) === null, "not retried before its backoff");
+
+  while (event.attempts < event.maxAttempts - 1) {
+    await WebhookEvent.updateOne({ _id: event._id }, { nextAttemptAt: new Date() });
+    const started = Date.now();
+    event = await webhookInboxService.processEvent(event._id);
+    const expected = 30 * 1000 * 2 ** (event.attempts - 1);
+    assert(event.status === "failed" && delay(started) >= expected && delay(started) < expected + 5000, `retry ${event.attempts} backs off ${expected}ms`);
+  }
+  await WebhookEvent.updateOne({ _id: event._id }, { nextAttemptAt: new Date() });
+  event = await webhookInboxService.processEvent(event._id);
+  assert(event.status === "dead_letter" && event.attempts === 8 && event.deadLetteredAt, "dead-lettered after the last attempt");
+  assert(event.attemptErrors.length === 8, "every attempt's error kept");
+  assert(await AdminNotification.exists({ title: "Webhook moved to dead letter", "relatedIds.reference": lost.reference }), "admins notified");
+  assert((await webhookInboxService.processDueEvents()).picked === 0, "dead letters aren't retried");
+  console.log("☠️ Retries backed off and dead-lettered");
+
+  // 3️⃣ Admins replay a dead-lettered event once the cause is fixed
+  const admin = await createUser("Admin", "admin");
+  const { request } = await startApp({ "/api/admin/webhooks": adminWebhookRoutes });
+  const replay = `/api/admin/webhooks/${event._id}/replay`;
+  assert((await request("POST", replay, { user: pro })).status === 403, "admins only");
+  let res = await request("GET", "/api/admin/webhooks/dead-letter", { user: admin });
+  assert(res.status === 200 && res.body.results.some((e) => e._id === String(event._id)), "listed in the dead letters");
+
+  await Payout.collection.insertOne(stashed);
+  res = await request("POST", replay, { user: admin });
+  assert(res.status === 200 && res.body.data.status === "processed", "replayed and processed");
+  assert(res.body.data.attempts === 1 && res.body.data.replayCount === 1 && res.body.data.lastReplayedBy === String(admin._id), "replay recorded");
+  assert((await Payout.findOne({ reference: lost.reference })).status === "success", "transfer applied");
+  assert((await Escrow.findOne({ bookingId: lostBooking._id })).state === "released", "escrow released");
+  assert((await request("POST", replay, { user: admin })).status === 400, "a processed event can't be replayed");
+  console.log("🔂 Dead letter replayed");
+
+  // 4️⃣ Events left "processing" by a crash are picked up once their lock is stale; live locks are left alone
+  const stuck = async (lockedAt) => {
+    const { reference } = await escrowService.releaseFunds({ bookingId: (await heldBooking(pro._id))._id });
+    const { body, rawBody } = gw.transferWebhook(reference, "success");
+    await WebhookEvent.create({
+      gateway: "paystack",
+      eventId: `transfer.success:${reference}`,
+      eventType: body.event,
+      reference,
+      payload: body,
+      rawBody,
+      status: "processing",
+      attempts: 1,
+      lockedAt,
+    });
+    return reference;
+  };
+  const crashed = await stuck(new Date(Date.now() - 11 * 60 * 1000));
+  const running = await stuck(new Date());
+  const sweep = await webhookInboxService.processDueEvents();
+  assert(sweep.picked === 1 && sweep.processed === 1, "only the stale event picked up");
+  assert((await WebhookEvent.findOne({ reference: crashed })).status === "processed", "abandoned event processed");
+  assert((await Payout.findOne({ reference: crashed })).status === "success", "its transfer applied");
+  assert((await WebhookEvent.findOne({ reference: running })).status === "processing", "live lock left alone");
+  assert((await Payout.findOne({ reference: running })).status === "pending", "its transfer untouched");
+  console.log("🧹 Stale processing events recovered");
+});